@@ -0,0 +1,85 @@
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+
+jest.mock('../../src/utils/Logger', () => ({
+  database: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+  activity: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+  memberAction: jest.fn()
+}));
+
+jest.mock('../../config/config', () => ({
+  database: { path: '' },
+  security: { encryptionKey: 'a'.repeat(64) },
+  posting: { delayMinutes: 15 }
+}));
+
+const config = require('../../config/config');
+const dbConnection = require('../../src/database/connection');
+const databaseManager = require('../../src/database/DatabaseManager');
+const ActivityQueue = require('../../src/managers/ActivityQueue');
+
+// A restart is simulated by handing the rows one queue saved to a fresh
+// queue, so the round trip through the real table is what's exercised.
+describe('DatabaseManager activity queue (real SQLite)', () => {
+  let testDataDir;
+  let activityProcessor;
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    jest.setSystemTime(new Date('2024-01-01T12:00:00Z'));
+
+    testDataDir = path.join(os.tmpdir(), `db_activity_queue_test_${Date.now()}_${Math.random().toString(36).slice(2)}`);
+    await fs.mkdir(testDataDir, { recursive: true });
+    config.database.path = path.join(testDataDir, 'test.db');
+
+    databaseManager.isInitialized = false;
+    await databaseManager.initialize();
+
+    activityProcessor = { processNewActivity: jest.fn().mockResolvedValue() };
+  });
+
+  afterEach(async () => {
+    jest.useRealTimers();
+    await dbConnection.close();
+    databaseManager.isInitialized = false;
+    await fs.rm(testDataDir, { recursive: true, force: true });
+  });
+
+  it('brings queued activities back after a restart', async () => {
+    const before = new ActivityQueue(activityProcessor);
+    await before.queueActivity(14012345678, 1001, { eventType: 'create' });
+    await before.updateQueuedActivity(14012345678, 1001, { eventType: 'update' });
+    before.shutdown();
+
+    jest.setSystemTime(new Date('2024-01-01T12:05:00Z'));
+    const after = new ActivityQueue(activityProcessor);
+    await after.restore();
+
+    expect(after.queuedActivities.get(14012345678)).toMatchObject({
+      athleteId: 1001,
+      scheduledTime: new Date('2024-01-01T12:15:00Z'),
+      originalWebhookData: { eventType: 'update' },
+      status: 'queued'
+    });
+
+    jest.advanceTimersByTime(10 * 60 * 1000);
+    await jest.runOnlyPendingTimersAsync();
+
+    expect(activityProcessor.processNewActivity).toHaveBeenCalledWith(14012345678, 1001);
+    expect(await databaseManager.getQueuedActivities()).toEqual([]);
+    after.shutdown();
+  });
+
+  it('forgets activities removed from the queue', async () => {
+    const queue = new ActivityQueue(activityProcessor);
+    await queue.queueActivity(111, 1001);
+    await queue.queueActivity(222, 1001);
+
+    queue.removeFromQueue(111);
+    queue.shutdown();
+    await new Promise(setImmediate); // the delete isn't awaited by removeFromQueue
+
+    expect((await databaseManager.getQueuedActivities()).map(row => row.activity_id)).toEqual([222]);
+  });
+});
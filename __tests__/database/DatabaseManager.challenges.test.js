@@ -0,0 +1,121 @@
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+
+jest.mock('../../src/utils/Logger', () => ({
+  database: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+  memberAction: jest.fn()
+}));
+
+jest.mock('../../config/config', () => ({
+  database: { path: '' },
+  security: { encryptionKey: 'a'.repeat(64) }
+}));
+
+const config = require('../../config/config');
+const dbConnection = require('../../src/database/connection');
+const databaseManager = require('../../src/database/DatabaseManager');
+
+// The challenge announcement flags rely on conditional UPDATEs evaluated by
+// SQLite itself ("only if not already set"), so they are exercised against a
+// real migrated database rather than a mocked query builder.
+describe('DatabaseManager challenges (real SQLite)', () => {
+  let testDataDir;
+  let raw;
+  let challenge;
+
+  const ALICE = 1001;
+  const BOB = 1002;
+
+  beforeEach(async () => {
+    testDataDir = path.join(os.tmpdir(), `db_challenge_test_${Date.now()}_${Math.random().toString(36).slice(2)}`);
+    await fs.mkdir(testDataDir, { recursive: true });
+    config.database.path = path.join(testDataDir, 'test.db');
+
+    databaseManager.isInitialized = false;
+    await databaseManager.initialize();
+    raw = dbConnection.getRawDb();
+
+    const insertMember = raw.prepare(`
+      INSERT INTO members (athlete_id, discord_id, discord_user_id, is_active, athlete, provider)
+      VALUES (?, ?, ?, 1, '{}', 'strava')
+    `);
+    insertMember.run(ALICE, 'discord-alice', 'discord-alice');
+    insertMember.run(BOB, 'discord-bob', 'discord-bob');
+
+    challenge = await databaseManager.createChallenge({
+      name: '500 km in March',
+      metric: 'distance',
+      targetValue: 500000,
+      startDate: '2026-03-01',
+      endDate: '2026-03-31',
+      createdByDiscordId: 'discord-admin',
+    });
+  });
+
+  afterEach(async () => {
+    await dbConnection.close();
+    databaseManager.isInitialized = false;
+    await fs.rm(testDataDir, { recursive: true, force: true });
+  });
+
+  it('creates an active team challenge with no milestone announced', () => {
+    expect(challenge).toMatchObject({ scope: 'team', status: 'active', last_milestone: 0, target_value: 500000 });
+  });
+
+  it('adds each participant once', async () => {
+    expect(await databaseManager.addChallengeParticipant(challenge.id, ALICE)).toBe(true);
+    expect(await databaseManager.addChallengeParticipant(challenge.id, ALICE)).toBe(false);
+
+    const participants = await databaseManager.getChallengeParticipants(challenge.id);
+    expect(participants.map(p => p.member_athlete_id)).toEqual([ALICE]);
+
+    expect(await databaseManager.removeChallengeParticipant(challenge.id, ALICE)).toBe(true);
+    expect(await databaseManager.removeChallengeParticipant(challenge.id, ALICE)).toBe(false);
+  });
+
+  it('finds only joined, active challenges whose window contains the day', async () => {
+    await databaseManager.addChallengeParticipant(challenge.id, ALICE);
+
+    expect(await databaseManager.getActiveChallengesForAthlete(ALICE, '2026-03-01')).toHaveLength(1);
+    expect(await databaseManager.getActiveChallengesForAthlete(ALICE, '2026-03-31')).toHaveLength(1);
+    expect(await databaseManager.getActiveChallengesForAthlete(ALICE, '2026-04-01')).toEqual([]);
+    expect(await databaseManager.getActiveChallengesForAthlete(BOB, '2026-03-10')).toEqual([]);
+
+    await databaseManager.completeChallenge(challenge.id);
+    expect(await databaseManager.getActiveChallengesForAthlete(ALICE, '2026-03-10')).toEqual([]);
+  });
+
+  it('advances milestones forward only', async () => {
+    expect(await databaseManager.advanceChallengeMilestone(challenge.id, 50)).toBe(true);
+    expect(await databaseManager.advanceChallengeMilestone(challenge.id, 50)).toBe(false);
+    expect(await databaseManager.advanceChallengeMilestone(challenge.id, 25)).toBe(false);
+
+    expect((await databaseManager.getChallenge(challenge.id)).last_milestone).toBe(50);
+  });
+
+  it('completes a challenge and a participant only once', async () => {
+    await databaseManager.addChallengeParticipant(challenge.id, ALICE);
+
+    expect(await databaseManager.completeChallengeParticipant(challenge.id, ALICE)).toBe(true);
+    expect(await databaseManager.completeChallengeParticipant(challenge.id, ALICE)).toBe(false);
+
+    expect(await databaseManager.completeChallenge(challenge.id)).toBe(true);
+    expect(await databaseManager.completeChallenge(challenge.id)).toBe(false);
+
+    const stored = await databaseManager.getChallenge(challenge.id);
+    expect(stored.status).toBe('completed');
+    expect(stored.completed_at).toBeTruthy();
+    expect(await databaseManager.getChallenges({ status: 'active' })).toEqual([]);
+  });
+
+  it('follows a member renumbering and removal through the foreign key', async () => {
+    await databaseManager.addChallengeParticipant(challenge.id, ALICE);
+
+    raw.prepare('UPDATE members SET athlete_id = ? WHERE athlete_id = ?').run(2001, ALICE);
+    expect((await databaseManager.getChallengeParticipants(challenge.id)).map(p => p.member_athlete_id)).toEqual([2001]);
+
+    raw.prepare('DELETE FROM members WHERE athlete_id = ?').run(2001);
+    expect(await databaseManager.getChallengeParticipants(challenge.id)).toEqual([]);
+  });
+});
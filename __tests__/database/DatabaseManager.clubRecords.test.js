@@ -0,0 +1,66 @@
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+
+jest.mock('../../src/utils/Logger', () => ({
+  database: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+  memberAction: jest.fn()
+}));
+
+jest.mock('../../config/config', () => ({
+  database: { path: '' },
+  security: { encryptionKey: 'a'.repeat(64) }
+}));
+
+const config = require('../../config/config');
+const dbConnection = require('../../src/database/connection');
+const databaseManager = require('../../src/database/DatabaseManager');
+
+// Club records join personal_bests with the member profiles, so the query is
+// exercised against a real database.
+describe('DatabaseManager club personal bests (real SQLite)', () => {
+  let testDataDir;
+  let raw;
+
+  const pb = (activityId, elapsedTime, category = '5K') => ({
+    category, distanceM: 5000, elapsedTime, movingTime: elapsedTime, activityId, activityName: 'Parkrun', activityDate: '2026-03-01',
+  });
+
+  beforeEach(async () => {
+    testDataDir = path.join(os.tmpdir(), `db_club_records_test_${Date.now()}_${Math.random().toString(36).slice(2)}`);
+    await fs.mkdir(testDataDir, { recursive: true });
+    config.database.path = path.join(testDataDir, 'test.db');
+
+    databaseManager.isInitialized = false;
+    await databaseManager.initialize();
+    raw = dbConnection.getRawDb();
+
+    const insertMember = raw.prepare(`
+      INSERT INTO members (athlete_id, discord_id, discord_user_id, is_active, athlete, provider, discord_display_name)
+      VALUES (?, ?, ?, ?, ?, 'strava', ?)
+    `);
+    insertMember.run(1, 'discord-alice', 'discord-alice', 1, JSON.stringify({ firstname: 'Alice', sex: 'F' }), 'Alice');
+    insertMember.run(2, 'discord-bob', 'discord-bob', 1, JSON.stringify({ firstname: 'Bob', sex: 'M' }), null);
+    insertMember.run(3, 'discord-carl', 'discord-carl', 0, '{}', 'Carl');
+  });
+
+  afterEach(async () => {
+    await dbConnection.close();
+    databaseManager.isInitialized = false;
+    await fs.rm(testDataDir, { recursive: true, force: true });
+  });
+
+  it('lists active members\' PBs in the categories, fastest first, with their profile', async () => {
+    await databaseManager.upsertPersonalBest(1, pb('111', 1180));
+    await databaseManager.upsertPersonalBest(2, pb('222', 1100));
+    await databaseManager.upsertPersonalBest(3, pb('333', 1000)); // inactive
+    await databaseManager.upsertPersonalBest(1, pb('444', 300, '1K'));
+
+    const rows = await databaseManager.getClubPersonalBests(['5K', '10K']);
+
+    expect(rows).toEqual([
+      expect.objectContaining({ athleteId: 2, category: '5K', elapsedTime: 1100, activityId: '222', displayName: null, athlete: { firstname: 'Bob', sex: 'M' } }),
+      expect.objectContaining({ athleteId: 1, elapsedTime: 1180, discordUserId: 'discord-alice', displayName: 'Alice', activityDate: '2026-03-01' }),
+    ]);
+  });
+});
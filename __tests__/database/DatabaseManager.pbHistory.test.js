@@ -0,0 +1,102 @@
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+
+jest.mock('../../src/utils/Logger', () => ({
+  database: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+  memberAction: jest.fn()
+}));
+
+jest.mock('../../config/config', () => ({
+  database: { path: '' },
+  security: { encryptionKey: 'a'.repeat(64) }
+}));
+
+const config = require('../../config/config');
+const dbConnection = require('../../src/database/connection');
+const databaseManager = require('../../src/database/DatabaseManager');
+
+// Which efforts stay in a progression depends on the order they arrive in,
+// and migration 016 backfills from personal_bests, so both run against a
+// real database.
+describe('DatabaseManager PB history (real SQLite)', () => {
+  let testDataDir;
+  let raw;
+
+  const ALICE = 1001;
+
+  const effort = (activityId, activityDate, elapsedTime, category = '5K') => ({
+    category, distanceM: 5000, elapsedTime, movingTime: elapsedTime, activityId, activityName: `Run ${activityId}`, activityDate,
+  });
+  const progression = async (category = '5K') =>
+    (await databaseManager.getPBHistory(ALICE, category)).map(row => [row.activity_id, row.elapsed_time]);
+
+  const initialize = async () => {
+    databaseManager.isInitialized = false;
+    await databaseManager.initialize();
+    raw = dbConnection.getRawDb();
+  };
+
+  beforeEach(async () => {
+    testDataDir = path.join(os.tmpdir(), `db_pb_history_test_${Date.now()}_${Math.random().toString(36).slice(2)}`);
+    await fs.mkdir(testDataDir, { recursive: true });
+    config.database.path = path.join(testDataDir, 'test.db');
+
+    await initialize();
+
+    raw.prepare(`
+      INSERT INTO members (athlete_id, discord_id, discord_user_id, is_active, athlete, provider)
+      VALUES (?, ?, ?, 1, '{}', 'strava')
+    `).run(ALICE, 'discord-alice', 'discord-alice');
+  });
+
+  afterEach(async () => {
+    await dbConnection.close();
+    databaseManager.isInitialized = false;
+    await fs.rm(testDataDir, { recursive: true, force: true });
+  });
+
+  it('keeps every record in date order, per category', async () => {
+    expect(await databaseManager.recordPBHistory(ALICE, effort('111', '2025-09-14', 1500))).toBe(true);
+    expect(await databaseManager.recordPBHistory(ALICE, effort('222', '2026-01-04', 1452))).toBe(true);
+    expect(await databaseManager.recordPBHistory(ALICE, effort('333', '2026-02-01', 1460))).toBe(false); // not a record
+    await databaseManager.recordPBHistory(ALICE, effort('222', '2026-01-04', 2900, '10K'));
+
+    expect(await progression()).toEqual([['111', 1500], ['222', 1452]]);
+    expect(await progression('10K')).toEqual([['222', 2900]]);
+  });
+
+  it('builds the same progression from efforts arriving newest first', async () => {
+    // A history sync walks backwards in time
+    await databaseManager.recordPBHistory(ALICE, effort('444', '2026-03-18', 1410));
+    await databaseManager.recordPBHistory(ALICE, effort('333', '2026-02-01', 1460));
+    await databaseManager.recordPBHistory(ALICE, effort('222', '2026-01-04', 1452)); // beats 333, which was never a record
+    await databaseManager.recordPBHistory(ALICE, effort('111', '2025-09-14', 1500));
+
+    expect(await progression()).toEqual([['111', 1500], ['222', 1452], ['444', 1410]]);
+  });
+
+  it('ignores an effort it already holds and updates a faster re-entry', async () => {
+    await databaseManager.recordPBHistory(ALICE, effort('111', '2025-09-14', 1500));
+
+    expect(await databaseManager.recordPBHistory(ALICE, effort('111', '2025-09-14', 1500))).toBe(false);
+    expect(await databaseManager.recordPBHistory(ALICE, effort('111', '2025-09-14', 1490))).toBe(true);
+    expect(await progression()).toEqual([['111', 1490]]);
+  });
+
+  it('starts each progression from the PBs stored before the history existed', async () => {
+    await databaseManager.upsertPersonalBest(ALICE, effort('111', '2025-09-14', 1500));
+
+    // Roll back to just before migration 016 and start again
+    raw.exec(`
+      DROP TABLE pb_history;
+      DELETE FROM migration_log WHERE migration_name = '016_add_pb_history';
+    `);
+    await dbConnection.close();
+    await initialize();
+
+    expect(await databaseManager.getPBHistory(ALICE, '5K')).toEqual([
+      expect.objectContaining({ activity_id: '111', elapsed_time: 1500, activity_date: '2025-09-14', activity_name: 'Run 111' }),
+    ]);
+  });
+});
@@ -0,0 +1,103 @@
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+
+jest.mock('../../src/utils/Logger', () => ({
+  database: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+  memberAction: jest.fn()
+}));
+
+jest.mock('../../config/config', () => ({
+  database: { path: '' },
+  security: { encryptionKey: 'a'.repeat(64) }
+}));
+
+const config = require('../../config/config');
+const dbConnection = require('../../src/database/connection');
+const databaseManager = require('../../src/database/DatabaseManager');
+
+// The public API pages through posted activities with filters and a count,
+// so the query is exercised against a real database.
+describe('DatabaseManager posted activities (real SQLite)', () => {
+  let testDataDir;
+  let raw;
+
+  const activity = (id, startDateLocal, overrides = {}) => ({
+    id,
+    name: `Run ${id}`,
+    type: 'Run',
+    sport_type: 'Run',
+    distance: 5000,
+    moving_time: 1500,
+    start_date: startDateLocal,
+    start_date_local: startDateLocal,
+    ...overrides,
+  });
+
+  const post = (activityId, athleteId) => databaseManager.recordActivityPost({
+    messageId: `msg-${activityId}`, channelId: 'channel', activityId, athleteId,
+  });
+
+  beforeEach(async () => {
+    testDataDir = path.join(os.tmpdir(), `db_posted_activities_test_${Date.now()}_${Math.random().toString(36).slice(2)}`);
+    await fs.mkdir(testDataDir, { recursive: true });
+    config.database.path = path.join(testDataDir, 'test.db');
+
+    databaseManager.isInitialized = false;
+    await databaseManager.initialize();
+    raw = dbConnection.getRawDb();
+
+    const insertMember = raw.prepare(`
+      INSERT INTO members (athlete_id, discord_id, discord_user_id, is_active, athlete, provider)
+      VALUES (?, ?, ?, 1, '{}', 'strava')
+    `);
+    insertMember.run(1, 'discord-alice', 'discord-alice');
+    insertMember.run(2, 'discord-bob', 'discord-bob');
+
+    await databaseManager.upsertActivity(1, activity(101, '2026-10-01T07:00:00Z'));
+    await databaseManager.upsertActivity(1, activity(102, '2026-10-05T18:30:00Z', { type: 'Ride', sport_type: 'GravelRide' }));
+    await databaseManager.upsertActivity(1, activity(103, '2026-10-09T23:15:00Z', { sport_type: 'TrailRun' }));
+    await databaseManager.upsertActivity(2, activity(201, '2026-10-07T06:00:00Z'));
+    await databaseManager.upsertActivity(2, activity(202, '2026-10-08T06:00:00Z')); // saved, never posted
+    for (const [activityId, athleteId] of [[101, 1], [102, 1], [103, 1], [201, 2]]) {
+      await post(activityId, athleteId);
+    }
+  });
+
+  afterEach(async () => {
+    await dbConnection.close();
+    databaseManager.isInitialized = false;
+    await fs.rm(testDataDir, { recursive: true, force: true });
+  });
+
+  const ids = ({ rows }) => rows.map(row => row.strava_activity_id);
+
+  it('returns only posted activities of the given members, newest first', async () => {
+    const result = await databaseManager.getPostedActivities({ athleteIds: [1, 2] });
+
+    expect(result.total).toBe(4);
+    expect(ids(result)).toEqual(['103', '201', '102', '101']);
+    expect(ids(await databaseManager.getPostedActivities({ athleteIds: [2] }))).toEqual(['201']);
+    expect(await databaseManager.getPostedActivities({ athleteIds: [] })).toEqual({ total: 0, rows: [] });
+  });
+
+  it('pages with the total of the whole result', async () => {
+    const result = await databaseManager.getPostedActivities({ athleteIds: [1, 2], limit: 2, offset: 2 });
+
+    expect(result.total).toBe(4);
+    expect(ids(result)).toEqual(['102', '101']);
+  });
+
+  it('filters on type or sport type', async () => {
+    expect(ids(await databaseManager.getPostedActivities({ athleteIds: [1, 2], types: ['Ride'] }))).toEqual(['102']);
+    expect(ids(await databaseManager.getPostedActivities({ athleteIds: [1, 2], types: ['TrailRun', 'GravelRide'] })))
+      .toEqual(['103', '102']);
+  });
+
+  it('filters on inclusive local days', async () => {
+    const result = await databaseManager.getPostedActivities({ athleteIds: [1, 2], from: '2026-10-05', to: '2026-10-09' });
+
+    expect(result.total).toBe(3);
+    expect(ids(result)).toEqual(['103', '201', '102']);
+  });
+});
@@ -0,0 +1,93 @@
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+
+jest.mock('../../src/utils/Logger', () => ({
+  database: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+  memberAction: jest.fn()
+}));
+
+jest.mock('../../config/config', () => ({
+  database: { path: '' },
+  security: { encryptionKey: 'a'.repeat(64) }
+}));
+
+const config = require('../../config/config');
+const dbConnection = require('../../src/database/connection');
+const databaseManager = require('../../src/database/DatabaseManager');
+
+// Partial updates rely on SQLite's ON CONFLICT DO UPDATE keeping the columns
+// left out, so they are exercised against a real migrated database.
+describe('DatabaseManager member preferences (real SQLite)', () => {
+  let testDataDir;
+  let raw;
+
+  const ALICE = 1001;
+
+  beforeEach(async () => {
+    testDataDir = path.join(os.tmpdir(), `db_preferences_test_${Date.now()}_${Math.random().toString(36).slice(2)}`);
+    await fs.mkdir(testDataDir, { recursive: true });
+    config.database.path = path.join(testDataDir, 'test.db');
+
+    databaseManager.isInitialized = false;
+    await databaseManager.initialize();
+    raw = dbConnection.getRawDb();
+
+    raw.prepare(`
+      INSERT INTO members (athlete_id, discord_id, discord_user_id, is_active, athlete, provider)
+      VALUES (?, ?, ?, 1, '{}', 'strava')
+    `).run(ALICE, 'discord-alice', 'discord-alice');
+  });
+
+  afterEach(async () => {
+    await dbConnection.close();
+    databaseManager.isInitialized = false;
+    await fs.rm(testDataDir, { recursive: true, force: true });
+  });
+
+  it('has no row until the member changes something', async () => {
+    expect(await databaseManager.getMemberPreferences(ALICE)).toBeNull();
+  });
+
+  it('creates the row with defaults, then keeps untouched columns on update', async () => {
+    const created = await databaseManager.upsertMemberPreferences(ALICE, { show_heart_rate: 0 });
+    expect(created).toMatchObject({ member_athlete_id: ALICE, show_heart_rate: 0, show_pace: 1, show_map: 1, show_in_api: 1, sport_types: null });
+
+    await databaseManager.upsertMemberPreferences(ALICE, { paused_until: '2026-03-20' });
+
+    await databaseManager.upsertMemberPreferences(ALICE, { encrypted_privacy_zones: '{"iv":"00"}' });
+
+    await databaseManager.upsertMemberPreferences(ALICE, { max_heart_rate: 190, threshold_heart_rate: 170 });
+
+    expect(await databaseManager.getMemberPreferences(ALICE)).toMatchObject({
+      show_heart_rate: 0,
+      paused_until: '2026-03-20',
+      encrypted_privacy_zones: '{"iv":"00"}',
+      max_heart_rate: 190,
+      threshold_heart_rate: 170,
+    });
+  });
+
+  it('reads the rows of several members in one go', async () => {
+    raw.prepare(`
+      INSERT INTO members (athlete_id, discord_id, discord_user_id, is_active, athlete, provider)
+      VALUES (?, ?, ?, 1, '{}', 'strava')
+    `).run(1002, 'discord-bob', 'discord-bob');
+    await databaseManager.upsertMemberPreferences(ALICE, { show_pace: 0 });
+
+    const rows = await databaseManager.getMembersPreferences([ALICE, 1002]);
+
+    expect(rows).toEqual([expect.objectContaining({ member_athlete_id: ALICE, show_pace: 0 })]);
+    expect(await databaseManager.getMembersPreferences([])).toEqual([]);
+  });
+
+  it('follows a member renumbering and removal through the foreign key', async () => {
+    await databaseManager.upsertMemberPreferences(ALICE, { show_map: 0 });
+
+    raw.prepare('UPDATE members SET athlete_id = ? WHERE athlete_id = ?').run(2001, ALICE);
+    expect((await databaseManager.getMemberPreferences(2001)).show_map).toBe(0);
+
+    raw.prepare('DELETE FROM members WHERE athlete_id = ?').run(2001);
+    expect(await databaseManager.getMemberPreferences(2001)).toBeNull();
+  });
+});
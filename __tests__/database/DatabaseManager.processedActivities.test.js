@@ -0,0 +1,96 @@
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+
+jest.mock('../../src/utils/Logger', () => ({
+  database: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+  memberAction: jest.fn()
+}));
+
+jest.mock('../../config/config', () => ({
+  database: { path: '' },
+  security: { encryptionKey: 'a'.repeat(64) }
+}));
+
+const config = require('../../config/config');
+const dbConnection = require('../../src/database/connection');
+const databaseManager = require('../../src/database/DatabaseManager');
+
+// The ledger relies on a composite-key upsert and migration 014 backfills it
+// from existing tables, so both are exercised against a real database.
+describe('DatabaseManager processed activities (real SQLite)', () => {
+  let testDataDir;
+  let raw;
+
+  const ALICE = 1001;
+
+  const initialize = async () => {
+    databaseManager.isInitialized = false;
+    await databaseManager.initialize();
+    raw = dbConnection.getRawDb();
+  };
+
+  beforeEach(async () => {
+    testDataDir = path.join(os.tmpdir(), `db_processed_test_${Date.now()}_${Math.random().toString(36).slice(2)}`);
+    await fs.mkdir(testDataDir, { recursive: true });
+    config.database.path = path.join(testDataDir, 'test.db');
+
+    await initialize();
+
+    raw.prepare(`
+      INSERT INTO members (athlete_id, discord_id, discord_user_id, is_active, athlete, provider)
+      VALUES (?, ?, ?, 1, '{}', 'strava')
+    `).run(ALICE, 'discord-alice', 'discord-alice');
+  });
+
+  afterEach(async () => {
+    await dbConnection.close();
+    databaseManager.isInitialized = false;
+    await fs.rm(testDataDir, { recursive: true, force: true });
+  });
+
+  it('keeps the latest outcome per provider and activity, counting attempts', async () => {
+    await databaseManager.recordActivityOutcome({
+      provider: 'strava', activityId: 98765, athleteId: ALICE, outcome: 'failed', reason: 'Discord API error',
+    });
+    await databaseManager.recordActivityOutcome({
+      provider: 'strava', activityId: 98765, athleteId: ALICE, outcome: 'posted',
+    });
+    await databaseManager.recordActivityOutcome({
+      provider: 'intervals', activityId: 'i176829341', athleteId: ALICE, outcome: 'filtered', reason: 'Walk is muted',
+    });
+
+    expect(await databaseManager.getActivityOutcome(98765, 'strava')).toMatchObject({
+      activity_id: '98765', outcome: 'posted', reason: null, attempts: 2,
+    });
+    expect(await databaseManager.getActivityOutcome(98765, 'intervals')).toBeNull();
+    expect((await databaseManager.getActivityOutcome('i176829341')).outcome).toBe('filtered');
+    expect(await databaseManager.getActivityOutcomeCounts()).toEqual({ posted: 1, filtered: 1 });
+  });
+
+  it('backfills activities saved before the ledger existed', async () => {
+    const insertActivity = raw.prepare(`
+      INSERT INTO activities (strava_activity_id, member_athlete_id, provider, name)
+      VALUES (?, ?, ?, 'Run')
+    `);
+    insertActivity.run('111', ALICE, 'strava');
+    insertActivity.run('i222', ALICE, 'intervals');
+    await databaseManager.recordActivityPost({
+      messageId: 'message-1', channelId: 'channel-1', activityId: '111', athleteId: ALICE,
+    });
+
+    // Roll back to just before migration 014 and start again
+    raw.exec(`
+      DROP TABLE processed_activities;
+      DELETE FROM migration_log WHERE migration_name = '014_add_processed_activities';
+    `);
+    await dbConnection.close();
+    await initialize();
+
+    expect(await databaseManager.getActivityOutcome('111', 'strava')).toMatchObject({ outcome: 'posted', reason: null });
+    expect(await databaseManager.getActivityOutcome('i222', 'intervals')).toMatchObject({
+      outcome: 'filtered',
+      reason: expect.stringContaining('before the activity ledger'),
+    });
+  });
+});
@@ -1798,6 +1798,45 @@ describe('DatabaseManager', () => {
     });
   });
 
+  describe('getRunDays', () => {
+    beforeEach(() => {
+      DatabaseManager.isInitialized = true;
+      DatabaseManager.db = mockDb;
+    });
+
+    it('selects distinct local days per athlete with the run-window filters', async () => {
+      const mockRows = [
+        { athleteId: 111, day: '2026-04-01' },
+        { athleteId: 111, day: '2026-04-02' },
+      ];
+
+      const mockSelectChain = {
+        from: jest.fn().mockReturnThis(),
+        innerJoin: jest.fn().mockReturnThis(),
+        where: jest.fn().mockReturnThis(),
+        orderBy: jest.fn().mockResolvedValue(mockRows),
+      };
+      mockDb.selectDistinct = jest.fn().mockReturnValue(mockSelectChain);
+
+      const result = await DatabaseManager.getRunDays(
+        '2026-04-01T00:00:00.000Z',
+        '2026-05-01T00:00:00.000Z',
+        ['Run', 'TrailRun', 'VirtualRun']
+      );
+
+      expect(result).toEqual(mockRows);
+      expect(mockSelectChain.innerJoin).toHaveBeenCalledTimes(1);
+
+      const { sql: whereSql, params } = sqlDialect.sqlToQuery(mockSelectChain.where.mock.calls[0][0]);
+      expect(whereSql).toContain('"start_date_local" >= ?');
+      expect(whereSql).toContain('"start_date_local" < ?');
+      expect(whereSql).toContain('"is_active" = ?');
+      expect(params).toEqual(expect.arrayContaining([
+        'Run', 'TrailRun', 'VirtualRun', '2026-04-01T00:00:00.000Z', '2026-05-01T00:00:00.000Z',
+      ]));
+    });
+  });
+
   describe('getPBSyncCursors', () => {
     beforeEach(() => {
       DatabaseManager.isInitialized = true;
@@ -1,4 +1,4 @@
-const { Client, GatewayIntentBits, REST, Routes } = require('discord.js');
+const { Client, GatewayIntentBits, Partials, REST, Routes } = require('discord.js');
 const DiscordBot = require('../../src/discord/bot');
 const config = require('../../config/config');
 const DiscordCommands = require('../../src/discord/commands');
@@ -25,7 +25,13 @@ jest.mock('discord.js', () => ({
   GatewayIntentBits: {
     Guilds: 1,
     GuildMessages: 2,
-    MessageContent: 4
+    MessageContent: 4,
+    GuildMessageReactions: 8
+  },
+  Partials: {
+    Message: 'MESSAGE',
+    Reaction: 'REACTION',
+    User: 'USER'
   },
   REST: jest.fn().mockImplementation(() => ({
     setToken: jest.fn().mockReturnThis(),
@@ -34,7 +40,9 @@ jest.mock('discord.js', () => ({
   Routes: {
     applicationCommands: jest.fn((appId) => `/applications/${appId}/commands`),
     applicationGuildCommands: jest.fn((appId, guildId) => `/applications/${appId}/guilds/${guildId}/commands`)
-  }
+  },
+  RESTJSONErrorCodes: { UnknownChannel: 10003, UnknownMember: 10007, UnknownMessage: 10008, UnknownUser: 10013 },
+  ThreadAutoArchiveDuration: { OneDay: 1440 }
 }));
 jest.mock('../../config/config', () => ({
   discord: {
@@ -43,6 +51,14 @@ jest.mock('../../config/config', () => ({
   }
 }));
 jest.mock('../../src/discord/commands');
+jest.mock('../../src/managers/KudosManager', () => {
+  const MockKudosManager = jest.fn().mockImplementation(() => ({
+    addReaction: jest.fn().mockResolvedValue(true),
+    removeReaction: jest.fn().mockResolvedValue(true),
+  }));
+  MockKudosManager.emojiKey = jest.fn(emoji => emoji.id ?? emoji.name);
+  return MockKudosManager;
+});
 jest.mock('../../src/utils/EmbedBuilder');
 jest.mock('../../src/utils/Logger', () => ({
   discord: {
@@ -158,8 +174,10 @@ describe('DiscordBot', () => {
       expect(Client).toHaveBeenCalledWith({
         intents: [
           GatewayIntentBits.Guilds,
-          GatewayIntentBits.GuildMessages
-        ]
+          GatewayIntentBits.GuildMessages,
+          GatewayIntentBits.GuildMessageReactions
+        ],
+        partials: [Partials.Message, Partials.Reaction, Partials.User]
       });
     });
 
@@ -173,6 +191,8 @@ describe('DiscordBot', () => {
     it('should set up event handlers', () => {
       expect(mockClient.once).toHaveBeenCalledWith('ready', expect.any(Function));
       expect(mockClient.on).toHaveBeenCalledWith('interactionCreate', expect.any(Function));
+      expect(mockClient.on).toHaveBeenCalledWith('messageReactionAdd', expect.any(Function));
+      expect(mockClient.on).toHaveBeenCalledWith('messageReactionRemove', expect.any(Function));
       expect(mockClient.on).toHaveBeenCalledWith('error', expect.any(Function));
     });
   });
@@ -304,6 +324,35 @@ describe('DiscordBot', () => {
       });
     });
 
+    describe('reaction events', () => {
+      const reaction = { message: { id: 'message_1' }, emoji: { id: null, name: '🔥' } };
+
+      it('should record reactions added to and removed from messages as kudos', async () => {
+        await getEventHandler(mockClient, 'messageReactionAdd')(reaction, { id: 'user_1', bot: false });
+        await getEventHandler(mockClient, 'messageReactionRemove')(reaction, { id: 'user_1', bot: false });
+
+        expect(discordBot.kudosManager.addReaction).toHaveBeenCalledWith('message_1', 'user_1', '🔥');
+        expect(discordBot.kudosManager.removeReaction).toHaveBeenCalledWith('message_1', 'user_1', '🔥');
+      });
+
+      it('should ignore reactions from bots', async () => {
+        await getEventHandler(mockClient, 'messageReactionAdd')(reaction, { id: 'bot_2', bot: true });
+
+        expect(discordBot.kudosManager.addReaction).not.toHaveBeenCalled();
+      });
+
+      it('should log and swallow kudos storage errors', async () => {
+        discordBot.kudosManager.addReaction.mockRejectedValue(new Error('database is locked'));
+
+        await expect(getEventHandler(mockClient, 'messageReactionAdd')(reaction, { id: 'user_1', bot: false }))
+          .resolves.toBeUndefined();
+        expect(logger.discord.warn).toHaveBeenCalledWith('Failed to record kudos', expect.objectContaining({
+          messageId: 'message_1',
+          error: 'database is locked'
+        }));
+      });
+    });
+
     describe('error event', () => {
       it('should log Discord client errors', () => {
         const errorHandler = getEventHandler(mockClient, 'error');
@@ -464,7 +513,7 @@ describe('DiscordBot', () => {
       const mockPayload = { embeds: [{ title: 'Test Activity Embed' }], files: [] };
       ActivityEmbedBuilder.createActivityMessage.mockResolvedValue(mockPayload);
 
-      await discordBot.postActivity(mockActivityData);
+      await expect(discordBot.postActivity(mockActivityData)).resolves.toEqual({ id: 'message_id' });
 
       expect(mockClient.channels.fetch).toHaveBeenCalledWith(config.discord.channelId);
       expect(ActivityEmbedBuilder.createActivityMessage).toHaveBeenCalledWith(mockActivityData, { type: 'posted' });
@@ -514,6 +563,49 @@ describe('DiscordBot', () => {
       });
     });
 
+    describe('splits thread', () => {
+      const row = { distance: 1000, movingTime: 300, elevationDifference: 2, averageHeartrate: 150 };
+      let thread;
+
+      beforeEach(() => {
+        ActivityEmbedBuilder.createActivityMessage.mockResolvedValue({ embeds: [], files: [] });
+        thread = { send: jest.fn().mockResolvedValue({}) };
+        mockChannel.send.mockResolvedValue({ id: 'message_id', startThread: jest.fn().mockResolvedValue(thread) });
+      });
+
+      it('posts long split tables in a thread under the activity, 50 rows per message', async () => {
+        const splits = { unit: 'km', rows: Array(60).fill(row) };
+
+        await discordBot.postActivity({ ...mockActivityData, name: 'Ultra', splits });
+
+        const message = await mockChannel.send.mock.results[0].value;
+        expect(message.startThread).toHaveBeenCalledWith({ name: 'Splits · Ultra', autoArchiveDuration: 1440 });
+        expect(thread.send).toHaveBeenCalledTimes(2);
+        expect(thread.send.mock.calls[1][0]).toContain('   60   5:00');
+      });
+
+      it('leaves short tables to the embed', async () => {
+        await discordBot.postActivity({ ...mockActivityData, splits: { unit: 'km', rows: [row, row] } });
+
+        const message = await mockChannel.send.mock.results[0].value;
+        expect(message.startThread).not.toHaveBeenCalled();
+      });
+
+      it('still counts the activity as posted when the thread fails', async () => {
+        mockChannel.send.mockResolvedValue({
+          id: 'message_id',
+          startThread: jest.fn().mockRejectedValue(new Error('Missing Permissions')),
+        });
+
+        await expect(discordBot.postActivity({ ...mockActivityData, splits: { unit: 'km', rows: Array(20).fill(row) } }))
+          .resolves.toMatchObject({ id: 'message_id' });
+        expect(logger.discord.warn).toHaveBeenCalledWith('Failed to post splits thread', {
+          activityId: mockActivityData.id,
+          error: 'Missing Permissions'
+        });
+      });
+    });
+
     it('should handle message send errors', async () => {
       // Mock successful channel ID and fetch but message send fails
       dynamicConfig.getDiscordChannelId.mockResolvedValue(config.discord.channelId);
@@ -571,6 +663,105 @@ describe('DiscordBot', () => {
     });
   });
 
+  describe('editing and deleting activity posts', () => {
+    const post = { discord_channel_id: 'channel_1', discord_message_id: 'message_1', activity_id: '98765' };
+    let message;
+    let channel;
+
+    beforeEach(() => {
+      message = { edit: jest.fn().mockResolvedValue(), delete: jest.fn().mockResolvedValue() };
+      channel = { messages: { fetch: jest.fn().mockResolvedValue(message) } };
+      mockClient.channels.fetch.mockResolvedValue(channel);
+    });
+
+    it('should replace the embeds and images of the posted message', async () => {
+      const payload = { embeds: [{ title: 'Renamed Run' }], files: [{ name: 'map.png' }] };
+      ActivityEmbedBuilder.createActivityMessage.mockResolvedValue(payload);
+
+      await expect(discordBot.editActivityPost(post, mockActivityData)).resolves.toBe(true);
+
+      expect(mockClient.channels.fetch).toHaveBeenCalledWith('channel_1');
+      expect(channel.messages.fetch).toHaveBeenCalledWith('message_1');
+      expect(message.edit).toHaveBeenCalledWith({ ...payload, attachments: [] });
+    });
+
+    it('should delete the posted message', async () => {
+      await expect(discordBot.deleteActivityPost(post)).resolves.toBe(true);
+
+      expect(message.delete).toHaveBeenCalled();
+    });
+
+    it('should treat a message that is already gone as done', async () => {
+      channel.messages.fetch.mockRejectedValue(Object.assign(new Error('Unknown Message'), { code: 10008 }));
+
+      await expect(discordBot.deleteActivityPost(post)).resolves.toBe(false);
+      await expect(discordBot.editActivityPost(post, mockActivityData)).resolves.toBe(false);
+    });
+
+    it('should propagate other Discord errors', async () => {
+      channel.messages.fetch.mockRejectedValue(Object.assign(new Error('Missing Access'), { code: 50001 }));
+
+      await expect(discordBot.deleteActivityPost(post)).rejects.toThrow('Missing Access');
+    });
+  });
+
+  describe('sendDirectMessage', () => {
+    it('DMs the user', async () => {
+      const user = { send: jest.fn().mockResolvedValue({}) };
+      mockClient.users.fetch = jest.fn().mockResolvedValue(user);
+
+      await expect(discordBot.sendDirectMessage('555', { content: 'hi' })).resolves.toBe(true);
+
+      expect(mockClient.users.fetch).toHaveBeenCalledWith('555');
+      expect(user.send).toHaveBeenCalledWith({ content: 'hi' });
+    });
+
+    it('returns false when the user has DMs closed', async () => {
+      const user = { send: jest.fn().mockRejectedValue(Object.assign(new Error('Cannot send messages to this user'), { code: 50007 })) };
+      mockClient.users.fetch = jest.fn().mockResolvedValue(user);
+
+      await expect(discordBot.sendDirectMessage('555', { content: 'hi' })).resolves.toBe(false);
+      expect(logger.discord.warn).toHaveBeenCalledWith('Failed to send direct message', {
+        discordUserId: '555',
+        error: 'Cannot send messages to this user'
+      });
+    });
+  });
+
+  describe('isGuildMember', () => {
+    let guild;
+
+    beforeEach(() => {
+      guild = { members: { fetch: jest.fn().mockResolvedValue({ id: '555' }) } };
+      dynamicConfig.getDiscordChannelId.mockResolvedValue(config.discord.channelId);
+      mockClient.channels.fetch.mockResolvedValue({ guild });
+    });
+
+    it('asks Discord for the member of the channel\'s server', async () => {
+      await expect(discordBot.isGuildMember('555')).resolves.toBe(true);
+
+      expect(guild.members.fetch).toHaveBeenCalledWith({ user: '555', force: true });
+    });
+
+    it('returns false for users who are not in the server', async () => {
+      guild.members.fetch.mockRejectedValue(Object.assign(new Error('Unknown Member'), { code: 10007 }));
+
+      await expect(discordBot.isGuildMember('555')).resolves.toBe(false);
+    });
+
+    it('returns false without a channel', async () => {
+      dynamicConfig.getDiscordChannelId.mockResolvedValueOnce(null);
+
+      await expect(discordBot.isGuildMember('555')).resolves.toBe(false);
+    });
+
+    it('propagates other Discord errors', async () => {
+      guild.members.fetch.mockRejectedValue(Object.assign(new Error('Missing Access'), { code: 50001 }));
+
+      await expect(discordBot.isGuildMember('555')).rejects.toThrow('Missing Access');
+    });
+  });
+
   describe('stop', () => {
     it('should destroy Discord client', async () => {
       mockClient.destroy.mockResolvedValue();
@@ -684,7 +875,7 @@ describe('DiscordBot', () => {
       const mockChannel = { send: jest.fn().mockResolvedValue({}) };
       mockClient.channels.fetch.mockResolvedValue(mockChannel);
 
-      await expect(discordBot.postActivity(malformedActivity)).resolves.toBeUndefined();
+      await expect(discordBot.postActivity(malformedActivity)).resolves.toEqual({});
       // Should handle gracefully with logging
     });
 
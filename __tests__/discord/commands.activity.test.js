@@ -0,0 +1,235 @@
+// Focused test for the /activity slash command handler.
+// We mock the heavy collaborators so this stays a pure unit test.
+jest.mock('../../src/managers/RaceManager', () => jest.fn().mockImplementation(() => ({})));
+jest.mock('../../src/managers/PBManager', () => jest.fn().mockImplementation(() => ({})));
+jest.mock('../../src/managers/LeaderboardManager', () => jest.fn().mockImplementation(() => ({})));
+jest.mock('../../src/managers/ChallengeManager', () => jest.fn().mockImplementation(() => ({})));
+jest.mock('../../src/managers/PreferencesManager', () => jest.fn().mockImplementation(() => ({})));
+jest.mock('../../src/managers/KudosManager', () => jest.fn().mockImplementation(() => ({})));
+
+jest.mock('../../src/utils/Logger', () => ({
+  discord: { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() },
+}));
+
+jest.mock('../../config/config', () => ({
+  server: { baseUrl: 'https://test.example.com' },
+}));
+
+const DiscordCommands = require('../../src/discord/commands');
+
+describe('DiscordCommands - /activity', () => {
+  let commands;
+  let mockInteraction;
+  let mockActivityProcessor;
+  let databaseManager;
+
+  const replyEmbed = () => mockInteraction.editReply.mock.calls[0][0].embeds[0].toJSON();
+  const field = (json, name) => json.fields?.find(f => f.name === name)?.value;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    databaseManager = {
+      getActivityOutcome: jest.fn().mockResolvedValue(null),
+      getActivityPosts: jest.fn().mockResolvedValue([]),
+    };
+    mockActivityProcessor = {
+      memberManager: {
+        databaseManager,
+        getMemberByAthleteId: jest.fn().mockResolvedValue({ discordUserId: '555' }),
+      },
+      activityQueue: { getQueuedActivity: jest.fn().mockReturnValue(null) },
+      retryQueue: {
+        getRetry: jest.fn().mockResolvedValue(null),
+        retryNow: jest.fn(),
+        retryDeadLetters: jest.fn().mockResolvedValue([]),
+      },
+    };
+    commands = new DiscordCommands(mockActivityProcessor);
+
+    mockInteraction = {
+      commandName: 'activity',
+      options: {
+        getSubcommand: jest.fn().mockReturnValue('status'),
+        getString: jest.fn().mockReturnValue('https://www.strava.com/activities/98765'),
+      },
+      user: { tag: 'admin#0' },
+      deferReply: jest.fn().mockResolvedValue(undefined),
+      editReply: jest.fn().mockResolvedValue(undefined),
+    };
+  });
+
+  it('explains why an activity was not posted', async () => {
+    databaseManager.getActivityOutcome.mockResolvedValue({
+      provider: 'strava',
+      activity_id: '98765',
+      member_athlete_id: 12345,
+      outcome: 'filtered',
+      reason: 'Walk is muted in preferences',
+      attempts: 1,
+      updated_at: '2026-05-03T08:00:00.000Z',
+    });
+
+    await commands.handleActivityCommand(mockInteraction, mockInteraction.options);
+
+    expect(mockInteraction.deferReply).toHaveBeenCalledWith({ ephemeral: true });
+    expect(databaseManager.getActivityOutcome).toHaveBeenCalledWith('98765');
+    const json = replyEmbed();
+    expect(json.title).toBe('🔎 Activity 98765');
+    expect(field(json, 'Outcome')).toBe('🚫 Not posted (filtered)');
+    expect(field(json, 'Member')).toBe('<@555>');
+    expect(field(json, 'Reason')).toBe('Walk is muted in preferences');
+    expect(field(json, 'Processed')).toBe('<t:1777795200:f>');
+  });
+
+  it('links the messages of a posted activity and shows retries', async () => {
+    mockInteraction.options.getString.mockReturnValue('i176829341');
+    databaseManager.getActivityOutcome.mockResolvedValue({
+      provider: 'intervals', member_athlete_id: 12345, outcome: 'posted', reason: null, attempts: 2,
+      updated_at: '2026-05-03T08:00:00.000Z',
+    });
+    databaseManager.getActivityPosts.mockResolvedValue([
+      { discord_guild_id: 'g', discord_channel_id: 'c', discord_message_id: 'm1' },
+    ]);
+
+    await commands.handleActivityCommand(mockInteraction, mockInteraction.options);
+
+    const json = replyEmbed();
+    expect(field(json, 'Provider')).toBe('intervals.icu');
+    expect(field(json, 'Reason')).toBeUndefined();
+    expect(field(json, 'Processed')).toContain('(2 attempts)');
+    expect(field(json, '💬 Messages')).toBe('https://discord.com/channels/g/c/m1');
+  });
+
+  it('shows an activity still waiting in the posting queue', async () => {
+    mockActivityProcessor.activityQueue.getQueuedActivity.mockReturnValue({
+      status: 'queued', scheduledTime: new Date('2026-05-03T08:15:00.000Z'),
+    });
+
+    await commands.handleActivityCommand(mockInteraction, mockInteraction.options);
+
+    const json = replyEmbed();
+    expect(json.description).toBeUndefined();
+    expect(field(json, '📬 Queue')).toBe('Waiting out the posting delay, posts <t:1777796100:R>');
+  });
+
+  it('says so when the bot never saw the activity', async () => {
+    await commands.handleActivityCommand(mockInteraction, mockInteraction.options);
+
+    expect(replyEmbed().description).toContain('No record of this activity');
+  });
+
+  it('rejects input that is not an activity id or link', async () => {
+    mockInteraction.options.getString.mockReturnValue('my morning run');
+
+    await commands.handleActivityCommand(mockInteraction, mockInteraction.options);
+
+    expect(databaseManager.getActivityOutcome).not.toHaveBeenCalled();
+    expect(mockInteraction.editReply).toHaveBeenCalledWith({
+      content: '❌ Invalid activity. Use a Strava or intervals.icu activity id or link.',
+    });
+  });
+
+  it('replies with an error when the lookup fails', async () => {
+    databaseManager.getActivityOutcome.mockRejectedValue(new Error('db down'));
+
+    await commands.handleActivityCommand(mockInteraction, mockInteraction.options);
+
+    expect(mockInteraction.editReply).toHaveBeenCalledWith({ content: '❌ Failed to look up the activity.' });
+  });
+
+  it('shows when a failed activity is retried next, or that it was dead-lettered', async () => {
+    databaseManager.getActivityOutcome.mockResolvedValue({
+      provider: 'strava', member_athlete_id: 12345, outcome: 'failed', reason: 'Request failed with status code 503',
+      attempts: 3, updated_at: '2026-05-03T08:00:00.000Z',
+    });
+    mockActivityProcessor.retryQueue.getRetry.mockResolvedValue({
+      status: 'pending', attempts: 3, next_attempt_at: '2026-05-03T08:08:00.000Z',
+    });
+
+    await commands.handleActivityCommand(mockInteraction, mockInteraction.options);
+
+    expect(mockActivityProcessor.retryQueue.getRetry).toHaveBeenCalledWith('98765');
+    expect(field(replyEmbed(), '🔁 Retries')).toBe('3 failed so far, next attempt <t:1777795680:R>');
+
+    mockInteraction.editReply.mockClear();
+    mockActivityProcessor.retryQueue.getRetry.mockResolvedValue({ status: 'dead', attempts: 8 });
+
+    await commands.handleActivityCommand(mockInteraction, mockInteraction.options);
+
+    expect(field(replyEmbed(), '🔁 Retries')).toBe('Gave up after 8 failed attempts, use `/activity retry`');
+  });
+
+  describe('retry', () => {
+    beforeEach(() => {
+      mockInteraction.options.getSubcommand.mockReturnValue('retry');
+    });
+
+    it('retries a failed activity right away', async () => {
+      databaseManager.getActivityOutcome.mockResolvedValue({ outcome: 'failed', member_athlete_id: 12345 });
+      mockActivityProcessor.retryQueue.retryNow.mockResolvedValue({ outcome: 'posted' });
+
+      await commands.handleActivityCommand(mockInteraction, mockInteraction.options);
+
+      expect(databaseManager.getActivityOutcome).toHaveBeenCalledWith('98765', 'strava');
+      expect(mockActivityProcessor.retryQueue.retryNow).toHaveBeenCalledWith('98765', 12345);
+      expect(mockInteraction.editReply).toHaveBeenCalledWith({ content: '🔁 Activity 98765 retried: ✅ Posted.' });
+    });
+
+    it('says when the activity fails again', async () => {
+      mockActivityProcessor.retryQueue.getRetry.mockResolvedValue({ athlete_id: 12345, status: 'dead', attempts: 8 });
+      mockActivityProcessor.retryQueue.retryNow.mockResolvedValue({ outcome: 'failed', reason: 'Discord API error' });
+
+      await commands.handleActivityCommand(mockInteraction, mockInteraction.options);
+
+      expect(mockActivityProcessor.retryQueue.retryNow).toHaveBeenCalledWith('98765', 12345);
+      expect(mockInteraction.editReply).toHaveBeenCalledWith({
+        content: '❌ Activity 98765 failed again: Discord API error. It will be retried automatically.',
+      });
+    });
+
+    it('leaves activities that already went through alone', async () => {
+      databaseManager.getActivityOutcome.mockResolvedValue({ outcome: 'filtered', member_athlete_id: 12345 });
+
+      await commands.handleActivityCommand(mockInteraction, mockInteraction.options);
+
+      expect(mockActivityProcessor.retryQueue.retryNow).not.toHaveBeenCalled();
+      expect(mockInteraction.editReply.mock.calls[0][0].content).toContain('Nothing to retry');
+    });
+
+    it('refuses unknown and intervals.icu activities', async () => {
+      await commands.handleActivityCommand(mockInteraction, mockInteraction.options);
+      expect(mockInteraction.editReply).toHaveBeenLastCalledWith({ content: '❌ No failed activity 98765 on record.' });
+
+      mockInteraction.options.getString.mockReturnValue('i176829341');
+      await commands.handleActivityCommand(mockInteraction, mockInteraction.options);
+      expect(mockInteraction.editReply).toHaveBeenLastCalledWith({
+        content: 'ℹ️ intervals.icu activities are retried by the next poll.',
+      });
+
+      expect(mockActivityProcessor.retryQueue.retryNow).not.toHaveBeenCalled();
+    });
+
+    it('retries every dead-lettered activity without an id', async () => {
+      mockInteraction.options.getString.mockReturnValue(null);
+      mockActivityProcessor.retryQueue.retryDeadLetters.mockResolvedValue([
+        { activityId: 111, outcome: 'posted' },
+        { activityId: 222, outcome: 'failed' },
+      ]);
+
+      await commands.handleActivityCommand(mockInteraction, mockInteraction.options);
+
+      const json = replyEmbed();
+      expect(json.description).toBe('`111` — ✅ Posted\n`222` — ❌ Failed');
+      expect(json.footer.text).toBe('1 still failing, retried automatically from now on');
+    });
+
+    it('says when there is nothing dead-lettered', async () => {
+      mockInteraction.options.getString.mockReturnValue(null);
+
+      await commands.handleActivityCommand(mockInteraction, mockInteraction.options);
+
+      expect(mockInteraction.editReply).toHaveBeenCalledWith({ content: '📭 No dead-lettered activities to retry.' });
+    });
+  });
+});
@@ -0,0 +1,215 @@
+// Focused test for the /challenge slash command handlers.
+// We mock the heavy collaborators so this stays a pure unit test.
+jest.mock('../../src/utils/EmbedBuilder', () => ({
+  buildChallengeStatusEmbed: jest.fn(() => ({ __mockStatusEmbed: true })),
+  formatChallengeGoal: jest.fn(() => '**500.00 km** as a team'),
+}));
+
+jest.mock('../../src/managers/ChallengeManager', () => jest.fn().mockImplementation(() => ({
+  createChallenge: jest.fn(),
+  joinChallenge: jest.fn(),
+  leaveChallenge: jest.fn(),
+  getChallenge: jest.fn(),
+  listChallenges: jest.fn(),
+  getProgress: jest.fn(),
+  hasEnded: jest.fn(() => false),
+})));
+
+jest.mock('../../src/managers/PBManager', () => jest.fn().mockImplementation(() => ({})));
+jest.mock('../../src/managers/RaceManager', () => jest.fn().mockImplementation(() => ({})));
+jest.mock('../../src/managers/LeaderboardManager', () => jest.fn().mockImplementation(() => ({})));
+
+jest.mock('../../src/utils/Logger', () => ({
+  discord: { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() },
+}));
+
+jest.mock('../../config/config', () => ({
+  server: { baseUrl: 'https://test.example.com' },
+}));
+
+const { PermissionFlagsBits } = require('discord.js');
+const DiscordCommands = require('../../src/discord/commands');
+const ActivityEmbedBuilder = require('../../src/utils/EmbedBuilder');
+
+describe('DiscordCommands - /challenge', () => {
+  let commands;
+  let mockInteraction;
+  let mockActivityProcessor;
+  let optionValues;
+
+  const challenge = {
+    id: 7,
+    name: '500 km in March',
+    metric: 'distance',
+    scope: 'team',
+    target_value: 500000,
+    start_date: '2026-03-01',
+    end_date: '2026-03-31',
+    status: 'active',
+  };
+
+  const runSubcommand = async (subcommand, values = {}) => {
+    mockInteraction.options.getSubcommand.mockReturnValue(subcommand);
+    optionValues = values;
+    await commands.handleChallengeCommand(mockInteraction, mockInteraction.options);
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockActivityProcessor = {
+      memberManager: { getMemberByAthleteId: jest.fn() },
+    };
+
+    commands = new DiscordCommands(mockActivityProcessor);
+    commands.challengeManager.getProgress.mockResolvedValue({ challenge, entries: [] });
+
+    optionValues = {};
+    mockInteraction = {
+      commandName: 'challenge',
+      options: {
+        getSubcommand: jest.fn(),
+        getString: jest.fn(name => optionValues[name] ?? null),
+        getInteger: jest.fn(name => optionValues[name] ?? null),
+      },
+      user: { id: 'discord-1', tag: 'tester#0' },
+      memberPermissions: { has: jest.fn(() => true) },
+      reply: jest.fn().mockResolvedValue(undefined),
+      deferReply: jest.fn().mockResolvedValue(undefined),
+      editReply: jest.fn().mockResolvedValue(undefined),
+    };
+  });
+
+  describe('create', () => {
+    const createOptions = { name: '500 km in March', metric: 'distance', target: 500, end_date: '31-03-2026' };
+
+    test('requires Manage Server', async () => {
+      mockInteraction.memberPermissions.has.mockReturnValue(false);
+
+      await runSubcommand('create', createOptions);
+
+      expect(mockInteraction.memberPermissions.has).toHaveBeenCalledWith(PermissionFlagsBits.ManageGuild);
+      expect(mockInteraction.reply).toHaveBeenCalledWith(expect.objectContaining({ ephemeral: true }));
+      expect(commands.challengeManager.createChallenge).not.toHaveBeenCalled();
+    });
+
+    test('creates the challenge and posts its status publicly', async () => {
+      commands.challengeManager.createChallenge.mockResolvedValue(challenge);
+
+      await runSubcommand('create', createOptions);
+
+      expect(mockInteraction.deferReply).toHaveBeenCalledWith();
+      expect(commands.challengeManager.createChallenge).toHaveBeenCalledWith('discord-1', {
+        name: '500 km in March',
+        metric: 'distance',
+        target: 500,
+        endDate: '31-03-2026',
+        startDate: null,
+        scope: 'team',
+        description: null,
+      });
+      expect(commands.challengeManager.getProgress).toHaveBeenCalledWith(challenge, mockActivityProcessor.memberManager);
+      expect(mockInteraction.editReply).toHaveBeenCalledWith({
+        content: expect.stringContaining('/challenge join challenge_id:7'),
+        embeds: [{ __mockStatusEmbed: true }],
+      });
+    });
+
+    test('reports validation errors', async () => {
+      commands.challengeManager.createChallenge.mockRejectedValue(new TypeError('End date must be on or after the start date'));
+
+      await runSubcommand('create', createOptions);
+
+      expect(mockInteraction.editReply).toHaveBeenCalledWith({
+        content: '❌ Failed to create challenge: End date must be on or after the start date',
+      });
+    });
+  });
+
+  describe('join / leave', () => {
+    test('joins the challenge for the calling user', async () => {
+      commands.challengeManager.joinChallenge.mockResolvedValue(challenge);
+
+      await runSubcommand('join', { challenge_id: 7 });
+
+      expect(mockInteraction.deferReply).toHaveBeenCalledWith({ ephemeral: true });
+      expect(commands.challengeManager.joinChallenge).toHaveBeenCalledWith(7, 'discord-1');
+      expect(mockInteraction.editReply.mock.calls[0][0].content).toContain('You joined **500 km in March**');
+    });
+
+    test('surfaces join errors', async () => {
+      commands.challengeManager.joinChallenge.mockRejectedValue(new Error('You have already joined this challenge'));
+
+      await runSubcommand('join', { challenge_id: 7 });
+
+      expect(mockInteraction.editReply).toHaveBeenCalledWith({
+        content: '❌ Failed to join challenge: You have already joined this challenge',
+      });
+    });
+
+    test('leaves the challenge', async () => {
+      commands.challengeManager.leaveChallenge.mockResolvedValue(challenge);
+
+      await runSubcommand('leave', { challenge_id: 7 });
+
+      expect(commands.challengeManager.leaveChallenge).toHaveBeenCalledWith(7, 'discord-1');
+      expect(mockInteraction.editReply).toHaveBeenCalledWith({ content: '👋 You left **500 km in March**.' });
+    });
+  });
+
+  describe('status', () => {
+    test('defaults to the most recent active challenge', async () => {
+      commands.challengeManager.listChallenges.mockResolvedValue([challenge]);
+
+      await runSubcommand('status');
+
+      expect(commands.challengeManager.listChallenges).toHaveBeenCalledWith({ status: 'active' });
+      expect(ActivityEmbedBuilder.buildChallengeStatusEmbed).toHaveBeenCalled();
+      expect(mockInteraction.editReply).toHaveBeenCalledWith({ embeds: [{ __mockStatusEmbed: true }] });
+    });
+
+    test('says so when there is no active challenge', async () => {
+      commands.challengeManager.listChallenges.mockResolvedValue([]);
+
+      await runSubcommand('status');
+
+      expect(mockInteraction.editReply.mock.calls[0][0].content).toContain('No active challenge');
+    });
+
+    test('reports an unknown challenge id', async () => {
+      commands.challengeManager.getChallenge.mockResolvedValue(null);
+
+      await runSubcommand('status', { challenge_id: 99 });
+
+      expect(mockInteraction.editReply).toHaveBeenCalledWith({ content: '❌ Challenge not found.' });
+    });
+  });
+
+  describe('list', () => {
+    test('lists challenges with their state', async () => {
+      commands.challengeManager.listChallenges.mockResolvedValue([
+        challenge,
+        { ...challenge, id: 6, name: 'February climb', status: 'completed' },
+      ]);
+      commands.challengeManager.hasEnded.mockReturnValue(true);
+
+      await runSubcommand('list', { status: null });
+
+      expect(commands.challengeManager.listChallenges).toHaveBeenCalledWith({});
+      const embed = mockInteraction.editReply.mock.calls[0][0].embeds[0];
+      const { description } = embed.toJSON();
+      expect(description).toContain('**#7 — 500 km in March**');
+      expect(description).toContain('⌛ ended');
+      expect(description).toContain('✅ completed');
+    });
+
+    test('says so when there are none', async () => {
+      commands.challengeManager.listChallenges.mockResolvedValue([]);
+
+      await runSubcommand('list', { status: 'completed' });
+
+      expect(commands.challengeManager.listChallenges).toHaveBeenCalledWith({ status: 'completed' });
+      expect(mockInteraction.editReply).toHaveBeenCalledWith({ content: '📭 No challenges found.' });
+    });
+  });
+});
@@ -0,0 +1,104 @@
+// Focused test for the /heartrate slash command handlers.
+// We mock the heavy collaborators so this stays a pure unit test.
+jest.mock('../../src/managers/PreferencesManager', () => jest.fn().mockImplementation(() => ({
+  getPreferencesForDiscordUser: jest.fn(),
+  setHeartRate: jest.fn(),
+  clearHeartRate: jest.fn(),
+})));
+
+jest.mock('../../src/managers/PBManager', () => jest.fn().mockImplementation(() => ({})));
+jest.mock('../../src/managers/RaceManager', () => jest.fn().mockImplementation(() => ({})));
+jest.mock('../../src/managers/LeaderboardManager', () => jest.fn().mockImplementation(() => ({})));
+jest.mock('../../src/managers/ChallengeManager', () => jest.fn().mockImplementation(() => ({})));
+
+jest.mock('../../src/utils/Logger', () => ({
+  discord: { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() },
+}));
+
+jest.mock('../../config/config', () => ({
+  server: { baseUrl: 'https://test.example.com' },
+}));
+
+const DiscordCommands = require('../../src/discord/commands');
+
+describe('DiscordCommands - /heartrate', () => {
+  let commands;
+  let mockInteraction;
+  let optionValues;
+
+  const defaults = {
+    sportTypes: null, showHeartRate: true, showPace: true, showMap: true, pausedUntil: null, privacyZones: [],
+    maxHeartRate: null, thresholdHeartRate: null,
+  };
+
+  const runSubcommand = async (subcommand, values = {}) => {
+    mockInteraction.options.getSubcommand.mockReturnValue(subcommand);
+    optionValues = values;
+    await commands.handleHeartRateCommand(mockInteraction, mockInteraction.options);
+  };
+
+  const replyEmbed = () => mockInteraction.editReply.mock.calls[0][0].embeds[0].toJSON();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    commands = new DiscordCommands({});
+
+    optionValues = {};
+    mockInteraction = {
+      commandName: 'heartrate',
+      options: {
+        getSubcommand: jest.fn(),
+        getInteger: jest.fn(name => optionValues[name] ?? null),
+      },
+      user: { id: 'discord-1', tag: 'tester#0' },
+      deferReply: jest.fn().mockResolvedValue(undefined),
+      editReply: jest.fn().mockResolvedValue(undefined),
+    };
+  });
+
+  it('explains how to set zones when none are configured', async () => {
+    commands.preferencesManager.getPreferencesForDiscordUser.mockResolvedValue(defaults);
+
+    await runSubcommand('view');
+
+    expect(mockInteraction.deferReply).toHaveBeenCalledWith({ ephemeral: true });
+    const json = replyEmbed();
+    expect(json.fields[0].value).toBe('Not set');
+    expect(json.fields[2].value).toContain('/heartrate set');
+  });
+
+  it('passes only the heart rates given and lists the zone ranges', async () => {
+    commands.preferencesManager.setHeartRate.mockResolvedValue({ ...defaults, maxHeartRate: 190, thresholdHeartRate: 170 });
+
+    await runSubcommand('set', { threshold: 170 });
+
+    expect(commands.preferencesManager.setHeartRate).toHaveBeenCalledWith('discord-1', {
+      maxHeartRate: undefined,
+      thresholdHeartRate: 170,
+    });
+    const json = replyEmbed();
+    expect(json.fields[2].value).toBe(
+      '🟦 Z1: < 145 bpm\n🟩 Z2: 145–152 bpm\n🟨 Z3: 153–161 bpm\n🟧 Z4: 162–169 bpm\n🟥 Z5: ≥ 170 bpm'
+    );
+    expect(json.footer.text).toBe('Zones from % of threshold heart rate');
+  });
+
+  it('warns when heart rate is hidden from posts', async () => {
+    commands.preferencesManager.getPreferencesForDiscordUser.mockResolvedValue({ ...defaults, showHeartRate: false, maxHeartRate: 190 });
+
+    await runSubcommand('view');
+
+    expect(replyEmbed().description).toContain('/preferences privacy');
+  });
+
+  it('reports validation errors', async () => {
+    commands.preferencesManager.setHeartRate.mockRejectedValue(new TypeError('Threshold heart rate (180) must be below max heart rate (175)'));
+
+    await runSubcommand('set', { threshold: 180 });
+
+    expect(mockInteraction.editReply).toHaveBeenCalledWith({
+      content: '❌ Failed to update heart rate: Threshold heart rate (180) must be below max heart rate (175)'
+    });
+  });
+});
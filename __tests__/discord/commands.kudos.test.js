@@ -0,0 +1,107 @@
+// Focused test for the /kudos slash command handler.
+// We mock the heavy collaborators so this stays a pure unit test.
+jest.mock('../../src/managers/KudosManager', () => jest.fn().mockImplementation(() => ({
+  getMonthlyHighlights: jest.fn(),
+})));
+
+jest.mock('../../src/managers/LeaderboardManager', () => {
+  const MockLeaderboardManager = jest.fn().mockImplementation(() => ({}));
+  MockLeaderboardManager.getPreviousMonth = jest.fn(() => ({ year: 2026, month: 4 }));
+  MockLeaderboardManager.getCurrentMonth = jest.fn(() => ({ year: 2026, month: 5 }));
+  return MockLeaderboardManager;
+});
+
+jest.mock('../../src/managers/PBManager', () => jest.fn().mockImplementation(() => ({})));
+jest.mock('../../src/managers/RaceManager', () => jest.fn().mockImplementation(() => ({})));
+jest.mock('../../src/managers/ChallengeManager', () => jest.fn().mockImplementation(() => ({})));
+jest.mock('../../src/managers/PreferencesManager', () => jest.fn().mockImplementation(() => ({})));
+
+jest.mock('../../src/utils/Logger', () => ({
+  discord: { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() },
+}));
+
+jest.mock('../../config/config', () => ({
+  server: { baseUrl: 'https://test.example.com' },
+}));
+
+const DiscordCommands = require('../../src/discord/commands');
+
+describe('DiscordCommands - /kudos', () => {
+  let commands;
+  let mockInteraction;
+  let mockActivityProcessor;
+
+  const highlights = {
+    year: 2026,
+    month: 5,
+    activities: [
+      {
+        activityId: '111', athleteId: 1, name: 'Sunday Long Run', distance: 21100, kudosCount: 7,
+        memberName: 'Alice', messageUrl: 'https://discord.com/channels/g/c/m1',
+      },
+      { activityId: '222', athleteId: 2, name: 'Easy 5k', distance: 5000, kudosCount: 4, memberName: 'Bob', messageUrl: null },
+    ],
+    supporters: [
+      { discordUserId: '900', activityCount: 12 },
+      { discordUserId: '901', activityCount: 1 },
+    ],
+  };
+
+  const replyEmbed = () => mockInteraction.editReply.mock.calls[0][0].embeds[0].toJSON();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockActivityProcessor = {
+      memberManager: { getMemberByAthleteId: jest.fn() },
+    };
+    commands = new DiscordCommands(mockActivityProcessor);
+
+    mockInteraction = {
+      commandName: 'kudos',
+      options: { getString: jest.fn().mockReturnValue(null) },
+      user: { tag: 'tester#0' },
+      deferReply: jest.fn().mockResolvedValue(undefined),
+      editReply: jest.fn().mockResolvedValue(undefined),
+    };
+  });
+
+  it('ranks the current month by default', async () => {
+    commands.kudosManager.getMonthlyHighlights.mockResolvedValue(highlights);
+
+    await commands.handleKudosCommand(mockInteraction, mockInteraction.options);
+
+    expect(commands.kudosManager.getMonthlyHighlights).toHaveBeenCalledWith({
+      year: 2026,
+      month: 5,
+      memberManager: mockActivityProcessor.memberManager,
+    });
+    const json = replyEmbed();
+    expect(json.description).toBe('Kudos in **May 2026**');
+    expect(json.fields[0].value).toBe([
+      '🥇 [Sunday Long Run](https://discord.com/channels/g/c/m1) — Alice · 21.10 km · **7** kudos',
+      '🥈 Easy 5k — Bob · 5.00 km · **4** kudos',
+    ].join('\n'));
+    expect(json.fields[1].value).toBe('🥇 <@900> — cheered on **12** activities\n🥈 <@901> — cheered on **1** activity');
+  });
+
+  it('looks at the previous month on request', async () => {
+    mockInteraction.options.getString.mockReturnValue('previous');
+    commands.kudosManager.getMonthlyHighlights.mockResolvedValue({ year: 2026, month: 4, activities: [], supporters: [] });
+
+    await commands.handleKudosCommand(mockInteraction, mockInteraction.options);
+
+    expect(commands.kudosManager.getMonthlyHighlights.mock.calls[0][0].month).toBe(4);
+    const json = replyEmbed();
+    expect(json.description).toContain('No kudos in **April 2026** yet');
+    expect(json.fields).toBeUndefined();
+  });
+
+  it('replies with an error when the kudos cannot be read', async () => {
+    commands.kudosManager.getMonthlyHighlights.mockRejectedValue(new Error('db down'));
+
+    await commands.handleKudosCommand(mockInteraction, mockInteraction.options);
+
+    expect(mockInteraction.editReply).toHaveBeenCalledWith({ content: '❌ Failed to render kudos.' });
+  });
+});
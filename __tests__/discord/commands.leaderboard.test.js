@@ -2,14 +2,19 @@
 // We mock the heavy collaborators so this stays a pure unit test.
 jest.mock('../../src/utils/EmbedBuilder', () => ({
   buildMonthlyLeaderboardEmbed: jest.fn(() => ({ __mockEmbed: true })),
+  buildWeeklyLeaderboardEmbed: jest.fn(() => ({ __mockWeeklyEmbed: true })),
 }));
 
 jest.mock('../../src/managers/LeaderboardManager', () => {
   const MockLeaderboardManager = jest.fn().mockImplementation(() => ({
     getMonthlyLeaderboard: jest.fn(),
+    getWeeklyLeaderboard: jest.fn(),
   }));
   MockLeaderboardManager.getPreviousMonth = jest.fn(() => ({ year: 2026, month: 4 }));
   MockLeaderboardManager.getCurrentMonth = jest.fn(() => ({ year: 2026, month: 5 }));
+  MockLeaderboardManager.getPreviousWeek = jest.fn(() => ({ year: 2026, week: 19 }));
+  MockLeaderboardManager.getCurrentWeek = jest.fn(() => ({ year: 2026, week: 20 }));
+  MockLeaderboardManager.rankBy = jest.fn(entries => entries);
   return MockLeaderboardManager;
 });
 
@@ -22,6 +27,7 @@ jest.mock('../../src/utils/Logger', () => ({
 
 jest.mock('../../config/config', () => ({
   server: { baseUrl: 'https://test.example.com' },
+  scheduler: { timezone: 'Europe/Paris' },
 }));
 
 const DiscordCommands = require('../../src/discord/commands');
@@ -72,6 +78,30 @@ describe('DiscordCommands - /leaderboard', () => {
     expect(mockInteraction.editReply).toHaveBeenCalledWith({ embeds: [{ __mockEmbed: true }] });
   });
 
+  test('ranks by distance when no metric is supplied', async () => {
+    mockInteraction.options.getString.mockReturnValue(null);
+
+    await commands.handleLeaderboardCommand(mockInteraction, mockInteraction.options);
+
+    expect(LeaderboardManager.rankBy).toHaveBeenCalledWith(expect.any(Array), 'distance');
+    expect(ActivityEmbedBuilder.buildMonthlyLeaderboardEmbed).toHaveBeenCalledWith(
+      expect.any(Object), { metric: 'distance' }
+    );
+  });
+
+  test('re-ranks entries by the requested metric', async () => {
+    const ranked = [{ athleteId: 2, memberName: 'Bob', totalDistanceM: 1000, totalElevationM: 800, activityCount: 1 }];
+    LeaderboardManager.rankBy.mockReturnValueOnce(ranked);
+    mockInteraction.options.getString.mockImplementation(name => (name === 'metric' ? 'elevation' : null));
+
+    await commands.handleLeaderboardCommand(mockInteraction, mockInteraction.options);
+
+    expect(LeaderboardManager.rankBy).toHaveBeenCalledWith(expect.any(Array), 'elevation');
+    expect(ActivityEmbedBuilder.buildMonthlyLeaderboardEmbed).toHaveBeenCalledWith(
+      expect.objectContaining({ entries: ranked }), { metric: 'elevation' }
+    );
+  });
+
   test('uses previous month when option is "previous"', async () => {
     mockInteraction.options.getString.mockReturnValue('previous');
 
@@ -83,6 +113,62 @@ describe('DiscordCommands - /leaderboard', () => {
     });
   });
 
+  describe('period:week', () => {
+    beforeEach(() => {
+      commands.leaderboardManager.getWeeklyLeaderboard = jest.fn().mockResolvedValue({
+        year: 2026, week: 20, startDate: '', endDate: '',
+        entries: [{ athleteId: 1, memberName: 'Alice', totalDistanceM: 12000, activityCount: 2 }],
+      });
+    });
+
+    test('uses the current ISO week in the scheduler timezone by default', async () => {
+      mockInteraction.options.getString.mockImplementation(name => (name === 'period' ? 'week' : null));
+
+      await commands.handleLeaderboardCommand(mockInteraction, mockInteraction.options);
+
+      expect(LeaderboardManager.getCurrentWeek).toHaveBeenCalledWith(expect.any(Date), 'Europe/Paris');
+      expect(commands.leaderboardManager.getWeeklyLeaderboard).toHaveBeenCalledWith({
+        year: 2026, week: 20, memberManager: mockActivityProcessor.memberManager,
+      });
+      expect(commands.leaderboardManager.getMonthlyLeaderboard).not.toHaveBeenCalled();
+      expect(ActivityEmbedBuilder.buildWeeklyLeaderboardEmbed).toHaveBeenCalled();
+      expect(mockInteraction.editReply).toHaveBeenCalledWith({ embeds: [{ __mockWeeklyEmbed: true }] });
+    });
+
+    test('passes the metric through to the weekly embed', async () => {
+      mockInteraction.options.getString.mockImplementation(name => ({ period: 'week', metric: 'streak' })[name] ?? null);
+
+      await commands.handleLeaderboardCommand(mockInteraction, mockInteraction.options);
+
+      expect(LeaderboardManager.rankBy).toHaveBeenCalledWith(expect.any(Array), 'streak');
+      expect(ActivityEmbedBuilder.buildWeeklyLeaderboardEmbed).toHaveBeenCalledWith(
+        expect.any(Object), { metric: 'streak' }
+      );
+    });
+
+    test('uses the previous ISO week when month option is "previous"', async () => {
+      mockInteraction.options.getString.mockImplementation(name => (name === 'period' ? 'week' : 'previous'));
+
+      await commands.handleLeaderboardCommand(mockInteraction, mockInteraction.options);
+
+      expect(LeaderboardManager.getPreviousWeek).toHaveBeenCalledWith(expect.any(Date), 'Europe/Paris');
+      expect(commands.leaderboardManager.getWeeklyLeaderboard).toHaveBeenCalledWith({
+        year: 2026, week: 19, memberManager: mockActivityProcessor.memberManager,
+      });
+    });
+
+    test('replies with error message when the weekly query throws', async () => {
+      mockInteraction.options.getString.mockImplementation(name => (name === 'period' ? 'week' : null));
+      commands.leaderboardManager.getWeeklyLeaderboard.mockRejectedValue(new Error('boom'));
+
+      await commands.handleLeaderboardCommand(mockInteraction, mockInteraction.options);
+
+      expect(mockInteraction.editReply).toHaveBeenCalledWith(
+        expect.objectContaining({ content: expect.stringMatching(/failed/i) })
+      );
+    });
+  });
+
   test('replies with error message when the manager throws', async () => {
     mockInteraction.options.getString.mockReturnValue('current');
     commands.leaderboardManager.getMonthlyLeaderboard.mockRejectedValue(new Error('boom'));
@@ -0,0 +1,153 @@
+// Focused test for the /pb history and /pb records slash command handlers.
+// We mock the heavy collaborators so this stays a pure unit test.
+jest.mock('../../src/managers/PBManager', () => jest.fn().mockImplementation(() => ({
+  getPBHistoryByDiscordId: jest.fn(),
+  formatPBHistory: jest.fn(),
+  getClubRecords: jest.fn(),
+  formatClubRecordsForEmbed: jest.fn(),
+})));
+jest.mock('../../src/managers/RaceManager', () => jest.fn().mockImplementation(() => ({})));
+jest.mock('../../src/managers/LeaderboardManager', () => jest.fn().mockImplementation(() => ({})));
+jest.mock('../../src/managers/ChallengeManager', () => jest.fn().mockImplementation(() => ({})));
+jest.mock('../../src/managers/PreferencesManager', () => jest.fn().mockImplementation(() => ({})));
+jest.mock('../../src/managers/KudosManager', () => jest.fn().mockImplementation(() => ({})));
+jest.mock('../../src/maps/PBProgressionRenderer', () => ({
+  instance: { renderProgression: jest.fn() },
+}));
+
+jest.mock('../../src/utils/Logger', () => ({
+  discord: { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() },
+}));
+
+jest.mock('../../config/config', () => ({
+  server: { baseUrl: 'https://test.example.com' },
+}));
+
+const PBProgressionRenderer = require('../../src/maps/PBProgressionRenderer');
+const DiscordCommands = require('../../src/discord/commands');
+
+describe('DiscordCommands - /pb', () => {
+  let commands;
+  let mockInteraction;
+
+  const HISTORY = [
+    { activity_date: '2025-09-14', elapsed_time: 1500, improvement: null },
+    { activity_date: '2026-03-18', elapsed_time: 1410, improvement: '-1:30' },
+  ];
+
+  const reply = () => mockInteraction.editReply.mock.calls[0][0];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    commands = new DiscordCommands({ memberManager: {} });
+    commands.pbManager.getPBHistoryByDiscordId.mockResolvedValue(HISTORY);
+    commands.pbManager.formatPBHistory.mockReturnValue(['**Mar 18, 2026** — 23:30 (-1:30)', '**Sep 14, 2025** — 25:00 (first record)']);
+    PBProgressionRenderer.instance.renderProgression.mockResolvedValue(Buffer.from('png'));
+
+    mockInteraction = {
+      commandName: 'pb',
+      options: {
+        getSubcommand: jest.fn().mockReturnValue('history'),
+        getString: jest.fn().mockReturnValue('5K'),
+        getUser: jest.fn().mockReturnValue(null),
+      },
+      user: { id: '555', tag: 'alice#0', username: 'alice' },
+      member: { displayName: 'Alice' },
+      deferReply: jest.fn().mockResolvedValue(undefined),
+      editReply: jest.fn().mockResolvedValue(undefined),
+    };
+  });
+
+  it('shows the progression with a chart', async () => {
+    await commands.handlePBCommand(mockInteraction, mockInteraction.options);
+
+    expect(commands.pbManager.getPBHistoryByDiscordId).toHaveBeenCalledWith('555', '5K');
+    const json = reply().embeds[0].toJSON();
+    expect(json.title).toBe('📈 5K progression — Alice');
+    expect(json.description).toBe('**Mar 18, 2026** — 23:30 (-1:30)\n**Sep 14, 2025** — 25:00 (first record)');
+    expect(json.footer.text).toBe('2 records');
+    expect(json.image.url).toBe('attachment://pb-progression.png');
+    expect(reply().files).toHaveLength(1);
+  });
+
+  it('looks up another member and skips the chart when there is nothing to draw', async () => {
+    mockInteraction.options.getUser.mockReturnValue({ id: '777', username: 'bob', globalName: 'Bob' });
+    commands.pbManager.getPBHistoryByDiscordId.mockResolvedValue(HISTORY.slice(0, 1));
+    PBProgressionRenderer.instance.renderProgression.mockResolvedValue(null);
+
+    await commands.handlePBCommand(mockInteraction, mockInteraction.options);
+
+    expect(commands.pbManager.getPBHistoryByDiscordId).toHaveBeenCalledWith('777', '5K');
+    const json = reply().embeds[0].toJSON();
+    expect(json.title).toBe('📈 5K progression — Bob');
+    expect(json.footer.text).toBe('1 record');
+    expect(json.image).toBeUndefined();
+    expect(reply().files).toEqual([]);
+  });
+
+  it('says when there is no record yet', async () => {
+    commands.pbManager.getPBHistoryByDiscordId.mockResolvedValue([]);
+
+    await commands.handlePBCommand(mockInteraction, mockInteraction.options);
+
+    expect(reply().content).toContain('📭 No 5K record yet for **Alice**');
+    expect(PBProgressionRenderer.instance.renderProgression).not.toHaveBeenCalled();
+  });
+
+  it('replies with an error when the lookup fails', async () => {
+    commands.pbManager.getPBHistoryByDiscordId.mockRejectedValue(new Error('db down'));
+
+    await commands.handlePBCommand(mockInteraction, mockInteraction.options);
+
+    expect(mockInteraction.editReply).toHaveBeenCalledWith({ content: '❌ Failed to retrieve the PB history.' });
+  });
+
+  describe('records', () => {
+    const FIELD = { name: '🏅 5K', value: '**Club** — 18:20 · Bob B · Jun 1, 2025', inline: false };
+
+    beforeEach(() => {
+      mockInteraction.options.getSubcommand.mockReturnValue('records');
+      mockInteraction.options.getString.mockReturnValue(null);
+      commands.pbManager.getClubRecords.mockResolvedValue([{ category: '5K', records: [] }]);
+      commands.pbManager.formatClubRecordsForEmbed.mockReturnValue([FIELD]);
+    });
+
+    it('shows every record distance without age groups', async () => {
+      await commands.handlePBCommand(mockInteraction, mockInteraction.options);
+
+      expect(commands.pbManager.getClubRecords).toHaveBeenCalledWith(undefined);
+      expect(commands.pbManager.formatClubRecordsForEmbed).toHaveBeenCalledWith(expect.any(Array), { ageGroups: false });
+      const json = reply().embeds[0].toJSON();
+      expect(json.title).toBe('🏛️ Club records');
+      expect(json.fields).toEqual([FIELD]);
+      expect(json.footer.text).toContain('/pb records category:');
+    });
+
+    it('adds the age groups for one distance', async () => {
+      mockInteraction.options.getString.mockReturnValue('5K');
+
+      await commands.handlePBCommand(mockInteraction, mockInteraction.options);
+
+      expect(commands.pbManager.getClubRecords).toHaveBeenCalledWith(['5K']);
+      expect(commands.pbManager.formatClubRecordsForEmbed).toHaveBeenCalledWith(expect.any(Array), { ageGroups: true });
+      expect(reply().embeds[0].toJSON().title).toBe('🏛️ Club records — 5K');
+    });
+
+    it('says when there are no records yet', async () => {
+      commands.pbManager.formatClubRecordsForEmbed.mockReturnValue([]);
+
+      await commands.handlePBCommand(mockInteraction, mockInteraction.options);
+
+      expect(reply().content).toContain('📭 No club records yet.');
+    });
+
+    it('replies with an error when the lookup fails', async () => {
+      commands.pbManager.getClubRecords.mockRejectedValue(new Error('db down'));
+
+      await commands.handlePBCommand(mockInteraction, mockInteraction.options);
+
+      expect(mockInteraction.editReply).toHaveBeenCalledWith({ content: '❌ Failed to retrieve the club records.' });
+    });
+  });
+});
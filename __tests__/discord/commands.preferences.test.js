@@ -0,0 +1,139 @@
+// Focused test for the /preferences slash command handlers.
+// We mock the heavy collaborators so this stays a pure unit test.
+jest.mock('../../src/managers/PreferencesManager', () => jest.fn().mockImplementation(() => ({
+  addPrivacyZone: jest.fn(),
+  removePrivacyZone: jest.fn(),
+  getPreferencesForDiscordUser: jest.fn(),
+  setSportTypes: jest.fn(),
+  setPrivacy: jest.fn(),
+  pauseUntil: jest.fn(),
+  resume: jest.fn(),
+})));
+
+jest.mock('../../src/managers/PBManager', () => jest.fn().mockImplementation(() => ({})));
+jest.mock('../../src/managers/RaceManager', () => jest.fn().mockImplementation(() => ({})));
+jest.mock('../../src/managers/LeaderboardManager', () => jest.fn().mockImplementation(() => ({})));
+jest.mock('../../src/managers/ChallengeManager', () => jest.fn().mockImplementation(() => ({})));
+
+jest.mock('../../src/utils/Logger', () => ({
+  discord: { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() },
+}));
+
+jest.mock('../../config/config', () => ({
+  server: { baseUrl: 'https://test.example.com' },
+  map: { privacyTrimMetres: 200 },
+}));
+
+const DiscordCommands = require('../../src/discord/commands');
+
+describe('DiscordCommands - /preferences', () => {
+  let commands;
+  let mockInteraction;
+  let optionValues;
+
+  const defaults = { sportTypes: null, showHeartRate: true, showPace: true, showMap: true, showInApi: true, pausedUntil: null, privacyZones: [] };
+
+  const runSubcommand = async (subcommand, values = {}) => {
+    mockInteraction.options.getSubcommand.mockReturnValue(subcommand);
+    optionValues = values;
+    await commands.handlePreferencesCommand(mockInteraction, mockInteraction.options);
+  };
+
+  const replyEmbed = () => mockInteraction.editReply.mock.calls[0][0].embeds[0].toJSON();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    commands = new DiscordCommands({});
+
+    optionValues = {};
+    mockInteraction = {
+      commandName: 'preferences',
+      options: {
+        getSubcommand: jest.fn(),
+        getString: jest.fn(name => optionValues[name] ?? null),
+        getBoolean: jest.fn(name => optionValues[name] ?? null),
+        getInteger: jest.fn(name => optionValues[name] ?? null),
+      },
+      user: { id: 'discord-1', tag: 'tester#0' },
+      deferReply: jest.fn().mockResolvedValue(undefined),
+      editReply: jest.fn().mockResolvedValue(undefined),
+    };
+  });
+
+  it('shows the current preferences privately', async () => {
+    commands.preferencesManager.getPreferencesForDiscordUser.mockResolvedValue(defaults);
+
+    await runSubcommand('view');
+
+    expect(mockInteraction.deferReply).toHaveBeenCalledWith({ ephemeral: true });
+    const json = replyEmbed();
+    expect(json.fields[0].value).toBe('▶️ Active');
+    expect(json.fields[1].value).toContain('✅ Walking & hiking');
+    expect(json.fields[2].value).toContain('❤️ Heart rate: ✅ Shown');
+    expect(json.fields[3].value).toBe('None — the first and last 200 m of your routes are hidden instead');
+  });
+
+  it('adds a privacy zone and lists it back', async () => {
+    commands.preferencesManager.addPrivacyZone.mockResolvedValue({
+      ...defaults, privacyZones: [{ lat: 48.8566, lon: 2.3522, radius: 300 }],
+    });
+
+    await runSubcommand('zone-add', { coordinates: '48.8566, 2.3522', radius: 300 });
+
+    expect(commands.preferencesManager.addPrivacyZone).toHaveBeenCalledWith('discord-1', '48.8566, 2.3522', 300);
+    expect(replyEmbed().fields[3].value).toBe('**1.** 48.8566, 2.3522 — 300 m');
+  });
+
+  it('passes only the sports that were given', async () => {
+    commands.preferencesManager.setSportTypes.mockResolvedValue({ ...defaults, sportTypes: ['run', 'ride', 'swim', 'other'] });
+
+    await runSubcommand('sports', { walk: false });
+
+    expect(commands.preferencesManager.setSportTypes).toHaveBeenCalledWith('discord-1', { walk: false });
+    expect(replyEmbed().fields[1].value).toContain('🚫 Walking & hiking');
+  });
+
+  it('leaves privacy options that were not given undefined', async () => {
+    commands.preferencesManager.setPrivacy.mockResolvedValue({ ...defaults, showHeartRate: false });
+
+    await runSubcommand('privacy', { heart_rate: false });
+
+    expect(commands.preferencesManager.setPrivacy).toHaveBeenCalledWith('discord-1', {
+      showHeartRate: false,
+      showPace: undefined,
+      showMap: undefined,
+      showInApi: undefined,
+    });
+    expect(replyEmbed().fields[2].value).toContain('❤️ Heart rate: 🙈 Hidden');
+  });
+
+  it('opts out of the public API', async () => {
+    commands.preferencesManager.setPrivacy.mockResolvedValue({ ...defaults, showInApi: false });
+
+    await runSubcommand('privacy', { api: false });
+
+    expect(commands.preferencesManager.setPrivacy).toHaveBeenCalledWith('discord-1', expect.objectContaining({ showInApi: false }));
+    expect(replyEmbed().fields[2].value).toContain('🌐 Public API: 🙈 Hidden');
+  });
+
+  it('confirms a pause with the date in DD-MM-YYYY', async () => {
+    commands.preferencesManager.pauseUntil.mockResolvedValue({ ...defaults, pausedUntil: '2999-12-31' });
+
+    await runSubcommand('pause', { until: '31-12-2999' });
+
+    expect(commands.preferencesManager.pauseUntil).toHaveBeenCalledWith('discord-1', '31-12-2999');
+    expect(mockInteraction.editReply.mock.calls[0][0].content).toContain('paused until 31-12-2999');
+    expect(replyEmbed().fields[0].value).toBe('⏸️ Paused until 31-12-2999');
+  });
+
+  it('reports validation errors', async () => {
+    commands.preferencesManager.pauseUntil.mockRejectedValue(new TypeError('Pause date must be today or later'));
+
+    await runSubcommand('pause', { until: '01-01-2000' });
+
+    expect(mockInteraction.editReply).toHaveBeenCalledWith({
+      content: '❌ Failed to update preferences: Pause date must be today or later'
+    });
+  });
+});
@@ -0,0 +1,316 @@
+// Focused test for the race result, calendar and import parts of /my-races
+// and /all-races. Storage is mocked; formatting and import validation go
+// through the real RaceManager.
+jest.mock('../../src/managers/RaceManager', () => {
+  const ActualRaceManager = jest.requireActual('../../src/managers/RaceManager');
+  return jest.fn().mockImplementation(() => Object.assign(new ActualRaceManager(), {
+    recordResult: jest.fn(),
+    getMemberRaces: jest.fn(),
+    getAllRaces: jest.fn(),
+    addRaces: jest.fn(),
+  }));
+});
+jest.mock('../../src/managers/PBManager', () => jest.fn().mockImplementation(() => ({})));
+jest.mock('../../src/managers/LeaderboardManager', () => jest.fn().mockImplementation(() => ({})));
+jest.mock('../../src/managers/ChallengeManager', () => jest.fn().mockImplementation(() => ({})));
+jest.mock('../../src/managers/PreferencesManager', () => jest.fn().mockImplementation(() => ({})));
+jest.mock('../../src/managers/KudosManager', () => jest.fn().mockImplementation(() => ({})));
+
+jest.mock('axios');
+
+jest.mock('../../src/utils/Logger', () => ({
+  discord: { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() },
+  database: { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() },
+}));
+
+jest.mock('../../config/config', () => ({
+  server: { baseUrl: 'https://test.example.com' },
+  security: { encryptionKey: 'a'.repeat(64) },
+}));
+
+const axios = require('axios');
+const DiscordCommands = require('../../src/discord/commands');
+const RaceCalendar = require('../../src/utils/RaceCalendar');
+
+describe('DiscordCommands - race results', () => {
+  let commands;
+  let mockInteraction;
+  let values;
+
+  const reply = () => mockInteraction.editReply.mock.calls[0][0];
+
+  const SPRING = {
+    id: 1, member_athlete_id: 42, name: 'Spring Marathon', race_date: '2025-04-21', race_type: 'road',
+    distance: 'Marathon (42.2K)', distance_km: '42.2', status: 'completed', finish_time: 12900, goal_time: '3:30:00',
+  };
+  const PARIS = {
+    id: 7, member_athlete_id: 42, name: 'Paris Marathon', race_date: '2026-04-12', race_type: 'road',
+    distance: 'Marathon (42.2K)', distance_km: '42.2', status: 'completed', finish_time: 12494, goal_time: '3:30:00',
+    overall_place: 812, category_place: 45, bib_number: '1234',
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    commands = new DiscordCommands({
+      memberManager: {
+        getMemberByAthleteId: jest.fn().mockResolvedValue({ discordUser: { displayName: 'Alice' } }),
+        getMemberByDiscordId: jest.fn().mockResolvedValue({ athlete: { id: 42 }, isActive: true }),
+      },
+    });
+
+    values = {};
+    mockInteraction = {
+      options: {
+        getSubcommand: jest.fn(),
+        getString: jest.fn(name => values[name] ?? null),
+        getInteger: jest.fn(name => values[name] ?? null),
+      },
+      user: { id: '555', tag: 'alice#0' },
+      deferReply: jest.fn().mockResolvedValue(undefined),
+      editReply: jest.fn().mockResolvedValue(undefined),
+    };
+  });
+
+  describe('/my-races result', () => {
+    beforeEach(() => {
+      mockInteraction.options.getSubcommand.mockReturnValue('result');
+      values = {
+        race_id: 7, time: '3:28:14', overall_place: 812, category_place: 45, bib: '1234',
+        activity: 'https://www.strava.com/activities/98765',
+      };
+    });
+
+    it('records the result and shows it against the goal and earlier races', async () => {
+      commands.raceManager.recordResult.mockResolvedValue(PARIS);
+      commands.raceManager.getMemberRaces.mockResolvedValue([SPRING, PARIS]);
+
+      await commands.handleRaceCommand(mockInteraction, mockInteraction.options);
+
+      expect(commands.raceManager.recordResult).toHaveBeenCalledWith(7, '555', {
+        finishTime: '3:28:14', overallPlace: 812, categoryPlace: 45, bibNumber: '1234', activityId: '98765',
+      });
+      expect(commands.raceManager.getMemberRaces).toHaveBeenCalledWith('555', { status: 'completed' });
+
+      const json = reply().embeds[0].toJSON();
+      expect(json.title).toBe('🏁 Race Result Recorded');
+      expect(json.description).toContain('🎽 Bib 1234');
+      expect(json.description).toContain('⏱️ 3:28:14 (-1:46 vs goal) 🏆 PR');
+      expect(json.description).toContain('🏅 #812 overall · #45 in category');
+      expect(json.footer.text).toBe('Race #7');
+    });
+
+    it('rejects an activity that is not an id or link', async () => {
+      values.activity = 'my race';
+
+      await commands.handleRaceCommand(mockInteraction, mockInteraction.options);
+
+      expect(commands.raceManager.recordResult).not.toHaveBeenCalled();
+      expect(reply().content).toBe('❌ Invalid activity. Use a Strava or intervals.icu activity id or link.');
+    });
+
+    it('reports validation errors', async () => {
+      commands.raceManager.recordResult.mockRejectedValue(new TypeError('Finish time must be in H:MM:SS or MM:SS format'));
+
+      await commands.handleRaceCommand(mockInteraction, mockInteraction.options);
+
+      expect(reply().content).toBe('❌ Failed to record result: Finish time must be in H:MM:SS or MM:SS format');
+    });
+  });
+
+  describe('/all-races list', () => {
+    it('shows each result against the goal with PR flags', async () => {
+      mockInteraction.options.getSubcommand.mockReturnValue('list');
+      commands.raceManager.getAllRaces.mockResolvedValue([
+        PARIS,
+        SPRING,
+        { id: 9, member_athlete_id: 42, name: 'Autumn 10K', race_date: '2026-10-04', status: 'registered', distance_km: '10' },
+      ]);
+
+      await commands.handleTeamRacesCommand(mockInteraction, mockInteraction.options);
+
+      const fields = reply().embeds[0].toJSON().fields;
+      expect(fields[0].value).toMatch(/✅ COMPLETED\n⏱️ 3:28:14 \(-1:46 vs goal\) 🏆 PR$/);
+      expect(fields[1].value).toMatch(/✅ COMPLETED\n⏱️ 3:35:00 \(\+5:00 vs goal\)$/);
+      expect(fields[2].value).toMatch(/📝 REGISTERED$/);
+    });
+  });
+
+  describe('/my-races calendar', () => {
+    beforeEach(() => {
+      mockInteraction.options.getSubcommand.mockReturnValue('calendar');
+    });
+
+    it('gives the team feed and the member\'s own feed', async () => {
+      await commands.handleRaceCommand(mockInteraction, mockInteraction.options);
+
+      expect(mockInteraction.deferReply).toHaveBeenCalledWith({ ephemeral: true });
+      const json = reply().embeds[0].toJSON();
+      expect(json.fields).toEqual([
+        { name: '👥 Team races', value: 'https://test.example.com/calendar/races.ics', inline: false },
+        { name: '🏃 Your races', value: `https://test.example.com/calendar/members/${RaceCalendar.memberToken(42)}/races.ics`, inline: false },
+      ]);
+    });
+
+    it('only gives the team feed to someone who isn\'t registered', async () => {
+      commands.activityProcessor.memberManager.getMemberByDiscordId.mockResolvedValue(null);
+
+      await commands.handleRaceCommand(mockInteraction, mockInteraction.options);
+
+      expect(reply().embeds[0].toJSON().fields).toHaveLength(1);
+    });
+  });
+
+  describe('/my-races import', () => {
+    const CSV = [
+      'name,date,distance,goal',
+      'Lyon 10K,04/10/2026,10K,45:00',
+      'Paris Marathon,12/04/2026,marathon,',
+      'Someday,next sunday,,'
+    ].join('\n');
+
+    let attachment;
+
+    beforeEach(() => {
+      mockInteraction.options.getSubcommand.mockReturnValue('import');
+      mockInteraction.id = 'interaction-1';
+      attachment = { name: 'races.csv', size: CSV.length, url: 'https://cdn.discordapp.com/races.csv' };
+      mockInteraction.options.getAttachment = jest.fn(() => attachment);
+      axios.get.mockResolvedValue({ data: CSV });
+      commands.raceManager.getMemberRaces.mockResolvedValue([
+        { id: 1, name: 'Paris Marathon', race_date: '2026-04-12' }
+      ]);
+    });
+
+    const button = (customId, userId = '555') => ({
+      customId,
+      user: { id: userId, tag: 'alice#0' },
+      update: jest.fn().mockResolvedValue(undefined),
+      reply: jest.fn().mockResolvedValue(undefined),
+    });
+
+    it('previews the races to import and the skipped rows', async () => {
+      await commands.handleRaceCommand(mockInteraction, mockInteraction.options);
+
+      expect(mockInteraction.deferReply).toHaveBeenCalledWith({ ephemeral: true });
+      expect(axios.get).toHaveBeenCalledWith('https://cdn.discordapp.com/races.csv', expect.objectContaining({ responseType: 'text' }));
+
+      const json = reply().embeds[0].toJSON();
+      expect(json.title).toBe('📥 Race Import Preview');
+      expect(json.description).toBe('**1** race ready to import from **races.csv**:\n\n• **Lyon 10K** — 04-10-2026 · 10K');
+      expect(json.fields).toEqual([{
+        name: '⚠️ Skipped (2)',
+        value: 'Line 3 (Paris Marathon): Already in your races\nLine 4 (Someday): Race date must be in DD-MM-YYYY format',
+        inline: false
+      }]);
+
+      const buttons = reply().components[0].toJSON().components;
+      expect(buttons.map(b => [b.custom_id, b.label])).toEqual([
+        ['race_import_confirm:interaction-1', 'Import 1 race'],
+        ['race_import_cancel:interaction-1', 'Cancel'],
+      ]);
+      expect(commands.pendingRaceImports.get('interaction-1')).toMatchObject({ discordUserId: '555' });
+    });
+
+    it('adds the previewed races once confirmed', async () => {
+      commands.raceManager.addRaces.mockResolvedValue([
+        { id: 12, name: 'Lyon 10K', race_date: '2026-10-04', distance: '10K' }
+      ]);
+      await commands.handleRaceCommand(mockInteraction, mockInteraction.options);
+
+      const click = button('race_import_confirm:interaction-1');
+      await commands.handleButtonInteraction(click);
+
+      expect(commands.raceManager.addRaces).toHaveBeenCalledWith('555', [
+        expect.objectContaining({ name: 'Lyon 10K', raceDate: '04-10-2026', goalTime: '45:00' })
+      ]);
+      const update = click.update.mock.calls[0][0];
+      expect(update.components).toEqual([]);
+      expect(update.embeds[0].toJSON().description).toBe('• **#12 Lyon 10K** — 04-10-2026 · 10K');
+      expect(commands.pendingRaceImports.size).toBe(0);
+    });
+
+    it('adds nothing when cancelled', async () => {
+      await commands.handleRaceCommand(mockInteraction, mockInteraction.options);
+
+      const click = button('race_import_cancel:interaction-1');
+      await commands.handleButtonInteraction(click);
+
+      expect(commands.raceManager.addRaces).not.toHaveBeenCalled();
+      expect(click.update).toHaveBeenCalledWith({ content: '🚫 Import cancelled — no races were added.', embeds: [], components: [] });
+    });
+
+    it('only lets the member who imported confirm', async () => {
+      await commands.handleRaceCommand(mockInteraction, mockInteraction.options);
+
+      const click = button('race_import_confirm:interaction-1', '999');
+      await commands.handleButtonInteraction(click);
+
+      expect(commands.raceManager.addRaces).not.toHaveBeenCalled();
+      expect(click.reply).toHaveBeenCalledWith({ content: '❌ This import isn\'t yours.', ephemeral: true });
+      expect(commands.pendingRaceImports.size).toBe(1);
+    });
+
+    it('expires previews', async () => {
+      await commands.handleRaceCommand(mockInteraction, mockInteraction.options);
+      commands.pendingRaceImports.get('interaction-1').expiresAt = Date.now() - 1;
+
+      const click = button('race_import_confirm:interaction-1');
+      await commands.handleButtonInteraction(click);
+
+      expect(commands.raceManager.addRaces).not.toHaveBeenCalled();
+      expect(click.update.mock.calls[0][0].content).toMatch(/^⌛ This import preview has expired/);
+      expect(commands.pendingRaceImports.size).toBe(0);
+    });
+
+    it('shows the failure when saving fails', async () => {
+      commands.raceManager.addRaces.mockRejectedValue(new Error('Member not found or inactive'));
+      await commands.handleRaceCommand(mockInteraction, mockInteraction.options);
+
+      const click = button('race_import_confirm:interaction-1');
+      await commands.handleButtonInteraction(click);
+
+      expect(click.update).toHaveBeenCalledWith({ content: '❌ Failed to import races: Member not found or inactive', embeds: [], components: [] });
+    });
+
+    it('offers no buttons when nothing can be imported', async () => {
+      axios.get.mockResolvedValue({ data: 'name,date\nSomeday,next sunday' });
+
+      await commands.handleRaceCommand(mockInteraction, mockInteraction.options);
+
+      expect(reply().embeds[0].toJSON().title).toBe('❌ Nothing to Import');
+      expect(reply().components).toBeUndefined();
+      expect(commands.pendingRaceImports.size).toBe(0);
+    });
+
+    it('rejects other file types and large files before downloading', async () => {
+      attachment.name = 'races.xlsx';
+      await commands.handleRaceCommand(mockInteraction, mockInteraction.options);
+      expect(reply().content).toBe('❌ Only .ics and .csv files can be imported.');
+
+      attachment.name = 'races.ics';
+      attachment.size = 300 * 1024;
+      await commands.handleRaceCommand(mockInteraction, mockInteraction.options);
+      expect(mockInteraction.editReply.mock.calls[1][0].content).toBe('❌ The file is too large (max 256 KB).');
+
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+
+    it('reports files it can\'t read', async () => {
+      axios.get.mockResolvedValue({ data: 'race,when\nParis,12-04-2026' });
+
+      await commands.handleRaceCommand(mockInteraction, mockInteraction.options);
+
+      expect(reply().content).toBe('❌ Failed to read the file: The CSV needs a header row with at least "name" and "date" columns');
+    });
+
+    it('requires a registered member', async () => {
+      commands.activityProcessor.memberManager.getMemberByDiscordId.mockResolvedValue(null);
+
+      await commands.handleRaceCommand(mockInteraction, mockInteraction.options);
+
+      expect(reply().content).toBe('❌ You are not registered. Use `/register` first.');
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,270 @@
+// Focused test for /settings api-token, /settings webhooks and the settings listing.
+jest.mock('../../src/managers/RaceManager', () => jest.fn().mockImplementation(() => ({})));
+jest.mock('../../src/managers/PBManager', () => jest.fn().mockImplementation(() => ({})));
+jest.mock('../../src/managers/LeaderboardManager', () => jest.fn().mockImplementation(() => ({})));
+jest.mock('../../src/managers/ChallengeManager', () => jest.fn().mockImplementation(() => ({})));
+jest.mock('../../src/managers/PreferencesManager', () => jest.fn().mockImplementation(() => ({})));
+jest.mock('../../src/managers/KudosManager', () => jest.fn().mockImplementation(() => ({})));
+jest.mock('../../src/managers/ApiTokenManager', () => jest.fn().mockImplementation(() => ({
+  createToken: jest.fn(),
+  listTokens: jest.fn(),
+  revokeToken: jest.fn(),
+})));
+jest.mock('../../src/managers/OutboundWebhookManager', () => jest.fn().mockImplementation(() => ({
+  addWebhook: jest.fn(),
+  listWebhooks: jest.fn(),
+  removeWebhook: jest.fn(),
+  sendTest: jest.fn(),
+})));
+
+jest.mock('../../src/utils/Logger', () => ({
+  discord: { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() },
+  database: { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() },
+}));
+
+jest.mock('../../config/config', () => ({
+  server: { baseUrl: 'https://test.example.com/' },
+  security: { encryptionKey: 'a'.repeat(64) },
+}));
+
+const DiscordCommands = require('../../src/discord/commands');
+
+describe('DiscordCommands - settings', () => {
+  let commands;
+  let mockInteraction;
+  let values;
+  let settingsManager;
+
+  const reply = () => mockInteraction.editReply.mock.calls[0][0];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    settingsManager = {
+      getAllSettings: jest.fn().mockResolvedValue({
+        discord_channel_id: { value: '999' },
+        pb_sync_cursor_555: { value: '2026-01-01' },
+        api_token_abcd1234: { value: '{"hash":"…"}' },
+      }),
+      getDiscordChannelId: jest.fn().mockResolvedValue(null),
+    };
+    commands = new DiscordCommands({
+      memberManager: { databaseManager: { settingsManager } },
+    });
+
+    values = {};
+    mockInteraction = {
+      options: {
+        getSubcommand: jest.fn(),
+        getSubcommandGroup: jest.fn().mockReturnValue('api-token'),
+        getString: jest.fn(name => values[name] ?? null),
+        getInteger: jest.fn(name => values[name] ?? null),
+      },
+      user: { id: '555', tag: 'admin#0' },
+      deferReply: jest.fn().mockResolvedValue(undefined),
+      editReply: jest.fn().mockResolvedValue(undefined),
+    };
+  });
+
+  describe('/settings api-token create', () => {
+    beforeEach(() => {
+      mockInteraction.options.getSubcommand.mockReturnValue('create');
+      values = { scope: 'read', label: 'dashboard' };
+    });
+
+    it('mints a token and shows it once, privately', async () => {
+      commands.apiTokenManager.createToken.mockResolvedValue({
+        id: 'abcd1234', token: 'srb_abcd1234_secret', scope: 'read', label: 'dashboard',
+      });
+
+      await commands.handleSettingsCommand(mockInteraction, mockInteraction.options);
+
+      expect(mockInteraction.deferReply).toHaveBeenCalledWith({ ephemeral: true });
+      expect(commands.apiTokenManager.createToken).toHaveBeenCalledWith({ scope: 'read', label: 'dashboard', createdBy: '555' });
+
+      const json = reply().embeds[0].toJSON();
+      expect(json.title).toBe('🔑 API Token Created');
+      expect(json.description).toContain('```\nsrb_abcd1234_secret\n```');
+      expect(json.fields.slice(0, 3).map(field => field.value)).toEqual(['abcd1234', 'read', 'dashboard']);
+      expect(json.fields[3].value).toContain('https://test.example.com/api/admin/');
+    });
+
+    it('reports validation errors', async () => {
+      commands.apiTokenManager.createToken.mockRejectedValue(new TypeError('Label cannot exceed 50 characters'));
+
+      await commands.handleSettingsCommand(mockInteraction, mockInteraction.options);
+
+      expect(reply().content).toBe('❌ Failed to create API token: Label cannot exceed 50 characters');
+    });
+  });
+
+  describe('/settings api-token list', () => {
+    beforeEach(() => {
+      mockInteraction.options.getSubcommand.mockReturnValue('list');
+    });
+
+    it('lists tokens with their scope and last use', async () => {
+      commands.apiTokenManager.listTokens.mockResolvedValue([
+        { id: 'abcd1234', scope: 'read', label: 'dashboard', createdBy: '555', createdAt: '2026-10-01T00:00:00.000Z', lastUsedAt: '2026-10-19T12:00:00.000Z' },
+        { id: 'ef567890', scope: 'admin', label: null, createdBy: '777', createdAt: '2026-10-02T00:00:00.000Z', lastUsedAt: null },
+      ]);
+
+      await commands.handleSettingsCommand(mockInteraction, mockInteraction.options);
+
+      const json = reply().embeds[0].toJSON();
+      expect(json.description).toBe(
+        '`abcd1234` **read** — dashboard\ncreated <t:1790812800:d> by <@555>, last used <t:1792411200:R>\n\n' +
+        '`ef567890` **admin**\ncreated <t:1790899200:d> by <@777>, never used'
+      );
+      expect(json.footer.text).toBe('2 tokens');
+    });
+
+    it('says when there are none', async () => {
+      commands.apiTokenManager.listTokens.mockResolvedValue([]);
+
+      await commands.handleSettingsCommand(mockInteraction, mockInteraction.options);
+
+      expect(reply().content).toBe('📭 No API tokens. Create one with `/settings api-token create`.');
+    });
+  });
+
+  describe('/settings api-token revoke', () => {
+    beforeEach(() => {
+      mockInteraction.options.getSubcommand.mockReturnValue('revoke');
+      values = { token_id: ' ABCD1234 ' };
+    });
+
+    it('revokes the token', async () => {
+      commands.apiTokenManager.revokeToken.mockResolvedValue(true);
+
+      await commands.handleSettingsCommand(mockInteraction, mockInteraction.options);
+
+      expect(commands.apiTokenManager.revokeToken).toHaveBeenCalledWith('abcd1234');
+      expect(reply().content).toBe('🗑️ API token `abcd1234` revoked. Requests using it are now refused.');
+    });
+
+    it('says when there is no such token', async () => {
+      commands.apiTokenManager.revokeToken.mockResolvedValue(false);
+
+      await commands.handleSettingsCommand(mockInteraction, mockInteraction.options);
+
+      expect(reply().content).toBe('❌ No API token with ID `abcd1234`.');
+    });
+  });
+
+  describe('/settings webhooks', () => {
+    beforeEach(() => {
+      mockInteraction.options.getSubcommandGroup.mockReturnValue('webhooks');
+    });
+
+    it('adds a webhook and shows its secret once, privately', async () => {
+      mockInteraction.options.getSubcommand.mockReturnValue('add');
+      values = { url: 'https://hooks.example.com/srb', events: 'pb.new' };
+      commands.webhookManager.addWebhook.mockResolvedValue({
+        id: 3, url: 'https://hooks.example.com/srb', events: ['pb.new'], secret: 'whsec_secret',
+      });
+
+      await commands.handleSettingsCommand(mockInteraction, mockInteraction.options);
+
+      expect(mockInteraction.deferReply).toHaveBeenCalledWith({ ephemeral: true });
+      expect(commands.webhookManager.addWebhook).toHaveBeenCalledWith({
+        url: 'https://hooks.example.com/srb', events: 'pb.new', createdBy: '555',
+      });
+
+      const json = reply().embeds[0].toJSON();
+      expect(json.title).toBe('🪝 Webhook Added');
+      expect(json.description).toContain('```\nwhsec_secret\n```');
+      expect(json.fields.slice(0, 3).map(field => field.value)).toEqual(['#3', 'pb.new', 'https://hooks.example.com/srb']);
+    });
+
+    it('reports validation errors', async () => {
+      mockInteraction.options.getSubcommand.mockReturnValue('add');
+      values = { url: 'http://hooks.example.com' };
+      commands.webhookManager.addWebhook.mockRejectedValue(new TypeError('URL must use https'));
+
+      await commands.handleSettingsCommand(mockInteraction, mockInteraction.options);
+
+      expect(reply().content).toBe('❌ Failed to add webhook: URL must use https');
+    });
+
+    it('lists webhooks with their latest delivery', async () => {
+      mockInteraction.options.getSubcommand.mockReturnValue('list');
+      commands.webhookManager.listWebhooks.mockResolvedValue([
+        {
+          id: 1, url: 'https://a.example.com/', events: ['activity.posted', 'pb.new'], createdBy: '555', createdAt: '2026-10-01T00:00:00.000Z',
+          lastDelivery: { event: 'pb.new', status: 'delivered', attempts: 1, lastStatus: 200, updatedAt: '2026-10-19T12:00:00.000Z' },
+        },
+        {
+          id: 2, url: 'https://b.example.com/', events: ['race.status_changed'], createdBy: '777', createdAt: '2026-10-02T00:00:00.000Z',
+          lastDelivery: { event: 'race.status_changed', status: 'pending', attempts: 2, lastStatus: 503, updatedAt: '2026-10-19T12:00:00.000Z' },
+        },
+        {
+          id: 4, url: 'https://c.example.com/', events: ['pb.new'], createdBy: '777', createdAt: '2026-10-02T00:00:00.000Z', lastDelivery: null,
+        },
+      ]);
+
+      await commands.handleSettingsCommand(mockInteraction, mockInteraction.options);
+
+      const json = reply().embeds[0].toJSON();
+      expect(json.description).toBe(
+        '`#1` https://a.example.com/\nactivity.posted, pb.new · added <t:1790812800:d> by <@555>\n✅ Last pb.new delivered <t:1792411200:R>\n\n' +
+        '`#2` https://b.example.com/\nrace.status_changed · added <t:1790899200:d> by <@777>\n⏳ Last race.status_changed retrying after 2 attempts (HTTP 503)\n\n' +
+        '`#4` https://c.example.com/\npb.new · added <t:1790899200:d> by <@777>\nNo deliveries yet'
+      );
+      expect(json.footer.text).toBe('3 webhooks');
+    });
+
+    it('says when there are none', async () => {
+      mockInteraction.options.getSubcommand.mockReturnValue('list');
+      commands.webhookManager.listWebhooks.mockResolvedValue([]);
+
+      await commands.handleSettingsCommand(mockInteraction, mockInteraction.options);
+
+      expect(reply().content).toBe('📭 No webhooks. Add one with `/settings webhooks add`.');
+    });
+
+    it('removes a webhook', async () => {
+      mockInteraction.options.getSubcommand.mockReturnValue('remove');
+      values = { webhook_id: 3 };
+      commands.webhookManager.removeWebhook.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+      await commands.handleSettingsCommand(mockInteraction, mockInteraction.options);
+      await commands.handleSettingsCommand(mockInteraction, mockInteraction.options);
+
+      expect(commands.webhookManager.removeWebhook).toHaveBeenCalledWith(3);
+      expect(reply().content).toBe('🗑️ Webhook `#3` removed. It gets no more events.');
+      expect(mockInteraction.editReply.mock.calls[1][0].content).toBe('❌ No webhook with ID `#3`.');
+    });
+
+    it('reports how a test delivery went', async () => {
+      mockInteraction.options.getSubcommand.mockReturnValue('test');
+      values = { webhook_id: 3 };
+      commands.webhookManager.sendTest
+        .mockResolvedValueOnce({ status: 'delivered', lastStatus: 204 })
+        .mockResolvedValueOnce({ status: 'failed', lastStatus: null, lastError: 'getaddrinfo ENOTFOUND hooks.example.com' })
+        .mockResolvedValueOnce(null);
+
+      for (let i = 0; i < 3; i++) {
+        await commands.handleSettingsCommand(mockInteraction, mockInteraction.options);
+      }
+
+      expect(mockInteraction.editReply.mock.calls.map(([call]) => call.content)).toEqual([
+        '✅ Test event delivered to webhook `#3` (HTTP 204).',
+        '❌ Test event to webhook `#3` failed: getaddrinfo ENOTFOUND hooks.example.com',
+        '❌ No webhook with ID `#3`.',
+      ]);
+    });
+  });
+
+  describe('/settings view', () => {
+    it('leaves API tokens out of the other settings', async () => {
+      mockInteraction.options.getSubcommandGroup.mockReturnValue(null);
+      mockInteraction.options.getSubcommand.mockReturnValue('view');
+
+      await commands.handleSettingsCommand(mockInteraction, mockInteraction.options);
+
+      const fields = reply().embeds[0].toJSON().fields;
+      expect(fields[1].value).toBe('**pb_sync_cursor_555**: 2026-01-01');
+    });
+  });
+});
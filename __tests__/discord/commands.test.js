@@ -94,12 +94,42 @@ jest.mock('discord.js', () => {
             optionCallback(option);
             subcommand.options.push(option);
             return subcommand;
+          }),
+          addAttachmentOption: jest.fn().mockImplementation((optionCallback) => {
+            const option = {
+              name: '',
+              required: false,
+              setName: jest.fn().mockImplementation((name) => { option.name = name; return option; }),
+              setDescription: jest.fn().mockReturnThis(),
+              setRequired: jest.fn().mockImplementation((req) => { option.required = req; return option; })
+            };
+            optionCallback(option);
+            subcommand.options.push(option);
+            return subcommand;
           })
         };
         callback(subcommand);
         mockCmd.options.push(subcommand);
         return mockCmd;
       }),
+      addSubcommandGroup: jest.fn().mockImplementation((callback) => {
+        const group = {
+          name: '',
+          options: [],
+          setName: jest.fn().mockImplementation((name) => { group.name = name; return group; }),
+          setDescription: jest.fn().mockReturnThis(),
+          // Same mock subcommands as at the top level, filed under the group
+          addSubcommand: jest.fn().mockImplementation((subcommandCallback) => {
+            const before = mockCmd.options.length;
+            mockCmd.addSubcommand(subcommandCallback);
+            group.options.push(...mockCmd.options.splice(before));
+            return group;
+          })
+        };
+        callback(group);
+        mockCmd.options.push(group);
+        return mockCmd;
+      }),
       addStringOption: jest.fn().mockImplementation((callback) => {
         const option = {
           name: '',
@@ -204,6 +234,7 @@ jest.mock('../../src/managers/PBManager', () => jest.fn().mockImplementation(()
   formatPBsForEmbed: jest.fn().mockReturnValue([]),
   extractBestEfforts: jest.fn().mockReturnValue([]),
   checkAndUpdatePBsFromEfforts: jest.fn().mockResolvedValue([]),
+  publishNewPBs: jest.fn().mockResolvedValue(undefined),
   databaseManager: {
     getPBSyncCursors: jest.fn().mockResolvedValue([]),
     getPBCountByAthleteId: jest.fn().mockResolvedValue(0),
@@ -216,6 +247,9 @@ jest.mock('../../src/managers/RaceManager', () => jest.fn().mockImplementation((
   removeRace: jest.fn(),
   updateRace: jest.fn(),
 })));
+jest.mock('../../src/managers/OAuthStateManager', () => jest.fn().mockImplementation(() => ({
+  createState: jest.fn().mockResolvedValue('signed.state'),
+})));
 jest.mock('../../src/utils/Logger', () => ({
   discord: {
     info: jest.fn(),
@@ -318,7 +352,11 @@ describe('DiscordCommands', () => {
       getStats: jest.fn(),
       revokeStravaAccess: jest.fn().mockResolvedValue({ revoked: true }),
       countStravaSeats: jest.fn().mockResolvedValue({ used: 3, cap: 10, reclaimable: 0 }),
-      getReclaimableStravaMembers: jest.fn().mockResolvedValue([])
+      getReclaimableStravaMembers: jest.fn().mockResolvedValue([]),
+      preferencesManager: {
+        getPreferences: jest.fn().mockResolvedValue({}),
+        applyPrivacy: jest.fn(activity => activity)
+      }
     };
 
     discordCommands = new DiscordCommands(mockActivityProcessor);
@@ -389,7 +427,7 @@ describe('DiscordCommands', () => {
     it('should return array of slash commands', () => {
       const commands = discordCommands.getCommands();
 
-      expect(commands).toHaveLength(13); // members, register, disconnect, botstatus, last, race, teamraces, settings, scheduler, pb, help, sync, leaderboard
+      expect(commands).toHaveLength(18); // members, register, disconnect, botstatus, activity, last, race, teamraces, settings, scheduler, pb, help, sync, leaderboard, kudos, challenge, preferences, heartrate
       expect(commands.every(cmd => cmd instanceof SlashCommandBuilder)).toBe(true);
     });
 
@@ -462,13 +500,13 @@ describe('DiscordCommands', () => {
       expect(lastCommand.options[0].autocomplete).toBe(true);
     });
 
-    it('should include pb command with 3 subcommands (check, add, status)', () => {
+    it('should include pb command with 5 subcommands (check, history, records, add, status)', () => {
       const commands = discordCommands.getCommands();
       const pbCommand = commands.find(cmd => cmd.name === 'pb');
 
       expect(pbCommand).toBeDefined();
-      expect(pbCommand.options).toHaveLength(3); // check, add, status
-      expect(pbCommand.options.map(o => o.name)).toEqual(expect.arrayContaining(['check', 'add', 'status']));
+      expect(pbCommand.options).toHaveLength(5); // check, history, records, add, status
+      expect(pbCommand.options.map(o => o.name)).toEqual(expect.arrayContaining(['check', 'history', 'records', 'add', 'status']));
       expect(pbCommand.options.map(o => o.name)).not.toContain('year');
     });
 
@@ -1140,6 +1178,18 @@ describe('DiscordCommands', () => {
       });
     });
 
+    it('should link to Strava with a signed single-use state, not the bare user ID', async () => {
+      mockMemberManager.getMemberByDiscordId.mockResolvedValue(null);
+
+      await discordCommands.handleRegisterCommand(mockInteraction);
+
+      expect(discordCommands.oauthStateManager.createState).toHaveBeenCalledWith(mockInteraction.user.id);
+      const embedInstance = EmbedBuilder.mock.results[EmbedBuilder.mock.results.length - 1].value;
+      expect(embedInstance.addFields).toHaveBeenCalledWith([expect.objectContaining({
+        value: expect.stringContaining('(https://test.example.com/auth/strava?state=signed.state)')
+      })]);
+    });
+
     it('should handle already registered user with a working Strava connection', async () => {
       mockMemberManager.getMemberByDiscordId.mockResolvedValue(mockMember);
       mockMemberManager.getValidAccessToken.mockResolvedValue('valid_token');
@@ -1750,6 +1800,31 @@ describe('DiscordCommands', () => {
         ephemeral: true
       });
     });
+
+    it('should break processed activities down by outcome', () => {
+      expect(discordCommands.formatActivityOutcomes({
+        processedActivities: 12,
+        activityOutcomes: { posted: 9, filtered: 2, failed: 1 }
+      })).toBe('Processed: 12\nPosted: 9\nFiltered: 2\nFailed: 1');
+      expect(discordCommands.formatActivityOutcomes({
+        processedActivities: 2,
+        activityOutcomes: { failed: 2 },
+        retries: { pending: 1, dead: 1 }
+      })).toBe('Processed: 2\nFailed: 2\nRetrying: 1\n⚠️ Dead-lettered: 1');
+    });
+
+    it('should show what the persisted activity queue holds', () => {
+      expect(discordCommands.formatQueueStatus({
+        totalQueued: 3,
+        processing: 1,
+        unsaved: 1,
+        restored: 2,
+        nextScheduled: 1704111300000,
+        delayMinutes: 15
+      })).toBe('Queued: 3 (1 processing)\nNext: <t:1704111300:R>\nRestored at startup: 2\n⚠️ Not saved: 1\nDelay: 15min');
+
+      expect(discordCommands.formatQueueStatus({ totalQueued: 0, delayMinutes: 15 })).toBe('Queued: 0\nDelay: 15min');
+    });
   });
 
   describe('handleLastActivityCommand', () => {
@@ -2956,6 +3031,10 @@ describe('DiscordCommands', () => {
       expect(addInteraction.editReply).toHaveBeenCalledWith(
         expect.objectContaining({ content: expect.stringContaining('5K') })
       );
+      expect(discordCommands.pbManager.publishNewPBs).toHaveBeenCalledWith(
+        expect.objectContaining({ athleteId: expect.anything() }),
+        expect.arrayContaining([expect.objectContaining({ isNewPB: true, category: '5K' })])
+      );
     });
 
     it('should reply with no-new-PBs message when all times are slower than existing', async () => {
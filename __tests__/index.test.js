@@ -92,8 +92,8 @@ describe('StravaRunningBot', () => {
       expect(bot.isRunning).toBe(true);
 
       expect(logger.system).toHaveBeenCalledWith('✅ Strava Running Bot started successfully!');
-      expect(logger.info).toHaveBeenCalledWith('SYSTEM', '🔗 Member registration URL:', {
-        url: `${config.server.baseUrl}/auth/strava?user_id=THEIR_DISCORD_USER_ID`
+      expect(logger.info).toHaveBeenCalledWith('SYSTEM', '🔗 Member registration: signed links from /register', {
+        url: `${config.server.baseUrl}/auth/strava`
       });
     });
 
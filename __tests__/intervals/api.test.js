@@ -10,7 +10,8 @@ jest.mock('axios');
 jest.mock('../../config/config', () => ({
   intervals: {
     baseUrl: 'https://intervals.icu'
-  }
+  },
+  splits: { unit: 'km' }
 }));
 jest.mock('../../src/utils/Logger', () => ({
   intervals: {
@@ -241,7 +242,7 @@ describe('IntervalsAPI', () => {
         headers: {
           Authorization: 'Basic ' + Buffer.from('API_KEY:test_api_key').toString('base64')
         },
-        params: { types: 'time,distance,altitude,latlng' },
+        params: { types: 'time,distance,altitude,latlng,heartrate' },
         timeout: HTTP.REQUEST_TIMEOUT_MS
       });
     });
@@ -503,7 +504,9 @@ describe('IntervalsAPI', () => {
         id: 12345,
         firstname: 'John',
         lastname: 'Doe',
-        profile_medium: 'https://example.com/p.jpg'
+        profile_medium: 'https://example.com/p.jpg',
+        sex: null,
+        date_of_birth: null
       });
     });
 
@@ -514,7 +517,9 @@ describe('IntervalsAPI', () => {
         id: 555,
         firstname: 'Cher',
         lastname: '',
-        profile_medium: null
+        profile_medium: null,
+        sex: null,
+        date_of_birth: null
       });
     });
 
@@ -536,6 +541,13 @@ describe('IntervalsAPI', () => {
 
       expect(result.profile_medium).toBeNull();
     });
+
+    it('should keep the sex and date of birth for club records', () => {
+      const result = intervalsAPI.mapAthlete({ id: 'i1', name: 'Ann Runner', sex: 'F', icu_date_of_birth: '1984-06-02' });
+
+      expect(result.sex).toBe('F');
+      expect(result.date_of_birth).toBe('1984-06-02');
+    });
   });
 
   describe('activityUrl', () => {
@@ -681,6 +693,52 @@ describe('IntervalsAPI', () => {
       });
     });
 
+    describe('elevation_profile', () => {
+      it('should carry the distance/altitude streams for the elevation chart', () => {
+        const streams = { time: [0, 1, 2], distance: [0, 5, 10], altitude: [10, 12, 11] };
+
+        const result = intervalsAPI.processActivityData(mockActivity, mockAthlete, streams);
+
+        expect(result.elevation_profile).toEqual({ distance: [0, 5, 10], altitude: [10, 12, 11] });
+      });
+
+      it('should be null without an altitude stream', () => {
+        expect(intervalsAPI.processActivityData(mockActivity, mockAthlete, { distance: [0, 5] }).elevation_profile).toBeNull();
+        expect(intervalsAPI.processActivityData(mockActivity, mockAthlete, null).elevation_profile).toBeNull();
+      });
+    });
+
+    describe('heartrate_stream', () => {
+      it('should carry the time/heartrate streams for zone breakdown', () => {
+        const streams = { time: [0, 1, 2], heartrate: [120, 135, 150] };
+
+        const result = intervalsAPI.processActivityData(mockActivity, mockAthlete, streams);
+
+        expect(result.heartrate_stream).toEqual({ time: [0, 1, 2], heartrate: [120, 135, 150] });
+      });
+
+      it('should be null without a heart-rate sensor', () => {
+        expect(intervalsAPI.processActivityData(mockActivity, mockAthlete, { time: [0, 1] }).heartrate_stream).toBeNull();
+      });
+    });
+
+    describe('splits', () => {
+      const streams = { time: [0, 300, 600], distance: [0, 1000, 2000] };
+
+      it('should compute splits from the streams for run-like activities', () => {
+        const result = intervalsAPI.processActivityData(mockActivity, mockAthlete, streams);
+
+        expect(result.splits.unit).toBe('km');
+        expect(result.splits.rows).toHaveLength(2);
+      });
+
+      it('should skip splits for other sports', () => {
+        const ride = { ...mockActivity, type: 'Ride' };
+
+        expect(intervalsAPI.processActivityData(ride, mockAthlete, streams).splits).toBeNull();
+      });
+    });
+
     describe('gap_pace stream vs fallback selection', () => {
       const usableStreams = { time: [0, 1, 2], distance: [0, 5, 10], altitude: [0, 0, 0] };
 
@@ -1,5 +1,6 @@
 const ActivityQueue = require('../../src/managers/ActivityQueue');
 const config = require('../../config/config');
+const databaseManager = require('../../src/database/DatabaseManager');
 const logger = require('../../src/utils/Logger');
 
 // Mock dependencies
@@ -9,6 +10,13 @@ jest.mock('../../config/config', () => ({
   }
 }));
 
+jest.mock('../../src/database/DatabaseManager', () => ({
+  saveQueuedActivity: jest.fn(),
+  deleteQueuedActivity: jest.fn(),
+  getQueuedActivities: jest.fn(),
+  getActivityPosts: jest.fn()
+}));
+
 jest.mock('../../src/utils/Logger', () => ({
   activity: {
     info: jest.fn(),
@@ -90,6 +98,10 @@ describe('ActivityQueue', () => {
     mockStravaAPI.shouldPostActivity.mockReturnValue(true);
     mockStravaAPI.processActivityWithStreams.mockResolvedValue(mockActivity);
     mockDiscordBot.postActivity.mockResolvedValue();
+    databaseManager.saveQueuedActivity.mockResolvedValue();
+    databaseManager.deleteQueuedActivity.mockResolvedValue();
+    databaseManager.getQueuedActivities.mockResolvedValue([]);
+    databaseManager.getActivityPosts.mockResolvedValue([]);
   });
 
   afterEach(() => {
@@ -276,8 +288,8 @@ describe('ActivityQueue', () => {
       await activityQueue.queueActivity(activityId, athleteId, originalWebhookData);
     });
 
-    it('should update queued activity with new webhook data', () => {
-      const result = activityQueue.updateQueuedActivity(activityId, athleteId, updateWebhookData);
+    it('should update queued activity with new webhook data', async () => {
+      const result = await activityQueue.updateQueuedActivity(activityId, athleteId, updateWebhookData);
 
       expect(result).toBe(true);
       
@@ -293,30 +305,30 @@ describe('ActivityQueue', () => {
       });
     });
 
-    it('should return false if activity is not queued', () => {
+    it('should return false if activity is not queued', async () => {
       const nonExistentActivityId = 99999;
       
-      const result = activityQueue.updateQueuedActivity(nonExistentActivityId, athleteId, updateWebhookData);
+      const result = await activityQueue.updateQueuedActivity(nonExistentActivityId, athleteId, updateWebhookData);
 
       expect(result).toBe(false);
       expect(logger.activity.debug).not.toHaveBeenCalled();
     });
 
-    it('should not change scheduled time when updating', () => {
+    it('should not change scheduled time when updating', async () => {
       const queueItem = activityQueue.queuedActivities.get(activityId);
       const originalScheduledTime = queueItem.scheduledTime.getTime();
 
-      activityQueue.updateQueuedActivity(activityId, athleteId, updateWebhookData);
+      await activityQueue.updateQueuedActivity(activityId, athleteId, updateWebhookData);
 
       const updatedItem = activityQueue.queuedActivities.get(activityId);
       expect(updatedItem.scheduledTime.getTime()).toBe(originalScheduledTime);
     });
 
-    it('should preserve original queue time when updating', () => {
+    it('should preserve original queue time when updating', async () => {
       const queueItem = activityQueue.queuedActivities.get(activityId);
       const originalQueueTime = queueItem.queuedAt.getTime();
 
-      activityQueue.updateQueuedActivity(activityId, athleteId, updateWebhookData);
+      await activityQueue.updateQueuedActivity(activityId, athleteId, updateWebhookData);
 
       const updatedItem = activityQueue.queuedActivities.get(activityId);
       expect(updatedItem.queuedAt.getTime()).toBe(originalQueueTime);
@@ -363,6 +375,15 @@ describe('ActivityQueue', () => {
     });
   });
 
+  describe('getQueuedActivity', () => {
+    it('should find a queued activity by its id as typed in a command', async () => {
+      await activityQueue.queueActivity(98765, 12345);
+
+      expect(activityQueue.getQueuedActivity('98765')).toMatchObject({ activityId: 98765, athleteId: 12345 });
+      expect(activityQueue.getQueuedActivity('i176829341')).toBeNull();
+    });
+  });
+
   describe('getStats', () => {
     it('should return empty stats when queue is empty', () => {
       const stats = activityQueue.getStats();
@@ -371,6 +392,8 @@ describe('ActivityQueue', () => {
         totalQueued: 0,
         processing: 0,
         waiting: 0,
+        unsaved: 0,
+        restored: 0,
         oldestQueued: null,
         nextScheduled: null,
         delayMinutes: config.posting.delayMinutes
@@ -550,7 +573,7 @@ describe('ActivityQueue', () => {
       await activityQueue.queueActivity(activityId, athleteId);
       
       // Then update - should return true since activity is now queued
-      const updateResult = activityQueue.updateQueuedActivity(activityId, athleteId, { event: 'update' });
+      const updateResult = await activityQueue.updateQueuedActivity(activityId, athleteId, { event: 'update' });
 
       expect(updateResult).toBe(true);
       expect(activityQueue.queuedActivities.size).toBe(1);
@@ -612,6 +635,126 @@ describe('ActivityQueue', () => {
     });
   });
 
+  describe('persistence', () => {
+    const activityId = 98765;
+    const athleteId = 12345;
+
+    beforeEach(() => {
+      config.posting.delayMinutes = 15;
+    });
+
+    it('should save queued items and keep the saved copy in sync', async () => {
+      await activityQueue.queueActivity(activityId, athleteId, { eventType: 'create' });
+
+      expect(databaseManager.saveQueuedActivity).toHaveBeenCalledWith(expect.objectContaining({
+        activityId, athleteId, status: 'queued', originalWebhookData: { eventType: 'create' }
+      }));
+      expect(activityQueue.queuedActivities.get(activityId).persisted).toBe(true);
+
+      await activityQueue.updateQueuedActivity(activityId, athleteId, { eventType: 'update' });
+      expect(databaseManager.saveQueuedActivity).toHaveBeenLastCalledWith(expect.objectContaining({
+        originalWebhookData: { eventType: 'update' }
+      }));
+
+      await activityQueue.processQueuedActivity(activityId);
+      expect(databaseManager.saveQueuedActivity).toHaveBeenLastCalledWith(expect.objectContaining({ status: 'processing' }));
+      expect(databaseManager.deleteQueuedActivity).toHaveBeenCalledWith(activityId);
+    });
+
+    it('should keep queueing in memory when the database write fails', async () => {
+      databaseManager.saveQueuedActivity.mockRejectedValue(new Error('disk full'));
+
+      await activityQueue.queueActivity(activityId, athleteId);
+
+      expect(activityQueue.queuedActivities.size).toBe(1);
+      expect(activityQueue.getStats().unsaved).toBe(1);
+      expect(logger.activity.warn).toHaveBeenCalledWith('Failed to persist queued activity (non-blocking)', {
+        activityId,
+        error: 'disk full'
+      });
+    });
+
+    it('should wait for the update to be saved and flag it when that fails', async () => {
+      await activityQueue.queueActivity(activityId, athleteId, { eventType: 'create' });
+      databaseManager.saveQueuedActivity.mockRejectedValueOnce(new Error('disk full'));
+
+      await expect(activityQueue.updateQueuedActivity(activityId, athleteId, { eventType: 'update' })).resolves.toBe(true);
+
+      expect(activityQueue.queuedActivities.get(activityId).persisted).toBe(false);
+      expect(logger.activity.warn).toHaveBeenCalledWith('Failed to persist queued activity (non-blocking)', {
+        activityId,
+        error: 'disk full'
+      });
+    });
+
+    it('should leave saved items in the database on shutdown', async () => {
+      await activityQueue.queueActivity(activityId, athleteId);
+
+      activityQueue.shutdown();
+
+      expect(databaseManager.deleteQueuedActivity).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('restore', () => {
+    const row = (activityId, scheduledTime, status = 'queued') => ({
+      activity_id: activityId,
+      athlete_id: 12345,
+      queued_at: '2024-01-01T11:50:00.000Z',
+      scheduled_time: scheduledTime,
+      updated_at: null,
+      webhook_data: '{"eventType":"create"}',
+      status
+    });
+
+    it('should process overdue items right away and re-arm timers for the others', async () => {
+      databaseManager.getQueuedActivities.mockResolvedValue([
+        row(111, '2024-01-01T11:55:00.000Z'),
+        row(222, '2024-01-01T12:05:00.000Z')
+      ]);
+      const processSpy = jest.spyOn(activityQueue, 'processQueuedActivity').mockResolvedValue();
+
+      await expect(activityQueue.restore()).resolves.toBe(2);
+
+      expect(activityQueue.queuedActivities.get(222)).toMatchObject({
+        athleteId: 12345,
+        originalWebhookData: { eventType: 'create' },
+        status: 'queued',
+        persisted: true
+      });
+      expect(activityQueue.getStats().restored).toBe(2);
+
+      jest.advanceTimersByTime(0);
+      expect(processSpy).toHaveBeenCalledTimes(1);
+      expect(processSpy).toHaveBeenCalledWith(111);
+
+      jest.advanceTimersByTime(5 * 60 * 1000);
+      expect(processSpy).toHaveBeenCalledWith(222);
+    });
+
+    it('should retry an item interrupted mid-processing unless it was already posted', async () => {
+      databaseManager.getQueuedActivities.mockResolvedValue([
+        row(111, '2024-01-01T11:55:00.000Z', 'processing'),
+        row(222, '2024-01-01T11:55:00.000Z', 'processing')
+      ]);
+      databaseManager.getActivityPosts.mockImplementation(async (id) => (id === 111 ? [{ discord_message_id: 'm1' }] : []));
+
+      await expect(activityQueue.restore()).resolves.toBe(1);
+
+      expect(activityQueue.queuedActivities.has(111)).toBe(false);
+      expect(databaseManager.deleteQueuedActivity).toHaveBeenCalledWith(111);
+      expect(activityQueue.queuedActivities.get(222).status).toBe('queued');
+    });
+
+    it('should start with an empty queue when the saved queue cannot be read', async () => {
+      databaseManager.getQueuedActivities.mockRejectedValue(new Error('no such table'));
+
+      await expect(activityQueue.restore()).resolves.toBe(0);
+
+      expect(logger.activity.error).toHaveBeenCalledWith('Failed to load persisted activity queue', { error: 'no such table' });
+    });
+  });
+
   describe('memory management', () => {
     it('should properly clean up after processing', async () => {
       const activityId = 98765;
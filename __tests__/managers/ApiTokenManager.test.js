@@ -0,0 +1,148 @@
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+
+jest.mock('../../src/utils/Logger', () => ({
+  database: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+  server: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+  memberAction: jest.fn()
+}));
+
+jest.mock('../../config/config', () => ({
+  database: { path: '' },
+  security: { encryptionKey: 'a'.repeat(64) }
+}));
+
+const config = require('../../config/config');
+const dbConnection = require('../../src/database/connection');
+const databaseManager = require('../../src/database/DatabaseManager');
+const ApiTokenManager = require('../../src/managers/ApiTokenManager');
+const logger = require('../../src/utils/Logger');
+
+// Tokens live in the settings table and calls in api_audit_log (migration
+// 019), so both are exercised against a real migrated database.
+describe('ApiTokenManager (real SQLite)', () => {
+  let testDataDir;
+  let apiTokenManager;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    testDataDir = path.join(os.tmpdir(), `api_token_test_${Date.now()}_${Math.random().toString(36).slice(2)}`);
+    await fs.mkdir(testDataDir, { recursive: true });
+    config.database.path = path.join(testDataDir, 'test.db');
+
+    databaseManager.isInitialized = false;
+    await databaseManager.initialize();
+
+    apiTokenManager = new ApiTokenManager();
+  });
+
+  afterEach(async () => {
+    await dbConnection.close();
+    databaseManager.isInitialized = false;
+    await fs.rm(testDataDir, { recursive: true, force: true });
+  });
+
+  describe('createToken / authenticate', () => {
+    it('mints a token that authenticates with its scope', async () => {
+      const created = await apiTokenManager.createToken({ scope: 'read', label: ' backups ', createdBy: 'admin-1' });
+
+      expect(created.token).toMatch(/^srb_[0-9a-f]{8}_[A-Za-z0-9_-]{32}$/);
+      expect(created.token.startsWith(`srb_${created.id}_`)).toBe(true);
+      expect(created).toMatchObject({ scope: 'read', label: 'backups' });
+
+      expect(await apiTokenManager.authenticate(created.token)).toEqual({ id: created.id, scope: 'read', label: 'backups' });
+    });
+
+    it('only stores the hash of the token', async () => {
+      const { id, token } = await apiTokenManager.createToken({ scope: 'admin', createdBy: 'admin-1' });
+
+      const stored = JSON.parse(await databaseManager.settingsManager.getSetting(`api_token_${id}`));
+      expect(stored).toEqual({
+        hash: ApiTokenManager.hashToken(token),
+        scope: 'admin',
+        label: null,
+        createdBy: 'admin-1',
+        createdAt: expect.any(String)
+      });
+      expect(JSON.stringify(stored)).not.toContain(token.split('_').pop());
+    });
+
+    it('refuses malformed, unknown and tampered tokens', async () => {
+      const { id, token } = await apiTokenManager.createToken({ scope: 'admin', createdBy: 'admin-1' });
+      const last = token.at(-1) === 'A' ? 'B' : 'A';
+
+      expect(await apiTokenManager.authenticate(`${token.slice(0, -1)}${last}`)).toBeNull();
+      expect(await apiTokenManager.authenticate(token.replace(id, '00000000'))).toBeNull();
+      expect(await apiTokenManager.authenticate('secret')).toBeNull();
+      expect(await apiTokenManager.authenticate(undefined)).toBeNull();
+    });
+
+    it('validates scope and label', async () => {
+      await expect(apiTokenManager.createToken({ scope: 'root', createdBy: 'admin-1' }))
+        .rejects.toThrow('Scope must be one of: read, admin');
+      await expect(apiTokenManager.createToken({ scope: 'read', label: 'x'.repeat(51), createdBy: 'admin-1' }))
+        .rejects.toThrow('Label cannot exceed 50 characters');
+    });
+  });
+
+  describe('listTokens / revokeToken', () => {
+    it('lists tokens without their hash, with their last use', async () => {
+      const first = await apiTokenManager.createToken({ scope: 'read', label: 'dashboard', createdBy: 'admin-1' });
+      const second = await apiTokenManager.createToken({ scope: 'admin', createdBy: 'admin-2' });
+      await apiTokenManager.recordCall({ tokenId: first.id, scope: 'read', method: 'GET', path: '/api/admin/members', status: 200, ip: '::1' });
+
+      const tokens = await apiTokenManager.listTokens();
+
+      expect(tokens).toHaveLength(2);
+      expect(tokens.find(token => token.id === first.id)).toEqual({
+        id: first.id, scope: 'read', label: 'dashboard', createdBy: 'admin-1', createdAt: expect.any(String), lastUsedAt: expect.any(String)
+      });
+      expect(tokens.find(token => token.id === second.id).lastUsedAt).toBeNull();
+    });
+
+    it('revokes a token', async () => {
+      const { id, token } = await apiTokenManager.createToken({ scope: 'admin', createdBy: 'admin-1' });
+
+      expect(await apiTokenManager.revokeToken(id)).toBe(true);
+      expect(await apiTokenManager.authenticate(token)).toBeNull();
+      expect(await apiTokenManager.listTokens()).toEqual([]);
+      expect(await apiTokenManager.revokeToken(id)).toBe(false);
+    });
+
+    it('ignores ids that aren\'t token ids', async () => {
+      expect(await apiTokenManager.revokeToken('discord_channel_id')).toBe(false);
+      expect(await databaseManager.settingsManager.getSetting('discord_channel_id')).not.toBeNull();
+    });
+  });
+
+  describe('recordCall / getAuditLog', () => {
+    it('keeps every call, most recent first', async () => {
+      await apiTokenManager.recordCall({ tokenId: null, scope: null, method: 'GET', path: '/api/admin/members', status: 401, ip: '10.0.0.1' });
+      await apiTokenManager.recordCall({ tokenId: 'abcd1234', scope: 'admin', method: 'DELETE', path: '/api/admin/members/42', status: 200, ip: '10.0.0.2' });
+
+      expect(await apiTokenManager.getAuditLog()).toEqual([
+        expect.objectContaining({ token_id: 'abcd1234', scope: 'admin', method: 'DELETE', path: '/api/admin/members/42', status: 200, ip: '10.0.0.2' }),
+        expect.objectContaining({ token_id: null, method: 'GET', status: 401 })
+      ]);
+      expect(await apiTokenManager.getAuditLog({ tokenId: 'abcd1234' })).toHaveLength(1);
+      expect(logger.server.info).toHaveBeenCalledWith('Admin API call', expect.objectContaining({ status: 401 }));
+    });
+
+    it('logs a failed write instead of throwing', async () => {
+      jest.spyOn(databaseManager, 'addApiAuditEntry').mockRejectedValueOnce(new Error('disk full'));
+
+      await expect(apiTokenManager.recordCall({ method: 'GET', path: '/api/admin/members', status: 200 })).resolves.toBeUndefined();
+      expect(logger.server.error).toHaveBeenCalledWith('Failed to write API audit log', expect.objectContaining({ error: 'disk full' }));
+    });
+  });
+
+  describe('hasScope', () => {
+    it('lets admin tokens do everything and read tokens only read', () => {
+      expect(ApiTokenManager.hasScope('admin', 'read')).toBe(true);
+      expect(ApiTokenManager.hasScope('admin', 'admin')).toBe(true);
+      expect(ApiTokenManager.hasScope('read', 'read')).toBe(true);
+      expect(ApiTokenManager.hasScope('read', 'admin')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,261 @@
+const ChallengeManager = require('../../src/managers/ChallengeManager');
+
+jest.mock('../../src/database/DatabaseManager', () => ({
+  createChallenge: jest.fn(),
+  getChallenge: jest.fn(),
+  getChallenges: jest.fn(),
+  getActiveChallengesForAthlete: jest.fn(),
+  addChallengeParticipant: jest.fn(),
+  removeChallengeParticipant: jest.fn(),
+  getChallengeParticipants: jest.fn(),
+  advanceChallengeMilestone: jest.fn(),
+  completeChallenge: jest.fn(),
+  completeChallengeParticipant: jest.fn(),
+  getMonthlyRunTotals: jest.fn(),
+  getMemberByDiscordId: jest.fn(),
+}));
+
+jest.mock('../../src/utils/Logger', () => ({
+  database: { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() },
+  activity: { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() },
+}));
+
+const databaseManager = require('../../src/database/DatabaseManager');
+
+describe('ChallengeManager', () => {
+  let manager;
+  let memberManager;
+
+  const teamChallenge = {
+    id: 7,
+    name: '500 km in March',
+    metric: 'distance',
+    scope: 'team',
+    target_value: 500000,
+    start_date: '2026-03-01',
+    end_date: '2026-03-31',
+    status: 'active',
+    last_milestone: 0,
+  };
+
+  const run = { id: 111, type: 'Run', start_date_local: '2026-03-10T07:00:00Z' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    manager = new ChallengeManager();
+    memberManager = {
+      getMemberByAthleteId: jest.fn(async (athleteId) => ({
+        discordUser: { displayName: athleteId === 1 ? 'Alice' : 'Bob' },
+      })),
+    };
+    databaseManager.createChallenge.mockImplementation(async (data) => ({ id: 7, ...data }));
+    databaseManager.getChallengeParticipants.mockResolvedValue([
+      { challenge_id: 7, member_athlete_id: 1 },
+      { challenge_id: 7, member_athlete_id: 2 },
+    ]);
+    databaseManager.advanceChallengeMilestone.mockResolvedValue(true);
+    databaseManager.completeChallenge.mockResolvedValue(true);
+    databaseManager.completeChallengeParticipant.mockResolvedValue(true);
+  });
+
+  describe('createChallenge', () => {
+    const valid = { name: '  500 km in March ', metric: 'distance', target: 500, startDate: '01-03-2026', endDate: '31-03-2026' };
+
+    it('stores dates as ISO and the target in base units', async () => {
+      await manager.createChallenge('discord-1', valid);
+
+      expect(databaseManager.createChallenge).toHaveBeenCalledWith(expect.objectContaining({
+        name: '500 km in March',
+        metric: 'distance',
+        scope: 'team',
+        targetValue: 500000,
+        startDate: '2026-03-01',
+        endDate: '2026-03-31',
+        createdByDiscordId: 'discord-1',
+      }));
+    });
+
+    it('converts moving-time targets from hours to seconds', async () => {
+      await manager.createChallenge('discord-1', { ...valid, metric: 'moving_time', target: 50 });
+
+      expect(databaseManager.createChallenge).toHaveBeenCalledWith(expect.objectContaining({ targetValue: 180000 }));
+    });
+
+    it('rejects an end date before the start date', async () => {
+      await expect(manager.createChallenge('discord-1', { ...valid, endDate: '28-02-2026' }))
+        .rejects.toThrow('End date must be on or after the start date');
+      expect(databaseManager.createChallenge).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      [{ name: ' ' }, 'Challenge name is required'],
+      [{ metric: 'streak' }, 'Metric must be one of'],
+      [{ scope: 'club' }, 'Scope must be either'],
+      [{ target: 0 }, 'Target must be a positive number'],
+      [{ endDate: '2026-03-31' }, 'DD-MM-YYYY'],
+    ])('rejects invalid data %o', async (override, message) => {
+      await expect(manager.createChallenge('discord-1', { ...valid, ...override })).rejects.toThrow(message);
+    });
+  });
+
+  describe('joinChallenge / leaveChallenge', () => {
+    beforeEach(() => {
+      databaseManager.getMemberByDiscordId.mockResolvedValue({ athleteId: 1, isActive: true });
+      databaseManager.getChallenge.mockResolvedValue({ ...teamChallenge, end_date: '2999-12-31' });
+    });
+
+    it('adds the member as a participant', async () => {
+      databaseManager.addChallengeParticipant.mockResolvedValue(true);
+
+      await manager.joinChallenge(7, 'discord-1');
+
+      expect(databaseManager.addChallengeParticipant).toHaveBeenCalledWith(7, 1);
+    });
+
+    it('refuses unregistered members', async () => {
+      databaseManager.getMemberByDiscordId.mockResolvedValue(null);
+
+      await expect(manager.joinChallenge(7, 'discord-1')).rejects.toThrow('Only registered team members');
+    });
+
+    it('refuses challenges that are over', async () => {
+      databaseManager.getChallenge.mockResolvedValue(teamChallenge);
+
+      await expect(manager.joinChallenge(7, 'discord-1')).rejects.toThrow('already over');
+      expect(databaseManager.addChallengeParticipant).not.toHaveBeenCalled();
+    });
+
+    it('reports a second join', async () => {
+      databaseManager.addChallengeParticipant.mockResolvedValue(false);
+
+      await expect(manager.joinChallenge(7, 'discord-1')).rejects.toThrow('already joined');
+    });
+
+    it('reports leaving a challenge the member never joined', async () => {
+      databaseManager.removeChallengeParticipant.mockResolvedValue(false);
+
+      await expect(manager.leaveChallenge(7, 'discord-1')).rejects.toThrow('not part of this challenge');
+    });
+  });
+
+  describe('getProgress', () => {
+    it('sums participants only, over the inclusive date window', async () => {
+      databaseManager.getMonthlyRunTotals.mockResolvedValue([
+        { athleteId: 2, totalDistanceM: 120000 },
+        { athleteId: 1, totalDistanceM: 80000 },
+        { athleteId: 99, totalDistanceM: 900000 },
+      ]);
+
+      const progress = await manager.getProgress(teamChallenge, memberManager);
+
+      expect(databaseManager.getMonthlyRunTotals).toHaveBeenCalledWith('2026-03-01', '2026-04-01', ['Run', 'TrailRun', 'VirtualRun']);
+      expect(progress.total).toBe(200000);
+      expect(progress.percent).toBe(40);
+      expect(progress.entries.map(e => [e.memberName, e.value])).toEqual([['Bob', 120000], ['Alice', 80000]]);
+    });
+
+    it('counts participants without runs as zero', async () => {
+      databaseManager.getMonthlyRunTotals.mockResolvedValue([]);
+
+      const progress = await manager.getProgress(teamChallenge, memberManager);
+
+      expect(progress.entries).toHaveLength(2);
+      expect(progress.total).toBe(0);
+    });
+
+    it('reports the share of runners done for individual challenges', async () => {
+      databaseManager.getMonthlyRunTotals.mockResolvedValue([
+        { athleteId: 1, activityCount: 3 },
+        { athleteId: 2, activityCount: 1 },
+      ]);
+
+      const progress = await manager.getProgress(
+        { ...teamChallenge, metric: 'count', scope: 'individual', target_value: 3 }, memberManager
+      );
+
+      expect(progress.percent).toBe(50);
+      expect(progress.entries.find(e => e.athleteId === 1).completed).toBe(true);
+    });
+  });
+
+  describe('recordActivity', () => {
+    it('ignores non-running activities and activities without a local date', async () => {
+      expect(await manager.recordActivity(1, { type: 'Ride', start_date_local: '2026-03-10T07:00:00Z' }, memberManager)).toEqual([]);
+      expect(await manager.recordActivity(1, { type: 'Run' }, memberManager)).toEqual([]);
+      expect(databaseManager.getActiveChallengesForAthlete).not.toHaveBeenCalled();
+    });
+
+    it('looks up challenges by the activity local day', async () => {
+      databaseManager.getActiveChallengesForAthlete.mockResolvedValue([]);
+
+      await manager.recordActivity(1, run, memberManager);
+
+      expect(databaseManager.getActiveChallengesForAthlete).toHaveBeenCalledWith(1, '2026-03-10');
+    });
+
+    it('announces the highest team milestone newly crossed', async () => {
+      databaseManager.getActiveChallengesForAthlete.mockResolvedValue([{ ...teamChallenge, last_milestone: 25 }]);
+      databaseManager.getMonthlyRunTotals.mockResolvedValue([{ athleteId: 1, totalDistanceM: 400000 }]);
+
+      const events = await manager.recordActivity(1, run, memberManager);
+
+      expect(databaseManager.advanceChallengeMilestone).toHaveBeenCalledWith(7, 75);
+      expect(events).toEqual([expect.objectContaining({ type: 'milestone', milestone: 75 })]);
+    });
+
+    it('stays quiet when the milestone was already announced', async () => {
+      databaseManager.getActiveChallengesForAthlete.mockResolvedValue([{ ...teamChallenge, last_milestone: 50 }]);
+      databaseManager.getMonthlyRunTotals.mockResolvedValue([{ athleteId: 1, totalDistanceM: 300000 }]);
+
+      const events = await manager.recordActivity(1, run, memberManager);
+
+      expect(databaseManager.advanceChallengeMilestone).not.toHaveBeenCalled();
+      expect(events).toEqual([]);
+    });
+
+    it('stays quiet when a concurrent activity announced the milestone first', async () => {
+      databaseManager.getActiveChallengesForAthlete.mockResolvedValue([teamChallenge]);
+      databaseManager.getMonthlyRunTotals.mockResolvedValue([{ athleteId: 1, totalDistanceM: 130000 }]);
+      databaseManager.advanceChallengeMilestone.mockResolvedValue(false);
+
+      expect(await manager.recordActivity(1, run, memberManager)).toEqual([]);
+    });
+
+    it('completes a team challenge once the pooled total reaches the target', async () => {
+      databaseManager.getActiveChallengesForAthlete.mockResolvedValue([{ ...teamChallenge, last_milestone: 75 }]);
+      databaseManager.getMonthlyRunTotals.mockResolvedValue([
+        { athleteId: 1, totalDistanceM: 260000 },
+        { athleteId: 2, totalDistanceM: 250000 },
+      ]);
+
+      const events = await manager.recordActivity(1, run, memberManager);
+
+      expect(databaseManager.completeChallenge).toHaveBeenCalledWith(7);
+      expect(events).toEqual([expect.objectContaining({ type: 'completed' })]);
+      expect(databaseManager.advanceChallengeMilestone).not.toHaveBeenCalled();
+    });
+
+    it('announces a runner finishing an individual challenge, then completion when everyone has', async () => {
+      const individual = { ...teamChallenge, metric: 'count', scope: 'individual', target_value: 3 };
+      databaseManager.getActiveChallengesForAthlete.mockResolvedValue([individual]);
+      databaseManager.getMonthlyRunTotals.mockResolvedValue([
+        { athleteId: 1, activityCount: 3 },
+        { athleteId: 2, activityCount: 1 },
+      ]);
+
+      let events = await manager.recordActivity('1', run, memberManager);
+
+      expect(databaseManager.completeChallengeParticipant).toHaveBeenCalledWith(7, 1);
+      expect(events).toEqual([expect.objectContaining({ type: 'participant_completed', entry: expect.objectContaining({ memberName: 'Alice' }) })]);
+      expect(databaseManager.completeChallenge).not.toHaveBeenCalled();
+
+      databaseManager.getMonthlyRunTotals.mockResolvedValue([
+        { athleteId: 1, activityCount: 3 },
+        { athleteId: 2, activityCount: 3 },
+      ]);
+      events = await manager.recordActivity(2, run, memberManager);
+
+      expect(events.map(e => e.type)).toEqual(['participant_completed', 'completed']);
+    });
+  });
+});
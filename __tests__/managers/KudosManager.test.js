@@ -0,0 +1,194 @@
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+
+jest.mock('../../src/utils/Logger', () => ({
+  database: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+  activity: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+  memberAction: jest.fn()
+}));
+
+jest.mock('../../config/config', () => ({
+  database: { path: '' },
+  security: { encryptionKey: 'a'.repeat(64) }
+}));
+
+const config = require('../../config/config');
+const dbConnection = require('../../src/database/connection');
+const databaseManager = require('../../src/database/DatabaseManager');
+const KudosManager = require('../../src/managers/KudosManager');
+
+// The rankings are COUNT(DISTINCT ...) queries over joined tables, so they
+// are exercised against a real migrated database.
+describe('KudosManager (real SQLite)', () => {
+  let testDataDir;
+  let raw;
+  let manager;
+  let memberManager;
+
+  const ALICE = 1001;
+  const BOB = 1002;
+
+  const insertRun = (id, athleteId, startDateLocal, { type = 'Run', distance = 10000, name = `Run ${id}` } = {}) => {
+    raw.prepare(`
+      INSERT INTO activities (strava_activity_id, member_athlete_id, name, type, distance, start_date_local)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(id, athleteId, name, type, distance, startDateLocal);
+  };
+
+  const post = (messageId, activityId, athleteId) => databaseManager.recordActivityPost({
+    messageId, channelId: 'channel-1', guildId: 'guild-1', activityId, athleteId, provider: 'strava',
+  });
+
+  beforeEach(async () => {
+    testDataDir = path.join(os.tmpdir(), `kudos_test_${Date.now()}_${Math.random().toString(36).slice(2)}`);
+    await fs.mkdir(testDataDir, { recursive: true });
+    config.database.path = path.join(testDataDir, 'test.db');
+
+    databaseManager.isInitialized = false;
+    await databaseManager.initialize();
+    raw = dbConnection.getRawDb();
+
+    const insertMember = raw.prepare(`
+      INSERT INTO members (athlete_id, discord_id, discord_user_id, is_active, athlete, provider)
+      VALUES (?, ?, ?, 1, '{}', 'strava')
+    `);
+    insertMember.run(ALICE, 'discord-alice', 'discord-alice');
+    insertMember.run(BOB, 'discord-bob', 'discord-bob');
+
+    manager = new KudosManager();
+    memberManager = {
+      getMemberByAthleteId: jest.fn(async (athleteId) => ({
+        discordUser: { displayName: athleteId === ALICE ? 'Alice' : 'Bob' },
+      })),
+    };
+  });
+
+  afterEach(async () => {
+    await dbConnection.close();
+    databaseManager.isInitialized = false;
+    await fs.rm(testDataDir, { recursive: true, force: true });
+  });
+
+  describe('reactions', () => {
+    beforeEach(async () => {
+      insertRun('111', ALICE, '2026-05-03T08:00:00Z');
+      await post('message-1', '111', ALICE);
+    });
+
+    it('records a reaction once and removes it again', async () => {
+      expect(await manager.addReaction('message-1', 'discord-bob', '🔥')).toBe(true);
+      expect(await manager.addReaction('message-1', 'discord-bob', '🔥')).toBe(false);
+
+      expect(await manager.removeReaction('message-1', 'discord-bob', '🔥')).toBe(true);
+      expect(raw.prepare('SELECT COUNT(*) AS n FROM activity_kudos').get().n).toBe(0);
+    });
+
+    it('ignores reactions on other messages and on your own activity', async () => {
+      expect(await manager.addReaction('message-unknown', 'discord-bob', '🔥')).toBe(false);
+      expect(await manager.addReaction('message-1', 'discord-alice', '🔥')).toBe(false);
+      expect(await manager.removeReaction('message-unknown', 'discord-bob', '🔥')).toBe(false);
+    });
+
+    it('drops kudos and posts when the activity owner is removed', async () => {
+      await manager.addReaction('message-1', 'discord-bob', '🔥');
+
+      raw.prepare('DELETE FROM members WHERE athlete_id = ?').run(ALICE);
+
+      expect(raw.prepare('SELECT COUNT(*) AS n FROM activity_kudos').get().n).toBe(0);
+      expect(raw.prepare('SELECT COUNT(*) AS n FROM activity_posts').get().n).toBe(0);
+    });
+  });
+
+  describe('deleting activities', () => {
+    const count = (table) => raw.prepare(`SELECT COUNT(*) AS n FROM ${table}`).get().n;
+
+    beforeEach(async () => {
+      insertRun('111', ALICE, '2026-05-03T08:00:00Z');
+      insertRun('222', ALICE, '2026-05-04T08:00:00Z');
+      await post('message-1', '111', ALICE);
+      await post('message-2', '222', ALICE);
+      await manager.addReaction('message-1', 'discord-bob', '🔥');
+      await manager.addReaction('message-2', 'discord-bob', '🔥');
+    });
+
+    it('removes the activity with its posts and kudos, leaving other activities alone', async () => {
+      expect(await databaseManager.deleteActivity('111')).toBe(true);
+      expect(await databaseManager.deleteActivity('111')).toBe(false);
+
+      expect(await databaseManager.getActivityById('111')).toBeNull();
+      expect(await databaseManager.getActivityPosts('111')).toEqual([]);
+      expect([count('activities'), count('activity_posts'), count('activity_kudos')]).toEqual([1, 1, 1]);
+    });
+
+    it('keeps the posts whose message could not be deleted', async () => {
+      await post('message-3', '111', ALICE);
+
+      expect(await databaseManager.deleteActivity('111', { keepMessageIds: ['message-3'] })).toBe(true);
+
+      expect((await databaseManager.getActivityPosts('111')).map(row => row.discord_message_id)).toEqual(['message-3']);
+      expect([count('activities'), count('activity_posts'), count('activity_kudos')]).toEqual([1, 2, 1]);
+    });
+
+    it('can forget only the posts and kudos of an activity that stays', async () => {
+      await databaseManager.deleteActivityPosts('111');
+
+      expect(await databaseManager.getActivityById('111')).not.toBeNull();
+      expect([count('activity_posts'), count('activity_kudos')]).toEqual([1, 1]);
+    });
+  });
+
+  describe('getMonthlyHighlights', () => {
+    beforeEach(async () => {
+      insertRun('111', ALICE, '2026-05-03T08:00:00Z', { name: 'Long Run', distance: 21100 });
+      insertRun('222', BOB, '2026-05-10T08:00:00Z');
+      insertRun('333', BOB, '2026-04-28T08:00:00Z'); // previous month
+      insertRun('444', ALICE, '2026-05-12T08:00:00Z', { type: 'Ride' });
+      for (const [messageId, activityId, athleteId] of [['m1', '111', ALICE], ['m2', '222', BOB], ['m3', '333', BOB], ['m4', '444', ALICE]]) {
+        await post(messageId, activityId, athleteId);
+      }
+
+      const kudos = raw.prepare(`
+        INSERT INTO activity_kudos (activity_id, member_athlete_id, reactor_discord_user_id, emoji, created_at)
+        VALUES (?, ?, ?, ?, ?)
+      `);
+      // Long Run: three teammates, one of them with two emojis
+      kudos.run('111', ALICE, 'discord-bob', '🔥', '2026-05-03T09:00:00Z');
+      kudos.run('111', ALICE, 'discord-bob', '👏', '2026-05-03T09:00:01Z');
+      kudos.run('111', ALICE, 'carol', '🔥', '2026-05-03T10:00:00Z');
+      kudos.run('111', ALICE, 'dave', '🔥', '2026-05-04T10:00:00Z');
+      kudos.run('222', BOB, 'carol', '🔥', '2026-05-10T10:00:00Z');
+      kudos.run('222', BOB, 'discord-alice', '🔥', '2026-05-10T11:00:00Z');
+      // April run, kudos given in May: counts for the supporter, not the run
+      kudos.run('333', BOB, 'carol', '🔥', '2026-05-01T07:00:00Z');
+      // Rides aren't runs, but cheering on one still counts
+      kudos.run('444', ALICE, 'dave', '🔥', '2026-05-12T10:00:00Z');
+      kudos.run('444', ALICE, 'discord-bob', '🔥', '2026-05-12T10:00:00Z');
+      kudos.run('444', ALICE, 'carol', '🔥', '2026-05-12T10:00:00Z');
+      kudos.run('444', ALICE, 'erin', '🔥', '2026-05-12T10:00:00Z');
+    });
+
+    it('ranks runs by distinct teammates and supporters by activities cheered on', async () => {
+      const highlights = await manager.getMonthlyHighlights({ year: 2026, month: 5, memberManager });
+
+      expect(highlights.activities.map(run => [run.activityId, run.kudosCount])).toEqual([['111', 3], ['222', 2]]);
+      expect(highlights.activities[0]).toMatchObject({
+        name: 'Long Run',
+        distance: 21100,
+        memberName: 'Alice',
+        messageUrl: 'https://discord.com/channels/guild-1/channel-1/m1',
+      });
+      expect(highlights.supporters).toEqual([
+        { discordUserId: 'carol', activityCount: 4 },
+        { discordUserId: 'discord-bob', activityCount: 2 },
+        { discordUserId: 'dave', activityCount: 2 },
+      ]);
+    });
+
+    it('is empty for a month without kudos', async () => {
+      expect(await manager.getMonthlyHighlights({ year: 2026, month: 6, memberManager })).toEqual({
+        year: 2026, month: 6, activities: [], supporters: [],
+      });
+    });
+  });
+});
@@ -2,6 +2,7 @@ const LeaderboardManager = require('../../src/managers/LeaderboardManager');
 
 jest.mock('../../src/database/DatabaseManager', () => ({
   getMonthlyRunTotals: jest.fn(),
+  getRunDays: jest.fn(),
 }));
 
 jest.mock('../../src/utils/Logger', () => ({
@@ -18,6 +19,7 @@ describe('LeaderboardManager', () => {
   beforeEach(() => {
     jest.clearAllMocks();
     manager = new LeaderboardManager();
+    databaseManager.getRunDays.mockResolvedValue([]);
     memberManager = {
       getMemberByAthleteId: jest.fn(),
     };
@@ -62,6 +64,136 @@ describe('LeaderboardManager', () => {
     });
   });
 
+  describe('longestStreak', () => {
+    it('returns 0 for no days', () => {
+      expect(LeaderboardManager.longestStreak([])).toBe(0);
+    });
+
+    it('counts the longest run of consecutive days regardless of order and duplicates', () => {
+      expect(LeaderboardManager.longestStreak([
+        '2026-03-10', '2026-03-01', '2026-03-02', '2026-03-02', '2026-03-11', '2026-03-12', '2026-03-13',
+      ])).toBe(4);
+    });
+
+    it('crosses month boundaries', () => {
+      expect(LeaderboardManager.longestStreak(['2026-02-27', '2026-02-28', '2026-03-01'])).toBe(3);
+    });
+  });
+
+  describe('rankBy', () => {
+    const entries = [
+      { memberName: 'A', totalDistanceM: 50000, totalElevationM: 100, totalMovingTimeS: 15000, activityCount: 4, longestStreakDays: 2 },
+      { memberName: 'B', totalDistanceM: 30000, totalElevationM: 900, totalMovingTimeS: 12000, activityCount: 6, longestStreakDays: 5 },
+      { memberName: 'C', totalDistanceM: 10000, totalElevationM: 0, totalMovingTimeS: 3600, activityCount: 6, longestStreakDays: 1 },
+    ];
+
+    it('ranks by the requested metric', () => {
+      expect(LeaderboardManager.rankBy(entries, 'streak').map(e => e.memberName)).toEqual(['B', 'A', 'C']);
+      expect(LeaderboardManager.rankBy(entries, 'moving_time').map(e => e.memberName)).toEqual(['A', 'B', 'C']);
+    });
+
+    it('drops members who scored zero on the metric', () => {
+      expect(LeaderboardManager.rankBy(entries, 'elevation').map(e => e.memberName)).toEqual(['B', 'A']);
+    });
+
+    it('keeps distance order for ties', () => {
+      expect(LeaderboardManager.rankBy(entries, 'count').map(e => e.memberName)).toEqual(['B', 'C', 'A']);
+    });
+
+    it('falls back to distance for unknown metrics without mutating the input', () => {
+      const ranked = LeaderboardManager.rankBy(entries, 'bogus');
+      expect(ranked.map(e => e.memberName)).toEqual(['A', 'B', 'C']);
+      expect(ranked).not.toBe(entries);
+    });
+  });
+
+  describe('getCurrentWeek', () => {
+    it('returns the ISO week containing now', () => {
+      const now = new Date(Date.UTC(2026, 2, 18, 12));
+      expect(LeaderboardManager.getCurrentWeek(now)).toEqual({ year: 2026, week: 12 });
+    });
+
+    it('judges the day in the given timezone', () => {
+      // Sunday 23:30 UTC is already Monday in Paris
+      const now = new Date('2026-03-22T23:30:00Z');
+      expect(LeaderboardManager.getCurrentWeek(now)).toEqual({ year: 2026, week: 12 });
+      expect(LeaderboardManager.getCurrentWeek(now, 'Europe/Paris')).toEqual({ year: 2026, week: 13 });
+    });
+  });
+
+  describe('getPreviousWeek', () => {
+    it('returns the ISO week before the current one', () => {
+      const now = new Date(Date.UTC(2026, 2, 23, 9));
+      expect(LeaderboardManager.getPreviousWeek(now)).toEqual({ year: 2026, week: 12 });
+    });
+
+    it('rolls back into the previous ISO year', () => {
+      // Monday Jan 4 2027 is week 1 of 2027; the week before is week 53 of 2026
+      const now = new Date(Date.UTC(2027, 0, 4, 9));
+      expect(LeaderboardManager.getPreviousWeek(now)).toEqual({ year: 2026, week: 53 });
+    });
+
+    it('judges the day in the given timezone', () => {
+      // Monday 00:30 in Paris is still Sunday in UTC
+      const now = new Date('2026-03-22T23:30:00Z');
+      expect(LeaderboardManager.getPreviousWeek(now, 'UTC')).toEqual({ year: 2026, week: 11 });
+      expect(LeaderboardManager.getPreviousWeek(now, 'Europe/Paris')).toEqual({ year: 2026, week: 12 });
+    });
+  });
+
+  describe('getWeeklyLeaderboard', () => {
+    it('queries a Monday-to-Monday window', async () => {
+      databaseManager.getMonthlyRunTotals.mockResolvedValue([]);
+
+      const result = await manager.getWeeklyLeaderboard({ year: 2026, week: 12, memberManager });
+
+      const [startDate, endDate, runTypes] = databaseManager.getMonthlyRunTotals.mock.calls[0];
+      expect(startDate).toBe('2026-03-16T00:00:00.000Z');
+      expect(endDate).toBe('2026-03-23T00:00:00.000Z');
+      expect(runTypes).toEqual(expect.arrayContaining(['Run', 'TrailRun', 'VirtualRun']));
+      expect(result).toEqual({
+        year: 2026, week: 12, startDate, endDate, entries: [],
+      });
+    });
+
+    it('spans the year boundary for week 1', async () => {
+      databaseManager.getMonthlyRunTotals.mockResolvedValue([]);
+
+      await manager.getWeeklyLeaderboard({ year: 2026, week: 1, memberManager });
+
+      const [startDate, endDate] = databaseManager.getMonthlyRunTotals.mock.calls[0];
+      expect(startDate).toBe('2025-12-29T00:00:00.000Z');
+      expect(endDate).toBe('2026-01-05T00:00:00.000Z');
+    });
+
+    it('attaches member display names to each entry', async () => {
+      databaseManager.getMonthlyRunTotals.mockResolvedValue([
+        { athleteId: 111, totalDistanceM: '21000', activityCount: '3' },
+      ]);
+      memberManager.getMemberByAthleteId.mockResolvedValueOnce({ discordUser: { displayName: 'Alice' } });
+
+      const result = await manager.getWeeklyLeaderboard({ year: 2026, week: 12, memberManager });
+
+      expect(result.entries).toEqual([
+        expect.objectContaining({ athleteId: 111, totalDistanceM: 21000, activityCount: 3, memberName: 'Alice' }),
+      ]);
+    });
+
+    it('logs and rethrows when the database query fails', async () => {
+      databaseManager.getMonthlyRunTotals.mockRejectedValue(new Error('connection lost'));
+      const logger = require('../../src/utils/Logger');
+
+      await expect(
+        manager.getWeeklyLeaderboard({ year: 2026, week: 12, memberManager })
+      ).rejects.toThrow('connection lost');
+
+      expect(logger.database.error).toHaveBeenCalledWith(
+        'Failed to query weekly leaderboard totals',
+        expect.objectContaining({ year: 2026, week: 12, error: 'connection lost' })
+      );
+    });
+  });
+
   describe('getMonthlyLeaderboard', () => {
     it('queries the right date window (UTC month boundaries) and run types', async () => {
       databaseManager.getMonthlyRunTotals.mockResolvedValue([]);
@@ -97,8 +229,8 @@ describe('LeaderboardManager', () => {
       const result = await manager.getMonthlyLeaderboard({ year: 2026, month: 3, memberManager });
 
       expect(result.entries).toEqual([
-        { athleteId: 111, totalDistanceM: 50000, activityCount: 5, memberName: 'Alice' },
-        { athleteId: 222, totalDistanceM: 30000, activityCount: 3, memberName: 'Bob Y' },
+        expect.objectContaining({ athleteId: 111, totalDistanceM: 50000, activityCount: 5, memberName: 'Alice' }),
+        expect.objectContaining({ athleteId: 222, totalDistanceM: 30000, activityCount: 3, memberName: 'Bob Y' }),
       ]);
       expect(result.year).toBe(2026);
       expect(result.month).toBe(3);
@@ -138,6 +270,33 @@ describe('LeaderboardManager', () => {
       expect(result.entries).toEqual([]);
     });
 
+    it('attaches elevation, moving time and longest streak to each entry', async () => {
+      databaseManager.getMonthlyRunTotals.mockResolvedValue([
+        { athleteId: 111, totalDistanceM: 50000, totalElevationM: '1234.5', totalMovingTimeS: '18000', activityCount: 5 },
+        { athleteId: 222, totalDistanceM: 30000, totalElevationM: 0, totalMovingTimeS: 9000, activityCount: 3 },
+      ]);
+      databaseManager.getRunDays.mockResolvedValue([
+        { athleteId: 111, day: '2026-03-01' },
+        { athleteId: 111, day: '2026-03-02' },
+        { athleteId: 111, day: '2026-03-03' },
+        { athleteId: 111, day: '2026-03-10' },
+        { athleteId: 222, day: '2026-03-05' },
+      ]);
+      memberManager.getMemberByAthleteId.mockResolvedValue({ discordUser: { displayName: 'Runner' } });
+
+      const result = await manager.getMonthlyLeaderboard({ year: 2026, month: 3, memberManager });
+
+      expect(databaseManager.getRunDays).toHaveBeenCalledWith(
+        '2026-03-01T00:00:00.000Z', '2026-04-01T00:00:00.000Z', expect.arrayContaining(['Run'])
+      );
+      expect(result.entries[0]).toEqual(expect.objectContaining({
+        totalElevationM: 1234.5, totalMovingTimeS: 18000, longestStreakDays: 3,
+      }));
+      expect(result.entries[1]).toEqual(expect.objectContaining({
+        totalElevationM: 0, totalMovingTimeS: 9000, longestStreakDays: 1,
+      }));
+    });
+
     it('coerces numeric strings from SQLite SUM/COUNT to numbers', async () => {
       databaseManager.getMonthlyRunTotals.mockResolvedValue([
         { athleteId: 111, totalDistanceM: '50000.5', activityCount: '5' },
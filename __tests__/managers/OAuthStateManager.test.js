@@ -0,0 +1,126 @@
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+
+jest.mock('../../src/utils/Logger', () => ({
+  database: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+  server: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+  memberAction: jest.fn()
+}));
+
+jest.mock('../../config/config', () => ({
+  database: { path: '' },
+  security: { encryptionKey: 'a'.repeat(64) }
+}));
+
+const config = require('../../config/config');
+const dbConnection = require('../../src/database/connection');
+const databaseManager = require('../../src/database/DatabaseManager');
+const OAuthStateManager = require('../../src/managers/OAuthStateManager');
+const EncryptionUtils = require('../../src/utils/EncryptionUtils');
+const { OAUTH_STATE } = require('../../src/constants');
+
+// Nonces live in oauth_states (migration 021), so single use is exercised
+// against a real migrated database.
+describe('OAuthStateManager (real SQLite)', () => {
+  let testDataDir;
+  let oauthStateManager;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    testDataDir = path.join(os.tmpdir(), `oauth_state_test_${Date.now()}_${Math.random().toString(36).slice(2)}`);
+    await fs.mkdir(testDataDir, { recursive: true });
+    config.database.path = path.join(testDataDir, 'test.db');
+
+    databaseManager.isInitialized = false;
+    await databaseManager.initialize();
+
+    oauthStateManager = new OAuthStateManager();
+  });
+
+  afterEach(async () => {
+    await dbConnection.close();
+    databaseManager.isInitialized = false;
+    await fs.rm(testDataDir, { recursive: true, force: true });
+  });
+
+  describe('createState / consumeState', () => {
+    it('makes a signed state that works exactly once', async () => {
+      const state = await oauthStateManager.createState('123456789');
+
+      expect(state).toMatch(/^[0-9a-f]{32}\.123456789\.\d+\.[0-9a-f]{64}$/);
+      await expect(oauthStateManager.consumeState(state)).resolves.toBe('123456789');
+      await expect(oauthStateManager.consumeState(state)).resolves.toBeNull();
+    });
+
+    it('lets only one of two simultaneous callbacks through', async () => {
+      const state = await oauthStateManager.createState('123456789');
+
+      const results = await Promise.all([oauthStateManager.consumeState(state), oauthStateManager.consumeState(state)]);
+
+      expect(results.filter(Boolean)).toEqual(['123456789']);
+    });
+
+    it('rejects expired states', async () => {
+      const state = await oauthStateManager.createState('123456789');
+
+      await expect(oauthStateManager.consumeState(state, { now: Date.now() + OAUTH_STATE.TTL_MS + 1000 })).resolves.toBeNull();
+    });
+
+    it('rejects states for another user or with a bad signature', async () => {
+      const state = await oauthStateManager.createState('123456789');
+      const [nonce, , expiresAt, signature] = state.split('.');
+
+      await expect(oauthStateManager.consumeState(`${nonce}.987654321.${expiresAt}.${signature}`)).resolves.toBeNull();
+      await expect(oauthStateManager.consumeState('123456789')).resolves.toBeNull();
+      await expect(oauthStateManager.consumeState(undefined)).resolves.toBeNull();
+      // The real state is still usable
+      await expect(oauthStateManager.consumeState(state)).resolves.toBe('123456789');
+    });
+
+    it('rejects a validly signed state that was never issued', async () => {
+      const payload = `${'b'.repeat(32)}.123456789.${Math.floor(Date.now() / 1000) + 600}`;
+
+      await expect(oauthStateManager.consumeState(`${payload}.${EncryptionUtils.sign(payload)}`)).resolves.toBeNull();
+    });
+
+    it('prunes expired states when saving a new one', async () => {
+      const old = await oauthStateManager.createState('111', Date.now() - 2 * OAUTH_STATE.TTL_MS);
+      await oauthStateManager.createState('222');
+
+      expect(await databaseManager.getOAuthState(old.split('.')[0])).toBeNull();
+    });
+  });
+
+  describe('getPendingState', () => {
+    it('returns unused states without using them', async () => {
+      const state = await oauthStateManager.createState('123456789');
+
+      await expect(oauthStateManager.getPendingState(state)).resolves.toEqual(expect.objectContaining({ discordUserId: '123456789' }));
+      await oauthStateManager.consumeState(state);
+      await expect(oauthStateManager.getPendingState(state)).resolves.toBeNull();
+    });
+  });
+
+  describe('confirmation', () => {
+    it('requires the proof from a Discord login as the link\'s user', async () => {
+      const state = await oauthStateManager.createState('123456789');
+
+      await expect(oauthStateManager.consumeState(state, { requireConfirmation: true })).resolves.toBeNull();
+      await expect(oauthStateManager.confirmState(state, '999')).resolves.toBeNull();
+
+      const proof = await oauthStateManager.confirmState(state, '123456789');
+      expect(proof).toMatch(/^[0-9a-f]{64}$/);
+      await expect(oauthStateManager.consumeState(state, { requireConfirmation: true, confirmation: 'f'.repeat(64) })).resolves.toBeNull();
+      await expect(oauthStateManager.consumeState(state, { requireConfirmation: true, confirmation: proof })).resolves.toBe('123456789');
+    });
+
+    it('does not accept a proof for another state', async () => {
+      const state = await oauthStateManager.createState('123456789');
+      const other = await oauthStateManager.createState('123456789');
+      const proof = await oauthStateManager.confirmState(other, '123456789');
+
+      await expect(oauthStateManager.consumeState(state, { requireConfirmation: true, confirmation: proof })).resolves.toBeNull();
+    });
+  });
+});
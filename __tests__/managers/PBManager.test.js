@@ -7,6 +7,9 @@ jest.mock('../../src/database/DatabaseManager', () => ({
   upsertPersonalBest: jest.fn(),
   getPersonalBestsByAthleteId: jest.fn(),
   getPersonalBest: jest.fn(),
+  recordPBHistory: jest.fn().mockResolvedValue(true),
+  getPBHistory: jest.fn(),
+  getClubPersonalBests: jest.fn().mockResolvedValue([]),
   upsertActivity: jest.fn().mockResolvedValue(undefined),
   findDuplicateActivity: jest.fn().mockResolvedValue(null),
   settingsManager: {
@@ -21,6 +24,12 @@ jest.mock('../../src/utils/Logger', () => ({
   activity: { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() },
 }));
 
+jest.mock('../../src/managers/OutboundWebhookManager', () => {
+  const OutboundWebhookManager = jest.fn().mockImplementation(() => ({ dispatch: jest.fn().mockResolvedValue([]) }));
+  OutboundWebhookManager.memberToJSON = jest.fn(member => ({ athleteId: member.athleteId }));
+  return OutboundWebhookManager;
+});
+
 describe('PBManager', () => {
   let pbManager;
 
@@ -397,6 +406,213 @@ describe('PBManager', () => {
       }));
     });
 
+    it('should add every new PB to the history', async () => {
+      DatabaseManager.getPersonalBest.mockResolvedValue({ elapsed_time: 1500, category: '5K', activity_date: '2026-01-10' });
+      DatabaseManager.upsertPersonalBest.mockResolvedValue({ id: 1 });
+
+      await pbManager.checkAndUpdatePBsFromEfforts(12345, [mockEfforts[0]]);
+
+      expect(DatabaseManager.recordPBHistory).toHaveBeenCalledWith(12345, mockEfforts[0]);
+    });
+
+    it('should offer a slower effort older than the current PB to the history', async () => {
+      // A backwards history sync: the 2026-03-18 effort was the record before
+      // the faster April one
+      DatabaseManager.getPersonalBest.mockResolvedValue({ elapsed_time: 1300, category: '5K', activity_date: '2026-04-02' });
+
+      const results = await pbManager.checkAndUpdatePBsFromEfforts(12345, [mockEfforts[0]]);
+
+      expect(results[0].isNewPB).toBe(false);
+      expect(DatabaseManager.recordPBHistory).toHaveBeenCalledWith(12345, mockEfforts[0]);
+    });
+
+    it('should leave the history alone for a slower effort after the current PB', async () => {
+      DatabaseManager.getPersonalBest.mockResolvedValue({ elapsed_time: 1300, category: '5K', activity_date: '2026-02-01' });
+
+      await pbManager.checkAndUpdatePBsFromEfforts(12345, [mockEfforts[0]]);
+
+      expect(DatabaseManager.recordPBHistory).not.toHaveBeenCalled();
+    });
+
+    it('should still report the PB when the history cannot be written', async () => {
+      DatabaseManager.getPersonalBest.mockResolvedValue(null);
+      DatabaseManager.upsertPersonalBest.mockResolvedValue({ id: 1 });
+      DatabaseManager.recordPBHistory.mockRejectedValueOnce(new Error('disk full'));
+
+      const results = await pbManager.checkAndUpdatePBsFromEfforts(12345, [mockEfforts[0]]);
+
+      expect(results[0].isNewPB).toBe(true);
+    });
+
+  });
+
+  // ─── PB history ───────────────────────────────────────────────────────────
+
+  describe('PB history', () => {
+    const history = [
+      { category: '5K', elapsed_time: 1500, activity_id: '111', activity_date: '2025-09-14' },
+      { category: '5K', elapsed_time: 1452, activity_id: '222', activity_date: '2026-01-04' },
+      { category: '5K', elapsed_time: 1410, activity_id: 'i333', activity_date: '2026-03-18' },
+    ];
+
+    it('adds the improvement over the previous record to each entry', async () => {
+      DatabaseManager.getMemberByDiscordId.mockResolvedValue(mockMember);
+      DatabaseManager.getPBHistory.mockResolvedValue(history);
+
+      const result = await pbManager.getPBHistoryByDiscordId('discord123', '5K');
+
+      expect(DatabaseManager.getPBHistory).toHaveBeenCalledWith(12345, '5K');
+      expect(result.map(entry => entry.improvement)).toEqual([null, '-0:48', '-0:42']);
+    });
+
+    it('returns [] for an inactive member', async () => {
+      DatabaseManager.getMemberByDiscordId.mockResolvedValue({ ...mockMember, isActive: false });
+
+      expect(await pbManager.getPBHistoryByDiscordId('discord123', '5K')).toEqual([]);
+      expect(DatabaseManager.getPBHistory).not.toHaveBeenCalled();
+    });
+
+    it('lists the latest records first, linking Strava activities', async () => {
+      DatabaseManager.getPBHistory.mockResolvedValue(history);
+      const entries = await pbManager.getPBHistory(12345, '5K');
+
+      expect(pbManager.formatPBHistory(entries)).toEqual([
+        '**Mar 18, 2026** — 23:30 (-0:42)',
+        '**Jan 4, 2026** — 24:12 (-0:48) · [↗](https://www.strava.com/activities/222)',
+        '**Sep 14, 2025** — 25:00 (first record) · [↗](https://www.strava.com/activities/111)',
+      ]);
+      expect(pbManager.formatPBHistory(entries, 2)[2]).toBe('…and 1 earlier record');
+    });
+  });
+
+  // ─── Club records ─────────────────────────────────────────────────────────
+
+  describe('club records', () => {
+    const ALICE = { firstname: 'Alice', lastname: 'A', sex: 'F', date_of_birth: '1986-05-20' };
+    const BOB = { firstname: 'Bob', lastname: 'B', sex: 'M' };
+    const CAROL = { firstname: 'Carol', lastname: 'C', sex: 'F', date_of_birth: '1996-01-02' };
+
+    // getClubPersonalBests rows come fastest first
+    const clubRow = (athleteId, athlete, elapsedTime, activityDate, category = '5K') => ({
+      athleteId, category, elapsedTime, activityId: String(athleteId * 100), activityName: 'Parkrun', activityDate,
+      discordUserId: `discord-${athleteId}`, displayName: null, athlete,
+    });
+
+    describe('getAgeGroup', () => {
+      it.each([
+        ['1986-05-20', '2026-05-19', '35-44'],
+        ['1986-05-20', '2026-05-20', '35-44'],
+        ['1981-05-20', '2026-05-19', '35-44'],
+        ['1981-05-20', '2026-05-20', '45-54'],
+        ['2010-01-01', '2026-03-01', 'U20'],
+        ['1950-01-01', '2026-03-01', '65+'],
+      ])('born %s, running on %s → %s', (born, on, group) => {
+        expect(PBManager.getAgeGroup(born, on)).toBe(group);
+      });
+
+      it('returns null without a usable date of birth', () => {
+        expect(PBManager.getAgeGroup(null, '2026-03-01')).toBeNull();
+        expect(PBManager.getAgeGroup('2030-01-01', '2026-03-01')).toBeNull();
+      });
+    });
+
+    it('places an effort in the divisions its athlete profile allows', () => {
+      expect(PBManager.getClubDivisions(ALICE, '2026-03-01')).toEqual(['Club', 'Women', 'Women 35-44']);
+      expect(PBManager.getClubDivisions(BOB, '2026-03-01')).toEqual(['Club', 'Men']);
+      expect(PBManager.getClubDivisions({ firstname: 'X' }, '2026-03-01')).toEqual(['Club']);
+    });
+
+    it('keeps the fastest PB per division', async () => {
+      DatabaseManager.getClubPersonalBests.mockResolvedValue([
+        clubRow(2, BOB, 1100, '2025-06-01'),
+        clubRow(1, ALICE, 1180, '2026-03-01'),
+        clubRow(3, CAROL, 1200, '2026-02-01'),
+        clubRow(1, ALICE, 2500, '2026-01-01', '10K'),
+      ]);
+
+      const [fiveK, tenK] = await pbManager.getClubRecords(['5K', '10K']);
+
+      expect(DatabaseManager.getClubPersonalBests).toHaveBeenCalledWith(['5K', '10K']);
+      expect(fiveK.records.map(r => [r.division, r.memberName, r.elapsedTime])).toEqual([
+        ['Club', 'Bob B', 1100],
+        ['Men', 'Bob B', 1100],
+        ['Women', 'Alice A', 1180],
+        ['Women 20-34', 'Carol C', 1200],
+        ['Women 35-44', 'Alice A', 1180],
+      ]);
+      expect(tenK.records.map(r => r.division)).toEqual(['Club', 'Women', 'Women 35-44']);
+    });
+
+    describe('checkClubRecords', () => {
+      const newPB = (elapsedTime, previousPB = null) => ({
+        isNewPB: true, category: '5K', previousPB,
+        newPB: { category: '5K', elapsedTime, activityId: 100, activityName: 'Parkrun', activityDate: '2026-03-01' },
+      });
+
+      it('reports the divisions whose record the new PB beats', async () => {
+        DatabaseManager.getClubPersonalBests.mockResolvedValue([
+          clubRow(2, BOB, 1100, '2025-06-01'),
+          clubRow(1, ALICE, 1150, '2026-03-01'),
+          clubRow(3, CAROL, 1160, '2026-02-01'),
+        ]);
+
+        const events = await pbManager.checkClubRecords(1, [newPB(1150, { elapsed_time: 1170, activity_date: '2025-10-01', strava_activity_id: '90' })]);
+
+        expect(events).toHaveLength(1);
+        expect(events[0].holder).toMatchObject({ athleteId: 1, memberName: 'Alice A', elapsedTime: 1150, activityId: '100' });
+        expect(events[0].broken.map(b => [b.division, b.previous.memberName, b.previous.elapsedTime])).toEqual([
+          ['Women', 'Carol C', 1160],
+          ['Women 35-44', 'Alice A', 1170],
+        ]);
+      });
+
+      it('does not announce a first record or a tie', async () => {
+        DatabaseManager.getClubPersonalBests.mockResolvedValue([
+          clubRow(2, BOB, 1100, '2025-06-01'),
+          clubRow(1, { ...ALICE, sex: 'M', date_of_birth: null }, 1100, '2026-03-01'),
+        ]);
+
+        expect(await pbManager.checkClubRecords(1, [newPB(1100)])).toEqual([]);
+
+        DatabaseManager.getClubPersonalBests.mockResolvedValue([clubRow(1, ALICE, 1100, '2026-03-01')]);
+        expect(await pbManager.checkClubRecords(1, [newPB(1100)])).toEqual([]);
+      });
+
+      it('ignores categories without club records and held PBs, without a query', async () => {
+        const events = await pbManager.checkClubRecords(1, [
+          { ...newPB(300), category: '1K' },
+          { ...newPB(1100), held: true },
+          { isNewPB: false, category: '5K' },
+        ]);
+
+        expect(events).toEqual([]);
+        expect(DatabaseManager.getClubPersonalBests).not.toHaveBeenCalled();
+      });
+    });
+
+    it('formats the records, with age groups on request', async () => {
+      DatabaseManager.getClubPersonalBests.mockResolvedValue([
+        clubRow(2, BOB, 1100, '2025-06-01'),
+        clubRow(1, ALICE, 1180, '2026-03-01'),
+        { ...clubRow(3, CAROL, 1200, '2026-02-01'), activityId: 'i300', displayName: 'Caz' },
+      ]);
+      const records = await pbManager.getClubRecords(['5K', '10K']);
+
+      expect(pbManager.formatClubRecordsForEmbed(records)).toEqual([{
+        name: '🏅 5K',
+        value: [
+          '**Club** — 18:20 · Bob B · Jun 1, 2025 · [↗](https://www.strava.com/activities/200)',
+          '**Men** — 18:20 · Bob B · Jun 1, 2025 · [↗](https://www.strava.com/activities/200)',
+          '**Women** — 19:40 · Alice A · Mar 1, 2026 · [↗](https://www.strava.com/activities/100)',
+        ].join('\n'),
+        inline: false,
+      }]);
+      expect(pbManager.formatClubRecordsForEmbed(records, { ageGroups: true })[1]).toEqual({
+        name: 'Women by age group',
+        value: '**20-34** — 20:00 · Caz · Feb 1, 2026\n**35-44** — 19:40 · Alice A · Mar 1, 2026 · [↗](https://www.strava.com/activities/100)',
+        inline: false,
+      });
+    });
   });
 
   // ─── getMemberPBs ─────────────────────────────────────────────────────────
@@ -420,6 +636,78 @@ describe('PBManager', () => {
     });
   });
 
+  // ─── getHeldPBResults ─────────────────────────────────────────────────────
+
+  describe('getHeldPBResults', () => {
+    it('should return the PBs still set by the activity, flagged as held', async () => {
+      DatabaseManager.getPersonalBestsByAthleteId.mockResolvedValue([
+        { category: '5K', elapsed_time: 1180, moving_time: 1175, strava_activity_id: '999' },
+        { category: '10K', elapsed_time: 2500, moving_time: 2490, strava_activity_id: '123' },
+      ]);
+
+      const results = await pbManager.getHeldPBResults(12345, 999);
+
+      expect(results).toEqual([{
+        isNewPB: true,
+        held: true,
+        category: '5K',
+        previousPB: null,
+        newPB: { category: '5K', elapsedTime: 1180, movingTime: 1175 },
+      }]);
+    });
+  });
+
+  // ─── publishNewPBs ────────────────────────────────────────────────────────
+
+  describe('publishNewPBs', () => {
+    it('sends the new PBs of an activity as one pb.new event, with the records they beat', async () => {
+      const newPB = { category: '5K', distanceM: 5012.3, elapsedTime: 1410, movingTime: 1380, activityId: 999, activityName: 'Morning Run', activityDate: '2026-03-18' };
+      const previousPB = { elapsed_time: 1450, strava_activity_id: '888', activity_date: '2025-10-01' };
+      const newMilePB = { category: 'Mile', elapsedTime: 400, activityId: 999, activityName: 'Morning Run', activityDate: '2026-03-18' };
+
+      await pbManager.publishNewPBs(mockMember, [
+        { isNewPB: true, category: '5K', previousPB, newPB },
+        { isNewPB: false, category: '10K', previousPB: { elapsed_time: 2800 }, newPB: null },
+        { isNewPB: true, category: 'Mile', previousPB: null, newPB: newMilePB },
+      ]);
+
+      expect(pbManager.webhookManager.dispatch).toHaveBeenCalledTimes(1);
+      expect(pbManager.webhookManager.dispatch).toHaveBeenCalledWith('pb.new', {
+        member: { athleteId: 12345 },
+        pbs: [
+          {
+            category: '5K',
+            distanceM: 5012.3,
+            elapsedTimeS: 1410,
+            movingTimeS: 1380,
+            activityId: '999',
+            activityName: 'Morning Run',
+            activityDate: '2026-03-18',
+            previous: { elapsedTimeS: 1450, activityId: '888', activityDate: '2025-10-01' },
+          },
+          {
+            category: 'Mile',
+            distanceM: null,
+            elapsedTimeS: 400,
+            movingTimeS: null,
+            activityId: '999',
+            activityName: 'Morning Run',
+            activityDate: '2026-03-18',
+            previous: null,
+          },
+        ],
+      });
+    });
+
+    it('skips PBs an edited activity merely still holds', async () => {
+      await pbManager.publishNewPBs(mockMember, [
+        { isNewPB: true, held: true, category: '5K', previousPB: null, newPB: { category: '5K', elapsedTime: 1180 } },
+      ]);
+
+      expect(pbManager.webhookManager.dispatch).not.toHaveBeenCalled();
+    });
+  });
+
   // ─── getMemberPBsByDiscordId ──────────────────────────────────────────────
 
   describe('getMemberPBsByDiscordId', () => {
@@ -0,0 +1,303 @@
+const PreferencesManager = require('../../src/managers/PreferencesManager');
+
+jest.mock('../../src/database/DatabaseManager', () => ({
+  getMemberPreferences: jest.fn(),
+  getMembersPreferences: jest.fn(),
+  upsertMemberPreferences: jest.fn(),
+  getMemberByDiscordId: jest.fn(),
+}));
+
+jest.mock('../../src/utils/Logger', () => ({
+  database: { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() },
+}));
+
+jest.mock('../../config/config', () => ({
+  security: { encryptionKey: 'a'.repeat(64) },
+}));
+
+const databaseManager = require('../../src/database/DatabaseManager');
+const EncryptionUtils = require('../../src/utils/EncryptionUtils');
+
+describe('PreferencesManager', () => {
+  let manager;
+
+  const defaults = {
+    sportTypes: null, showHeartRate: true, showPace: true, showMap: true, showInApi: true, pausedUntil: null, privacyZones: [],
+    maxHeartRate: null, thresholdHeartRate: null,
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    manager = new PreferencesManager();
+    databaseManager.getMemberByDiscordId.mockResolvedValue({ athleteId: 1, isActive: true });
+    databaseManager.getMemberPreferences.mockResolvedValue(null);
+    databaseManager.upsertMemberPreferences.mockImplementation(async (athleteId, updates) => ({
+      member_athlete_id: athleteId,
+      sport_types: null,
+      show_heart_rate: 1,
+      show_pace: 1,
+      show_map: 1,
+      paused_until: null,
+      ...updates,
+    }));
+  });
+
+  describe('getPreferences', () => {
+    it('returns the defaults when the member never changed anything', async () => {
+      expect(await manager.getPreferences(1)).toEqual(defaults);
+    });
+
+    it('maps a stored row', async () => {
+      databaseManager.getMemberPreferences.mockResolvedValue({
+        sport_types: '["run","ride"]', show_heart_rate: 0, show_pace: 1, show_map: 0, paused_until: '2026-03-20',
+        max_heart_rate: 190, threshold_heart_rate: null,
+      });
+
+      expect(await manager.getPreferences(1)).toEqual({
+        sportTypes: ['run', 'ride'], showHeartRate: false, showPace: true, showMap: false, showInApi: true, pausedUntil: '2026-03-20', privacyZones: [],
+        maxHeartRate: 190, thresholdHeartRate: null,
+      });
+    });
+  });
+
+  describe('getPreferencesForMembers', () => {
+    it('loads every member in one query, with defaults for members without a row', async () => {
+      databaseManager.getMembersPreferences.mockResolvedValue([
+        { member_athlete_id: 2, sport_types: null, show_heart_rate: 1, show_pace: 0, show_map: 1, show_in_api: 0 },
+      ]);
+
+      const preferences = await manager.getPreferencesForMembers([1, 2]);
+
+      expect(databaseManager.getMembersPreferences).toHaveBeenCalledWith([1, 2]);
+      expect(databaseManager.getMemberPreferences).not.toHaveBeenCalled();
+      expect(preferences.get(1)).toEqual(defaults);
+      expect(preferences.get(2)).toMatchObject({ showPace: false, showInApi: false });
+    });
+  });
+
+  describe('setSportTypes', () => {
+    it('turns off only the sports named', async () => {
+      const preferences = await manager.setSportTypes('discord-1', { walk: false });
+
+      expect(databaseManager.upsertMemberPreferences).toHaveBeenCalledWith(1, { sport_types: '["run","ride","swim","other"]' });
+      expect(preferences.sportTypes).toEqual(['run', 'ride', 'swim', 'other']);
+    });
+
+    it('stores "all" again once every sport is back on', async () => {
+      databaseManager.getMemberPreferences.mockResolvedValue({ sport_types: '["run","ride","swim","other"]', show_heart_rate: 1, show_pace: 1, show_map: 1 });
+
+      await manager.setSportTypes('discord-1', { walk: true });
+
+      expect(databaseManager.upsertMemberPreferences).toHaveBeenCalledWith(1, { sport_types: null });
+    });
+
+    it('refuses to mute every sport', async () => {
+      databaseManager.getMemberPreferences.mockResolvedValue({ sport_types: '["run"]', show_heart_rate: 1, show_pace: 1, show_map: 1 });
+
+      await expect(manager.setSportTypes('discord-1', { run: false })).rejects.toThrow('/preferences pause');
+      expect(databaseManager.upsertMemberPreferences).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      [{}, 'Nothing to change'],
+      [{ kayak: true }, 'Unknown sport type(s): kayak'],
+    ])('rejects %o', async (toggles, message) => {
+      await expect(manager.setSportTypes('discord-1', toggles)).rejects.toThrow(message);
+    });
+  });
+
+  describe('setPrivacy', () => {
+    it('only writes the details given', async () => {
+      await manager.setPrivacy('discord-1', { showHeartRate: false, showPace: undefined, showMap: true });
+
+      expect(databaseManager.upsertMemberPreferences).toHaveBeenCalledWith(1, { show_heart_rate: 0, show_map: 1 });
+    });
+
+    it('opts the member out of the public API', async () => {
+      const preferences = await manager.setPrivacy('discord-1', { showInApi: false });
+
+      expect(databaseManager.upsertMemberPreferences).toHaveBeenCalledWith(1, { show_in_api: 0 });
+      expect(preferences.showInApi).toBe(false);
+    });
+
+    it('rejects an empty change', async () => {
+      await expect(manager.setPrivacy('discord-1', {})).rejects.toThrow('Nothing to change');
+    });
+
+    it('refuses unregistered members', async () => {
+      databaseManager.getMemberByDiscordId.mockResolvedValue(null);
+
+      await expect(manager.setPrivacy('discord-1', { showMap: false })).rejects.toThrow('Only registered team members');
+    });
+  });
+
+  describe('pauseUntil / resume', () => {
+    it('stores the pause end as an ISO date', async () => {
+      const preferences = await manager.pauseUntil('discord-1', '31-12-2999');
+
+      expect(databaseManager.upsertMemberPreferences).toHaveBeenCalledWith(1, { paused_until: '2999-12-31' });
+      expect(preferences.pausedUntil).toBe('2999-12-31');
+    });
+
+    it('rejects a date in the past', async () => {
+      await expect(manager.pauseUntil('discord-1', '01-01-2000')).rejects.toThrow('today or later');
+    });
+
+    it('clears the pause on resume', async () => {
+      await manager.resume('discord-1');
+
+      expect(databaseManager.upsertMemberPreferences).toHaveBeenCalledWith(1, { paused_until: null });
+    });
+  });
+
+  describe('privacy zones', () => {
+    const home = { lat: 48.8566, lon: 2.3522, radius: 300 };
+
+    const storeZones = (zones) => databaseManager.getMemberPreferences.mockResolvedValue({
+      show_heart_rate: 1, show_pace: 1, show_map: 1,
+      encrypted_privacy_zones: EncryptionUtils.encryptTokensToJSON(zones),
+    });
+
+    it('stores zones encrypted, never as plain coordinates', async () => {
+      const preferences = await manager.addPrivacyZone('discord-1', ' 48.8566 ,2.3522 ', 300);
+
+      const stored = databaseManager.upsertMemberPreferences.mock.calls[0][1].encrypted_privacy_zones;
+      expect(stored).not.toContain('48.8566');
+      expect(EncryptionUtils.decryptTokensFromJSON(stored)).toEqual([home]);
+      expect(preferences.privacyZones).toEqual([home]);
+    });
+
+    it('appends to the existing zones up to the limit', async () => {
+      storeZones([home]);
+      await manager.addPrivacyZone('discord-1', '45.764, 4.8357', 500);
+      const stored = databaseManager.upsertMemberPreferences.mock.calls[0][1].encrypted_privacy_zones;
+      expect(EncryptionUtils.decryptTokensFromJSON(stored)).toHaveLength(2);
+
+      storeZones(Array(5).fill(home));
+      await expect(manager.addPrivacyZone('discord-1', '45.764, 4.8357', 500)).rejects.toThrow('at most 5');
+    });
+
+    it.each([
+      ['48.8566', 300, 'latitude, longitude'],
+      ['48.8566, east', 300, 'latitude, longitude'],
+      ['95, 2.35', 300, 'between -90 and 90'],
+      ['48.8566, 2.3522', 20, 'Radius must be between 100 and 2000'],
+    ])('rejects %p with radius %p', async (coordinates, radius, message) => {
+      await expect(manager.addPrivacyZone('discord-1', coordinates, radius)).rejects.toThrow(message);
+    });
+
+    it('removes a zone by its 1-based position and clears the column when none are left', async () => {
+      const work = { lat: 45.764, lon: 4.8357, radius: 500 };
+      storeZones([home, work]);
+
+      await manager.removePrivacyZone('discord-1', 1);
+      const stored = databaseManager.upsertMemberPreferences.mock.calls[0][1].encrypted_privacy_zones;
+      expect(EncryptionUtils.decryptTokensFromJSON(stored)).toEqual([work]);
+
+      storeZones([work]);
+      await manager.removePrivacyZone('discord-1', 1);
+      expect(databaseManager.upsertMemberPreferences).toHaveBeenLastCalledWith(1, { encrypted_privacy_zones: null });
+
+      await expect(manager.removePrivacyZone('discord-1', 3)).rejects.toThrow('between 1 and 1');
+    });
+  });
+
+  describe('setHeartRate / clearHeartRate', () => {
+    it('only writes the heart rates given', async () => {
+      const preferences = await manager.setHeartRate('discord-1', { maxHeartRate: 190, thresholdHeartRate: undefined });
+
+      expect(databaseManager.upsertMemberPreferences).toHaveBeenCalledWith(1, { max_heart_rate: 190 });
+      expect(preferences.maxHeartRate).toBe(190);
+    });
+
+    it('checks the threshold against the stored max', async () => {
+      databaseManager.getMemberPreferences.mockResolvedValue({ show_heart_rate: 1, show_pace: 1, show_map: 1, max_heart_rate: 175 });
+
+      await expect(manager.setHeartRate('discord-1', { thresholdHeartRate: 180 }))
+        .rejects.toThrow('Threshold heart rate (180) must be below max heart rate (175)');
+      expect(databaseManager.upsertMemberPreferences).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      [{}, 'Nothing to change'],
+      [{ maxHeartRate: 250 }, 'between 100 and 230'],
+      [{ thresholdHeartRate: 160.5 }, 'between 100 and 230'],
+    ])('rejects %o', async (heartRate, message) => {
+      await expect(manager.setHeartRate('discord-1', heartRate)).rejects.toThrow(message);
+    });
+
+    it('clears both heart rates', async () => {
+      await manager.clearHeartRate('discord-1');
+
+      expect(databaseManager.upsertMemberPreferences).toHaveBeenCalledWith(1, { max_heart_rate: null, threshold_heart_rate: null });
+    });
+  });
+
+  describe('shouldPost', () => {
+    it('posts everything by default', () => {
+      expect(manager.shouldPost(defaults, { type: 'Hike' }, '2026-03-10')).toEqual({ post: true });
+    });
+
+    it('holds posts while paused, through the last day inclusive', () => {
+      const paused = { ...defaults, pausedUntil: '2026-03-10' };
+
+      expect(manager.shouldPost(paused, { type: 'Run' }, '2026-03-10').post).toBe(false);
+      expect(manager.shouldPost(paused, { type: 'Run' }, '2026-03-11').post).toBe(true);
+    });
+
+    it('filters muted sports by category, with unknown types under "other"', () => {
+      const runsOnly = { ...defaults, sportTypes: ['run'] };
+
+      expect(manager.shouldPost(runsOnly, { type: 'TrailRun' }).post).toBe(true);
+      expect(manager.shouldPost(runsOnly, { type: 'Walk' })).toEqual({ post: false, reason: "Sport type 'walk' muted by member" });
+      expect(manager.shouldPost(runsOnly, { type: 'Yoga' }).reason).toContain("'other'");
+    });
+  });
+
+  describe('applyPrivacy', () => {
+    const processed = {
+      id: 1,
+      type: 'Run',
+      average_heartrate: 150,
+      max_heartrate: 180,
+      gap_pace: '5:00/km',
+      average_speed: 3.3,
+      map: { summary_polyline: 'abc' },
+    };
+
+    it('leaves the activity untouched when nothing is hidden', () => {
+      expect(manager.applyPrivacy(processed, defaults)).toEqual(processed);
+    });
+
+    it('hands the privacy zones on to the map renderer', () => {
+      const privacyZones = [{ lat: 48.8566, lon: 2.3522, radius: 300 }];
+
+      expect(manager.applyPrivacy(processed, { ...defaults, privacyZones }).privacyZones).toBe(privacyZones);
+    });
+
+    it('hands the heart-rate zone settings on to EmbedBuilder', () => {
+      const result = manager.applyPrivacy(processed, { ...defaults, thresholdHeartRate: 170 });
+
+      expect(result.heartRateZones).toEqual({ maxHeartRate: null, thresholdHeartRate: 170 });
+    });
+
+    it('drops the heart-rate stream, zones and split HR when heart rate is hidden', () => {
+      const splits = { unit: 'km', rows: [{ distance: 1000, movingTime: 300, elevationDifference: 4, averageHeartrate: 150 }] };
+      const withStream = { ...processed, heartrate_stream: { time: [0, 1], heartrate: [150, 150] }, splits };
+
+      const result = manager.applyPrivacy(withStream, { ...defaults, showHeartRate: false, maxHeartRate: 190 });
+
+      expect(result).not.toHaveProperty('heartrate_stream');
+      expect(result).not.toHaveProperty('heartRateZones');
+      expect(result.splits.rows[0]).toEqual({ distance: 1000, movingTime: 300, elevationDifference: 4, averageHeartrate: null });
+      expect(splits.rows[0].averageHeartrate).toBe(150);
+    });
+
+    it('strips hidden details without mutating the input', () => {
+      const result = manager.applyPrivacy(processed, { ...defaults, showHeartRate: false, showPace: false, showMap: false });
+
+      expect(result).toEqual({ id: 1, type: 'Run', hidePace: true });
+      expect(processed.average_heartrate).toBe(150);
+    });
+  });
+});
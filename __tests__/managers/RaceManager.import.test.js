@@ -0,0 +1,88 @@
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+
+jest.mock('../../src/utils/Logger', () => ({
+  database: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+  memberAction: jest.fn()
+}));
+
+jest.mock('../../config/config', () => ({
+  database: { path: '' },
+  security: { encryptionKey: 'a'.repeat(64) }
+}));
+
+const config = require('../../config/config');
+const dbConnection = require('../../src/database/connection');
+const databaseManager = require('../../src/database/DatabaseManager');
+const RaceManager = require('../../src/managers/RaceManager');
+const RaceImportParser = require('../../src/utils/RaceImportParser');
+
+// Imported races are inserted in one transaction, so all-or-nothing is
+// checked against a real database.
+describe('RaceManager import (real SQLite)', () => {
+  let testDataDir;
+  let raceManager;
+
+  const ALICE = 1001;
+
+  beforeEach(async () => {
+    testDataDir = path.join(os.tmpdir(), `race_import_test_${Date.now()}_${Math.random().toString(36).slice(2)}`);
+    await fs.mkdir(testDataDir, { recursive: true });
+    config.database.path = path.join(testDataDir, 'test.db');
+
+    databaseManager.isInitialized = false;
+    await databaseManager.initialize();
+
+    dbConnection.getRawDb().prepare(`
+      INSERT INTO members (athlete_id, discord_id, discord_user_id, is_active, athlete, provider)
+      VALUES (?, ?, ?, 1, '{}', 'strava')
+    `).run(ALICE, 'discord-alice', 'discord-alice');
+
+    raceManager = new RaceManager();
+  });
+
+  afterEach(async () => {
+    await dbConnection.close();
+    databaseManager.isInitialized = false;
+    await fs.rm(testDataDir, { recursive: true, force: true });
+  });
+
+  it('imports the accepted rows of a CSV', async () => {
+    await raceManager.addRace('discord-alice', { name: 'Paris Marathon', raceDate: '12-04-2026' });
+
+    const rows = RaceImportParser.parse([
+      'name;date;type;distance;elevation',
+      'Paris Marathon;12/04/2026;road;marathon;',
+      'Trail des Lacs;07/06/2026;trail;42;2500D+',
+      'Lyon 10K;04/10/2026;;10K;'
+    ].join('\n'), 'races.csv');
+
+    const { accepted, rejected } = await raceManager.prepareImport('discord-alice', rows);
+    expect(rejected).toEqual([{ line: 2, name: 'Paris Marathon', reason: 'Already in your races' }]);
+
+    const added = await raceManager.addRaces('discord-alice', accepted);
+
+    expect(added.map(race => race.name)).toEqual(['Trail des Lacs', 'Lyon 10K']);
+    expect(await raceManager.getRace(added[0].id)).toMatchObject({
+      member_athlete_id: ALICE,
+      race_date: '2026-06-07',
+      race_type: 'trail',
+      distance: '42km',
+      elevation: '2500D+',
+      status: 'registered'
+    });
+    expect(await raceManager.getMemberRaces('discord-alice')).toHaveLength(3);
+  });
+
+  it('adds none of the races when one insert fails', async () => {
+    // better-sqlite3's SqliteError may come from another test file's realm,
+    // where toThrow doesn't see it as an Error — match on the message instead
+    await expect(databaseManager.addRaces(ALICE, [
+      { name: 'Lyon 10K', raceDate: '2026-10-04' },
+      { name: null, raceDate: '2026-10-05' }
+    ])).rejects.toMatchObject({ message: expect.stringContaining('NOT NULL constraint failed') });
+
+    expect(await raceManager.getMemberRaces('discord-alice')).toEqual([]);
+  });
+});
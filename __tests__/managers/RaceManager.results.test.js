@@ -0,0 +1,86 @@
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+
+jest.mock('../../src/utils/Logger', () => ({
+  database: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+  memberAction: jest.fn()
+}));
+
+jest.mock('../../config/config', () => ({
+  database: { path: '' },
+  security: { encryptionKey: 'a'.repeat(64) }
+}));
+
+const config = require('../../config/config');
+const dbConnection = require('../../src/database/connection');
+const databaseManager = require('../../src/database/DatabaseManager');
+const RaceManager = require('../../src/managers/RaceManager');
+
+// Results live in the columns migrations 017 and 018 add to races, so they
+// are exercised against a real migrated database.
+describe('RaceManager results (real SQLite)', () => {
+  let testDataDir;
+  let raceManager;
+
+  const ALICE = 1001;
+
+  beforeEach(async () => {
+    testDataDir = path.join(os.tmpdir(), `race_results_test_${Date.now()}_${Math.random().toString(36).slice(2)}`);
+    await fs.mkdir(testDataDir, { recursive: true });
+    config.database.path = path.join(testDataDir, 'test.db');
+
+    databaseManager.isInitialized = false;
+    await databaseManager.initialize();
+
+    dbConnection.getRawDb().prepare(`
+      INSERT INTO members (athlete_id, discord_id, discord_user_id, is_active, athlete, provider)
+      VALUES (?, ?, ?, 1, '{}', 'strava')
+    `).run(ALICE, 'discord-alice', 'discord-alice');
+
+    raceManager = new RaceManager();
+  });
+
+  afterEach(async () => {
+    await dbConnection.close();
+    databaseManager.isInitialized = false;
+    await fs.rm(testDataDir, { recursive: true, force: true });
+  });
+
+  it('completes the race from the run and keeps the result', async () => {
+    const race = await raceManager.addRace('discord-alice', {
+      name: 'Paris Marathon', raceDate: '12-04-2026', distance: '42.2km', distanceKm: '42.195', goalTime: '3:30:00', notes: 'Corral 3',
+    });
+
+    const result = await raceManager.linkActivity(ALICE, 'discord-alice', {
+      id: 98765, type: 'Run', start_date_local: '2026-04-12T08:45:00Z', distance: 42600, elapsed_time: 12494,
+    });
+
+    expect(result.goalDelta).toBe(-106);
+    expect(await raceManager.getRace(race.id)).toMatchObject({
+      status: 'completed', finish_time: 12494, activity_id: '98765', notes: 'Corral 3',
+    });
+
+    // Completed races aren't linked again
+    expect(await raceManager.linkActivity(ALICE, 'discord-alice', {
+      id: 98766, type: 'Run', start_date_local: '2026-04-12T17:00:00Z', distance: 42195, elapsed_time: 20000,
+    })).toBeNull();
+  });
+
+  it('adds placements and bib to a linked result', async () => {
+    const race = await raceManager.addRace('discord-alice', {
+      name: 'Club 10K', raceDate: '04-10-2026', distance: '10K', distanceKm: '10',
+    });
+    await raceManager.linkActivity(ALICE, 'discord-alice', {
+      id: 'i555', type: 'Run', start_date_local: '2026-10-04T09:00:00', distance: 10050, elapsed_time: 2710,
+    });
+
+    await raceManager.recordResult(race.id, 'discord-alice', {
+      finishTime: '45:08', overallPlace: 31, categoryPlace: 4, bibNumber: '208',
+    });
+
+    expect(await raceManager.getRace(race.id)).toMatchObject({
+      status: 'completed', finish_time: 2708, activity_id: 'i555', overall_place: 31, category_place: 4, bib_number: '208',
+    });
+  });
+});
@@ -6,6 +6,7 @@ jest.mock('../../src/database/DatabaseManager', () => ({
   initialize: jest.fn(),
   getMemberByDiscordId: jest.fn(),
   addRace: jest.fn(),
+  addRaces: jest.fn(),
   updateRace: jest.fn(),
   removeRace: jest.fn(),
   getMemberRaces: jest.fn(),
@@ -23,6 +24,12 @@ jest.mock('../../src/database/DatabaseManager', () => ({
   }
 }));
 
+jest.mock('../../src/managers/OutboundWebhookManager', () => {
+  const OutboundWebhookManager = jest.fn().mockImplementation(() => ({ dispatch: jest.fn().mockResolvedValue([]) }));
+  OutboundWebhookManager.memberToJSON = jest.fn(member => ({ athleteId: member.athleteId }));
+  return OutboundWebhookManager;
+});
+
 describe('RaceManager', () => {
   let raceManager;
   let mockMember;
@@ -127,6 +134,83 @@ describe('RaceManager', () => {
     });
   });
 
+  describe('prepareImport', () => {
+    const row = (line, raceData) => ({ line, raceData: { raceType: 'road', ...raceData } });
+
+    beforeEach(() => {
+      DatabaseManager.getMemberByDiscordId.mockResolvedValue(mockMember);
+      DatabaseManager.getMemberRaces.mockResolvedValue([
+        { id: 1, name: 'Paris Marathon', race_date: '2026-04-12' }
+      ]);
+    });
+
+    it('accepts valid rows and rejects the rest with a reason', async () => {
+      const result = await raceManager.prepareImport('discord123', [
+        row(2, { name: 'Lyon 10K', raceDate: '04-10-2026', distanceKm: '10' }),
+        row(3, { name: '', raceDate: '05-10-2026' }),
+        row(4, { name: 'Someday', raceDate: 'next sunday' }),
+        row(5, { name: ' paris marathon ', raceDate: '12-04-2026' }),
+        row(6, { name: 'Lyon 10k', raceDate: '04-10-2026' })
+      ]);
+
+      expect(result.accepted).toEqual([
+        expect.objectContaining({ name: 'Lyon 10K', raceDate: '04-10-2026' })
+      ]);
+      expect(result.rejected).toEqual([
+        { line: 3, name: '', reason: 'Race name is required' },
+        { line: 4, name: 'Someday', reason: 'Race date must be in DD-MM-YYYY format' },
+        { line: 5, name: 'paris marathon', reason: 'Already in your races' },
+        { line: 6, name: 'Lyon 10k', reason: 'Already in your races' }
+      ]);
+    });
+
+    it('caps the number of races per import', async () => {
+      const rows = Array.from({ length: 52 }, (_, i) => row(i + 2, { name: `Race ${i}`, raceDate: '04-10-2026' }));
+
+      const result = await raceManager.prepareImport('discord123', rows);
+
+      expect(result.accepted).toHaveLength(50);
+      expect(result.rejected).toEqual([
+        { line: 52, name: 'Race 50', reason: 'Only 50 races can be imported at once' },
+        { line: 53, name: 'Race 51', reason: 'Only 50 races can be imported at once' }
+      ]);
+    });
+  });
+
+  describe('addRaces', () => {
+    it('adds all races in one call with ISO dates', async () => {
+      DatabaseManager.getMemberByDiscordId.mockResolvedValue(mockMember);
+      DatabaseManager.addRaces.mockResolvedValue([{ id: 1 }, { id: 2 }]);
+
+      const races = await raceManager.addRaces('discord123', [
+        { name: ' Lyon 10K ', raceDate: '04-10-2026', raceType: 'road', distance: '10K', distanceKm: '10' },
+        { name: 'Trail des Lacs', raceDate: '07-06-2026', raceType: 'trail', elevation: ' 2500D+ ', notes: null }
+      ]);
+
+      expect(races).toEqual([{ id: 1 }, { id: 2 }]);
+      expect(DatabaseManager.addRaces).toHaveBeenCalledWith(12345, [
+        expect.objectContaining({ name: 'Lyon 10K', raceDate: '2026-10-04', distance: '10K', distanceKm: '10', status: 'registered' }),
+        expect.objectContaining({ name: 'Trail des Lacs', raceDate: '2026-06-07', raceType: 'trail', elevation: '2500D+', notes: null })
+      ]);
+    });
+
+    it('adds nothing when a race is invalid', async () => {
+      DatabaseManager.getMemberByDiscordId.mockResolvedValue(mockMember);
+
+      await expect(raceManager.addRaces('discord123', [
+        { name: 'Lyon 10K', raceDate: '04-10-2026' },
+        { name: 'Bad', raceDate: '2026-10-04' }
+      ])).rejects.toThrow('Race date must be in DD-MM-YYYY format');
+      expect(DatabaseManager.addRaces).not.toHaveBeenCalled();
+    });
+
+    it('requires an active member', async () => {
+      DatabaseManager.getMemberByDiscordId.mockResolvedValue(null);
+
+      await expect(raceManager.addRaces('discord123', [])).rejects.toThrow('Member not found or inactive');
+    });
+  });
+
   describe('updateRace', () => {
     it('should update race successfully', async () => {
       const mockRace = {
@@ -456,10 +540,38 @@ describe('RaceManager', () => {
       };
 
       DatabaseManager.getStats.mockResolvedValue(mockStats);
+      DatabaseManager.getAllRaces.mockResolvedValue([]);
+
+      const result = await raceManager.getRaceStats();
+
+      expect(result).toEqual({
+        ...mockStats.races,
+        completed: 0,
+        goalsBeaten: 0,
+        goalsMissed: 0,
+        personalRecords: 0,
+        results: []
+      });
+    });
+
+    it('counts goals and PRs over the completed races', async () => {
+      DatabaseManager.getStats.mockResolvedValue({ races: { total: 4, upcoming: 0 } });
+      DatabaseManager.getAllRaces.mockResolvedValue([
+        { id: 3, member_athlete_id: 1, race_date: '2025-10-12', distance_km: '42.2', status: 'completed', finish_time: 12494, goal_time: '3:30:00' },
+        { id: 1, member_athlete_id: 1, race_date: '2025-04-21', distance_km: '42.2', status: 'completed', finish_time: 12900, goal_time: '3:30:00' },
+        { id: 2, member_athlete_id: 2, race_date: '2025-05-01', distance_km: '10', status: 'completed', finish_time: 2700, goal_time: null },
+        { id: 4, member_athlete_id: 2, race_date: '2025-06-01', distance_km: '10', status: 'completed', finish_time: null, goal_time: '45:00' },
+      ]);
 
       const result = await raceManager.getRaceStats();
 
-      expect(result).toEqual(mockStats.races);
+      expect(DatabaseManager.getAllRaces).toHaveBeenCalledWith({ status: 'completed' });
+      expect(result).toMatchObject({ total: 4, completed: 4, goalsBeaten: 1, goalsMissed: 1, personalRecords: 1 });
+      expect(result.results.map(race => [race.id, race.goal_delta, race.is_pr])).toEqual([
+        [3, -106, true],
+        [1, 300, false],
+        [2, null, false],
+      ]);
     });
 
     it('should handle error when getting race stats', async () => {
@@ -469,11 +581,70 @@ describe('RaceManager', () => {
 
       expect(result).toEqual({
         total: 0,
-        upcoming: 0
+        upcoming: 0,
+        completed: 0,
+        goalsBeaten: 0,
+        goalsMissed: 0,
+        personalRecords: 0,
+        results: []
       });
     });
   });
 
+  describe('annotateResults', () => {
+    const race = (id, date, finish, extra = {}) => ({
+      id, member_athlete_id: 1, race_date: date, distance_km: '10', status: 'completed', finish_time: finish, goal_time: null, ...extra,
+    });
+
+    it('flags a result that beats every earlier one at that distance', () => {
+      const annotated = raceManager.annotateResults([
+        race(1, '2025-01-10', 2800),
+        race(2, '2025-03-10', 2750),
+        race(3, '2025-05-10', 2760),
+        race(4, '2025-06-10', 2700, { member_athlete_id: 2 }),
+        race(5, '2025-07-10', 2600, { distance_km: '21.1' }),
+      ]);
+
+      expect(annotated.map(r => r.is_pr)).toEqual([false, true, false, false, false]);
+    });
+
+    it('ignores races without a result', () => {
+      const annotated = raceManager.annotateResults([
+        race(1, '2025-01-10', 2800),
+        race(2, '2025-03-10', null),
+        race(3, '2025-05-10', 2500, { status: 'registered' }),
+      ]);
+
+      expect(annotated.map(r => r.is_pr)).toEqual([false, false, false]);
+      expect(annotated[2].goal_delta).toBeNull();
+    });
+  });
+
+  describe('result display', () => {
+    const completed = { status: 'completed', finish_time: 12494, goal_time: '3:30:00' };
+
+    it.each([
+      [{ ...completed }, '⏱️ 3:28:14 (-1:46 vs goal)'],
+      [{ ...completed, finish_time: 12730 }, '⏱️ 3:32:10 (+2:10 vs goal)'],
+      [{ ...completed, finish_time: 12600 }, '⏱️ 3:30:00 (goal hit)'],
+      [{ ...completed, goal_time: 'sub 3h30', is_pr: true }, '⏱️ 3:28:14 🏆 PR'],
+      [{ ...completed, status: 'registered' }, null],
+    ])('formats the result line of %o', (raceData, expected) => {
+      expect(raceManager.formatResultLine(raceData)).toBe(expected);
+    });
+
+    it('shows bib and placements in the race display', () => {
+      const display = raceManager.formatRaceDisplay({
+        name: 'Paris Marathon', race_date: '2026-04-12', race_type: 'road', ...completed,
+        bib_number: '1234', overall_place: 812, category_place: 45, is_pr: true,
+      });
+
+      expect(display).toContain('🎽 Bib 1234');
+      expect(display).toContain('⏱️ 3:28:14 (-1:46 vs goal) 🏆 PR');
+      expect(display).toContain('🏅 #812 overall · #45 in category');
+    });
+  });
+
   describe('completeRace', () => {
     it('should complete a race successfully', async () => {
       const mockRace = {
@@ -498,6 +669,92 @@ describe('RaceManager', () => {
       expect(DatabaseManager.updateRace).toHaveBeenCalled();
     });
 
+    it('sends the status change to the outbound webhooks', async () => {
+      const mockRace = { id: 1, member_athlete_id: mockMember.athleteId, name: 'Boston Marathon', race_date: '2025-04-21', status: 'registered' };
+
+      DatabaseManager.db.select().from().where().get.mockResolvedValue(mockRace);
+      DatabaseManager.getMemberByDiscordId.mockResolvedValue(mockMember);
+      DatabaseManager.updateRace.mockResolvedValue({ ...mockRace, status: 'completed', finish_time: 12494 });
+
+      await raceManager.completeRace(1, 'discord123', { finishTime: '3:28:14' });
+
+      expect(raceManager.webhookManager.dispatch).toHaveBeenCalledWith('race.status_changed', {
+        member: { athleteId: 12345 },
+        race: expect.objectContaining({ id: 1, name: 'Boston Marathon', date: '2025-04-21', status: 'completed', finishTimeS: 12494 }),
+        previousStatus: 'registered'
+      });
+    });
+
+    it('sends nothing with publish: false', async () => {
+      const mockRace = { id: 1, member_athlete_id: mockMember.athleteId, name: 'Boston Marathon', status: 'registered' };
+
+      DatabaseManager.db.select().from().where().get.mockResolvedValue(mockRace);
+      DatabaseManager.getMemberByDiscordId.mockResolvedValue(mockMember);
+      DatabaseManager.updateRace.mockResolvedValue({ ...mockRace, status: 'completed', finish_time: 12494 });
+
+      await raceManager.completeRace(1, 'discord123', { finishTime: '3:28:14' }, { publish: false });
+
+      expect(DatabaseManager.updateRace).toHaveBeenCalled();
+      expect(raceManager.webhookManager.dispatch).not.toHaveBeenCalled();
+    });
+
+    it('sends nothing when the status stays the same', async () => {
+      const mockRace = { id: 1, member_athlete_id: mockMember.athleteId, name: 'Boston Marathon', status: 'completed' };
+
+      DatabaseManager.db.select().from().where().get.mockResolvedValue(mockRace);
+      DatabaseManager.getMemberByDiscordId.mockResolvedValue(mockMember);
+      DatabaseManager.updateRace.mockResolvedValue({ ...mockRace, overall_place: 150 });
+
+      await raceManager.completeRace(1, 'discord123', { finishTime: '3:28:14', overallPlace: 150 });
+
+      expect(raceManager.webhookManager.dispatch).not.toHaveBeenCalled();
+    });
+
+    it('stores the finish time in seconds and the linked activity, keeping the notes', async () => {
+      const mockRace = { id: 1, member_athlete_id: mockMember.athleteId, name: 'Boston Marathon', notes: 'Corral 3' };
+
+      DatabaseManager.db.select().from().where().get.mockResolvedValue(mockRace);
+      DatabaseManager.getMemberByDiscordId.mockResolvedValue(mockMember);
+      DatabaseManager.updateRace.mockResolvedValue({ ...mockRace, status: 'completed' });
+
+      await raceManager.completeRace(1, 'discord123', { finishTime: '3:28:14', activityId: 98765 });
+
+      expect(DatabaseManager.updateRace).toHaveBeenCalledWith(1, {
+        status: 'completed',
+        finish_time: 12494,
+        activity_id: '98765',
+      });
+    });
+
+    it('records placements and bib without dropping a linked activity', async () => {
+      const mockRace = { id: 1, member_athlete_id: mockMember.athleteId, name: 'Boston Marathon', activity_id: '98765' };
+
+      DatabaseManager.db.select().from().where().get.mockResolvedValue(mockRace);
+      DatabaseManager.getMemberByDiscordId.mockResolvedValue(mockMember);
+      DatabaseManager.updateRace.mockResolvedValue({ ...mockRace, status: 'completed' });
+
+      await raceManager.recordResult(1, 'discord123', {
+        finishTime: '3:28:14', overallPlace: 812, categoryPlace: 45, bibNumber: ' 1234 ', activityId: null,
+      });
+
+      expect(DatabaseManager.updateRace).toHaveBeenCalledWith(1, {
+        status: 'completed',
+        finish_time: 12494,
+        overall_place: 812,
+        category_place: 45,
+        bib_number: '1234',
+      });
+    });
+
+    it.each([
+      [{ finishTime: 'fast' }, 'Finish time must be in H:MM:SS or MM:SS format'],
+      [{ finishTime: '45:10', overallPlace: 0 }, 'Overall placement must be a positive whole number'],
+      [{ finishTime: '45:10', categoryPlace: 2.5 }, 'Category placement must be a positive whole number'],
+    ])('rejects an invalid result %o', async (result, message) => {
+      await expect(raceManager.recordResult(1, 'discord123', result)).rejects.toThrow(message);
+      expect(DatabaseManager.updateRace).not.toHaveBeenCalled();
+    });
+
     it('should throw error if race not found', async () => {
       DatabaseManager.db.select().from().where().get.mockResolvedValue(null);
 
@@ -584,4 +841,74 @@ describe('RaceManager', () => {
       expect(result).toEqual(mockRaces);
     });
   });
-});
\ No newline at end of file
+
+  describe('parseRaceTime', () => {
+    it.each([
+      [12494, 12494],
+      ['3:28:14', 12494],
+      ['45:30', 2730],
+      [' 1:05:00 ', 3900],
+      ['sub 3h', null],
+      ['3:75:00', null],
+      ['', null],
+      [null, null],
+      [0, null],
+    ])('reads %p as %p seconds', (input, seconds) => {
+      expect(RaceManager.parseRaceTime(input)).toBe(seconds);
+    });
+  });
+
+  describe('formatGoalComparison', () => {
+    it('says by how much the goal was beaten or missed', () => {
+      expect(raceManager.formatGoalComparison(12494, 12600)).toBe('🎯 Goal 3:30:00 beaten by 1:46');
+      expect(raceManager.formatGoalComparison(12600, 12600)).toBe('🎯 Goal 3:30:00 hit to the second');
+      expect(raceManager.formatGoalComparison(12730, 12600)).toBe('Goal 3:30:00 missed by 2:10');
+      expect(raceManager.formatGoalComparison(12494, null)).toBeNull();
+    });
+  });
+
+  describe('linkActivity', () => {
+    const marathon = { id: 1, member_athlete_id: 12345, name: 'Paris Marathon', race_date: '2026-04-12', distance_km: '42.195', goal_time: '3:30:00', status: 'registered' };
+    const tenK = { id: 2, member_athlete_id: 12345, name: 'Evening 10K', race_date: '2026-04-12', distance_km: '10', goal_time: null, status: 'registered' };
+    const run = { id: 98765, type: 'Run', start_date_local: '2026-04-12T08:45:00Z', distance: 42600, elapsed_time: 12494 };
+
+    beforeEach(() => {
+      DatabaseManager.getMemberRaces.mockResolvedValue([marathon, tenK]);
+      jest.spyOn(raceManager, 'completeRace').mockImplementation(async (raceId) => ({ id: raceId, status: 'completed' }));
+    });
+
+    it('completes the race run that day at a matching distance', async () => {
+      const result = await raceManager.linkActivity(12345, 'discord123', run);
+
+      expect(DatabaseManager.getMemberRaces).toHaveBeenCalledWith(12345, { status: 'registered' });
+      expect(raceManager.completeRace).toHaveBeenCalledWith(1, 'discord123', { finishTime: 12494, activityId: 98765 }, { publish: true });
+      expect(result).toEqual({ race: { id: 1, status: 'completed' }, finishTime: 12494, goalTime: 12600, goalDelta: -106 });
+    });
+
+    it('passes publish: false on to completeRace', async () => {
+      await raceManager.linkActivity(12345, 'discord123', run, { publish: false });
+
+      expect(raceManager.completeRace).toHaveBeenCalledWith(1, 'discord123', expect.any(Object), { publish: false });
+    });
+
+    it('picks the race closest in distance', async () => {
+      await raceManager.linkActivity(12345, 'discord123', { ...run, distance: 10150, elapsed_time: 2700 });
+
+      expect(raceManager.completeRace).toHaveBeenCalledWith(2, 'discord123', expect.any(Object), { publish: true });
+    });
+
+    it('accepts a run Strava marks as a race whatever its distance', async () => {
+      const short = { ...run, distance: 30000 };
+
+      expect(await raceManager.linkActivity(12345, 'discord123', short)).toBeNull();
+      expect(await raceManager.linkActivity(12345, 'discord123', short, { isRace: true })).toMatchObject({ goalDelta: -106 });
+      expect(raceManager.completeRace).toHaveBeenCalledTimes(1);
+    });
+
+    it('ignores runs on another day and activities that are not runs', async () => {
+      expect(await raceManager.linkActivity(12345, 'discord123', { ...run, start_date_local: '2026-04-11T08:45:00Z' })).toBeNull();
+      expect(await raceManager.linkActivity(12345, 'discord123', { ...run, type: 'Ride' }, { isRace: true })).toBeNull();
+      expect(raceManager.completeRace).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,156 @@
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+
+jest.mock('../../src/utils/Logger', () => ({
+  database: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+  activity: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+  memberAction: jest.fn()
+}));
+
+jest.mock('../../config/config', () => ({
+  database: { path: '' },
+  security: { encryptionKey: 'a'.repeat(64) },
+  retry: { maxAttempts: 4, baseDelayMinutes: 2, maxDelayMinutes: 5 }
+}));
+
+const config = require('../../config/config');
+const dbConnection = require('../../src/database/connection');
+const databaseManager = require('../../src/database/DatabaseManager');
+const RetryQueue = require('../../src/managers/RetryQueue');
+const logger = require('../../src/utils/Logger');
+
+// Backoff state lives in activity_retries, so the queue is exercised
+// against a real migrated database with the clock pinned.
+describe('RetryQueue (real SQLite)', () => {
+  let testDataDir;
+  let activityProcessor;
+  let queue;
+
+  const NOW = new Date('2026-05-03T08:00:00Z');
+  const ALICE = 1001;
+
+  const httpError = (status) => Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status },
+  });
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    jest.setSystemTime(NOW);
+
+    testDataDir = path.join(os.tmpdir(), `retry_queue_test_${Date.now()}_${Math.random().toString(36).slice(2)}`);
+    await fs.mkdir(testDataDir, { recursive: true });
+    config.database.path = path.join(testDataDir, 'test.db');
+
+    databaseManager.isInitialized = false;
+    await databaseManager.initialize();
+
+    activityProcessor = { processNewActivity: jest.fn().mockResolvedValue() };
+    queue = new RetryQueue(activityProcessor);
+  });
+
+  afterEach(async () => {
+    jest.useRealTimers();
+    await dbConnection.close();
+    databaseManager.isInitialized = false;
+    await fs.rm(testDataDir, { recursive: true, force: true });
+  });
+
+  describe('isRetryable', () => {
+    it('retries outages and expired tokens, not client errors', () => {
+      expect(RetryQueue.isRetryable(new Error('socket hang up'))).toBe(true);
+      for (const status of [401, 408, 429, 500, 503]) {
+        expect(RetryQueue.isRetryable(httpError(status))).toBe(true);
+      }
+      for (const status of [400, 403, 404]) {
+        expect(RetryQueue.isRetryable(httpError(status))).toBe(false);
+      }
+    });
+  });
+
+  it('doubles the delay after every failure, up to the cap', () => {
+    expect([1, 2, 3, 4].map(attempts => queue.getDelayMs(attempts) / 60000)).toEqual([2, 4, 5, 5]);
+  });
+
+  it('backs off, then dead-letters after the last attempt', async () => {
+    const schedule = [];
+    for (let i = 0; i < 4; i++) {
+      schedule.push(await queue.scheduleRetry(98765, ALICE, httpError(503)));
+    }
+
+    expect(schedule.map(({ status, attempts }) => [status, attempts])).toEqual([
+      ['pending', 1], ['pending', 2], ['pending', 3], ['dead', 4],
+    ]);
+    expect(schedule[0].nextAttemptAt).toEqual(new Date('2026-05-03T08:02:00Z'));
+    expect(await databaseManager.getActivityRetry(98765)).toMatchObject({
+      athlete_id: ALICE,
+      status: 'dead',
+      next_attempt_at: null,
+      last_error: 'Request failed with status code 503',
+      last_status: 503,
+    });
+    expect(await queue.getCounts()).toEqual({ pending: 0, dead: 1 });
+    expect(logger.activity.warn).toHaveBeenCalledWith('Activity dead-lettered', expect.objectContaining({
+      reason: 'Too many failed attempts',
+    }));
+  });
+
+  it('dead-letters errors that retrying cannot fix straight away', async () => {
+    expect(await queue.scheduleRetry(98765, ALICE, httpError(404))).toMatchObject({ status: 'dead', attempts: 1 });
+  });
+
+  it('runs only the retries that are due', async () => {
+    await queue.scheduleRetry(111, ALICE, new Error('Discord API error'));
+    jest.setSystemTime(new Date(NOW.getTime() + 60 * 1000));
+    await queue.scheduleRetry(222, ALICE, new Error('Discord API error'));
+
+    jest.setSystemTime(new Date('2026-05-03T08:02:30Z'));
+    expect(await queue.processDue()).toBe(1);
+
+    expect(activityProcessor.processNewActivity).toHaveBeenCalledTimes(1);
+    expect(activityProcessor.processNewActivity).toHaveBeenCalledWith(111, ALICE);
+  });
+
+  it('stops retrying an activity whose member left while it was pending', async () => {
+    await queue.scheduleRetry(111, ALICE, new Error('Discord API error'));
+    // The processor skips an athlete who is no longer a member and clears the retry
+    activityProcessor.processNewActivity.mockImplementation(async activityId => {
+      await queue.clear(activityId);
+    });
+
+    jest.setSystemTime(new Date('2026-05-03T08:02:30Z'));
+    expect(await queue.processDue()).toBe(1);
+    jest.setSystemTime(new Date('2026-05-03T09:00:00Z'));
+    expect(await queue.processDue()).toBe(0);
+
+    expect(activityProcessor.processNewActivity).toHaveBeenCalledTimes(1);
+    expect(await queue.getRetry(111)).toBeNull();
+  });
+
+  it('clears the retries of an activity that went through', async () => {
+    await queue.scheduleRetry(98765, ALICE, new Error('Discord API error'));
+
+    expect(await queue.clear(98765)).toBe(true);
+    expect(await queue.clear(98765)).toBe(false);
+    expect(await queue.getCounts()).toEqual({ pending: 0, dead: 0 });
+  });
+
+  it('starts the backoff again on a manual retry', async () => {
+    await queue.scheduleRetry(98765, ALICE, httpError(404));
+    activityProcessor.processNewActivity.mockImplementation(async (activityId, athleteId) => {
+      await queue.scheduleRetry(activityId, athleteId, new Error('Discord API error'));
+    });
+
+    await queue.retryDeadLetters();
+
+    expect(activityProcessor.processNewActivity).toHaveBeenCalledWith(98765, ALICE);
+    expect(await databaseManager.getActivityRetry(98765)).toMatchObject({ status: 'pending', attempts: 1 });
+  });
+
+  it('never throws when the retry cannot be saved', async () => {
+    jest.spyOn(databaseManager, 'saveActivityRetry').mockRejectedValueOnce(new Error('disk full'));
+
+    await expect(queue.scheduleRetry(98765, ALICE, new Error('boom'))).resolves.toBeNull();
+    expect(logger.activity.error).toHaveBeenCalledWith('Failed to schedule activity retry (non-blocking)', expect.any(Object));
+  });
+});
@@ -65,17 +65,26 @@ jest.mock('../../config/config', () => ({
 jest.mock('../../src/managers/LeaderboardManager', () => {
   const MockLeaderboardManager = jest.fn().mockImplementation(() => ({
     getMonthlyLeaderboard: jest.fn(),
+    getWeeklyLeaderboard: jest.fn(),
   }));
   MockLeaderboardManager.getPreviousMonth = jest.fn(() => ({ year: 2026, month: 4 }));
   MockLeaderboardManager.getCurrentMonth = jest.fn(() => ({ year: 2026, month: 5 }));
+  MockLeaderboardManager.getPreviousWeek = jest.fn(() => ({ year: 2026, week: 19 }));
+  MockLeaderboardManager.rankBy = jest.fn((entries, metric) => entries.filter(e => e.metric === metric));
   return MockLeaderboardManager;
 });
 
+// Same reason as LeaderboardManager above; tests inject their own instance.
+jest.mock('../../src/managers/KudosManager', () => jest.fn().mockImplementation(() => ({
+  getMonthlyHighlights: jest.fn(),
+})));
+
 describe('Scheduler', () => {
   let scheduler;
   let mockActivityProcessor;
   let mockRaceManager;
   let mockLeaderboardManager;
+  let mockKudosManager;
   let mockDiscordBot;
   let mockChannel;
   let mockConfig;
@@ -119,11 +128,23 @@ describe('Scheduler', () => {
       memberManager: {
         getMemberByAthleteId: jest.fn()
       },
-      pollIntervalsActivities: jest.fn().mockResolvedValue()
+      pollIntervalsActivities: jest.fn().mockResolvedValue(),
+      retryQueue: {
+        processDue: jest.fn().mockResolvedValue(0),
+        getCounts: jest.fn().mockResolvedValue({ pending: 0, dead: 0 })
+      },
+      webhookManager: {
+        processDue: jest.fn().mockResolvedValue(0)
+      }
     };
 
     mockLeaderboardManager = {
       getMonthlyLeaderboard: jest.fn(),
+      getWeeklyLeaderboard: jest.fn(),
+    };
+
+    mockKudosManager = {
+      getMonthlyHighlights: jest.fn().mockResolvedValue({ year: 2026, month: 4, activities: [], supporters: [] }),
     };
 
     mockConfig = {
@@ -136,7 +157,7 @@ describe('Scheduler', () => {
       }
     };
 
-    scheduler = new Scheduler(mockActivityProcessor, mockRaceManager, mockLeaderboardManager);
+    scheduler = new Scheduler(mockActivityProcessor, mockRaceManager, mockLeaderboardManager, mockKudosManager);
   });
 
   describe('Initialization', () => {
@@ -391,6 +412,52 @@ describe('Scheduler', () => {
       expect(mockChannel.send.mock.calls[0][0].embeds).toHaveLength(1);
     });
 
+    test('postMonthlyLeaderboard adds a podium section for every non-distance metric', async () => {
+      const ActivityEmbedBuilder = require('../../src/utils/EmbedBuilder');
+      const buildSpy = jest.spyOn(ActivityEmbedBuilder, 'buildMonthlyLeaderboardEmbed');
+      const elevationEntry = { athleteId: 1, memberName: 'Alice', metric: 'elevation' };
+      mockLeaderboardManager.getMonthlyLeaderboard.mockResolvedValue({
+        year: 2026, month: 4, startDate: '', endDate: '', entries: [elevationEntry],
+      });
+
+      await scheduler.postMonthlyLeaderboard();
+
+      const { sections } = buildSpy.mock.calls[0][1];
+      expect(sections.map(section => section.metric)).toEqual(['elevation', 'moving_time', 'count', 'streak']);
+      expect(sections[0].entries).toEqual([elevationEntry]);
+      expect(sections[1].entries).toEqual([]);
+      buildSpy.mockRestore();
+    });
+
+    test('postMonthlyLeaderboard passes the month\'s kudos highlights to the embed', async () => {
+      const ActivityEmbedBuilder = require('../../src/utils/EmbedBuilder');
+      const buildSpy = jest.spyOn(ActivityEmbedBuilder, 'buildMonthlyLeaderboardEmbed');
+      const kudos = { year: 2026, month: 4, activities: [{ activityId: '1' }], supporters: [] };
+      mockLeaderboardManager.getMonthlyLeaderboard.mockResolvedValue({
+        year: 2026, month: 4, startDate: '', endDate: '', entries: [],
+      });
+      mockKudosManager.getMonthlyHighlights.mockResolvedValue(kudos);
+
+      await scheduler.postMonthlyLeaderboard();
+
+      expect(mockKudosManager.getMonthlyHighlights).toHaveBeenCalledWith({
+        year: 2026, month: 4, memberManager: mockActivityProcessor.memberManager,
+      });
+      expect(buildSpy.mock.calls[0][1].kudos).toBe(kudos);
+      buildSpy.mockRestore();
+    });
+
+    test('postMonthlyLeaderboard still posts when kudos cannot be read', async () => {
+      mockLeaderboardManager.getMonthlyLeaderboard.mockResolvedValue({
+        year: 2026, month: 4, startDate: '', endDate: '', entries: [],
+      });
+      mockKudosManager.getMonthlyHighlights.mockRejectedValue(new Error('db locked'));
+
+      await scheduler.postMonthlyLeaderboard();
+
+      expect(mockChannel.send).toHaveBeenCalledTimes(1);
+    });
+
     test('postMonthlyLeaderboard honors an explicit period override', async () => {
       mockLeaderboardManager.getMonthlyLeaderboard.mockResolvedValue({
         year: 2025, month: 12, startDate: '', endDate: '', entries: [],
@@ -433,6 +500,92 @@ describe('Scheduler', () => {
     });
   });
 
+  describe('Weekly Leaderboard', () => {
+    const weeklyConfig = {
+      scheduler: {
+        weeklyEnabled: false,
+        monthlyEnabled: false,
+        leaderboardEnabled: false,
+        weeklyLeaderboardEnabled: true,
+        weeklyLeaderboardSchedule: '0 9 * * 1',
+        timezone: 'Europe/Paris'
+      }
+    };
+
+    test('schedules a weekly leaderboard cron job when enabled', async () => {
+      await scheduler.initialize(weeklyConfig);
+
+      expect(cron.schedule).toHaveBeenCalledTimes(1);
+      expect(cron.schedule.mock.calls[0][0]).toBe('0 9 * * 1');
+      expect(cron.schedule.mock.calls[0][2]).toEqual(expect.objectContaining({ timezone: 'Europe/Paris' }));
+      expect(scheduler.jobs.has('weeklyLeaderboard')).toBe(true);
+    });
+
+    test('does not schedule a weekly leaderboard job when disabled', async () => {
+      await scheduler.initialize({
+        scheduler: { ...weeklyConfig.scheduler, weeklyLeaderboardEnabled: false }
+      });
+
+      expect(scheduler.jobs.has('weeklyLeaderboard')).toBe(false);
+    });
+
+    test('the registered cron callback posts the previous week in the scheduler timezone', async () => {
+      const LeaderboardManager = require('../../src/managers/LeaderboardManager');
+      mockLeaderboardManager.getWeeklyLeaderboard.mockResolvedValue({
+        year: 2026, week: 19, startDate: '2026-05-04T00:00:00.000Z', endDate: '2026-05-11T00:00:00.000Z', entries: [],
+      });
+
+      await scheduler.initialize(weeklyConfig);
+      const cronCallback = cron.schedule.mock.calls[0][1];
+      await cronCallback();
+
+      expect(LeaderboardManager.getPreviousWeek).toHaveBeenCalledWith(expect.any(Date), 'Europe/Paris');
+      expect(mockLeaderboardManager.getWeeklyLeaderboard).toHaveBeenCalledWith({
+        year: 2026, week: 19, memberManager: mockActivityProcessor.memberManager,
+      });
+      expect(mockChannel.send).toHaveBeenCalledTimes(1);
+    });
+
+    test('postWeeklyLeaderboard honors an explicit period override', async () => {
+      mockLeaderboardManager.getWeeklyLeaderboard.mockResolvedValue({
+        year: 2025, week: 52, startDate: '2025-12-22T00:00:00.000Z', endDate: '2025-12-29T00:00:00.000Z', entries: [],
+      });
+
+      await scheduler.postWeeklyLeaderboard({ year: 2025, week: 52 });
+
+      const callArg = mockLeaderboardManager.getWeeklyLeaderboard.mock.calls[0][0];
+      expect(callArg.year).toBe(2025);
+      expect(callArg.week).toBe(52);
+    });
+
+    test('postWeeklyLeaderboard does not throw when channel is missing', async () => {
+      mockLeaderboardManager.getWeeklyLeaderboard.mockResolvedValue({
+        year: 2026, week: 19, startDate: '2026-05-04T00:00:00.000Z', endDate: '2026-05-11T00:00:00.000Z', entries: [],
+      });
+      mockDiscordBot.getChannel.mockResolvedValue(null);
+
+      await expect(scheduler.postWeeklyLeaderboard()).resolves.toBeUndefined();
+      expect(mockChannel.send).not.toHaveBeenCalled();
+    });
+
+    test('postWeeklyLeaderboard swallows downstream errors', async () => {
+      mockLeaderboardManager.getWeeklyLeaderboard.mockRejectedValue(new Error('db down'));
+
+      await expect(scheduler.postWeeklyLeaderboard()).resolves.toBeUndefined();
+      expect(mockChannel.send).not.toHaveBeenCalled();
+    });
+
+    test('triggerWeeklyLeaderboard delegates to postWeeklyLeaderboard with period', async () => {
+      mockLeaderboardManager.getWeeklyLeaderboard.mockResolvedValue({
+        year: 2026, week: 2, startDate: '2026-01-05T00:00:00.000Z', endDate: '2026-01-12T00:00:00.000Z', entries: [],
+      });
+
+      await scheduler.triggerWeeklyLeaderboard({ year: 2026, week: 2 });
+
+      expect(mockLeaderboardManager.getWeeklyLeaderboard.mock.calls[0][0].week).toBe(2);
+    });
+  });
+
   describe('Embed Creation', () => {
     test('should create weekly race embed with correct format', () => {
       const races = [
@@ -726,6 +879,182 @@ describe('Scheduler', () => {
     });
   });
 
+  describe('Race Reminders', () => {
+    const reminderConfig = {
+      scheduler: {
+        weeklyEnabled: false,
+        monthlyEnabled: false,
+        timezone: 'UTC',
+        raceRemindersEnabled: true,
+        raceReminderSchedule: '0 7 * * *',
+        raceReminderOffsets: [7, 1, 0]
+      }
+    };
+
+    const DAYS_UNTIL = { '2026-10-19': 0, '2026-10-20': 1, '2026-10-23': 4, '2026-10-26': 7 };
+    const race = (id, athleteId, date, extra = {}) => ({
+      id, member_athlete_id: athleteId, name: `Race ${id}`, race_date: date, race_type: 'road', ...extra
+    });
+    const members = {
+      1: { isActive: true, discordUserId: '111', discordUser: { displayName: 'Alice' } },
+      2: { isActive: true, discordUserId: '222', athlete: { firstname: 'Bob', lastname: 'B' } },
+      3: { isActive: false, discordUserId: '333' }
+    };
+
+    beforeEach(() => {
+      mockDiscordBot.sendDirectMessage = jest.fn().mockResolvedValue(true);
+      mockRaceManager.getUpcomingRaces = jest.fn().mockResolvedValue([
+        race(1, 1, '2026-10-19', { distance: '10K', location: 'Lyon' }),
+        race(2, 2, '2026-10-19'),
+        race(3, 1, '2026-10-20', { goal_time: '1:45:00', elevation: '120D+' }),
+        race(4, 2, '2026-10-23'),
+        race(5, 1, '2026-10-26'),
+        race(6, 3, '2026-10-19')
+      ]);
+      mockRaceManager.getDaysUntilRace.mockImplementation(date => DAYS_UNTIL[date]);
+      mockActivityProcessor.memberManager.getMemberByAthleteId.mockImplementation(async id => members[id]);
+    });
+
+    test('schedules a raceReminders cron job when enabled', async () => {
+      await scheduler.initialize(reminderConfig);
+
+      expect(cron.schedule.mock.calls[0][0]).toBe('0 7 * * *');
+      expect(scheduler.jobs.has('raceReminders')).toBe(true);
+      expect(scheduler.raceReminderOffsets).toEqual([7, 1, 0]);
+    });
+
+    test('does not schedule a raceReminders job when disabled', async () => {
+      await scheduler.initialize({ scheduler: { ...reminderConfig.scheduler, raceRemindersEnabled: false } });
+
+      expect(scheduler.jobs.has('raceReminders')).toBe(false);
+    });
+
+    test('DMs runners whose race is at a reminder offset', async () => {
+      await scheduler.postRaceReminders();
+
+      expect(mockRaceManager.getUpcomingRaces).toHaveBeenCalledWith(7);
+      // Races 1, 2 (today), 3 (tomorrow) and 5 (in 7 days); not 4 (in 4 days)
+      // nor 6, whose runner left the team
+      expect(mockDiscordBot.sendDirectMessage.mock.calls.map(([userId]) => userId)).toEqual(['111', '222', '111', '111']);
+      expect(mockEmbedBuilder.setTitle).toHaveBeenCalledWith('🏁 Race day: Race 1');
+      expect(mockEmbedBuilder.setTitle).toHaveBeenCalledWith('⏰ Race 3 is tomorrow');
+      expect(mockEmbedBuilder.setTitle).toHaveBeenCalledWith('📅 Race 5 is in 7 days');
+      expect(mockEmbedBuilder.addFields).toHaveBeenCalledWith([
+        { name: '🎯 Goal', value: '1:45:00', inline: true },
+        { name: '🏔️ Elevation', value: '120D+', inline: true }
+      ]);
+    });
+
+    test('posts one good luck message listing everyone racing today', async () => {
+      await scheduler.postRaceReminders();
+
+      expect(mockChannel.send).toHaveBeenCalledTimes(1);
+      expect(mockEmbedBuilder.setTitle).toHaveBeenCalledWith('🍀 Good luck today!');
+      expect(mockEmbedBuilder.setDescription).toHaveBeenCalledWith(
+        '2 teammates are racing today:\n\n🏃‍♂️ <@111> — Race 1 (10K) at Lyon\n🏃‍♂️ <@222> — Race 2'
+      );
+    });
+
+    test('only uses the configured offsets for DMs', async () => {
+      scheduler.raceReminderOffsets = [4];
+
+      await scheduler.postRaceReminders();
+
+      expect(mockRaceManager.getUpcomingRaces).toHaveBeenCalledWith(4);
+      expect(mockDiscordBot.sendDirectMessage.mock.calls.map(([userId]) => userId)).toEqual(['222']);
+      // The race-day post doesn't depend on the offsets
+      expect(mockChannel.send).toHaveBeenCalledTimes(1);
+    });
+
+    test('skips the channel post when nobody races today', async () => {
+      mockRaceManager.getUpcomingRaces.mockResolvedValue([race(3, 1, '2026-10-20')]);
+
+      await scheduler.postRaceReminders();
+
+      expect(mockDiscordBot.sendDirectMessage).toHaveBeenCalledTimes(1);
+      expect(mockChannel.send).not.toHaveBeenCalled();
+    });
+
+    test('swallows errors', async () => {
+      mockRaceManager.getUpcomingRaces.mockRejectedValue(new Error('db down'));
+
+      await expect(scheduler.postRaceReminders()).resolves.toBeUndefined();
+    });
+  });
+
+  describe('Activity Retries', () => {
+    const retryConfig = {
+      scheduler: {
+        weeklyEnabled: false,
+        monthlyEnabled: false,
+        timezone: 'UTC',
+        retryEnabled: true,
+        retrySchedule: '* * * * *'
+      }
+    };
+
+    test('schedules an activityRetries cron job when enabled', async () => {
+      await scheduler.initialize(retryConfig);
+
+      expect(cron.schedule.mock.calls[0][0]).toBe('* * * * *');
+      expect(scheduler.jobs.has('activityRetries')).toBe(true);
+    });
+
+    test('does not schedule an activityRetries job when disabled', async () => {
+      await scheduler.initialize({ scheduler: { ...retryConfig.scheduler, retryEnabled: false } });
+
+      expect(scheduler.jobs.has('activityRetries')).toBe(false);
+    });
+
+    test('the registered cron callback runs the due retries', async () => {
+      await scheduler.initialize(retryConfig);
+
+      cron.schedule.mock.calls[0][1]();
+
+      expect(mockActivityProcessor.retryQueue.processDue).toHaveBeenCalled();
+    });
+
+    test('runActivityRetries swallows errors from the retry queue', async () => {
+      mockActivityProcessor.retryQueue.processDue.mockRejectedValueOnce(new Error('db down'));
+
+      await expect(scheduler.runActivityRetries()).resolves.toBeUndefined();
+    });
+  });
+
+  describe('Outbound Webhook Retries', () => {
+    const webhookRetryConfig = {
+      scheduler: {
+        weeklyEnabled: false,
+        monthlyEnabled: false,
+        timezone: 'UTC',
+        webhookRetryEnabled: true,
+        webhookRetrySchedule: '*/2 * * * *'
+      }
+    };
+
+    test('schedules a webhookRetries cron job that sends the due deliveries', async () => {
+      await scheduler.initialize(webhookRetryConfig);
+
+      expect(cron.schedule.mock.calls[0][0]).toBe('*/2 * * * *');
+      expect(scheduler.jobs.has('webhookRetries')).toBe(true);
+
+      cron.schedule.mock.calls[0][1]();
+      expect(mockActivityProcessor.webhookManager.processDue).toHaveBeenCalled();
+    });
+
+    test('does not schedule a webhookRetries job when disabled', async () => {
+      await scheduler.initialize({ scheduler: { ...webhookRetryConfig.scheduler, webhookRetryEnabled: false } });
+
+      expect(scheduler.jobs.has('webhookRetries')).toBe(false);
+    });
+
+    test('runWebhookRetries swallows errors', async () => {
+      mockActivityProcessor.webhookManager.processDue.mockRejectedValueOnce(new Error('db down'));
+
+      await expect(scheduler.runWebhookRetries()).resolves.toBeUndefined();
+    });
+  });
+
   describe('Health Self-Check', () => {
     const healthConfig = {
       scheduler: {
@@ -874,6 +1203,37 @@ describe('Scheduler', () => {
       expect(spy).toHaveBeenCalled();
     });
 
+    test('alerts Discord when activities were dead-lettered since the last check', async () => {
+      await scheduler.initialize(healthConfig);
+      axios.get.mockResolvedValue({ status: 200 });
+      mockActivityProcessor.retryQueue.getCounts
+        .mockResolvedValueOnce({ pending: 0, dead: 1 }) // baseline after startup
+        .mockResolvedValueOnce({ pending: 0, dead: 1 })
+        .mockResolvedValueOnce({ pending: 0, dead: 3 });
+
+      await scheduler.runHealthSelfCheck();
+      await scheduler.runHealthSelfCheck();
+      expect(mockChannel.send).not.toHaveBeenCalled();
+
+      await scheduler.runHealthSelfCheck();
+
+      expect(scheduler.getStatus().deadLetterCount).toBe(3);
+      expect(mockChannel.send).toHaveBeenCalledTimes(1);
+      expect(mockEmbedBuilder.setTitle).toHaveBeenCalledWith('📭 Activities could not be posted');
+      expect(mockEmbedBuilder.setDescription).toHaveBeenCalledWith(expect.stringContaining('2 new activities'));
+    });
+
+    test('keeps checking the URL when the dead-letter count cannot be read', async () => {
+      await scheduler.initialize(healthConfig);
+      axios.get.mockResolvedValueOnce({ status: 200 });
+      mockActivityProcessor.retryQueue.getCounts.mockRejectedValueOnce(new Error('db down'));
+
+      await expect(scheduler.runHealthSelfCheck()).resolves.toBeUndefined();
+
+      expect(scheduler.healthState).toBe('healthy');
+      expect(scheduler.deadLetterCount).toBeNull();
+    });
+
     test('validateStatus accepts 2xx and rejects everything else', async () => {
       await scheduler.initialize(healthConfig);
       axios.get.mockResolvedValueOnce({ status: 200 });
@@ -169,6 +169,38 @@ describe('SettingsManager', () => {
     });
   });
 
+  describe('getSettingsByPrefix', () => {
+    it('should return the settings whose key starts with the prefix', async () => {
+      mockDb.select.mockReturnValue({
+        from: jest.fn().mockReturnValue({
+          where: jest.fn().mockReturnValue({
+            orderBy: jest.fn().mockResolvedValue([
+              { key: 'api_token_1', value: 'a', updated_at: '2023-01-01' },
+              // LIKE treats "_" as a wildcard
+              { key: 'apixtoken_2', value: 'b', updated_at: '2023-01-02' }
+            ])
+          })
+        })
+      });
+
+      const result = await settingsManager.getSettingsByPrefix('api_token_');
+      expect(result).toEqual([{ key: 'api_token_1', value: 'a', updatedAt: '2023-01-01' }]);
+    });
+
+    it('should handle errors and return an empty list', async () => {
+      mockDb.select.mockReturnValue({
+        from: jest.fn().mockReturnValue({
+          where: jest.fn().mockReturnValue({
+            orderBy: jest.fn().mockRejectedValue(new Error('DB error'))
+          })
+        })
+      });
+
+      const result = await settingsManager.getSettingsByPrefix('api_token_');
+      expect(result).toEqual([]);
+    });
+  });
+
   describe('deleteSetting', () => {
     it('should delete setting successfully', async () => {
       const result = await settingsManager.deleteSetting('test-key');
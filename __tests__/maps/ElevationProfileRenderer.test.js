@@ -0,0 +1,115 @@
+const sharp = require('sharp');
+
+const DEFAULT_PROFILE_CONFIG = {
+  enabled: true,
+  width: 600,
+  height: 200,
+  minGainMetres: 50,
+};
+
+/**
+ * Fresh-require ElevationProfileRenderer with a mocked config/Logger, as
+ * MapRenderer.test.js does — `jest.resetModules()` keeps each test's config
+ * isolated.
+ */
+function loadRenderer(configOverrides = {}) {
+  jest.resetModules();
+
+  jest.doMock('../../config/config', () => ({
+    elevationProfile: { ...DEFAULT_PROFILE_CONFIG, ...configOverrides },
+  }));
+
+  const logger = {
+    map: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() },
+  };
+  jest.doMock('../../src/utils/Logger', () => logger);
+
+  const ElevationProfileRenderer = require('../../src/maps/ElevationProfileRenderer');
+  return { ElevationProfileRenderer, renderer: ElevationProfileRenderer.instance, logger };
+}
+
+// A 10 km out-and-back over a 150 m hill.
+const HILL = {
+  distance: Array.from({ length: 101 }, (_, i) => i * 100),
+  altitude: Array.from({ length: 101 }, (_, i) => 200 + 150 * Math.sin((i / 100) * Math.PI)),
+};
+
+describe('ElevationProfileRenderer', () => {
+  afterEach(() => {
+    jest.resetModules();
+  });
+
+  describe('renderProfile', () => {
+    it('renders a PNG of the configured size', async () => {
+      const { renderer } = loadRenderer({ width: 500, height: 180 });
+
+      const buffer = await renderer.renderProfile(HILL, { elevationGain: 150 });
+
+      const metadata = await sharp(buffer).metadata();
+      expect(metadata).toMatchObject({ format: 'png', width: 500, height: 180 });
+    });
+
+    it('returns null when disabled', async () => {
+      const { renderer } = loadRenderer({ enabled: false });
+
+      expect(await renderer.renderProfile(HILL)).toBeNull();
+    });
+
+    it('skips flat activities below the minimum climb', async () => {
+      const { renderer } = loadRenderer();
+
+      expect(await renderer.renderProfile(HILL, { elevationGain: 20 })).toBeNull();
+      expect(await renderer.renderProfile(HILL, { elevationGain: 50 })).toBeInstanceOf(Buffer);
+    });
+
+    it('returns null without usable samples', async () => {
+      const { renderer } = loadRenderer();
+
+      expect(await renderer.renderProfile(null)).toBeNull();
+      expect(await renderer.renderProfile({ distance: [0, 0], altitude: [10, 11] })).toBeNull();
+      expect(await renderer.renderProfile({ distance: [0, null], altitude: [10, 11] })).toBeNull();
+    });
+
+    it('never throws, logging the failure instead', async () => {
+      const { renderer, logger } = loadRenderer();
+      jest.spyOn(renderer, '_buildSvg').mockImplementation(() => {
+        throw new Error('bad svg');
+      });
+
+      expect(await renderer.renderProfile(HILL)).toBeNull();
+      expect(logger.map.error).toHaveBeenCalledWith('Failed to render elevation profile', { error: 'bad svg' });
+    });
+  });
+
+  describe('toPoints', () => {
+    it('drops invalid samples and keeps distance non-decreasing', () => {
+      const { ElevationProfileRenderer } = loadRenderer();
+
+      expect(ElevationProfileRenderer.toPoints([0, 10, 8, null, 30], [100, 101, 102, 103, NaN]))
+        .toEqual([[0, 100], [10, 101], [10, 102]]);
+    });
+
+    it('downsamples long streams keeping both ends', () => {
+      const { ElevationProfileRenderer } = loadRenderer();
+
+      const points = ElevationProfileRenderer.toPoints(HILL.distance, HILL.altitude, 11);
+
+      expect(points).toHaveLength(11);
+      expect(points[0]).toEqual([0, 200]);
+      expect(points[10][0]).toBe(10000);
+    });
+  });
+
+  describe('distanceTicks', () => {
+    it.each([
+      [3000, [0, 1, 2, 3]],
+      [10000, [0, 2, 4, 6, 8, 10]],
+      [42195, [0, 10, 20, 30, 40]],
+      [1800, [0, 0.5, 1, 1.5]],
+    ])('labels %p m as %p km', (metres, ticks) => {
+      const { ElevationProfileRenderer } = loadRenderer();
+
+      expect(ElevationProfileRenderer.distanceTicks(metres)).toEqual(ticks);
+    });
+  });
+});
@@ -218,6 +218,46 @@ describe('MapRenderer', () => {
     expect(metadata.height).toBe(DEFAULT_MAP_CONFIG.height);
   });
 
+  it('does not draw a route that lies entirely inside a privacy zone', async () => {
+    const { MapRenderer, PolylineUtils } = loadMapRenderer();
+    const encoded = PolylineUtils.encodePolyline(PARIS_ROUTE);
+    const fetchTiles = makeFetchTiles();
+    const renderer = new MapRenderer({ fetchTiles });
+
+    const result = await renderer.renderRoute(encoded, {
+      privacyZones: [{ lat: 48.8586, lon: 2.345, radius: 2000 }],
+    });
+
+    expect(result).toBeNull();
+    expect(fetchTiles).not.toHaveBeenCalled();
+  });
+
+  it('clips privacy zones instead of trimming the ends when the member has any', async () => {
+    const { MapRenderer, PolylineUtils } = loadMapRenderer({ privacyTrimMetres: 200 });
+    const clip = jest.spyOn(PolylineUtils, 'clipPrivacyZones');
+    const trim = jest.spyOn(PolylineUtils, 'trimEnds');
+    const encoded = PolylineUtils.encodePolyline(PARIS_ROUTE);
+    const renderer = new MapRenderer({ fetchTiles: makeFetchTiles() });
+    const zones = [{ lat: 40, lon: 2, radius: 100 }];
+
+    expect(await renderer.renderRoute(encoded, { privacyZones: zones })).toBeInstanceOf(Buffer);
+    expect(clip).toHaveBeenCalledWith(expect.any(Array), zones);
+    expect(trim).not.toHaveBeenCalled();
+
+    await renderer.renderRoute(encoded);
+    expect(trim).toHaveBeenCalledWith(expect.any(Array), 200);
+  });
+
+  it('returns null when the default end trim leaves nothing to draw', async () => {
+    const { MapRenderer, PolylineUtils } = loadMapRenderer({ privacyTrimMetres: 1000 });
+    const encoded = PolylineUtils.encodePolyline(PARIS_ROUTE); // ~1.2 km long
+    const fetchTiles = makeFetchTiles();
+    const renderer = new MapRenderer({ fetchTiles });
+
+    expect(await renderer.renderRoute(encoded)).toBeNull();
+    expect(fetchTiles).not.toHaveBeenCalled();
+  });
+
   it('composites the Powered by Strava logo when poweredByStrava is set', async () => {
     const { MapRenderer, PolylineUtils } = loadMapRenderer();
     const encoded = PolylineUtils.encodePolyline(PARIS_ROUTE);
@@ -0,0 +1,73 @@
+const sharp = require('sharp');
+
+jest.mock('../../src/utils/Logger', () => ({
+  map: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() },
+}));
+
+const logger = require('../../src/utils/Logger');
+const PBProgressionRenderer = require('../../src/maps/PBProgressionRenderer');
+
+// A 5K progression over a season.
+const HISTORY = [
+  { activity_date: '2025-09-14', elapsed_time: 1500 },
+  { activity_date: '2026-01-04', elapsed_time: 1452 },
+  { activity_date: '2026-03-18', elapsed_time: 1410 },
+];
+
+describe('PBProgressionRenderer', () => {
+  const renderer = PBProgressionRenderer.instance;
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('renderProgression', () => {
+    it('renders a PNG chart', async () => {
+      const buffer = await renderer.renderProgression(HISTORY);
+
+      const metadata = await sharp(buffer).metadata();
+      expect(metadata).toMatchObject({ format: 'png', width: 600, height: 260 });
+    });
+
+    it('returns null with fewer than two records', async () => {
+      expect(await renderer.renderProgression([])).toBeNull();
+      expect(await renderer.renderProgression(HISTORY.slice(0, 1))).toBeNull();
+      expect(await renderer.renderProgression(null)).toBeNull();
+    });
+
+    it('never throws, logging the failure instead', async () => {
+      jest.spyOn(renderer, '_buildSvg').mockImplementation(() => {
+        throw new Error('bad svg');
+      });
+
+      expect(await renderer.renderProgression(HISTORY)).toBeNull();
+      expect(logger.map.error).toHaveBeenCalledWith('Failed to render PB progression', { error: 'bad svg' });
+    });
+  });
+
+  describe('toPoints', () => {
+    it('sorts by date and drops unreadable rows', () => {
+      expect(PBProgressionRenderer.toPoints([
+        HISTORY[1],
+        { activity_date: 'someday', elapsed_time: 1400 },
+        { activity_date: '2026-02-01', elapsed_time: null },
+        HISTORY[0],
+      ])).toEqual([
+        [Date.parse('2025-09-14T00:00:00Z'), 1500],
+        [Date.parse('2026-01-04T00:00:00Z'), 1452],
+      ]);
+    });
+  });
+
+  describe('_buildSvg', () => {
+    it('labels the slowest and fastest times and the first and last dates', () => {
+      const svg = renderer._buildSvg(PBProgressionRenderer.toPoints(HISTORY), 600, 260);
+
+      expect(svg).toContain('>25:00<');
+      expect(svg).toContain('>23:30<');
+      expect(svg).toContain('>Sep 2025<');
+      expect(svg).toContain('>Mar 2026<');
+      expect(svg.match(/<circle /g)).toHaveLength(3);
+    });
+  });
+});
@@ -4,6 +4,10 @@ const IntervalsAPI = require('../../src/intervals/api');
 const DiscordBot = require('../../src/discord/bot');
 const DatabaseMemberManager = require('../../src/database/DatabaseMemberManager');
 const ActivityQueue = require('../../src/managers/ActivityQueue');
+const RetryQueue = require('../../src/managers/RetryQueue');
+const ChallengeManager = require('../../src/managers/ChallengeManager');
+const PreferencesManager = require('../../src/managers/PreferencesManager');
+const OutboundWebhookManager = require('../../src/managers/OutboundWebhookManager');
 const BestEffortCalculator = require('../../src/utils/BestEffortCalculator');
 const config = require('../../config/config');
 const logger = require('../../src/utils/Logger');
@@ -15,8 +19,16 @@ jest.mock('../../src/discord/bot');
 jest.mock('../../src/managers/MemberManager');
 jest.mock('../../src/database/DatabaseMemberManager');
 jest.mock('../../src/managers/ActivityQueue');
+jest.mock('../../src/managers/RetryQueue');
 jest.mock('../../src/managers/Scheduler');
 jest.mock('../../src/managers/RaceManager');
+jest.mock('../../src/managers/ChallengeManager');
+jest.mock('../../src/managers/PreferencesManager');
+jest.mock('../../src/managers/OutboundWebhookManager', () => {
+  const OutboundWebhookManager = jest.fn();
+  OutboundWebhookManager.memberToJSON = jest.fn(member => ({ discordUserId: member.discordUserId }));
+  return OutboundWebhookManager;
+});
 jest.mock('../../src/utils/BestEffortCalculator');
 jest.mock('../../config/dynamicConfig', () => ({
   getDiscordChannelId: jest.fn(),
@@ -53,6 +65,14 @@ describe('ActivityProcessor', () => {
   let mockDiscordBot;
   let mockMemberManager;
   let mockActivityQueue;
+  let mockRetryQueue;
+  let mockChallengeManager;
+  let mockPreferencesManager;
+  let mockWebhookManager;
+  let ledger;
+
+  // Latest outcome in the fake processed_activities ledger
+  const outcomeOf = (provider, activityId) => ledger.get(`${provider}:${activityId}`)?.outcome;
 
   const mockMember = {
     discordUserId: '123456789',
@@ -96,6 +116,7 @@ describe('ActivityProcessor', () => {
       getActivity: jest.fn(),
       shouldPostActivity: jest.fn(),
       processActivityWithStreams: jest.fn(),
+      isRaceActivity: jest.fn().mockReturnValue(false),
       getAthleteActivities: jest.fn(),
       deauthorize: jest.fn(),
       refreshAccessToken: jest.fn()
@@ -108,7 +129,8 @@ describe('ActivityProcessor', () => {
       getAthlete: jest.fn(),
       mapAthlete: jest.fn(),
       getActivity: jest.fn(),
-      getActivityStreams: jest.fn().mockResolvedValue({})
+      getActivityStreams: jest.fn().mockResolvedValue({}),
+      activityUrl: jest.fn(id => `https://intervals.icu/activities/${id}`)
     };
 
     BestEffortCalculator.synthesizeBestEfforts = jest.fn().mockReturnValue([]);
@@ -116,7 +138,9 @@ describe('ActivityProcessor', () => {
     mockDiscordBot = {
       start: jest.fn(),
       stop: jest.fn(),
-      postActivity: jest.fn()
+      postActivity: jest.fn(),
+      editActivityPost: jest.fn().mockResolvedValue(true),
+      deleteActivityPost: jest.fn().mockResolvedValue(true)
     };
 
     mockMemberManager = {
@@ -134,6 +158,15 @@ describe('ActivityProcessor', () => {
         upsertActivity: jest.fn().mockResolvedValue(undefined),
         getActivityById: jest.fn().mockResolvedValue(null),
         findDuplicateActivity: jest.fn().mockResolvedValue(null),
+        recordActivityPost: jest.fn().mockResolvedValue(undefined),
+        getActivityPosts: jest.fn().mockResolvedValue([]),
+        deleteActivityPosts: jest.fn().mockResolvedValue(undefined),
+        deleteActivity: jest.fn().mockResolvedValue(false),
+        getActivityOutcome: jest.fn(async (activityId, provider) => ledger.get(`${provider}:${activityId}`) || null),
+        recordActivityOutcome: jest.fn(async ({ provider, activityId, outcome, reason }) => {
+          ledger.set(`${provider}:${activityId}`, { provider, activity_id: String(activityId), outcome, reason });
+        }),
+        getActivityOutcomeCounts: jest.fn().mockResolvedValue({}),
         clearProviderTokens: jest.fn().mockResolvedValue(undefined),
         settingsManager: {
           getSetting: jest.fn().mockResolvedValue(null),
@@ -142,20 +175,49 @@ describe('ActivityProcessor', () => {
       }
     };
 
+    ledger = new Map();
+
     mockActivityQueue = {
       queueActivity: jest.fn(),
+      restore: jest.fn().mockResolvedValue(0),
       updateQueuedActivity: jest.fn(),
       removeFromQueue: jest.fn(),
       getStats: jest.fn(),
       shutdown: jest.fn()
     };
 
+    mockRetryQueue = {
+      scheduleRetry: jest.fn().mockResolvedValue({ status: 'pending', attempts: 1 }),
+      clear: jest.fn().mockResolvedValue(false),
+      getCounts: jest.fn().mockResolvedValue({ pending: 0, dead: 0 })
+    };
+
+    mockChallengeManager = {
+      recordActivity: jest.fn().mockResolvedValue([])
+    };
+
+    mockPreferencesManager = {
+      getPreferences: jest.fn().mockResolvedValue({
+        sportTypes: null, showHeartRate: true, showPace: true, showMap: true, pausedUntil: null,
+      }),
+      shouldPost: jest.fn().mockReturnValue({ post: true }),
+      applyPrivacy: jest.fn(activity => activity)
+    };
+
+    mockWebhookManager = {
+      dispatch: jest.fn().mockResolvedValue([])
+    };
+
     // Mock constructors
+    ChallengeManager.mockImplementation(() => mockChallengeManager);
+    OutboundWebhookManager.mockImplementation(() => mockWebhookManager);
+    PreferencesManager.mockImplementation(() => mockPreferencesManager);
     StravaAPI.mockImplementation(() => mockStravaAPI);
     IntervalsAPI.mockImplementation(() => mockIntervalsAPI);
     DiscordBot.mockImplementation(() => mockDiscordBot);
     DatabaseMemberManager.mockImplementation(() => mockMemberManager);
     ActivityQueue.mockImplementation(() => mockActivityQueue);
+    RetryQueue.mockImplementation(() => mockRetryQueue);
 
     activityProcessor = new ActivityProcessor();
   });
@@ -170,8 +232,6 @@ describe('ActivityProcessor', () => {
       expect(activityProcessor.memberManager).toBe(mockMemberManager);
       expect(activityProcessor.discordBot).toBe(mockDiscordBot);
       expect(activityProcessor.activityQueue).toBe(mockActivityQueue);
-      expect(activityProcessor.processedActivities).toBeInstanceOf(Set);
-      expect(activityProcessor.processedActivities.size).toBe(0);
     });
 
     it('should pass itself to DiscordBot and ActivityQueue', () => {
@@ -188,6 +248,9 @@ describe('ActivityProcessor', () => {
       await activityProcessor.initialize();
 
       expect(mockDiscordBot.start).toHaveBeenCalled();
+      expect(mockActivityQueue.restore).toHaveBeenCalled();
+      expect(mockDiscordBot.start.mock.invocationCallOrder[0])
+        .toBeLessThan(mockActivityQueue.restore.mock.invocationCallOrder[0]);
       expect(logger.activity.info).toHaveBeenCalledWith('Initializing Activity Processor...');
       expect(logger.activity.info).toHaveBeenCalledWith('Activity Processor initialized successfully', {
         memberCount: 10
@@ -240,10 +303,37 @@ describe('ActivityProcessor', () => {
         'valid_token'
       );
       expect(mockDiscordBot.postActivity).toHaveBeenCalledWith(mockProcessedActivity);
-      expect(activityProcessor.processedActivities.has('12345-98765')).toBe(true);
+      expect(outcomeOf('strava', 98765)).toBe('posted');
       expect(logger.activityProcessing).toHaveBeenCalledWith(98765, 12345, mockActivity.name, 'COMPLETED', expect.any(Object));
     });
 
+    it('should remember the posted message so reactions count as kudos', async () => {
+      mockDiscordBot.postActivity.mockResolvedValue({ id: 'message-1', channelId: 'channel-1', guildId: 'guild-1' });
+
+      await activityProcessor.processNewActivity(98765, 12345);
+
+      expect(mockMemberManager.databaseManager.recordActivityPost).toHaveBeenCalledWith({
+        messageId: 'message-1',
+        channelId: 'channel-1',
+        guildId: 'guild-1',
+        activityId: mockActivity.id,
+        athleteId: 12345,
+        provider: 'strava',
+      });
+    });
+
+    it('should still complete when the posted message cannot be recorded', async () => {
+      mockDiscordBot.postActivity.mockResolvedValue({ id: 'message-1', channelId: 'channel-1' });
+      mockMemberManager.databaseManager.recordActivityPost.mockRejectedValue(new Error('database is locked'));
+
+      await activityProcessor.processNewActivity(98765, 12345);
+
+      expect(outcomeOf('strava', 98765)).toBe('posted');
+      expect(logger.activity.error).toHaveBeenCalledWith('Failed to record activity post (non-blocking)', expect.objectContaining({
+        error: 'database is locked'
+      }));
+    });
+
     it('should prevent duplicate processing', async () => {
       // Process once
       await activityProcessor.processNewActivity(98765, 12345);
@@ -254,10 +344,57 @@ describe('ActivityProcessor', () => {
 
       expect(mockMemberManager.getMemberByAthleteId).not.toHaveBeenCalled();
       expect(logger.activityProcessing).toHaveBeenCalledWith(98765, 12345, 'DUPLICATE', 'SKIPPED', {
-        reason: 'Already processed'
+        reason: 'Already processed',
+        outcome: 'posted'
+      });
+    });
+
+    it('should still skip a posted activity after a restart', async () => {
+      await activityProcessor.processNewActivity(98765, 12345);
+
+      const restarted = new ActivityProcessor();
+      await restarted.processNewActivity(98765, 12345);
+
+      expect(mockDiscordBot.postActivity).toHaveBeenCalledTimes(1);
+    });
+
+    it('should record why an activity was not posted', async () => {
+      mockPreferencesManager.shouldPost.mockReturnValue({ post: false, reason: 'Walk is muted in preferences' });
+
+      await activityProcessor.processNewActivity(98765, 12345);
+
+      expect(mockMemberManager.databaseManager.recordActivityOutcome).toHaveBeenCalledWith({
+        provider: 'strava',
+        activityId: 98765,
+        athleteId: 12345,
+        outcome: 'filtered',
+        reason: 'Walk is muted in preferences'
       });
     });
 
+    it('should process a failed activity again', async () => {
+      mockDiscordBot.postActivity.mockRejectedValueOnce(new Error('Discord API error'));
+
+      await activityProcessor.processNewActivity(98765, 12345);
+      expect(ledger.get('strava:98765')).toMatchObject({ outcome: 'failed', reason: 'Discord API error' });
+
+      await activityProcessor.processNewActivity(98765, 12345);
+      expect(mockDiscordBot.postActivity).toHaveBeenCalledTimes(2);
+      expect(outcomeOf('strava', 98765)).toBe('posted');
+    });
+
+    it('should not fail a posted activity when its outcome cannot be recorded', async () => {
+      mockMemberManager.databaseManager.recordActivityOutcome.mockRejectedValue(new Error('database is locked'));
+
+      await activityProcessor.processNewActivity(98765, 12345);
+
+      expect(logger.activity.error).toHaveBeenCalledWith('Failed to record activity outcome (non-blocking)', expect.objectContaining({
+        outcome: 'posted',
+        error: 'database is locked'
+      }));
+      expect(logger.activityProcessing).toHaveBeenCalledWith(98765, 12345, mockActivity.name, 'COMPLETED', expect.any(Object));
+    });
+
     it('should skip activities for non-registered athletes', async () => {
       mockMemberManager.getMemberByAthleteId.mockResolvedValue(null);
 
@@ -267,6 +404,7 @@ describe('ActivityProcessor', () => {
       expect(logger.activityProcessing).toHaveBeenCalledWith(98765, 99999, 'NOT_MEMBER', 'SKIPPED', {
         reason: 'Athlete not registered as member'
       });
+      expect(mockRetryQueue.clear).toHaveBeenCalledWith(98765);
     });
 
     it('should skip activities when access token is invalid', async () => {
@@ -278,6 +416,9 @@ describe('ActivityProcessor', () => {
       expect(logger.activityProcessing).toHaveBeenCalledWith(98765, 12345, 'Test User', 'FAILED', {
         reason: 'Unable to get valid access token'
       });
+      expect(mockRetryQueue.scheduleRetry).toHaveBeenCalledWith(98765, 12345, expect.objectContaining({
+        message: 'Unable to get valid access token'
+      }));
     });
 
     it('should skip webhook events for a member who has switched to a non-strava provider', async () => {
@@ -291,6 +432,7 @@ describe('ActivityProcessor', () => {
       expect(logger.activityProcessing).toHaveBeenCalledWith(98765, 12345, 'NON_STRAVA_MEMBER', 'SKIPPED', {
         provider: 'intervals'
       });
+      expect(mockRetryQueue.clear).toHaveBeenCalledWith(98765);
     });
 
     it('should still process a member with no provider field set (legacy default strava)', async () => {
@@ -318,7 +460,7 @@ describe('ActivityProcessor', () => {
       );
       expect(mockMemberManager.databaseManager.upsertActivity).not.toHaveBeenCalled();
       expect(mockDiscordBot.postActivity).not.toHaveBeenCalled();
-      expect(activityProcessor.processedActivities.has('12345-98765')).toBe(true);
+      expect(outcomeOf('strava', 98765)).toBe('duplicate');
       expect(logger.activityProcessing).toHaveBeenCalledWith(98765, 12345, 'CROSS_PROVIDER_DUPLICATE', 'SKIPPED', {
         duplicateOf: 'i176829341'
       });
@@ -330,7 +472,7 @@ describe('ActivityProcessor', () => {
       await activityProcessor.processNewActivity(98765, 12345);
 
       expect(mockDiscordBot.postActivity).not.toHaveBeenCalled();
-      expect(activityProcessor.processedActivities.has('12345-98765')).toBe(true);
+      expect(outcomeOf('strava', 98765)).toBe('filtered');
       expect(logger.activityProcessing).toHaveBeenCalledWith(
         98765,
         12345,
@@ -349,7 +491,15 @@ describe('ActivityProcessor', () => {
       expect(logger.activityProcessing).toHaveBeenCalledWith(98765, 12345, 'UNKNOWN', 'FAILED', expect.objectContaining({
         error: error.message
       }));
-      expect(activityProcessor.processedActivities.has('12345-98765')).toBe(false);
+      expect(outcomeOf('strava', 98765)).toBe('failed');
+      expect(mockRetryQueue.scheduleRetry).toHaveBeenCalledWith(98765, 12345, error);
+    });
+
+    it('should end the retries of an activity that goes through', async () => {
+      await activityProcessor.processNewActivity(98765, 12345);
+
+      expect(mockRetryQueue.clear).toHaveBeenCalledWith(98765);
+      expect(mockRetryQueue.scheduleRetry).not.toHaveBeenCalled();
     });
 
     it('should handle 401 authentication errors with token refresh', async () => {
@@ -358,19 +508,16 @@ describe('ActivityProcessor', () => {
       mockStravaAPI.getActivity.mockRejectedValue(authError);
       mockMemberManager.refreshMemberToken.mockResolvedValue('new_token');
 
-      const processSpy = jest.spyOn(activityProcessor, 'processNewActivity');
-      
       await activityProcessor.processNewActivity(98765, 12345);
 
       expect(mockMemberManager.refreshMemberToken).toHaveBeenCalledWith(mockMember);
       expect(logger.activity.info).toHaveBeenCalledWith('Attempting token refresh for authentication error', expect.any(Object));
-      expect(logger.activity.info).toHaveBeenCalledWith('Token refreshed, retrying activity processing', expect.any(Object));
+      expect(logger.activity.info).toHaveBeenCalledWith('Token refreshed, activity will be retried', expect.any(Object));
 
-      // Fast-forward timer to trigger retry
-      jest.advanceTimersByTime(1000);
-      
-      // Should attempt retry after 1 second
-      expect(processSpy).toHaveBeenCalledTimes(2); // Original call + retry
+      // The retry goes through the retry queue, after the new token is saved
+      expect(mockRetryQueue.scheduleRetry).toHaveBeenCalledWith(98765, 12345, authError);
+      expect(mockRetryQueue.scheduleRetry.mock.invocationCallOrder[0])
+        .toBeGreaterThan(mockMemberManager.refreshMemberToken.mock.invocationCallOrder[0]);
     });
 
     it('should handle token refresh failure during 401 error', async () => {
@@ -426,7 +573,7 @@ describe('ActivityProcessor', () => {
       await activityProcessor.processNewActivity(98765, 12345);
 
       expect(mockDiscordBot.postActivity).toHaveBeenCalled();
-      expect(activityProcessor.processedActivities.has('12345-98765')).toBe(true);
+      expect(outcomeOf('strava', 98765)).toBe('posted');
     });
 
     it('should still cache the activity and run PB detection for filtered activities', async () => {
@@ -496,13 +643,91 @@ describe('ActivityProcessor', () => {
 
     it('should ignore updates for already processed activities', async () => {
       mockActivityQueue.updateQueuedActivity.mockReturnValue(false);
-      activityProcessor.processedActivities.add('12345-98765');
+      ledger.set('strava:98765', { outcome: 'filtered' });
+      jest.spyOn(activityProcessor, 'queueActivity').mockResolvedValue();
 
       await activityProcessor.updateQueuedActivity(98765, 12345);
 
       expect(logger.activity.debug).toHaveBeenCalledWith('Activity already processed, ignoring update', {
         activityId: 98765,
-        athleteId: 12345
+        athleteId: 12345,
+        outcome: 'filtered'
+      });
+      expect(activityProcessor.queueActivity).not.toHaveBeenCalled();
+    });
+
+    it('should queue updates for activities that failed before', async () => {
+      mockActivityQueue.updateQueuedActivity.mockReturnValue(false);
+      ledger.set('strava:98765', { outcome: 'failed' });
+      jest.spyOn(activityProcessor, 'queueActivity').mockResolvedValue();
+
+      await activityProcessor.updateQueuedActivity(98765, 12345);
+
+      expect(activityProcessor.queueActivity).toHaveBeenCalledWith(98765, 12345, {});
+    });
+
+    describe('already posted activities', () => {
+      const post = { discord_message_id: 'message-1', discord_channel_id: 'channel-1', activity_id: '98765' };
+
+      beforeEach(() => {
+        mockActivityQueue.updateQueuedActivity.mockReturnValue(false);
+        mockMemberManager.databaseManager.getActivityPosts.mockResolvedValue([post]);
+        mockMemberManager.getMemberByAthleteId.mockResolvedValue(mockMember);
+        mockMemberManager.getValidAccessToken.mockResolvedValue('valid_token');
+        mockStravaAPI.shouldPostActivity.mockReturnValue(true);
+        jest.spyOn(activityProcessor.pbManager, 'getHeldPBResults').mockResolvedValue([]);
+      });
+
+      it('re-renders and edits the posted message instead of queueing', async () => {
+        const renamed = { ...mockActivity, name: 'Renamed Run' };
+        mockStravaAPI.getActivity.mockResolvedValue(renamed);
+        mockStravaAPI.processActivityWithStreams.mockResolvedValue({ ...renamed, athlete: mockMember.athlete });
+        jest.spyOn(activityProcessor, 'queueActivity');
+
+        await activityProcessor.updateQueuedActivity(98765, 12345);
+
+        expect(mockMemberManager.databaseManager.upsertActivity).toHaveBeenCalledWith(12345, renamed, 'strava');
+        expect(mockStravaAPI.shouldPostActivity).toHaveBeenCalledWith(renamed, { skipAgeFilter: true });
+        expect(mockDiscordBot.editActivityPost).toHaveBeenCalledWith(post, expect.objectContaining({
+          name: 'Renamed Run',
+          pbResults: []
+        }));
+        expect(activityProcessor.queueActivity).not.toHaveBeenCalled();
+      });
+
+      it('deletes the message once the activity may no longer be posted', async () => {
+        mockStravaAPI.getActivity.mockResolvedValue({ ...mockActivity, private: true });
+        mockStravaAPI.shouldPostActivity.mockReturnValue(false);
+
+        await activityProcessor.updateQueuedActivity(98765, 12345);
+
+        expect(mockDiscordBot.deleteActivityPost).toHaveBeenCalledWith(post);
+        expect(mockMemberManager.databaseManager.deleteActivityPosts).toHaveBeenCalledWith('98765');
+        expect(mockDiscordBot.editActivityPost).not.toHaveBeenCalled();
+        // Still a real run: it keeps counting for leaderboards
+        expect(mockMemberManager.databaseManager.deleteActivity).not.toHaveBeenCalled();
+      });
+
+      it('ignores a posting pause when editing', async () => {
+        mockStravaAPI.getActivity.mockResolvedValue(mockActivity);
+        mockStravaAPI.processActivityWithStreams.mockResolvedValue(mockProcessedActivity);
+        mockPreferencesManager.getPreferences.mockResolvedValue({ sportTypes: null, pausedUntil: '2099-01-01' });
+
+        await activityProcessor.updateQueuedActivity(98765, 12345);
+
+        expect(mockPreferencesManager.shouldPost).toHaveBeenCalledWith({ sportTypes: null, pausedUntil: null }, mockActivity);
+        expect(mockDiscordBot.editActivityPost).toHaveBeenCalled();
+      });
+
+      it('logs and swallows failures', async () => {
+        mockStravaAPI.getActivity.mockRejectedValue(new Error('Strava down'));
+
+        await expect(activityProcessor.updateQueuedActivity(98765, 12345)).resolves.toBeUndefined();
+
+        expect(logger.activityProcessing).toHaveBeenCalledWith(98765, 12345, 'UNKNOWN', 'FAILED', {
+          reason: 'Unable to refresh posted activity',
+          error: 'Strava down'
+        });
       });
     });
   });
@@ -514,6 +739,7 @@ describe('ActivityProcessor', () => {
       await activityProcessor.removeQueuedActivity(98765, 12345);
 
       expect(mockActivityQueue.removeFromQueue).toHaveBeenCalledWith(98765);
+      expect(mockRetryQueue.clear).toHaveBeenCalledWith(98765);
       expect(logger.activity.info).toHaveBeenCalledWith('Removed deleted activity from queue', {
         activityId: 98765,
         athleteId: 12345
@@ -530,6 +756,46 @@ describe('ActivityProcessor', () => {
         athleteId: 12345
       });
     });
+
+    it('should delete the posted message and the activities row', async () => {
+      const post = { discord_message_id: 'message-1', discord_channel_id: 'channel-1', activity_id: '98765' };
+      mockActivityQueue.removeFromQueue.mockReturnValue(false);
+      mockMemberManager.databaseManager.getActivityPosts.mockResolvedValue([post]);
+      mockMemberManager.databaseManager.deleteActivity.mockResolvedValue(true);
+
+      await activityProcessor.removeQueuedActivity(98765, 12345);
+
+      expect(mockDiscordBot.deleteActivityPost).toHaveBeenCalledWith(post);
+      expect(mockMemberManager.databaseManager.deleteActivity).toHaveBeenCalledWith(98765, { keepMessageIds: [] });
+      expect(logger.activityProcessing).toHaveBeenCalledWith(98765, 12345, 'DELETED', 'REMOVED', {
+        messagesDeleted: 1,
+        activityRowDeleted: true
+      });
+    });
+
+    it('should still delete the activities row when a message cannot be deleted, keeping its post', async () => {
+      mockActivityQueue.removeFromQueue.mockReturnValue(false);
+      mockMemberManager.databaseManager.getActivityPosts.mockResolvedValue([
+        { discord_message_id: 'message-1', activity_id: '98765' },
+        { discord_message_id: 'message-2', activity_id: '98765' },
+        { discord_message_id: 'message-3', activity_id: '98765' }
+      ]);
+      mockDiscordBot.deleteActivityPost
+        .mockRejectedValueOnce(new Error('Missing Permissions'))
+        .mockResolvedValueOnce(true)
+        .mockResolvedValueOnce(false); // already gone
+
+      await expect(activityProcessor.removeQueuedActivity(98765, 12345)).resolves.toBeUndefined();
+
+      expect(mockDiscordBot.deleteActivityPost).toHaveBeenCalledTimes(3);
+      expect(logger.activity.error).toHaveBeenCalledWith('Failed to delete Discord post of deleted activity', {
+        activityId: 98765,
+        athleteId: 12345,
+        messageId: 'message-1',
+        error: 'Missing Permissions'
+      });
+      expect(mockMemberManager.databaseManager.deleteActivity).toHaveBeenCalledWith(98765, { keepMessageIds: ['message-1'] });
+    });
   });
 
   describe('processRecentActivities', () => {
@@ -873,12 +1139,24 @@ describe('ActivityProcessor', () => {
       // Persist only happens after a successful post, so a post failure can never
       // leave a DB row that permanently blocks a retry.
       expect(callOrder).toEqual(['post', 'upsert']);
-      expect(activityProcessor.processedActivities.has('54321-i176829341')).toBe(true);
+      expect(outcomeOf('intervals', 'i176829341')).toBe('posted');
       expect(logger.activityProcessing).toHaveBeenCalledWith(
         'i176829341', 54321, intervalsActivity.name, 'COMPLETED', expect.any(Object)
       );
     });
 
+    it('sends the posted activity to the outbound webhooks with its intervals.icu link', async () => {
+      await activityProcessor.processIntervalsActivity(intervalsActivity, intervalsMember, apiKey);
+
+      expect(mockWebhookManager.dispatch).toHaveBeenCalledWith('activity.posted', expect.objectContaining({
+        activity: expect.objectContaining({
+          id: 'i176829341',
+          provider: 'intervals',
+          url: 'https://intervals.icu/activities/i176829341'
+        })
+      }));
+    });
+
     it('fetches streams once and passes them to processActivityData', async () => {
       const streams = { time: [0, 1, 2], distance: [0, 5, 10], altitude: [10, 11, 12] };
       mockIntervalsAPI.getActivityStreams.mockResolvedValue(streams);
@@ -973,32 +1251,22 @@ describe('ActivityProcessor', () => {
         error: 'pb db error'
       }));
       expect(mockDiscordBot.postActivity).toHaveBeenCalled();
-      expect(activityProcessor.processedActivities.has('54321-i176829341')).toBe(true);
+      expect(outcomeOf('intervals', 'i176829341')).toBe('posted');
     });
 
-    it('skips already-processed activities (in-memory dedup) without fetching streams or running PB checks', async () => {
-      activityProcessor.processedActivities.add('54321-i176829341');
-
-      await activityProcessor.processIntervalsActivity(intervalsActivity, intervalsMember, apiKey);
-
-      expect(mockMemberManager.databaseManager.getActivityById).not.toHaveBeenCalled();
-      expect(mockIntervalsAPI.getActivityStreams).not.toHaveBeenCalled();
-      expect(BestEffortCalculator.synthesizeBestEfforts).not.toHaveBeenCalled();
-      expect(logger.activityProcessing).toHaveBeenCalledWith(
-        'i176829341', 54321, 'DUPLICATE', 'SKIPPED', { reason: 'Already processed' }
-      );
-    });
-
-    it('skips activities already present in the database (restart-safe dedup) without fetching streams or running PB checks', async () => {
-      mockMemberManager.databaseManager.getActivityById.mockResolvedValue({ strava_activity_id: 'i176829341' });
+    it('skips activities the ledger already has an outcome for, without fetching streams or running PB checks', async () => {
+      ledger.set('intervals:i176829341', { outcome: 'posted' });
 
       await activityProcessor.processIntervalsActivity(intervalsActivity, intervalsMember, apiKey);
 
+      expect(mockMemberManager.databaseManager.getActivityOutcome).toHaveBeenCalledWith('i176829341', 'intervals');
       expect(mockMemberManager.databaseManager.upsertActivity).not.toHaveBeenCalled();
       expect(mockDiscordBot.postActivity).not.toHaveBeenCalled();
       expect(mockIntervalsAPI.getActivityStreams).not.toHaveBeenCalled();
       expect(BestEffortCalculator.synthesizeBestEfforts).not.toHaveBeenCalled();
-      expect(activityProcessor.processedActivities.has('54321-i176829341')).toBe(true);
+      expect(logger.activityProcessing).toHaveBeenCalledWith(
+        'i176829341', 54321, 'DUPLICATE', 'SKIPPED', { reason: 'Already processed', outcome: 'posted' }
+      );
     });
 
     it('skips a cross-provider duplicate (found via findDuplicateActivity) without upserting, fetching streams, or running PB checks', async () => {
@@ -1015,7 +1283,7 @@ describe('ActivityProcessor', () => {
       expect(mockDiscordBot.postActivity).not.toHaveBeenCalled();
       expect(mockIntervalsAPI.getActivityStreams).not.toHaveBeenCalled();
       expect(BestEffortCalculator.synthesizeBestEfforts).not.toHaveBeenCalled();
-      expect(activityProcessor.processedActivities.has('54321-i176829341')).toBe(true);
+      expect(outcomeOf('intervals', 'i176829341')).toBe('duplicate');
       expect(logger.activityProcessing).toHaveBeenCalledWith(
         'i176829341', 54321, 'CROSS_PROVIDER_DUPLICATE', 'SKIPPED', { duplicateOf: '98765' }
       );
@@ -1034,7 +1302,7 @@ describe('ActivityProcessor', () => {
       expect(pbSpy).toHaveBeenCalledWith(54321, { ...intervalsActivity, best_efforts: efforts });
       expect(mockMemberManager.databaseManager.upsertActivity).toHaveBeenCalled();
       expect(mockDiscordBot.postActivity).not.toHaveBeenCalled();
-      expect(activityProcessor.processedActivities.has('54321-i176829341')).toBe(true);
+      expect(outcomeOf('intervals', 'i176829341')).toBe('filtered');
       expect(logger.activityProcessing).toHaveBeenCalledWith(
         'i176829341', 54321, intervalsActivity.name, 'FILTERED', expect.objectContaining({ pbsRecorded: 1 })
       );
@@ -1046,63 +1314,342 @@ describe('ActivityProcessor', () => {
       await activityProcessor.processIntervalsActivity(intervalsActivity, intervalsMember, apiKey);
 
       expect(mockMemberManager.databaseManager.upsertActivity).not.toHaveBeenCalled();
-      expect(activityProcessor.processedActivities.has('54321-i176829341')).toBe(false);
+      expect(outcomeOf('intervals', 'i176829341')).toBe('failed');
       expect(logger.activityProcessing).toHaveBeenCalledWith(
         'i176829341', 54321, 'UNKNOWN', 'FAILED', expect.any(Object)
       );
 
-      // Simulate the next poll: DB still has no row and the in-memory set has
-      // no entry for this activity, so dedup lets it through and a retry can
-      // succeed.
+      // Simulate the next poll: the ledger only has a failure for this
+      // activity, so dedup lets it through and a retry can succeed.
       mockDiscordBot.postActivity.mockResolvedValue();
       await activityProcessor.processIntervalsActivity(intervalsActivity, intervalsMember, apiKey);
 
       expect(mockDiscordBot.postActivity).toHaveBeenCalledTimes(2);
       expect(mockMemberManager.databaseManager.upsertActivity).toHaveBeenCalledWith(54321, intervalsActivity, 'intervals');
-      expect(activityProcessor.processedActivities.has('54321-i176829341')).toBe(true);
+      expect(outcomeOf('intervals', 'i176829341')).toBe('posted');
     });
   });
 
-  describe('cleanupProcessedActivities', () => {
-    it('should not cleanup if size is below threshold', () => {
-      // Add some activities but stay below threshold
-      for (let i = 0; i < 5000; i++) {
-        activityProcessor.processedActivities.add(`test-${i}`);
-      }
+  describe('updateChallengeProgress', () => {
+    const challengeActivity = { id: 98765, type: 'Run', start_date_local: '2026-03-10T07:00:00Z' };
+    let mockChannel;
+
+    beforeEach(() => {
+      mockChannel = { send: jest.fn().mockResolvedValue(undefined) };
+      mockDiscordBot.getChannel = jest.fn().mockResolvedValue(mockChannel);
+    });
+
+    it('posts one embed per challenge event to the team channel', async () => {
+      const progress = {
+        challenge: { id: 7, name: '500 km in March', metric: 'distance', scope: 'team', target_value: 500000 },
+        target: 500000,
+        total: 260000,
+        percent: 52,
+        entries: [],
+      };
+      mockChallengeManager.recordActivity.mockResolvedValue([{ type: 'milestone', milestone: 50, progress }]);
 
-      activityProcessor.cleanupProcessedActivities();
+      await activityProcessor.updateChallengeProgress(12345, challengeActivity);
 
-      expect(activityProcessor.processedActivities.size).toBe(5000);
-      expect(logger.activity.debug).not.toHaveBeenCalled();
+      expect(mockChallengeManager.recordActivity).toHaveBeenCalledWith(12345, challengeActivity, mockMemberManager);
+      expect(mockChannel.send).toHaveBeenCalledTimes(1);
+      expect(mockChannel.send.mock.calls[0][0].embeds[0].toJSON().title).toBe('🎯 500 km in March — 50% there!');
     });
 
-    it('should cleanup when size exceeds threshold', () => {
-      // Add activities to exceed threshold
-      for (let i = 0; i < 12000; i++) {
-        activityProcessor.processedActivities.add(`test-${i}`);
-      }
+    it('does not fetch the channel when nothing was crossed', async () => {
+      await activityProcessor.updateChallengeProgress(12345, challengeActivity);
+
+      expect(mockDiscordBot.getChannel).not.toHaveBeenCalled();
+    });
 
-      activityProcessor.cleanupProcessedActivities();
+    it('never throws when challenge tracking fails', async () => {
+      mockChallengeManager.recordActivity.mockRejectedValue(new Error('database is locked'));
 
-      expect(activityProcessor.processedActivities.size).toBe(8000); // 80% of 10000
-      expect(logger.activity.debug).toHaveBeenCalledWith('Cleaned up processed activities cache', {
-        previousSize: 10000,
-        currentSize: 8000,
-        cleanupRatio: '80%'
+      await expect(activityProcessor.updateChallengeProgress(12345, challengeActivity)).resolves.toBeUndefined();
+      expect(logger.activity.error).toHaveBeenCalledWith('Challenge progress update failed (non-blocking)', {
+        activityId: 98765,
+        athleteId: 12345,
+        error: 'database is locked',
       });
     });
 
-    it('should keep most recent activities during cleanup', () => {
-      // Add activities with predictable order
-      for (let i = 0; i < 12000; i++) {
-        activityProcessor.processedActivities.add(`test-${i}`);
-      }
+    it('runs after a Strava activity is posted, and for filtered ones too', async () => {
+      mockMemberManager.getMemberByAthleteId.mockResolvedValue(mockMember);
+      mockMemberManager.getValidAccessToken.mockResolvedValue('valid_token');
+      mockStravaAPI.getActivity.mockResolvedValue(mockActivity);
+      mockStravaAPI.shouldPostActivity.mockReturnValue(true);
+      mockStravaAPI.processActivityWithStreams.mockResolvedValue(mockProcessedActivity);
 
-      activityProcessor.cleanupProcessedActivities();
+      await activityProcessor.processNewActivity(98765, 12345);
+      expect(mockChallengeManager.recordActivity).toHaveBeenCalledWith(12345, mockActivity, mockMemberManager);
 
-      // Should keep the most recent ones (higher numbers)
-      expect(activityProcessor.processedActivities.has('test-11999')).toBe(true);
-      expect(activityProcessor.processedActivities.has('test-0')).toBe(false);
+      mockStravaAPI.shouldPostActivity.mockReturnValue(false);
+      await activityProcessor.processNewActivity(98766, 12345);
+      expect(mockChallengeManager.recordActivity).toHaveBeenCalledTimes(2);
+    });
+
+    it('skips cross-provider duplicates so they never count twice', async () => {
+      mockMemberManager.getMemberByAthleteId.mockResolvedValue(mockMember);
+      mockMemberManager.getValidAccessToken.mockResolvedValue('valid_token');
+      mockStravaAPI.getActivity.mockResolvedValue(mockActivity);
+      mockMemberManager.databaseManager.findDuplicateActivity.mockResolvedValue({ strava_activity_id: 'i1' });
+
+      await activityProcessor.processNewActivity(98765, 12345);
+
+      expect(mockChallengeManager.recordActivity).not.toHaveBeenCalled();
+    });
+
+    it('runs after an intervals.icu activity is saved', async () => {
+      const member = { athleteId: 54321, athlete: { id: 54321 }, provider: 'intervals' };
+      const activity = { id: 'i1', name: 'Easy Run', type: 'Run', start_date_local: '2026-03-10T07:00:00' };
+      mockIntervalsAPI.shouldPostActivity.mockReturnValue(false);
+
+      await activityProcessor.processIntervalsActivity(activity, member, 'key');
+
+      expect(mockMemberManager.databaseManager.upsertActivity).toHaveBeenCalledWith(54321, activity, 'intervals');
+      expect(mockChallengeManager.recordActivity).toHaveBeenCalledWith(54321, activity, mockMemberManager);
+    });
+  });
+
+  describe('announceClubRecords', () => {
+    const pbResults = [{ isNewPB: true, category: '5K', previousPB: null, newPB: { elapsedTime: 1140 } }];
+    const event = {
+      category: '5K',
+      holder: { athleteId: 12345, memberName: 'Test User', discordUserId: '123456789', elapsedTime: 1140, activityId: '98765', activityDate: '2026-03-10' },
+      broken: [{ division: 'Club', previous: { athleteId: 2, memberName: 'Bob', elapsedTime: 1152, activityId: '111', activityDate: '2025-06-01' } }],
+    };
+    let mockChannel;
+
+    beforeEach(() => {
+      mockChannel = { send: jest.fn().mockResolvedValue(undefined) };
+      mockDiscordBot.getChannel = jest.fn().mockResolvedValue(mockChannel);
+    });
+
+    it('posts one embed per broken category record', async () => {
+      const checkSpy = jest.spyOn(activityProcessor.pbManager, 'checkClubRecords').mockResolvedValue([event]);
+
+      await activityProcessor.announceClubRecords(12345, mockActivity, pbResults);
+
+      expect(checkSpy).toHaveBeenCalledWith(12345, pbResults);
+      expect(mockChannel.send).toHaveBeenCalledTimes(1);
+      expect(mockChannel.send.mock.calls[0][0].embeds[0].toJSON().title).toBe('🏛️ New 5K club record!');
+    });
+
+    it('never throws when the check fails', async () => {
+      jest.spyOn(activityProcessor.pbManager, 'checkClubRecords').mockRejectedValue(new Error('database is locked'));
+
+      await expect(activityProcessor.announceClubRecords(12345, mockActivity, pbResults)).resolves.toBeUndefined();
+      expect(logger.activity.error).toHaveBeenCalledWith('Club record announcement failed (non-blocking)', {
+        activityId: mockActivity.id,
+        athleteId: 12345,
+        error: 'database is locked',
+      });
+    });
+
+    it('only announces records from posted activities', async () => {
+      mockMemberManager.getMemberByAthleteId.mockResolvedValue(mockMember);
+      mockMemberManager.getValidAccessToken.mockResolvedValue('valid_token');
+      mockStravaAPI.getActivity.mockResolvedValue(mockActivity);
+      mockStravaAPI.shouldPostActivity.mockReturnValue(true);
+      mockStravaAPI.processActivityWithStreams.mockResolvedValue(mockProcessedActivity);
+      jest.spyOn(activityProcessor.pbManager, 'checkAndUpdatePBs').mockResolvedValue(pbResults);
+      const checkSpy = jest.spyOn(activityProcessor.pbManager, 'checkClubRecords').mockResolvedValue([]);
+
+      await activityProcessor.processNewActivity(98765, 12345);
+      expect(checkSpy).toHaveBeenCalledWith(12345, pbResults);
+
+      mockStravaAPI.shouldPostActivity.mockReturnValue(false);
+      await activityProcessor.processNewActivity(98766, 12345);
+      expect(checkSpy).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('outbound webhooks', () => {
+    const pbResults = [{ isNewPB: true, category: '5K', previousPB: null, newPB: { elapsedTime: 1140 } }];
+
+    beforeEach(() => {
+      mockMemberManager.getMemberByAthleteId.mockResolvedValue(mockMember);
+      mockMemberManager.getValidAccessToken.mockResolvedValue('valid_token');
+      mockStravaAPI.getActivity.mockResolvedValue(mockActivity);
+      mockStravaAPI.shouldPostActivity.mockReturnValue(true);
+      mockStravaAPI.processActivityWithStreams.mockResolvedValue(mockProcessedActivity);
+      mockDiscordBot.postActivity.mockResolvedValue({ id: 'msg1', url: 'https://discord.com/channels/1/2/msg1' });
+      jest.spyOn(activityProcessor.pbManager, 'checkAndUpdatePBs').mockResolvedValue(pbResults);
+    });
+
+    it('sends posted activities and their new PBs', async () => {
+      const publishPBsSpy = jest.spyOn(activityProcessor.pbManager, 'publishNewPBs').mockResolvedValue(undefined);
+
+      await activityProcessor.processNewActivity(98765, 12345);
+
+      expect(mockWebhookManager.dispatch).toHaveBeenCalledWith('activity.posted', {
+        member: { discordUserId: '123456789' },
+        activity: expect.objectContaining({
+          id: '98765',
+          provider: 'strava',
+          name: 'Morning Run',
+          distanceM: 5000,
+          movingTimeS: 1800,
+          url: 'https://www.strava.com/activities/98765'
+        }),
+        discordMessageUrl: 'https://discord.com/channels/1/2/msg1'
+      });
+      expect(publishPBsSpy).toHaveBeenCalledWith(mockMember, pbResults);
+    });
+
+    it('sends the details as posted, without what the member hides', async () => {
+      mockPreferencesManager.applyPrivacy.mockImplementation(activity => ({ ...activity, average_heartrate: undefined }));
+      mockStravaAPI.processActivityWithStreams.mockResolvedValue({ ...mockProcessedActivity, average_heartrate: 150 });
+
+      await activityProcessor.processNewActivity(98765, 12345);
+
+      const [, data] = mockWebhookManager.dispatch.mock.calls.find(([event]) => event === 'activity.posted');
+      expect(data.activity.averageHeartrate).toBeNull();
+    });
+
+    it('leaves filtered activities and their PBs out', async () => {
+      const publishPBsSpy = jest.spyOn(activityProcessor.pbManager, 'publishNewPBs');
+      mockStravaAPI.shouldPostActivity.mockReturnValue(false);
+
+      await activityProcessor.processNewActivity(98765, 12345);
+
+      expect(mockWebhookManager.dispatch).not.toHaveBeenCalled();
+      expect(publishPBsSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('linkRaceResult', () => {
+    const result = {
+      race: { id: 4, name: 'Paris Marathon', distance: '42.2km', location: 'Paris' },
+      finishTime: 12494,
+      goalTime: 12600,
+      goalDelta: -106,
+    };
+    let mockChannel;
+
+    beforeEach(() => {
+      mockChannel = { send: jest.fn().mockResolvedValue(undefined) };
+      mockDiscordBot.getChannel = jest.fn().mockResolvedValue(mockChannel);
+      activityProcessor.raceManager.linkActivity = jest.fn().mockResolvedValue(result);
+    });
+
+    it('completes the race and posts the result', async () => {
+      mockStravaAPI.isRaceActivity.mockReturnValue(true);
+
+      await activityProcessor.linkRaceResult('strava', 12345, mockMember, mockActivity, { announce: true });
+
+      expect(activityProcessor.raceManager.linkActivity).toHaveBeenCalledWith(12345, '123456789', mockActivity, { isRace: true, publish: true });
+      const json = mockChannel.send.mock.calls[0][0].embeds[0].toJSON();
+      expect(json.title).toBe('🏁 Paris Marathon');
+      expect(json.url).toBe('https://www.strava.com/activities/98765');
+      expect(json.description).toContain('<@123456789> finished in **3:28:14**');
+    });
+
+    it('completes the race silently without announce', async () => {
+      await activityProcessor.linkRaceResult('intervals', 54321, { discordUserId: '42' }, { id: 'i1' });
+
+      expect(activityProcessor.raceManager.linkActivity).toHaveBeenCalledWith(54321, '42', { id: 'i1' }, { isRace: false, publish: false });
+      expect(mockDiscordBot.getChannel).not.toHaveBeenCalled();
+    });
+
+    it('never throws when linking fails', async () => {
+      activityProcessor.raceManager.linkActivity.mockRejectedValue(new Error('database is locked'));
+
+      await expect(activityProcessor.linkRaceResult('strava', 12345, mockMember, mockActivity, { announce: true }))
+        .resolves.toBeUndefined();
+      expect(logger.activity.error).toHaveBeenCalledWith('Race result linking failed (non-blocking)', {
+        activityId: 98765,
+        athleteId: 12345,
+        error: 'database is locked',
+      });
+    });
+
+    it('runs for posted and filtered activities, announcing and publishing only posted ones', async () => {
+      mockMemberManager.getMemberByAthleteId.mockResolvedValue(mockMember);
+      mockMemberManager.getValidAccessToken.mockResolvedValue('valid_token');
+      mockStravaAPI.getActivity.mockResolvedValue(mockActivity);
+      mockStravaAPI.shouldPostActivity.mockReturnValue(true);
+      mockStravaAPI.processActivityWithStreams.mockResolvedValue(mockProcessedActivity);
+
+      await activityProcessor.processNewActivity(98765, 12345);
+      expect(mockChannel.send).toHaveBeenCalledTimes(1);
+
+      mockStravaAPI.shouldPostActivity.mockReturnValue(false);
+      await activityProcessor.processNewActivity(98766, 12345);
+      expect(activityProcessor.raceManager.linkActivity).toHaveBeenCalledTimes(2);
+      expect(activityProcessor.raceManager.linkActivity.mock.calls.map(call => call[3].publish)).toEqual([true, false]);
+      expect(mockChannel.send).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('member posting preferences', () => {
+    const preferences = { sportTypes: ['run'], showHeartRate: false, showPace: true, showMap: true, pausedUntil: null };
+
+    beforeEach(() => {
+      mockMemberManager.getMemberByAthleteId.mockResolvedValue(mockMember);
+      mockMemberManager.getValidAccessToken.mockResolvedValue('valid_token');
+      mockStravaAPI.getActivity.mockResolvedValue(mockActivity);
+      mockStravaAPI.shouldPostActivity.mockReturnValue(true);
+      mockStravaAPI.processActivityWithStreams.mockResolvedValue(mockProcessedActivity);
+      mockIntervalsAPI.shouldPostActivity.mockReturnValue(true);
+      mockPreferencesManager.getPreferences.mockResolvedValue(preferences);
+    });
+
+    it('keeps a muted Strava activity off Discord but still saves it and counts it for challenges', async () => {
+      mockPreferencesManager.shouldPost.mockReturnValue({ post: false, reason: 'Posting paused until 2026-03-20' });
+
+      await activityProcessor.processNewActivity(98765, 12345);
+
+      expect(mockPreferencesManager.getPreferences).toHaveBeenCalledWith(12345);
+      expect(mockPreferencesManager.shouldPost).toHaveBeenCalledWith(preferences, mockActivity);
+      expect(mockDiscordBot.postActivity).not.toHaveBeenCalled();
+      expect(mockMemberManager.databaseManager.upsertActivity).toHaveBeenCalledWith(12345, mockActivity, 'strava');
+      expect(mockChallengeManager.recordActivity).toHaveBeenCalled();
+      expect(logger.activityProcessing).toHaveBeenCalledWith(98765, 12345, mockActivity.name, 'FILTERED', expect.objectContaining({
+        reason: 'Posting paused until 2026-03-20'
+      }));
+    });
+
+    it('does not consult preferences for activities the global rules already filter', async () => {
+      mockStravaAPI.shouldPostActivity.mockReturnValue(false);
+
+      await activityProcessor.processNewActivity(98765, 12345);
+
+      expect(mockPreferencesManager.shouldPost).not.toHaveBeenCalled();
+      expect(logger.activityProcessing).toHaveBeenCalledWith(98765, 12345, mockActivity.name, 'FILTERED', expect.objectContaining({
+        reason: 'Activity filtered by posting rules'
+      }));
+    });
+
+    it('posts the Strava activity with hidden details stripped', async () => {
+      const stripped = { ...mockProcessedActivity, average_heartrate: undefined };
+      mockPreferencesManager.applyPrivacy.mockReturnValue(stripped);
+
+      await activityProcessor.processNewActivity(98765, 12345);
+
+      expect(mockPreferencesManager.applyPrivacy).toHaveBeenCalledWith(mockProcessedActivity, preferences);
+      expect(mockDiscordBot.postActivity).toHaveBeenCalledWith(stripped);
+    });
+
+    it('applies the same filter and privacy to intervals.icu activities', async () => {
+      const member = { athleteId: 54321, athlete: { id: 54321 }, provider: 'intervals' };
+      const activity = { id: 'i1', name: 'Evening Walk', type: 'Walk', start_date_local: '2026-03-10T18:00:00' };
+      mockPreferencesManager.shouldPost.mockReturnValueOnce({ post: false, reason: "Sport type 'walk' muted by member" });
+
+      await activityProcessor.processIntervalsActivity(activity, member, 'key');
+
+      expect(mockPreferencesManager.getPreferences).toHaveBeenCalledWith(54321);
+      expect(mockDiscordBot.postActivity).not.toHaveBeenCalled();
+      expect(mockMemberManager.databaseManager.upsertActivity).toHaveBeenCalledWith(54321, activity, 'intervals');
+
+      const run = { ...activity, id: 'i2', type: 'Run' };
+      const processed = { ...run, athlete: member.athlete };
+      mockIntervalsAPI.processActivityData.mockReturnValue(processed);
+
+      await activityProcessor.processIntervalsActivity(run, member, 'key');
+
+      expect(mockPreferencesManager.applyPrivacy).toHaveBeenCalledWith(processed, preferences);
+      expect(mockDiscordBot.postActivity).toHaveBeenCalledWith(processed);
     });
   });
 
@@ -1366,14 +1913,14 @@ describe('ActivityProcessor', () => {
       mockActivityQueue.getStats.mockReturnValue(mockQueueStats);
       mockMemberManager.getMemberCount.mockReturnValue(25);
 
-      // Add some processed activities
-      activityProcessor.processedActivities.add('test-1');
-      activityProcessor.processedActivities.add('test-2');
+      mockMemberManager.databaseManager.getActivityOutcomeCounts.mockResolvedValue({ posted: 2, filtered: 1 });
 
       const stats = await activityProcessor.getStats();
 
       expect(stats).toEqual({
-        processedActivities: 2,
+        processedActivities: 3,
+        activityOutcomes: { posted: 2, filtered: 1 },
+        retries: { pending: 0, dead: 0 },
         registeredMembers: 25,
         uptime: expect.any(Number),
         memoryUsage: expect.any(Object),
@@ -1441,23 +1988,6 @@ describe('ActivityProcessor', () => {
       expect(logger.activityProcessing).toHaveBeenCalledWith(98765, 12345, 'UNKNOWN', 'FAILED', expect.any(Object));
     });
 
-    it('should handle very large processed activities set', () => {
-      // Simulate a large set without actually creating 50k items
-      const originalSize = activityProcessor.processedActivities.size;
-      Object.defineProperty(activityProcessor.processedActivities, 'size', {
-        get: () => 50000,
-        configurable: true
-      });
-
-      expect(() => activityProcessor.cleanupProcessedActivities()).not.toThrow();
-
-      // Restore original size property
-      Object.defineProperty(activityProcessor.processedActivities, 'size', {
-        get: () => originalSize,
-        configurable: true
-      });
-    });
-
     it('should handle empty members list in processRecentActivities', async () => {
       mockMemberManager.getAllMembers.mockResolvedValue([]);
 
@@ -1469,9 +1999,6 @@ describe('ActivityProcessor', () => {
     });
 
     it('should handle concurrent activity processing safely', async () => {
-      // Reset the processed activities set for this test
-      activityProcessor.processedActivities.clear();
-      
       mockMemberManager.getMemberByAthleteId.mockResolvedValue(mockMember);
       mockMemberManager.getValidAccessToken.mockResolvedValue('valid_token');
       mockStravaAPI.getActivity.mockResolvedValue(mockActivity);
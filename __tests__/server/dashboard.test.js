@@ -0,0 +1,337 @@
+jest.mock('../../config/config', () => ({
+  app: { name: 'Strava Running Bot' },
+  discord: { clientId: 'client-id', clientSecret: 'client-secret' },
+  server: { baseUrl: 'https://bot.example.com' },
+  security: { encryptionKey: 'a'.repeat(64) },
+  map: { enabled: true }
+}));
+
+jest.mock('../../src/utils/Logger', () => ({
+  server: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+jest.mock('axios');
+
+jest.mock('../../src/maps/MapRenderer', () => {
+  const renderRoute = jest.fn();
+  return { instance: { renderRoute } };
+});
+
+const express = require('express');
+const request = require('supertest');
+const axios = require('axios');
+const config = require('../../config/config');
+const MapRenderer = require('../../src/maps/MapRenderer');
+const Dashboard = require('../../src/server/dashboard');
+const DashboardAuth = require('../../src/server/dashboardAuth');
+
+describe('Dashboard', () => {
+  const members = [
+    { athleteId: 12345, isActive: true, athlete: { firstname: 'John', lastname: 'Doe' }, discordUser: { displayName: 'Test User' } },
+    { athleteId: 67890, isActive: true, athlete: { firstname: 'Jane', lastname: 'Roe' }, discordUser: {} }
+  ];
+  const preferences = {
+    12345: { showPace: true, showMap: true, privacyZones: [] },
+    67890: { showPace: false, showMap: false, privacyZones: [] }
+  };
+  const activityRow = (id, athleteId, name = 'Morning Run') => ({
+    strava_activity_id: id,
+    provider: 'strava',
+    member_athlete_id: athleteId,
+    name,
+    type: 'Run',
+    sport_type: 'Run',
+    start_date_local: '2026-10-18T09:00:00Z',
+    distance: 10000,
+    moving_time: 3000,
+    map_summary_polyline: 'abc'
+  });
+  const user = { id: '555', name: 'Runner', avatar: null };
+
+  let activityProcessor;
+  let raceManager;
+  let databaseManager;
+  let dashboard;
+  let app;
+
+  const session = () => `srb_session=${new DashboardAuth().createSession(user)}`;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    config.discord.clientId = 'client-id';
+
+    databaseManager = {
+      getPostedActivities: jest.fn().mockResolvedValue({
+        total: 2,
+        rows: [activityRow('1', 12345, '<script>alert(1)</script>'), activityRow('2', 67890)]
+      }),
+      getActivityById: jest.fn(async id => activityRow(id, id === '2' ? 67890 : 12345)),
+      getActivityPost: jest.fn().mockResolvedValue({ activity_id: '1' })
+    };
+    activityProcessor = {
+      memberManager: {
+        databaseManager,
+        getAllMembers: jest.fn().mockResolvedValue(members)
+      },
+      preferencesManager: {
+        getPreferencesForMembers: jest.fn(async ids => new Map(ids.map(id => [id, preferences[id]])))
+      },
+      leaderboardManager: {
+        getMonthlyLeaderboard: jest.fn().mockResolvedValue({
+          entries: [
+            { athleteId: 12345, memberName: 'Test User', totalDistanceM: 50000, totalElevationM: 100, totalMovingTimeS: 18000, activityCount: 5, longestStreakDays: 2 },
+            { athleteId: 67890, memberName: 'Jane Roe', totalDistanceM: 40000, totalElevationM: 600, totalMovingTimeS: 15000, activityCount: 6, longestStreakDays: 3 },
+            { athleteId: 99999, memberName: 'Gone', totalDistanceM: 90000, totalElevationM: 0, totalMovingTimeS: 30000, activityCount: 9, longestStreakDays: 9 }
+          ]
+        })
+      },
+      pbManager: {
+        getMemberPBs: jest.fn().mockResolvedValue([
+          { category: '5K', distance_m: 5000, elapsed_time: 1200, moving_time: 1190, strava_activity_id: '9', activity_date: '2026-09-12' }
+        ])
+      },
+      discordBot: { isGuildMember: jest.fn().mockResolvedValue(true) }
+    };
+    raceManager = {
+      getUpcomingRaces: jest.fn().mockResolvedValue([
+        { id: 1, member_athlete_id: 12345, name: 'Paris Marathon', race_date: '2026-11-08', race_type: 'road', distance: 'Marathon (42.2K)', location: 'Paris', goal_time: '3:30:00' },
+        { id: 2, member_athlete_id: 67890, name: 'Lyon 10K', race_date: '2026-12-06', race_type: 'road', distance: '10K', location: 'Lyon' },
+        { id: 3, member_athlete_id: 99999, name: 'Inactive Race', race_date: '2026-12-07' }
+      ])
+    };
+
+    dashboard = new Dashboard(activityProcessor, raceManager);
+    app = express();
+    app.use('/dashboard', dashboard.router);
+  });
+
+  describe('login', () => {
+    it('is unavailable until Discord OAuth2 is configured', async () => {
+      config.discord.clientId = undefined;
+
+      const response = await request(app).get('/dashboard');
+
+      expect(response.status).toBe(503);
+      expect(response.text).toContain('DISCORD_CLIENT_ID');
+    });
+
+    it('sends visitors without a session to the Discord login', async () => {
+      const response = await request(app).get('/dashboard/races');
+
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe('/dashboard/login?returnTo=%2Fdashboard%2Fraces');
+    });
+
+    it('redirects to Discord with a state kept in a cookie', async () => {
+      const response = await request(app).get('/dashboard/login?returnTo=/dashboard/races');
+
+      const location = new URL(response.headers.location);
+      const cookie = response.headers['set-cookie'][0];
+      expect(location.hostname).toBe('discord.com');
+      expect(cookie).toContain(`srb_oauth_state=${location.searchParams.get('state')}%7C%2Fdashboard%2Fraces`);
+      expect(cookie).toContain('HttpOnly');
+      expect(cookie).toContain('Path=/dashboard');
+    });
+
+    it('ignores return addresses outside the dashboard', async () => {
+      const response = await request(app).get('/dashboard/login?returnTo=https://evil.example.com');
+
+      expect(response.headers['set-cookie'][0]).toContain('%7C%2Fdashboard;');
+    });
+
+    it('logs guild members in and returns them to where they were', async () => {
+      axios.post.mockResolvedValue({ data: { access_token: 'access' } });
+      axios.get.mockResolvedValue({ data: { id: '555', username: 'runner', avatar: null } });
+
+      const response = await request(app)
+        .get('/dashboard/callback?code=code&state=abc')
+        .set('Cookie', 'srb_oauth_state=abc%7C%2Fdashboard%2Fraces');
+
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe('/dashboard/races');
+      expect(activityProcessor.discordBot.isGuildMember).toHaveBeenCalledWith('555');
+      const sessionCookie = response.headers['set-cookie'].find(cookie => cookie.startsWith('srb_session='));
+      expect(new DashboardAuth().readSession(decodeURIComponent(sessionCookie.split(';')[0].slice('srb_session='.length))))
+        .toEqual({ id: '555', name: 'runner', avatar: null });
+    });
+
+    it('refuses a callback whose state does not match', async () => {
+      const response = await request(app)
+        .get('/dashboard/callback?code=code&state=forged')
+        .set('Cookie', 'srb_oauth_state=abc%7C%2Fdashboard');
+
+      expect(response.status).toBe(400);
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    it('refuses users who are not in the Discord server', async () => {
+      axios.post.mockResolvedValue({ data: { access_token: 'access' } });
+      axios.get.mockResolvedValue({ data: { id: '555', username: 'runner', avatar: null } });
+      activityProcessor.discordBot.isGuildMember.mockResolvedValue(false);
+
+      const response = await request(app)
+        .get('/dashboard/callback?code=code&state=abc')
+        .set('Cookie', 'srb_oauth_state=abc%7C%2Fdashboard');
+
+      expect(response.status).toBe(403);
+      expect(response.headers['set-cookie'].some(cookie => cookie.startsWith('srb_session='))).toBe(false);
+    });
+
+    it('reports a failed Discord login', async () => {
+      axios.post.mockRejectedValue(new Error('Request failed'));
+
+      const response = await request(app)
+        .get('/dashboard/callback?code=code&state=abc')
+        .set('Cookie', 'srb_oauth_state=abc%7C%2Fdashboard');
+
+      expect(response.status).toBe(502);
+    });
+
+    it('rechecks guild membership of older sessions', async () => {
+      activityProcessor.discordBot.isGuildMember.mockResolvedValue(false);
+
+      const response = await request(app).get('/dashboard').set('Cookie', session());
+
+      expect(response.status).toBe(403);
+      expect(response.headers['set-cookie'][0]).toMatch(/^srb_session=;/);
+    });
+
+    it('logs out by clearing the session', async () => {
+      const response = await request(app).post('/dashboard/logout').set('Cookie', session());
+
+      expect(response.status).toBe(200);
+      expect(response.headers['set-cookie'][0]).toMatch(/^srb_session=;/);
+    });
+  });
+
+  describe('pages', () => {
+    it('shows the team overview with escaped content', async () => {
+      const response = await request(app).get('/dashboard').set('Cookie', session());
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('text/html');
+      expect(response.headers['cache-control']).toBe('private, no-store');
+      expect(response.headers['content-security-policy']).toContain('default-src \'self\'');
+      expect(response.text).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+      expect(response.text).not.toContain('<script>');
+      expect(response.text).toContain('90.00 km');
+      expect(response.text).not.toContain('Gone');
+      expect(response.text).not.toContain('Inactive Race');
+      expect(databaseManager.getPostedActivities).toHaveBeenCalledWith({ athleteIds: [12345, 67890], limit: 12 });
+    });
+
+    it('follows each member\'s pace and map preferences', async () => {
+      const response = await request(app).get('/dashboard').set('Cookie', session());
+
+      expect(response.text).toContain('/dashboard/activities/1/map.png');
+      expect(response.text).not.toContain('/dashboard/activities/2/map.png');
+      expect(response.text.match(/5:00\/km/g)).toHaveLength(1);
+      expect(response.text).toContain('https://www.strava.com/activities/1');
+    });
+
+    it('shows a member profile with PBs and races', async () => {
+      const response = await request(app).get('/dashboard/members/12345').set('Cookie', session());
+
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('<h1>Test User</h1>');
+      expect(response.text).toContain('20:00');
+      expect(response.text).toContain('12-09-2026');
+      expect(response.text).toContain('Paris Marathon');
+      expect(response.text).not.toContain('Lyon 10K');
+      expect(response.text).not.toContain('3:30:00');
+      expect(response.text).toContain('<th>Pace</th>');
+      expect(response.text).toContain('4:00/km');
+      expect(response.text).toContain('https://www.strava.com/activities/9');
+    });
+
+    it('links only the PBs that come from Strava', async () => {
+      activityProcessor.pbManager.getMemberPBs.mockResolvedValue([
+        { category: '10K', distance_m: 10000, elapsed_time: 2700, moving_time: 2690, strava_activity_id: 'i4242', activity_date: '2026-10-04' }
+      ]);
+
+      const response = await request(app).get('/dashboard/members/12345').set('Cookie', session());
+
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('45:00');
+      expect(response.text).not.toContain('activities/i4242');
+    });
+
+    it('leaves the PB pace out for members who hide their pace', async () => {
+      const response = await request(app).get('/dashboard/members/67890').set('Cookie', session());
+
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('20:00');
+      expect(response.text).not.toContain('<th>Pace</th>');
+      expect(response.text).not.toContain('4:00/km');
+    });
+
+    it('returns 404 for unknown members', async () => {
+      const response = await request(app).get('/dashboard/members/99999').set('Cookie', session());
+
+      expect(response.status).toBe(404);
+    });
+
+    it('groups the race calendar by month', async () => {
+      const response = await request(app).get('/dashboard/races').set('Cookie', session());
+
+      expect(response.text).toContain('<h2>November 2026</h2>');
+      expect(response.text).toContain('<h2>December 2026</h2>');
+      expect(response.text).toContain('/calendar/races.ics');
+    });
+
+    it('shows past monthly leaderboards ranked by the chosen metric', async () => {
+      const response = await request(app).get('/dashboard/leaderboard?year=2025&month=1&metric=count').set('Cookie', session());
+
+      expect(response.status).toBe(200);
+      expect(activityProcessor.leaderboardManager.getMonthlyLeaderboard).toHaveBeenCalledWith(expect.objectContaining({ year: 2025, month: 1 }));
+      expect(response.text).toContain('January 2025 leaderboard');
+      expect(response.text.indexOf('Jane Roe')).toBeLessThan(response.text.indexOf('Test User</a></td>'));
+      expect(response.text).toContain('year=2024&amp;month=12&amp;metric=count');
+      expect(response.text).toContain('year=2025&amp;month=2&amp;metric=count');
+    });
+
+    it('rejects unknown leaderboard months and metrics', async () => {
+      const responses = await Promise.all([
+        request(app).get('/dashboard/leaderboard?month=13').set('Cookie', session()),
+        request(app).get('/dashboard/leaderboard?metric=kudos').set('Cookie', session())
+      ]);
+
+      expect(responses.map(response => response.status)).toEqual([400, 400]);
+    });
+
+    it('renders an error page when a page fails', async () => {
+      activityProcessor.memberManager.getAllMembers.mockRejectedValue(new Error('Database is locked'));
+
+      const response = await request(app).get('/dashboard/races').set('Cookie', session());
+
+      expect(response.status).toBe(500);
+      expect(response.text).toContain('Something went wrong');
+    });
+  });
+
+  describe('route maps', () => {
+    it('renders and caches the map of a posted activity', async () => {
+      MapRenderer.instance.renderRoute.mockResolvedValue(Buffer.from('png'));
+
+      const first = await request(app).get('/dashboard/activities/1/map.png').set('Cookie', session());
+      const second = await request(app).get('/dashboard/activities/1/map.png').set('Cookie', session());
+
+      expect(first.status).toBe(200);
+      expect(first.headers['content-type']).toBe('image/png');
+      expect(first.headers['cache-control']).toBe('private, max-age=3600');
+      expect(second.status).toBe(200);
+      expect(MapRenderer.instance.renderRoute).toHaveBeenCalledTimes(1);
+      expect(MapRenderer.instance.renderRoute).toHaveBeenCalledWith('abc', { poweredByStrava: true, privacyZones: [] });
+    });
+
+    it('has no map for members who hide theirs or activities never posted', async () => {
+      databaseManager.getActivityPost.mockResolvedValueOnce(null);
+      const unposted = await request(app).get('/dashboard/activities/1/map.png').set('Cookie', session());
+      const hidden = await request(app).get('/dashboard/activities/2/map.png').set('Cookie', session());
+
+      expect(unposted.status).toBe(404);
+      expect(hidden.status).toBe(404);
+      expect(MapRenderer.instance.renderRoute).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,133 @@
+jest.mock('../../config/config', () => ({
+  discord: { clientId: 'client-id', clientSecret: 'client-secret' },
+  server: { baseUrl: 'https://bot.example.com' },
+  security: { encryptionKey: 'a'.repeat(64) }
+}));
+
+jest.mock('../../src/utils/Logger', () => ({
+  server: { error: jest.fn() }
+}));
+
+jest.mock('axios');
+
+const axios = require('axios');
+const config = require('../../config/config');
+const DashboardAuth = require('../../src/server/dashboardAuth');
+const { DASHBOARD } = require('../../src/constants');
+
+describe('DashboardAuth', () => {
+  let auth;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    config.discord.clientId = 'client-id';
+    auth = new DashboardAuth();
+  });
+
+  describe('isConfigured', () => {
+    it('needs the Discord OAuth2 credentials', () => {
+      expect(auth.isConfigured()).toBe(true);
+
+      config.discord.clientId = undefined;
+      expect(auth.isConfigured()).toBe(false);
+    });
+  });
+
+  describe('getAuthorizationUrl', () => {
+    it('asks Discord for the identify scope with the dashboard callback', () => {
+      const url = new URL(auth.getAuthorizationUrl('state123'));
+
+      expect(url.origin + url.pathname).toBe('https://discord.com/oauth2/authorize');
+      expect(Object.fromEntries(url.searchParams)).toEqual({
+        client_id: 'client-id',
+        redirect_uri: 'https://bot.example.com/dashboard/callback',
+        response_type: 'code',
+        scope: 'identify',
+        state: 'state123',
+        prompt: 'none'
+      });
+    });
+  });
+
+  describe('fetchUser', () => {
+    it('trades the code for the Discord user', async () => {
+      axios.post.mockResolvedValue({ data: { access_token: 'access' } });
+      axios.get.mockResolvedValue({ data: { id: '555', username: 'runner', global_name: 'Runner', avatar: 'abc' } });
+
+      await expect(auth.fetchUser('code')).resolves.toEqual({
+        id: '555',
+        name: 'Runner',
+        avatar: 'https://cdn.discordapp.com/avatars/555/abc.png?size=64'
+      });
+
+      const [url, body] = axios.post.mock.calls[0];
+      expect(url).toBe('https://discord.com/api/v10/oauth2/token');
+      expect(body.get('code')).toBe('code');
+      expect(body.get('redirect_uri')).toBe('https://bot.example.com/dashboard/callback');
+      expect(axios.get).toHaveBeenCalledWith('https://discord.com/api/v10/users/@me', expect.objectContaining({
+        headers: { Authorization: 'Bearer access' }
+      }));
+    });
+
+    it('falls back to the username without a display name or avatar', async () => {
+      axios.post.mockResolvedValue({ data: { access_token: 'access' } });
+      axios.get.mockResolvedValue({ data: { id: '555', username: 'runner', global_name: null, avatar: null } });
+
+      await expect(auth.fetchUser('code')).resolves.toEqual({ id: '555', name: 'runner', avatar: null });
+    });
+
+    it('throws when Discord refuses the code', async () => {
+      axios.post.mockRejectedValue(Object.assign(new Error('Request failed'), { response: { status: 400, data: { error: 'invalid_grant' } } }));
+
+      await expect(auth.fetchUser('code')).rejects.toThrow('Failed to log in with Discord');
+    });
+  });
+
+  describe('sessions', () => {
+    const user = { id: '555', name: 'Runner', avatar: null };
+
+    it('reads back a session it created', () => {
+      const session = auth.createSession(user, 1000);
+
+      expect(auth.readSession(session, 2000)).toEqual(user);
+    });
+
+    it('rejects expired sessions', () => {
+      const session = auth.createSession(user, 1000);
+
+      expect(auth.readSession(session, 1000 + DASHBOARD.SESSION_TTL_MS)).toBeNull();
+    });
+
+    it('rejects tampered sessions', () => {
+      const [, signature] = auth.createSession(user, 1000).split('.');
+      const forged = Buffer.from(JSON.stringify({ ...user, id: '666', exp: Date.now() + 60000 })).toString('base64url');
+
+      expect(auth.readSession(`${forged}.${signature}`)).toBeNull();
+      expect(auth.readSession('garbage')).toBeNull();
+      expect(auth.readSession(undefined)).toBeNull();
+    });
+  });
+
+  describe('cookieOptions', () => {
+    it('scopes cookies to the dashboard and marks them secure over https', () => {
+      expect(auth.cookieOptions(60000)).toEqual({
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: true,
+        path: '/dashboard',
+        maxAge: 60000
+      });
+    });
+  });
+
+  describe('parseCookies', () => {
+    it('reads a Cookie header', () => {
+      expect(DashboardAuth.parseCookies('a=1; srb_session=x.y; b=%7C; broken=%E0%A4%A')).toEqual({
+        a: '1',
+        srb_session: 'x.y',
+        b: '|'
+      });
+      expect(DashboardAuth.parseCookies(undefined)).toEqual({});
+    });
+  });
+});
@@ -2,6 +2,7 @@ const request = require('supertest');
 const WebhookServer = require('../../src/server/webhook');
 const config = require('../../config/config');
 const logger = require('../../src/utils/Logger');
+const RaceCalendar = require('../../src/utils/RaceCalendar');
 
 // Mock dependencies
 jest.mock('../../config/config', () => ({
@@ -16,6 +17,14 @@ jest.mock('../../config/config', () => ({
   },
   strava: {
     webhookVerifyToken: 'test_webhook_token'
+  },
+  discord: {
+    clientId: 'discord-client-id',
+    clientSecret: 'discord-client-secret',
+    confirmRegistration: false
+  },
+  security: {
+    encryptionKey: 'a'.repeat(64)
   }
 }));
 
@@ -43,6 +52,7 @@ jest.mock('../../src/utils/Logger', () => ({
   },
   member: {
     info: jest.fn(),
+    warn: jest.fn(),
     error: jest.fn()
   }
 }));
@@ -74,6 +84,19 @@ describe('WebhookServer', () => {
     lastname: 'Doe'
   };
 
+  // Admin API bearer tokens the mocked ApiTokenManager accepts
+  const READ_TOKEN = 'srb_11111111_read';
+  const ADMIN_TOKEN = 'srb_22222222_admin';
+  const API_TOKENS = {
+    [READ_TOKEN]: { id: '11111111', scope: 'read', label: 'dashboard' },
+    [ADMIN_TOKEN]: { id: '22222222', scope: 'admin', label: null }
+  };
+  const auth = (token) => ({ Authorization: `Bearer ${token}` });
+
+  // Registration link state the mocked OAuthStateManager accepts, for
+  // Discord user 123456789
+  const REGISTRATION_STATE = 'signed-registration-state';
+
   const mockTokenData = {
     access_token: 'new_access_token',
     refresh_token: 'new_refresh_token',
@@ -126,6 +149,18 @@ describe('WebhookServer', () => {
 
     webhookServer = new WebhookServer(mockActivityProcessor);
     app = webhookServer.app;
+
+    webhookServer.apiTokenManager.authenticate = jest.fn(async (token) => API_TOKENS[token] || null);
+    webhookServer.apiTokenManager.recordCall = jest.fn();
+    webhookServer.apiTokenManager.getAuditLog = jest.fn().mockResolvedValue([]);
+
+    const pendingState = { nonce: 'nonce', discordUserId: '123456789', expiresAt: new Date(Date.now() + 60000) };
+    webhookServer.oauthStateManager.getPendingState = jest.fn(async state => (state === REGISTRATION_STATE ? pendingState : null));
+    webhookServer.oauthStateManager.confirmState = jest.fn(async (state, discordUserId) => (
+      state === REGISTRATION_STATE && discordUserId === '123456789' ? 'confirmation-proof' : null
+    ));
+    webhookServer.oauthStateManager.consumeState = jest.fn(async state => (state === REGISTRATION_STATE ? '123456789' : null));
+    config.discord.confirmRegistration = false;
   });
 
   describe('constructor', () => {
@@ -390,34 +425,126 @@ describe('WebhookServer', () => {
 
   describe('OAuth endpoints', () => {
     describe('Strava auth initiation', () => {
-      it('should redirect to Strava authorization URL', async () => {
-        const userId = '123456789';
+      it('should redirect to Strava authorization URL with the signed state', async () => {
         const expectedUrl = 'https://strava.com/oauth/authorize?test=1';
 
         const response = await request(app)
           .get('/auth/strava')
-          .query({ user_id: userId })
+          .query({ state: REGISTRATION_STATE })
           .expect(302);
 
         expect(response.headers.location).toBe(expectedUrl);
-        expect(mockActivityProcessor.stravaAPI.getAuthorizationUrl).toHaveBeenCalledWith(userId);
+        expect(mockActivityProcessor.stravaAPI.getAuthorizationUrl).toHaveBeenCalledWith(REGISTRATION_STATE);
       });
 
-      it('should reject requests without user_id', async () => {
-        const response = await request(app)
+      it('should reject links without a usable state', async () => {
+        const bareUserId = await request(app)
+          .get('/auth/strava')
+          .query({ user_id: '123456789' })
+          .expect(400);
+        const forged = await request(app)
           .get('/auth/strava')
+          .query({ state: '123456789' })
           .expect(400);
 
-        expect(response.body).toEqual({ error: 'Missing user_id parameter' });
+        expect(bareUserId.text).toContain('This registration link is invalid, has expired or was already used');
+        expect(forged.text).toContain('Run /register in Discord to get a new one');
+        expect(mockActivityProcessor.stravaAPI.getAuthorizationUrl).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('Discord identity confirmation', () => {
+      beforeEach(() => {
+        config.discord.confirmRegistration = true;
+        webhookServer.discordAuth.fetchUser = jest.fn().mockResolvedValue({ id: '123456789', name: 'Test User', avatar: null });
+      });
+
+      it('sends the registering user to a Discord login first', async () => {
+        const response = await request(app)
+          .get('/auth/strava')
+          .query({ state: REGISTRATION_STATE })
+          .expect(302);
+
+        const location = new URL(response.headers.location);
+        expect(location.hostname).toBe('discord.com');
+        expect(location.searchParams.get('state')).toBe(REGISTRATION_STATE);
+        expect(location.searchParams.get('redirect_uri')).toBe('https://test.example.com/auth/discord/callback');
+        expect(mockActivityProcessor.stravaAPI.getAuthorizationUrl).not.toHaveBeenCalled();
+      });
+
+      it('continues to Strava when the link\'s own user logged in', async () => {
+        const response = await request(app)
+          .get('/auth/discord/callback')
+          .query({ code: 'discord_code', state: REGISTRATION_STATE })
+          .expect(302);
+
+        expect(webhookServer.discordAuth.fetchUser).toHaveBeenCalledWith('discord_code', 'https://test.example.com/auth/discord/callback');
+        expect(response.headers.location).toBe('https://strava.com/oauth/authorize?test=1');
+        const cookie = response.headers['set-cookie'][0];
+        expect(cookie).toMatch(/^srb_registration=confirmation-proof;/);
+        expect(cookie).toContain('Path=/auth');
+        expect(cookie).toContain('HttpOnly');
+      });
+
+      it('stops someone else using the link', async () => {
+        webhookServer.discordAuth.fetchUser.mockResolvedValue({ id: '999', name: 'Someone Else', avatar: null });
+
+        const response = await request(app)
+          .get('/auth/discord/callback')
+          .query({ code: 'discord_code', state: REGISTRATION_STATE })
+          .expect(403);
+
+        expect(response.text).toContain('made for another Discord account');
+        expect(response.headers['set-cookie']).toBeUndefined();
+        expect(logger.member.warn).toHaveBeenCalledWith('Registration link used by another Discord account', {
+          discordUserId: '123456789',
+          loggedInAs: '999'
+        });
+      });
+
+      it('needs the confirmation cookie on the Strava callback', async () => {
+        await request(app)
+          .get('/auth/strava/callback')
+          .set('Cookie', 'srb_registration=confirmation-proof')
+          .query({ code: 'auth_code_123', state: REGISTRATION_STATE })
+          .expect(200);
+
+        expect(webhookServer.oauthStateManager.consumeState).toHaveBeenCalledWith(REGISTRATION_STATE, {
+          requireConfirmation: true,
+          confirmation: 'confirmation-proof'
+        });
       });
     });
 
     describe('Strava OAuth callback', () => {
       const validCallbackParams = {
         code: 'auth_code_123',
-        state: '123456789' // Discord user ID
+        state: REGISTRATION_STATE
       };
 
+      it('should refuse a state that is forged, expired or already used', async () => {
+        const response = await request(app)
+          .get('/auth/strava/callback')
+          .query({ code: 'auth_code_123', state: '123456789' })
+          .expect(400);
+
+        expect(response.text).toContain('This registration link is invalid, has expired or was already used');
+        expect(mockActivityProcessor.stravaAPI.exchangeCodeForToken).not.toHaveBeenCalled();
+        expect(mockActivityProcessor.memberManager.registerMember).not.toHaveBeenCalled();
+      });
+
+      it('should use the state up before registering', async () => {
+        await request(app)
+          .get('/auth/strava/callback')
+          .query(validCallbackParams)
+          .expect(200);
+
+        expect(webhookServer.oauthStateManager.consumeState).toHaveBeenCalledWith(REGISTRATION_STATE, {
+          requireConfirmation: false,
+          confirmation: undefined
+        });
+      });
+
       it('should handle successful OAuth callback', async () => {
         const response = await request(app)
           .get('/auth/strava/callback')
@@ -533,11 +660,80 @@ describe('WebhookServer', () => {
     });
   });
 
+  describe('admin API authentication', () => {
+    it('requires a bearer token', async () => {
+      const response = await request(app)
+        .get('/api/admin/members')
+        .expect(401);
+
+      expect(response.body).toEqual({ error: 'Authentication required' });
+      expect(response.headers['www-authenticate']).toBe('Bearer realm="admin-api"');
+      expect(mockActivityProcessor.memberManager.getAllMembers).not.toHaveBeenCalled();
+    });
+
+    it('refuses unknown or revoked tokens', async () => {
+      const response = await request(app)
+        .get('/api/admin/members')
+        .set(auth('srb_33333333_revoked'))
+        .expect(401);
+
+      expect(response.body).toEqual({ error: 'Invalid API token' });
+      expect(response.headers['www-authenticate']).toContain('error="invalid_token"');
+    });
+
+    it('refuses changes with a read-only token', async () => {
+      const response = await request(app)
+        .delete('/api/admin/members/12345')
+        .set(auth(READ_TOKEN))
+        .expect(403);
+
+      expect(response.body).toEqual({ error: 'Insufficient scope', required: 'admin' });
+      expect(mockActivityProcessor.memberManager.removeMember).not.toHaveBeenCalled();
+    });
+
+    it('lets admin tokens read', async () => {
+      await request(app)
+        .get('/api/admin/members')
+        .set(auth(ADMIN_TOKEN))
+        .expect(200);
+    });
+
+    it('audits every call, including refused ones', async () => {
+      await request(app).get('/api/admin/members').expect(401);
+      await request(app).delete('/api/admin/members/12345').set(auth(READ_TOKEN)).expect(403);
+      await request(app).delete('/api/admin/members/12345').set(auth(ADMIN_TOKEN)).expect(200);
+      await request(app).get('/api/admin/nope').set(auth(ADMIN_TOKEN)).expect(404);
+
+      expect(webhookServer.apiTokenManager.recordCall.mock.calls.map(([entry]) => entry)).toEqual([
+        { tokenId: null, scope: null, method: 'GET', path: '/api/admin/members', status: 401, ip: expect.any(String) },
+        { tokenId: '11111111', scope: 'read', method: 'DELETE', path: '/api/admin/members/12345', status: 403, ip: expect.any(String) },
+        { tokenId: '22222222', scope: 'admin', method: 'DELETE', path: '/api/admin/members/12345', status: 200, ip: expect.any(String) },
+        { tokenId: null, scope: null, method: 'GET', path: '/api/admin/nope', status: 404, ip: expect.any(String) }
+      ]);
+    });
+
+    it('passes authentication errors to the error handler', async () => {
+      webhookServer.apiTokenManager.authenticate.mockRejectedValue(new Error('Database locked'));
+
+      await request(app)
+        .get('/api/admin/members')
+        .set(auth(READ_TOKEN))
+        .expect(500);
+    });
+
+    it('no longer serves the unauthenticated member routes', async () => {
+      await request(app).get('/members').expect(404);
+      await request(app).post('/members/12345/delete').expect(404);
+      expect(mockActivityProcessor.memberManager.removeMember).not.toHaveBeenCalled();
+    });
+  });
+
   describe('member management endpoints', () => {
     describe('list members', () => {
       it('should return all members list', async () => {
         const response = await request(app)
-          .get('/members')
+          .get('/api/admin/members')
+          .set(auth(READ_TOKEN))
           .expect(200);
 
         expect(response.body).toEqual({
@@ -556,7 +752,8 @@ describe('WebhookServer', () => {
         mockActivityProcessor.memberManager.getAllMembers.mockRejectedValue(error);
 
         const response = await request(app)
-          .get('/members')
+          .get('/api/admin/members')
+          .set(auth(READ_TOKEN))
           .expect(500);
 
         expect(response.body).toEqual({ error: 'Failed to list members' });
@@ -564,10 +761,41 @@ describe('WebhookServer', () => {
       });
     });
 
+    describe('get member', () => {
+      it('should return one member', async () => {
+        mockActivityProcessor.memberManager.getMemberByAthleteId = jest.fn().mockResolvedValue({ ...mockMember, isActive: true });
+
+        const response = await request(app)
+          .get('/api/admin/members/12345')
+          .set(auth(READ_TOKEN))
+          .expect(200);
+
+        expect(response.body).toEqual({
+          athleteId: 12345,
+          discordUserId: '123456789',
+          name: 'Test User',
+          isActive: true
+        });
+        expect(mockActivityProcessor.memberManager.getMemberByAthleteId).toHaveBeenCalledWith('12345');
+      });
+
+      it('should handle member not found', async () => {
+        mockActivityProcessor.memberManager.getMemberByAthleteId = jest.fn().mockResolvedValue(null);
+
+        const response = await request(app)
+          .get('/api/admin/members/99999')
+          .set(auth(READ_TOKEN))
+          .expect(404);
+
+        expect(response.body).toEqual({ error: 'Member not found' });
+      });
+    });
+
     describe('remove member by athlete ID', () => {
       it('should remove member successfully', async () => {
         const response = await request(app)
-          .post('/members/12345/delete')
+          .delete('/api/admin/members/12345')
+          .set(auth(ADMIN_TOKEN))
           .expect(200);
 
         expect(response.body).toEqual({
@@ -586,7 +814,8 @@ describe('WebhookServer', () => {
         mockActivityProcessor.memberManager.removeMember.mockResolvedValue(null);
 
         const response = await request(app)
-          .post('/members/99999/delete')
+          .delete('/api/admin/members/99999')
+          .set(auth(ADMIN_TOKEN))
           .expect(404);
 
         expect(response.body).toEqual({ error: 'Member not found' });
@@ -597,7 +826,8 @@ describe('WebhookServer', () => {
         mockActivityProcessor.memberManager.removeMember.mockRejectedValue(error);
 
         const response = await request(app)
-          .post('/members/12345/delete')
+          .delete('/api/admin/members/12345')
+          .set(auth(ADMIN_TOKEN))
           .expect(500);
 
         expect(response.body).toEqual({ error: 'Failed to remove member' });
@@ -611,7 +841,8 @@ describe('WebhookServer', () => {
     describe('remove member by Discord ID', () => {
       it('should remove member by Discord ID successfully', async () => {
         const response = await request(app)
-          .post('/members/discord/123456789/delete')
+          .delete('/api/admin/members/discord/123456789')
+          .set(auth(ADMIN_TOKEN))
           .expect(200);
 
         expect(response.body.success).toBe(true);
@@ -622,7 +853,8 @@ describe('WebhookServer', () => {
         mockActivityProcessor.memberManager.removeMemberByDiscordId.mockResolvedValue(null);
 
         const response = await request(app)
-          .post('/members/discord/999999999/delete')
+          .delete('/api/admin/members/discord/999999999')
+          .set(auth(ADMIN_TOKEN))
           .expect(404);
 
         expect(response.body).toEqual({ error: 'Member not found' });
@@ -632,7 +864,9 @@ describe('WebhookServer', () => {
     describe('deactivate member', () => {
       it('should deactivate member successfully', async () => {
         const response = await request(app)
-          .post('/members/12345/deactivate')
+          .patch('/api/admin/members/12345')
+          .set(auth(ADMIN_TOKEN))
+          .send({ isActive: false })
           .expect(200);
 
         expect(response.body).toEqual({
@@ -646,7 +880,9 @@ describe('WebhookServer', () => {
         mockActivityProcessor.memberManager.deactivateMember.mockResolvedValue(false);
 
         const response = await request(app)
-          .post('/members/99999/deactivate')
+          .patch('/api/admin/members/99999')
+          .set(auth(ADMIN_TOKEN))
+          .send({ isActive: false })
           .expect(404);
 
         expect(response.body).toEqual({ error: 'Member not found' });
@@ -657,7 +893,9 @@ describe('WebhookServer', () => {
         mockActivityProcessor.memberManager.deactivateMember.mockRejectedValue(error);
 
         const response = await request(app)
-          .post('/members/12345/deactivate')
+          .patch('/api/admin/members/12345')
+          .set(auth(ADMIN_TOKEN))
+          .send({ isActive: false })
           .expect(500);
 
         expect(response.body).toEqual({ error: 'Failed to deactivate member' });
@@ -667,7 +905,9 @@ describe('WebhookServer', () => {
     describe('reactivate member', () => {
       it('should reactivate member successfully', async () => {
         const response = await request(app)
-          .post('/members/12345/reactivate')
+          .patch('/api/admin/members/12345')
+          .set(auth(ADMIN_TOKEN))
+          .send({ isActive: true })
           .expect(200);
 
         expect(response.body).toEqual({
@@ -681,12 +921,367 @@ describe('WebhookServer', () => {
         mockActivityProcessor.memberManager.reactivateMember.mockResolvedValue(false);
 
         const response = await request(app)
-          .post('/members/99999/reactivate')
+          .patch('/api/admin/members/99999')
+          .set(auth(ADMIN_TOKEN))
+          .send({ isActive: true })
           .expect(404);
 
         expect(response.body).toEqual({ error: 'Member not found' });
       });
     });
+
+    it('should reject a PATCH without an isActive boolean', async () => {
+      const response = await request(app)
+        .patch('/api/admin/members/12345')
+        .set(auth(ADMIN_TOKEN))
+        .send({ isActive: 'no' })
+        .expect(400);
+
+      expect(response.body).toEqual({ error: 'Body must be {"isActive": true|false}' });
+      expect(mockActivityProcessor.memberManager.deactivateMember).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('admin API audit log', () => {
+    it('lists recent calls to admin tokens', async () => {
+      webhookServer.apiTokenManager.getAuditLog.mockResolvedValue([{
+        id: 1, token_id: '22222222', scope: 'admin', method: 'DELETE', path: '/api/admin/members/42',
+        status: 200, ip: '10.0.0.2', created_at: '2026-10-19T12:00:00.000Z'
+      }]);
+
+      const response = await request(app)
+        .get('/api/admin/audit?limit=500&token=22222222')
+        .set(auth(ADMIN_TOKEN))
+        .expect(200);
+
+      expect(webhookServer.apiTokenManager.getAuditLog).toHaveBeenCalledWith({ tokenId: '22222222', limit: 100 });
+      expect(response.body).toEqual({
+        total: 1,
+        entries: [{
+          tokenId: '22222222', scope: 'admin', method: 'DELETE', path: '/api/admin/members/42',
+          status: 200, ip: '10.0.0.2', createdAt: '2026-10-19T12:00:00.000Z'
+        }]
+      });
+    });
+
+    it('is not readable with a read-only token', async () => {
+      await request(app)
+        .get('/api/admin/audit')
+        .set(auth(READ_TOKEN))
+        .expect(403);
+    });
+  });
+
+  describe('race calendar feeds', () => {
+    const races = [
+      { id: 1, member_athlete_id: 12345, name: 'Paris Marathon', race_date: '2099-04-12', race_type: 'road', status: 'registered', location: 'Paris', goal_time: '3:30:00', bib_number: '1234', notes: 'Corral 3' },
+      { id: 2, member_athlete_id: 67890, name: 'Trail du Mont', race_date: '2099-03-01', race_type: 'trail', status: 'registered' },
+      { id: 3, member_athlete_id: 12345, name: 'Old 10K', race_date: '2000-01-01', race_type: 'road', status: 'registered' },
+      { id: 4, member_athlete_id: 11111, name: 'Left the team', race_date: '2099-05-01', race_type: 'road', status: 'registered' }
+    ];
+    const members = {
+      12345: { athleteId: 12345, isActive: true, athlete: { id: 12345, firstname: 'John' }, discordUser: { displayName: 'Test User' } },
+      67890: { athleteId: 67890, isActive: true, athlete: { id: 67890, firstname: 'Jane', lastname: 'Roe' } },
+      11111: { athleteId: 11111, isActive: false, athlete: { id: 11111 } }
+    };
+    let showInApi;
+
+    beforeEach(() => {
+      showInApi = { 12345: true, 67890: true };
+      webhookServer.raceManager.getAllRaces = jest.fn().mockResolvedValue(races);
+      mockActivityProcessor.memberManager.getMemberByAthleteId = jest.fn(async id => members[id]);
+      mockActivityProcessor.memberManager.getAllMembers.mockResolvedValue(Object.values(members).filter(member => member.isActive));
+      mockActivityProcessor.preferencesManager = {
+        getPreferencesForMembers: jest.fn(async ids => new Map(ids.map(id => [id, { showInApi: showInApi[id] }])))
+      };
+    });
+
+    it('serves the upcoming races of active members as iCalendar', async () => {
+      const response = await request(app).get('/calendar/races.ics').expect(200);
+
+      expect(webhookServer.raceManager.getAllRaces).toHaveBeenCalledWith({ status: 'registered' });
+      expect(response.headers['content-type']).toBe('text/calendar; charset=utf-8');
+      expect(response.text).toContain('X-WR-CALNAME:Team races');
+      expect(response.text.match(/SUMMARY:.*/g)).toEqual([
+        'SUMMARY:Trail du Mont — Jane Roe',
+        'SUMMARY:Paris Marathon — Test User'
+      ]);
+      expect(response.text).toContain('Corral 3');
+      expect(response.text).not.toMatch(/3:30:00|1234/);
+    });
+
+    it('leaves members who opted out of the public API out of the team feed', async () => {
+      showInApi[67890] = false;
+
+      const response = await request(app).get('/calendar/races.ics').expect(200);
+
+      expect(response.text.match(/SUMMARY:.*/g)).toEqual(['SUMMARY:Paris Marathon — Test User']);
+      expect(response.text).not.toContain('Jane');
+    });
+
+    it('serves one member\'s races behind their token', async () => {
+      const token = RaceCalendar.memberToken(12345);
+
+      const response = await request(app).get(`/calendar/members/${token}/races.ics`).expect(200);
+
+      expect(response.text).toContain('X-WR-CALNAME:Test User\'s races');
+      expect(response.text.match(/SUMMARY:.*/g)).toEqual(['SUMMARY:Paris Marathon']);
+      expect(response.text).toContain('DESCRIPTION:Road race\\nGoal: 3:30:00\\nBib: 1234\\n\\nCorral 3');
+    });
+
+    it('serves an opted-out member their own feed', async () => {
+      showInApi[12345] = false;
+
+      const response = await request(app).get(`/calendar/members/${RaceCalendar.memberToken(12345)}/races.ics`).expect(200);
+
+      expect(response.text.match(/SUMMARY:.*/g)).toEqual(['SUMMARY:Paris Marathon']);
+    });
+
+    it('returns 404 for an invalid token or an inactive member', async () => {
+      const forged = RaceCalendar.memberToken(12345).replace('12345', '67890');
+
+      await request(app).get(`/calendar/members/${forged}/races.ics`).expect(404);
+      await request(app).get('/calendar/members/12345/races.ics').expect(404);
+      await request(app).get(`/calendar/members/${RaceCalendar.memberToken(11111)}/races.ics`).expect(404);
+    });
+
+    it('returns 500 when races cannot be read', async () => {
+      webhookServer.raceManager.getAllRaces = jest.fn().mockRejectedValue(new Error('db down'));
+
+      const response = await request(app).get('/calendar/races.ics').expect(500);
+
+      expect(response.body).toEqual({ error: 'Failed to build calendar' });
+    });
+  });
+
+  describe('public API', () => {
+    const publicMembers = [
+      { athleteId: 12345, isActive: true, athlete: { id: 12345, firstname: 'John', lastname: 'Doe' }, discordUser: { displayName: 'Test User' } },
+      { athleteId: 67890, isActive: true, athlete: { id: 67890, firstname: 'Jane', lastname: 'Roe' }, discordUser: {} },
+      { athleteId: 55555, isActive: true, athlete: { id: 55555, firstname: 'Opted', lastname: 'Out' }, discordUser: {} }
+    ];
+    const preferences = {
+      12345: { showInApi: true, showHeartRate: true, showPace: true },
+      67890: { showInApi: true, showHeartRate: false, showPace: false },
+      55555: { showInApi: false, showHeartRate: true, showPace: true }
+    };
+    const activityRow = (id, athleteId) => ({
+      strava_activity_id: id,
+      provider: 'strava',
+      member_athlete_id: athleteId,
+      name: 'Morning Run',
+      type: 'Run',
+      sport_type: 'Run',
+      start_date: '2026-10-18T07:00:00Z',
+      start_date_local: '2026-10-18T09:00:00Z',
+      timezone: '(GMT+01:00) Europe/Paris',
+      distance: 10000,
+      moving_time: 3000,
+      elapsed_time: 3100,
+      total_elevation_gain: 42,
+      average_speed: 3.33,
+      max_speed: 4.1,
+      average_heartrate: 150,
+      max_heartrate: 172,
+      map_summary_polyline: 'abc'
+    });
+    let databaseManager;
+
+    beforeEach(() => {
+      databaseManager = {
+        getPostedActivities: jest.fn().mockResolvedValue({
+          total: 3,
+          rows: [activityRow('1', 12345), activityRow('2', 67890)]
+        })
+      };
+      mockActivityProcessor.memberManager.getAllMembers.mockResolvedValue(publicMembers);
+      mockActivityProcessor.memberManager.databaseManager = databaseManager;
+      mockActivityProcessor.preferencesManager = {
+        getPreferencesForMembers: jest.fn(async ids => new Map(ids.map(id => [id, preferences[id]])))
+      };
+      mockActivityProcessor.leaderboardManager = {
+        getMonthlyLeaderboard: jest.fn().mockResolvedValue({
+          year: 2026,
+          month: 10,
+          startDate: '2026-10-01T00:00:00.000Z',
+          endDate: '2026-11-01T00:00:00.000Z',
+          entries: [
+            { athleteId: 55555, memberName: 'Opted Out', totalDistanceM: 90000, totalElevationM: 900, totalMovingTimeS: 30000, activityCount: 9, longestStreakDays: 4 },
+            { athleteId: 12345, memberName: 'Test User', totalDistanceM: 50000, totalElevationM: 100, totalMovingTimeS: 18000, activityCount: 5, longestStreakDays: 2 },
+            { athleteId: 67890, memberName: 'Jane Roe', totalDistanceM: 40000, totalElevationM: 600, totalMovingTimeS: 15000, activityCount: 6, longestStreakDays: 3 }
+          ]
+        })
+      };
+      mockActivityProcessor.pbManager = {
+        getMemberPBs: jest.fn(async id => (id === 67890 ? [] : [
+          { category: '5K', distance_m: 5000, elapsed_time: 1200, moving_time: 1190, strava_activity_id: '9', activity_name: 'Parkrun', activity_date: '2026-09-12' }
+        ]))
+      };
+      webhookServer.raceManager.getUpcomingRaces = jest.fn().mockResolvedValue([
+        { id: 1, member_athlete_id: 67890, name: 'Semi de Lyon', race_date: '2026-11-02', race_type: 'road', distance: 'Half Marathon (21.1K)', distance_km: '21.1', location: 'Lyon', goal_time: '1:45:00', bib_number: '42', notes: 'Corral B' },
+        { id: 2, member_athlete_id: 55555, name: 'Hidden 10K', race_date: '2026-11-09', race_type: 'road', distance: '10K', distance_km: '10', location: null }
+      ]);
+    });
+
+    it('lists posted activities of visible members, with a page and the member\'s privacy applied', async () => {
+      const response = await request(app).get('/api/v1/activities?per_page=2&page=1').expect(200);
+
+      expect(databaseManager.getPostedActivities).toHaveBeenCalledWith({
+        athleteIds: [12345, 67890], types: null, from: null, to: null, limit: 2, offset: 0
+      });
+      expect(response.body).toMatchObject({ page: 1, perPage: 2, total: 3, totalPages: 2 });
+      expect(response.body.activities[0]).toEqual({
+        id: '1',
+        provider: 'strava',
+        athleteId: 12345,
+        memberName: 'Test User',
+        name: 'Morning Run',
+        type: 'Run',
+        sportType: 'Run',
+        startDate: '2026-10-18T07:00:00Z',
+        startDateLocal: '2026-10-18T09:00:00Z',
+        timezone: '(GMT+01:00) Europe/Paris',
+        distanceM: 10000,
+        movingTimeS: 3000,
+        elapsedTimeS: 3100,
+        elevationGainM: 42,
+        averageSpeedMps: 3.33,
+        maxSpeedMps: 4.1,
+        averageHeartrate: 150,
+        maxHeartrate: 172
+      });
+      expect(response.body.activities[1]).toMatchObject({
+        memberName: 'Jane Roe',
+        averageSpeedMps: null,
+        maxSpeedMps: null,
+        averageHeartrate: null,
+        maxHeartrate: null
+      });
+    });
+
+    it('passes the activity filters on', async () => {
+      await request(app)
+        .get('/api/v1/activities?member=67890&type=Run,%20TrailRun&from=2026-10-01&to=2026-10-31&page=3')
+        .expect(200);
+
+      expect(databaseManager.getPostedActivities).toHaveBeenCalledWith({
+        athleteIds: [67890], types: ['Run', 'TrailRun'], from: '2026-10-01', to: '2026-10-31', limit: 20, offset: 40
+      });
+    });
+
+    it('treats an opted-out member like one without activities', async () => {
+      await request(app).get('/api/v1/activities?member=55555').expect(200);
+
+      expect(databaseManager.getPostedActivities).toHaveBeenCalledWith(expect.objectContaining({ athleteIds: [] }));
+    });
+
+    it.each([
+      ['per_page=500', 'per_page must be a whole number between 1 and 100'],
+      ['page=0', 'page must be a whole number between 1'],
+      ['member=abc', 'member must be a whole number'],
+      ['from=2026-02-30', 'from must be a date as YYYY-MM-DD'],
+      ['from=2026-10-31&to=2026-10-01', 'from must not be after to']
+    ])('rejects %s', async (query, message) => {
+      const response = await request(app).get(`/api/v1/activities?${query}`).expect(400);
+
+      expect(response.body.error).toContain(message);
+      expect(databaseManager.getPostedActivities).not.toHaveBeenCalled();
+    });
+
+    it('returns 500 when activities cannot be read', async () => {
+      databaseManager.getPostedActivities.mockRejectedValue(new Error('db down'));
+
+      const response = await request(app).get('/api/v1/activities').expect(500);
+
+      expect(response.body).toEqual({ error: 'Failed to list activities' });
+      expect(logger.server.error).toHaveBeenCalledWith('Failed to list activities', { error: 'db down' });
+    });
+
+    it('sets cache headers and answers a matching If-None-Match with 304', async () => {
+      const first = await request(app).get('/api/v1/activities').expect(200);
+
+      expect(first.headers['cache-control']).toBe('public, max-age=60');
+      expect(first.headers['access-control-allow-origin']).toBe('*');
+      expect(first.headers.etag).toBeDefined();
+
+      await request(app).get('/api/v1/activities').set('If-None-Match', first.headers.etag).expect(304);
+    });
+
+    it('ranks the monthly leaderboard without opted-out members', async () => {
+      const response = await request(app).get('/api/v1/leaderboards/monthly?year=2026&month=10&metric=elevation').expect(200);
+
+      expect(mockActivityProcessor.leaderboardManager.getMonthlyLeaderboard).toHaveBeenCalledWith({
+        year: 2026, month: 10, memberManager: mockActivityProcessor.memberManager
+      });
+      expect(response.body).toMatchObject({ year: 2026, month: 10, metric: 'elevation', startDate: '2026-10-01T00:00:00.000Z' });
+      expect(response.body.entries).toEqual([
+        { rank: 1, athleteId: 67890, memberName: 'Jane Roe', distanceM: 40000, elevationGainM: 600, movingTimeS: 15000, activityCount: 6, longestStreakDays: 3 },
+        { rank: 2, athleteId: 12345, memberName: 'Test User', distanceM: 50000, elevationGainM: 100, movingTimeS: 18000, activityCount: 5, longestStreakDays: 2 }
+      ]);
+    });
+
+    it('rejects an unknown leaderboard metric or month', async () => {
+      const response = await request(app).get('/api/v1/leaderboards/monthly?metric=kudos').expect(400);
+      expect(response.body.error).toBe('metric must be one of: distance, elevation, moving_time, count, streak');
+
+      await request(app).get('/api/v1/leaderboards/monthly?month=13').expect(400);
+    });
+
+    it('lists upcoming races of visible members without private details', async () => {
+      const response = await request(app).get('/api/v1/races/upcoming?days=30').expect(200);
+
+      expect(webhookServer.raceManager.getUpcomingRaces).toHaveBeenCalledWith(30);
+      expect(response.body).toEqual({
+        days: 30,
+        total: 1,
+        races: [{
+          id: 1,
+          athleteId: 67890,
+          memberName: 'Jane Roe',
+          name: 'Semi de Lyon',
+          date: '2026-11-02',
+          type: 'road',
+          distance: 'Half Marathon (21.1K)',
+          distanceKm: 21.1,
+          location: 'Lyon'
+        }]
+      });
+    });
+
+    it('lists the PBs of visible members who have some', async () => {
+      const response = await request(app).get('/api/v1/pbs').expect(200);
+
+      expect(mockActivityProcessor.pbManager.getMemberPBs).toHaveBeenCalledTimes(2);
+      expect(response.body).toEqual({
+        total: 1,
+        members: [{
+          athleteId: 12345,
+          memberName: 'Test User',
+          pbs: [{ category: '5K', distanceM: 5000, elapsedTimeS: 1200, movingTimeS: 1190, averageSpeedMps: 4.17, activityDate: '2026-09-12' }]
+        }]
+      });
+    });
+
+    it('hides the PB speed of a member who hides their pace', async () => {
+      mockActivityProcessor.pbManager.getMemberPBs.mockResolvedValue([
+        { category: '10K', distance_m: 10000, elapsed_time: 2700, moving_time: 2690, strava_activity_id: '10', activity_name: 'Course', activity_date: '2026-10-04' }
+      ]);
+
+      const response = await request(app).get('/api/v1/pbs?member=67890').expect(200);
+
+      expect(response.body.members).toEqual([{
+        athleteId: 67890,
+        memberName: 'Jane Roe',
+        pbs: [{ category: '10K', distanceM: 10000, elapsedTimeS: 2700, movingTimeS: 2690, averageSpeedMps: null, activityDate: '2026-10-04' }]
+      }]);
+    });
+
+    it('returns no PBs for an opted-out member', async () => {
+      const response = await request(app).get('/api/v1/pbs?member=55555').expect(200);
+
+      expect(response.body).toEqual({ total: 0, members: [] });
+      expect(mockActivityProcessor.pbManager.getMemberPBs).not.toHaveBeenCalled();
+    });
   });
 
   describe('404 handler', () => {
@@ -816,7 +1411,7 @@ describe('WebhookServer', () => {
       // 1. User requests registration
       const authResponse = await request(app)
         .get('/auth/strava')
-        .query({ user_id: '123456789' })
+        .query({ state: REGISTRATION_STATE })
         .expect(302);
 
       expect(authResponse.headers.location).toBe('https://strava.com/oauth/authorize?test=1');
@@ -824,14 +1419,15 @@ describe('WebhookServer', () => {
       // 2. OAuth callback completes registration
       const callbackResponse = await request(app)
         .get('/auth/strava/callback')
-        .query({ code: 'auth_code_123', state: '123456789' })
+        .query({ code: 'auth_code_123', state: REGISTRATION_STATE })
         .expect(200);
 
       expect(callbackResponse.text).toContain('Authorization Successful!');
 
       // 3. Verify member is listed
       const membersResponse = await request(app)
-        .get('/members')
+        .get('/api/admin/members')
+        .set(auth(READ_TOKEN))
         .expect(200);
 
       expect(membersResponse.body.total).toBe(1);
@@ -18,7 +18,8 @@ jest.mock('../../config/config', () => ({
   },
   server: {
     baseUrl: 'https://test.example.com'
-  }
+  },
+  splits: { unit: 'km' }
 }));
 jest.mock('../../src/utils/Logger', () => ({
   strava: {
@@ -736,6 +737,56 @@ describe('StravaAPI', () => {
       
       calculateGAPSpy.mockRestore();
     });
+
+    it('should carry the distance/altitude streams for the elevation chart', () => {
+      const mockStreamsData = {
+        distance: { data: [0, 500, 1000] },
+        altitude: { data: [120, 135, 128] },
+      };
+
+      const result = stravaAPI.processActivityData(mockActivity, mockAthlete, mockStreamsData);
+
+      expect(result.elevation_profile).toEqual({ distance: [0, 500, 1000], altitude: [120, 135, 128] });
+    });
+
+    it('should leave elevation_profile null when no altitude stream was returned', () => {
+      const result = stravaAPI.processActivityData(mockActivity, mockAthlete, { distance: { data: [0, 500] } });
+
+      expect(result.elevation_profile).toBeNull();
+    });
+
+    it('should carry the time/heartrate streams for zone breakdown', () => {
+      const mockStreamsData = {
+        time: { data: [0, 5, 10] },
+        heartrate: { data: [130, 142, 151] },
+      };
+
+      const result = stravaAPI.processActivityData(mockActivity, mockAthlete, mockStreamsData);
+
+      expect(result.heartrate_stream).toEqual({ time: [0, 5, 10], heartrate: [130, 142, 151] });
+      expect(stravaAPI.processActivityData(mockActivity, mockAthlete, null).heartrate_stream).toBeNull();
+    });
+
+    it('should normalize splits_metric from the detailed activity', () => {
+      const detailed = {
+        ...mockActivity,
+        splits_metric: [
+          { split: 1, distance: 1001.2, moving_time: 301, elapsed_time: 305, elevation_difference: 3.4, average_heartrate: 148.2 },
+          { split: 2, distance: 498.8, moving_time: 150, elapsed_time: 150, elevation_difference: -1.2 },
+        ],
+      };
+
+      const result = stravaAPI.processActivityData(detailed, mockAthlete);
+
+      expect(result.splits).toEqual({
+        unit: 'km',
+        rows: [
+          { distance: 1001.2, movingTime: 301, elevationDifference: 3.4, averageHeartrate: 148.2 },
+          { distance: 498.8, movingTime: 150, elevationDifference: -1.2, averageHeartrate: null },
+        ],
+      });
+      expect(stravaAPI.processActivityData(mockActivity, mockAthlete).splits).toBeNull();
+    });
   });
 
   describe('validateWebhookSignature', () => {
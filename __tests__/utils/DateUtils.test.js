@@ -256,6 +256,58 @@ describe('DateUtils', () => {
     });
   });
 
+  describe('getLocalDate', () => {
+    it('returns the UTC calendar day by default', () => {
+      const result = DateUtils.getLocalDate(new Date('2026-03-15T23:30:00Z'));
+      expect(result.toISOString()).toBe('2026-03-15T00:00:00.000Z');
+    });
+
+    it('moves to the next day when the timezone is already past midnight', () => {
+      const result = DateUtils.getLocalDate(new Date('2026-03-15T23:30:00Z'), 'Europe/Paris');
+      expect(result.toISOString()).toBe('2026-03-16T00:00:00.000Z');
+    });
+
+    it('moves to the previous day for timezones behind UTC', () => {
+      const result = DateUtils.getLocalDate(new Date('2026-03-16T02:00:00Z'), 'America/New_York');
+      expect(result.toISOString()).toBe('2026-03-15T00:00:00.000Z');
+    });
+  });
+
+  describe('getIsoWeek', () => {
+    it('numbers a mid-year Monday', () => {
+      expect(DateUtils.getIsoWeek(new Date(Date.UTC(2026, 2, 16)))).toEqual({ year: 2026, week: 12 });
+    });
+
+    it('keeps Sunday in the same week as the preceding Monday', () => {
+      expect(DateUtils.getIsoWeek(new Date(Date.UTC(2026, 2, 22)))).toEqual({ year: 2026, week: 12 });
+    });
+
+    it('assigns early January days to the previous ISO year when needed', () => {
+      // 2027-01-01 is a Friday — still week 53 of 2026
+      expect(DateUtils.getIsoWeek(new Date(Date.UTC(2027, 0, 1)))).toEqual({ year: 2026, week: 53 });
+    });
+
+    it('assigns late December days to the next ISO year when needed', () => {
+      // 2025-12-29 is a Monday — week 1 of 2026
+      expect(DateUtils.getIsoWeek(new Date(Date.UTC(2025, 11, 29)))).toEqual({ year: 2026, week: 1 });
+    });
+  });
+
+  describe('getIsoWeekStart', () => {
+    it('returns the Monday of the week', () => {
+      expect(DateUtils.getIsoWeekStart(2026, 12).toISOString()).toBe('2026-03-16T00:00:00.000Z');
+    });
+
+    it('can fall in the previous calendar year for week 1', () => {
+      expect(DateUtils.getIsoWeekStart(2026, 1).toISOString()).toBe('2025-12-29T00:00:00.000Z');
+    });
+
+    it('round-trips with getIsoWeek', () => {
+      const start = DateUtils.getIsoWeekStart(2026, 53);
+      expect(DateUtils.getIsoWeek(start)).toEqual({ year: 2026, week: 53 });
+    });
+  });
+
   describe('edge cases and integration', () => {
     it('should handle complete date workflow', () => {
       // Parse, format, and convert
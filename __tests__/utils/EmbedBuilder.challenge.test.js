@@ -0,0 +1,112 @@
+// EmbedBuilder.js requires the config module which calls process.exit when env
+// vars are missing. Mock it so the test runs cleanly in CI.
+jest.mock('../../config/config', () => ({
+  server: { baseUrl: 'https://test.example.com' },
+}));
+
+const ActivityEmbedBuilder = require('../../src/utils/EmbedBuilder');
+
+describe('ActivityEmbedBuilder challenge embeds', () => {
+  const challenge = {
+    id: 7,
+    name: '500 km in March',
+    description: 'One big month together',
+    metric: 'distance',
+    scope: 'team',
+    target_value: 500000,
+    start_date: '2026-03-01',
+    end_date: '2026-03-31',
+    status: 'active',
+  };
+
+  const progress = {
+    challenge,
+    target: 500000,
+    total: 262500,
+    percent: 52.5,
+    entries: [
+      { athleteId: 2, memberName: 'Bob', value: 150000, completed: false },
+      { athleteId: 1, memberName: 'Alice', value: 112500, completed: false },
+    ],
+  };
+
+  describe('formatChallengeGoal', () => {
+    it('describes team and individual targets', () => {
+      expect(ActivityEmbedBuilder.formatChallengeGoal(challenge)).toBe('**500.00 km** as a team');
+      expect(ActivityEmbedBuilder.formatChallengeGoal({ ...challenge, metric: 'count', scope: 'individual', target_value: 3 }))
+        .toBe('**3 runs** each');
+    });
+  });
+
+  describe('buildChallengeStatusEmbed', () => {
+    it('shows the description, progress bar, dates and participants', () => {
+      const json = ActivityEmbedBuilder.buildChallengeStatusEmbed(progress).toJSON();
+
+      expect(json.title).toBe('🎯 500 km in March');
+      expect(json.description).toBe('One big month together\n\n262.50 km done so far\n▓▓▓▓▓░░░░░ 52%');
+      expect(json.fields[0]).toMatchObject({ name: '📅 Dates', value: '01-03-2026 → 31-03-2026' });
+      expect(json.fields[1].value).toBe('**500.00 km** as a team');
+      expect(json.fields[2].name).toBe('👥 Participants (2)');
+      expect(json.fields[2].value).toBe('🥇 Bob — 150.00 km\n🥈 Alice — 112.50 km');
+      expect(json.footer.text).toBe('Challenge #7 · active');
+    });
+
+    it('caps the bar at 100% and ticks runners done in individual challenges', () => {
+      const individual = { ...challenge, description: null, metric: 'count', scope: 'individual', target_value: 3 };
+      const json = ActivityEmbedBuilder.buildChallengeStatusEmbed({
+        challenge: individual,
+        target: 3,
+        total: 8,
+        percent: 100,
+        entries: [
+          { athleteId: 1, memberName: 'Alice', value: 5, completed: true },
+          { athleteId: 2, memberName: 'Bob', value: 3, completed: true },
+        ],
+      }).toJSON();
+
+      expect(json.description).toBe('2 of 2 runners have reached the goal\n▓▓▓▓▓▓▓▓▓▓ 100%');
+      expect(json.fields[2].value).toBe('🥇 Alice — 5 runs ✅\n🥈 Bob — 3 runs ✅');
+    });
+
+    it('invites members to join when nobody has', () => {
+      const json = ActivityEmbedBuilder.buildChallengeStatusEmbed({ ...progress, total: 0, percent: 0, entries: [] }).toJSON();
+
+      expect(json.fields[2].value).toContain('/challenge join challenge_id:7');
+    });
+  });
+
+  describe('buildChallengeEventEmbed', () => {
+    it('announces a milestone', () => {
+      const json = ActivityEmbedBuilder.buildChallengeEventEmbed({ type: 'milestone', milestone: 50, progress }).toJSON();
+
+      expect(json.title).toBe('🎯 500 km in March — 50% there!');
+      expect(json.description).toContain('262.50 km done so far');
+      expect(json.footer.text).toContain('/challenge status challenge_id:7');
+    });
+
+    it('announces a runner finishing an individual challenge', () => {
+      const individual = { ...challenge, metric: 'count', scope: 'individual', target_value: 3 };
+      const entry = { athleteId: 1, memberName: 'Alice', value: 3, completed: true };
+      const json = ActivityEmbedBuilder.buildChallengeEventEmbed({
+        type: 'participant_completed',
+        entry,
+        progress: { challenge: individual, target: 3, total: 4, percent: 50, entries: [entry, { ...entry, memberName: 'Bob', value: 1, completed: false }] },
+      }).toJSON();
+
+      expect(json.title).toBe('✅ Alice completed 500 km in March');
+      expect(json.description).toContain('**3 runs** done — goal was **3 runs** each.');
+      expect(json.description).toContain('1 of 2 runners have reached the goal');
+    });
+
+    it('announces completion with the top contributors', () => {
+      const json = ActivityEmbedBuilder.buildChallengeEventEmbed({
+        type: 'completed',
+        progress: { ...progress, total: 512000, percent: 102.4 },
+      }).toJSON();
+
+      expect(json.title).toBe('🎉 Challenge complete: 500 km in March');
+      expect(json.description).toContain('Goal of **500.00 km** as a team reached with **512.00 km**');
+      expect(json.fields[0]).toMatchObject({ name: '🏅 Top contributors', value: '🥇 Bob — 150.00 km\n🥈 Alice — 112.50 km' });
+    });
+  });
+});
@@ -0,0 +1,45 @@
+// EmbedBuilder.js requires the config module which calls process.exit when env
+// vars are missing. Mock it so the test runs cleanly in CI.
+jest.mock('../../config/config', () => ({
+  server: { baseUrl: 'https://test.example.com' },
+}));
+
+const ActivityEmbedBuilder = require('../../src/utils/EmbedBuilder');
+
+describe('ActivityEmbedBuilder club record embed', () => {
+  const holder = {
+    athleteId: 1, memberName: 'Alice', discordUserId: '555', elapsedTime: 1150,
+    activityId: '100', activityName: 'Parkrun PB!', activityDate: '2026-03-01',
+  };
+
+  it('names the runner, the divisions and the records beaten', () => {
+    const json = ActivityEmbedBuilder.buildClubRecordEmbed({
+      category: '5K',
+      holder,
+      broken: [
+        { division: 'Club', previous: { athleteId: 2, memberName: 'Bob', elapsedTime: 1160, activityId: '200', activityDate: '2025-06-01' } },
+        { division: 'Women 35-44', previous: { athleteId: 1, memberName: 'Alice', elapsedTime: 1170, activityId: 'i90', activityDate: '2025-10-01' } },
+      ],
+    }).toJSON();
+
+    expect(json.title).toBe('🏛️ New 5K club record!');
+    expect(json.description).toBe('<@555> ran **19:10**, the fastest 5K on record (club, Women 35-44).\n*Parkrun PB!*');
+    expect(json.fields[0]).toEqual({
+      name: 'Previous record',
+      value: '**Club** — 19:20 · Bob · Jun 1, 2025 · [↗](https://www.strava.com/activities/200)\n' +
+        '**Women 35-44** — 19:30 · Alice · Oct 1, 2025 (own record)',
+      inline: false,
+    });
+    expect(json.footer.text).toBe('All club records: /pb records');
+  });
+
+  it('falls back to the member name without a Discord user', () => {
+    const json = ActivityEmbedBuilder.buildClubRecordEmbed({
+      category: 'Marathon',
+      holder: { ...holder, discordUserId: null, activityName: null, elapsedTime: 11400 },
+      broken: [{ division: 'Women', previous: { athleteId: 3, memberName: 'Caz', elapsedTime: 11500, activityId: '300', activityDate: '2024-04-14' } }],
+    }).toJSON();
+
+    expect(json.description).toBe('**Alice** ran **3:10:00**, the fastest Marathon on record (Women).');
+  });
+});
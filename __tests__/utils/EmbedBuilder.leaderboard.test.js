@@ -60,6 +60,24 @@ describe('ActivityEmbedBuilder.buildMonthlyLeaderboardEmbed', () => {
     expect(all).toMatch(/no .* (run|activit)/i);
   });
 
+  it('adds the most kudos\'d run and most supportive teammate', () => {
+    const json = ActivityEmbedBuilder.buildMonthlyLeaderboardEmbed({
+      year: 2026,
+      month: 3,
+      entries: [{ athleteId: 1, memberName: 'Alice', totalDistanceM: 21100, activityCount: 1 }],
+    }, {
+      kudos: {
+        activities: [{ name: 'Long Run', distance: 21100, kudosCount: 5, memberName: 'Alice', messageUrl: 'https://discord.com/channels/g/c/m' }],
+        supporters: [{ discordUserId: '42', activityCount: 9 }],
+      },
+    }).toJSON();
+
+    expect(json.fields).toEqual([
+      { name: '👏 Most Kudos\'d Run', value: '[Long Run](https://discord.com/channels/g/c/m) — Alice · 21.10 km · **5** kudos', inline: false },
+      { name: '🤝 Most Supportive Teammate', value: '<@42> — cheered on **9** activities', inline: false },
+    ]);
+  });
+
   it('formats the month name for December correctly', () => {
     const embed = ActivityEmbedBuilder.buildMonthlyLeaderboardEmbed({
       year: 2025,
@@ -69,3 +87,107 @@ describe('ActivityEmbedBuilder.buildMonthlyLeaderboardEmbed', () => {
     expect(embed.toJSON().description).toContain('December 2025');
   });
 });
+
+describe('ActivityEmbedBuilder.buildWeeklyLeaderboardEmbed', () => {
+  it('labels the ISO week with its Monday–Sunday range', () => {
+    const embed = ActivityEmbedBuilder.buildWeeklyLeaderboardEmbed({
+      year: 2026,
+      week: 12,
+      startDate: '2026-03-16T00:00:00.000Z',
+      endDate: '2026-03-23T00:00:00.000Z',
+      entries: [
+        { athleteId: 1, memberName: 'Alice', totalDistanceM: 42195, activityCount: 4 },
+      ],
+    });
+
+    const json = embed.toJSON();
+    expect(json.title).toMatch(/Weekly Running Leaderboard/i);
+    expect(json.description).toContain('week 12 of 2026');
+    expect(json.description).toContain('Mar 16 – Mar 22');
+    expect(json.description).toContain('Alice');
+    expect(json.description).toContain('42.20');
+    expect(json.footer.text).toContain('1 runner');
+  });
+
+  it('renders an empty-state message when there are no entries', () => {
+    const embed = ActivityEmbedBuilder.buildWeeklyLeaderboardEmbed({
+      year: 2026,
+      week: 1,
+      startDate: '2025-12-29T00:00:00.000Z',
+      endDate: '2026-01-05T00:00:00.000Z',
+      entries: [],
+    });
+    const json = embed.toJSON();
+    expect(json.description).toContain('Dec 29 – Jan 4');
+    expect(json.description).toMatch(/no .* (run|activit)/i);
+  });
+});
+
+describe('ActivityEmbedBuilder leaderboard metrics', () => {
+  const entries = [
+    { athleteId: 2, memberName: 'Bob', totalDistanceM: 30000, totalElevationM: 1523.4, totalMovingTimeS: 11700, activityCount: 6, longestStreakDays: 5 },
+    { athleteId: 1, memberName: 'Alice', totalDistanceM: 50000, totalElevationM: 320, totalMovingTimeS: 2700, activityCount: 1, longestStreakDays: 1 },
+  ];
+
+  it('ranks by elevation with a metric-specific title, heading and footer total', () => {
+    const json = ActivityEmbedBuilder.buildMonthlyLeaderboardEmbed(
+      { year: 2026, month: 3, entries },
+      { metric: 'elevation' }
+    ).toJSON();
+
+    expect(json.title).toContain('Elevation gain');
+    expect(json.description).toContain('Total elevation climbed in **March 2026**');
+    expect(json.description).toContain('🥇 Bob — **1,523 m** · 6 runs');
+    expect(json.description).toContain('🥈 Alice — **320 m** · 1 run');
+    expect(json.footer.text).toBe('2 runners · 1,843 m total');
+  });
+
+  it('formats moving time as hours and minutes', () => {
+    const json = ActivityEmbedBuilder.buildMonthlyLeaderboardEmbed(
+      { year: 2026, month: 3, entries },
+      { metric: 'moving_time' }
+    ).toJSON();
+
+    expect(json.description).toContain('**3h 15m**');
+    expect(json.description).toContain('**45m**');
+  });
+
+  it('shows distance as context when ranking by run count', () => {
+    const json = ActivityEmbedBuilder.buildMonthlyLeaderboardEmbed(
+      { year: 2026, month: 3, entries },
+      { metric: 'count' }
+    ).toJSON();
+
+    expect(json.description).toContain('🥇 Bob — **6 runs** · 30.00 km');
+    expect(json.footer.text).toBe('2 runners · 7 runs total');
+  });
+
+  it('gives streaks no team total', () => {
+    const json = ActivityEmbedBuilder.buildWeeklyLeaderboardEmbed(
+      { year: 2026, week: 12, startDate: '2026-03-16T00:00:00.000Z', endDate: '2026-03-23T00:00:00.000Z', entries },
+      { metric: 'streak' }
+    ).toJSON();
+
+    expect(json.title).toContain('Longest streak');
+    expect(json.description).toContain('**5 days**');
+    expect(json.description).toContain('**1 day**');
+    expect(json.footer.text).toBe('2 runners');
+  });
+
+  it('renders per-metric podium sections as fields and skips empty ones', () => {
+    const json = ActivityEmbedBuilder.buildMonthlyLeaderboardEmbed(
+      { year: 2026, month: 3, entries },
+      {
+        sections: [
+          { metric: 'elevation', entries },
+          { metric: 'streak', entries: [] },
+        ],
+      }
+    ).toJSON();
+
+    expect(json.title).toBe('🏆 Monthly Running Leaderboard');
+    expect(json.fields).toHaveLength(1);
+    expect(json.fields[0].name).toContain('Elevation gain');
+    expect(json.fields[0].value).toBe('🥇 Bob — 1,523 m\n🥈 Alice — 320 m');
+  });
+});
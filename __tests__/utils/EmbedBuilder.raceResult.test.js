@@ -0,0 +1,45 @@
+// EmbedBuilder.js requires the config module which calls process.exit when env
+// vars are missing. Mock it so the test runs cleanly in CI.
+jest.mock('../../config/config', () => ({
+  server: { baseUrl: 'https://test.example.com' },
+}));
+
+const ActivityEmbedBuilder = require('../../src/utils/EmbedBuilder');
+
+describe('ActivityEmbedBuilder race result embed', () => {
+  const race = { id: 7, name: 'Paris Marathon', distance: '42.2km', location: 'Paris' };
+
+  it('shows the finish time against the goal', () => {
+    const json = ActivityEmbedBuilder.buildRaceResultEmbed({
+      race,
+      finishTime: 12494,
+      goalTime: 12600,
+      runner: { discordUserId: '555', name: 'Alice' },
+      activityUrl: 'https://www.strava.com/activities/98765',
+    }).toJSON();
+
+    expect(json.title).toBe('🏁 Paris Marathon');
+    expect(json.url).toBe('https://www.strava.com/activities/98765');
+    expect(json.description).toBe('<@555> finished in **3:28:14**! Congratulations 🎉');
+    expect(json.fields).toEqual([
+      { name: 'Goal', value: '🎯 Goal 3:30:00 beaten by 1:46', inline: false },
+      { name: '📏 Distance', value: '42.2km', inline: true },
+      { name: '📍 Location', value: 'Paris', inline: true },
+    ]);
+    expect(json.footer.text).toBe('Race #7 · result linked from the activity');
+  });
+
+  it('falls back to the member name and leaves out missing details', () => {
+    const json = ActivityEmbedBuilder.buildRaceResultEmbed({
+      race: { id: 8, name: 'Club 10K' },
+      finishTime: 2700,
+      goalTime: null,
+      runner: { discordUserId: null, name: 'Bob' },
+      activityUrl: null,
+    }).toJSON();
+
+    expect(json.description).toBe('**Bob** finished in **45:00**! Congratulations 🎉');
+    expect(json.url).toBeUndefined();
+    expect(json.fields).toBeUndefined();
+  });
+});
@@ -3,6 +3,7 @@ const config = require('../../config/config');
 const ActivityEmbedBuilder = require('../../src/utils/EmbedBuilder');
 const ActivityFormatter = require('../../src/utils/ActivityFormatter');
 const MapRenderer = require('../../src/maps/MapRenderer');
+const ElevationProfileRenderer = require('../../src/maps/ElevationProfileRenderer');
 
 
 jest.mock('../../config/config', () => ({
@@ -42,6 +43,11 @@ jest.mock('../../src/maps/MapRenderer', () => ({
     renderRoute: jest.fn()
   }
 }));
+jest.mock('../../src/maps/ElevationProfileRenderer', () => ({
+  instance: {
+    renderProfile: jest.fn()
+  }
+}));
 
 describe('ActivityEmbedBuilder', () => {
   beforeEach(() => {
@@ -55,6 +61,7 @@ describe('ActivityEmbedBuilder', () => {
     ActivityFormatter.formatTime.mockReturnValue('30:00');
     ActivityFormatter.formatPace.mockReturnValue('6:00/km');
     MapRenderer.instance.renderRoute.mockReset();
+    ElevationProfileRenderer.instance.renderProfile.mockReset();
   });
 
   describe('createActivityEmbed', () => {
@@ -218,6 +225,16 @@ describe('ActivityEmbedBuilder', () => {
       }
     });
 
+    it('should skip the pace and speed fields when the member hides pace', () => {
+      ActivityEmbedBuilder.createActivityEmbed({ ...mockActivity, hidePace: true });
+
+      expect(ActivityFormatter.formatPace).not.toHaveBeenCalled();
+      expect(ActivityFormatter.formatSpeed).not.toHaveBeenCalled();
+      expect(mockEmbedBuilder.addFields).not.toHaveBeenCalledWith([
+        expect.objectContaining({ name: '🏃 Pace' })
+      ]);
+    });
+
     it('should add optional elevation field when present', () => {
       // Create activity with only elevation data
       const activityWithElevation = {
@@ -442,7 +459,7 @@ describe('ActivityEmbedBuilder', () => {
 
       const payload = await ActivityEmbedBuilder.createActivityMessage(mockActivity, { type: 'posted' });
 
-      expect(MapRenderer.instance.renderRoute).toHaveBeenCalledWith('encoded_polyline_data', { poweredByStrava: true });
+      expect(MapRenderer.instance.renderRoute).toHaveBeenCalledWith('encoded_polyline_data', { poweredByStrava: true, privacyZones: [] });
       expect(AttachmentBuilder).toHaveBeenCalledWith(buffer, { name: 'route.png' });
       expect(mockEmbedBuilder.setImage).toHaveBeenCalledWith('attachment://route.png');
       expect(payload.embeds).toEqual([mockEmbedBuilder]);
@@ -457,7 +474,7 @@ describe('ActivityEmbedBuilder', () => {
 
       expect(MapRenderer.instance.renderRoute).toHaveBeenCalledWith(
         'encoded_polyline_data',
-        { poweredByStrava: true }
+        { poweredByStrava: true, privacyZones: [] }
       );
     });
 
@@ -468,7 +485,19 @@ describe('ActivityEmbedBuilder', () => {
 
       expect(MapRenderer.instance.renderRoute).toHaveBeenCalledWith(
         'encoded_polyline_data',
-        { poweredByStrava: false }
+        { poweredByStrava: false, privacyZones: [] }
+      );
+    });
+
+    it('passes the member\'s privacy zones through to the renderer', async () => {
+      MapRenderer.instance.renderRoute.mockResolvedValue(Buffer.from('png'));
+      const privacyZones = [{ lat: 48.8566, lon: 2.3522, radius: 300 }];
+
+      await ActivityEmbedBuilder.createActivityMessage({ ...mockActivity, privacyZones });
+
+      expect(MapRenderer.instance.renderRoute).toHaveBeenCalledWith(
+        'encoded_polyline_data',
+        expect.objectContaining({ privacyZones })
       );
     });
 
@@ -508,6 +537,52 @@ describe('ActivityEmbedBuilder', () => {
       expect(mockEmbedBuilder.setImage).not.toHaveBeenCalled();
       expect(payload.files).toEqual([]);
     });
+
+    describe('elevation profile', () => {
+      const elevation_profile = { distance: [0, 2500, 5000], altitude: [200, 320, 210] };
+      const trailRun = { ...mockActivity, total_elevation_gain: 140, elevation_profile };
+
+      it('renders the profile with the activity\'s climb', async () => {
+        MapRenderer.instance.renderRoute.mockResolvedValue(null);
+
+        await ActivityEmbedBuilder.createActivityMessage(trailRun);
+
+        expect(ElevationProfileRenderer.instance.renderProfile).toHaveBeenCalledWith(elevation_profile, { elevationGain: 140 });
+      });
+
+      it('puts the profile in a second embed under the route map', async () => {
+        MapRenderer.instance.renderRoute.mockResolvedValue(Buffer.from('map'));
+        ElevationProfileRenderer.instance.renderProfile.mockResolvedValue(Buffer.from('chart'));
+
+        const payload = await ActivityEmbedBuilder.createActivityMessage(trailRun);
+
+        expect(payload.files.map(file => file.name)).toEqual(['route.png', 'elevation.png']);
+        expect(payload.embeds).toHaveLength(2);
+        expect(mockEmbedBuilder.setImage).toHaveBeenCalledWith('attachment://route.png');
+        expect(mockEmbedBuilder.setImage).toHaveBeenLastCalledWith('attachment://elevation.png');
+      });
+
+      it('uses the main embed image when there is no map', async () => {
+        ElevationProfileRenderer.instance.renderProfile.mockResolvedValue(Buffer.from('chart'));
+
+        const payload = await ActivityEmbedBuilder.createActivityMessage({ ...trailRun, map: null });
+
+        expect(payload.embeds).toHaveLength(1);
+        expect(payload.files).toEqual([{ buffer: Buffer.from('chart'), name: 'elevation.png' }]);
+        expect(mockEmbedBuilder.setImage).toHaveBeenCalledWith('attachment://elevation.png');
+      });
+
+      it('skips the chart when the activity has no altitude data or the renderer fails', async () => {
+        MapRenderer.instance.renderRoute.mockResolvedValue(null);
+
+        await ActivityEmbedBuilder.createActivityMessage(mockActivity);
+        expect(ElevationProfileRenderer.instance.renderProfile).not.toHaveBeenCalled();
+
+        ElevationProfileRenderer.instance.renderProfile.mockRejectedValue(new Error('sharp blew up'));
+        const payload = await ActivityEmbedBuilder.createActivityMessage(trailRun);
+        expect(payload.files).toEqual([]);
+      });
+    });
   });
 
   describe('private methods behavior through createActivityEmbed', () => {
@@ -573,5 +648,63 @@ describe('ActivityEmbedBuilder', () => {
         { name: '⛰️ Elevation Gain', value: '300m', inline: true }
       ]);
     });
+
+    it('adds a heart-rate zone bar when the member set their zones', () => {
+      ActivityEmbedBuilder.createActivityEmbed({
+        ...mockActivity,
+        total_elevation_gain: 0,
+        average_heartrate: 150,
+        heartrate_stream: { time: [0, 10, 20, 30, 40], heartrate: [120, 150, 150, 180, 180] },
+        heartRateZones: { maxHeartRate: 190, thresholdHeartRate: null },
+      });
+
+      expect(mockEmbedBuilder.addFields).toHaveBeenLastCalledWith([{
+        name: '💓 Heart Rate Zones',
+        value: '🟩🟩🟩🟨🟨🟨🟨🟨🟥🟥\nZ2 25% · Z3 50% · Z5 25%',
+        inline: false,
+      }]);
+    });
+
+    it('adds the splits table for short activities, without pace when it is hidden', () => {
+      const splits = { unit: 'km', rows: [{ distance: 1000, movingTime: 300, elevationDifference: 5, averageHeartrate: null }] };
+
+      ActivityEmbedBuilder.createActivityEmbed({ ...mockActivity, splits, hidePace: true });
+
+      expect(mockEmbedBuilder.addFields).toHaveBeenCalledWith([{
+        name: '⏱️ Splits',
+        value: '```\n   km  Elev\n    1    +5\n```',
+        inline: false,
+      }]);
+    });
+
+    it('lists PBs an edited activity still holds without an improvement', () => {
+      ActivityEmbedBuilder.createActivityEmbed({
+        ...mockActivity,
+        pbResults: [{ isNewPB: true, held: true, category: '5K', previousPB: null, newPB: { elapsedTime: 1180 } }],
+      });
+
+      expect(mockEmbedBuilder.addFields).toHaveBeenCalledWith([{
+        name: '🏆 Personal Best',
+        value: '**5K** — 30:00',
+        inline: false,
+      }]);
+    });
+
+    it('leaves long splits tables to the thread', () => {
+      const row = { distance: 1000, movingTime: 300, elevationDifference: 5, averageHeartrate: null };
+
+      ActivityEmbedBuilder.createActivityEmbed({ ...mockActivity, splits: { unit: 'km', rows: Array(11).fill(row) } });
+
+      expect(mockEmbedBuilder.addFields).not.toHaveBeenCalledWith([expect.objectContaining({ name: '⏱️ Splits' })]);
+    });
+
+    it('leaves the zone bar out without zone settings', () => {
+      ActivityEmbedBuilder.createActivityEmbed({
+        ...mockActivity,
+        heartrate_stream: { time: [0, 10], heartrate: [150, 150] },
+      });
+
+      expect(mockEmbedBuilder.addFields).not.toHaveBeenCalledWith([expect.objectContaining({ name: '💓 Heart Rate Zones' })]);
+    });
   });
 });
\ No newline at end of file
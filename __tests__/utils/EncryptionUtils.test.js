@@ -354,4 +354,31 @@ describe('EncryptionUtils', () => {
       expect(decrypted).toEqual(tokenData);
     });
   });
+
+  describe('sign / verifySignature', () => {
+    it('signs with HMAC-SHA256 and verifies the signature or a prefix of it', () => {
+      const signature = EncryptionUtils.sign('calendar:42');
+
+      expect(signature).toMatch(/^[0-9a-f]{64}$/);
+      expect(EncryptionUtils.sign('calendar:42')).toBe(signature);
+      expect(EncryptionUtils.verifySignature('calendar:42', signature)).toBe(true);
+      expect(EncryptionUtils.verifySignature('calendar:42', signature.slice(0, 32).toUpperCase())).toBe(true);
+    });
+
+    it('rejects other values, short or malformed signatures', () => {
+      const signature = EncryptionUtils.sign('calendar:42');
+
+      expect(EncryptionUtils.verifySignature('calendar:43', signature)).toBe(false);
+      expect(EncryptionUtils.verifySignature('calendar:42', signature.slice(0, 8))).toBe(false);
+      expect(EncryptionUtils.verifySignature('calendar:42', `${signature.slice(0, 31)}é`)).toBe(false);
+      expect(EncryptionUtils.verifySignature('calendar:42', null)).toBe(false);
+    });
+
+    it('returns null / false without an encryption key', () => {
+      config.security.encryptionKey = null;
+
+      expect(EncryptionUtils.sign('calendar:42')).toBeNull();
+      expect(EncryptionUtils.verifySignature('calendar:42', 'a'.repeat(64))).toBe(false);
+    });
+  });
 });
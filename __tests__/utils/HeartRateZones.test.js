@@ -0,0 +1,52 @@
+const HeartRateZones = require('../../src/utils/HeartRateZones');
+
+describe('HeartRateZones', () => {
+  describe('zoneBounds', () => {
+    it('prefers the threshold heart rate', () => {
+      expect(HeartRateZones.zoneBounds({ maxHeartRate: 190, thresholdHeartRate: 170 })).toEqual([145, 153, 162, 170]);
+    });
+
+    it('falls back to max heart rate, or null without either', () => {
+      expect(HeartRateZones.zoneBounds({ maxHeartRate: 190, thresholdHeartRate: null })).toEqual([114, 133, 152, 171]);
+      expect(HeartRateZones.zoneBounds({})).toBeNull();
+    });
+  });
+
+  describe('timeInZones', () => {
+    const threshold = { thresholdHeartRate: 170 };
+
+    it('credits each sample with the time until the next one', () => {
+      const stream = { time: [0, 10, 20, 30, 40], heartrate: [130, 150, 165, 175, 175] };
+
+      expect(HeartRateZones.timeInZones(stream, threshold)).toEqual([10, 10, 0, 10, 10]);
+    });
+
+    it('skips dropouts and pauses', () => {
+      const stream = { time: [0, 10, 20, 600, 610], heartrate: [150, 0, 150, 150, 150] };
+
+      expect(HeartRateZones.timeInZones(stream, threshold)).toEqual([0, 20, 0, 0, 0]);
+    });
+
+    it.each([
+      ['no settings', { time: [0, 1], heartrate: [150, 150] }, {}],
+      ['no stream', null, threshold],
+      ['mismatched streams', { time: [0, 1, 2], heartrate: [150, 150] }, threshold],
+      ['no usable samples', { time: [0, 1], heartrate: [null, null] }, threshold],
+    ])('returns null with %s', (_label, stream, settings) => {
+      expect(HeartRateZones.timeInZones(stream, settings)).toBeNull();
+    });
+  });
+
+  describe('formatZoneBar', () => {
+    it('draws a ten-square bar and lists the zones visited', () => {
+      expect(HeartRateZones.formatZoneBar([60, 60, 0, 60, 60]))
+        .toBe('🟦🟦🟦🟩🟩🟩🟧🟧🟥🟥\nZ1 25% · Z2 25% · Z4 25% · Z5 25%');
+    });
+
+    it('keeps percentages adding up to 100', () => {
+      const legend = HeartRateZones.formatZoneBar([1, 1, 1, 0, 0]).split('\n')[1];
+
+      expect(legend).toBe('Z1 34% · Z2 33% · Z3 33%');
+    });
+  });
+});
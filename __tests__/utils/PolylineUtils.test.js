@@ -180,4 +180,37 @@ describe('PolylineUtils', () => {
       expect(decoded[0][1]).toBeCloseTo(points[0][1], 5);
     });
   });
+
+  describe('privacy', () => {
+    // A straight line heading north from the equator: 0.001° of latitude is
+    // ~111 m, so point i sits ~111·i metres from the start.
+    const line = Array.from({ length: 11 }, (_, i) => [i * 0.001, 0]);
+
+    it('measures great-circle distance in metres', () => {
+      expect(PolylineUtils.distanceMetres([0, 0], [0.001, 0])).toBeCloseTo(111.2, 0);
+      expect(PolylineUtils.distanceMetres([48.8566, 2.3522], [48.8566, 2.3522])).toBe(0);
+    });
+
+    it('drops every point inside a privacy zone', () => {
+      const clipped = PolylineUtils.clipPrivacyZones(line, [{ lat: 0, lon: 0, radius: 250 }]);
+
+      expect(clipped).toEqual(line.slice(3));
+    });
+
+    it('checks every zone and leaves the route alone without any', () => {
+      const zones = [{ lat: 0, lon: 0, radius: 150 }, { lat: 0.01, lon: 0, radius: 150 }];
+
+      expect(PolylineUtils.clipPrivacyZones(line, zones)).toEqual(line.slice(2, 9));
+      expect(PolylineUtils.clipPrivacyZones(line, [])).toBe(line);
+    });
+
+    it('trims the given distance from both ends', () => {
+      expect(PolylineUtils.trimEnds(line, 200)).toEqual(line.slice(2, 9));
+      expect(PolylineUtils.trimEnds(line, 0)).toBe(line);
+    });
+
+    it('returns [] when the route is shorter than both trims together', () => {
+      expect(PolylineUtils.trimEnds(line, 600)).toEqual([]);
+    });
+  });
 });
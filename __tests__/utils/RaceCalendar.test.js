@@ -0,0 +1,113 @@
+jest.mock('../../config/config', () => ({
+  security: { encryptionKey: 'a'.repeat(64) }
+}));
+
+const RaceCalendar = require('../../src/utils/RaceCalendar');
+const config = require('../../config/config');
+
+describe('RaceCalendar', () => {
+  const race = {
+    id: 7,
+    name: 'Paris Marathon',
+    race_date: '2026-04-12',
+    race_type: 'road',
+    distance: '42.2km',
+    location: 'Paris, France',
+    goal_time: '3:30:00',
+    elevation: null,
+    notes: 'Corral 3; bring gels',
+    updated_at: '2026-03-01 18:04:05',
+    memberName: 'Alice'
+  };
+
+  beforeEach(() => {
+    config.security.encryptionKey = 'a'.repeat(64);
+  });
+
+  describe('buildCalendar', () => {
+    it('renders each race as an all-day VEVENT', () => {
+      const ics = RaceCalendar.buildCalendar([race], { name: 'Team races', personal: true });
+      const lines = ics.split('\r\n');
+
+      expect(ics.endsWith('\r\n')).toBe(true);
+      expect(lines[0]).toBe('BEGIN:VCALENDAR');
+      expect(lines).toContain('X-WR-CALNAME:Team races');
+      expect(lines).toEqual(expect.arrayContaining([
+        'BEGIN:VEVENT',
+        'UID:race-7@strava-running-bot',
+        'DTSTAMP:20260301T180405Z',
+        'DTSTART;VALUE=DATE:20260412',
+        'DTEND;VALUE=DATE:20260413',
+        'SUMMARY:Paris Marathon — Alice',
+        'DESCRIPTION:Road race · 42.2km\\nGoal: 3:30:00\\n\\nCorral 3\\; bring gels',
+        'LOCATION:Paris\\, France',
+        'END:VEVENT'
+      ]));
+      expect(lines[lines.length - 2]).toBe('END:VCALENDAR');
+    });
+
+    it('leaves out the goal and bib unless personal', () => {
+      const ics = RaceCalendar.buildCalendar([{ ...race, elevation: '+120m', bib_number: '1234', notes: 'Corral 3' }]);
+
+      expect(ics).toContain('DESCRIPTION:Road race · 42.2km\\nElevation: +120m\\n\\nCorral 3\r\n');
+      expect(ics).not.toMatch(/3:30:00|1234/);
+    });
+
+    it('leaves out missing details and the member name', () => {
+      const ics = RaceCalendar.buildCalendar([{
+        id: 8, name: 'Ultra', race_date: '2026-12-31', race_type: 'trail', updated_at: '2026-01-02T03:04:05.678Z'
+      }]);
+
+      expect(ics).toContain('SUMMARY:Ultra\r\n');
+      expect(ics).toContain('DESCRIPTION:Trail race\r\n');
+      expect(ics).toContain('DTEND;VALUE=DATE:20270101\r\n');
+      expect(ics).toContain('DTSTAMP:20260102T030405Z\r\n');
+      expect(ics).not.toContain('LOCATION');
+    });
+
+    it('renders an empty calendar', () => {
+      expect(RaceCalendar.buildCalendar([])).not.toContain('VEVENT');
+    });
+  });
+
+  describe('foldLine', () => {
+    it('folds long lines at 75 octets without splitting characters', () => {
+      const line = `SUMMARY:${'é'.repeat(80)}`;
+      const folded = RaceCalendar.foldLine(line).split('\r\n');
+
+      expect(folded.length).toBeGreaterThan(1);
+      for (const part of folded) expect(Buffer.byteLength(part)).toBeLessThanOrEqual(75);
+      expect(folded.slice(1).every(part => part.startsWith(' '))).toBe(true);
+      expect(folded.map((part, i) => (i === 0 ? part : part.slice(1))).join('')).toBe(line);
+    });
+
+    it('keeps short lines as they are', () => {
+      expect(RaceCalendar.foldLine('VERSION:2.0')).toBe('VERSION:2.0');
+    });
+  });
+
+  describe('member tokens', () => {
+    it('round-trips a member token', () => {
+      const token = RaceCalendar.memberToken(12345);
+
+      expect(token).toMatch(/^12345\.[0-9a-f]{32}$/);
+      expect(RaceCalendar.parseMemberToken(token)).toBe(12345);
+    });
+
+    it('rejects a token signed for another member or tampered with', () => {
+      const [, signature] = RaceCalendar.memberToken(12345).split('.');
+
+      expect(RaceCalendar.parseMemberToken(`12346.${signature}`)).toBeNull();
+      expect(RaceCalendar.parseMemberToken(`12345.${signature.slice(0, 16)}`)).toBeNull();
+      expect(RaceCalendar.parseMemberToken('12345')).toBeNull();
+      expect(RaceCalendar.parseMemberToken(undefined)).toBeNull();
+    });
+
+    it('has no tokens without an encryption key', () => {
+      config.security.encryptionKey = null;
+
+      expect(RaceCalendar.memberToken(12345)).toBeNull();
+      expect(RaceCalendar.parseMemberToken(`12345.${'0'.repeat(32)}`)).toBeNull();
+    });
+  });
+});
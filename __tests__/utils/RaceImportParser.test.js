@@ -0,0 +1,226 @@
+jest.mock('../../config/config', () => ({
+  security: { encryptionKey: 'a'.repeat(64) }
+}));
+
+const RaceImportParser = require('../../src/utils/RaceImportParser');
+const RaceCalendar = require('../../src/utils/RaceCalendar');
+
+describe('RaceImportParser', () => {
+  describe('parse', () => {
+    it('picks the format from the file extension', () => {
+      expect(RaceImportParser.parse('name,date\nParis 10K,12-04-2026', 'races.CSV')).toHaveLength(1);
+      expect(RaceImportParser.parse('BEGIN:VCALENDAR\r\nEND:VCALENDAR', 'races.ics')).toEqual([]);
+    });
+
+    it('rejects other formats', () => {
+      expect(() => RaceImportParser.parse('{}', 'races.json')).toThrow('Only .ics and .csv files can be imported');
+      expect(() => RaceImportParser.parse('', undefined)).toThrow(TypeError);
+    });
+  });
+
+  describe('parseCsv', () => {
+    it('maps columns by header name', () => {
+      const csv = [
+        'Name,Date,Type,Distance,Location,Goal,Elevation,Notes',
+        'Paris Marathon,12/04/2026,Road,Marathon,Paris,3:30:00,,Corral 3',
+        'Trail des Lacs,2026-06-07,trail,42 km,Annecy,,2500D+,'
+      ].join('\n');
+
+      expect(RaceImportParser.parseCsv(csv)).toEqual([
+        {
+          line: 2,
+          raceData: {
+            name: 'Paris Marathon',
+            raceDate: '12-04-2026',
+            raceType: 'road',
+            distance: 'Marathon (42.2K)',
+            distanceKm: '42.2',
+            location: 'Paris',
+            goalTime: '3:30:00',
+            elevation: null,
+            notes: 'Corral 3'
+          }
+        },
+        {
+          line: 3,
+          raceData: {
+            name: 'Trail des Lacs',
+            raceDate: '07-06-2026',
+            raceType: 'trail',
+            distance: '42km',
+            distanceKm: '42',
+            location: 'Annecy',
+            goalTime: null,
+            elevation: '2500D+',
+            notes: null
+          }
+        }
+      ]);
+    });
+
+    it('reads semicolon-separated files with French headers and a BOM', () => {
+      const csv = '﻿Nom;Date;Distance;Lieu;Objectif;Dénivelé\r\nSemi de Lyon;5.10.2026;21,1;Lyon;1:45:00;\r\n';
+
+      const [row] = RaceImportParser.parseCsv(csv);
+
+      expect(row.raceData).toMatchObject({
+        name: 'Semi de Lyon',
+        raceDate: '05-10-2026',
+        distance: '21.1km',
+        distanceKm: '21.1',
+        location: 'Lyon',
+        goalTime: '1:45:00'
+      });
+    });
+
+    it('handles quoted values with delimiters, quotes and newlines', () => {
+      const csv = 'name,date,notes\n"Run ""Fast"", Paris",12-04-2026,"line one\nline two"\nNext,13-04-2026,';
+
+      const rows = RaceImportParser.parseCsv(csv);
+
+      expect(rows[0]).toEqual(expect.objectContaining({ line: 2 }));
+      expect(rows[0].raceData.name).toBe('Run "Fast", Paris');
+      expect(rows[0].raceData.notes).toBe('line one\nline two');
+      expect(rows[1].line).toBe(4);
+    });
+
+    it('skips blank rows and keeps unreadable values for validation', () => {
+      const rows = RaceImportParser.parseCsv('name,date\n\n,\nMystery,next sunday\n');
+
+      expect(rows).toEqual([
+        { line: 4, raceData: expect.objectContaining({ name: 'Mystery', raceDate: 'next sunday' }) }
+      ]);
+    });
+
+    it('requires a name and a date column', () => {
+      expect(() => RaceImportParser.parseCsv('race,when\nParis,12-04-2026'))
+        .toThrow('The CSV needs a header row with at least "name" and "date" columns');
+      expect(() => RaceImportParser.parseCsv('')).toThrow(TypeError);
+    });
+
+    it('truncates long notes to the validation limit', () => {
+      const [row] = RaceImportParser.parseCsv(`name,date,notes\nParis,12-04-2026,${'x'.repeat(600)}`);
+
+      expect(row.raceData.notes).toHaveLength(500);
+      expect(row.raceData.notes.endsWith('…')).toBe(true);
+    });
+  });
+
+  describe('parseIcs', () => {
+    it('reads VEVENTs, including folded and escaped lines', () => {
+      const ics = [
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT',
+        'DTSTART;VALUE=DATE:20260607',
+        'SUMMARY:Trail des Lacs 42km',
+        'LOCATION:Annecy\\, France',
+        'DESCRIPTION:Goal: 5:00:00\\nElevation: 2500D+\\nBring po',
+        ' les',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'DTSTART:20261004T080000Z',
+        'SUMMARY:Semi-marathon de Lyon',
+        'END:VEVENT',
+        'END:VCALENDAR'
+      ].join('\r\n');
+
+      expect(RaceImportParser.parseIcs(ics)).toEqual([
+        {
+          line: 1,
+          raceData: {
+            name: 'Trail des Lacs 42km',
+            raceDate: '07-06-2026',
+            raceType: 'trail',
+            distance: '42km',
+            distanceKm: '42',
+            location: 'Annecy, France',
+            goalTime: '5:00:00',
+            elevation: '2500D+',
+            notes: 'Bring poles'
+          }
+        },
+        {
+          line: 2,
+          raceData: {
+            name: 'Semi-marathon de Lyon',
+            raceDate: '04-10-2026',
+            raceType: 'road',
+            distance: 'Half Marathon (21.1K)',
+            distanceKm: '21.1',
+            location: null,
+            goalTime: null,
+            elevation: null,
+            notes: null
+          }
+        }
+      ]);
+    });
+
+    it('reads back a member\'s own calendar feed', () => {
+      const ics = RaceCalendar.buildCalendar([{
+        id: 7,
+        name: 'Paris Marathon',
+        race_date: '2026-04-12',
+        race_type: 'road',
+        distance: 'Marathon (42.2K)',
+        location: 'Paris',
+        goal_time: '3:30:00',
+        bib_number: '1234',
+        notes: 'Corral 3',
+        updated_at: '2026-03-01 18:04:05'
+      }], { personal: true });
+
+      const [row] = RaceImportParser.parseIcs(ics);
+
+      expect(row.raceData).toEqual({
+        name: 'Paris Marathon',
+        raceDate: '12-04-2026',
+        raceType: 'road',
+        distance: 'Marathon (42.2K)',
+        distanceKm: '42.2',
+        location: 'Paris',
+        goalTime: '3:30:00',
+        elevation: null,
+        notes: 'Corral 3'
+      });
+    });
+
+    it('leaves an unreadable start date empty', () => {
+      const ics = 'BEGIN:VEVENT\nSUMMARY:Someday\nDTSTART:soon\nEND:VEVENT';
+
+      expect(RaceImportParser.parseIcs(ics)[0].raceData.raceDate).toBe('');
+    });
+  });
+
+  describe('parseDistance', () => {
+    it.each([
+      ['10K', { km: '10', label: '10K' }],
+      ['5 km', { km: '5', label: '5K' }],
+      ['21,1 km', { km: '21.1', label: '21.1km' }],
+      ['Half Marathon', { km: '21.1', label: 'Half Marathon (21.1K)' }],
+      ['Marathon de Paris', { km: '42.2', label: 'Marathon (42.2K)' }],
+      ['15.5', { km: '15.5', label: '15.5km' }]
+    ])('reads %s', (text, expected) => {
+      expect(RaceImportParser.parseDistance(text)).toEqual(expected);
+    });
+
+    it('returns null without a distance', () => {
+      expect(RaceImportParser.parseDistance('Kids run')).toBeNull();
+      expect(RaceImportParser.parseDistance('')).toBeNull();
+      expect(RaceImportParser.parseDistance(null)).toBeNull();
+    });
+  });
+
+  describe('normalizeDate', () => {
+    it.each([
+      ['12-04-2026', '12-04-2026'],
+      ['1/4/2026', '01-04-2026'],
+      ['01.04.2026', '01-04-2026'],
+      ['2026-04-01', '01-04-2026'],
+      ['April 1st', 'April 1st'],
+      [undefined, '']
+    ])('%s → %s', (value, expected) => {
+      expect(RaceImportParser.normalizeDate(value)).toBe(expected);
+    });
+  });
+});
@@ -0,0 +1,93 @@
+const SplitsFormatter = require('../../src/utils/SplitsFormatter');
+
+describe('SplitsFormatter', () => {
+  describe('fromStravaSplits', () => {
+    it('keeps distance, moving time, elevation and heart rate', () => {
+      const splits = SplitsFormatter.fromStravaSplits([
+        { split: 1, distance: 1609.3, moving_time: 480, elevation_difference: 0, average_heartrate: 151 },
+      ], 'mile');
+
+      expect(splits).toEqual({
+        unit: 'mile',
+        rows: [{ distance: 1609.3, movingTime: 480, elevationDifference: 0, averageHeartrate: 151 }],
+      });
+    });
+
+    it('drops a trailing sliver and returns null without splits', () => {
+      const full = { distance: 1000, moving_time: 300, elevation_difference: 1 };
+
+      expect(SplitsFormatter.fromStravaSplits([full, { distance: 12, moving_time: 4 }], 'km').rows).toHaveLength(1);
+      expect(SplitsFormatter.fromStravaSplits([], 'km')).toBeNull();
+      expect(SplitsFormatter.fromStravaSplits(undefined, 'km')).toBeNull();
+    });
+  });
+
+  describe('fromStreams', () => {
+    it('cuts a split at each full unit and keeps the partial remainder', () => {
+      const splits = SplitsFormatter.fromStreams({
+        time: [0, 150, 300, 450, 600, 700],
+        distance: [0, 500, 1000, 1500, 2000, 2300],
+        altitude: [100, 104, 110, 108, 105, 106],
+        heartrate: [120, 140, 150, 155, 160, 165],
+      }, 'km');
+
+      expect(splits).toEqual({
+        unit: 'km',
+        rows: [
+          { distance: 1000, movingTime: 300, elevationDifference: 10, averageHeartrate: 145 },
+          { distance: 1000, movingTime: 300, elevationDifference: -5, averageHeartrate: 157.5 },
+          { distance: 300, movingTime: 100, elevationDifference: 1, averageHeartrate: 165 },
+        ],
+      });
+    });
+
+    it('leaves stops out of the moving time and absorbs GPS going backwards', () => {
+      const splits = SplitsFormatter.fromStreams({
+        time: [0, 150, 270, 420],
+        distance: [0, 500, 490, 1000],
+      }, 'km');
+
+      expect(splits.rows).toEqual([{ distance: 1000, movingTime: 300, elevationDifference: null, averageHeartrate: null }]);
+    });
+
+    it('returns null for unusable streams', () => {
+      expect(SplitsFormatter.fromStreams(null, 'km')).toBeNull();
+      expect(SplitsFormatter.fromStreams({ time: [0, 1], distance: [0] }, 'km')).toBeNull();
+    });
+  });
+
+  describe('formatTable', () => {
+    const splits = {
+      unit: 'km',
+      rows: [
+        { distance: 1000, movingTime: 302, elevationDifference: 12.4, averageHeartrate: 148.4 },
+        { distance: 1000, movingTime: 298, elevationDifference: -3, averageHeartrate: 152 },
+        { distance: 420, movingTime: 118, elevationDifference: 0, averageHeartrate: null },
+      ],
+    };
+
+    it('lines up distance, pace per unit, elevation and heart rate', () => {
+      expect(SplitsFormatter.formatTable(splits)).toBe([
+        '```',
+        '   km   Pace  Elev   HR',
+        '    1   5:02   +12  148',
+        '    2   4:58    -3  152',
+        '  2.4   4:41     0    -',
+        '```',
+      ].join('\n'));
+    });
+
+    it('leaves out hidden pace and columns with no data', () => {
+      const noHeartRate = { ...splits, rows: splits.rows.map(row => ({ ...row, averageHeartrate: null })) };
+
+      expect(SplitsFormatter.formatTable(noHeartRate, { showPace: false }).split('\n')[1]).toBe('   km  Elev');
+    });
+
+    it('keeps the running distance when a table spans several messages', () => {
+      const lines = SplitsFormatter.formatTable(splits, { fromRow: 1, rowCount: 1 }).split('\n');
+
+      expect(lines).toHaveLength(4);
+      expect(lines[2]).toBe('    2   4:58    -3  152');
+    });
+  });
+});
@@ -9,6 +9,15 @@ const config = {
   discord: {
     token: process.env.DISCORD_TOKEN,
     channelId: process.env.DISCORD_CHANNEL_ID,
+    // OAuth2 credentials of the bot's application (Developer Portal →
+    // OAuth2), for the web dashboard's "Log in with Discord". The dashboard
+    // stays off until both are set.
+    clientId: process.env.DISCORD_CLIENT_ID,
+    clientSecret: process.env.DISCORD_CLIENT_SECRET,
+    // Also make people log in with Discord while registering, so a shared
+    // /register link can't bind someone else's Strava account. Needs the
+    // OAuth2 credentials above.
+    confirmRegistration: process.env.DISCORD_CONFIRM_REGISTRATION === 'true', // Default: disabled
   },
   strava: {
     clientId: process.env.STRAVA_CLIENT_ID,
@@ -38,6 +47,13 @@ const config = {
   posting: {
     delayMinutes: parseInt(process.env.POST_DELAY_MINUTES) || 15,
   },
+  retry: {
+    // Failed Strava activities are retried after 2, 4, 8... minutes, capped
+    // at maxDelayMinutes, then dead-lettered after maxAttempts failures.
+    maxAttempts: parseInt(process.env.RETRY_MAX_ATTEMPTS, 10) || 8,
+    baseDelayMinutes: parseInt(process.env.RETRY_BASE_DELAY_MINUTES, 10) || 2,
+    maxDelayMinutes: parseInt(process.env.RETRY_MAX_DELAY_MINUTES, 10) || 120,
+  },
   security: {
     encryptionKey: process.env.ENCRYPTION_KEY,
   },
@@ -69,25 +85,58 @@ const config = {
     height: parseInt(process.env.MAP_HEIGHT, 10) || 400,
     maxTiles: parseInt(process.env.MAP_MAX_TILES, 10) || 20, // bound on the tile grid per render
     timeoutMs: parseInt(process.env.MAP_TIMEOUT_MS, 10) || 8000, // total budget for one render
+    // Metres cut from each end of the route for members with no privacy
+    // zone (/preferences zone-add), so maps don't pinpoint where they live.
+    privacyTrimMetres: parseInt(process.env.MAP_PRIVACY_TRIM_METRES ?? '200', 10) || 0,
     tileCacheTtlMs: 7 * 24 * 60 * 60 * 1000, // OSM policy minimum when cache headers can't be honored
   },
+  elevationProfile: {
+    enabled: process.env.ELEVATION_PROFILE_ENABLED !== 'false', // Default: enabled
+    width: parseInt(process.env.ELEVATION_PROFILE_WIDTH, 10) || 600,
+    height: parseInt(process.env.ELEVATION_PROFILE_HEIGHT, 10) || 200,
+    // Flat runs get no chart — below this total climb it would only show noise.
+    minGainMetres: parseInt(process.env.ELEVATION_PROFILE_MIN_GAIN ?? '50', 10) || 0,
+  },
+  splits: {
+    unit: process.env.SPLITS_UNIT === 'mile' ? 'mile' : 'km', // Default: per-km splits
+  },
   scheduler: {
     // Enable/disable scheduled race announcements
     weeklyEnabled: process.env.WEEKLY_RACE_ANNOUNCEMENTS !== 'false', // Default: enabled
     monthlyEnabled: process.env.MONTHLY_RACE_ANNOUNCEMENTS !== 'false', // Default: enabled
     leaderboardEnabled: process.env.MONTHLY_LEADERBOARD !== 'false', // Default: enabled
+    weeklyLeaderboardEnabled: process.env.WEEKLY_LEADERBOARD !== 'false', // Default: enabled
 
     // Cron schedule patterns
     weeklySchedule: process.env.WEEKLY_SCHEDULE || '0 8 * * 1', // Every Monday at 8:00 AM
     monthlySchedule: process.env.MONTHLY_SCHEDULE || '0 8 1 * *', // First day of month at 8:00 AM
     // 9 AM (after the 8 AM race announcement) on day 1 of every month — posts the previous month's totals.
     leaderboardSchedule: process.env.LEADERBOARD_SCHEDULE || '0 9 1 * *',
+    // 9 AM every Monday (after the 8 AM weekly race announcement) — posts the previous ISO week's totals.
+    weeklyLeaderboardSchedule: process.env.WEEKLY_LEADERBOARD_SCHEDULE || '0 9 * * 1',
 
     // intervals.icu has no per-user webhooks without an approved OAuth app,
     // so members registered with an API key are polled on this schedule.
     intervalsPollEnabled: process.env.INTERVALS_POLL !== 'false', // Default: enabled
     intervalsPollSchedule: process.env.INTERVALS_POLL_SCHEDULE || '*/5 * * * *', // Every 5 minutes
 
+    // Runs the failed activities whose retry backoff has elapsed
+    retryEnabled: process.env.ACTIVITY_RETRIES !== 'false', // Default: enabled
+    retrySchedule: process.env.RETRY_SCHEDULE || '* * * * *', // Every minute
+
+    // Sends the outbound webhook deliveries whose retry backoff has elapsed
+    webhookRetryEnabled: process.env.WEBHOOK_RETRIES !== 'false', // Default: enabled
+    webhookRetrySchedule: process.env.WEBHOOK_RETRY_SCHEDULE || '* * * * *', // Every minute
+
+    // Race reminders: a DM to each runner this many days before their race
+    // (0 = the morning of), and a "good luck" post on race day
+    raceRemindersEnabled: process.env.RACE_REMINDERS !== 'false', // Default: enabled
+    raceReminderSchedule: process.env.RACE_REMINDER_SCHEDULE || '0 7 * * *', // Every day at 7:00 AM
+    raceReminderOffsets: (process.env.RACE_REMINDER_OFFSETS || '7,1,0')
+      .split(',')
+      .map(days => parseInt(days, 10))
+      .filter(days => days >= 0),
+
     // Timezone for scheduling (important for proper timing)
     timezone: process.env.SCHEDULER_TIMEZONE || 'UTC',
   },
@@ -75,6 +75,22 @@ const RACE_STATUS = {
   DNF: 'dnf'   // Did Not Finish
 };
 
+// What happened to a processed activity (processed_activities.outcome).
+// Only FAILED activities are processed again when they come back.
+const ACTIVITY_OUTCOME = {
+  POSTED: 'posted',
+  FILTERED: 'filtered',
+  DUPLICATE: 'duplicate',
+  FAILED: 'failed'
+};
+
+// State of a failed activity in the retry queue (activity_retries.status).
+// DEAD activities are no longer retried automatically.
+const RETRY_STATUS = {
+  PENDING: 'pending',
+  DEAD: 'dead'
+};
+
 // Race Type Values
 const RACE_TYPE = {
   ROAD: 'road',
@@ -127,6 +143,77 @@ const SUPPORTED_PB_TYPES = ['Run'];
 // best_efforts (used for PBs) on the 'Run' type.
 const LEADERBOARD_RUN_TYPES = ['Run', 'TrailRun', 'VirtualRun'];
 
+// Metrics the leaderboard can rank by. `field` names the leaderboard entry
+// property holding the value (see LeaderboardManager._buildEntries);
+// `heading` opens the embed description ("<heading> in **March 2026**").
+// Distance stays the default — it is what the monthly post has always ranked.
+const LEADERBOARD_METRICS = {
+  distance:    { label: 'Distance',       emoji: '📏', field: 'totalDistanceM',    heading: 'Total kilometres run' },
+  elevation:   { label: 'Elevation gain', emoji: '⛰️', field: 'totalElevationM',   heading: 'Total elevation climbed' },
+  moving_time: { label: 'Moving time',    emoji: '⏱️', field: 'totalMovingTimeS',  heading: 'Total time spent running' },
+  count:       { label: 'Runs',           emoji: '🏃', field: 'activityCount',     heading: 'Runs logged' },
+  streak:      { label: 'Longest streak', emoji: '🔥', field: 'longestStreakDays', heading: 'Longest streak of consecutive running days' },
+};
+
+// Metrics a team challenge can target — the summable LEADERBOARD_METRICS
+// (a streak has no team total). `unit` is what /challenge create asks the
+// target in; `scale` converts it to the stored value (metres, seconds, runs).
+const CHALLENGE_METRICS = {
+  distance:    { unit: 'km',   scale: 1000 },
+  elevation:   { unit: 'm',    scale: 1 },
+  moving_time: { unit: 'h',    scale: TIME.SECONDS_PER_HOUR },
+  count:       { unit: 'runs', scale: 1 },
+};
+
+// Team-challenge progress percentages announced in the channel on the way
+// to 100% (completion gets its own announcement).
+const CHALLENGE_MILESTONES = [25, 50, 75];
+
+// Sport groups a member can choose to have posted (/preferences sports).
+// Matched on the legacy `type`, which Strava keeps coarse ('Run' for trail
+// runs) while intervals.icu sends the precise type — hence both spellings.
+// Anything not listed falls under 'other'.
+const POSTING_SPORT_CATEGORIES = {
+  run:   { label: 'Running',          types: ['Run', 'TrailRun', 'VirtualRun'] },
+  ride:  { label: 'Cycling',          types: ['Ride', 'VirtualRide', 'EBikeRide', 'GravelRide', 'MountainBikeRide'] },
+  walk:  { label: 'Walking & hiking', types: ['Walk', 'Hike'] },
+  swim:  { label: 'Swimming',         types: ['Swim'] },
+  other: { label: 'Other',            types: [] },
+};
+
+// Route privacy zones (/preferences zone-add): circles around places a member
+// doesn't want drawn on their route maps, e.g. home or work.
+const PRIVACY_ZONE = {
+  MIN_RADIUS_M: 100,
+  MAX_RADIUS_M: 2000,
+  MAX_ZONES: 5,
+};
+
+// Heart-rate zones (/heartrate set). Lower bound of zones 2-5 as a fraction
+// of the member's threshold (lactate threshold, Friel) or, without one, of
+// their max heart rate. Zone 1 is everything below.
+const HEART_RATE_ZONES = {
+  THRESHOLD_FRACTIONS: [0.85, 0.90, 0.95, 1.00],
+  MAX_FRACTIONS: [0.60, 0.70, 0.80, 0.90],
+  COLORS: ['🟦', '🟩', '🟨', '🟧', '🟥'],
+  MIN_BPM: 100,
+  MAX_BPM: 230,
+};
+
+// Per-km / per-mile split tables on activity posts.
+const SPLITS = {
+  UNIT_METRES: { km: 1000, mile: 1609.344 },
+  // Tables up to this many rows go in the embed; longer ones in a thread
+  // under the post (an embed field holds 1024 characters).
+  MAX_EMBED_ROWS: 10,
+  // Rows per thread message, well inside Discord's 2000-character limit.
+  MAX_MESSAGE_ROWS: 50,
+  // A final partial split shorter than this is GPS noise, not a split.
+  MIN_PARTIAL_METRES: 50,
+  // Stream samples slower than this count as stopped, not moving time.
+  MIN_MOVING_SPEED_MS: 0.5,
+};
+
 // Maximum distance shortfall/excess (as a fraction) to still consider
 // an activity distance as covering a PB category.
 // 0.02 = 2%: covers typical GPS inaccuracy (consumer watches are 0.5-2% off).
@@ -150,6 +237,109 @@ const CATEGORY_DISTANCES = {
   'Marathon':      42195,
 };
 
+// Linking a run to a registered race on the same day (RaceManager.linkActivity):
+// it completes the race when Strava marks it as a race, or when its distance
+// is within this fraction of the race's distance_km (GPS watches and
+// course measurement rarely agree exactly, trails even less).
+const RACE_LINK_DISTANCE_TOLERANCE = 0.1;
+
+// /my-races import: an .ics or .csv attachment is parsed into races, shown as
+// a preview and only saved once confirmed. Pending imports are kept in memory
+// for PREVIEW_TTL_MS.
+const RACE_IMPORT = {
+  MAX_FILE_BYTES: 256 * 1024,
+  MAX_RACES: 50,
+  PREVIEW_TTL_MS: 15 * 60 * 1000,
+  PREVIEW_LINES: 15,  // races (and skipped rows) listed in the preview embed
+  DOWNLOAD_TIMEOUT_MS: 10000
+};
+
+// Admin REST API tokens (/settings api-token). ADMIN includes READ. Tokens
+// are stored hashed in settings under SETTING_PREFIX + id; the plain token is
+// only shown once, when minted.
+const API_TOKEN = {
+  SCOPES: {
+    READ: 'read',
+    ADMIN: 'admin'
+  },
+  SETTING_PREFIX: 'api_token_',
+  PREFIX: 'srb',  // tokens look like srb_<id>_<secret>
+  MAX_LABEL_LENGTH: 50
+};
+
+// Public read-only JSON API (/api/v1). Clients may cache responses for
+// CACHE_MAX_AGE_S and then revalidate them with the ETag.
+const PUBLIC_API = {
+  DEFAULT_PAGE_SIZE: 20,
+  MAX_PAGE_SIZE: 100,
+  DEFAULT_RACE_DAYS: 90,
+  MAX_RACE_DAYS: 365,
+  CACHE_MAX_AGE_S: 60
+};
+
+// Signed single-use `state` of the Strava registration link from /register
+// (see OAuthStateManager)
+const OAUTH_STATE = {
+  TTL_MS: 30 * 60 * 1000,
+  CONFIRMATION_COOKIE: 'srb_registration',
+};
+
+// Web dashboard (/dashboard): Discord login sessions live in a signed
+// cookie; guild membership is checked again every MEMBERSHIP_RECHECK_MS.
+const DASHBOARD = {
+  SESSION_COOKIE: 'srb_session',
+  STATE_COOKIE: 'srb_oauth_state',
+  SESSION_TTL_MS: 7 * 24 * 60 * 60 * 1000,
+  STATE_TTL_MS: 10 * 60 * 1000,
+  MEMBERSHIP_RECHECK_MS: 10 * 60 * 1000,
+  RECENT_ACTIVITIES: 12,
+  UPCOMING_RACES: 5,
+  RACE_CALENDAR_DAYS: 365,
+  MAP_CACHE_SIZE: 50
+};
+
+// Outbound webhooks (/settings webhooks, see WebhookManager). A failed
+// delivery is retried after BASE_DELAY_MS, then twice as long each time
+// (capped at MAX_DELAY_MS), until MAX_ATTEMPTS attempts have been made.
+const OUTBOUND_WEBHOOK = {
+  EVENTS: {
+    ACTIVITY_POSTED: 'activity.posted',
+    PB_NEW: 'pb.new',
+    RACE_STATUS_CHANGED: 'race.status_changed',
+  },
+  TEST_EVENT: 'webhook.test',       // /settings webhooks test, never subscribed to
+  DELIVERY_STATUS: {
+    PENDING: 'pending',
+    DELIVERED: 'delivered',
+    FAILED: 'failed',
+  },
+  SECRET_PREFIX: 'whsec',
+  SIGNATURE_HEADER: 'X-Webhook-Signature',
+  MAX_WEBHOOKS: 10,
+  MAX_URL_LENGTH: 500,
+  MAX_ATTEMPTS: 8,
+  BASE_DELAY_MS: 60 * 1000,
+  MAX_DELAY_MS: 60 * 60 * 1000,
+  TIMEOUT_MS: 10 * 1000,
+  DELIVERY_RETENTION_DAYS: 30,
+};
+
+// Club records (/pb records): the team's fastest time per category, overall,
+// per gender and per gender and age group. Age groups use the member's age
+// on the day the PB was set; each `min` is the group's lowest age.
+const CLUB_RECORDS = {
+  CATEGORIES: ['5K', '10K', 'Half Marathon', 'Marathon'],
+  GENDERS: { M: 'Men', F: 'Women' },
+  AGE_GROUPS: [
+    { label: 'U20', min: 0 },
+    { label: '20-34', min: 20 },
+    { label: '35-44', min: 35 },
+    { label: '45-54', min: 45 },
+    { label: '55-64', min: 55 },
+    { label: '65+', min: 65 },
+  ],
+};
+
 // Maps Strava /athletes/{id}/prs record_type (distance in meters) → PB category labels
 // NOTE: Uses an undocumented Strava web endpoint. Distances without elapsed_time are skipped.
 const STRAVA_PR_RECORD_TYPE_MAP = {
@@ -171,13 +361,30 @@ module.exports = {
   DISCORD,
   DATE,
   RACE_STATUS,
+  ACTIVITY_OUTCOME,
+  RETRY_STATUS,
   RACE_TYPE,
   RACE_EMOJI,
   CHANNEL_TYPE,
   PB_EFFORT_LABELS,
   SUPPORTED_PB_TYPES,
   LEADERBOARD_RUN_TYPES,
+  LEADERBOARD_METRICS,
+  CHALLENGE_METRICS,
+  CHALLENGE_MILESTONES,
+  POSTING_SPORT_CATEGORIES,
+  PRIVACY_ZONE,
+  HEART_RATE_ZONES,
+  SPLITS,
   PB_DISTANCE_TOLERANCE_PERCENT,
   STRAVA_PR_RECORD_TYPE_MAP,
   CATEGORY_DISTANCES,
+  CLUB_RECORDS,
+  RACE_LINK_DISTANCE_TOLERANCE,
+  RACE_IMPORT,
+  API_TOKEN,
+  PUBLIC_API,
+  OAUTH_STATE,
+  DASHBOARD,
+  OUTBOUND_WEBHOOK,
 };
@@ -1,13 +1,13 @@
 const fs = require('node:fs').promises;
 const path = require('node:path');
-const { eq, ne, and, desc, asc, gte, lte, lt, inArray, sql, like } = require('drizzle-orm');
+const { eq, ne, and, or, desc, asc, gte, lte, lt, inArray, notInArray, isNull, isNotNull, sql, like } = require('drizzle-orm');
 const dbConnection = require('./connection');
-const { members, races, migrationLog, settings, personalBests, activities } = require('./schema');
+const { members, races, migrationLog, settings, personalBests, pbHistory, activities, challenges, challengeParticipants, memberPreferences, activityPosts, activityKudos, activityQueue, processedActivities, activityRetries, apiAuditLog, oauthStates, outboundWebhooks, outboundWebhookDeliveries } = require('./schema');
 const logger = require('../utils/Logger');
 const config = require('../../config/config');
 const SettingsManager = require('../managers/SettingsManager');
 const EncryptionUtils = require('../utils/EncryptionUtils');
-const { TIME } = require('../constants');
+const { TIME, OUTBOUND_WEBHOOK } = require('../constants');
 const DateUtils = require('../utils/DateUtils');
 const { normalizeTokenBlob } = require('./tokenBlob');
 
@@ -706,7 +706,44 @@ class DatabaseManager {
       throw new Error('Member not found or inactive');
     }
 
-    const race = await this.db.insert(races).values({
+    const race = await this.db.insert(races).values(this._raceRow(memberAthleteId, raceData)).returning();
+
+    logger.database?.info('Race added', {
+      raceId: race[0]?.id,
+      athleteId: memberAthleteId,
+      raceName: raceData.name,
+      raceDate: raceData.raceDate,
+      raceType: raceData.raceType || 'road'
+    });
+
+    return race[0];
+  }
+
+  // Insert several races for one member in a single transaction: either all
+  // of them are added or none (used by /my-races import)
+  async addRaces(memberAthleteId, raceDataList) {
+    await this.ensureInitialized();
+
+    const member = await this.getMemberByAthleteId(memberAthleteId);
+    if (!member || !member.isActive) {
+      throw new Error('Member not found or inactive');
+    }
+
+    // Synchronous callback: better-sqlite3 transactions can't await
+    const added = this.db.transaction((tx) => raceDataList.map(raceData =>
+      tx.insert(races).values(this._raceRow(memberAthleteId, raceData)).returning().get()
+    ));
+
+    logger.database?.info('Races added', {
+      athleteId: memberAthleteId,
+      count: added.length
+    });
+
+    return added;
+  }
+
+  _raceRow(memberAthleteId, raceData) {
+    return {
       member_athlete_id: Number.parseInt(memberAthleteId),
       name: raceData.name,
       race_date: raceData.raceDate,
@@ -717,19 +754,10 @@ class DatabaseManager {
       status: raceData.status || 'registered',
       notes: raceData.notes || null,
       goal_time: raceData.goalTime || null,
+      elevation: raceData.elevation || null,
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString(),
-    }).returning();
-
-    logger.database?.info('Race added', {
-      raceId: race[0]?.id,
-      athleteId: memberAthleteId,
-      raceName: raceData.name,
-      raceDate: raceData.raceDate,
-      raceType: raceData.raceType || 'road'
-    });
-
-    return race[0];
+    };
   }
 
   async updateRace(raceId, updates) {
@@ -918,6 +946,104 @@ class DatabaseManager {
       .get() || null;
   }
 
+  // Add an effort to the member's PB progression if it was their fastest for
+  // the category on its date. Efforts arrive out of order (history syncs
+  // walk backwards), so entries on or after that date which it beats are
+  // dropped: they were never records. Returns true when the effort was added.
+  async recordPBHistory(athleteId, pbData) {
+    await this.ensureInitialized();
+
+    const memberId = Number.parseInt(athleteId);
+    const activityId = String(pbData.activityId ?? pbData.stravaActivityId);
+    const sameCategory = and(
+      eq(pbHistory.member_athlete_id, memberId),
+      eq(pbHistory.category, pbData.category)
+    );
+
+    // Synchronous callback: better-sqlite3 transactions can't await
+    return this.db.transaction((tx) => {
+      const beaten = tx.select({ id: pbHistory.id })
+        .from(pbHistory)
+        .where(and(
+          sameCategory,
+          lte(pbHistory.activity_date, pbData.activityDate),
+          lte(pbHistory.elapsed_time, pbData.elapsedTime)
+        ))
+        .get();
+      if (beaten) return false;
+
+      tx.delete(pbHistory)
+        .where(and(
+          sameCategory,
+          gte(pbHistory.activity_date, pbData.activityDate),
+          sql`${pbHistory.elapsed_time} > ${pbData.elapsedTime}`,
+          ne(pbHistory.activity_id, activityId)
+        ))
+        .run();
+
+      const effort = {
+        distance_m: pbData.distanceM,
+        elapsed_time: pbData.elapsedTime,
+        moving_time: pbData.movingTime,
+        activity_name: pbData.activityName || null,
+        activity_date: pbData.activityDate,
+        recorded_at: new Date().toISOString(),
+      };
+      // The same activity again with a faster time (e.g. /pb add with the
+      // official distance) replaces its entry
+      tx.insert(pbHistory)
+        .values({ member_athlete_id: memberId, category: pbData.category, activity_id: activityId, ...effort })
+        .onConflictDoUpdate({
+          target: [pbHistory.member_athlete_id, pbHistory.category, pbHistory.activity_id],
+          set: effort,
+        })
+        .run();
+
+      return true;
+    });
+  }
+
+  // A member's PB progression for one category, oldest record first
+  async getPBHistory(athleteId, category) {
+    await this.ensureInitialized();
+
+    return await this.db.select()
+      .from(pbHistory)
+      .where(and(
+        eq(pbHistory.member_athlete_id, Number.parseInt(athleteId)),
+        eq(pbHistory.category, category)
+      ))
+      .orderBy(asc(pbHistory.activity_date), desc(pbHistory.elapsed_time));
+  }
+
+  // Every active member's PB in the given categories, fastest first, with
+  // what the club records need to know about the member: display name and
+  // the athlete profile (sex, date of birth when the provider has one).
+  async getClubPersonalBests(categories) {
+    await this.ensureInitialized();
+
+    const rows = await this.db.select({
+      athleteId: personalBests.member_athlete_id,
+      category: personalBests.category,
+      elapsedTime: personalBests.elapsed_time,
+      activityId: personalBests.strava_activity_id,
+      activityName: personalBests.activity_name,
+      activityDate: personalBests.activity_date,
+      discordUserId: members.discord_user_id,
+      displayName: members.discord_display_name,
+      athlete: members.athlete,
+    })
+      .from(personalBests)
+      .innerJoin(members, eq(members.athlete_id, personalBests.member_athlete_id))
+      .where(and(
+        inArray(personalBests.category, categories),
+        eq(members.is_active, 1)
+      ))
+      .orderBy(asc(personalBests.elapsed_time), asc(personalBests.activity_date));
+
+    return rows.map(row => ({ ...row, athlete: row.athlete ? JSON.parse(row.athlete) : null }));
+  }
+
   async getPBSyncCursors() {
     await this.ensureInitialized();
     try {
@@ -985,6 +1111,28 @@ class DatabaseManager {
       });
   }
 
+  // An activity deleted on the provider side: drop its row, posts and kudos
+  // together so leaderboards and kudos never count it again. Posts in
+  // `keepMessageIds` stay, for messages that couldn't be deleted yet. Returns
+  // true when the activities row existed.
+  async deleteActivity(activityId, { keepMessageIds = [] } = {}) {
+    await this.ensureInitialized();
+
+    const id = String(activityId);
+    const postsToDelete = keepMessageIds.length > 0
+      ? and(eq(activityPosts.activity_id, id), notInArray(activityPosts.discord_message_id, keepMessageIds))
+      : eq(activityPosts.activity_id, id);
+    // Synchronous callback: better-sqlite3 transactions can't await
+    const removed = this.db.transaction((tx) => {
+      tx.delete(activityKudos).where(eq(activityKudos.activity_id, id)).run();
+      tx.delete(activityPosts).where(postsToDelete).run();
+      return tx.delete(activities).where(eq(activities.strava_activity_id, id)).run().changes;
+    });
+
+    logger.database.info('Activity deleted', { activityId: id, removed: removed > 0 });
+    return removed > 0;
+  }
+
   async getActivityById(activityId) {
     await this.ensureInitialized();
 
@@ -1050,31 +1198,795 @@ class DatabaseManager {
     return null;
   }
 
-  // Aggregate run distance per active member for a date window.
-  // Date strings are compared lexicographically against `start_date_local`
-  // (ISO 8601) — local-day boundaries match what the runner expects ("did
-  // that 11pm run on March 31 count for March?").
+  // Aggregate run distance, elevation and moving time per active member for
+  // a date window. Date strings are compared lexicographically against
+  // `start_date_local` (ISO 8601) — local-day boundaries match what the runner
+  // expects ("did that 11pm run on March 31 count for March?"). Despite the
+  // name the window is arbitrary; the weekly leaderboard passes
+  // Monday-to-Monday bounds.
   async getMonthlyRunTotals(startDateISO, endDateISO, runTypes) {
     await this.ensureInitialized();
 
     return await this.db.select({
       athleteId: activities.member_athlete_id,
       totalDistanceM: sql`SUM(${activities.distance})`.as('totalDistanceM'),
+      totalElevationM: sql`COALESCE(SUM(${activities.total_elevation_gain}), 0)`.as('totalElevationM'),
+      totalMovingTimeS: sql`COALESCE(SUM(${activities.moving_time}), 0)`.as('totalMovingTimeS'),
       activityCount: sql`COUNT(*)`.as('activityCount'),
     })
       .from(activities)
       .innerJoin(members, eq(members.athlete_id, activities.member_athlete_id))
-      .where(and(
-        inArray(activities.type, runTypes),
-        gte(activities.start_date_local, startDateISO),
-        lt(activities.start_date_local, endDateISO),
-        eq(members.is_active, 1),
-        sql`${activities.distance} > 0`
-      ))
+      .where(this._runWindowConditions(startDateISO, endDateISO, runTypes))
       .groupBy(activities.member_athlete_id)
       .orderBy(desc(sql`totalDistanceM`));
   }
 
+  // Distinct local calendar days (YYYY-MM-DD) each active member ran on in a
+  // date window, for streak computation. Same filters as getMonthlyRunTotals
+  // so the two always describe the same set of runs.
+  async getRunDays(startDateISO, endDateISO, runTypes) {
+    await this.ensureInitialized();
+
+    return await this.db.selectDistinct({
+      athleteId: activities.member_athlete_id,
+      day: sql`substr(${activities.start_date_local}, 1, 10)`.as('day'),
+    })
+      .from(activities)
+      .innerJoin(members, eq(members.athlete_id, activities.member_athlete_id))
+      .where(this._runWindowConditions(startDateISO, endDateISO, runTypes))
+      .orderBy(asc(activities.member_athlete_id), asc(sql`day`));
+  }
+
+  // One page of the activities that were posted to Discord, newest first,
+  // for the public API. Activities the bot only saved (private, muted,
+  // hidden) are never returned. `from`/`to` are inclusive local days
+  // (YYYY-MM-DD); `types` matches either `type` or `sport_type`.
+  // Returns { total, rows }.
+  async getPostedActivities({ athleteIds, types = null, from = null, to = null, limit = 20, offset = 0 }) {
+    await this.ensureInitialized();
+
+    const conditions = [
+      inArray(activities.member_athlete_id, athleteIds),
+      inArray(activities.strava_activity_id, this.db.select({ id: activityPosts.activity_id }).from(activityPosts)),
+    ];
+    if (types) {
+      conditions.push(or(inArray(activities.type, types), inArray(activities.sport_type, types)));
+    }
+    if (from) {
+      conditions.push(gte(activities.start_date_local, from));
+    }
+    if (to) {
+      conditions.push(sql`substr(${activities.start_date_local}, 1, 10) <= ${to}`);
+    }
+    const where = and(...conditions);
+
+    const [{ count }] = await this.db.select({ count: sql`count(*)` }).from(activities).where(where);
+    const rows = await this.db.select()
+      .from(activities)
+      .where(where)
+      .orderBy(desc(activities.start_date), desc(activities.strava_activity_id))
+      .limit(limit)
+      .offset(offset);
+
+    return { total: Number(count), rows };
+  }
+
+  _runWindowConditions(startDateISO, endDateISO, runTypes) {
+    return and(
+      inArray(activities.type, runTypes),
+      gte(activities.start_date_local, startDateISO),
+      lt(activities.start_date_local, endDateISO),
+      eq(members.is_active, 1),
+      sql`${activities.distance} > 0`
+    );
+  }
+
+  // === CHALLENGE MANAGEMENT ===
+  async createChallenge(challengeData) {
+    await this.ensureInitialized();
+
+    const now = new Date().toISOString();
+    const result = await this.db.insert(challenges).values({
+      name: challengeData.name,
+      description: challengeData.description || null,
+      metric: challengeData.metric,
+      scope: challengeData.scope || 'team',
+      target_value: challengeData.targetValue,
+      start_date: challengeData.startDate,
+      end_date: challengeData.endDate,
+      created_by_discord_id: challengeData.createdByDiscordId || null,
+      created_at: now,
+      updated_at: now,
+    }).returning();
+
+    logger.database.info('Challenge created', {
+      challengeId: result[0]?.id,
+      name: challengeData.name,
+      metric: challengeData.metric,
+      scope: challengeData.scope || 'team',
+      startDate: challengeData.startDate,
+      endDate: challengeData.endDate
+    });
+
+    return result[0];
+  }
+
+  async getChallenge(challengeId) {
+    await this.ensureInitialized();
+
+    return await this.db.select()
+      .from(challenges)
+      .where(eq(challenges.id, Number.parseInt(challengeId)))
+      .get() || null;
+  }
+
+  async getChallenges(options = {}) {
+    await this.ensureInitialized();
+
+    let query = this.db.select().from(challenges);
+
+    if (options.status) {
+      query = query.where(eq(challenges.status, options.status));
+    }
+
+    return await query.orderBy(desc(challenges.start_date));
+  }
+
+  // Active challenges this member has joined whose window contains `day`
+  // (YYYY-MM-DD) — the ones a new activity on that day can move forward.
+  async getActiveChallengesForAthlete(athleteId, day) {
+    await this.ensureInitialized();
+
+    const rows = await this.db.select()
+      .from(challenges)
+      .innerJoin(challengeParticipants, eq(challengeParticipants.challenge_id, challenges.id))
+      .where(and(
+        eq(challengeParticipants.member_athlete_id, Number.parseInt(athleteId)),
+        eq(challenges.status, 'active'),
+        lte(challenges.start_date, day),
+        gte(challenges.end_date, day)
+      ))
+      .orderBy(asc(challenges.id));
+
+    return rows.map(row => row.challenges);
+  }
+
+  // Returns true when the member was added, false when already a participant
+  async addChallengeParticipant(challengeId, athleteId) {
+    await this.ensureInitialized();
+
+    const result = await this.db.insert(challengeParticipants).values({
+      challenge_id: Number.parseInt(challengeId),
+      member_athlete_id: Number.parseInt(athleteId),
+      joined_at: new Date().toISOString(),
+    }).onConflictDoNothing().returning();
+
+    return result.length > 0;
+  }
+
+  // Returns true when a participant row was removed
+  async removeChallengeParticipant(challengeId, athleteId) {
+    await this.ensureInitialized();
+
+    const result = await this.db.delete(challengeParticipants)
+      .where(and(
+        eq(challengeParticipants.challenge_id, Number.parseInt(challengeId)),
+        eq(challengeParticipants.member_athlete_id, Number.parseInt(athleteId))
+      ))
+      .returning();
+
+    return result.length > 0;
+  }
+
+  async getChallengeParticipants(challengeId) {
+    await this.ensureInitialized();
+
+    return await this.db.select()
+      .from(challengeParticipants)
+      .where(eq(challengeParticipants.challenge_id, Number.parseInt(challengeId)))
+      .orderBy(asc(challengeParticipants.joined_at));
+  }
+
+  // The three announcement flags below only flip forward, and only once: the
+  // WHERE clause is evaluated inside SQLite, so when two activities cross the
+  // same threshold concurrently exactly one caller gets `true` and announces.
+  async advanceChallengeMilestone(challengeId, milestone) {
+    await this.ensureInitialized();
+
+    const result = await this.db.update(challenges)
+      .set({ last_milestone: milestone, updated_at: new Date().toISOString() })
+      .where(and(
+        eq(challenges.id, Number.parseInt(challengeId)),
+        lt(challenges.last_milestone, milestone)
+      ))
+      .returning();
+
+    return result.length > 0;
+  }
+
+  async completeChallenge(challengeId) {
+    await this.ensureInitialized();
+
+    const now = new Date().toISOString();
+    const result = await this.db.update(challenges)
+      .set({ status: 'completed', completed_at: now, updated_at: now })
+      .where(and(
+        eq(challenges.id, Number.parseInt(challengeId)),
+        eq(challenges.status, 'active')
+      ))
+      .returning();
+
+    return result.length > 0;
+  }
+
+  async completeChallengeParticipant(challengeId, athleteId) {
+    await this.ensureInitialized();
+
+    const result = await this.db.update(challengeParticipants)
+      .set({ completed_at: new Date().toISOString() })
+      .where(and(
+        eq(challengeParticipants.challenge_id, Number.parseInt(challengeId)),
+        eq(challengeParticipants.member_athlete_id, Number.parseInt(athleteId)),
+        isNull(challengeParticipants.completed_at)
+      ))
+      .returning();
+
+    return result.length > 0;
+  }
+
+  // === MEMBER PREFERENCES ===
+  // Raw row or null when the member never changed anything (all defaults)
+  async getMemberPreferences(athleteId) {
+    await this.ensureInitialized();
+
+    return await this.db.select()
+      .from(memberPreferences)
+      .where(eq(memberPreferences.member_athlete_id, Number.parseInt(athleteId)))
+      .get() || null;
+  }
+
+  // Raw rows of several members in one query; members without a row are
+  // left out
+  async getMembersPreferences(athleteIds) {
+    await this.ensureInitialized();
+    if (athleteIds.length === 0) return [];
+
+    return await this.db.select()
+      .from(memberPreferences)
+      .where(inArray(memberPreferences.member_athlete_id, athleteIds.map(id => Number.parseInt(id))))
+      .all();
+  }
+
+  // Insert or partially update a member's preferences. `updates` holds
+  // column names; columns left out keep their stored (or default) value.
+  async upsertMemberPreferences(athleteId, updates) {
+    await this.ensureInitialized();
+
+    const now = new Date().toISOString();
+    const result = await this.db.insert(memberPreferences)
+      .values({
+        ...updates,
+        member_athlete_id: Number.parseInt(athleteId),
+        created_at: now,
+        updated_at: now,
+      })
+      .onConflictDoUpdate({
+        target: memberPreferences.member_athlete_id,
+        set: { ...updates, updated_at: now },
+      })
+      .returning();
+
+    logger.database.info('Member preferences updated', {
+      athleteId,
+      fields: Object.keys(updates)
+    });
+
+    return result[0];
+  }
+
+  // === ACTIVITY POSTS & KUDOS ===
+  async recordActivityPost(post) {
+    await this.ensureInitialized();
+
+    await this.db.insert(activityPosts).values({
+      discord_message_id: String(post.messageId),
+      discord_channel_id: String(post.channelId),
+      discord_guild_id: post.guildId ? String(post.guildId) : null,
+      activity_id: String(post.activityId),
+      provider: post.provider || 'strava',
+      member_athlete_id: Number.parseInt(post.athleteId),
+      posted_at: new Date().toISOString(),
+    }).onConflictDoNothing();
+  }
+
+  // Post row plus the owner's Discord id (to ignore self-kudos), or null
+  // when the message isn't an activity post
+  async getActivityPostByMessageId(messageId) {
+    await this.ensureInitialized();
+
+    const row = await this.db.select({
+      post: activityPosts,
+      ownerDiscordUserId: members.discord_user_id,
+    })
+      .from(activityPosts)
+      .innerJoin(members, eq(members.athlete_id, activityPosts.member_athlete_id))
+      .where(eq(activityPosts.discord_message_id, String(messageId)))
+      .get();
+
+    return row ? { ...row.post, owner_discord_user_id: row.ownerDiscordUserId } : null;
+  }
+
+  // Most recent post of an activity (an activity is normally posted once)
+  async getActivityPost(activityId) {
+    await this.ensureInitialized();
+
+    return await this.db.select()
+      .from(activityPosts)
+      .where(eq(activityPosts.activity_id, String(activityId)))
+      .orderBy(desc(activityPosts.posted_at))
+      .get() || null;
+  }
+
+  async getActivityPosts(activityId) {
+    await this.ensureInitialized();
+
+    return await this.db.select()
+      .from(activityPosts)
+      .where(eq(activityPosts.activity_id, String(activityId)))
+      .orderBy(asc(activityPosts.posted_at));
+  }
+
+  // Forget an activity's Discord posts and their kudos, e.g. once the
+  // activity went private and its message was deleted
+  async deleteActivityPosts(activityId) {
+    await this.ensureInitialized();
+
+    this.db.transaction((tx) => {
+      tx.delete(activityKudos).where(eq(activityKudos.activity_id, String(activityId))).run();
+      tx.delete(activityPosts).where(eq(activityPosts.activity_id, String(activityId))).run();
+    });
+  }
+
+  // Returns true when the reaction was new
+  async addActivityKudos({ activityId, athleteId, reactorDiscordUserId, emoji }) {
+    await this.ensureInitialized();
+
+    const result = await this.db.insert(activityKudos).values({
+      activity_id: String(activityId),
+      member_athlete_id: Number.parseInt(athleteId),
+      reactor_discord_user_id: String(reactorDiscordUserId),
+      emoji,
+      created_at: new Date().toISOString(),
+    }).onConflictDoNothing().returning();
+
+    return result.length > 0;
+  }
+
+  // Returns true when a reaction row was removed
+  async removeActivityKudos({ activityId, reactorDiscordUserId, emoji }) {
+    await this.ensureInitialized();
+
+    const result = await this.db.delete(activityKudos)
+      .where(and(
+        eq(activityKudos.activity_id, String(activityId)),
+        eq(activityKudos.reactor_discord_user_id, String(reactorDiscordUserId)),
+        eq(activityKudos.emoji, emoji)
+      ))
+      .returning();
+
+    return result.length > 0;
+  }
+
+  // Runs in a date window ranked by distinct teammates who reacted, with the
+  // same run filters as the leaderboard. Ties go to the earlier run.
+  async getTopKudosActivities(startDateISO, endDateISO, runTypes, limit) {
+    await this.ensureInitialized();
+
+    return await this.db.select({
+      activityId: activities.strava_activity_id,
+      athleteId: activities.member_athlete_id,
+      name: activities.name,
+      distance: activities.distance,
+      startDateLocal: activities.start_date_local,
+      kudosCount: sql`COUNT(DISTINCT ${activityKudos.reactor_discord_user_id})`.as('kudosCount'),
+    })
+      .from(activityKudos)
+      .innerJoin(activities, eq(activities.strava_activity_id, activityKudos.activity_id))
+      .innerJoin(members, eq(members.athlete_id, activities.member_athlete_id))
+      .where(this._runWindowConditions(startDateISO, endDateISO, runTypes))
+      .groupBy(activities.strava_activity_id)
+      .orderBy(desc(sql`kudosCount`), asc(activities.start_date_local))
+      .limit(limit);
+  }
+
+  // Discord users ranked by how many different activities they reacted to
+  // in a date window (by reaction time, whatever the activity's date)
+  async getTopKudosGivers(startDateISO, endDateISO, limit) {
+    await this.ensureInitialized();
+
+    return await this.db.select({
+      discordUserId: activityKudos.reactor_discord_user_id,
+      activityCount: sql`COUNT(DISTINCT ${activityKudos.activity_id})`.as('activityCount'),
+    })
+      .from(activityKudos)
+      .where(and(
+        gte(activityKudos.created_at, startDateISO),
+        lt(activityKudos.created_at, endDateISO)
+      ))
+      .groupBy(activityKudos.reactor_discord_user_id)
+      .orderBy(desc(sql`activityCount`), asc(sql`MIN(${activityKudos.created_at})`))
+      .limit(limit);
+  }
+
+  // === ACTIVITY QUEUE ===
+  // Insert or replace the persisted copy of an ActivityQueue item
+  async saveQueuedActivity(item) {
+    await this.ensureInitialized();
+
+    const row = {
+      athlete_id: Number.parseInt(item.athleteId),
+      queued_at: item.queuedAt.toISOString(),
+      scheduled_time: item.scheduledTime.toISOString(),
+      updated_at: item.updatedAt ? item.updatedAt.toISOString() : null,
+      webhook_data: JSON.stringify(item.originalWebhookData || {}),
+      status: item.status,
+    };
+
+    await this.db.insert(activityQueue)
+      .values({ activity_id: Number(item.activityId), ...row })
+      .onConflictDoUpdate({ target: activityQueue.activity_id, set: row });
+  }
+
+  async deleteQueuedActivity(activityId) {
+    await this.ensureInitialized();
+
+    await this.db.delete(activityQueue).where(eq(activityQueue.activity_id, Number(activityId)));
+  }
+
+  // Persisted queue items, next due first
+  async getQueuedActivities() {
+    await this.ensureInitialized();
+
+    return await this.db.select()
+      .from(activityQueue)
+      .orderBy(asc(activityQueue.scheduled_time));
+  }
+
+  // === PROCESSED ACTIVITIES ===
+  // Latest outcome of an activity, or null when it was never processed.
+  // Without a provider, intervals.icu ids ('i'-prefixed) can't clash with
+  // Strava's numeric ones, so the id alone finds the row.
+  async getActivityOutcome(activityId, provider = null) {
+    await this.ensureInitialized();
+
+    const conditions = [eq(processedActivities.activity_id, String(activityId))];
+    if (provider) conditions.push(eq(processedActivities.provider, provider));
+
+    return await this.db.select()
+      .from(processedActivities)
+      .where(and(...conditions))
+      .orderBy(desc(processedActivities.updated_at))
+      .get() || null;
+  }
+
+  // Record the outcome of processing an activity, replacing the previous one
+  async recordActivityOutcome({ provider, activityId, athleteId, outcome, reason = null }) {
+    await this.ensureInitialized();
+
+    const now = new Date().toISOString();
+    await this.db.insert(processedActivities)
+      .values({
+        provider,
+        activity_id: String(activityId),
+        member_athlete_id: Number.parseInt(athleteId),
+        outcome,
+        reason,
+        first_processed_at: now,
+        updated_at: now,
+      })
+      .onConflictDoUpdate({
+        target: [processedActivities.provider, processedActivities.activity_id],
+        set: { outcome, reason, attempts: sql`${processedActivities.attempts} + 1`, updated_at: now },
+      });
+  }
+
+  // { posted: n, filtered: n, duplicate: n, failed: n }, outcomes without rows left out
+  async getActivityOutcomeCounts() {
+    await this.ensureInitialized();
+
+    const rows = await this.db.select({
+      outcome: processedActivities.outcome,
+      count: sql`COUNT(*)`,
+    })
+      .from(processedActivities)
+      .groupBy(processedActivities.outcome);
+
+    return Object.fromEntries(rows.map(row => [row.outcome, Number(row.count)]));
+  }
+
+  // === ACTIVITY RETRIES ===
+  async getActivityRetry(activityId) {
+    await this.ensureInitialized();
+
+    return await this.db.select()
+      .from(activityRetries)
+      .where(eq(activityRetries.activity_id, Number(activityId)))
+      .get() || null;
+  }
+
+  // Insert or replace the retry row of an activity
+  async saveActivityRetry({ activityId, athleteId, attempts, nextAttemptAt, lastError = null, lastStatus = null, status }) {
+    await this.ensureInitialized();
+
+    const now = new Date().toISOString();
+    const row = {
+      athlete_id: Number.parseInt(athleteId),
+      attempts,
+      next_attempt_at: nextAttemptAt ? nextAttemptAt.toISOString() : null,
+      last_error: lastError,
+      last_status: lastStatus,
+      status,
+      updated_at: now,
+    };
+
+    await this.db.insert(activityRetries)
+      .values({ activity_id: Number(activityId), ...row, created_at: now })
+      .onConflictDoUpdate({ target: activityRetries.activity_id, set: row });
+  }
+
+  async deleteActivityRetry(activityId) {
+    await this.ensureInitialized();
+
+    const result = await this.db.delete(activityRetries)
+      .where(eq(activityRetries.activity_id, Number(activityId)))
+      .returning();
+
+    return result.length > 0;
+  }
+
+  // Pending retries whose backoff has elapsed, longest waiting first
+  async getDueActivityRetries(now = new Date()) {
+    await this.ensureInitialized();
+
+    return await this.db.select()
+      .from(activityRetries)
+      .where(and(
+        eq(activityRetries.status, 'pending'),
+        lte(activityRetries.next_attempt_at, now.toISOString())
+      ))
+      .orderBy(asc(activityRetries.next_attempt_at));
+  }
+
+  // Dead-lettered activities, most recent failure first
+  async getDeadLetterActivities() {
+    await this.ensureInitialized();
+
+    return await this.db.select()
+      .from(activityRetries)
+      .where(eq(activityRetries.status, 'dead'))
+      .orderBy(desc(activityRetries.updated_at));
+  }
+
+  // { pending: n, dead: n }
+  async getActivityRetryCounts() {
+    await this.ensureInitialized();
+
+    const rows = await this.db.select({
+      status: activityRetries.status,
+      count: sql`COUNT(*)`,
+    })
+      .from(activityRetries)
+      .groupBy(activityRetries.status);
+
+    const counts = { pending: 0, dead: 0 };
+    for (const row of rows) counts[row.status] = Number(row.count);
+    return counts;
+  }
+
+  // === API AUDIT LOG ===
+  async addApiAuditEntry({ tokenId = null, scope = null, method, path, status, ip = null }) {
+    await this.ensureInitialized();
+
+    await this.db.insert(apiAuditLog).values({
+      token_id: tokenId,
+      scope,
+      method,
+      path,
+      status,
+      ip,
+      created_at: new Date().toISOString(),
+    });
+  }
+
+  // Most recent calls first, optionally for one token
+  async getApiAuditLog({ tokenId = null, limit = 20 } = {}) {
+    await this.ensureInitialized();
+
+    return await this.db.select()
+      .from(apiAuditLog)
+      .where(tokenId ? eq(apiAuditLog.token_id, tokenId) : undefined)
+      .orderBy(desc(apiAuditLog.id))
+      .limit(limit);
+  }
+
+  // { tokenId: ISO timestamp of its last call }
+  async getApiTokenLastUsed() {
+    await this.ensureInitialized();
+
+    const rows = await this.db.select({
+      tokenId: apiAuditLog.token_id,
+      lastUsedAt: sql`MAX(${apiAuditLog.created_at})`,
+    })
+      .from(apiAuditLog)
+      .where(isNotNull(apiAuditLog.token_id))
+      .groupBy(apiAuditLog.token_id);
+
+    return Object.fromEntries(rows.map(row => [row.tokenId, row.lastUsedAt]));
+  }
+
+  // === OAUTH STATES ===
+  // Expired states are pruned whenever a new one is saved
+  async saveOAuthState({ nonce, discordUserId, expiresAt }) {
+    await this.ensureInitialized();
+
+    const now = new Date().toISOString();
+    await this.db.delete(oauthStates).where(lt(oauthStates.expires_at, now));
+    await this.db.insert(oauthStates).values({
+      nonce,
+      discord_user_id: discordUserId,
+      expires_at: expiresAt,
+      created_at: now,
+    });
+  }
+
+  async getOAuthState(nonce) {
+    await this.ensureInitialized();
+
+    return await this.db.select()
+      .from(oauthStates)
+      .where(eq(oauthStates.nonce, nonce))
+      .get() || null;
+  }
+
+  // false when the state is unknown, used or expired
+  async confirmOAuthState(nonce, now = new Date()) {
+    await this.ensureInitialized();
+
+    const result = await this.db.update(oauthStates)
+      .set({ confirmed_at: now.toISOString() })
+      .where(and(eq(oauthStates.nonce, nonce), gte(oauthStates.expires_at, now.toISOString())))
+      .run();
+    return result.changes > 0;
+  }
+
+  // Delete and return the state in one statement, so two callbacks racing
+  // with the same link can't both get it. null when unknown, used, expired
+  // or (with requireConfirmation) never confirmed.
+  async consumeOAuthState(nonce, { requireConfirmation = false, now = new Date() } = {}) {
+    await this.ensureInitialized();
+
+    return await this.db.delete(oauthStates)
+      .where(and(
+        eq(oauthStates.nonce, nonce),
+        gte(oauthStates.expires_at, now.toISOString()),
+        requireConfirmation ? isNotNull(oauthStates.confirmed_at) : undefined
+      ))
+      .returning()
+      .get() || null;
+  }
+
+  // === OUTBOUND WEBHOOKS ===
+  async addOutboundWebhook({ url, events, secret, createdBy }) {
+    await this.ensureInitialized();
+
+    return await this.db.insert(outboundWebhooks)
+      .values({
+        url,
+        events,
+        secret,
+        created_by: createdBy,
+        created_at: new Date().toISOString(),
+      })
+      .returning()
+      .get();
+  }
+
+  async getOutboundWebhooks() {
+    await this.ensureInitialized();
+
+    return await this.db.select()
+      .from(outboundWebhooks)
+      .orderBy(asc(outboundWebhooks.id));
+  }
+
+  async getOutboundWebhook(id) {
+    await this.ensureInitialized();
+
+    return await this.db.select()
+      .from(outboundWebhooks)
+      .where(eq(outboundWebhooks.id, Number(id)))
+      .get() || null;
+  }
+
+  // Its deliveries go with it (ON DELETE CASCADE)
+  async removeOutboundWebhook(id) {
+    await this.ensureInitialized();
+
+    const result = await this.db.delete(outboundWebhooks)
+      .where(eq(outboundWebhooks.id, Number(id)))
+      .returning();
+
+    return result.length > 0;
+  }
+
+  // A new, not yet attempted delivery, picked up by getDueWebhookDeliveries
+  // from nextAttemptAt if its first attempt never finishes. Deliveries older
+  // than DELIVERY_RETENTION_DAYS are pruned whenever one is created.
+  async createWebhookDelivery({ webhookId, event, payload, nextAttemptAt }) {
+    await this.ensureInitialized();
+
+    const now = new Date();
+    const cutoff = new Date(now.getTime() - OUTBOUND_WEBHOOK.DELIVERY_RETENTION_DAYS * TIME.MS_PER_DAY);
+    await this.db.delete(outboundWebhookDeliveries)
+      .where(lt(outboundWebhookDeliveries.created_at, cutoff.toISOString()));
+
+    return await this.db.insert(outboundWebhookDeliveries)
+      .values({
+        webhook_id: Number(webhookId),
+        event,
+        payload,
+        status: OUTBOUND_WEBHOOK.DELIVERY_STATUS.PENDING,
+        attempts: 0,
+        next_attempt_at: nextAttemptAt.toISOString(),
+        created_at: now.toISOString(),
+        updated_at: now.toISOString(),
+      })
+      .returning()
+      .get();
+  }
+
+  // Record the outcome of an attempt
+  async updateWebhookDelivery(id, { status, attempts, nextAttemptAt = null, lastStatus = null, lastError = null }) {
+    await this.ensureInitialized();
+
+    return await this.db.update(outboundWebhookDeliveries)
+      .set({
+        status,
+        attempts,
+        next_attempt_at: nextAttemptAt ? nextAttemptAt.toISOString() : null,
+        last_status: lastStatus,
+        last_error: lastError,
+        updated_at: new Date().toISOString(),
+      })
+      .where(eq(outboundWebhookDeliveries.id, Number(id)))
+      .returning()
+      .get() || null;
+  }
+
+  // Pending deliveries whose backoff has elapsed, longest waiting first
+  async getDueWebhookDeliveries(now = new Date()) {
+    await this.ensureInitialized();
+
+    return await this.db.select()
+      .from(outboundWebhookDeliveries)
+      .where(and(
+        eq(outboundWebhookDeliveries.status, OUTBOUND_WEBHOOK.DELIVERY_STATUS.PENDING),
+        lte(outboundWebhookDeliveries.next_attempt_at, now.toISOString())
+      ))
+      .orderBy(asc(outboundWebhookDeliveries.next_attempt_at));
+  }
+
+  // Most recent deliveries of a webhook first
+  async getWebhookDeliveries(webhookId, { limit = 20 } = {}) {
+    await this.ensureInitialized();
+
+    return await this.db.select()
+      .from(outboundWebhookDeliveries)
+      .where(eq(outboundWebhookDeliveries.webhook_id, Number(webhookId)))
+      .orderBy(desc(outboundWebhookDeliveries.id))
+      .limit(limit);
+  }
+
   // === UTILITY METHODS ===
   async getStats() {
     await this.ensureInitialized();
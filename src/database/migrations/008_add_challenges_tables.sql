@@ -0,0 +1,37 @@
+-- Migration 008: Add team challenges
+-- A challenge is a target on one leaderboard metric over a date window
+-- ("500 km as a team in March"). Progress is never stored — it is summed
+-- from the activities table on demand — so re-synced or re-processed
+-- activities can't double-count. Only announcement state is persisted:
+-- last_milestone / status / completed_at are flipped with conditional
+-- UPDATEs so two activities processed at once can't both announce the same
+-- milestone.
+
+CREATE TABLE IF NOT EXISTS challenges (
+  id                    INTEGER PRIMARY KEY AUTOINCREMENT,
+  name                  TEXT NOT NULL,
+  description           TEXT,
+  metric                TEXT NOT NULL,                  -- distance, elevation, moving_time, count
+  scope                 TEXT NOT NULL DEFAULT 'team',   -- team (pooled total) or individual (everyone hits the target)
+  target_value          REAL NOT NULL,                  -- metres, metres, seconds or runs
+  start_date            TEXT NOT NULL,                  -- YYYY-MM-DD, inclusive
+  end_date              TEXT NOT NULL,                  -- YYYY-MM-DD, inclusive
+  status                TEXT NOT NULL DEFAULT 'active', -- active, completed
+  last_milestone        INTEGER NOT NULL DEFAULT 0,     -- highest percentage milestone announced
+  created_by_discord_id TEXT,
+  completed_at          TEXT,
+  created_at            TEXT DEFAULT CURRENT_TIMESTAMP,
+  updated_at            TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS challenge_status_idx ON challenges(status);
+
+CREATE TABLE IF NOT EXISTS challenge_participants (
+  challenge_id       INTEGER NOT NULL REFERENCES challenges(id) ON DELETE CASCADE,
+  member_athlete_id  INTEGER NOT NULL REFERENCES members(athlete_id) ON DELETE CASCADE ON UPDATE CASCADE,
+  joined_at          TEXT DEFAULT CURRENT_TIMESTAMP,
+  completed_at       TEXT,                              -- individual challenges: when this member hit the target
+  PRIMARY KEY (challenge_id, member_athlete_id)
+);
+
+CREATE INDEX IF NOT EXISTS challenge_participant_member_idx ON challenge_participants(member_athlete_id);
@@ -0,0 +1,16 @@
+-- Migration 009: Add per-member posting preferences
+-- One optional row per member. A missing row means the defaults: every
+-- sport posted, heart rate / pace / map all shown, never paused. These only
+-- decide what reaches Discord — activities are still saved and still count
+-- for PBs, leaderboards and challenges.
+
+CREATE TABLE IF NOT EXISTS member_preferences (
+  member_athlete_id  INTEGER PRIMARY KEY REFERENCES members(athlete_id) ON DELETE CASCADE ON UPDATE CASCADE,
+  sport_types        TEXT,                          -- JSON array of POSTING_SPORT_CATEGORIES keys; NULL = all
+  show_heart_rate    INTEGER NOT NULL DEFAULT 1,
+  show_pace          INTEGER NOT NULL DEFAULT 1,    -- pace, speed and GAP fields
+  show_map           INTEGER NOT NULL DEFAULT 1,
+  paused_until       TEXT,                          -- YYYY-MM-DD, inclusive; NULL = posting
+  created_at         TEXT DEFAULT CURRENT_TIMESTAMP,
+  updated_at         TEXT DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,6 @@
+-- Migration 010: Add route privacy zones to member preferences
+-- Circles (lat/lon + radius) around places a member doesn't want shown on
+-- route maps. Stored as an AES-256-GCM blob (EncryptionUtils), never as
+-- plain coordinates: the list is effectively the member's home address.
+
+ALTER TABLE member_preferences ADD COLUMN encrypted_privacy_zones TEXT;
@@ -0,0 +1,7 @@
+-- Migration 011: Add heart-rate zone settings to member preferences
+-- Max and threshold heart rate (bpm) used to split an activity's heart-rate
+-- stream into time-in-zone. NULL = not set; zones use the threshold when
+-- there is one, else the max, and are skipped when neither is set.
+
+ALTER TABLE member_preferences ADD COLUMN max_heart_rate INTEGER;
+ALTER TABLE member_preferences ADD COLUMN threshold_heart_rate INTEGER;
@@ -0,0 +1,33 @@
+-- Migration 012: Remember bot-posted activity messages and their kudos
+-- activity_posts maps a Discord message back to the activity it shows, so a
+-- reaction on that message can be credited to the right run. activity_id is
+-- not a foreign key to activities: intervals.icu activities are posted
+-- before their activities row is written.
+--
+-- activity_kudos holds one row per (activity, reacting user, emoji). Counts
+-- use DISTINCT reactors, so three different emojis from one teammate are
+-- still one kudos; the emoji is kept so removing one reaction only removes
+-- that row.
+
+CREATE TABLE IF NOT EXISTS activity_posts (
+  discord_message_id  TEXT PRIMARY KEY,
+  discord_channel_id  TEXT NOT NULL,
+  discord_guild_id    TEXT,                               -- for message links, null in DMs
+  activity_id         TEXT NOT NULL,                      -- activities.strava_activity_id
+  provider            TEXT NOT NULL DEFAULT 'strava',
+  member_athlete_id   INTEGER NOT NULL REFERENCES members(athlete_id) ON DELETE CASCADE ON UPDATE CASCADE,
+  posted_at           TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS activity_post_activity_idx ON activity_posts(activity_id);
+
+CREATE TABLE IF NOT EXISTS activity_kudos (
+  activity_id              TEXT NOT NULL,
+  member_athlete_id        INTEGER NOT NULL REFERENCES members(athlete_id) ON DELETE CASCADE ON UPDATE CASCADE, -- activity owner
+  reactor_discord_user_id  TEXT NOT NULL,
+  emoji                    TEXT NOT NULL,               -- custom emoji id, or the unicode emoji itself
+  created_at               TEXT DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (activity_id, reactor_discord_user_id, emoji)
+);
+
+CREATE INDEX IF NOT EXISTS activity_kudos_created_idx ON activity_kudos(created_at);
@@ -0,0 +1,18 @@
+-- Migration 013: Persist the delayed-posting queue
+-- ActivityQueue used to hold activities waiting out POST_DELAY_MINUTES only
+-- in memory, so a deploy or crash during that window silently dropped them.
+-- One row per queued activity; rows are removed once the activity has been
+-- processed (posted, filtered or failed) or deleted on Strava.
+--
+-- athlete_id is not a foreign key: webhooks are queued before the athlete is
+-- checked against the members table.
+
+CREATE TABLE IF NOT EXISTS activity_queue (
+  activity_id     INTEGER PRIMARY KEY,                  -- Strava activity id
+  athlete_id      INTEGER NOT NULL,
+  queued_at       TEXT NOT NULL,
+  scheduled_time  TEXT NOT NULL,                        -- when the delay elapses
+  updated_at      TEXT,                                 -- last update event while queued
+  webhook_data    TEXT NOT NULL DEFAULT '{}',           -- JSON
+  status          TEXT NOT NULL DEFAULT 'queued'        -- queued, processing
+);
@@ -0,0 +1,41 @@
+-- Migration 014: Ledger of what happened to each activity the bot processed
+-- Replaces ActivityProcessor's in-memory processedActivities Set, which was
+-- empty after every restart: a replayed Strava webhook or the startup
+-- processRecentActivities pass could post an activity a second time.
+--
+-- One row per (provider, activity id). outcome is the latest result:
+--   posted     sent to Discord
+--   filtered   kept off Discord by the posting rules or the member's preferences
+--   duplicate  same run as an activity already saved under another provider
+--   failed     processing threw; `reason` says why. Failed activities are
+--              processed again when they come back; the others are not.
+-- attempts counts how many times the activity was processed.
+
+CREATE TABLE IF NOT EXISTS processed_activities (
+  provider           TEXT NOT NULL,                     -- strava, intervals
+  activity_id        TEXT NOT NULL,
+  member_athlete_id  INTEGER NOT NULL REFERENCES members(athlete_id) ON DELETE CASCADE ON UPDATE CASCADE,
+  outcome            TEXT NOT NULL,                     -- posted, filtered, duplicate, failed
+  reason             TEXT,
+  attempts           INTEGER NOT NULL DEFAULT 1,
+  first_processed_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  updated_at         TEXT DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (provider, activity_id)
+);
+
+CREATE INDEX IF NOT EXISTS processed_activity_outcome_idx ON processed_activities(outcome);
+
+-- Everything already saved was handled before this table existed. Without
+-- these rows the first restart after upgrading would post the last day of
+-- activities again. Posts are only on record since migration 012, so an
+-- activity without one may still have been posted.
+INSERT OR IGNORE INTO processed_activities (provider, activity_id, member_athlete_id, outcome, reason)
+SELECT
+  a.provider,
+  a.strava_activity_id,
+  a.member_athlete_id,
+  CASE WHEN EXISTS (SELECT 1 FROM activity_posts p WHERE p.activity_id = a.strava_activity_id)
+    THEN 'posted' ELSE 'filtered' END,
+  CASE WHEN EXISTS (SELECT 1 FROM activity_posts p WHERE p.activity_id = a.strava_activity_id)
+    THEN NULL ELSE 'Processed before the activity ledger existed; no post on record' END
+FROM activities a;
@@ -0,0 +1,24 @@
+-- Migration 015: Retry queue for failed activity processing
+-- A Strava 5xx, Discord outage or network blip used to fail an activity for
+-- good. Failed Strava activities now get a row here and are processed again
+-- with capped exponential backoff; after RETRY_MAX_ATTEMPTS they stay as
+-- 'dead' (the dead-letter store) until an admin runs /activity retry.
+-- Rows are removed once the activity goes through (posted, filtered or
+-- duplicate).
+--
+-- intervals.icu activities aren't listed: the poll already picks failed ones
+-- up again on its next run.
+
+CREATE TABLE IF NOT EXISTS activity_retries (
+  activity_id      INTEGER PRIMARY KEY,                  -- Strava activity id
+  athlete_id       INTEGER NOT NULL,
+  attempts         INTEGER NOT NULL DEFAULT 1,           -- failed attempts so far
+  next_attempt_at  TEXT,                                 -- NULL once dead
+  last_error       TEXT,
+  last_status      INTEGER,                              -- HTTP status of the last error, if any
+  status           TEXT NOT NULL DEFAULT 'pending',      -- pending, dead
+  created_at       TEXT NOT NULL,
+  updated_at       TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS activity_retry_due_idx ON activity_retries(status, next_attempt_at);
@@ -0,0 +1,32 @@
+-- Migration 016: Keep every record-setting effort, not only the current PB
+-- personal_bests holds one row per member and category, so each new PB
+-- overwrote the previous one. pb_history keeps the progression: one row per
+-- effort that was the member's fastest for its category on its date.
+-- Efforts can arrive out of order (history syncs walk backwards in time),
+-- so an older, faster effort removes later rows it turns out to beat.
+--
+-- Existing PBs are copied in as the first entry of each progression.
+
+CREATE TABLE IF NOT EXISTS pb_history (
+  id                   INTEGER PRIMARY KEY AUTOINCREMENT,
+  member_athlete_id    INTEGER NOT NULL REFERENCES members(athlete_id) ON DELETE CASCADE ON UPDATE CASCADE,
+  category             TEXT NOT NULL,                   -- same labels as personal_bests
+  distance_m           REAL NOT NULL,
+  elapsed_time         INTEGER NOT NULL,                -- seconds
+  moving_time          INTEGER NOT NULL,
+  activity_id          TEXT NOT NULL,
+  activity_name        TEXT,
+  activity_date        TEXT NOT NULL,                   -- YYYY-MM-DD
+  recorded_at          TEXT DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (member_athlete_id, category, activity_id)
+);
+
+CREATE INDEX IF NOT EXISTS pb_history_member_category_idx ON pb_history(member_athlete_id, category, activity_date);
+
+INSERT OR IGNORE INTO pb_history (
+  member_athlete_id, category, distance_m, elapsed_time, moving_time,
+  activity_id, activity_name, activity_date, recorded_at
+)
+SELECT member_athlete_id, category, distance_m, elapsed_time, moving_time,
+       strava_activity_id, activity_name, activity_date, COALESCE(updated_at, CURRENT_TIMESTAMP)
+FROM personal_bests;
@@ -0,0 +1,8 @@
+-- Migration 017: Store the result of a completed race
+-- completeRace used to mark a race done without keeping the outcome. A run on
+-- the race date is now linked to the race automatically: finish_time is its
+-- elapsed time in seconds and activity_id the Strava or intervals.icu
+-- activity it came from. Both stay NULL for races completed without one.
+
+ALTER TABLE races ADD COLUMN finish_time INTEGER;
+ALTER TABLE races ADD COLUMN activity_id TEXT;
@@ -0,0 +1,9 @@
+-- Migration 018: Placement and bib number for race results
+-- `/my-races result` records the official result of a race: the overall and
+-- category placement from the results sheet and the runner's bib number. All
+-- three are optional and stay NULL until the runner enters them; the bib can
+-- be set before the race.
+
+ALTER TABLE races ADD COLUMN overall_place INTEGER;
+ALTER TABLE races ADD COLUMN category_place INTEGER;
+ALTER TABLE races ADD COLUMN bib_number TEXT;
@@ -0,0 +1,18 @@
+-- Migration 019: Audit log of the admin REST API
+-- /api/admin/* calls are authenticated with bearer tokens minted by
+-- /settings api-token (stored hashed in settings as api_token_<id>). Every
+-- call gets a row here, including the ones turned away, so member
+-- deletions and failed attempts can be traced back to a token.
+
+CREATE TABLE IF NOT EXISTS api_audit_log (
+  id          INTEGER PRIMARY KEY AUTOINCREMENT,
+  token_id    TEXT,                                  -- NULL when no valid token was sent
+  scope       TEXT,                                  -- read, admin
+  method      TEXT NOT NULL,
+  path        TEXT NOT NULL,
+  status      INTEGER NOT NULL,                      -- HTTP status of the response
+  ip          TEXT,
+  created_at  TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS api_audit_log_token_idx ON api_audit_log(token_id, created_at);
@@ -0,0 +1,5 @@
+-- Migration 020: Let members opt out of the public JSON API (/api/v1)
+-- 0 keeps the member's activities, leaderboard entries, races and PBs out
+-- of every /api/v1 response. Discord posting is not affected.
+
+ALTER TABLE member_preferences ADD COLUMN show_in_api INTEGER NOT NULL DEFAULT 1;
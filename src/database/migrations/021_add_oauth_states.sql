@@ -0,0 +1,16 @@
+-- Migration 021: Single-use states of the Strava registration link
+-- /register hands out /auth/strava?state=<nonce>.<discord id>.<expiry>.<hmac>.
+-- The HMAC (ENCRYPTION_KEY) stops anyone from making up a link for another
+-- Discord user; the nonce row here makes a link work once, and is removed
+-- when the Strava callback uses it. confirmed_at is set when the optional
+-- "Log in with Discord" step proved who is completing the flow.
+
+CREATE TABLE IF NOT EXISTS oauth_states (
+  nonce            TEXT PRIMARY KEY,
+  discord_user_id  TEXT NOT NULL,
+  expires_at       TEXT NOT NULL,
+  confirmed_at     TEXT,
+  created_at       TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS oauth_states_expires_idx ON oauth_states(expires_at);
@@ -0,0 +1,36 @@
+-- Migration 022: Outbound webhooks for third-party integrations
+-- Admins register target URLs with /settings webhooks add; new activities,
+-- PBs and race status changes are then POSTed to them as JSON signed with
+-- the webhook's own secret (kept encrypted with ENCRYPTION_KEY).
+--
+-- Every delivery gets a row in outbound_webhook_deliveries. Failed ones stay
+-- 'pending' with a backoff in next_attempt_at and are retried by the
+-- scheduler until they go through ('delivered') or give up ('failed').
+-- Removing a webhook removes its deliveries; rows older than
+-- OUTBOUND_WEBHOOK.DELIVERY_RETENTION_DAYS are pruned.
+
+CREATE TABLE IF NOT EXISTS outbound_webhooks (
+  id          INTEGER PRIMARY KEY AUTOINCREMENT,
+  url         TEXT NOT NULL,
+  events      TEXT NOT NULL,                         -- comma-separated event names
+  secret      TEXT NOT NULL,                         -- encrypted signing secret (JSON)
+  created_by  TEXT NOT NULL,                         -- Discord user id of the admin
+  created_at  TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS outbound_webhook_deliveries (
+  id               INTEGER PRIMARY KEY AUTOINCREMENT,
+  webhook_id       INTEGER NOT NULL REFERENCES outbound_webhooks(id) ON DELETE CASCADE,
+  event            TEXT NOT NULL,
+  payload          TEXT NOT NULL,                    -- JSON body, the same on every attempt
+  status           TEXT NOT NULL DEFAULT 'pending',  -- pending, delivered, failed
+  attempts         INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at  TEXT,                             -- NULL once delivered or failed
+  last_status      INTEGER,                          -- HTTP status of the last attempt, if any
+  last_error       TEXT,
+  created_at       TEXT NOT NULL,
+  updated_at       TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS outbound_webhook_delivery_due_idx ON outbound_webhook_deliveries(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS outbound_webhook_delivery_webhook_idx ON outbound_webhook_deliveries(webhook_id, id);
@@ -1,4 +1,4 @@
-const { sqliteTable, text, integer, real } = require('drizzle-orm/sqlite-core');
+const { sqliteTable, text, integer, real, primaryKey } = require('drizzle-orm/sqlite-core');
 const { sql } = require('drizzle-orm');
 
 // Members table - complete structure with Discord user data and encrypted tokens
@@ -52,6 +52,11 @@ const races = sqliteTable('races', {
   notes: text('notes'),
   goal_time: text('goal_time'), // e.g. "3:30:00"
   elevation: text('elevation'), // e.g. "5400D+/3600D-"
+  finish_time: integer('finish_time'), // seconds, set when the race is completed
+  activity_id: text('activity_id'), // activity the result was taken from
+  overall_place: integer('overall_place'),
+  category_place: integer('category_place'),
+  bib_number: text('bib_number'),
   created_at: text('created_at').default(sql`CURRENT_TIMESTAMP`),
   updated_at: text('updated_at').default(sql`CURRENT_TIMESTAMP`),
 });
@@ -99,6 +104,23 @@ const personalBests = sqliteTable('personal_bests', {
   updated_at: text('updated_at').default(sql`CURRENT_TIMESTAMP`),
 });
 
+// PB history - every effort that was a member's fastest for its category on its date
+const pbHistory = sqliteTable('pb_history', {
+  id: integer('id').primaryKey({ autoIncrement: true }),
+  member_athlete_id: integer('member_athlete_id').notNull().references(() => members.athlete_id, {
+    onDelete: 'cascade',
+    onUpdate: 'cascade',
+  }),
+  category: text('category').notNull(),           // Same labels as personal_bests
+  distance_m: real('distance_m').notNull(),
+  elapsed_time: integer('elapsed_time').notNull(),// Seconds
+  moving_time: integer('moving_time').notNull(),
+  activity_id: text('activity_id').notNull(),
+  activity_name: text('activity_name'),
+  activity_date: text('activity_date').notNull(), // YYYY-MM-DD
+  recorded_at: text('recorded_at').default(sql`CURRENT_TIMESTAMP`),
+});
+
 // Activities table - one row per activity (any provider), upserted on every sync/webhook/poll
 const activities = sqliteTable('activities', {
   strava_activity_id: text('strava_activity_id').primaryKey(),
@@ -129,11 +151,192 @@ const activities = sqliteTable('activities', {
   updated_at: text('updated_at').default(sql`CURRENT_TIMESTAMP`),
 });
 
+// Challenges table - team goals on a leaderboard metric over a date window.
+// Progress is summed from activities on demand; only announcement state lives here.
+const challenges = sqliteTable('challenges', {
+  id: integer('id').primaryKey({ autoIncrement: true }),
+  name: text('name').notNull(),
+  description: text('description'),
+  metric: text('metric').notNull(),                  // distance, elevation, moving_time, count
+  scope: text('scope').notNull().default('team'),    // 'team' (pooled total) or 'individual'
+  target_value: real('target_value').notNull(),      // metres, metres, seconds or runs
+  start_date: text('start_date').notNull(),          // YYYY-MM-DD, inclusive
+  end_date: text('end_date').notNull(),              // YYYY-MM-DD, inclusive
+  status: text('status').notNull().default('active'), // active, completed
+  last_milestone: integer('last_milestone').notNull().default(0),
+  created_by_discord_id: text('created_by_discord_id'),
+  completed_at: text('completed_at'),
+  created_at: text('created_at').default(sql`CURRENT_TIMESTAMP`),
+  updated_at: text('updated_at').default(sql`CURRENT_TIMESTAMP`),
+});
+
+// Challenge participants - one row per member who joined a challenge
+const challengeParticipants = sqliteTable('challenge_participants', {
+  challenge_id: integer('challenge_id').notNull().references(() => challenges.id, {
+    onDelete: 'cascade',
+  }),
+  member_athlete_id: integer('member_athlete_id').notNull().references(() => members.athlete_id, {
+    onDelete: 'cascade',
+    onUpdate: 'cascade',
+  }),
+  joined_at: text('joined_at').default(sql`CURRENT_TIMESTAMP`),
+  completed_at: text('completed_at'), // individual challenges: when this member hit the target
+}, (table) => ({
+  pk: primaryKey({ columns: [table.challenge_id, table.member_athlete_id] }),
+}));
+
+// Member posting preferences - at most one row per member, absent = defaults
+const memberPreferences = sqliteTable('member_preferences', {
+  member_athlete_id: integer('member_athlete_id').primaryKey().references(() => members.athlete_id, {
+    onDelete: 'cascade',
+    onUpdate: 'cascade',
+  }),
+  sport_types: text('sport_types'),                  // JSON array of POSTING_SPORT_CATEGORIES keys, null = all
+  show_heart_rate: integer('show_heart_rate').notNull().default(1),
+  show_pace: integer('show_pace').notNull().default(1), // pace, speed and GAP fields
+  show_map: integer('show_map').notNull().default(1),
+  show_in_api: integer('show_in_api').notNull().default(1), // 0 = left out of the public /api/v1
+  paused_until: text('paused_until'),                // YYYY-MM-DD, inclusive
+  encrypted_privacy_zones: text('encrypted_privacy_zones'), // EncryptionUtils JSON blob of [{lat, lon, radius}]
+  max_heart_rate: integer('max_heart_rate'),          // bpm, for heart-rate zones
+  threshold_heart_rate: integer('threshold_heart_rate'), // bpm (lactate threshold), preferred over max
+  created_at: text('created_at').default(sql`CURRENT_TIMESTAMP`),
+  updated_at: text('updated_at').default(sql`CURRENT_TIMESTAMP`),
+});
+
+// Activity posts - one row per activity message the bot sent to Discord
+const activityPosts = sqliteTable('activity_posts', {
+  discord_message_id: text('discord_message_id').primaryKey(),
+  discord_channel_id: text('discord_channel_id').notNull(),
+  discord_guild_id: text('discord_guild_id'),
+  activity_id: text('activity_id').notNull(),        // activities.strava_activity_id (no FK: intervals posts first)
+  provider: text('provider').notNull().default('strava'),
+  member_athlete_id: integer('member_athlete_id').notNull().references(() => members.athlete_id, {
+    onDelete: 'cascade',
+    onUpdate: 'cascade',
+  }),
+  posted_at: text('posted_at').default(sql`CURRENT_TIMESTAMP`),
+});
+
+// Activity kudos - one row per reaction (activity, reacting user, emoji)
+const activityKudos = sqliteTable('activity_kudos', {
+  activity_id: text('activity_id').notNull(),
+  member_athlete_id: integer('member_athlete_id').notNull().references(() => members.athlete_id, {
+    onDelete: 'cascade',
+    onUpdate: 'cascade',
+  }),                                                // activity owner
+  reactor_discord_user_id: text('reactor_discord_user_id').notNull(),
+  emoji: text('emoji').notNull(),                    // custom emoji id, or the unicode emoji itself
+  created_at: text('created_at').default(sql`CURRENT_TIMESTAMP`),
+}, (table) => ({
+  pk: primaryKey({ columns: [table.activity_id, table.reactor_discord_user_id, table.emoji] }),
+}));
+
+// Activity queue - activities waiting out the posting delay (survives restarts)
+const activityQueue = sqliteTable('activity_queue', {
+  activity_id: integer('activity_id').primaryKey(),  // Strava activity id
+  athlete_id: integer('athlete_id').notNull(),       // no FK: queued before the member check
+  queued_at: text('queued_at').notNull(),
+  scheduled_time: text('scheduled_time').notNull(),
+  updated_at: text('updated_at'),
+  webhook_data: text('webhook_data').notNull().default('{}'), // JSON
+  status: text('status').notNull().default('queued'), // queued, processing
+});
+
+// Processed activities - the latest outcome for every activity the bot handled
+const processedActivities = sqliteTable('processed_activities', {
+  provider: text('provider').notNull(),              // strava, intervals
+  activity_id: text('activity_id').notNull(),
+  member_athlete_id: integer('member_athlete_id').notNull().references(() => members.athlete_id, {
+    onDelete: 'cascade',
+    onUpdate: 'cascade',
+  }),
+  outcome: text('outcome').notNull(),                // posted, filtered, duplicate, failed
+  reason: text('reason'),
+  attempts: integer('attempts').notNull().default(1),
+  first_processed_at: text('first_processed_at').default(sql`CURRENT_TIMESTAMP`),
+  updated_at: text('updated_at').default(sql`CURRENT_TIMESTAMP`),
+}, (table) => ({
+  pk: primaryKey({ columns: [table.provider, table.activity_id] }),
+}));
+
+// Activity retries - failed Strava activities waiting for another attempt, or dead-lettered
+const activityRetries = sqliteTable('activity_retries', {
+  activity_id: integer('activity_id').primaryKey(),  // Strava activity id
+  athlete_id: integer('athlete_id').notNull(),
+  attempts: integer('attempts').notNull().default(1), // failed attempts so far
+  next_attempt_at: text('next_attempt_at'),          // NULL once dead
+  last_error: text('last_error'),
+  last_status: integer('last_status'),               // HTTP status of the last error, if any
+  status: text('status').notNull().default('pending'), // pending, dead
+  created_at: text('created_at').notNull(),
+  updated_at: text('updated_at').notNull(),
+});
+
+// Admin API audit log - one row per /api/admin call
+const apiAuditLog = sqliteTable('api_audit_log', {
+  id: integer('id').primaryKey({ autoIncrement: true }),
+  token_id: text('token_id'),                        // NULL when no valid token was sent
+  scope: text('scope'),                              // read, admin
+  method: text('method').notNull(),
+  path: text('path').notNull(),
+  status: integer('status').notNull(),               // HTTP status of the response
+  ip: text('ip'),
+  created_at: text('created_at').notNull(),
+});
+
+// OAuth states - single-use nonces of the signed /register links
+const oauthStates = sqliteTable('oauth_states', {
+  nonce: text('nonce').primaryKey(),
+  discord_user_id: text('discord_user_id').notNull(),
+  expires_at: text('expires_at').notNull(),
+  confirmed_at: text('confirmed_at'),                // Discord login matched the link's user
+  created_at: text('created_at').notNull(),
+});
+
+// Outbound webhooks - third-party URLs that get signed event payloads
+const outboundWebhooks = sqliteTable('outbound_webhooks', {
+  id: integer('id').primaryKey({ autoIncrement: true }),
+  url: text('url').notNull(),
+  events: text('events').notNull(),                  // comma-separated event names
+  secret: text('secret').notNull(),                  // encrypted signing secret (JSON)
+  created_by: text('created_by').notNull(),          // Discord user id of the admin
+  created_at: text('created_at').notNull(),
+});
+
+// Outbound webhook deliveries - one row per event sent to a webhook
+const outboundWebhookDeliveries = sqliteTable('outbound_webhook_deliveries', {
+  id: integer('id').primaryKey({ autoIncrement: true }),
+  webhook_id: integer('webhook_id').notNull().references(() => outboundWebhooks.id, { onDelete: 'cascade' }),
+  event: text('event').notNull(),
+  payload: text('payload').notNull(),                // JSON body, the same on every attempt
+  status: text('status').notNull().default('pending'), // pending, delivered, failed
+  attempts: integer('attempts').notNull().default(0),
+  next_attempt_at: text('next_attempt_at'),          // NULL once delivered or failed
+  last_status: integer('last_status'),               // HTTP status of the last attempt, if any
+  last_error: text('last_error'),
+  created_at: text('created_at').notNull(),
+  updated_at: text('updated_at').notNull(),
+});
+
 module.exports = {
   members,
   races,
   migrationLog,
   settings,
   personalBests,
+  pbHistory,
   activities,
+  challenges,
+  challengeParticipants,
+  memberPreferences,
+  activityPosts,
+  activityKudos,
+  activityQueue,
+  processedActivities,
+  activityRetries,
+  apiAuditLog,
+  oauthStates,
+  outboundWebhooks,
+  outboundWebhookDeliveries,
 };
\ No newline at end of file
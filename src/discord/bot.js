@@ -1,9 +1,12 @@
-const { Client, GatewayIntentBits, REST, Routes } = require('discord.js');
+const { Client, GatewayIntentBits, Partials, REST, RESTJSONErrorCodes, Routes, ThreadAutoArchiveDuration } = require('discord.js');
 const config = require('../../config/config');
 const dynamicConfig = require('../../config/dynamicConfig');
 const DiscordCommands = require('./commands');
 const ActivityEmbedBuilder = require('../utils/EmbedBuilder');
+const SplitsFormatter = require('../utils/SplitsFormatter');
+const KudosManager = require('../managers/KudosManager');
 const logger = require('../utils/Logger');
+const { SPLITS } = require('../constants');
 
 class DiscordBot {
   constructor(activityProcessor) {
@@ -12,10 +15,15 @@ class DiscordBot {
       intents: [
         GatewayIntentBits.Guilds,
         GatewayIntentBits.GuildMessages,
+        GatewayIntentBits.GuildMessageReactions,
       ],
+      // Reactions on messages posted before the last restart aren't cached;
+      // partials still deliver their ids, which is all kudos need.
+      partials: [Partials.Message, Partials.Reaction, Partials.User],
     });
 
     this.commands = new DiscordCommands(activityProcessor);
+    this.kudosManager = new KudosManager();
     this.setupEventHandlers();
   }
 
@@ -53,6 +61,9 @@ class DiscordBot {
       }
     });
 
+    this.client.on('messageReactionAdd', (reaction, user) => this.handleReaction(reaction, user, 'add'));
+    this.client.on('messageReactionRemove', (reaction, user) => this.handleReaction(reaction, user, 'remove'));
+
     this.client.on('error', (error) => {
       logger.discord.error('Discord client error', error);
     });
@@ -136,8 +147,12 @@ class DiscordBot {
       }
 
       const payload = await ActivityEmbedBuilder.createActivityMessage(activityData, { type: 'posted' });
-      await channel.send(payload);
-      
+      const message = await channel.send(payload);
+
+      if (activityData.splits && !SplitsFormatter.fitsInEmbed(activityData.splits)) {
+        await this.postSplitsThread(message, activityData);
+      }
+
       logger.discord.info('Posted activity to Discord', {
         activityName: activityData.name,
         activityType: activityData.type,
@@ -145,6 +160,8 @@ class DiscordBot {
         athleteName: `${activityData.athlete?.firstname} ${activityData.athlete?.lastname}`,
         channelId: channelId
       });
+
+      return message;
     } catch (error) {
       logger.discord.error('Failed to post activity to Discord', {
         activityData: {
@@ -158,6 +175,118 @@ class DiscordBot {
     }
   }
 
+  /**
+   * Re-render a posted activity after it changed on the provider side, and
+   * replace the message's embeds and images in place (kudos reactions stay).
+   * @param {{discord_channel_id: string, discord_message_id: string}} post - activity_posts row
+   * @param {Object} activityData - Processed activity, as for postActivity
+   * @returns {Promise<boolean>} false when the message no longer exists
+   */
+  async editActivityPost(post, activityData) {
+    const message = await this._fetchPostMessage(post);
+    if (!message) return false;
+
+    const payload = await ActivityEmbedBuilder.createActivityMessage(activityData, { type: 'posted' });
+    // `attachments: []` drops the old map/elevation images; `files` adds the new ones
+    await message.edit({ ...payload, attachments: [] });
+
+    logger.discord.info('Edited activity post', {
+      activityId: activityData.id,
+      messageId: post.discord_message_id
+    });
+    return true;
+  }
+
+  /**
+   * Delete a posted activity's message. A message someone already deleted
+   * counts as done.
+   * @param {{discord_channel_id: string, discord_message_id: string}} post - activity_posts row
+   * @returns {Promise<boolean>} true when the bot deleted the message
+   */
+  async deleteActivityPost(post) {
+    const message = await this._fetchPostMessage(post);
+    if (!message) return false;
+
+    await message.delete();
+
+    logger.discord.info('Deleted activity post', {
+      activityId: post.activity_id,
+      messageId: post.discord_message_id
+    });
+    return true;
+  }
+
+  // The posted message, or null once it (or its channel) is gone
+  async _fetchPostMessage(post) {
+    try {
+      const channel = await this.client.channels.fetch(post.discord_channel_id);
+      return await channel.messages.fetch(post.discord_message_id);
+    } catch (error) {
+      if (error.code === RESTJSONErrorCodes.UnknownMessage || error.code === RESTJSONErrorCodes.UnknownChannel) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Post a long activity's splits table in a thread under its message.
+   * Never throws: the activity is already posted, and failing here would
+   * make the caller retry and post it twice.
+   * @param {Message} message - The posted activity message
+   * @param {Object} activityData - Processed activity with `splits`
+   */
+  async postSplitsThread(message, activityData) {
+    try {
+      const thread = await message.startThread({
+        name: `Splits · ${activityData.name}`.slice(0, 100),
+        autoArchiveDuration: ThreadAutoArchiveDuration.OneDay,
+      });
+
+      const { rows } = activityData.splits;
+      for (let fromRow = 0; fromRow < rows.length; fromRow += SPLITS.MAX_MESSAGE_ROWS) {
+        await thread.send(SplitsFormatter.formatTable(activityData.splits, {
+          showPace: !activityData.hidePace,
+          fromRow,
+          rowCount: SPLITS.MAX_MESSAGE_ROWS,
+        }));
+      }
+    } catch (error) {
+      logger.discord.warn('Failed to post splits thread', {
+        activityId: activityData.id,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Count a reaction added to (or removed from) an activity post as kudos.
+   * Reactions on any other message are ignored by KudosManager. Never
+   * throws: it runs from a client event.
+   * @param {MessageReaction|PartialMessageReaction} reaction
+   * @param {User|PartialUser} user
+   * @param {'add'|'remove'} action
+   */
+  async handleReaction(reaction, user, action) {
+    if (user.bot) return;
+
+    const emoji = KudosManager.emojiKey(reaction.emoji);
+    try {
+      if (action === 'add') {
+        await this.kudosManager.addReaction(reaction.message.id, user.id, emoji);
+      } else {
+        await this.kudosManager.removeReaction(reaction.message.id, user.id, emoji);
+      }
+    } catch (error) {
+      logger.discord.warn('Failed to record kudos', {
+        messageId: reaction.message.id,
+        userId: user.id,
+        action,
+        error: error.message
+      });
+    }
+  }
+
   async stop() {
     if (this.client) {
       try {
@@ -170,6 +299,41 @@ class DiscordBot {
     logger.discord.info('Discord bot stopped');
   }
 
+  // DM a member. Returns false instead of throwing when the user can't be
+  // fetched or has DMs from server members turned off.
+  async sendDirectMessage(discordUserId, message) {
+    try {
+      const user = await this.client.users.fetch(discordUserId);
+      await user.send(message);
+      return true;
+    } catch (error) {
+      logger.discord.warn('Failed to send direct message', {
+        discordUserId,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  // Whether a user is in the server of the posting channel, asked from
+  // Discord rather than the member cache (the bot has no GuildMembers intent,
+  // so it never hears about members leaving). False when there is no
+  // channel to tell the server from.
+  async isGuildMember(discordUserId) {
+    const channel = await this.getChannel();
+    if (!channel?.guild) return false;
+
+    try {
+      await channel.guild.members.fetch({ user: discordUserId, force: true });
+      return true;
+    } catch (error) {
+      if (error.code === RESTJSONErrorCodes.UnknownMember || error.code === RESTJSONErrorCodes.UnknownUser) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
   // Get the Discord channel for posting messages
   async getChannel() {
     const channelId = await dynamicConfig.getDiscordChannelId();
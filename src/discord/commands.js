@@ -1,14 +1,25 @@
-const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits, ModalBuilder, TextInputBuilder, TextInputStyle, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits, ModalBuilder, TextInputBuilder, TextInputStyle, ActionRowBuilder, ButtonBuilder, ButtonStyle, AttachmentBuilder } = require('discord.js');
+const axios = require('axios');
 const ActivityEmbedBuilder = require('../utils/EmbedBuilder');
 const DiscordUtils = require('../utils/DiscordUtils');
 const ActivityFormatter = require('../utils/ActivityFormatter');
 const RaceManager = require('../managers/RaceManager');
 const PBManager = require('../managers/PBManager');
 const LeaderboardManager = require('../managers/LeaderboardManager');
+const ChallengeManager = require('../managers/ChallengeManager');
+const PreferencesManager = require('../managers/PreferencesManager');
+const KudosManager = require('../managers/KudosManager');
+const ApiTokenManager = require('../managers/ApiTokenManager');
+const OAuthStateManager = require('../managers/OAuthStateManager');
+const OutboundWebhookManager = require('../managers/OutboundWebhookManager');
 const logger = require('../utils/Logger');
 const config = require('../../config/config');
-const { TIME, DISCORD, CATEGORY_DISTANCES } = require('../constants');
+const { TIME, DISCORD, ACTIVITY_OUTCOME, RETRY_STATUS, CATEGORY_DISTANCES, CLUB_RECORDS, LEADERBOARD_METRICS, CHALLENGE_METRICS, POSTING_SPORT_CATEGORIES, PRIVACY_ZONE, HEART_RATE_ZONES, RACE_IMPORT, API_TOKEN, OAUTH_STATE, OUTBOUND_WEBHOOK } = require('../constants');
 const DateUtils = require('../utils/DateUtils');
+const HeartRateZones = require('../utils/HeartRateZones');
+const RaceCalendar = require('../utils/RaceCalendar');
+const RaceImportParser = require('../utils/RaceImportParser');
+const PBProgressionRenderer = require('../maps/PBProgressionRenderer');
 
 // /members connections fires live provider API calls per member, sharing rate
 // limiters with normal bot traffic — chunk the member list and only probe/render
@@ -17,6 +28,13 @@ const DateUtils = require('../utils/DateUtils');
 const CONNECTIONS_CHUNK_SIZE = 25;
 const CONNECTIONS_PROBE_CONCURRENCY = 3;
 
+const ACTIVITY_OUTCOME_LABELS = {
+  [ACTIVITY_OUTCOME.POSTED]: '✅ Posted',
+  [ACTIVITY_OUTCOME.FILTERED]: '🚫 Not posted (filtered)',
+  [ACTIVITY_OUTCOME.DUPLICATE]: '♻️ Not posted (duplicate)',
+  [ACTIVITY_OUTCOME.FAILED]: '❌ Failed',
+};
+
 function findClosestPBCategory(distanceM) {
   let closest = null;
   let minDiff = Infinity;
@@ -30,13 +48,33 @@ function findClosestPBCategory(distanceM) {
   return closest;
 }
 
+// Activity id from a bare id or a link such as
+// https://www.strava.com/activities/12345678 or
+// https://intervals.icu/activities/i176829341; null when it's neither
+function parseActivityId(input) {
+  const trimmed = (input || '').trim();
+  const match = trimmed.match(/^(i?\d+)$/) || trimmed.match(/\/activities\/(i?\d+)/);
+  return match ? match[1] : null;
+}
+
+// Retried activities listed in one /activity retry reply
+const RETRY_RESULTS_SHOWN = 20;
+
 class DiscordCommands {
   constructor(activityProcessor) {
     this.activityProcessor = activityProcessor;
     this.raceManager = new RaceManager();
     this.pbManager = new PBManager();
     this.leaderboardManager = new LeaderboardManager();
+    this.challengeManager = new ChallengeManager();
+    this.preferencesManager = new PreferencesManager();
+    this.kudosManager = new KudosManager();
+    this.apiTokenManager = new ApiTokenManager();
+    this.oauthStateManager = new OAuthStateManager();
+    this.webhookManager = new OutboundWebhookManager();
     this.pbSyncInProgress = new Set();
+    // /my-races import previews awaiting confirm/cancel, by interaction id
+    this.pendingRaceImports = new Map();
     this.bulkSyncInProgress = false;
   }
 
@@ -164,6 +202,34 @@ class DiscordCommands {
         .setDescription('Show bot status and statistics')
         .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
 
+      // Activity processing diagnostics (admin only)
+      new SlashCommandBuilder()
+        .setName('activity')
+        .setDescription('Inspect how the bot handled an activity')
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('status')
+            .setDescription('Show whether an activity was posted, and if not, why')
+            .addStringOption(option =>
+              option
+                .setName('id')
+                .setDescription('Strava or intervals.icu activity id or link')
+                .setRequired(true)
+            )
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('retry')
+            .setDescription('Retry a failed activity now, or every dead-lettered one')
+            .addStringOption(option =>
+              option
+                .setName('id')
+                .setDescription('Strava activity id or link (default: all dead-lettered activities)')
+                .setRequired(false)
+            )
+        )
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+
 
       // Last activity command
       new SlashCommandBuilder()
@@ -349,6 +415,67 @@ class DiscordCommands {
                 )
             )
         )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('result')
+            .setDescription('Record your result for a race')
+            .addIntegerOption(option =>
+              option
+                .setName('race_id')
+                .setDescription('Race ID (from race list)')
+                .setRequired(true)
+            )
+            .addStringOption(option =>
+              option
+                .setName('time')
+                .setDescription('Finish time (e.g. 3:28:14 or 45:10)')
+                .setRequired(true)
+                .setMaxLength(10)
+            )
+            .addIntegerOption(option =>
+              option
+                .setName('overall_place')
+                .setDescription('Overall placement')
+                .setRequired(false)
+                .setMinValue(1)
+            )
+            .addIntegerOption(option =>
+              option
+                .setName('category_place')
+                .setDescription('Placement in your age/gender category')
+                .setRequired(false)
+                .setMinValue(1)
+            )
+            .addStringOption(option =>
+              option
+                .setName('bib')
+                .setDescription('Bib number')
+                .setRequired(false)
+                .setMaxLength(20)
+            )
+            .addStringOption(option =>
+              option
+                .setName('activity')
+                .setDescription('Strava or intervals.icu activity id or link')
+                .setRequired(false)
+            )
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('calendar')
+            .setDescription('Get calendar links to subscribe to the team\'s races and yours')
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('import')
+            .setDescription('Import races from an .ics or .csv file')
+            .addAttachmentOption(option =>
+              option
+                .setName('file')
+                .setDescription('Calendar export (.ics) or spreadsheet (.csv) with name and date columns')
+                .setRequired(true)
+            )
+        )
         .addSubcommand(subcommand =>
           subcommand
             .setName('upcoming')
@@ -418,6 +545,101 @@ class DiscordCommands {
             .setName('view')
             .setDescription('View current bot settings')
         )
+        .addSubcommandGroup(group =>
+          group
+            .setName('api-token')
+            .setDescription('Manage tokens for the admin REST API')
+            .addSubcommand(subcommand =>
+              subcommand
+                .setName('create')
+                .setDescription('Mint a new API token (shown once)')
+                .addStringOption(option =>
+                  option
+                    .setName('scope')
+                    .setDescription('What the token may do')
+                    .setRequired(true)
+                    .addChoices(
+                      { name: 'Read-only (list members)', value: API_TOKEN.SCOPES.READ },
+                      { name: 'Admin (also update and delete members)', value: API_TOKEN.SCOPES.ADMIN }
+                    )
+                )
+                .addStringOption(option =>
+                  option
+                    .setName('label')
+                    .setDescription('What the token is for, e.g. "backup script"')
+                    .setRequired(false)
+                    .setMaxLength(API_TOKEN.MAX_LABEL_LENGTH)
+                )
+            )
+            .addSubcommand(subcommand =>
+              subcommand
+                .setName('list')
+                .setDescription('List API tokens')
+            )
+            .addSubcommand(subcommand =>
+              subcommand
+                .setName('revoke')
+                .setDescription('Revoke an API token')
+                .addStringOption(option =>
+                  option
+                    .setName('token_id')
+                    .setDescription('Token ID (from /settings api-token list)')
+                    .setRequired(true)
+                )
+            )
+        )
+        .addSubcommandGroup(group =>
+          group
+            .setName('webhooks')
+            .setDescription('Manage outbound webhooks for third-party integrations')
+            .addSubcommand(subcommand =>
+              subcommand
+                .setName('add')
+                .setDescription('Send events to a URL as signed JSON (secret shown once)')
+                .addStringOption(option =>
+                  option
+                    .setName('url')
+                    .setDescription('https URL the events are POSTed to')
+                    .setRequired(true)
+                    .setMaxLength(OUTBOUND_WEBHOOK.MAX_URL_LENGTH)
+                )
+                .addStringOption(option =>
+                  option
+                    .setName('events')
+                    .setDescription(`Comma-separated: ${Object.values(OUTBOUND_WEBHOOK.EVENTS).join(', ')} (default: all)`)
+                    .setRequired(false)
+                )
+            )
+            .addSubcommand(subcommand =>
+              subcommand
+                .setName('list')
+                .setDescription('List webhooks and their latest delivery')
+            )
+            .addSubcommand(subcommand =>
+              subcommand
+                .setName('remove')
+                .setDescription('Remove a webhook')
+                .addIntegerOption(option =>
+                  option
+                    .setName('webhook_id')
+                    .setDescription('Webhook ID (from /settings webhooks list)')
+                    .setRequired(true)
+                    .setMinValue(1)
+                )
+            )
+            .addSubcommand(subcommand =>
+              subcommand
+                .setName('test')
+                .setDescription('Send a test event to a webhook')
+                .addIntegerOption(option =>
+                  option
+                    .setName('webhook_id')
+                    .setDescription('Webhook ID (from /settings webhooks list)')
+                    .setRequired(true)
+                    .setMinValue(1)
+                )
+            )
+        )
         .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
 
       // Scheduler test commands (admin only)
@@ -456,6 +678,36 @@ class DiscordCommands {
                 .setRequired(false)
             )
         )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('history')
+            .setDescription('Show how a Personal Best improved over time')
+            .addStringOption(option =>
+              option
+                .setName('category')
+                .setDescription('PB distance')
+                .setRequired(true)
+                .addChoices(...Object.keys(CATEGORY_DISTANCES).map(category => ({ name: category, value: category })))
+            )
+            .addUserOption(option =>
+              option
+                .setName('member')
+                .setDescription('View another member\'s progression')
+                .setRequired(false)
+            )
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('records')
+            .setDescription('Show the club records: the team\'s fastest times, by gender and age group')
+            .addStringOption(option =>
+              option
+                .setName('category')
+                .setDescription('One distance, with its age group records')
+                .setRequired(false)
+                .addChoices(...CLUB_RECORDS.CATEGORIES.map(category => ({ name: category, value: category })))
+            )
+        )
         .addSubcommand(subcommand =>
           subcommand
             .setName('add')
@@ -514,86 +766,385 @@ class DiscordCommands {
             .setRequired(false)
         ),
 
-      // Monthly running leaderboard (km per team member)
+      // Running leaderboard (km, elevation, time, runs or streak per team member)
+      // for a month or an ISO week
       new SlashCommandBuilder()
         .setName('leaderboard')
-        .setDescription('Show running kilometres ranking for a month')
+        .setDescription('Show the team running ranking for a month or week')
         .addStringOption(option =>
           option
             .setName('month')
-            .setDescription('Which month to show (defaults to current)')
+            .setDescription('Current or previous month/week (defaults to current)')
+            .setRequired(false)
+            .addChoices(
+              { name: 'Current', value: 'current' },
+              { name: 'Previous', value: 'previous' }
+            )
+        )
+        .addStringOption(option =>
+          option
+            .setName('period')
+            .setDescription('Rank by calendar month or ISO week (defaults to month)')
+            .setRequired(false)
+            .addChoices(
+              { name: 'Month', value: 'month' },
+              { name: 'Week (Monday–Sunday)', value: 'week' }
+            )
+        )
+        .addStringOption(option =>
+          option
+            .setName('metric')
+            .setDescription('What to rank by (defaults to distance)')
             .setRequired(false)
             .addChoices(
-              { name: 'Current month', value: 'current' },
-              { name: 'Previous month', value: 'previous' }
+              ...Object.entries(LEADERBOARD_METRICS).map(([value, { label }]) => ({ name: label, value }))
             )
         ),
-    ];
-  }
 
-  // Handle slash command interactions
-  async handleCommand(interaction) {
-    const { commandName, options } = interaction;
+      // Kudos: reactions on the bot's activity posts
+      new SlashCommandBuilder()
+        .setName('kudos')
+        .setDescription('Show the most kudos\'d runs and most supportive teammates of the month')
+        .addStringOption(option =>
+          option
+            .setName('month')
+            .setDescription('Current or previous month (defaults to current)')
+            .setRequired(false)
+            .addChoices(
+              { name: 'Current', value: 'current' },
+              { name: 'Previous', value: 'previous' }
+            )
+        ),
 
-    logger.discord.info('Command received', {
-      command: commandName,
-      user: interaction.user.tag,
-      userId: interaction.user.id,
-      guild: interaction.guild?.name,
-      channel: interaction.channel?.name,
-      interactionId: interaction.id,
-      createdTimestamp: interaction.createdTimestamp,
-      currentTimestamp: Date.now(),
-      ageMs: Date.now() - interaction.createdTimestamp
-    });
+      // Team challenges: a target on one metric over a date window
+      new SlashCommandBuilder()
+        .setName('challenge')
+        .setDescription('Team challenges')
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('create')
+            .setDescription('Create a team challenge (admin only)')
+            .addStringOption(option =>
+              option
+                .setName('name')
+                .setDescription('Challenge name (e.g. "500 km in March")')
+                .setRequired(true)
+                .setMaxLength(100)
+            )
+            .addStringOption(option =>
+              option
+                .setName('metric')
+                .setDescription('What counts toward the goal')
+                .setRequired(true)
+                .addChoices(
+                  ...Object.entries(CHALLENGE_METRICS).map(([value, { unit }]) => ({
+                    name: `${LEADERBOARD_METRICS[value].label} (${unit})`,
+                    value,
+                  }))
+                )
+            )
+            .addIntegerOption(option =>
+              option
+                .setName('target')
+                .setDescription('Goal in the metric\'s unit: km, m, hours or runs')
+                .setRequired(true)
+                .setMinValue(1)
+            )
+            .addStringOption(option =>
+              option
+                .setName('end_date')
+                .setDescription('Last day of the challenge (DD-MM-YYYY)')
+                .setRequired(true)
+            )
+            .addStringOption(option =>
+              option
+                .setName('start_date')
+                .setDescription('First day of the challenge (DD-MM-YYYY, defaults to today)')
+                .setRequired(false)
+            )
+            .addStringOption(option =>
+              option
+                .setName('scope')
+                .setDescription('Pool everyone\'s total, or have every participant hit the goal (defaults to team)')
+                .setRequired(false)
+                .addChoices(
+                  { name: 'Team total', value: 'team' },
+                  { name: 'Everyone individually', value: 'individual' }
+                )
+            )
+            .addStringOption(option =>
+              option
+                .setName('description')
+                .setDescription('Optional details shown on the challenge')
+                .setRequired(false)
+                .setMaxLength(500)
+            )
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('join')
+            .setDescription('Join a challenge')
+            .addIntegerOption(option =>
+              option
+                .setName('challenge_id')
+                .setDescription('Challenge ID (from challenge list)')
+                .setRequired(true)
+            )
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('leave')
+            .setDescription('Leave a challenge')
+            .addIntegerOption(option =>
+              option
+                .setName('challenge_id')
+                .setDescription('Challenge ID (from challenge list)')
+                .setRequired(true)
+            )
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('status')
+            .setDescription('Show a challenge\'s progress')
+            .addIntegerOption(option =>
+              option
+                .setName('challenge_id')
+                .setDescription('Challenge ID (defaults to the most recent active challenge)')
+                .setRequired(false)
+            )
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('list')
+            .setDescription('List challenges')
+            .addStringOption(option =>
+              option
+                .setName('status')
+                .setDescription('Filter by status (defaults to all)')
+                .setRequired(false)
+                .addChoices(
+                  { name: 'Active', value: 'active' },
+                  { name: 'Completed', value: 'completed' }
+                )
+            )
+        ),
 
-    try {
-      switch (commandName) {
-      case 'members':
-        await this.handleMembersCommand(interaction, options);
-        break;
-      case 'register':
-        await this.handleRegisterCommand(interaction);
-        break;
-      case 'disconnect':
-        await this.handleDisconnectCommand(interaction);
-        break;
-      case 'botstatus':
-        await this.handleBotStatusCommand(interaction);
-        break;
-      case 'last':
-        await this.handleLastActivityCommand(interaction, options);
-        break;
-      case 'my-races':
-        await this.handleRaceCommand(interaction, options);
-        break;
-      case 'all-races':
-        await this.handleTeamRacesCommand(interaction, options);
-        break;
-      case 'settings':
-        await this.handleSettingsCommand(interaction, options);
-        break;
-      case 'scheduler':
-        await this.handleSchedulerCommand(interaction, options);
-        break;
-      case 'pb':
-        await this.handlePBCommand(interaction, options);
-        break;
-      case 'sync':
-        await this.handleSyncCommand(interaction, options);
-        break;
-      case 'leaderboard':
-        await this.handleLeaderboardCommand(interaction, options);
-        break;
-      case 'help':
-        await this.handleHelpCommand(interaction);
-        break;
-      default:
-        await interaction.reply({ 
-          content: '❌ Unknown command', 
-          ephemeral: true 
-        });
-      }
+      // Per-member posting preferences
+      new SlashCommandBuilder()
+        .setName('preferences')
+        .setDescription('Choose what of your activities gets posted')
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('view')
+            .setDescription('Show your posting preferences')
+        )
+        .addSubcommand(subcommand => {
+          subcommand
+            .setName('sports')
+            .setDescription('Turn posting of a sport on or off (others are unchanged)');
+          for (const [key, { label }] of Object.entries(POSTING_SPORT_CATEGORIES)) {
+            subcommand.addBooleanOption(option =>
+              option
+                .setName(key)
+                .setDescription(`Post ${label.toLowerCase()} activities`)
+                .setRequired(false)
+            );
+          }
+          return subcommand;
+        })
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('privacy')
+            .setDescription('Show or hide details in your posted activities')
+            .addBooleanOption(option =>
+              option
+                .setName('heart_rate')
+                .setDescription('Show heart rate')
+                .setRequired(false)
+            )
+            .addBooleanOption(option =>
+              option
+                .setName('pace')
+                .setDescription('Show pace, speed and grade adjusted pace')
+                .setRequired(false)
+            )
+            .addBooleanOption(option =>
+              option
+                .setName('map')
+                .setDescription('Show the route map')
+                .setRequired(false)
+            )
+            .addBooleanOption(option =>
+              option
+                .setName('api')
+                .setDescription('Include your runs, races and PBs in the public team API and calendar')
+                .setRequired(false)
+            )
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('pause')
+            .setDescription('Stop posting your activities until a date')
+            .addStringOption(option =>
+              option
+                .setName('until')
+                .setDescription('Last day without posts (DD-MM-YYYY)')
+                .setRequired(true)
+            )
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('resume')
+            .setDescription('Resume posting your activities now')
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('zone-add')
+            .setDescription('Hide the part of your route maps inside a circle (e.g. around home)')
+            .addStringOption(option =>
+              option
+                .setName('coordinates')
+                .setDescription('Centre as "latitude, longitude" (e.g. 48.8566, 2.3522)')
+                .setRequired(true)
+            )
+            .addIntegerOption(option =>
+              option
+                .setName('radius')
+                .setDescription(`Radius in metres (${PRIVACY_ZONE.MIN_RADIUS_M}-${PRIVACY_ZONE.MAX_RADIUS_M})`)
+                .setRequired(true)
+                .setMinValue(PRIVACY_ZONE.MIN_RADIUS_M)
+                .setMaxValue(PRIVACY_ZONE.MAX_RADIUS_M)
+            )
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('zone-remove')
+            .setDescription('Remove one of your privacy zones')
+            .addIntegerOption(option =>
+              option
+                .setName('zone')
+                .setDescription('Zone number (from /preferences view)')
+                .setRequired(true)
+                .setMinValue(1)
+            )
+        ),
+
+      // Heart-rate zone settings for the zone breakdown on posts
+      new SlashCommandBuilder()
+        .setName('heartrate')
+        .setDescription('Set the heart rates your zone breakdown is based on')
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('view')
+            .setDescription('Show your heart-rate zones')
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('set')
+            .setDescription('Set your max and/or threshold heart rate')
+            .addIntegerOption(option =>
+              option
+                .setName('max')
+                .setDescription('Max heart rate (bpm)')
+                .setRequired(false)
+                .setMinValue(HEART_RATE_ZONES.MIN_BPM)
+                .setMaxValue(HEART_RATE_ZONES.MAX_BPM)
+            )
+            .addIntegerOption(option =>
+              option
+                .setName('threshold')
+                .setDescription('Lactate threshold heart rate (bpm) — used instead of max when set')
+                .setRequired(false)
+                .setMinValue(HEART_RATE_ZONES.MIN_BPM)
+                .setMaxValue(HEART_RATE_ZONES.MAX_BPM)
+            )
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('clear')
+            .setDescription('Remove your heart rates and stop showing zones')
+        ),
+    ];
+  }
+
+  // Handle slash command interactions
+  async handleCommand(interaction) {
+    const { commandName, options } = interaction;
+
+    logger.discord.info('Command received', {
+      command: commandName,
+      user: interaction.user.tag,
+      userId: interaction.user.id,
+      guild: interaction.guild?.name,
+      channel: interaction.channel?.name,
+      interactionId: interaction.id,
+      createdTimestamp: interaction.createdTimestamp,
+      currentTimestamp: Date.now(),
+      ageMs: Date.now() - interaction.createdTimestamp
+    });
+
+    try {
+      switch (commandName) {
+      case 'members':
+        await this.handleMembersCommand(interaction, options);
+        break;
+      case 'register':
+        await this.handleRegisterCommand(interaction);
+        break;
+      case 'disconnect':
+        await this.handleDisconnectCommand(interaction);
+        break;
+      case 'botstatus':
+        await this.handleBotStatusCommand(interaction);
+        break;
+      case 'activity':
+        await this.handleActivityCommand(interaction, options);
+        break;
+      case 'last':
+        await this.handleLastActivityCommand(interaction, options);
+        break;
+      case 'my-races':
+        await this.handleRaceCommand(interaction, options);
+        break;
+      case 'all-races':
+        await this.handleTeamRacesCommand(interaction, options);
+        break;
+      case 'settings':
+        await this.handleSettingsCommand(interaction, options);
+        break;
+      case 'scheduler':
+        await this.handleSchedulerCommand(interaction, options);
+        break;
+      case 'pb':
+        await this.handlePBCommand(interaction, options);
+        break;
+      case 'sync':
+        await this.handleSyncCommand(interaction, options);
+        break;
+      case 'leaderboard':
+        await this.handleLeaderboardCommand(interaction, options);
+        break;
+      case 'kudos':
+        await this.handleKudosCommand(interaction, options);
+        break;
+      case 'challenge':
+        await this.handleChallengeCommand(interaction, options);
+        break;
+      case 'preferences':
+        await this.handlePreferencesCommand(interaction, options);
+        break;
+      case 'heartrate':
+        await this.handleHeartRateCommand(interaction, options);
+        break;
+      case 'help':
+        await this.handleHelpCommand(interaction);
+        break;
+      default:
+        await interaction.reply({ 
+          content: '❌ Unknown command', 
+          ephemeral: true 
+        });
+      }
     } catch (error) {
       logger.discord.error('Error handling command', {
         command: commandName,
@@ -1629,7 +2180,10 @@ class DiscordCommands {
       // re-consumes an athlete seat.
     }
 
-    const registerUrl = `${config.server.baseUrl}/auth/strava?user_id=${userId}`;
+    // Signed, expiring and single-use, so the link can't be made up for
+    // someone else or reused if it leaks
+    const state = await this.oauthStateManager.createState(userId);
+    const registerUrl = `${config.server.baseUrl}/auth/strava?state=${encodeURIComponent(state)}`;
     const switchNote = isProviderSwitch
       ? '\n\n**Switching providers:** This will move your connection from intervals.icu to Strava.'
       : '';
@@ -1640,11 +2194,11 @@ class DiscordCommands {
       .setDescription(`Click the link below to connect your Strava account and join the team!\n\n**Data Usage:** This app will access your public Strava activities to post them to this Discord channel. We only process public activities and respect your privacy settings.\n\n**By registering, you authorize this app to access your public Strava activities.**${switchNote}`)
       .addFields([{
         name: '📝 Registration Steps',
-        value: `1. [Click here to register](${registerUrl})\n2. Authorize the app on Strava\n3. Return to Discord when complete`,
+        value: `1. [Click here to register](${registerUrl})\n2. Authorize the app on Strava\n3. Return to Discord when complete\n\nThe link works once and expires in ${OAUTH_STATE.TTL_MS / 60000} minutes.`,
         inline: false
       }])
       .setFooter({
-        text: 'Powered by Strava • This link is personalized for your Discord account'
+        text: 'Powered by Strava • This link is personal: don\'t share it'
       })
       .setTimestamp();
 
@@ -1747,6 +2301,11 @@ class DiscordCommands {
       return;
     }
 
+    if (interaction.customId.startsWith('race_import_')) {
+      await this.handleRaceImportButton(interaction);
+      return;
+    }
+
     logger.discord.warn('Unknown button interaction', { customId: interaction.customId });
   }
 
@@ -1889,28 +2448,40 @@ class DiscordCommands {
       {
         name: '🏆 3. Records personnels (PB)',
         value:
-          '`/pb check` — Affiche tes records personnels (5K, 10K, semi, marathon…).\n`/pb check member:<nom>` — Affiche les records d\'un autre membre.\n`/pb add activity_url:<lien> distance_m:<mètres>` — Ajoute manuellement un PB depuis une activité Strava (utile pour les courses de plus d\'un an).\n`/sync period:<période> [month:YYYY-MM]` — Synchronise ton historique (Strava ou intervals.icu) et met à jour tes PB (année en cours, 365 derniers jours, mois en cours, mois précédent, ou un mois précis via `month:`).\n`/sync period:<période> all_members:True` — Synchronise tous les membres de l\'équipe (admin uniquement).',
+          '`/pb check` — Affiche tes records personnels (5K, 10K, semi, marathon…).\n`/pb check member:<nom>` — Affiche les records d\'un autre membre.\n`/pb history category:<distance>` — Montre la progression d\'un record dans le temps, avec un graphique.\n`/pb records [category:<distance>]` — Affiche les records du club (5K, 10K, semi, marathon), par genre et, pour une distance, par catégorie d\'âge.\n`/pb add activity_url:<lien> distance_m:<mètres>` — Ajoute manuellement un PB depuis une activité Strava (utile pour les courses de plus d\'un an).\n`/sync period:<période> [month:YYYY-MM]` — Synchronise ton historique (Strava ou intervals.icu) et met à jour tes PB (année en cours, 365 derniers jours, mois en cours, mois précédent, ou un mois précis via `month:`).\n`/sync period:<période> all_members:True` — Synchronise tous les membres de l\'équipe (admin uniquement).',
         inline: false,
       },
       {
         name: '📅 4. Courses à venir',
         value:
-          '`/my-races add` — Ajouter une course (date, distance, objectif, lieu…).\n`/my-races list` — Voir tes courses.\n`/my-races update race_id:<id>` — Modifier une course.\n`/my-races remove race_id:<id>` — Supprimer une course.\n`/my-races upcoming days:<n>` — Voir les courses à venir de toute l\'équipe.',
+          '`/my-races add` — Ajouter une course (date, distance, objectif, lieu…).\n`/my-races list` — Voir tes courses.\n`/my-races update race_id:<id>` — Modifier une course.\n`/my-races remove race_id:<id>` — Supprimer une course.\n`/my-races result race_id:<id> time:<temps>` — Enregistrer ton résultat (temps, classements, dossard) ; comparé à l\'objectif, avec 🏆 pour un record.\n`/my-races calendar` — Liens pour t\'abonner aux courses de l\'équipe (et aux tiennes) depuis ton agenda.\n`/my-races import file:<fichier>` — Importer des courses depuis un agenda (.ics) ou un tableur (.csv, colonnes name et date au minimum) ; un aperçu est affiché avant confirmation.\n`/my-races upcoming days:<n>` — Voir les courses à venir de toute l\'équipe.',
+        inline: false,
+      },
+      {
+        name: '🏆 5. Classements',
+        value:
+          '`/leaderboard` — Classement de l\'équipe par kilomètres courus ce mois-ci.\n`/leaderboard month:previous` — Classement du mois précédent.\n`/leaderboard period:week` — Classement de la semaine en cours (lundi → dimanche), ou de la semaine précédente avec `month:previous`.\n`/leaderboard metric:<critère>` — Classer par dénivelé, temps de course, nombre de sorties ou plus longue série de jours consécutifs.\n`/kudos` — Les sorties les plus applaudies du mois et les coéquipiers les plus encourageants (`month:previous` pour le mois précédent). Chaque réaction sur une activité publiée compte comme un kudo.\n\nLe bot publie automatiquement le classement du mois écoulé le 1er de chaque mois, et celui de la semaine écoulée chaque lundi.',
+        inline: false,
+      },
+      {
+        name: '🎯 6. Défis d\'équipe',
+        value:
+          '`/challenge list` — Voir les défis en cours et passés.\n`/challenge join challenge_id:<id>` — Rejoindre un défi (toutes tes courses depuis le début du défi comptent).\n`/challenge leave challenge_id:<id>` — Quitter un défi.\n`/challenge status` — Voir la progression du défi en cours.\n\nLe bot annonce dans le salon les paliers (25 %, 50 %, 75 %) et la réussite du défi.',
         inline: false,
       },
       {
-        name: '🏆 5. Classement mensuel',
+        name: '🔒 7. Préférences de publication',
         value:
-          '`/leaderboard` — Classement de l\'équipe par kilomètres courus ce mois-ci.\n`/leaderboard month:previous` — Classement du mois précédent.\n\nLe bot publie automatiquement le classement du mois écoulé le 1er de chaque mois.',
+          '`/preferences view` — Voir tes préférences.\n`/preferences sports` — Choisir les sports publiés (ex. `walk:False` pour ne plus publier tes marches).\n`/preferences privacy` — Masquer la fréquence cardiaque, l\'allure ou la carte ; `api:False` te retire de l\'API publique de l\'équipe (site web).\n`/preferences pause until:<JJ-MM-AAAA>` — Suspendre la publication jusqu\'à une date ; `/preferences resume` pour reprendre.\n`/preferences zone-add coordinates:<lat, lon> radius:<m>` — Masquer sur tes cartes le tracé autour d\'un lieu (ex. ton domicile) ; `/preferences zone-remove` pour le retirer.\n`/heartrate set max:<bpm> threshold:<bpm>` — Afficher le temps passé dans chaque zone cardiaque sur tes activités ; `/heartrate view` pour voir tes zones, `/heartrate clear` pour les retirer.\n\nTes activités restent enregistrées et comptent toujours pour les PB, classements et défis.',
         inline: false,
       },
     ];
 
     if (isAdmin) {
       fields.push({
-        name: '⚙️ 6. Commandes admin',
+        name: '⚙️ 8. Commandes admin',
         value:
-          '`/members list` · `/members inactive` · `/members remove` · `/members deactivate` · `/members reactivate` · `/members revoke` · `/members connections`\n`/members revoke all_reclaimable:True` — Révoque en une fois tous les accès Strava inutilisés (membres désactivés ou passés à intervals.icu).\n`/all-races list` · `/all-races upcoming`\n`/settings channel` · `/settings view`\n`/scheduler weekly` · `/scheduler monthly` · `/scheduler status`\n`/pb status`',
+          '`/members list` · `/members inactive` · `/members remove` · `/members deactivate` · `/members reactivate` · `/members revoke` · `/members connections`\n`/members revoke all_reclaimable:True` — Révoque en une fois tous les accès Strava inutilisés (membres désactivés ou passés à intervals.icu).\n`/all-races list` · `/all-races upcoming`\n`/settings channel` · `/settings view`\n`/settings api-token create|list|revoke` — Jetons pour l\'API REST d\'administration (lecture seule ou admin) ; le jeton n\'est affiché qu\'une fois.\n`/settings webhooks add|list|remove|test` — Webhooks sortants : activités publiées, nouveaux records et changements de statut des courses envoyés en JSON signé (HMAC) à des outils tiers.\n`/scheduler weekly` · `/scheduler monthly` · `/scheduler status`\n`/activity status id:<id ou lien>` — Indique si une activité a été publiée, et sinon pourquoi (filtrée, doublon, échec).\n`/activity retry [id]` — Relance une activité en échec, ou toutes celles abandonnées après plusieurs tentatives.\n`/pb status`\n`/challenge create` — Créer un défi (distance, dénivelé, temps ou nombre de sorties ; total d\'équipe ou objectif individuel).',
         inline: false,
       });
     }
@@ -1958,7 +2529,7 @@ class DiscordCommands {
           },
           {
             name: '📊 Activities',
-            value: `Processed: ${stats.processedActivities}`,
+            value: this.formatActivityOutcomes(stats),
             inline: true
           },
           {
@@ -1973,7 +2544,7 @@ class DiscordCommands {
           },
           {
             name: '📬 Activity Queue',
-            value: `Queued: ${stats.activityQueue?.totalQueued || 0}\nDelay: ${stats.activityQueue?.delayMinutes || 0}min`,
+            value: this.formatQueueStatus(stats.activityQueue),
             inline: true
           },
           {
@@ -2001,89 +2572,308 @@ class DiscordCommands {
     }
   }
 
-  // Handle last activity command
-  async handleLastActivityCommand(interaction, options) {
-    const startTime = Date.now();
-    logger.discord.info('handleLastActivityCommand: START', {
-      interactionId: interaction.id,
-      replied: interaction.replied,
-      deferred: interaction.deferred,
-      createdTimestamp: interaction.createdTimestamp,
-      currentTimestamp: Date.now(),
-      ageMs: Date.now() - interaction.createdTimestamp
-    });
+  // Processed-activity lines for /botstatus, from the processed_activities ledger
+  formatActivityOutcomes(stats) {
+    const outcomes = stats.activityOutcomes || {};
+    const lines = [`Processed: ${stats.processedActivities}`];
+    if (outcomes.posted) lines.push(`Posted: ${outcomes.posted}`);
+    if (outcomes.filtered) lines.push(`Filtered: ${outcomes.filtered}`);
+    if (outcomes.duplicate) lines.push(`Duplicates: ${outcomes.duplicate}`);
+    if (outcomes.failed) lines.push(`Failed: ${outcomes.failed}`);
+    if (stats.retries?.pending) lines.push(`Retrying: ${stats.retries.pending}`);
+    if (stats.retries?.dead) lines.push(`⚠️ Dead-lettered: ${stats.retries.dead}`);
+    return lines.join('\n');
+  }
 
-    try {
-      logger.discord.info('handleLastActivityCommand: Calling deferReply()');
-      await interaction.deferReply();
-      logger.discord.info('handleLastActivityCommand: deferReply() completed', {
-        durationMs: Date.now() - startTime
-      });
-    } catch (error) {
-      logger.discord.error('handleLastActivityCommand: deferReply() FAILED', {
-        error: error.message,
-        code: error.code,
-        ageMs: Date.now() - interaction.createdTimestamp,
-        durationMs: Date.now() - startTime
+  // Activity queue lines for /botstatus. Queued items are saved to the
+  // database so they survive a restart; "not saved" ones would be lost.
+  formatQueueStatus(queueStats = {}) {
+    const lines = [`Queued: ${queueStats.totalQueued || 0}`];
+    if (queueStats.processing) lines[0] += ` (${queueStats.processing} processing)`;
+    if (queueStats.nextScheduled) lines.push(`Next: <t:${Math.floor(queueStats.nextScheduled / 1000)}:R>`);
+    if (queueStats.restored) lines.push(`Restored at startup: ${queueStats.restored}`);
+    if (queueStats.unsaved) lines.push(`⚠️ Not saved: ${queueStats.unsaved}`);
+    lines.push(`Delay: ${queueStats.delayMinutes || 0}min`);
+    return lines.join('\n');
+  }
+
+  // Handle activity subcommands
+  async handleActivityCommand(interaction, options) {
+    const subcommand = options.getSubcommand();
+
+    switch (subcommand) {
+    case 'status':
+      await this.handleActivityStatus(interaction, options);
+      break;
+    case 'retry':
+      await this.handleActivityRetry(interaction, options);
+      break;
+    }
+  }
+
+  // What happened to one activity: its ledger outcome and reason, its Discord
+  // messages, or its place in the posting queue
+  async handleActivityStatus(interaction, options) {
+    await interaction.deferReply({ ephemeral: true });
+
+    const activityId = parseActivityId(options.getString('id'));
+    if (!activityId) {
+      await interaction.editReply({
+        content: '❌ Invalid activity. Use a Strava or intervals.icu activity id or link.',
       });
-      throw error;
+      return;
     }
 
     try {
-      const memberInput = options.getString('member');
-      logger.discord.info('Processing /last command', {
-        user: interaction.user.tag,
-        memberInput: memberInput
-      });
-      const member = await this.findMemberByInput(memberInput);
-      logger.discord.info('Member lookup result', {
-        memberInput: memberInput,
-        memberFound: !!member,
-        memberId: member?.discordUserId
-      });
+      const databaseManager = this.activityProcessor.memberManager.databaseManager;
+      const outcome = await databaseManager.getActivityOutcome(activityId);
+      const posts = await databaseManager.getActivityPosts(activityId);
+      const queued = this.activityProcessor.activityQueue.getQueuedActivity(activityId);
+      const retry = activityId.startsWith('i') ? null : await this.activityProcessor.retryQueue.getRetry(activityId);
 
-      if (!member) {
-        await interaction.editReply({
-          content: '❌ Team member not found. Use `/members list` to see all registered members.',
+      const embed = new EmbedBuilder()
+        .setTitle(`🔎 Activity ${activityId}`)
+        .setColor('#FC4C02')
+        .setTimestamp();
+
+      if (!outcome && !queued) {
+        embed.setDescription('No record of this activity. It may belong to someone who isn\'t a member, predate the bot, or its Strava webhook never arrived.');
+      }
+
+      if (queued) {
+        embed.addFields({
+          name: '📬 Queue',
+          value: queued.status === 'processing'
+            ? 'Being processed now'
+            : `Waiting out the posting delay, posts <t:${Math.floor(queued.scheduledTime.getTime() / 1000)}:R>`,
+          inline: false,
         });
-        return;
       }
 
-      // Load JSON member data for Discord name fallback
-      const jsonMemberData = {};
-      try {
-        const fs = require('node:fs').promises;
-        const path = require('node:path');
-        const jsonPath = path.join(__dirname, '../../data/members.json');
-        const jsonData = await fs.readFile(jsonPath, 'utf8');
-        const memberDataJson = JSON.parse(jsonData);
-        
-        // Create lookup by discordUserId
-        for (const jsonMember of memberDataJson.members) {
-          jsonMemberData[jsonMember.discordUserId] = jsonMember.discordUser;
+      if (outcome) {
+        const member = await this.activityProcessor.memberManager.getMemberByAthleteId(outcome.member_athlete_id);
+        const fields = [
+          { name: 'Outcome', value: ACTIVITY_OUTCOME_LABELS[outcome.outcome] || outcome.outcome, inline: true },
+          { name: 'Member', value: member ? `<@${member.discordUserId}>` : `Athlete ${outcome.member_athlete_id}`, inline: true },
+          { name: 'Provider', value: outcome.provider === 'intervals' ? 'intervals.icu' : 'Strava', inline: true },
+        ];
+        if (outcome.reason) {
+          fields.push({ name: 'Reason', value: outcome.reason, inline: false });
         }
-      } catch (error) {
-        logger.discord.debug('Could not load JSON member data for fallback', { error: error.message });
+        fields.push({
+          name: 'Processed',
+          value: `<t:${Math.floor(new Date(outcome.updated_at).getTime() / 1000)}:f>${outcome.attempts > 1 ? ` (${outcome.attempts} attempts)` : ''}`,
+          inline: false,
+        });
+        embed.addFields(fields);
       }
 
-      // Helper function to get Discord name with fallbacks
-      const getDiscordName = (member) => {
-        const user = interaction.guild?.members.cache.get(member.discordUserId);
-        if (user?.displayName) {
-          return user.displayName;
-        } else if (jsonMemberData[member.discordUserId]) {
-          return jsonMemberData[member.discordUserId].displayName || jsonMemberData[member.discordUserId].username;
-        } else if (member.discordUser) {
-          return member.discordUser.displayName;
-        } else if (member.athlete) {
-          return `${member.athlete.firstname} ${member.athlete.lastname}`;
-        } else {
-          return `User ${member.discordUserId.slice(-4)}`;
-        }
-      };
+      if (retry) {
+        embed.addFields({
+          name: '🔁 Retries',
+          value: retry.status === RETRY_STATUS.DEAD
+            ? `Gave up after ${retry.attempts} failed ${retry.attempts === 1 ? 'attempt' : 'attempts'}, use \`/activity retry\``
+            : `${retry.attempts} failed so far, next attempt <t:${Math.floor(new Date(retry.next_attempt_at).getTime() / 1000)}:R>`,
+          inline: false,
+        });
+      }
 
-      // Get valid access token for the member
-      const accessToken = await this.activityProcessor.memberManager.getValidAccessToken(member);
+      if (posts.length > 0) {
+        embed.addFields({
+          name: '💬 Messages',
+          value: posts.map(post => (post.discord_guild_id
+            ? `https://discord.com/channels/${post.discord_guild_id}/${post.discord_channel_id}/${post.discord_message_id}`
+            : `Message ${post.discord_message_id}`)).join('\n'),
+          inline: false,
+        });
+      }
+
+      await interaction.editReply({ embeds: [embed] });
+    } catch (error) {
+      logger.discord.error('Error getting activity status', {
+        user: interaction.user.tag,
+        activityId,
+        error: error.message
+      });
+      await interaction.editReply({ content: '❌ Failed to look up the activity.' });
+    }
+  }
+  // Run a failed Strava activity through the pipeline again right away, or
+  // every dead-lettered one when no id is given
+  async handleActivityRetry(interaction, options) {
+    await interaction.deferReply({ ephemeral: true });
+
+    const input = options.getString('id');
+    if (!input) {
+      await this.retryDeadLetters(interaction);
+      return;
+    }
+
+    const activityId = parseActivityId(input);
+    if (!activityId) {
+      await interaction.editReply({ content: '❌ Invalid activity. Use a Strava activity id or link.' });
+      return;
+    }
+    if (activityId.startsWith('i')) {
+      await interaction.editReply({ content: 'ℹ️ intervals.icu activities are retried by the next poll.' });
+      return;
+    }
+
+    try {
+      const databaseManager = this.activityProcessor.memberManager.databaseManager;
+      const previous = await databaseManager.getActivityOutcome(activityId, 'strava');
+      if (previous && previous.outcome !== ACTIVITY_OUTCOME.FAILED) {
+        await interaction.editReply({
+          content: `ℹ️ Nothing to retry, activity ${activityId} was already processed: ${ACTIVITY_OUTCOME_LABELS[previous.outcome] || previous.outcome}.`,
+        });
+        return;
+      }
+
+      const retry = await this.activityProcessor.retryQueue.getRetry(activityId);
+      const athleteId = retry?.athlete_id ?? previous?.member_athlete_id;
+      if (!athleteId) {
+        await interaction.editReply({ content: `❌ No failed activity ${activityId} on record.` });
+        return;
+      }
+
+      logger.discord.info('Activity retry requested', { user: interaction.user.tag, activityId });
+      const outcome = await this.activityProcessor.retryQueue.retryNow(activityId, athleteId);
+
+      await interaction.editReply({
+        content: outcome?.outcome === ACTIVITY_OUTCOME.FAILED
+          ? `❌ Activity ${activityId} failed again: ${outcome.reason || 'unknown error'}. It will be retried automatically.`
+          : `🔁 Activity ${activityId} retried: ${ACTIVITY_OUTCOME_LABELS[outcome?.outcome] || 'no outcome recorded'}.`,
+      });
+    } catch (error) {
+      logger.discord.error('Error retrying activity', {
+        user: interaction.user.tag,
+        activityId,
+        error: error.message
+      });
+      await interaction.editReply({ content: '❌ Failed to retry the activity.' });
+    }
+  }
+
+  async retryDeadLetters(interaction) {
+    try {
+      logger.discord.info('Dead-letter retry requested', { user: interaction.user.tag });
+      const results = await this.activityProcessor.retryQueue.retryDeadLetters();
+      if (results.length === 0) {
+        await interaction.editReply({ content: '📭 No dead-lettered activities to retry.' });
+        return;
+      }
+
+      const stillFailing = results.filter(result => !result.outcome || result.outcome === ACTIVITY_OUTCOME.FAILED).length;
+      const lines = results.slice(0, RETRY_RESULTS_SHOWN).map(result =>
+        `\`${result.activityId}\` — ${ACTIVITY_OUTCOME_LABELS[result.outcome] || 'No outcome recorded'}`
+      );
+      if (results.length > RETRY_RESULTS_SHOWN) {
+        lines.push(`…and ${results.length - RETRY_RESULTS_SHOWN} more`);
+      }
+
+      const embed = new EmbedBuilder()
+        .setTitle('🔁 Dead-lettered activities retried')
+        .setColor(stillFailing > 0 ? '#E67E22' : '#2ECC71')
+        .setDescription(lines.join('\n'))
+        .setFooter({ text: stillFailing > 0
+          ? `${stillFailing} still failing, retried automatically from now on`
+          : `All ${results.length} went through` })
+        .setTimestamp();
+
+      await interaction.editReply({ embeds: [embed] });
+    } catch (error) {
+      logger.discord.error('Error retrying dead-lettered activities', {
+        user: interaction.user.tag,
+        error: error.message
+      });
+      await interaction.editReply({ content: '❌ Failed to retry the activities.' });
+    }
+  }
+
+
+  // Handle last activity command
+  async handleLastActivityCommand(interaction, options) {
+    const startTime = Date.now();
+    logger.discord.info('handleLastActivityCommand: START', {
+      interactionId: interaction.id,
+      replied: interaction.replied,
+      deferred: interaction.deferred,
+      createdTimestamp: interaction.createdTimestamp,
+      currentTimestamp: Date.now(),
+      ageMs: Date.now() - interaction.createdTimestamp
+    });
+
+    try {
+      logger.discord.info('handleLastActivityCommand: Calling deferReply()');
+      await interaction.deferReply();
+      logger.discord.info('handleLastActivityCommand: deferReply() completed', {
+        durationMs: Date.now() - startTime
+      });
+    } catch (error) {
+      logger.discord.error('handleLastActivityCommand: deferReply() FAILED', {
+        error: error.message,
+        code: error.code,
+        ageMs: Date.now() - interaction.createdTimestamp,
+        durationMs: Date.now() - startTime
+      });
+      throw error;
+    }
+
+    try {
+      const memberInput = options.getString('member');
+      logger.discord.info('Processing /last command', {
+        user: interaction.user.tag,
+        memberInput: memberInput
+      });
+      const member = await this.findMemberByInput(memberInput);
+      logger.discord.info('Member lookup result', {
+        memberInput: memberInput,
+        memberFound: !!member,
+        memberId: member?.discordUserId
+      });
+
+      if (!member) {
+        await interaction.editReply({
+          content: '❌ Team member not found. Use `/members list` to see all registered members.',
+        });
+        return;
+      }
+
+      // Load JSON member data for Discord name fallback
+      const jsonMemberData = {};
+      try {
+        const fs = require('node:fs').promises;
+        const path = require('node:path');
+        const jsonPath = path.join(__dirname, '../../data/members.json');
+        const jsonData = await fs.readFile(jsonPath, 'utf8');
+        const memberDataJson = JSON.parse(jsonData);
+        
+        // Create lookup by discordUserId
+        for (const jsonMember of memberDataJson.members) {
+          jsonMemberData[jsonMember.discordUserId] = jsonMember.discordUser;
+        }
+      } catch (error) {
+        logger.discord.debug('Could not load JSON member data for fallback', { error: error.message });
+      }
+
+      // Helper function to get Discord name with fallbacks
+      const getDiscordName = (member) => {
+        const user = interaction.guild?.members.cache.get(member.discordUserId);
+        if (user?.displayName) {
+          return user.displayName;
+        } else if (jsonMemberData[member.discordUserId]) {
+          return jsonMemberData[member.discordUserId].displayName || jsonMemberData[member.discordUserId].username;
+        } else if (member.discordUser) {
+          return member.discordUser.displayName;
+        } else if (member.athlete) {
+          return `${member.athlete.firstname} ${member.athlete.lastname}`;
+        } else {
+          return `User ${member.discordUserId.slice(-4)}`;
+        }
+      };
+
+      // Get valid access token for the member
+      const accessToken = await this.activityProcessor.memberManager.getValidAccessToken(member);
       logger.discord.info('Access token check result', {
         memberInput: memberInput,
         hasAccessToken: !!accessToken
@@ -2118,10 +2908,13 @@ class DiscordCommands {
           new Date(activity.start_date_local) > new Date(latest.start_date_local) ? activity : latest
         );
 
-        const processedActivity = await this.activityProcessor.intervalsAPI.processActivityWithStreams(
-          latestActivity,
-          { ...member.athlete, discordUser: member.discordUser },
-          accessToken
+        const processedActivity = this.activityProcessor.preferencesManager.applyPrivacy(
+          await this.activityProcessor.intervalsAPI.processActivityWithStreams(
+            latestActivity,
+            { ...member.athlete, discordUser: member.discordUser },
+            accessToken
+          ),
+          await this.activityProcessor.preferencesManager.getPreferences(member.athleteId)
         );
 
         const payload = await ActivityEmbedBuilder.createActivityMessage(processedActivity, { type: 'latest' });
@@ -2169,11 +2962,15 @@ class DiscordCommands {
         return;
       }
 
-      // Process the activity data for display with streams data for accurate GAP
-      const processedActivity = await this.activityProcessor.stravaAPI.processActivityWithStreams(
-        publicActivity,
-        member.athlete,
-        accessToken
+      // Process the activity data for display with streams data for accurate
+      // GAP, hiding whatever the member chose to keep private
+      const processedActivity = this.activityProcessor.preferencesManager.applyPrivacy(
+        await this.activityProcessor.stravaAPI.processActivityWithStreams(
+          publicActivity,
+          member.athlete,
+          accessToken
+        ),
+        await this.activityProcessor.preferencesManager.getPreferences(member.athleteId)
       );
 
       // Create the same message payload as used for posting activities
@@ -2286,6 +3083,15 @@ class DiscordCommands {
     case 'update':
       await this.updateRace(interaction, options);
       break;
+    case 'result':
+      await this.recordRaceResult(interaction, options);
+      break;
+    case 'calendar':
+      await this.showRaceCalendarLinks(interaction);
+      break;
+    case 'import':
+      await this.previewRaceImport(interaction, options);
+      break;
     case 'upcoming':
       await this.showUpcomingRaces(interaction, options, true);
       break;
@@ -2409,7 +3215,9 @@ class DiscordCommands {
       const status = options.getString('status');
       const filterOptions = status ? { status } : {};
       
-      const races = await this.raceManager.getMemberRaces(interaction.user.id, filterOptions);
+      const races = this.raceManager.annotateResults(
+        await this.raceManager.getMemberRaces(interaction.user.id, filterOptions)
+      );
 
       if (races.length === 0) {
         const statusText = status ? ` with status "${status}"` : '';
@@ -2553,6 +3361,279 @@ class DiscordCommands {
     }
   }
 
+  // Record a race result
+  async recordRaceResult(interaction, options) {
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const raceId = options.getInteger('race_id');
+      const activityInput = options.getString('activity');
+      const activityId = activityInput ? parseActivityId(activityInput) : null;
+
+      if (activityInput && !activityId) {
+        await interaction.editReply({
+          content: '❌ Invalid activity. Use a Strava or intervals.icu activity id or link.',
+          ephemeral: true
+        });
+        return;
+      }
+
+      const race = await this.raceManager.recordResult(raceId, interaction.user.id, {
+        finishTime: options.getString('time'),
+        overallPlace: options.getInteger('overall_place'),
+        categoryPlace: options.getInteger('category_place'),
+        bibNumber: options.getString('bib'),
+        activityId
+      });
+
+      // Flag the PR against the member's other results at that distance
+      const results = await this.raceManager.getMemberRaces(interaction.user.id, { status: 'completed' });
+      const annotated = this.raceManager.annotateResults(results).find(result => result.id === race.id) || race;
+
+      const embed = new EmbedBuilder()
+        .setTitle('🏁 Race Result Recorded')
+        .setColor('#D4AF37')
+        .setDescription(this.raceManager.formatRaceDisplay(annotated, false))
+        .setFooter({ text: `Race #${race.id}` })
+        .setTimestamp();
+
+      await interaction.editReply({ embeds: [embed] });
+
+    } catch (error) {
+      logger.discord.error('Error recording race result', {
+        user: interaction.user.tag,
+        raceId: options.getInteger('race_id'),
+        error: error.message
+      });
+
+      await interaction.editReply({
+        content: `❌ Failed to record result: ${error.message}`,
+        ephemeral: true
+      });
+    }
+  }
+
+  // Calendar feed links: the team's races, and a personal feed behind a
+  // signed token
+  async showRaceCalendarLinks(interaction) {
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const member = await this.activityProcessor.memberManager.getMemberByDiscordId(interaction.user.id);
+      const base = config.server.baseUrl.replace(/\/+$/, '');
+      const token = member ? RaceCalendar.memberToken(member.athlete.id) : null;
+
+      const embed = new EmbedBuilder()
+        .setTitle('📆 Race Calendars')
+        .setColor('#FC4C02')
+        .setDescription('Subscribe from Google Calendar, Apple Calendar or Outlook ("add calendar from URL") to see upcoming races there. Calendars refresh every few hours.')
+        .addFields([{ name: '👥 Team races', value: `${base}/calendar/races.ics`, inline: false }])
+        .setTimestamp();
+
+      if (token) {
+        embed.addFields([{ name: '🏃 Your races', value: `${base}/calendar/members/${token}/races.ics`, inline: false }]);
+        embed.setFooter({ text: 'Keep your link private — anyone with it can see your races' });
+      }
+
+      await interaction.editReply({ embeds: [embed] });
+
+    } catch (error) {
+      logger.discord.error('Error showing race calendar links', {
+        user: interaction.user.tag,
+        error: error.message
+      });
+
+      await interaction.editReply({
+        content: '❌ Failed to get the calendar links.',
+        ephemeral: true
+      });
+    }
+  }
+
+  // Parse an .ics/.csv attachment and show what would be imported; nothing is
+  // saved until the member confirms (handleRaceImportButton)
+  async previewRaceImport(interaction, options) {
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const attachment = options.getAttachment('file');
+
+      if (!/\.(ics|csv)$/i.test(attachment.name)) {
+        await interaction.editReply({ content: '❌ Only .ics and .csv files can be imported.' });
+        return;
+      }
+
+      if (attachment.size > RACE_IMPORT.MAX_FILE_BYTES) {
+        await interaction.editReply({ content: `❌ The file is too large (max ${RACE_IMPORT.MAX_FILE_BYTES / 1024} KB).` });
+        return;
+      }
+
+      const member = await this.activityProcessor.memberManager.getMemberByDiscordId(interaction.user.id);
+      if (!member?.isActive) {
+        await interaction.editReply({ content: '❌ You are not registered. Use `/register` first.' });
+        return;
+      }
+
+      const response = await axios.get(attachment.url, {
+        responseType: 'text',
+        timeout: RACE_IMPORT.DOWNLOAD_TIMEOUT_MS,
+        maxContentLength: RACE_IMPORT.MAX_FILE_BYTES
+      });
+
+      const rows = RaceImportParser.parse(response.data, attachment.name);
+      const { accepted, rejected } = await this.raceManager.prepareImport(interaction.user.id, rows);
+
+      const embed = this._createRaceImportPreviewEmbed(attachment.name, accepted, rejected);
+
+      if (accepted.length === 0) {
+        await interaction.editReply({ embeds: [embed] });
+        return;
+      }
+
+      this._prunePendingRaceImports();
+      this.pendingRaceImports.set(interaction.id, {
+        discordUserId: interaction.user.id,
+        races: accepted,
+        expiresAt: Date.now() + RACE_IMPORT.PREVIEW_TTL_MS
+      });
+
+      const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(`race_import_confirm:${interaction.id}`)
+          .setLabel(`Import ${accepted.length} race${accepted.length === 1 ? '' : 's'}`)
+          .setStyle(ButtonStyle.Success),
+        new ButtonBuilder()
+          .setCustomId(`race_import_cancel:${interaction.id}`)
+          .setLabel('Cancel')
+          .setStyle(ButtonStyle.Secondary)
+      );
+
+      await interaction.editReply({ embeds: [embed], components: [row] });
+
+    } catch (error) {
+      logger.discord.error('Error previewing race import', {
+        user: interaction.user.tag,
+        error: error.message
+      });
+
+      await interaction.editReply({
+        content: `❌ Failed to read the file: ${error.message}`,
+        ephemeral: true
+      });
+    }
+  }
+
+  // Confirm or cancel a /my-races import preview
+  async handleRaceImportButton(interaction) {
+    const [, action, importId] = /^race_import_(confirm|cancel):(.+)$/.exec(interaction.customId) || [];
+    const pending = this.pendingRaceImports.get(importId);
+
+    if (!pending || pending.expiresAt <= Date.now()) {
+      this.pendingRaceImports.delete(importId);
+      await interaction.update({
+        content: '⌛ This import preview has expired. Run `/my-races import` again.',
+        embeds: [],
+        components: []
+      });
+      return;
+    }
+
+    if (pending.discordUserId !== interaction.user.id) {
+      await interaction.reply({ content: '❌ This import isn\'t yours.', ephemeral: true });
+      return;
+    }
+
+    // Removed before saving so a double click can't import twice
+    this.pendingRaceImports.delete(importId);
+
+    if (action === 'cancel') {
+      await interaction.update({ content: '🚫 Import cancelled — no races were added.', embeds: [], components: [] });
+      return;
+    }
+
+    try {
+      const races = await this.raceManager.addRaces(pending.discordUserId, pending.races);
+
+      const embed = new EmbedBuilder()
+        .setTitle('✅ Races Imported')
+        .setColor('#00FF88')
+        .setDescription(this._formatImportedRaceList(races.map(race => ({
+          name: `#${race.id} ${race.name}`,
+          date: DateUtils.convertISOToDDMMYYYY(race.race_date),
+          distance: race.distance
+        }))))
+        .setFooter({ text: 'Use /my-races list to see all your races' })
+        .setTimestamp();
+
+      await interaction.update({ content: '', embeds: [embed], components: [] });
+
+    } catch (error) {
+      logger.discord.error('Error importing races', {
+        user: interaction.user.tag,
+        count: pending.races.length,
+        error: error.message
+      });
+
+      await interaction.update({
+        content: `❌ Failed to import races: ${error.message}`,
+        embeds: [],
+        components: []
+      });
+    }
+  }
+
+  _createRaceImportPreviewEmbed(filename, accepted, rejected) {
+    const embed = new EmbedBuilder()
+      .setTitle(accepted.length > 0 ? '📥 Race Import Preview' : '❌ Nothing to Import')
+      .setColor(accepted.length > 0 ? '#FC4C02' : '#FF0000')
+      .setTimestamp();
+
+    if (accepted.length > 0) {
+      embed
+        .setDescription(`**${accepted.length}** race${accepted.length === 1 ? '' : 's'} ready to import from **${filename}**:\n\n` +
+          this._formatImportedRaceList(accepted.map(race => ({ name: race.name.trim(), date: race.raceDate, distance: race.distance }))))
+        .setFooter({ text: `Confirm within ${RACE_IMPORT.PREVIEW_TTL_MS / 60000} minutes to add these races` });
+    } else {
+      embed.setDescription(`No races in **${filename}** could be imported.`);
+    }
+
+    if (rejected.length > 0) {
+      const lines = rejected
+        .slice(0, RACE_IMPORT.PREVIEW_LINES)
+        .map(({ line, name, reason }) => `Line ${line}${name ? ` (${name})` : ''}: ${reason}`);
+      if (rejected.length > RACE_IMPORT.PREVIEW_LINES) {
+        lines.push(`…and ${rejected.length - RACE_IMPORT.PREVIEW_LINES} more`);
+      }
+      embed.addFields([{
+        name: `⚠️ Skipped (${rejected.length})`,
+        value: lines.join('\n').slice(0, DISCORD.MAX_FIELD_VALUE_LENGTH),
+        inline: false
+      }]);
+    }
+
+    return embed;
+  }
+
+  // "• Name — DD-MM-YYYY · 10K" lines, capped at RACE_IMPORT.PREVIEW_LINES
+  _formatImportedRaceList(races) {
+    const lines = races
+      .slice(0, RACE_IMPORT.PREVIEW_LINES)
+      .map(race => `• **${race.name}** — ${race.date}${race.distance ? ` · ${race.distance}` : ''}`);
+
+    if (races.length > RACE_IMPORT.PREVIEW_LINES) {
+      lines.push(`…and ${races.length - RACE_IMPORT.PREVIEW_LINES} more`);
+    }
+
+    return lines.join('\n');
+  }
+
+  _prunePendingRaceImports() {
+    const now = Date.now();
+    for (const [importId, pending] of this.pendingRaceImports) {
+      if (pending.expiresAt <= now) this.pendingRaceImports.delete(importId);
+    }
+  }
+
   // Show upcoming races
   async showUpcomingRaces(interaction, options, isTeamCommand = false) {
     await interaction.deferReply({ ephemeral: !isTeamCommand });
@@ -2659,7 +3740,7 @@ class DiscordCommands {
       const status = options.getString('status');
       const filterOptions = status ? { status } : {};
       
-      const races = await this.raceManager.getAllRaces(filterOptions);
+      const races = this.raceManager.annotateResults(await this.raceManager.getAllRaces(filterOptions));
 
       if (races.length === 0) {
         const statusText = status ? ` with status "${status}"` : '';
@@ -2697,67 +3778,482 @@ class DiscordCommands {
         const locationInfo = race.location ? ` • 📍 ${race.location}` : '';
         const statusEmoji = this.raceManager.getStatusEmoji(race.status);
         const statusText = race.status.toUpperCase();
+        const result = this.raceManager.formatResultLine(race);
+        const resultInfo = result ? `\n${result}` : '';
         
         embed.addFields([{
           name: `#${race.id} - ${race.name} (${race.memberName})`,
-          value: `📅 ${raceDate}${distanceInfo}${locationInfo}\n${statusEmoji} ${statusText}`,
+          value: `📅 ${raceDate}${distanceInfo}${locationInfo}\n${statusEmoji} ${statusText}${resultInfo}`,
           inline: true
         }]);
       }
 
-      if (raceChunks.length > 1) {
-        embed.setFooter({ text: `Showing first 10 of ${races.length} races` });
-      }
+      if (raceChunks.length > 1) {
+        embed.setFooter({ text: `Showing first 10 of ${races.length} races` });
+      }
+
+      await interaction.editReply({ embeds: [embed] });
+
+    } catch (error) {
+      logger.discord.error('Error listing all team races', {
+        user: interaction.user.tag,
+        error: error.message
+      });
+      
+      await interaction.editReply({
+        content: '❌ Failed to retrieve team races.',
+        ephemeral: true
+      });
+    }
+  }
+
+  // === LEADERBOARD COMMAND HANDLER ===
+
+  async handleLeaderboardCommand(interaction, options) {
+    await interaction.deferReply();
+
+    try {
+      const choice = options.getString('month') ?? 'current';
+      const periodType = options.getString('period') ?? 'month';
+      const metric = options.getString('metric') ?? 'distance';
+
+      if (periodType === 'week') {
+        await this._renderWeeklyLeaderboard(interaction, choice, metric);
+        return;
+      }
+
+      const period = choice === 'previous'
+        ? LeaderboardManager.getPreviousMonth()
+        : LeaderboardManager.getCurrentMonth();
+
+      const result = await this.leaderboardManager.getMonthlyLeaderboard({
+        year: period.year,
+        month: period.month,
+        memberManager: this.activityProcessor.memberManager,
+      });
+      result.entries = LeaderboardManager.rankBy(result.entries, metric);
+
+      const embed = ActivityEmbedBuilder.buildMonthlyLeaderboardEmbed(result, { metric });
+      await interaction.editReply({ embeds: [embed] });
+
+      logger.discord.info('Leaderboard rendered', {
+        user: interaction.user.tag,
+        year: result.year,
+        month: result.month,
+        metric,
+        runners: result.entries.length,
+      });
+    } catch (error) {
+      logger.discord.error('Error rendering leaderboard', {
+        user: interaction.user.tag,
+        error: error.message,
+        stack: error.stack
+      });
+      await interaction.editReply({ content: '❌ Failed to render leaderboard.' });
+    }
+  }
+
+  async handleKudosCommand(interaction, options) {
+    await interaction.deferReply();
+
+    try {
+      const period = options.getString('month') === 'previous'
+        ? LeaderboardManager.getPreviousMonth()
+        : LeaderboardManager.getCurrentMonth();
+
+      const highlights = await this.kudosManager.getMonthlyHighlights({
+        year: period.year,
+        month: period.month,
+        memberManager: this.activityProcessor.memberManager,
+      });
+
+      const embed = ActivityEmbedBuilder.buildKudosEmbed(highlights);
+      await interaction.editReply({ embeds: [embed] });
+
+      logger.discord.info('Kudos rendered', {
+        user: interaction.user.tag,
+        year: highlights.year,
+        month: highlights.month,
+        runs: highlights.activities.length,
+      });
+    } catch (error) {
+      logger.discord.error('Error rendering kudos', {
+        user: interaction.user.tag,
+        error: error.message,
+        stack: error.stack
+      });
+      await interaction.editReply({ content: '❌ Failed to render kudos.' });
+    }
+  }
+
+  // ISO week ranking; "current"/"previous" are judged in the scheduler
+  // timezone so the command agrees with the Monday cron post.
+  async _renderWeeklyLeaderboard(interaction, choice, metric) {
+    const timeZone = config.scheduler?.timezone || 'UTC';
+    const period = choice === 'previous'
+      ? LeaderboardManager.getPreviousWeek(new Date(), timeZone)
+      : LeaderboardManager.getCurrentWeek(new Date(), timeZone);
+
+    const result = await this.leaderboardManager.getWeeklyLeaderboard({
+      year: period.year,
+      week: period.week,
+      memberManager: this.activityProcessor.memberManager,
+    });
+    result.entries = LeaderboardManager.rankBy(result.entries, metric);
+
+    const embed = ActivityEmbedBuilder.buildWeeklyLeaderboardEmbed(result, { metric });
+    await interaction.editReply({ embeds: [embed] });
+
+    logger.discord.info('Weekly leaderboard rendered', {
+      user: interaction.user.tag,
+      year: result.year,
+      week: result.week,
+      metric,
+      runners: result.entries.length,
+    });
+  }
+
+  // === CHALLENGE COMMAND HANDLERS ===
+
+  async handleChallengeCommand(interaction, options) {
+    const subcommand = options.getSubcommand();
+
+    switch (subcommand) {
+    case 'create':
+      await this.createChallenge(interaction, options);
+      break;
+    case 'join':
+      await this.joinChallenge(interaction, options);
+      break;
+    case 'leave':
+      await this.leaveChallenge(interaction, options);
+      break;
+    case 'status':
+      await this.showChallengeStatus(interaction, options);
+      break;
+    case 'list':
+      await this.listChallenges(interaction, options);
+      break;
+    }
+  }
+
+  // Public reply so the new challenge doubles as its own announcement.
+  // Creating is admin-gated here rather than on the whole command so that
+  // every member can still join, leave and follow challenges.
+  async createChallenge(interaction, options) {
+    if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+      await interaction.reply({
+        content: '❌ You need "Manage Server" permissions to create a challenge.',
+        ephemeral: true
+      });
+      return;
+    }
+
+    await interaction.deferReply();
+
+    try {
+      const challenge = await this.challengeManager.createChallenge(interaction.user.id, {
+        name: options.getString('name'),
+        metric: options.getString('metric'),
+        target: options.getInteger('target'),
+        endDate: options.getString('end_date'),
+        startDate: options.getString('start_date'),
+        scope: options.getString('scope') || 'team',
+        description: options.getString('description'),
+      });
+
+      const progress = await this.challengeManager.getProgress(challenge, this.activityProcessor.memberManager);
+      const embed = ActivityEmbedBuilder.buildChallengeStatusEmbed(progress);
+      await interaction.editReply({
+        content: `🎯 New challenge! Join with \`/challenge join challenge_id:${challenge.id}\``,
+        embeds: [embed]
+      });
+    } catch (error) {
+      logger.discord.error('Error creating challenge', {
+        user: interaction.user.tag,
+        error: error.message
+      });
+      await interaction.editReply({ content: `❌ Failed to create challenge: ${error.message}` });
+    }
+  }
+
+  async joinChallenge(interaction, options) {
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const challenge = await this.challengeManager.joinChallenge(options.getInteger('challenge_id'), interaction.user.id);
+      await interaction.editReply({
+        content: `✅ You joined **${challenge.name}**. Runs from ${DateUtils.convertISOToDDMMYYYY(challenge.start_date)} onward count toward it.`
+      });
+    } catch (error) {
+      logger.discord.error('Error joining challenge', {
+        user: interaction.user.tag,
+        challengeId: options.getInteger('challenge_id'),
+        error: error.message
+      });
+      await interaction.editReply({ content: `❌ Failed to join challenge: ${error.message}` });
+    }
+  }
+
+  async leaveChallenge(interaction, options) {
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const challenge = await this.challengeManager.leaveChallenge(options.getInteger('challenge_id'), interaction.user.id);
+      await interaction.editReply({ content: `👋 You left **${challenge.name}**.` });
+    } catch (error) {
+      logger.discord.error('Error leaving challenge', {
+        user: interaction.user.tag,
+        challengeId: options.getInteger('challenge_id'),
+        error: error.message
+      });
+      await interaction.editReply({ content: `❌ Failed to leave challenge: ${error.message}` });
+    }
+  }
+
+  async showChallengeStatus(interaction, options) {
+    await interaction.deferReply();
+
+    try {
+      const challengeId = options.getInteger('challenge_id');
+      const challenge = challengeId
+        ? await this.challengeManager.getChallenge(challengeId)
+        : (await this.challengeManager.listChallenges({ status: 'active' }))[0];
+
+      if (!challenge) {
+        await interaction.editReply({
+          content: challengeId ? '❌ Challenge not found.' : '📭 No active challenge. Admins can start one with `/challenge create`.'
+        });
+        return;
+      }
+
+      const progress = await this.challengeManager.getProgress(challenge, this.activityProcessor.memberManager);
+      await interaction.editReply({ embeds: [ActivityEmbedBuilder.buildChallengeStatusEmbed(progress)] });
+    } catch (error) {
+      logger.discord.error('Error showing challenge status', {
+        user: interaction.user.tag,
+        error: error.message
+      });
+      await interaction.editReply({ content: '❌ Failed to load challenge.' });
+    }
+  }
+
+  async listChallenges(interaction, options) {
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const status = options.getString('status');
+      const challenges = await this.challengeManager.listChallenges(status ? { status } : {});
+
+      if (challenges.length === 0) {
+        await interaction.editReply({ content: '📭 No challenges found.' });
+        return;
+      }
+
+      const lines = challenges.slice(0, DISCORD.MAX_EMBED_FIELDS).map(challenge => {
+        const metricInfo = LEADERBOARD_METRICS[challenge.metric];
+        let state = challenge.status === 'completed' ? '✅ completed' : '🟢 active';
+        if (challenge.status === 'active' && this.challengeManager.hasEnded(challenge)) {
+          state = '⌛ ended';
+        }
+        return `**#${challenge.id} — ${challenge.name}**\n${metricInfo.emoji} ${ActivityEmbedBuilder.formatChallengeGoal(challenge)} · ${DateUtils.convertISOToDDMMYYYY(challenge.start_date)} → ${DateUtils.convertISOToDDMMYYYY(challenge.end_date)} · ${state}`;
+      });
+
+      const embed = new EmbedBuilder()
+        .setTitle('🎯 Team Challenges')
+        .setColor('#FC4C02')
+        .setDescription(lines.join('\n\n'))
+        .setFooter({ text: 'Use /challenge status challenge_id:<id> for details' })
+        .setTimestamp();
+
+      await interaction.editReply({ embeds: [embed] });
+    } catch (error) {
+      logger.discord.error('Error listing challenges', {
+        user: interaction.user.tag,
+        error: error.message
+      });
+      await interaction.editReply({ content: '❌ Failed to list challenges.' });
+    }
+  }
+
+  // === PREFERENCES COMMAND HANDLERS ===
 
-      await interaction.editReply({ embeds: [embed] });
+  // Every reply is ephemeral: preferences are the member's own business.
+  async handlePreferencesCommand(interaction, options) {
+    const subcommand = options.getSubcommand();
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      let preferences;
+      let message;
+
+      switch (subcommand) {
+      case 'view':
+        preferences = await this.preferencesManager.getPreferencesForDiscordUser(interaction.user.id);
+        break;
+      case 'sports': {
+        const toggles = {};
+        for (const key of Object.keys(POSTING_SPORT_CATEGORIES)) {
+          const value = options.getBoolean(key);
+          if (value !== null) toggles[key] = value;
+        }
+        preferences = await this.preferencesManager.setSportTypes(interaction.user.id, toggles);
+        message = '✅ Sports updated.';
+        break;
+      }
+      case 'privacy':
+        preferences = await this.preferencesManager.setPrivacy(interaction.user.id, {
+          showHeartRate: options.getBoolean('heart_rate') ?? undefined,
+          showPace: options.getBoolean('pace') ?? undefined,
+          showMap: options.getBoolean('map') ?? undefined,
+          showInApi: options.getBoolean('api') ?? undefined,
+        });
+        message = '✅ Privacy updated.';
+        break;
+      case 'pause':
+        preferences = await this.preferencesManager.pauseUntil(interaction.user.id, options.getString('until'));
+        message = `⏸️ Posting paused until ${DateUtils.convertISOToDDMMYYYY(preferences.pausedUntil)} (inclusive). Your activities are still recorded.`;
+        break;
+      case 'resume':
+        preferences = await this.preferencesManager.resume(interaction.user.id);
+        message = '▶️ Posting resumed.';
+        break;
+      case 'zone-add':
+        preferences = await this.preferencesManager.addPrivacyZone(
+          interaction.user.id, options.getString('coordinates'), options.getInteger('radius')
+        );
+        message = '📍 Privacy zone added. Your route maps no longer show anything inside it.';
+        break;
+      case 'zone-remove':
+        preferences = await this.preferencesManager.removePrivacyZone(interaction.user.id, options.getInteger('zone'));
+        message = '🗑️ Privacy zone removed.';
+        break;
+      }
 
+      await interaction.editReply({
+        content: message,
+        embeds: [this.buildPreferencesEmbed(preferences)]
+      });
     } catch (error) {
-      logger.discord.error('Error listing all team races', {
+      logger.discord.error('Error handling preferences command', {
         user: interaction.user.tag,
+        subcommand,
         error: error.message
       });
-      
-      await interaction.editReply({
-        content: '❌ Failed to retrieve team races.',
-        ephemeral: true
-      });
+      await interaction.editReply({ content: `❌ Failed to update preferences: ${error.message}` });
     }
   }
 
-  // === LEADERBOARD COMMAND HANDLER ===
+  buildPreferencesEmbed(preferences) {
+    const sports = Object.entries(POSTING_SPORT_CATEGORIES)
+      .map(([key, { label }]) => `${!preferences.sportTypes || preferences.sportTypes.includes(key) ? '✅' : '🚫'} ${label}`)
+      .join('\n');
+    const shown = (flag) => flag ? '✅ Shown' : '🙈 Hidden';
+    const today = DateUtils.getTodayDateString();
+    const paused = preferences.pausedUntil && preferences.pausedUntil >= today;
 
-  async handleLeaderboardCommand(interaction, options) {
-    await interaction.deferReply();
+    return new EmbedBuilder()
+      .setTitle('⚙️ Your Posting Preferences')
+      .setColor(paused ? '#808080' : '#FC4C02')
+      .addFields([
+        {
+          name: '📬 Posting',
+          value: paused ? `⏸️ Paused until ${DateUtils.convertISOToDDMMYYYY(preferences.pausedUntil)}` : '▶️ Active',
+          inline: false
+        },
+        { name: '🏅 Sports posted', value: sports, inline: true },
+        {
+          name: '🔒 Details',
+          value: `❤️ Heart rate: ${shown(preferences.showHeartRate)}\n🏃 Pace: ${shown(preferences.showPace)}\n🗺️ Map: ${shown(preferences.showMap)}\n🌐 Public API: ${shown(preferences.showInApi)}`,
+          inline: true
+        },
+        {
+          name: '📍 Privacy zones',
+          value: this._formatPrivacyZones(preferences.privacyZones),
+          inline: false
+        }
+      ])
+      .setFooter({ text: 'Hidden or muted activities still count for PBs, leaderboards and challenges' });
+  }
 
-    try {
-      const choice = options.getString('month') ?? 'current';
-      const period = choice === 'previous'
-        ? LeaderboardManager.getPreviousMonth()
-        : LeaderboardManager.getCurrentMonth();
+  _formatPrivacyZones(zones) {
+    if (zones.length > 0) {
+      return zones.map((zone, i) => `**${i + 1}.** ${zone.lat}, ${zone.lon} — ${zone.radius} m`).join('\n');
+    }
+    return config.map.privacyTrimMetres > 0
+      ? `None — the first and last ${config.map.privacyTrimMetres} m of your routes are hidden instead`
+      : 'None';
+  }
 
-      const result = await this.leaderboardManager.getMonthlyLeaderboard({
-        year: period.year,
-        month: period.month,
-        memberManager: this.activityProcessor.memberManager,
-      });
+  // === HEART RATE COMMAND HANDLERS ===
 
-      const embed = ActivityEmbedBuilder.buildMonthlyLeaderboardEmbed(result);
-      await interaction.editReply({ embeds: [embed] });
+  // Ephemeral like /preferences, where these settings are stored.
+  async handleHeartRateCommand(interaction, options) {
+    const subcommand = options.getSubcommand();
+    await interaction.deferReply({ ephemeral: true });
 
-      logger.discord.info('Leaderboard rendered', {
-        user: interaction.user.tag,
-        year: result.year,
-        month: result.month,
-        runners: result.entries.length,
+    try {
+      let preferences;
+      let message;
+
+      switch (subcommand) {
+      case 'view':
+        preferences = await this.preferencesManager.getPreferencesForDiscordUser(interaction.user.id);
+        break;
+      case 'set':
+        preferences = await this.preferencesManager.setHeartRate(interaction.user.id, {
+          maxHeartRate: options.getInteger('max') ?? undefined,
+          thresholdHeartRate: options.getInteger('threshold') ?? undefined,
+        });
+        message = '✅ Heart rate updated. Your next posts with heart-rate data show a zone breakdown.';
+        break;
+      case 'clear':
+        preferences = await this.preferencesManager.clearHeartRate(interaction.user.id);
+        message = '🗑️ Heart rates removed — zones are no longer shown.';
+        break;
+      }
+
+      await interaction.editReply({
+        content: message,
+        embeds: [this.buildHeartRateEmbed(preferences)]
       });
     } catch (error) {
-      logger.discord.error('Error rendering leaderboard', {
+      logger.discord.error('Error handling heartrate command', {
         user: interaction.user.tag,
-        error: error.message,
-        stack: error.stack
+        subcommand,
+        error: error.message
       });
-      await interaction.editReply({ content: '❌ Failed to render leaderboard.' });
+      await interaction.editReply({ content: `❌ Failed to update heart rate: ${error.message}` });
+    }
+  }
+
+  buildHeartRateEmbed(preferences) {
+    const { maxHeartRate, thresholdHeartRate } = preferences;
+    const bounds = HeartRateZones.zoneBounds(preferences);
+    const bpm = (value) => value ? `${value} bpm` : 'Not set';
+
+    const zones = bounds
+      ? [`< ${bounds[0]}`, ...bounds.slice(0, 3).map((low, i) => `${low}–${bounds[i + 1] - 1}`), `≥ ${bounds[3]}`]
+        .map((range, i) => `${HEART_RATE_ZONES.COLORS[i]} Z${i + 1}: ${range} bpm`)
+        .join('\n')
+      : 'Set your max or threshold heart rate with `/heartrate set` to see zones on your posts.';
+
+    const embed = new EmbedBuilder()
+      .setTitle('💓 Your Heart-Rate Zones')
+      .setColor('#D32F2F')
+      .addFields([
+        { name: 'Max', value: bpm(maxHeartRate), inline: true },
+        { name: 'Threshold', value: bpm(thresholdHeartRate), inline: true },
+        { name: 'Zones', value: zones, inline: false }
+      ]);
+
+    if (bounds) {
+      embed.setFooter({ text: thresholdHeartRate ? 'Zones from % of threshold heart rate' : 'Zones from % of max heart rate' });
     }
+    if (!preferences.showHeartRate) {
+      embed.setDescription('🙈 Heart rate is hidden from your posts (`/preferences privacy`), so zones are not shown.');
+    }
+    return embed;
   }
 
   // === SCHEDULER COMMAND HANDLERS (ADMIN TESTING) ===
@@ -2936,6 +4432,15 @@ class DiscordCommands {
   async handleSettingsCommand(interaction, options) {
     const subcommand = options.getSubcommand();
 
+    if (options.getSubcommandGroup(false) === 'api-token') {
+      await this.handleApiTokenCommand(interaction, options, subcommand);
+      return;
+    }
+    if (options.getSubcommandGroup(false) === 'webhooks') {
+      await this.handleWebhooksCommand(interaction, options, subcommand);
+      return;
+    }
+
     switch (subcommand) {
     case 'channel':
       await this.setDiscordChannel(interaction, options);
@@ -3077,8 +4582,9 @@ class DiscordCommands {
       ]);
 
       // Other settings
+      // API tokens have their own listing (/settings api-token list)
       const otherSettings = Object.entries(allSettings)
-        .filter(([key]) => key !== 'discord_channel_id')
+        .filter(([key]) => key !== 'discord_channel_id' && !key.startsWith(API_TOKEN.SETTING_PREFIX))
         .slice(0, DISCORD.ITEMS_PER_PAGE); // Limit to prevent embed overflow
 
       if (otherSettings.length > 0) {
@@ -3112,6 +4618,224 @@ class DiscordCommands {
     }
   }
 
+  // /settings api-token create|list|revoke
+  async handleApiTokenCommand(interaction, options, subcommand) {
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      switch (subcommand) {
+      case 'create':
+        await this.createApiToken(interaction, options);
+        break;
+      case 'list':
+        await this.listApiTokens(interaction);
+        break;
+      case 'revoke':
+        await this.revokeApiToken(interaction, options);
+        break;
+      }
+    } catch (error) {
+      logger.discord.error('Error managing API tokens', {
+        user: interaction.user.tag,
+        subcommand,
+        error: error.message
+      });
+
+      await interaction.editReply({
+        content: `❌ Failed to ${subcommand} API token: ${error.message}`,
+        ephemeral: true
+      });
+    }
+  }
+
+  async createApiToken(interaction, options) {
+    const { id, token, scope, label } = await this.apiTokenManager.createToken({
+      scope: options.getString('scope'),
+      label: options.getString('label'),
+      createdBy: interaction.user.id
+    });
+
+    const embed = new EmbedBuilder()
+      .setTitle('🔑 API Token Created')
+      .setColor('#00AA00')
+      .setDescription(`Copy it now — it can't be shown again.\n\`\`\`\n${token}\n\`\`\``)
+      .addFields([
+        { name: 'Token ID', value: id, inline: true },
+        { name: 'Scope', value: scope, inline: true },
+        { name: 'Label', value: label || '—', inline: true },
+        { name: 'Usage', value: `\`Authorization: Bearer <token>\` on ${config.server.baseUrl.replace(/\/+$/, '')}/api/admin/…`, inline: false }
+      ])
+      .setFooter({ text: 'Revoke it with /settings api-token revoke' })
+      .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+  }
+
+  async listApiTokens(interaction) {
+    const tokens = await this.apiTokenManager.listTokens();
+
+    if (tokens.length === 0) {
+      await interaction.editReply({ content: '📭 No API tokens. Create one with `/settings api-token create`.' });
+      return;
+    }
+
+    const lines = tokens.map(token => {
+      const created = `<t:${Math.floor(Date.parse(token.createdAt) / 1000)}:d> by <@${token.createdBy}>`;
+      const lastUsed = token.lastUsedAt ? `last used <t:${Math.floor(Date.parse(token.lastUsedAt) / 1000)}:R>` : 'never used';
+      return `\`${token.id}\` **${token.scope}**${token.label ? ` — ${token.label}` : ''}\ncreated ${created}, ${lastUsed}`;
+    });
+
+    const embed = new EmbedBuilder()
+      .setTitle('🔑 API Tokens')
+      .setColor('#0099FF')
+      .setDescription(lines.join('\n\n'))
+      .setFooter({ text: `${tokens.length} token${tokens.length === 1 ? '' : 's'}` })
+      .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+  }
+
+  async revokeApiToken(interaction, options) {
+    const tokenId = options.getString('token_id').trim().toLowerCase();
+    const revoked = await this.apiTokenManager.revokeToken(tokenId);
+
+    await interaction.editReply({
+      content: revoked
+        ? `🗑️ API token \`${tokenId}\` revoked. Requests using it are now refused.`
+        : `❌ No API token with ID \`${tokenId}\`.`
+    });
+
+    if (revoked) {
+      logger.discord.info('API token revoked via command', { user: interaction.user.tag, tokenId });
+    }
+  }
+
+  // /settings webhooks add|list|remove|test
+  async handleWebhooksCommand(interaction, options, subcommand) {
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      switch (subcommand) {
+      case 'add':
+        await this.addWebhook(interaction, options);
+        break;
+      case 'list':
+        await this.listWebhooks(interaction);
+        break;
+      case 'remove':
+        await this.removeWebhook(interaction, options);
+        break;
+      case 'test':
+        await this.testWebhook(interaction, options);
+        break;
+      }
+    } catch (error) {
+      logger.discord.error('Error managing webhooks', {
+        user: interaction.user.tag,
+        subcommand,
+        error: error.message
+      });
+
+      await interaction.editReply({
+        content: `❌ Failed to ${subcommand} webhook: ${error.message}`,
+        ephemeral: true
+      });
+    }
+  }
+
+  async addWebhook(interaction, options) {
+    const webhook = await this.webhookManager.addWebhook({
+      url: options.getString('url'),
+      events: options.getString('events'),
+      createdBy: interaction.user.id
+    });
+
+    const embed = new EmbedBuilder()
+      .setTitle('🪝 Webhook Added')
+      .setColor('#00AA00')
+      .setDescription(`Copy the signing secret now — it can't be shown again.\n\`\`\`\n${webhook.secret}\n\`\`\``)
+      .addFields([
+        { name: 'Webhook ID', value: `#${webhook.id}`, inline: true },
+        { name: 'Events', value: webhook.events.join('\n'), inline: true },
+        { name: 'URL', value: webhook.url, inline: false },
+        { name: 'Verifying', value: `\`${OUTBOUND_WEBHOOK.SIGNATURE_HEADER}\` is \`sha256=\` + the HMAC-SHA256 of \`<X-Webhook-Timestamp>.<body>\` keyed with the secret.`, inline: false }
+      ])
+      .setFooter({ text: 'Try it with /settings webhooks test' })
+      .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+  }
+
+  async listWebhooks(interaction) {
+    const webhooks = await this.webhookManager.listWebhooks();
+
+    if (webhooks.length === 0) {
+      await interaction.editReply({ content: '📭 No webhooks. Add one with `/settings webhooks add`.' });
+      return;
+    }
+
+    const lines = webhooks.map(webhook => {
+      const created = `<t:${Math.floor(Date.parse(webhook.createdAt) / 1000)}:d> by <@${webhook.createdBy}>`;
+      return `\`#${webhook.id}\` ${webhook.url}\n${webhook.events.join(', ')} · added ${created}\n${this.formatWebhookDelivery(webhook.lastDelivery)}`;
+    });
+
+    const embed = new EmbedBuilder()
+      .setTitle('🪝 Webhooks')
+      .setColor('#0099FF')
+      .setDescription(lines.join('\n\n'))
+      .setFooter({ text: `${webhooks.length} webhook${webhooks.length === 1 ? '' : 's'}` })
+      .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+  }
+
+  // "✅ delivered <time>", "⏳ retrying after 2 attempts (HTTP 503)", ...
+  formatWebhookDelivery(delivery) {
+    if (!delivery) return 'No deliveries yet';
+
+    const when = `<t:${Math.floor(Date.parse(delivery.updatedAt) / 1000)}:R>`;
+    const reason = delivery.lastStatus ? `HTTP ${delivery.lastStatus}` : delivery.lastError;
+    switch (delivery.status) {
+    case OUTBOUND_WEBHOOK.DELIVERY_STATUS.DELIVERED:
+      return `✅ Last ${delivery.event} delivered ${when}`;
+    case OUTBOUND_WEBHOOK.DELIVERY_STATUS.PENDING:
+      return `⏳ Last ${delivery.event} retrying after ${delivery.attempts} attempt${delivery.attempts === 1 ? '' : 's'}${reason ? ` (${reason})` : ''}`;
+    default:
+      return `❌ Last ${delivery.event} failed ${when}${reason ? ` (${reason})` : ''}`;
+    }
+  }
+
+  async removeWebhook(interaction, options) {
+    const webhookId = options.getInteger('webhook_id');
+    const removed = await this.webhookManager.removeWebhook(webhookId);
+
+    await interaction.editReply({
+      content: removed
+        ? `🗑️ Webhook \`#${webhookId}\` removed. It gets no more events.`
+        : `❌ No webhook with ID \`#${webhookId}\`.`
+    });
+
+    if (removed) {
+      logger.discord.info('Webhook removed via command', { user: interaction.user.tag, webhookId });
+    }
+  }
+
+  async testWebhook(interaction, options) {
+    const webhookId = options.getInteger('webhook_id');
+    const delivery = await this.webhookManager.sendTest(webhookId);
+
+    if (!delivery) {
+      await interaction.editReply({ content: `❌ No webhook with ID \`#${webhookId}\`.` });
+      return;
+    }
+
+    await interaction.editReply({
+      content: delivery.status === OUTBOUND_WEBHOOK.DELIVERY_STATUS.DELIVERED
+        ? `✅ Test event delivered to webhook \`#${webhookId}\` (HTTP ${delivery.lastStatus}).`
+        : `❌ Test event to webhook \`#${webhookId}\` failed: ${delivery.lastStatus ? `HTTP ${delivery.lastStatus}` : delivery.lastError}`
+    });
+  }
+
   // ─── /pb command ──────────────────────────────────────────────────────────
 
   async handlePBCommand(interaction, options) {
@@ -3120,6 +4844,12 @@ class DiscordCommands {
     case 'check':
       await this.handlePBCheck(interaction, options);
       break;
+    case 'history':
+      await this.handlePBHistory(interaction, options);
+      break;
+    case 'records':
+      await this.handlePBRecords(interaction, options);
+      break;
     case 'add':
       await this.handlePBAdd(interaction, options);
       break;
@@ -3169,6 +4899,92 @@ class DiscordCommands {
     }
   }
 
+  // Record progression for one PB category: a timeline of every record with
+  // its improvement, and a chart once there are at least two records
+  async handlePBHistory(interaction, options) {
+    await interaction.deferReply();
+
+    const category = options.getString('category');
+
+    try {
+      const targetUser = options.getUser('member');
+      const targetDiscordId = targetUser ? targetUser.id : interaction.user.id;
+      const targetName = targetUser ? (targetUser.globalName || targetUser.username) : (interaction.member?.displayName || interaction.user.globalName || interaction.user.username);
+
+      const history = await this.pbManager.getPBHistoryByDiscordId(targetDiscordId, category);
+
+      if (!history.length) {
+        await interaction.editReply({
+          content: `📭 No ${category} record yet for **${targetName}**.\nUse \`/sync\` to import from your activity history.`,
+        });
+        return;
+      }
+
+      const embed = new EmbedBuilder()
+        .setTitle(`📈 ${category} progression — ${targetName}`)
+        .setColor('#D4AF37')
+        .setDescription(this.pbManager.formatPBHistory(history).join('\n'))
+        .setFooter({ text: `${history.length} ${history.length === 1 ? 'record' : 'records'}` })
+        .setTimestamp();
+
+      const files = [];
+      const chart = await PBProgressionRenderer.instance.renderProgression(history);
+      if (chart) {
+        files.push(new AttachmentBuilder(chart, { name: 'pb-progression.png' }));
+        embed.setImage('attachment://pb-progression.png');
+      }
+
+      await interaction.editReply({ embeds: [embed], files });
+    } catch (error) {
+      logger.discord.error('Error showing PB history', {
+        user: interaction.user.tag,
+        category,
+        error: error.message,
+      });
+      await interaction.editReply({
+        content: '❌ Failed to retrieve the PB history.',
+      });
+    }
+  }
+
+  // Club records: the club, men's and women's records for every record
+  // distance, or for one distance with its age group records too.
+  async handlePBRecords(interaction, options) {
+    await interaction.deferReply();
+
+    const category = options.getString('category');
+
+    try {
+      const clubRecords = await this.pbManager.getClubRecords(category ? [category] : undefined);
+      const fields = this.pbManager.formatClubRecordsForEmbed(clubRecords, { ageGroups: Boolean(category) });
+
+      if (!fields.length) {
+        await interaction.editReply({
+          content: `📭 No club record${category ? ` for the ${category}` : 's'} yet.\nPBs appear here once members run or \`/sync\` them.`,
+        });
+        return;
+      }
+
+      const embed = new EmbedBuilder()
+        .setTitle(category ? `🏛️ Club records — ${category}` : '🏛️ Club records')
+        .setColor('#D4AF37')
+        .addFields(fields)
+        .setFooter({ text: category ? 'Age groups use the age on the day of the run' : 'Age group records: /pb records category:<distance>' })
+        .setTimestamp();
+
+      await interaction.editReply({ embeds: [embed] });
+    } catch (error) {
+      logger.discord.error('Error showing club records', {
+        user: interaction.user.tag,
+        category,
+        error: error.message,
+      });
+      await interaction.editReply({
+        content: '❌ Failed to retrieve the club records.',
+      });
+    }
+  }
+
   // Resolve the sync window from the `period` choice and the optional
   // `month:YYYY-MM` override. Returns { afterTs, beforeTs, periodLabel } or
   // { error } when the month input is malformed or in the future. `beforeTs`
@@ -3584,6 +5400,8 @@ class DiscordCommands {
         return;
       }
 
+      await this.pbManager.publishNewPBs(member, results);
+
       const lines = newPBs.map(r => `🏆 **${r.category}** — ${ActivityFormatter.formatTime(r.newPB.elapsedTime)}`);
       await interaction.editReply({
         content: `${distanceWarning || ''}✅ **${newPBs.length} new Personal Best(s) recorded!**\n${lines.join('\n')}`,
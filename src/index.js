@@ -29,8 +29,8 @@ class StravaRunningBot {
       this.isRunning = true;
       
       logger.system('✅ Strava Running Bot started successfully!');
-      logger.info('SYSTEM', '🔗 Member registration URL:', {
-        url: `${config.server.baseUrl}/auth/strava?user_id=THEIR_DISCORD_USER_ID`
+      logger.info('SYSTEM', '🔗 Member registration: signed links from /register', {
+        url: `${config.server.baseUrl}/auth/strava`
       });
       logger.info('SYSTEM', '📡 Webhook endpoint ready for Strava events');
       logger.info('SYSTEM', '🔒 Privacy: Only public Strava activities are processed and posted');
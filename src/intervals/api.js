@@ -4,6 +4,7 @@ const logger = require('../utils/Logger');
 const RateLimiter = require('../utils/RateLimiter');
 const { HTTP } = require('../constants');
 const PolylineUtils = require('../utils/PolylineUtils');
+const SplitsFormatter = require('../utils/SplitsFormatter');
 const { TIME } = require('../constants');
 
 // Activity types intervals.icu streams give us a usable altitude+distance
@@ -125,7 +126,7 @@ class IntervalsAPI {
   // unverified, so tolerate array-of-objects (type or name keyed) and
   // object-keyed-by-type payloads alike. Manual entries have no streams and
   // 404 — that's not an error condition, just "no streams available".
-  async getActivityStreams(activityId, apiKey, types = ['time', 'distance', 'altitude', 'latlng']) {
+  async getActivityStreams(activityId, apiKey, types = ['time', 'distance', 'altitude', 'latlng', 'heartrate']) {
     logger.intervals.debug('Fetching intervals.icu activity streams', { activityId, types });
 
     return this.rateLimiter.executeRequest(async () => {
@@ -279,7 +280,9 @@ class IntervalsAPI {
     return `${minutes}:${seconds.toString().padStart(2, '0')}/km`;
   }
 
-  // Map an intervals.icu athlete payload to the shape used across the bot
+  // Map an intervals.icu athlete payload to the shape used across the bot.
+  // sex and date of birth, when the athlete filled them in, place their PBs
+  // in the gender and age group club records.
   mapAthlete(intervalsAthlete) {
     const id = Number.parseInt(String(intervalsAthlete.id).replace(/^i/i, ''), 10);
     const nameParts = (intervalsAthlete.name || '').trim().split(/\s+/).filter(Boolean);
@@ -290,7 +293,9 @@ class IntervalsAPI {
       id,
       firstname,
       lastname,
-      profile_medium: intervalsAthlete.profile_medium || null
+      profile_medium: intervalsAthlete.profile_medium || null,
+      sex: intervalsAthlete.sex || null,
+      date_of_birth: intervalsAthlete.icu_date_of_birth || null
     };
   }
 
@@ -321,8 +326,10 @@ class IntervalsAPI {
   }
 
   // Process activity data for Discord display. `streams`, when provided,
-  // enables a route map (via latlng) and stream-based grade-adjusted pace
-  // for run-like activities — otherwise falls back to the elevation estimate.
+  // enables a route map (via latlng), an elevation profile (via
+  // distance/altitude), heart-rate zones (via time/heartrate), and splits
+  // and stream-based grade-adjusted pace for run-like activities — otherwise
+  // falls back to the elevation estimate.
   processActivityData(activity, athlete = null, streams = null) {
     const processedActivity = {
       id: activity.id,
@@ -354,10 +361,29 @@ class IntervalsAPI {
       ? this.calculateStreamGradeAdjustedPace(activity, streams)
       : this.calculateGradeAdjustedPace(activity);
     processedActivity.isRace = false;
+    processedActivity.elevation_profile = this._buildElevationProfile(streams);
+    processedActivity.heartrate_stream = this._buildHeartRateStream(streams);
+    processedActivity.splits = RUN_LIKE_TYPES.includes(activity.type)
+      ? SplitsFormatter.fromStreams(streams, config.splits.unit)
+      : null;
 
     return processedActivity;
   }
 
+  _buildElevationProfile(streams) {
+    const { distance, altitude } = streams || {};
+    if (!Array.isArray(distance) || !Array.isArray(altitude) || distance.length < 2) return null;
+
+    return { distance, altitude };
+  }
+
+  _buildHeartRateStream(streams) {
+    const { time, heartrate } = streams || {};
+    if (!Array.isArray(time) || !Array.isArray(heartrate) || time.length < 2) return null;
+
+    return { time, heartrate };
+  }
+
   _buildMap(streams) {
     if (!streams?.latlng) return null;
 
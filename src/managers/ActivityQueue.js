@@ -1,18 +1,28 @@
 const config = require('../../config/config');
+const databaseManager = require('../database/DatabaseManager');
 const logger = require('../utils/Logger');
 const { TIME } = require('../constants');
 
+/**
+ * Holds new activities for POST_DELAY_MINUTES before posting them, so members
+ * have time to rename or tweak their run first. Items are mirrored to the
+ * activity_queue table and restored on startup: a deploy or crash during the
+ * delay no longer loses them. The in-memory maps stay the source of truth
+ * while running; a failed write only costs that item its restart safety.
+ */
 class ActivityQueue {
   constructor(activityProcessor) {
     this.activityProcessor = activityProcessor;
+    this.databaseManager = databaseManager;
     this.queuedActivities = new Map(); // activityId -> queueItem
     this.timers = new Map(); // activityId -> timeoutId
+    this.restoredCount = 0; // items brought back by the last restore()
   }
 
   /**
    * Queue an activity for delayed posting
    */
-  queueActivity(activityId, athleteId, originalWebhookData = {}) {
+  async queueActivity(activityId, athleteId, originalWebhookData = {}) {
     const delayMinutes = config.posting.delayMinutes;
     
     // If delay is 0, post immediately
@@ -33,7 +43,8 @@ class ActivityQueue {
       queuedAt: new Date(),
       scheduledTime,
       originalWebhookData,
-      status: 'queued'
+      status: 'queued',
+      persisted: false
     };
 
     // Cancel existing timer if activity is already queued
@@ -49,11 +60,7 @@ class ActivityQueue {
     this.queuedActivities.set(activityId, queueItem);
 
     // Set up the delayed posting timer
-    const timeoutId = setTimeout(async () => {
-      await this.processQueuedActivity(activityId);
-    }, delayMs);
-
-    this.timers.set(activityId, timeoutId);
+    this._scheduleTimer(activityId, delayMs);
 
     logger.activity.info('Activity queued for delayed posting', {
       activityId,
@@ -62,7 +69,65 @@ class ActivityQueue {
       scheduledTime: scheduledTime.toISOString()
     });
 
-    return Promise.resolve();
+    await this._persist(queueItem);
+  }
+
+  /**
+   * Bring back the items persisted before a restart. Overdue items are
+   * processed right away, the others get their timer back for the time left.
+   * Called once on startup, after the Discord bot is ready to post.
+   * @returns {Promise<number>} number of restored items
+   */
+  async restore() {
+    let rows;
+    try {
+      rows = await this.databaseManager.getQueuedActivities();
+    } catch (error) {
+      logger.activity.error('Failed to load persisted activity queue', { error: error.message });
+      return 0;
+    }
+
+    const now = Date.now();
+    let overdue = 0;
+
+    for (const row of rows) {
+      const activityId = row.activity_id;
+
+      // 'processing' means we stopped mid-post. If the message went out,
+      // processing it again would post the activity twice.
+      if (row.status === 'processing' && await this._wasPosted(activityId)) {
+        await this._unpersist(activityId);
+        continue;
+      }
+
+      const queueItem = {
+        activityId,
+        athleteId: row.athlete_id,
+        queuedAt: new Date(row.queued_at),
+        scheduledTime: new Date(row.scheduled_time),
+        originalWebhookData: this._parseWebhookData(row.webhook_data),
+        status: 'queued',
+        persisted: true,
+        restored: true
+      };
+      if (row.updated_at) queueItem.updatedAt = new Date(row.updated_at);
+
+      const delayMs = Math.max(queueItem.scheduledTime.getTime() - now, 0);
+      if (delayMs === 0) overdue++;
+
+      this.queuedActivities.set(activityId, queueItem);
+      this._scheduleTimer(activityId, delayMs);
+    }
+
+    this.restoredCount = this.queuedActivities.size;
+
+    logger.activity.info('Activity queue restored', {
+      restored: this.restoredCount,
+      overdue,
+      rearmed: this.restoredCount - overdue
+    });
+
+    return this.restoredCount;
   }
 
   /**
@@ -86,6 +151,7 @@ class ActivityQueue {
     });
 
     queueItem.status = 'processing';
+    await this._persist(queueItem);
 
     try {
       await this.activityProcessor.processNewActivity(activityId, queueItem.athleteId);
@@ -105,7 +171,7 @@ class ActivityQueue {
   /**
    * Handle activity updates during delay period
    */
-  updateQueuedActivity(activityId, athleteId, webhookData) {
+  async updateQueuedActivity(activityId, athleteId, webhookData) {
     const queueItem = this.queuedActivities.get(activityId);
     
     if (queueItem) {
@@ -119,6 +185,7 @@ class ActivityQueue {
       // Update the webhook data but keep the original timing
       queueItem.originalWebhookData = webhookData;
       queueItem.updatedAt = new Date();
+      await this._persist(queueItem);
       
       // No need to reschedule - just update the data
       return true;
@@ -142,11 +209,20 @@ class ActivityQueue {
     
     if (removed) {
       logger.activity.debug('Removed activity from queue', { activityId });
+      this._unpersist(activityId);
     }
     
     return removed;
   }
 
+  /**
+   * Queue item of an activity, or null when it isn't queued. Items are keyed
+   * by the numeric Strava id from the webhook; ids from commands are strings.
+   */
+  getQueuedActivity(activityId) {
+    return this.queuedActivities.get(Number(activityId)) || null;
+  }
+
   /**
    * Get queue statistics
    */
@@ -157,6 +233,8 @@ class ActivityQueue {
       totalQueued: items.length,
       processing: items.filter(item => item.status === 'processing').length,
       waiting: items.filter(item => item.status === 'queued').length,
+      unsaved: items.filter(item => !item.persisted).length,
+      restored: this.restoredCount,
       oldestQueued: items.length > 0 ? Math.min(...items.map(item => item.queuedAt.getTime())) : null,
       nextScheduled: items.length > 0 ? Math.min(...items.map(item => item.scheduledTime.getTime())) : null,
       delayMinutes: config.posting.delayMinutes
@@ -164,7 +242,8 @@ class ActivityQueue {
   }
 
   /**
-   * Cleanup method for graceful shutdown
+   * Cleanup method for graceful shutdown. Persisted items are left in the
+   * database for restore() on the next start.
    */
   shutdown() {
     logger.activity.info('Shutting down activity queue', {
@@ -184,6 +263,57 @@ class ActivityQueue {
 
     logger.activity.info('Activity queue shutdown complete');
   }
+
+  _scheduleTimer(activityId, delayMs) {
+    const timeoutId = setTimeout(async () => {
+      await this.processQueuedActivity(activityId);
+    }, delayMs);
+
+    this.timers.set(activityId, timeoutId);
+  }
+
+  // Mirror an item to the database. Never throws: the queue keeps working in
+  // memory when the write fails, the item just won't survive a restart.
+  async _persist(queueItem) {
+    try {
+      await this.databaseManager.saveQueuedActivity(queueItem);
+      queueItem.persisted = true;
+    } catch (error) {
+      queueItem.persisted = false;
+      logger.activity.warn('Failed to persist queued activity (non-blocking)', {
+        activityId: queueItem.activityId,
+        error: error.message
+      });
+    }
+  }
+
+  async _unpersist(activityId) {
+    try {
+      await this.databaseManager.deleteQueuedActivity(activityId);
+    } catch (error) {
+      logger.activity.warn('Failed to delete persisted queued activity (non-blocking)', {
+        activityId,
+        error: error.message
+      });
+    }
+  }
+
+  async _wasPosted(activityId) {
+    try {
+      const posts = await this.databaseManager.getActivityPosts(activityId);
+      return posts.length > 0;
+    } catch {
+      return false;
+    }
+  }
+
+  _parseWebhookData(json) {
+    try {
+      return JSON.parse(json);
+    } catch {
+      return {};
+    }
+  }
 }
 
 module.exports = ActivityQueue;
\ No newline at end of file
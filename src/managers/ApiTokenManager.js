@@ -0,0 +1,171 @@
+const crypto = require('node:crypto');
+const databaseManager = require('../database/DatabaseManager');
+const logger = require('../utils/Logger');
+const { API_TOKEN } = require('../constants');
+
+const TOKEN_PATTERN = new RegExp(`^${API_TOKEN.PREFIX}_([0-9a-f]{8})_[A-Za-z0-9_-]{32}$`);
+
+/**
+ * Bearer tokens for the admin REST API (/api/admin). A token is
+ * `srb_<id>_<secret>`; only its SHA-256 hash is kept, in the settings table
+ * under `api_token_<id>`, together with its scope, label and who minted it.
+ * READ tokens can list members, ADMIN tokens can also change and delete
+ * them. Every call is written to the API audit log (see recordCall).
+ */
+class ApiTokenManager {
+  constructor() {
+    this.databaseManager = databaseManager;
+  }
+
+  /**
+   * Mint a token. The plain token is returned here and never again.
+   * @param {Object} options
+   * @param {string} options.scope - API_TOKEN.SCOPES value
+   * @param {string} [options.label] - What the token is for
+   * @param {string} options.createdBy - Discord user id of the admin
+   * @returns {Promise<{id: string, token: string, scope: string, label: string|null}>}
+   * @throws {TypeError} For an unknown scope or a label that's too long
+   */
+  async createToken({ scope, label = null, createdBy }) {
+    if (!Object.values(API_TOKEN.SCOPES).includes(scope)) {
+      throw new TypeError(`Scope must be one of: ${Object.values(API_TOKEN.SCOPES).join(', ')}`);
+    }
+    const trimmedLabel = label?.trim() || null;
+    if (trimmedLabel && trimmedLabel.length > API_TOKEN.MAX_LABEL_LENGTH) {
+      throw new TypeError(`Label cannot exceed ${API_TOKEN.MAX_LABEL_LENGTH} characters`);
+    }
+
+    const id = crypto.randomBytes(4).toString('hex');
+    const token = `${API_TOKEN.PREFIX}_${id}_${crypto.randomBytes(24).toString('base64url')}`;
+
+    const settingsManager = await this._settingsManager();
+    const saved = await settingsManager.setSetting(
+      `${API_TOKEN.SETTING_PREFIX}${id}`,
+      JSON.stringify({
+        hash: ApiTokenManager.hashToken(token),
+        scope,
+        label: trimmedLabel,
+        createdBy,
+        createdAt: new Date().toISOString()
+      }),
+      'Admin API token (SHA-256 hash)'
+    );
+    if (!saved) {
+      throw new Error('Failed to save the API token');
+    }
+
+    logger.server.info('API token created', { tokenId: id, scope, label: trimmedLabel, createdBy });
+    return { id, token, scope, label: trimmedLabel };
+  }
+
+  /**
+   * Tokens without their hash, with the time of their last API call
+   * @returns {Promise<Array<{id: string, scope: string, label: string|null,
+   *   createdBy: string, createdAt: string, lastUsedAt: string|null}>>}
+   */
+  async listTokens() {
+    const settingsManager = await this._settingsManager();
+    const [rows, lastUsed] = await Promise.all([
+      settingsManager.getSettingsByPrefix(API_TOKEN.SETTING_PREFIX),
+      this.databaseManager.getApiTokenLastUsed()
+    ]);
+
+    return rows
+      .map(row => this._parseRecord(row.key.slice(API_TOKEN.SETTING_PREFIX.length), row.value))
+      .filter(Boolean)
+      .map(({ hash: _hash, ...token }) => ({ ...token, lastUsedAt: lastUsed[token.id] || null }));
+  }
+
+  /**
+   * @param {string} id - Token id, the part after "srb_"
+   * @returns {Promise<boolean>} false when there is no such token
+   */
+  async revokeToken(id) {
+    if (!/^[0-9a-f]{8}$/.test(id ?? '')) return false;
+
+    const settingsManager = await this._settingsManager();
+    const revoked = await settingsManager.deleteSetting(`${API_TOKEN.SETTING_PREFIX}${id}`);
+    if (revoked) {
+      logger.server.info('API token revoked', { tokenId: id });
+    }
+    return revoked;
+  }
+
+  /**
+   * Look up the token of an Authorization header value
+   * @param {string} token - The bearer token
+   * @returns {Promise<{id: string, scope: string, label: string|null}|null>} null when
+   *   the token is malformed, unknown or revoked
+   */
+  async authenticate(token) {
+    const match = TOKEN_PATTERN.exec(token ?? '');
+    if (!match) return null;
+
+    const settingsManager = await this._settingsManager();
+    const value = await settingsManager.getSetting(`${API_TOKEN.SETTING_PREFIX}${match[1]}`);
+    const record = value ? this._parseRecord(match[1], value) : null;
+    if (!record) return null;
+
+    const expected = Buffer.from(record.hash, 'hex');
+    const actual = Buffer.from(ApiTokenManager.hashToken(token), 'hex');
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    return { id: record.id, scope: record.scope, label: record.label };
+  }
+
+  /**
+   * Write an API call to the audit log. Failures are logged, not thrown, so
+   * they never turn a served request into an error.
+   * @param {Object} entry - { tokenId, scope, method, path, status, ip }
+   */
+  async recordCall(entry) {
+    logger.server.info('Admin API call', entry);
+    try {
+      await this.databaseManager.addApiAuditEntry(entry);
+    } catch (error) {
+      logger.server.error('Failed to write API audit log', { ...entry, error: error.message });
+    }
+  }
+
+  /**
+   * Recent API calls, most recent first
+   * @param {Object} [options] - { tokenId, limit }
+   * @returns {Promise<Array<Object>>} api_audit_log rows
+   */
+  async getAuditLog(options = {}) {
+    return await this.databaseManager.getApiAuditLog(options);
+  }
+
+  /**
+   * Whether a token's scope covers the one a route needs: ADMIN covers READ
+   * @param {string} granted
+   * @param {string} required
+   * @returns {boolean}
+   */
+  static hasScope(granted, required) {
+    return granted === API_TOKEN.SCOPES.ADMIN || granted === required;
+  }
+
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  async _settingsManager() {
+    await this.databaseManager.ensureInitialized();
+    return this.databaseManager.settingsManager;
+  }
+
+  _parseRecord(id, value) {
+    try {
+      const record = JSON.parse(value);
+      return record?.hash ? { id, ...record } : null;
+    } catch {
+      logger.server.warn('Ignoring unreadable API token setting', { tokenId: id });
+      return null;
+    }
+  }
+}
+
+module.exports = ApiTokenManager;
@@ -0,0 +1,293 @@
+const databaseManager = require('../database/DatabaseManager');
+const logger = require('../utils/Logger');
+const DateUtils = require('../utils/DateUtils');
+const {
+  VALIDATION, TIME, LEADERBOARD_RUN_TYPES, LEADERBOARD_METRICS, CHALLENGE_METRICS, CHALLENGE_MILESTONES,
+} = require('../constants');
+
+const CHALLENGE_SCOPES = ['team', 'individual'];
+
+class ChallengeManager {
+  constructor() {
+    this.databaseManager = databaseManager;
+  }
+
+  async initialize() {
+    // Database manager is initialized by the main application
+  }
+
+  /**
+   * Create a challenge.
+   * @param {string} discordUserId - Creator (stored for the record only)
+   * @param {Object} challengeData
+   * @param {string} challengeData.name
+   * @param {string} challengeData.metric - Key of CHALLENGE_METRICS
+   * @param {number} challengeData.target - Target in the metric's unit (km, m, h or runs)
+   * @param {string} challengeData.endDate - DD-MM-YYYY, inclusive
+   * @param {string} [challengeData.startDate] - DD-MM-YYYY, defaults to today
+   * @param {string} [challengeData.scope='team'] - 'team' pools everyone's total;
+   *   'individual' needs every participant to hit the target on their own
+   * @param {string} [challengeData.description]
+   * @returns {Promise<Object>} The stored challenge row
+   */
+  async createChallenge(discordUserId, challengeData) {
+    this.validateChallengeData(challengeData);
+
+    const startDate = challengeData.startDate
+      ? DateUtils.convertDDMMYYYYToISO(challengeData.startDate)
+      : DateUtils.getTodayDateString();
+    const endDate = DateUtils.convertDDMMYYYYToISO(challengeData.endDate);
+    if (endDate < startDate) {
+      throw new TypeError('End date must be on or after the start date');
+    }
+
+    const challenge = await this.databaseManager.createChallenge({
+      name: challengeData.name.trim(),
+      description: challengeData.description?.trim() || null,
+      metric: challengeData.metric,
+      scope: challengeData.scope || 'team',
+      targetValue: challengeData.target * CHALLENGE_METRICS[challengeData.metric].scale,
+      startDate,
+      endDate,
+      createdByDiscordId: discordUserId,
+    });
+
+    logger.database.info('Challenge created by member', {
+      challengeId: challenge.id,
+      discordUserId,
+      name: challenge.name,
+      metric: challenge.metric,
+      scope: challenge.scope,
+    });
+
+    return challenge;
+  }
+
+  validateChallengeData(challengeData) {
+    const name = challengeData.name?.trim();
+    if (!name) {
+      throw new TypeError('Challenge name is required');
+    }
+    if (name.length > VALIDATION.MAX_NAME_LENGTH) {
+      throw new TypeError(`Challenge name cannot exceed ${VALIDATION.MAX_NAME_LENGTH} characters`);
+    }
+    if (challengeData.description && challengeData.description.length > VALIDATION.MAX_NOTES_LENGTH) {
+      throw new TypeError(`Description cannot exceed ${VALIDATION.MAX_NOTES_LENGTH} characters`);
+    }
+    if (!CHALLENGE_METRICS[challengeData.metric]) {
+      throw new TypeError(`Metric must be one of: ${Object.keys(CHALLENGE_METRICS).join(', ')}`);
+    }
+    if (challengeData.scope && !CHALLENGE_SCOPES.includes(challengeData.scope)) {
+      throw new TypeError('Scope must be either "team" or "individual"');
+    }
+    if (!Number.isFinite(challengeData.target) || challengeData.target <= 0) {
+      throw new TypeError('Target must be a positive number');
+    }
+    if (!challengeData.endDate) {
+      throw new TypeError('End date is required');
+    }
+    // convertDDMMYYYYToISO throws a TypeError on bad format or impossible dates
+    DateUtils.convertDDMMYYYYToISO(challengeData.endDate);
+    if (challengeData.startDate) {
+      DateUtils.convertDDMMYYYYToISO(challengeData.startDate);
+    }
+  }
+
+  async joinChallenge(challengeId, discordUserId) {
+    const member = await this.databaseManager.getMemberByDiscordId(discordUserId);
+    if (!member?.isActive) {
+      throw new Error('Only registered team members can join challenges');
+    }
+
+    const challenge = await this.databaseManager.getChallenge(challengeId);
+    if (!challenge) {
+      throw new Error('Challenge not found');
+    }
+    if (challenge.status !== 'active' || this.hasEnded(challenge)) {
+      throw new Error('This challenge is already over');
+    }
+
+    const added = await this.databaseManager.addChallengeParticipant(challenge.id, member.athleteId);
+    if (!added) {
+      throw new Error('You have already joined this challenge');
+    }
+
+    logger.database.info('Member joined challenge', {
+      challengeId: challenge.id,
+      discordUserId,
+      athleteId: member.athleteId,
+    });
+
+    return challenge;
+  }
+
+  async leaveChallenge(challengeId, discordUserId) {
+    const member = await this.databaseManager.getMemberByDiscordId(discordUserId);
+    const challenge = await this.databaseManager.getChallenge(challengeId);
+    if (!challenge) {
+      throw new Error('Challenge not found');
+    }
+
+    const removed = member
+      ? await this.databaseManager.removeChallengeParticipant(challenge.id, member.athleteId)
+      : false;
+    if (!removed) {
+      throw new Error('You are not part of this challenge');
+    }
+
+    logger.database.info('Member left challenge', {
+      challengeId: challenge.id,
+      discordUserId,
+      athleteId: member.athleteId,
+    });
+
+    return challenge;
+  }
+
+  async getChallenge(challengeId) {
+    return await this.databaseManager.getChallenge(challengeId);
+  }
+
+  async listChallenges(options = {}) {
+    return await this.databaseManager.getChallenges(options);
+  }
+
+  // An active challenge whose window is behind us — the target was missed
+  // and nothing can move it any more.
+  hasEnded(challenge, today = DateUtils.getTodayDateString()) {
+    return challenge.end_date < today;
+  }
+
+  /**
+   * Current standing of a challenge, summed from the activities table.
+   * @param {Object} challenge - Challenge row
+   * @param {Object} memberManager - Used to resolve participant display names
+   * @returns {Promise<{challenge: Object, target: number, total: number, percent: number,
+   *   entries: Array<{athleteId: number, memberName: string, value: number, completed: boolean}>}>}
+   *   `percent` is the team total against the target for team challenges, and
+   *   the share of participants who reached it for individual ones. Entries
+   *   are ordered by value, highest first.
+   */
+  async getProgress(challenge, memberManager) {
+    const participants = await this.databaseManager.getChallengeParticipants(challenge.id);
+    // end_date is inclusive; the run-totals window takes an exclusive bound.
+    const endExclusive = DateUtils.formatDateOnly(
+      new Date(Date.parse(`${challenge.end_date}T00:00:00Z`) + TIME.MS_PER_DAY)
+    );
+    const rows = await this.databaseManager.getMonthlyRunTotals(
+      challenge.start_date, endExclusive, LEADERBOARD_RUN_TYPES
+    );
+
+    const { field } = LEADERBOARD_METRICS[challenge.metric];
+    const totals = new Map(rows.map(row => [row.athleteId, Number(row[field] ?? 0)]));
+    const target = challenge.target_value;
+
+    const entries = await Promise.all(participants.map(async ({ member_athlete_id: athleteId }) => {
+      const value = totals.get(athleteId) ?? 0;
+      return {
+        athleteId,
+        memberName: await this._memberName(memberManager, athleteId),
+        value,
+        completed: value >= target,
+      };
+    }));
+    entries.sort((a, b) => b.value - a.value);
+
+    const total = entries.reduce((sum, entry) => sum + entry.value, 0);
+    let percent;
+    if (challenge.scope === 'individual') {
+      percent = entries.length > 0 ? (entries.filter(e => e.completed).length / entries.length) * 100 : 0;
+    } else {
+      percent = (total / target) * 100;
+    }
+
+    return { challenge, target, total, percent, entries };
+  }
+
+  /**
+   * Re-evaluate every challenge a just-saved activity counts toward and
+   * return the announcements it triggered. Must run after the activity row is
+   * upserted, since progress is read back from the activities table.
+   * @param {number} athleteId
+   * @param {Object} activity - Strava or intervals.icu activity
+   * @param {Object} memberManager - Used to resolve participant display names
+   * @returns {Promise<Array<{type: 'milestone'|'participant_completed'|'completed',
+   *   progress: Object, milestone?: number, entry?: Object}>>}
+   */
+  async recordActivity(athleteId, activity, memberManager) {
+    if (!LEADERBOARD_RUN_TYPES.includes(activity?.type)) return [];
+    const day = activity.start_date_local?.substring(0, 10);
+    if (!day) return [];
+
+    const challenges = await this.databaseManager.getActiveChallengesForAthlete(athleteId, day);
+    const events = [];
+
+    for (const challenge of challenges) {
+      const progress = await this.getProgress(challenge, memberManager);
+      const challengeEvents = challenge.scope === 'individual'
+        ? await this._individualEvents(progress, Number(athleteId))
+        : await this._teamEvents(progress);
+
+      for (const event of challengeEvents) {
+        logger.activity.info('Challenge progress announcement', {
+          challengeId: challenge.id,
+          type: event.type,
+          milestone: event.milestone,
+          athleteId: event.entry?.athleteId,
+          percent: Math.floor(progress.percent),
+        });
+      }
+      events.push(...challengeEvents);
+    }
+
+    return events;
+  }
+
+  // Team challenges announce the highest milestone newly crossed, or
+  // completion once the pooled total reaches the target.
+  async _teamEvents(progress) {
+    const { challenge } = progress;
+
+    if (progress.percent >= 100) {
+      return await this.databaseManager.completeChallenge(challenge.id)
+        ? [{ type: 'completed', progress }]
+        : [];
+    }
+
+    const milestone = CHALLENGE_MILESTONES.filter(m => progress.percent >= m).pop();
+    if (milestone && milestone > challenge.last_milestone
+      && await this.databaseManager.advanceChallengeMilestone(challenge.id, milestone)) {
+      return [{ type: 'milestone', milestone, progress }];
+    }
+
+    return [];
+  }
+
+  // Individual challenges announce each runner reaching the target, then
+  // completion once every participant has.
+  async _individualEvents(progress, athleteId) {
+    const { challenge } = progress;
+    const events = [];
+
+    const entry = progress.entries.find(e => e.athleteId === athleteId);
+    if (entry?.completed && await this.databaseManager.completeChallengeParticipant(challenge.id, athleteId)) {
+      events.push({ type: 'participant_completed', progress, entry });
+    }
+
+    if (progress.entries.length > 0 && progress.entries.every(e => e.completed)
+      && await this.databaseManager.completeChallenge(challenge.id)) {
+      events.push({ type: 'completed', progress });
+    }
+
+    return events;
+  }
+
+  async _memberName(memberManager, athleteId) {
+    const member = await memberManager.getMemberByAthleteId(athleteId);
+    return member?.discordUser?.displayName
+      || (member?.athlete ? `${member.athlete.firstname} ${member.athlete.lastname}`.trim() : null)
+      || 'Unknown';
+  }
+}
+
+module.exports = ChallengeManager;
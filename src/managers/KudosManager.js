@@ -0,0 +1,120 @@
+const databaseManager = require('../database/DatabaseManager');
+const logger = require('../utils/Logger');
+const LeaderboardManager = require('./LeaderboardManager');
+const { LEADERBOARD_RUN_TYPES } = require('../constants');
+
+// Runs and teammates listed by /kudos; the monthly leaderboard shows the first.
+const PODIUM_SIZE = 3;
+
+/**
+ * Kudos are Discord reactions on the bot's activity posts. Any emoji counts,
+ * but a teammate gives an activity at most one kudos however many emojis
+ * they add, and reacting to your own post doesn't count.
+ */
+class KudosManager {
+  constructor() {
+    this.databaseManager = databaseManager;
+  }
+
+  async initialize() {
+    // Database manager is initialized by the main application
+  }
+
+  /**
+   * Key a reaction emoji is stored under: the id of a custom emoji (its name
+   * can be renamed), or the unicode emoji itself.
+   * @param {{id: string|null, name: string}} emoji - discord.js ReactionEmoji
+   * @returns {string}
+   */
+  static emojiKey(emoji) {
+    return emoji.id ?? emoji.name;
+  }
+
+  /**
+   * Record a reaction on a message.
+   * @param {string} messageId
+   * @param {string} discordUserId - Who reacted
+   * @param {string} emoji - From {@link emojiKey}
+   * @returns {Promise<boolean>} false when the message isn't an activity post,
+   *   the reaction is the owner's own, or it was already recorded
+   */
+  async addReaction(messageId, discordUserId, emoji) {
+    const post = await this.databaseManager.getActivityPostByMessageId(messageId);
+    if (!post || post.owner_discord_user_id === discordUserId) return false;
+
+    const added = await this.databaseManager.addActivityKudos({
+      activityId: post.activity_id,
+      athleteId: post.member_athlete_id,
+      reactorDiscordUserId: discordUserId,
+      emoji,
+    });
+
+    if (added) {
+      logger.activity.info('Kudos recorded', { activityId: post.activity_id, discordUserId });
+    }
+    return added;
+  }
+
+  /**
+   * Forget a reaction that was removed from a message.
+   * @returns {Promise<boolean>} true when a recorded kudos was removed
+   */
+  async removeReaction(messageId, discordUserId, emoji) {
+    const post = await this.databaseManager.getActivityPostByMessageId(messageId);
+    if (!post) return false;
+
+    return await this.databaseManager.removeActivityKudos({
+      activityId: post.activity_id,
+      reactorDiscordUserId: discordUserId,
+      emoji,
+    });
+  }
+
+  // Returns { year, month, activities: [...], supporters: [...] }.
+  // activities are the month's runs with the most kudos, each
+  // { activityId, athleteId, name, distance, startDateLocal, kudosCount,
+  // memberName, messageUrl }; supporters are the Discord users who cheered
+  // on the most activities during the month, each { discordUserId,
+  // activityCount }. Both are at most PODIUM_SIZE long, best first.
+  async getMonthlyHighlights({ year, month, memberManager }) {
+    const startDate = new Date(Date.UTC(year, month - 1, 1)).toISOString();
+    const endDate = new Date(Date.UTC(year, month, 1)).toISOString();
+
+    let topActivities;
+    let supporters;
+    try {
+      topActivities = await this.databaseManager.getTopKudosActivities(startDate, endDate, LEADERBOARD_RUN_TYPES, PODIUM_SIZE);
+      supporters = await this.databaseManager.getTopKudosGivers(startDate, endDate, PODIUM_SIZE);
+    } catch (error) {
+      logger.database.error('Failed to query monthly kudos', {
+        year, month, error: error.message,
+      });
+      throw error;
+    }
+
+    const activities = await Promise.all(topActivities.map(async (row) => {
+      const member = await memberManager.getMemberByAthleteId(row.athleteId);
+      const post = await this.databaseManager.getActivityPost(row.activityId);
+      return {
+        ...row,
+        kudosCount: Number(row.kudosCount),
+        memberName: LeaderboardManager.memberName(member),
+        messageUrl: post?.discord_guild_id
+          ? `https://discord.com/channels/${post.discord_guild_id}/${post.discord_channel_id}/${post.discord_message_id}`
+          : null,
+      };
+    }));
+
+    return {
+      year,
+      month,
+      activities,
+      supporters: supporters.map(row => ({
+        discordUserId: row.discordUserId,
+        activityCount: Number(row.activityCount),
+      })),
+    };
+  }
+}
+
+module.exports = KudosManager;
@@ -1,6 +1,7 @@
 const databaseManager = require('../database/DatabaseManager');
 const logger = require('../utils/Logger');
-const { LEADERBOARD_RUN_TYPES } = require('../constants');
+const DateUtils = require('../utils/DateUtils');
+const { LEADERBOARD_RUN_TYPES, LEADERBOARD_METRICS, TIME } = require('../constants');
 
 class LeaderboardManager {
   constructor() {
@@ -20,9 +21,59 @@ class LeaderboardManager {
     return { year: now.getUTCFullYear(), month: now.getUTCMonth() + 1 };
   }
 
+  // ISO week (Monday-Sunday) containing `now`, judged by the calendar day in
+  // `timeZone` — at 00:30 on a Monday in Paris it's already the new week even
+  // though UTC is still on Sunday.
+  static getCurrentWeek(now = new Date(), timeZone = 'UTC') {
+    return DateUtils.getIsoWeek(DateUtils.getLocalDate(now, timeZone));
+  }
+
+  // ISO week before the one containing `now`. Used by the Monday cron job,
+  // with ISO year rollover (Monday Jan 4 2027 → week 53 of 2026).
+  static getPreviousWeek(now = new Date(), timeZone = 'UTC') {
+    const today = DateUtils.getLocalDate(now, timeZone);
+    return DateUtils.getIsoWeek(new Date(today.getTime() - 7 * TIME.MS_PER_DAY));
+  }
+
+  // Longest run of consecutive calendar days in a list of 'YYYY-MM-DD'
+  // strings (any order, duplicates allowed).
+  static longestStreak(days) {
+    const sorted = [...new Set(days)].sort((a, b) => a.localeCompare(b));
+    let longest = 0;
+    let current = 0;
+    let previous = null;
+    for (const day of sorted) {
+      const time = Date.parse(`${day}T00:00:00Z`);
+      current = previous !== null && time - previous === TIME.MS_PER_DAY ? current + 1 : 1;
+      longest = Math.max(longest, current);
+      previous = time;
+    }
+    return longest;
+  }
+
+  // Display name for a leaderboard row: Discord display name, then the
+  // provider athlete name, then 'Unknown' for a member that no longer exists.
+  static memberName(member) {
+    return member?.discordUser?.displayName
+      || (member?.athlete ? `${member.athlete.firstname} ${member.athlete.lastname}`.trim() : null)
+      || 'Unknown';
+  }
+
+  // Entries re-ranked by one of LEADERBOARD_METRICS, dropping members who
+  // scored zero on it (e.g. no elevation recorded on a flat treadmill month).
+  // Ties keep the distance order the entries arrived in.
+  static rankBy(entries, metric = 'distance') {
+    const { field } = LEADERBOARD_METRICS[metric] ?? LEADERBOARD_METRICS.distance;
+    return entries
+      .filter(entry => entry[field] > 0)
+      .sort((a, b) => b[field] - a[field]);
+  }
+
   // Returns { year, month, startDate, endDate, entries: [...] }
-  // where each entry is { athleteId, totalDistanceM, activityCount, memberName },
-  // sorted DESC by totalDistanceM (the DB query orders for us).
+  // where each entry is { athleteId, totalDistanceM, totalElevationM,
+  // totalMovingTimeS, activityCount, longestStreakDays, memberName },
+  // sorted DESC by totalDistanceM (the DB query orders for us) — use
+  // rankBy() for the other metrics.
   async getMonthlyLeaderboard({ year, month, memberManager }) {
     const start = new Date(Date.UTC(year, month - 1, 1));
     const end = new Date(Date.UTC(year, month, 1));
@@ -30,8 +81,10 @@ class LeaderboardManager {
     const endDate = end.toISOString();
 
     let rows;
+    let runDays;
     try {
       rows = await this.databaseManager.getMonthlyRunTotals(startDate, endDate, LEADERBOARD_RUN_TYPES);
+      runDays = await this.databaseManager.getRunDays(startDate, endDate, LEADERBOARD_RUN_TYPES);
     } catch (error) {
       logger.database.error('Failed to query monthly leaderboard totals', {
         year, month, error: error.message,
@@ -39,20 +92,56 @@ class LeaderboardManager {
       throw error;
     }
 
-    const entries = await Promise.all(rows.map(async (row) => {
+    const entries = await this._buildEntries(rows, runDays, memberManager);
+
+    return { year, month, startDate, endDate, entries };
+  }
+
+  // Same shape as getMonthlyLeaderboard but for an ISO week:
+  // { year, week, startDate, endDate, entries }, where endDate is the
+  // exclusive bound (the following Monday).
+  async getWeeklyLeaderboard({ year, week, memberManager }) {
+    const start = DateUtils.getIsoWeekStart(year, week);
+    const end = new Date(start.getTime() + 7 * TIME.MS_PER_DAY);
+    const startDate = start.toISOString();
+    const endDate = end.toISOString();
+
+    let rows;
+    let runDays;
+    try {
+      rows = await this.databaseManager.getMonthlyRunTotals(startDate, endDate, LEADERBOARD_RUN_TYPES);
+      runDays = await this.databaseManager.getRunDays(startDate, endDate, LEADERBOARD_RUN_TYPES);
+    } catch (error) {
+      logger.database.error('Failed to query weekly leaderboard totals', {
+        year, week, error: error.message,
+      });
+      throw error;
+    }
+
+    const entries = await this._buildEntries(rows, runDays, memberManager);
+
+    return { year, week, startDate, endDate, entries };
+  }
+
+  async _buildEntries(rows, runDays, memberManager) {
+    const daysByAthlete = new Map();
+    for (const { athleteId, day } of runDays) {
+      if (!daysByAthlete.has(athleteId)) daysByAthlete.set(athleteId, []);
+      daysByAthlete.get(athleteId).push(day);
+    }
+
+    return Promise.all(rows.map(async (row) => {
       const member = await memberManager.getMemberByAthleteId(row.athleteId);
-      const memberName = member?.discordUser?.displayName
-        || (member?.athlete ? `${member.athlete.firstname} ${member.athlete.lastname}`.trim() : null)
-        || 'Unknown';
       return {
         athleteId: row.athleteId,
         totalDistanceM: Number(row.totalDistanceM),
+        totalElevationM: Number(row.totalElevationM ?? 0),
+        totalMovingTimeS: Number(row.totalMovingTimeS ?? 0),
         activityCount: Number(row.activityCount),
-        memberName,
+        longestStreakDays: LeaderboardManager.longestStreak(daysByAthlete.get(row.athleteId) ?? []),
+        memberName: LeaderboardManager.memberName(member),
       };
     }));
-
-    return { year, month, startDate, endDate, entries };
   }
 }
 
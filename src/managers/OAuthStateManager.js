@@ -0,0 +1,126 @@
+const crypto = require('node:crypto');
+const databaseManager = require('../database/DatabaseManager');
+const logger = require('../utils/Logger');
+const EncryptionUtils = require('../utils/EncryptionUtils');
+const { OAUTH_STATE } = require('../constants');
+
+const STATE_PATTERN = /^([0-9a-f]{32})\.(\d{1,20})\.(\d{1,12})\.([0-9a-f]{64})$/;
+
+/**
+ * The OAuth `state` of the Strava registration link. /register used to put
+ * the bare Discord user ID there, so anyone could make a link that bound
+ * their Strava account to someone else. A state is now
+ * `<nonce>.<discord user id>.<expiry>.<hmac>`: the HMAC (ENCRYPTION_KEY,
+ * EncryptionUtils.sign) makes it unforgeable, the expiry (epoch seconds)
+ * limits it to OAUTH_STATE.TTL_MS and the nonce, kept in the oauth_states
+ * table until the Strava callback uses it, makes it single-use.
+ *
+ * With DISCORD_CONFIRM_REGISTRATION the person using the link also logs in
+ * with Discord; confirmState then hands out a proof for that browser (a
+ * cookie), and consumeState only accepts the state together with it.
+ */
+class OAuthStateManager {
+  constructor() {
+    this.databaseManager = databaseManager;
+  }
+
+  /**
+   * State for a new registration link
+   * @param {string} discordUserId - Who ran /register
+   * @param {number} [now] - ms timestamp
+   * @returns {Promise<string>}
+   */
+  async createState(discordUserId, now = Date.now()) {
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const expiresAt = Math.floor((now + OAUTH_STATE.TTL_MS) / 1000);
+    const payload = `${nonce}.${discordUserId}.${expiresAt}`;
+    const signature = EncryptionUtils.sign(payload);
+    if (!signature) {
+      throw new Error('ENCRYPTION_KEY is required to sign registration links');
+    }
+
+    await this.databaseManager.saveOAuthState({
+      nonce,
+      discordUserId: String(discordUserId),
+      expiresAt: new Date(expiresAt * 1000).toISOString()
+    });
+    return `${payload}.${signature}`;
+  }
+
+  /**
+   * Check a state's signature and expiry, without touching the database
+   * @param {string} state
+   * @param {number} [now] - ms timestamp
+   * @returns {{nonce: string, discordUserId: string, expiresAt: Date}|null}
+   */
+  parseState(state, now = Date.now()) {
+    const match = STATE_PATTERN.exec(typeof state === 'string' ? state : '');
+    if (!match) return null;
+
+    const [, nonce, discordUserId, expiresAt, signature] = match;
+    if (!EncryptionUtils.verifySignature(`${nonce}.${discordUserId}.${expiresAt}`, signature)) {
+      logger.server.warn('Registration link with a bad signature', { discordUserId });
+      return null;
+    }
+    if (Number(expiresAt) * 1000 <= now) return null;
+
+    return { nonce, discordUserId, expiresAt: new Date(Number(expiresAt) * 1000) };
+  }
+
+  /**
+   * A state that can still be used: valid, and not used yet
+   * @param {string} state
+   * @param {number} [now] - ms timestamp
+   * @returns {Promise<{nonce: string, discordUserId: string, expiresAt: Date}|null>}
+   */
+  async getPendingState(state, now = Date.now()) {
+    const parsed = this.parseState(state, now);
+    if (!parsed) return null;
+
+    const row = await this.databaseManager.getOAuthState(parsed.nonce);
+    if (row?.discord_user_id !== parsed.discordUserId) return null;
+    return parsed;
+  }
+
+  /**
+   * Record that the person completing the flow logged in with Discord as the
+   * user the link was made for
+   * @param {string} state
+   * @param {string} discordUserId - Who logged in
+   * @param {number} [now] - ms timestamp
+   * @returns {Promise<string|null>} Proof of the confirmation, for the
+   *   browser that logged in; null when the state is unusable or belongs to
+   *   someone else
+   */
+  async confirmState(state, discordUserId, now = Date.now()) {
+    const pending = await this.getPendingState(state, now);
+    if (!pending || pending.discordUserId !== discordUserId) return null;
+
+    if (!await this.databaseManager.confirmOAuthState(pending.nonce, new Date(now))) return null;
+    return EncryptionUtils.sign(`confirmed.${pending.nonce}`);
+  }
+
+  /**
+   * Use a state up. Only the first call with a state succeeds.
+   * @param {string} state
+   * @param {Object} [options]
+   * @param {boolean} [options.requireConfirmation=false] - Only accept states
+   *   confirmed with confirmState
+   * @param {string} [options.confirmation] - The proof confirmState returned
+   * @param {number} [options.now] - ms timestamp
+   * @returns {Promise<string|null>} The Discord user ID the link was made for.
+   *   null leaves the state as it was, except when it was already used.
+   */
+  async consumeState(state, { requireConfirmation = false, confirmation = null, now = Date.now() } = {}) {
+    const parsed = this.parseState(state, now);
+    if (!parsed) return null;
+    if (requireConfirmation && !EncryptionUtils.verifySignature(`confirmed.${parsed.nonce}`, confirmation)) {
+      return null;
+    }
+
+    const row = await this.databaseManager.consumeOAuthState(parsed.nonce, { requireConfirmation, now: new Date(now) });
+    return row?.discord_user_id === parsed.discordUserId ? parsed.discordUserId : null;
+  }
+}
+
+module.exports = OAuthStateManager;
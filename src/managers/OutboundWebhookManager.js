@@ -0,0 +1,373 @@
+const crypto = require('node:crypto');
+const axios = require('axios');
+const databaseManager = require('../database/DatabaseManager');
+const LeaderboardManager = require('./LeaderboardManager');
+const logger = require('../utils/Logger');
+const EncryptionUtils = require('../utils/EncryptionUtils');
+const { OUTBOUND_WEBHOOK } = require('../constants');
+
+const EVENT_NAMES = Object.values(OUTBOUND_WEBHOOK.EVENTS);
+const { PENDING, DELIVERED, FAILED } = OUTBOUND_WEBHOOK.DELIVERY_STATUS;
+
+/**
+ * Outbound webhooks, so third-party tools (a spreadsheet bridge, a chat
+ * relay) can follow the team without forking the bot. Admins register https
+ * URLs with /settings webhooks; ActivityProcessor (activity posted),
+ * PBManager (new PBs) and RaceManager (race status changed) call dispatch(),
+ * which queues `{event, createdAt, data}` for every webhook subscribed to the
+ * event and POSTs it as JSON in the background, so a slow receiver never
+ * holds up the activity pipeline.
+ *
+ * Each webhook has its own secret, shown once when it is added and kept
+ * encrypted with ENCRYPTION_KEY. Requests are signed with it:
+ * `X-Webhook-Signature: sha256=<HMAC-SHA256 of "<timestamp>.<body>">`, the
+ * Unix timestamp being in X-Webhook-Timestamp, so receivers can tell both
+ * who sent a payload and whether it is a replay.
+ *
+ * Every delivery is logged in outbound_webhook_deliveries. Failed ones are
+ * retried with exponential backoff, the Scheduler calling processDue() on
+ * WEBHOOK_RETRY_SCHEDULE, until they go through or MAX_ATTEMPTS is reached.
+ */
+class OutboundWebhookManager {
+  constructor() {
+    this.databaseManager = databaseManager;
+    this.isProcessing = false;
+    // Background first attempts by delivery id, kept out of processDue()
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Event names from a comma-separated list
+   * @param {string|null} value - e.g. "activity.posted, pb.new"; every event when empty
+   * @returns {string[]}
+   * @throws {TypeError} For an unknown event
+   */
+  static parseEvents(value) {
+    const events = [...new Set(String(value ?? '').split(',').map(event => event.trim().toLowerCase()).filter(Boolean))];
+    if (events.length === 0) return [...EVENT_NAMES];
+
+    const unknown = events.find(event => !EVENT_NAMES.includes(event));
+    if (unknown) {
+      throw new TypeError(`Unknown event "${unknown}". Events: ${EVENT_NAMES.join(', ')}`);
+    }
+    return events;
+  }
+
+  /**
+   * @param {string} value
+   * @returns {string} The normalized URL
+   * @throws {TypeError} Unless an https URL without credentials
+   */
+  static validateUrl(value) {
+    const trimmed = String(value ?? '').trim();
+    if (trimmed.length > OUTBOUND_WEBHOOK.MAX_URL_LENGTH) {
+      throw new TypeError(`URL cannot exceed ${OUTBOUND_WEBHOOK.MAX_URL_LENGTH} characters`);
+    }
+
+    let url;
+    try {
+      url = new URL(trimmed);
+    } catch {
+      throw new TypeError('URL is not valid');
+    }
+    if (url.protocol !== 'https:') {
+      throw new TypeError('URL must use https');
+    }
+    if (url.username || url.password) {
+      throw new TypeError('URL must not contain credentials');
+    }
+    return url.toString();
+  }
+
+  /**
+   * X-Webhook-Signature of a body sent at `timestamp`
+   * @param {string} secret - The webhook's secret
+   * @param {number} timestamp - Unix seconds, as in X-Webhook-Timestamp
+   * @param {string} body - Raw JSON body
+   * @returns {string} `sha256=<hex>`
+   */
+  static sign(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+  }
+
+  /**
+   * Whether retrying can fix a failed delivery: timeouts, rate limits,
+   * server errors and anything without an HTTP response (network, DNS) may
+   * go away; other client errors and redirects won't.
+   */
+  static isRetryable(error) {
+    const status = error?.response?.status;
+    if (!status) return true;
+    return status === 408 || status === 429 || status >= 500;
+  }
+
+  // Who a payload is about
+  static memberToJSON(member) {
+    return {
+      athleteId: member?.athleteId ?? null,
+      discordUserId: member?.discordUserId ?? null,
+      name: LeaderboardManager.memberName(member),
+    };
+  }
+
+  /**
+   * Register a webhook. Its secret is returned here and never again.
+   * @param {Object} options
+   * @param {string} options.url - https URL the events are POSTed to
+   * @param {string} [options.events] - Comma-separated event names, every event when empty
+   * @param {string} options.createdBy - Discord user id of the admin
+   * @returns {Promise<{id: number, url: string, events: string[], createdBy: string, createdAt: string, secret: string}>}
+   * @throws {TypeError} For a bad URL or event, or when MAX_WEBHOOKS are registered
+   */
+  async addWebhook({ url, events = null, createdBy }) {
+    const target = OutboundWebhookManager.validateUrl(url);
+    const subscribed = OutboundWebhookManager.parseEvents(events);
+
+    const existing = await this.databaseManager.getOutboundWebhooks();
+    if (existing.length >= OUTBOUND_WEBHOOK.MAX_WEBHOOKS) {
+      throw new TypeError(`At most ${OUTBOUND_WEBHOOK.MAX_WEBHOOKS} webhooks can be registered`);
+    }
+
+    const secret = `${OUTBOUND_WEBHOOK.SECRET_PREFIX}_${crypto.randomBytes(24).toString('base64url')}`;
+    const encryptedSecret = EncryptionUtils.encryptTokensToJSON({ secret });
+    if (!encryptedSecret) {
+      throw new Error('ENCRYPTION_KEY is required to store webhook secrets');
+    }
+
+    const row = await this.databaseManager.addOutboundWebhook({
+      url: target,
+      events: subscribed.join(','),
+      secret: encryptedSecret,
+      createdBy
+    });
+
+    logger.webhook.info('Outbound webhook added', { webhookId: row.id, host: new URL(target).host, events: subscribed, createdBy });
+    return { ...this._webhookToJSON(row), secret };
+  }
+
+  /**
+   * Webhooks without their secret, each with its latest delivery
+   * @returns {Promise<Array<{id: number, url: string, events: string[], createdBy: string,
+   *   createdAt: string, lastDelivery: Object|null}>>}
+   */
+  async listWebhooks() {
+    const rows = await this.databaseManager.getOutboundWebhooks();
+
+    return Promise.all(rows.map(async row => {
+      const [lastDelivery] = await this.databaseManager.getWebhookDeliveries(row.id, { limit: 1 });
+      return { ...this._webhookToJSON(row), lastDelivery: this._deliveryToJSON(lastDelivery) };
+    }));
+  }
+
+  /**
+   * Remove a webhook and its delivery log. Pending retries are dropped.
+   * @param {number} id
+   * @returns {Promise<boolean>} false when there was no such webhook
+   */
+  async removeWebhook(id) {
+    const removed = await this.databaseManager.removeOutboundWebhook(id);
+    if (removed) {
+      logger.webhook.info('Outbound webhook removed', { webhookId: id });
+    }
+    return removed;
+  }
+
+  /**
+   * Queue an event for every webhook subscribed to it and start the first
+   * attempts in the background. Only the delivery rows are awaited, never
+   * the receivers. Never throws: a webhook failing must not fail what
+   * triggered it, and failed deliveries are retried later anyway.
+   * @param {string} event - OUTBOUND_WEBHOOK.EVENTS value
+   * @param {Object} data - The payload's `data`
+   * @returns {Promise<Array<Object>>} The pending deliveries, [] when no webhook wants the event
+   */
+  async dispatch(event, data) {
+    try {
+      const webhooks = (await this.databaseManager.getOutboundWebhooks())
+        .filter(row => row.events.split(',').includes(event));
+      if (webhooks.length === 0) return [];
+
+      const payload = JSON.stringify({ event, createdAt: new Date().toISOString(), data });
+      const deliveries = [];
+      for (const webhook of webhooks) {
+        const delivery = await this._createDelivery(webhook, event, payload);
+        this._attemptInBackground(webhook, delivery);
+        deliveries.push(this._deliveryToJSON(delivery));
+      }
+      return deliveries;
+    } catch (error) {
+      logger.webhook.error('Failed to dispatch outbound webhook event (non-blocking)', { event, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Wait for the background first attempts started by dispatch()
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await Promise.all(this.inFlight.values());
+  }
+
+  /**
+   * Send a TEST_EVENT to one webhook and wait for the answer, without retries
+   * @param {number} id
+   * @returns {Promise<Object|null>} The delivery, null when there is no such webhook
+   */
+  async sendTest(id) {
+    const webhook = await this.databaseManager.getOutboundWebhook(id);
+    if (!webhook) return null;
+
+    const payload = JSON.stringify({
+      event: OUTBOUND_WEBHOOK.TEST_EVENT,
+      createdAt: new Date().toISOString(),
+      data: { webhookId: webhook.id, message: 'Test delivery from /settings webhooks test' }
+    });
+    const delivery = await this._createDelivery(webhook, OUTBOUND_WEBHOOK.TEST_EVENT, payload);
+    return this._attempt(webhook, delivery, { retry: false });
+  }
+
+  /**
+   * Backoff before the next attempt, after `attempts` failures
+   * @param {number} attempts - failed attempts so far (1 after the first failure)
+   * @returns {number} delay in milliseconds
+   */
+  getDelayMs(attempts) {
+    return Math.min(OUTBOUND_WEBHOOK.BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0), OUTBOUND_WEBHOOK.MAX_DELAY_MS);
+  }
+
+  /**
+   * Retry every pending delivery whose backoff has elapsed. Overlapping runs
+   * are skipped so a slow batch isn't sent twice.
+   * @returns {Promise<number>} number of deliveries retried
+   */
+  async processDue() {
+    if (this.isProcessing) return 0;
+    this.isProcessing = true;
+
+    try {
+      const due = await this.databaseManager.getDueWebhookDeliveries();
+      if (due.length === 0) return 0;
+
+      logger.webhook.info('Retrying outbound webhook deliveries', { count: due.length });
+      const webhooks = new Map((await this.databaseManager.getOutboundWebhooks()).map(row => [row.id, row]));
+      let retried = 0;
+      for (const delivery of due) {
+        const webhook = webhooks.get(delivery.webhook_id);
+        // Skip deliveries removed with their webhook or still on their first attempt
+        if (!webhook || this.inFlight.has(delivery.id)) continue;
+        await this._attempt(webhook, delivery);
+        retried++;
+      }
+      return retried;
+    } catch (error) {
+      logger.webhook.error('Failed to process outbound webhook retries', { error: error.message });
+      return 0;
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  // The pending row goes in first, due once a first attempt would have timed
+  // out: if the process stops before it is sent, the retry job sends it
+  async _createDelivery(webhook, event, payload) {
+    return this.databaseManager.createWebhookDelivery({
+      webhookId: webhook.id,
+      event,
+      payload,
+      nextAttemptAt: new Date(Date.now() + this.getDelayMs(1))
+    });
+  }
+
+  _attemptInBackground(webhook, delivery) {
+    const attempt = this._attempt(webhook, delivery)
+      .catch(error => {
+        logger.webhook.error('Failed to record outbound webhook delivery', { deliveryId: delivery.id, error: error.message });
+      })
+      .finally(() => this.inFlight.delete(delivery.id));
+    this.inFlight.set(delivery.id, attempt);
+  }
+
+  // POST a delivery once and record how it went: delivered, pending with
+  // the next attempt scheduled, or failed for good
+  async _attempt(webhook, delivery, { retry = true } = {}) {
+    const attempts = delivery.attempts + 1;
+    const secret = EncryptionUtils.decryptTokensFromJSON(webhook.secret)?.secret;
+
+    let outcome;
+    if (!secret) {
+      outcome = { status: FAILED, attempts, lastError: 'Webhook secret could not be decrypted' };
+    } else {
+      try {
+        const timestamp = Math.floor(Date.now() / 1000);
+        const response = await axios.post(webhook.url, delivery.payload, {
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Webhook-Event': delivery.event,
+            'X-Webhook-Delivery': String(delivery.id),
+            'X-Webhook-Timestamp': String(timestamp),
+            [OUTBOUND_WEBHOOK.SIGNATURE_HEADER]: OutboundWebhookManager.sign(secret, timestamp, delivery.payload)
+          },
+          timeout: OUTBOUND_WEBHOOK.TIMEOUT_MS,
+          // A redirect would send the signed payload somewhere nobody registered
+          maxRedirects: 0
+        });
+        outcome = { status: DELIVERED, attempts, lastStatus: response.status };
+      } catch (error) {
+        const willRetry = retry && attempts < OUTBOUND_WEBHOOK.MAX_ATTEMPTS && OutboundWebhookManager.isRetryable(error);
+        outcome = {
+          status: willRetry ? PENDING : FAILED,
+          attempts,
+          nextAttemptAt: willRetry ? new Date(Date.now() + this.getDelayMs(attempts)) : null,
+          lastStatus: error.response?.status || null,
+          lastError: error.message
+        };
+      }
+    }
+
+    if (outcome.status !== DELIVERED) {
+      logger.webhook.warn('Outbound webhook delivery failed', {
+        webhookId: webhook.id,
+        deliveryId: delivery.id,
+        event: delivery.event,
+        attempts,
+        status: outcome.status,
+        httpStatus: outcome.lastStatus,
+        error: outcome.lastError
+      });
+    }
+
+    // null when the webhook was removed meanwhile
+    const saved = await this.databaseManager.updateWebhookDelivery(delivery.id, outcome);
+    return this._deliveryToJSON(saved);
+  }
+
+  _webhookToJSON(row) {
+    return {
+      id: row.id,
+      url: row.url,
+      events: row.events.split(','),
+      createdBy: row.created_by,
+      createdAt: row.created_at
+    };
+  }
+
+  _deliveryToJSON(row) {
+    if (!row) return null;
+
+    return {
+      id: row.id,
+      webhookId: row.webhook_id,
+      event: row.event,
+      status: row.status,
+      attempts: row.attempts,
+      nextAttemptAt: row.next_attempt_at,
+      lastStatus: row.last_status,
+      lastError: row.last_error,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = OutboundWebhookManager;
@@ -2,11 +2,23 @@ const databaseManager = require('../database/DatabaseManager');
 const logger = require('../utils/Logger');
 const ActivityFormatter = require('../utils/ActivityFormatter');
 const BestEffortCalculator = require('../utils/BestEffortCalculator');
-const { PB_EFFORT_LABELS, SUPPORTED_PB_TYPES, CATEGORY_DISTANCES, PB_DISTANCE_TOLERANCE_PERCENT } = require('../constants');
+const OutboundWebhookManager = require('./OutboundWebhookManager');
+const { PB_EFFORT_LABELS, SUPPORTED_PB_TYPES, CATEGORY_DISTANCES, PB_DISTANCE_TOLERANCE_PERCENT, CLUB_RECORDS, OUTBOUND_WEBHOOK } = require('../constants');
+
+// Club record divisions in display order: overall, per gender, then per
+// gender and age group.
+const CLUB_DIVISIONS = [
+  { label: 'Club', gender: null, ageGroup: null },
+  ...Object.values(CLUB_RECORDS.GENDERS).map(gender => ({ label: gender, gender, ageGroup: null })),
+  ...Object.values(CLUB_RECORDS.GENDERS).flatMap(gender => CLUB_RECORDS.AGE_GROUPS.map(({ label }) => ({
+    label: `${gender} ${label}`, gender, ageGroup: label,
+  }))),
+];
 
 class PBManager {
   constructor() {
     this.databaseManager = databaseManager;
+    this.webhookManager = new OutboundWebhookManager();
   }
 
   async initialize() {
@@ -97,6 +109,11 @@ class PBManager {
         // improve the PB further, which doesn't suddenly make a slower effort
         // become a PB.
         if (existing && effort.elapsedTime >= existing.elapsed_time) {
+          // Not a PB today, but history syncs go backwards in time: an effort
+          // older than the current PB may have been the record back then
+          if (effort.activityDate < existing.activity_date) {
+            await this.recordHistory(athleteId, effort);
+          }
           results.push({ isNewPB: false, category: effort.category, previousPB: existing, newPB: null });
           continue;
         }
@@ -106,6 +123,7 @@ class PBManager {
         // both pass the fast-path above, only one will actually overwrite the
         // row, and the DB ends up in a consistent "fastest wins" state.
         await this.databaseManager.upsertPersonalBest(athleteId, effort);
+        await this.recordHistory(athleteId, effort);
 
         results.push({
           isNewPB: true,
@@ -132,6 +150,84 @@ class PBManager {
     return results;
   }
 
+  /**
+   * Add an effort to the member's PB progression. Non-blocking: the PB
+   * itself is already saved, and the history is only for /pb history.
+   * @param {number} athleteId
+   * @param {Object} effort - as returned by extractBestEfforts
+   */
+  async recordHistory(athleteId, effort) {
+    try {
+      await this.databaseManager.recordPBHistory(athleteId, effort);
+    } catch (error) {
+      logger.database.error('Failed to record PB history (non-blocking)', {
+        athleteId,
+        category: effort.category,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Send a member's new PBs to the outbound webhooks, as one pb.new event
+   * listing them all. Called for posted activities and PBs added with /pb add
+   * only: like club records, PBs from a private or filtered run and from
+   * history syncs stay out. Never throws.
+   * @param {Object} member
+   * @param {Array} pbResults - from checkAndUpdatePBs
+   */
+  async publishNewPBs(member, pbResults) {
+    const newPBs = (pbResults ?? []).filter(r => r.isNewPB && !r.held);
+    if (newPBs.length === 0) return;
+
+    await this.webhookManager.dispatch(OUTBOUND_WEBHOOK.EVENTS.PB_NEW, {
+      member: OutboundWebhookManager.memberToJSON(member),
+      pbs: newPBs.map(({ category, newPB, previousPB }) => ({
+        category,
+        distanceM: newPB.distanceM ?? null,
+        elapsedTimeS: newPB.elapsedTime,
+        movingTimeS: newPB.movingTime ?? null,
+        activityId: String(newPB.activityId),
+        activityName: newPB.activityName || null,
+        activityDate: newPB.activityDate,
+        previous: previousPB
+          ? {
+            elapsedTimeS: previousPB.elapsed_time,
+            activityId: String(previousPB.strava_activity_id),
+            activityDate: previousPB.activity_date,
+          }
+          : null,
+      })),
+    });
+  }
+
+  /**
+   * A member's record progression for one category, oldest first, each
+   * entry with its improvement over the record before it.
+   * @param {number} athleteId
+   * @param {string} category - e.g. '5K'
+   * @returns {Promise<Array>} pb_history rows plus `improvement` (null for the first)
+   */
+  async getPBHistory(athleteId, category) {
+    const rows = await this.databaseManager.getPBHistory(athleteId, category);
+    return rows.map((row, index) => ({
+      ...row,
+      improvement: index > 0 ? this.formatTimeImprovement(rows[index - 1].elapsed_time, row.elapsed_time) : null,
+    }));
+  }
+
+  /**
+   * Get a member's record progression by Discord user ID.
+   * @param {string} discordUserId
+   * @param {string} category
+   * @returns {Promise<Array>}
+   */
+  async getPBHistoryByDiscordId(discordUserId, category) {
+    const member = await this.databaseManager.getMemberByDiscordId(discordUserId);
+    if (!member?.isActive) return [];
+    return this.getPBHistory(member.athleteId, category);
+  }
+
   /**
    * Get all PBs for a member by athlete ID, ordered by distance ascending.
    * @param {number} athleteId
@@ -141,6 +237,27 @@ class PBManager {
     return await this.databaseManager.getPersonalBestsByAthleteId(athleteId);
   }
 
+  /**
+   * PBs this activity still holds, shaped like checkAndUpdatePBs results so
+   * an edited activity post keeps its PB field. The improvement over the
+   * previous PB is no longer known, so `held` tells the embed to omit it.
+   * @param {number} athleteId
+   * @param {string|number} activityId
+   * @returns {Promise<Array>} [{isNewPB: true, held: true, category, previousPB: null, newPB}]
+   */
+  async getHeldPBResults(athleteId, activityId) {
+    const pbs = await this.getMemberPBs(athleteId);
+    return pbs
+      .filter(pb => String(pb.strava_activity_id) === String(activityId))
+      .map(pb => ({
+        isNewPB: true,
+        held: true,
+        category: pb.category,
+        previousPB: null,
+        newPB: { category: pb.category, elapsedTime: pb.elapsed_time, movingTime: pb.moving_time },
+      }));
+  }
+
   /**
    * Get all PBs for a member by Discord user ID.
    * @param {string} discordUserId
@@ -471,6 +588,197 @@ class PBManager {
     return { processed, updated, errors };
   }
 
+  /**
+   * Age group label for a member's age on a given day.
+   * @param {string} dateOfBirth - YYYY-MM-DD
+   * @param {string} onDate - YYYY-MM-DD, e.g. the PB's activity date
+   * @returns {string|null} one of CLUB_RECORDS.AGE_GROUPS, null without a usable date of birth
+   */
+  static getAgeGroup(dateOfBirth, onDate) {
+    const born = /^(\d{4})-(\d{2}-\d{2})/.exec(dateOfBirth || '');
+    const on = /^(\d{4})-(\d{2}-\d{2})/.exec(onDate || '');
+    if (!born || !on) return null;
+
+    const age = Number(on[1]) - Number(born[1]) - (on[2] < born[2] ? 1 : 0);
+    if (age < 0) return null;
+    return CLUB_RECORDS.AGE_GROUPS.filter(group => age >= group.min).pop().label;
+  }
+
+  /**
+   * Club record divisions an effort competes in: always the club, plus the
+   * gender and age group when the athlete profile provides them. Strava
+   * profiles have a sex but no date of birth; intervals.icu ones can have both.
+   * @param {Object} athlete - members.athlete profile
+   * @param {string} activityDate - YYYY-MM-DD
+   * @returns {string[]} division labels, e.g. ['Club', 'Women', 'Women 35-44']
+   */
+  static getClubDivisions(athlete, activityDate) {
+    const divisions = ['Club'];
+    const gender = CLUB_RECORDS.GENDERS[String(athlete?.sex || '').toUpperCase()];
+    if (!gender) return divisions;
+
+    divisions.push(gender);
+    const ageGroup = PBManager.getAgeGroup(athlete.date_of_birth, activityDate);
+    if (ageGroup) divisions.push(`${gender} ${ageGroup}`);
+    return divisions;
+  }
+
+  /**
+   * Club records: the fastest PB of all active members per category, for
+   * every division that has one.
+   * @param {string[]} [categories]
+   * @returns {Promise<Array<{category: string, records: Array}>>} records in
+   *   CLUB_DIVISIONS order, each { division, gender, ageGroup, athleteId,
+   *   memberName, discordUserId, elapsedTime, activityId, activityDate }
+   */
+  async getClubRecords(categories = CLUB_RECORDS.CATEGORIES) {
+    const rows = await this.databaseManager.getClubPersonalBests(categories);
+
+    return categories.map(category => {
+      // Rows come fastest first, so the first holder seen in a division is its record
+      const holders = new Map();
+      for (const row of rows.filter(r => r.category === category)) {
+        for (const division of PBManager.getClubDivisions(row.athlete, row.activityDate)) {
+          if (!holders.has(division)) holders.set(division, this._clubRecordEntry(row));
+        }
+      }
+
+      return {
+        category,
+        records: CLUB_DIVISIONS
+          .filter(({ label }) => holders.has(label))
+          .map(({ label, gender, ageGroup }) => ({ division: label, gender, ageGroup, ...holders.get(label) })),
+      };
+    });
+  }
+
+  /**
+   * Club records broken by a member's new PBs, for the announcement. A
+   * division's record is broken when the new time beats every other
+   * member's PB in it and the member's own previous PB. The first PB in an
+   * empty division isn't announced: there was no record to break.
+   * @param {number} athleteId
+   * @param {Array} pbResults - from checkAndUpdatePBs
+   * @returns {Promise<Array<{category: string, holder: Object, broken: Array<{division: string, previous: Object}>}>>}
+   */
+  async checkClubRecords(athleteId, pbResults) {
+    const newPBs = (pbResults ?? []).filter(r => r.isNewPB && !r.held && CLUB_RECORDS.CATEGORIES.includes(r.category));
+    if (newPBs.length === 0) return [];
+
+    const memberId = Number.parseInt(athleteId);
+    const rows = await this.databaseManager.getClubPersonalBests(newPBs.map(r => r.category));
+    const events = [];
+
+    for (const { category, newPB, previousPB } of newPBs) {
+      const own = rows.find(row => row.category === category && row.athleteId === memberId);
+      if (!own) continue; // inactive members don't hold club records
+
+      const contenders = rows
+        .filter(row => row.category === category && row.athleteId !== memberId)
+        .map(row => ({ ...this._clubRecordEntry(row), divisions: PBManager.getClubDivisions(row.athlete, row.activityDate) }));
+      if (previousPB) {
+        contenders.push({
+          ...this._clubRecordEntry(own),
+          elapsedTime: previousPB.elapsed_time,
+          activityId: previousPB.strava_activity_id,
+          activityDate: previousPB.activity_date,
+          divisions: PBManager.getClubDivisions(own.athlete, previousPB.activity_date),
+        });
+      }
+
+      const broken = [];
+      for (const division of PBManager.getClubDivisions(own.athlete, newPB.activityDate)) {
+        const [previous] = contenders
+          .filter(contender => contender.divisions.includes(division))
+          .sort((a, b) => a.elapsedTime - b.elapsedTime);
+        if (previous && newPB.elapsedTime < previous.elapsedTime) {
+          const { divisions: _divisions, ...record } = previous;
+          broken.push({ division, previous: record });
+        }
+      }
+
+      if (broken.length > 0) {
+        events.push({
+          category,
+          holder: {
+            ...this._clubRecordEntry(own),
+            elapsedTime: newPB.elapsedTime,
+            activityId: String(newPB.activityId),
+            activityName: newPB.activityName || null,
+            activityDate: newPB.activityDate,
+          },
+          broken,
+        });
+        logger.database.info('Club record broken', {
+          athleteId,
+          category,
+          divisions: broken.map(b => b.division),
+          elapsedTime: newPB.elapsedTime,
+        });
+      }
+    }
+
+    return events;
+  }
+
+  _clubRecordEntry(row) {
+    return {
+      athleteId: row.athleteId,
+      memberName: row.displayName
+        || (row.athlete ? `${row.athlete.firstname || ''} ${row.athlete.lastname || ''}`.trim() : '')
+        || 'Unknown',
+      discordUserId: row.discordUserId,
+      elapsedTime: row.elapsedTime,
+      activityId: row.activityId,
+      activityDate: row.activityDate,
+    };
+  }
+
+  /**
+   * Format club records into Discord embed fields: one per category with the
+   * club and gender records, plus, with `ageGroups`, one per gender listing
+   * its age group records.
+   * @param {Array} clubRecords - from getClubRecords
+   * @param {Object} [options]
+   * @param {boolean} [options.ageGroups]
+   * @returns {Array} Discord embed field objects, [] when there are no records
+   */
+  formatClubRecordsForEmbed(clubRecords, { ageGroups = false } = {}) {
+    const fields = [];
+
+    for (const { category, records } of clubRecords) {
+      const main = records.filter(record => !record.ageGroup);
+      if (main.length === 0) continue;
+      fields.push({ name: `🏅 ${category}`, value: main.map(record => this.formatClubRecordLine(record, record.division)).join('\n'), inline: false });
+
+      if (!ageGroups) continue;
+      for (const gender of Object.values(CLUB_RECORDS.GENDERS)) {
+        const groups = records.filter(record => record.gender === gender && record.ageGroup);
+        if (groups.length === 0) continue;
+        fields.push({
+          name: `${gender} by age group`,
+          value: groups.map(record => this.formatClubRecordLine(record, record.ageGroup)).join('\n'),
+          inline: false,
+        });
+      }
+    }
+
+    return fields;
+  }
+
+  /**
+   * @param {Object} record - a club record, or the previous record in a checkClubRecords event
+   * @param {string} label
+   * @returns {string} e.g. "**Women** — 19:42 · Alice · Mar 18, 2026 · [↗](...)"
+   */
+  formatClubRecordLine(record, label) {
+    const date = new Date(`${record.activityDate}T00:00:00Z`)
+      .toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+    const line = `**${label}** — ${ActivityFormatter.formatTime(record.elapsedTime)} · ${record.memberName} · ${date}`;
+    const validId = record.activityId && record.activityId !== 'undefined' && !String(record.activityId).startsWith('i');
+    return validId ? `${line} · [↗](https://www.strava.com/activities/${record.activityId})` : line;
+  }
+
   /**
    * Format PBs into Discord embed fields.
    * @param {Array} pbs - PB rows from DB
@@ -528,6 +836,31 @@ class PBManager {
     return fields;
   }
 
+  /**
+   * Format a record progression as timeline lines, most recent first.
+   * Only the latest `limit` records are listed.
+   * @param {Array} history - from getPBHistory
+   * @param {number} [limit]
+   * @returns {string[]} e.g. "**Mar 2, 2026** — 19:45 (-0:32) · [↗](...)"
+   */
+  formatPBHistory(history, limit = 15) {
+    const lines = history.slice(-limit).reverse().map(entry => {
+      const date = new Date(`${entry.activity_date}T00:00:00Z`)
+        .toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+      const time = ActivityFormatter.formatTime(entry.elapsed_time);
+      const line = entry.improvement
+        ? `**${date}** — ${time} (${entry.improvement})`
+        : `**${date}** — ${time} (first record)`;
+      const validId = entry.activity_id && entry.activity_id !== 'undefined' && !entry.activity_id.startsWith('i');
+      return validId ? `${line} · [↗](https://www.strava.com/activities/${entry.activity_id})` : line;
+    });
+
+    if (history.length > limit) {
+      lines.push(`…and ${history.length - limit} earlier ${history.length - limit === 1 ? 'record' : 'records'}`);
+    }
+    return lines;
+  }
+
   /**
    * Format the time improvement between two elapsed times.
    * @param {number} prevTime - Previous elapsed time in seconds
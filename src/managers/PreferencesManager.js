@@ -0,0 +1,347 @@
+const databaseManager = require('../database/DatabaseManager');
+const logger = require('../utils/Logger');
+const DateUtils = require('../utils/DateUtils');
+const EncryptionUtils = require('../utils/EncryptionUtils');
+const { POSTING_SPORT_CATEGORIES, PRIVACY_ZONE, HEART_RATE_ZONES } = require('../constants');
+
+const DEFAULT_PREFERENCES = Object.freeze({
+  sportTypes: null,
+  showHeartRate: true,
+  showPace: true,
+  showMap: true,
+  showInApi: true,
+  pausedUntil: null,
+  privacyZones: [],
+  maxHeartRate: null,
+  thresholdHeartRate: null,
+});
+
+/**
+ * Per-member posting preferences: which sports get posted, which details
+ * (heart rate, pace, route map) appear in the embed, a temporary pause,
+ * privacy zones clipped out of route maps, the max/threshold heart rate
+ * the embed's zone breakdown is based on, and whether the member shows up
+ * in the public JSON API at all.
+ * Preferences only shape what is published; activities are still saved
+ * and still count for PBs, leaderboards and challenges.
+ */
+class PreferencesManager {
+  constructor() {
+    this.databaseManager = databaseManager;
+  }
+
+  async initialize() {
+    // Database manager is initialized by the main application
+  }
+
+  /**
+   * Stored preferences for a member, with defaults filled in.
+   * @param {number} athleteId
+   * @returns {Promise<{sportTypes: string[]|null, showHeartRate: boolean, showPace: boolean,
+   *   showMap: boolean, showInApi: boolean, pausedUntil: string|null, privacyZones: Array<{lat: number, lon: number, radius: number}>,
+   *   maxHeartRate: number|null, thresholdHeartRate: number|null}>}
+   *   `sportTypes` null means every sport
+   */
+  async getPreferences(athleteId) {
+    const row = await this.databaseManager.getMemberPreferences(athleteId);
+    return this._fromRow(row);
+  }
+
+  /**
+   * Preferences of several members at once, for pages listing the team.
+   * @param {number[]} athleteIds
+   * @returns {Promise<Map<number, Object>>} Keyed by athlete ID, as {@link getPreferences}
+   */
+  async getPreferencesForMembers(athleteIds) {
+    const rows = await this.databaseManager.getMembersPreferences(athleteIds);
+    const byAthleteId = new Map(rows.map(row => [row.member_athlete_id, row]));
+    return new Map(athleteIds.map(athleteId => [athleteId, this._fromRow(byAthleteId.get(Number(athleteId)))]));
+  }
+
+  async getPreferencesForDiscordUser(discordUserId) {
+    const member = await this._requireMember(discordUserId);
+    return await this.getPreferences(member.athleteId);
+  }
+
+  /**
+   * Turn posting of sport groups on or off. Groups left out of `toggles`
+   * keep their current setting; enabling every group is stored as "all" so
+   * sports added to POSTING_SPORT_CATEGORIES later are posted too.
+   * @param {string} discordUserId
+   * @param {Object<string, boolean>} toggles - Keyed by POSTING_SPORT_CATEGORIES key
+   */
+  async setSportTypes(discordUserId, toggles) {
+    const allCategories = Object.keys(POSTING_SPORT_CATEGORIES);
+    const unknown = Object.keys(toggles).filter(c => !POSTING_SPORT_CATEGORIES[c]);
+    if (unknown.length > 0) {
+      throw new TypeError(`Unknown sport type(s): ${unknown.join(', ')}. Choose from: ${allCategories.join(', ')}`);
+    }
+    if (Object.keys(toggles).length === 0) {
+      throw new TypeError(`Nothing to change — pick at least one of ${allCategories.join(', ')}`);
+    }
+
+    const member = await this._requireMember(discordUserId);
+    const current = await this.getPreferences(member.athleteId);
+    const enabled = new Set(current.sportTypes ?? allCategories);
+    for (const [category, on] of Object.entries(toggles)) {
+      if (on) enabled.add(category); else enabled.delete(category);
+    }
+
+    if (enabled.size === 0) {
+      throw new TypeError('At least one sport type must stay on — use /preferences pause to stop posting altogether');
+    }
+
+    const sportTypes = enabled.size === allCategories.length
+      ? null
+      : JSON.stringify(allCategories.filter(c => enabled.has(c)));
+    return await this._update(discordUserId, { sport_types: sportTypes });
+  }
+
+  /**
+   * Show or hide embed details, or the member's whole presence in the
+   * public API. Options left undefined are unchanged.
+   * @param {string} discordUserId
+   * @param {{showHeartRate?: boolean, showPace?: boolean, showMap?: boolean, showInApi?: boolean}} privacy
+   */
+  async setPrivacy(discordUserId, privacy) {
+    const updates = {};
+    if (privacy.showHeartRate !== undefined) updates.show_heart_rate = privacy.showHeartRate ? 1 : 0;
+    if (privacy.showPace !== undefined) updates.show_pace = privacy.showPace ? 1 : 0;
+    if (privacy.showMap !== undefined) updates.show_map = privacy.showMap ? 1 : 0;
+    if (privacy.showInApi !== undefined) updates.show_in_api = privacy.showInApi ? 1 : 0;
+
+    if (Object.keys(updates).length === 0) {
+      throw new TypeError('Nothing to change — pick at least one of heart_rate, pace, map or api');
+    }
+
+    return await this._update(discordUserId, updates);
+  }
+
+  /**
+   * Stop posting until the given day (inclusive); posting resumes on its own
+   * the day after.
+   * @param {string} discordUserId
+   * @param {string} untilDate - DD-MM-YYYY
+   */
+  async pauseUntil(discordUserId, untilDate) {
+    // convertDDMMYYYYToISO throws a TypeError on bad format or impossible dates
+    const pausedUntil = DateUtils.convertDDMMYYYYToISO(untilDate);
+    if (pausedUntil < DateUtils.getTodayDateString()) {
+      throw new TypeError('Pause date must be today or later');
+    }
+
+    return await this._update(discordUserId, { paused_until: pausedUntil });
+  }
+
+  async resume(discordUserId) {
+    return await this._update(discordUserId, { paused_until: null });
+  }
+
+  /**
+   * Add a circle the member's route maps must not show.
+   * @param {string} discordUserId
+   * @param {string} coordinates - "lat, lon" in decimal degrees, as copied from a map app
+   * @param {number} radius - metres
+   */
+  async addPrivacyZone(discordUserId, coordinates, radius) {
+    const zone = this.parsePrivacyZone(coordinates, radius);
+
+    const member = await this._requireMember(discordUserId);
+    const { privacyZones } = await this.getPreferences(member.athleteId);
+    if (privacyZones.length >= PRIVACY_ZONE.MAX_ZONES) {
+      throw new TypeError(`You can have at most ${PRIVACY_ZONE.MAX_ZONES} privacy zones — remove one first`);
+    }
+
+    return await this._update(discordUserId, {
+      encrypted_privacy_zones: this._encryptZones([...privacyZones, zone]),
+    });
+  }
+
+  /**
+   * @param {string} discordUserId
+   * @param {number} position - 1-based, as listed by /preferences view
+   */
+  async removePrivacyZone(discordUserId, position) {
+    const member = await this._requireMember(discordUserId);
+    const { privacyZones } = await this.getPreferences(member.athleteId);
+    if (!Number.isInteger(position) || position < 1 || position > privacyZones.length) {
+      throw new TypeError(privacyZones.length === 0
+        ? 'You have no privacy zones'
+        : `Zone must be between 1 and ${privacyZones.length}`);
+    }
+
+    const remaining = privacyZones.filter((_, i) => i !== position - 1);
+    return await this._update(discordUserId, {
+      encrypted_privacy_zones: remaining.length > 0 ? this._encryptZones(remaining) : null,
+    });
+  }
+
+  /**
+   * Set the heart rates the zones are computed from. Values left undefined are
+   * unchanged.
+   * @param {string} discordUserId
+   * @param {{maxHeartRate?: number, thresholdHeartRate?: number}} heartRate - bpm
+   */
+  async setHeartRate(discordUserId, { maxHeartRate, thresholdHeartRate }) {
+    const updates = {};
+    for (const [column, bpm] of [['max_heart_rate', maxHeartRate], ['threshold_heart_rate', thresholdHeartRate]]) {
+      if (bpm === undefined || bpm === null) continue;
+      if (!Number.isInteger(bpm) || bpm < HEART_RATE_ZONES.MIN_BPM || bpm > HEART_RATE_ZONES.MAX_BPM) {
+        throw new TypeError(`Heart rate must be between ${HEART_RATE_ZONES.MIN_BPM} and ${HEART_RATE_ZONES.MAX_BPM} bpm`);
+      }
+      updates[column] = bpm;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      throw new TypeError('Nothing to change — give max and/or threshold');
+    }
+
+    const member = await this._requireMember(discordUserId);
+    const current = await this.getPreferences(member.athleteId);
+    const max = updates.max_heart_rate ?? current.maxHeartRate;
+    const threshold = updates.threshold_heart_rate ?? current.thresholdHeartRate;
+    if (max && threshold && threshold >= max) {
+      throw new TypeError(`Threshold heart rate (${threshold}) must be below max heart rate (${max})`);
+    }
+
+    return await this._update(discordUserId, updates);
+  }
+
+  async clearHeartRate(discordUserId) {
+    return await this._update(discordUserId, { max_heart_rate: null, threshold_heart_rate: null });
+  }
+
+  parsePrivacyZone(coordinates, radius) {
+    const parts = String(coordinates ?? '').split(',').map(part => part.trim());
+    const [lat, lon] = parts.map(Number);
+    if (parts.length !== 2 || parts.some(part => part === '') || !Number.isFinite(lat) || !Number.isFinite(lon)) {
+      throw new TypeError('Coordinates must be "latitude, longitude" in decimal degrees (e.g. 48.8566, 2.3522)');
+    }
+    if (lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+      throw new TypeError('Latitude must be between -90 and 90 and longitude between -180 and 180');
+    }
+    if (!Number.isInteger(radius) || radius < PRIVACY_ZONE.MIN_RADIUS_M || radius > PRIVACY_ZONE.MAX_RADIUS_M) {
+      throw new TypeError(`Radius must be between ${PRIVACY_ZONE.MIN_RADIUS_M} and ${PRIVACY_ZONE.MAX_RADIUS_M} metres`);
+    }
+    return { lat, lon, radius };
+  }
+
+  /**
+   * Whether a member's preferences let this activity be posted.
+   * @param {Object} preferences - From {@link getPreferences}
+   * @param {Object} activity - Strava or intervals.icu activity
+   * @param {string} [today] - YYYY-MM-DD
+   * @returns {{post: boolean, reason?: string}}
+   */
+  shouldPost(preferences, activity, today = DateUtils.getTodayDateString()) {
+    if (preferences.pausedUntil && today <= preferences.pausedUntil) {
+      return { post: false, reason: `Posting paused until ${preferences.pausedUntil}` };
+    }
+
+    if (preferences.sportTypes) {
+      const category = PreferencesManager.sportCategory(activity?.type);
+      if (!preferences.sportTypes.includes(category)) {
+        return { post: false, reason: `Sport type '${category}' muted by member` };
+      }
+    }
+
+    return { post: true };
+  }
+
+  /**
+   * Strip the details a member chose to hide from a processed activity
+   * before it is handed to EmbedBuilder, and attach the settings it needs to
+   * draw what is left (privacy zones, heart-rate zones). Returns a new object.
+   * @param {Object} processedActivity
+   * @param {Object} preferences - From {@link getPreferences}
+   * @returns {Object}
+   */
+  applyPrivacy(processedActivity, preferences) {
+    const activity = { ...processedActivity };
+
+    if (!preferences.showHeartRate) {
+      delete activity.average_heartrate;
+      delete activity.max_heartrate;
+      delete activity.heartrate_stream;
+      if (activity.splits) {
+        activity.splits = {
+          ...activity.splits,
+          rows: activity.splits.rows.map(row => ({ ...row, averageHeartrate: null })),
+        };
+      }
+    } else if (preferences.maxHeartRate || preferences.thresholdHeartRate) {
+      activity.heartRateZones = {
+        maxHeartRate: preferences.maxHeartRate,
+        thresholdHeartRate: preferences.thresholdHeartRate,
+      };
+    }
+    if (!preferences.showPace) {
+      delete activity.gap_pace;
+      delete activity.average_speed;
+      delete activity.max_speed;
+      activity.hidePace = true;
+    }
+    if (!preferences.showMap) {
+      delete activity.map;
+    }
+    if (preferences.privacyZones?.length > 0) {
+      activity.privacyZones = preferences.privacyZones;
+    }
+
+    return activity;
+  }
+
+  // Key of POSTING_SPORT_CATEGORIES an activity type falls under
+  static sportCategory(activityType) {
+    const match = Object.entries(POSTING_SPORT_CATEGORIES).find(([, { types }]) => types.includes(activityType));
+    return match ? match[0] : 'other';
+  }
+
+  async _update(discordUserId, updates) {
+    const member = await this._requireMember(discordUserId);
+    const row = await this.databaseManager.upsertMemberPreferences(member.athleteId, updates);
+
+    logger.database.info('Member changed posting preferences', {
+      discordUserId,
+      athleteId: member.athleteId,
+      fields: Object.keys(updates),
+    });
+
+    return this._fromRow(row);
+  }
+
+  async _requireMember(discordUserId) {
+    const member = await this.databaseManager.getMemberByDiscordId(discordUserId);
+    if (!member) {
+      throw new Error('Only registered team members have posting preferences — use /register first');
+    }
+    return member;
+  }
+
+  _encryptZones(zones) {
+    const encrypted = EncryptionUtils.encryptTokensToJSON(zones);
+    if (!encrypted) {
+      // Never fall back to storing a home address in plain text.
+      throw new Error('Privacy zones cannot be saved: encryption is not configured');
+    }
+    return encrypted;
+  }
+
+  _fromRow(row) {
+    if (!row) return { ...DEFAULT_PREFERENCES };
+
+    return {
+      sportTypes: row.sport_types ? JSON.parse(row.sport_types) : null,
+      showHeartRate: Boolean(row.show_heart_rate),
+      showPace: Boolean(row.show_pace),
+      showMap: Boolean(row.show_map),
+      showInApi: Boolean(row.show_in_api ?? 1),
+      pausedUntil: row.paused_until || null,
+      privacyZones: EncryptionUtils.decryptTokensFromJSON(row.encrypted_privacy_zones) || [],
+      maxHeartRate: row.max_heart_rate ?? null,
+      thresholdHeartRate: row.threshold_heart_rate ?? null,
+    };
+  }
+}
+
+module.exports = PreferencesManager;
@@ -1,11 +1,14 @@
 const databaseManager = require('../database/DatabaseManager');
 const logger = require('../utils/Logger');
-const { VALIDATION, DATE, RACE_EMOJI } = require('../constants');
+const { VALIDATION, DATE, RACE_EMOJI, RACE_STATUS, LEADERBOARD_RUN_TYPES, RACE_LINK_DISTANCE_TOLERANCE, RACE_IMPORT, OUTBOUND_WEBHOOK } = require('../constants');
 const DateUtils = require('../utils/DateUtils');
+const ActivityFormatter = require('../utils/ActivityFormatter');
+const OutboundWebhookManager = require('./OutboundWebhookManager');
 
 class RaceManager {
   constructor() {
     this.databaseManager = databaseManager;
+    this.webhookManager = new OutboundWebhookManager();
   }
 
   async initialize() {
@@ -64,8 +67,95 @@ class RaceManager {
     }
   }
 
-  // Update an existing race
-  async updateRace(raceId, discordUserId, updates) {
+  /**
+   * Sort parsed import rows (see RaceImportParser) into races that can be
+   * added and rows that can't, with the reason. Rows are rejected when they
+   * fail validateRaceData, repeat a race the member already has (same name
+   * and date) or an earlier row, or go past RACE_IMPORT.MAX_RACES.
+   *
+   * @param {string} discordUserId
+   * @param {Array<{line: number, raceData: Object}>} rows
+   * @returns {Promise<{accepted: Array<Object>, rejected: Array<{line: number, name: string, reason: string}>}>}
+   */
+  async prepareImport(discordUserId, rows) {
+    const existing = await this.getMemberRaces(discordUserId);
+    const seen = new Set(existing.map(race => this._importKey(race.name, race.race_date)));
+
+    const accepted = [];
+    const rejected = [];
+
+    for (const { line, raceData } of rows) {
+      const name = raceData.name?.trim() || '';
+      try {
+        this.validateRaceData(raceData);
+      } catch (error) {
+        rejected.push({ line, name, reason: error.message });
+        continue;
+      }
+
+      const key = this._importKey(name, DateUtils.convertDDMMYYYYToISO(raceData.raceDate));
+      if (seen.has(key)) {
+        rejected.push({ line, name, reason: 'Already in your races' });
+      } else if (accepted.length >= RACE_IMPORT.MAX_RACES) {
+        rejected.push({ line, name, reason: `Only ${RACE_IMPORT.MAX_RACES} races can be imported at once` });
+      } else {
+        seen.add(key);
+        accepted.push(raceData);
+      }
+    }
+
+    return { accepted, rejected };
+  }
+
+  // Add several races at once (all or none); each is validated as in addRace
+  async addRaces(discordUserId, raceDataList) {
+    try {
+      const member = await this.databaseManager.getMemberByDiscordId(discordUserId);
+
+      if (!member?.isActive) {
+        throw new Error('Member not found or inactive');
+      }
+
+      raceDataList.forEach(raceData => this.validateRaceData(raceData));
+
+      const added = await this.databaseManager.addRaces(member.athleteId, raceDataList.map(raceData => ({
+        name: raceData.name.trim(),
+        raceDate: DateUtils.convertDDMMYYYYToISO(raceData.raceDate),
+        raceType: raceData.raceType || 'road',
+        distance: raceData.distance?.trim() || null,
+        distanceKm: raceData.distanceKm?.trim() || null,
+        location: raceData.location?.trim() || null,
+        notes: raceData.notes?.trim() || null,
+        goalTime: raceData.goalTime?.trim() || null,
+        elevation: raceData.elevation?.trim() || null,
+        status: 'registered'
+      })));
+
+      logger.database.info('Races imported for member', {
+        discordUserId,
+        athleteId: member.athleteId,
+        count: added.length
+      });
+
+      return added;
+
+    } catch (error) {
+      logger.database.error('Failed to import races', {
+        discordUserId,
+        count: raceDataList.length,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  _importKey(name, isoDate) {
+    return `${name.trim().toLowerCase()}|${isoDate}`;
+  }
+
+  // Update an existing race. A status change goes to the outbound webhooks
+  // unless `publish` is false.
+  async updateRace(raceId, discordUserId, updates, { publish = true } = {}) {
     try {
       // Get the race first to check ownership
       const race = await this.getRace(raceId);
@@ -112,6 +202,10 @@ class RaceManager {
         updates
       });
 
+      if (publish && updatedRace && updates.status && updates.status !== race.status) {
+        await this.publishStatusChange(member, updatedRace, race.status);
+      }
+
       return updatedRace;
 
     } catch (error) {
@@ -125,6 +219,30 @@ class RaceManager {
     }
   }
 
+  // Send a race whose status changed (completed, cancelled, ...) to the
+  // outbound webhooks. dispatch() never throws.
+  async publishStatusChange(member, race, previousStatus) {
+    await this.webhookManager.dispatch(OUTBOUND_WEBHOOK.EVENTS.RACE_STATUS_CHANGED, {
+      member: OutboundWebhookManager.memberToJSON(member),
+      race: {
+        id: race.id,
+        name: race.name,
+        date: race.race_date,
+        type: race.race_type,
+        distance: race.distance ?? null,
+        distanceKm: race.distance_km ? Number.parseFloat(race.distance_km) : null,
+        location: race.location ?? null,
+        status: race.status,
+        goalTime: race.goal_time ?? null,
+        finishTimeS: race.finish_time ?? null,
+        overallPlace: race.overall_place ?? null,
+        categoryPlace: race.category_place ?? null,
+        activityId: race.activity_id ?? null,
+      },
+      previousStatus,
+    });
+  }
+
   // Remove a race
   async removeRace(raceId, discordUserId) {
     try {
@@ -225,16 +343,113 @@ class RaceManager {
     }
   }
 
-  // Mark race as completed
-  async completeRace(raceId, discordUserId, completionData = {}) {
+  // Mark race as completed. `finishTime` is seconds or "H:MM:SS";
+  // `activityId` links the activity the result came from. The activity,
+  // placements, bib and notes are only replaced when given, so entering a
+  // placement keeps an activity linked earlier. `publish` as in updateRace.
+  async completeRace(raceId, discordUserId, completionData = {}, { publish = true } = {}) {
     const updates = {
-      status: 'completed',
-      actualTime: completionData.actualTime || null,
-      stravaActivityId: completionData.stravaActivityId || null,
-      notes: completionData.notes || null
+      status: RACE_STATUS.COMPLETED,
+      finish_time: RaceManager.parseRaceTime(completionData.finishTime)
     };
+    if (completionData.activityId) updates.activity_id = String(completionData.activityId);
+    if (completionData.overallPlace) updates.overall_place = completionData.overallPlace;
+    if (completionData.categoryPlace) updates.category_place = completionData.categoryPlace;
+    if (completionData.bibNumber) updates.bib_number = completionData.bibNumber.trim();
+    if (completionData.notes) updates.notes = completionData.notes;
 
-    return await this.updateRace(raceId, discordUserId, updates);
+    return await this.updateRace(raceId, discordUserId, updates, { publish });
+  }
+
+  // Record the official result entered with `/my-races result`. The finish
+  // time is required ("H:MM:SS" or "MM:SS"); placements must be positive
+  // whole numbers.
+  async recordResult(raceId, discordUserId, result) {
+    const finishTime = RaceManager.parseRaceTime(result.finishTime);
+    if (!finishTime) {
+      throw new TypeError('Finish time must be in H:MM:SS or MM:SS format');
+    }
+
+    for (const [field, label] of [['overallPlace', 'Overall placement'], ['categoryPlace', 'Category placement']]) {
+      const place = result[field];
+      if (place !== null && place !== undefined && !(Number.isInteger(place) && place > 0)) {
+        throw new TypeError(`${label} must be a positive whole number`);
+      }
+    }
+
+    return await this.completeRace(raceId, discordUserId, { ...result, finishTime });
+  }
+
+  // Complete the member's registered race on the day of this run, when the
+  // run is that race: Strava marks it as a race, or its distance is within
+  // RACE_LINK_DISTANCE_TOLERANCE of the race's distance_km. With several
+  // races that day, the closest distance wins.
+  // Returns { race, finishTime, goalTime, goalDelta } (seconds; goal fields
+  // null without a readable goal_time), or null when no race matches.
+  // `publish: false` keeps the completion out of the outbound webhooks, for
+  // runs that aren't posted.
+  async linkActivity(athleteId, discordUserId, activity, { isRace = false, publish = true } = {}) {
+    if (!LEADERBOARD_RUN_TYPES.includes(activity?.type) || !(activity.elapsed_time > 0)) return null;
+
+    const day = activity.start_date_local?.substring(0, 10);
+    if (!day) return null;
+
+    const registered = await this.databaseManager.getMemberRaces(athleteId, { status: RACE_STATUS.REGISTERED });
+    const [match] = registered
+      .filter(race => race.race_date === day)
+      .map(race => ({ race, distanceError: this._distanceError(race, activity) }))
+      .filter(({ distanceError }) => isRace || distanceError <= RACE_LINK_DISTANCE_TOLERANCE)
+      .sort((a, b) => a.distanceError - b.distanceError);
+    if (!match) return null;
+
+    const finishTime = activity.elapsed_time;
+    const race = await this.completeRace(match.race.id, discordUserId, { finishTime, activityId: activity.id }, { publish });
+    const goalTime = RaceManager.parseRaceTime(match.race.goal_time);
+
+    logger.database.info('Race completed from activity', {
+      raceId: match.race.id,
+      athleteId,
+      activityId: activity.id,
+      finishTime,
+      goalTime
+    });
+
+    return { race, finishTime, goalTime, goalDelta: goalTime ? finishTime - goalTime : null };
+  }
+
+  // Relative gap between the run's distance and the race's; Infinity when
+  // either is unknown
+  _distanceError(race, activity) {
+    const raceKm = Number.parseFloat(race.distance_km);
+    if (!(raceKm > 0) || !(activity.distance > 0)) return Infinity;
+    return Math.abs(activity.distance / 1000 - raceKm) / raceKm;
+  }
+
+  // Race time in seconds from a number of seconds or an "H:MM:SS" / "MM:SS"
+  // string, e.g. a goal_time. null when it can't be read ("sub 3h", "").
+  static parseRaceTime(value) {
+    if (Number.isFinite(value)) return value > 0 ? Math.round(value) : null;
+
+    const match = /^(?:(\d{1,2}):)?(\d{1,2}):(\d{2})$/.exec(String(value ?? '').trim());
+    if (!match) return null;
+
+    const [, hours = '0', minutes, seconds] = match;
+    if (Number(minutes) >= 60 && match[1] !== undefined) return null;
+    if (Number(seconds) >= 60) return null;
+    const total = Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+    return total > 0 ? total : null;
+  }
+
+  // "🎯 Goal 3:30:00 beaten by 1:46", "Goal 3:30:00 missed by 2:10"; null
+  // without a goal
+  formatGoalComparison(finishTime, goalTime) {
+    if (!goalTime || !finishTime) return null;
+
+    const goal = ActivityFormatter.formatTime(goalTime);
+    const delta = finishTime - goalTime;
+    if (delta < 0) return `🎯 Goal ${goal} beaten by ${ActivityFormatter.formatTime(-delta)}`;
+    if (delta === 0) return `🎯 Goal ${goal} hit to the second`;
+    return `Goal ${goal} missed by ${ActivityFormatter.formatTime(delta)}`;
   }
 
   // Mark race as cancelled
@@ -247,15 +462,89 @@ class RaceManager {
     return await this.updateRace(raceId, discordUserId, updates);
   }
 
-  // Get race statistics
+  // Get race statistics: the race counts plus every result, annotated by
+  // annotateResults, with how many beat their goal and how many were PRs
   async getRaceStats() {
     try {
       const stats = await this.databaseManager.getStats();
-      return stats.races;
+      const completed = await this.databaseManager.getAllRaces({ status: RACE_STATUS.COMPLETED });
+      const results = this.annotateResults(completed).filter(race => race.finish_time);
+
+      return {
+        ...stats.races,
+        completed: completed.length,
+        goalsBeaten: results.filter(race => race.goal_delta !== null && race.goal_delta <= 0).length,
+        goalsMissed: results.filter(race => race.goal_delta > 0).length,
+        personalRecords: results.filter(race => race.is_pr).length,
+        results
+      };
     } catch (error) {
       logger.database.error('Failed to get race stats', error);
-      return { total: 0, upcoming: 0 };
+      return { total: 0, upcoming: 0, completed: 0, goalsBeaten: 0, goalsMissed: 0, personalRecords: 0, results: [] };
+    }
+  }
+
+  // Copy of the races with each result's `goal_delta` (seconds against the
+  // goal time, negative when beaten; null without a result or a readable
+  // goal) and `is_pr`: the finish beat all of the member's earlier results
+  // at the same distance. A first race at a distance isn't a PR — there is
+  // nothing to beat yet. Only the races in the list are compared, so pass
+  // all of a member's completed races for accurate flags.
+  annotateResults(raceList) {
+    const fastest = new Map();
+    const prs = new Set();
+
+    const results = raceList
+      .filter(race => race.status === RACE_STATUS.COMPLETED && race.finish_time > 0)
+      .sort((a, b) => a.race_date.localeCompare(b.race_date) || a.id - b.id);
+
+    for (const race of results) {
+      const km = Number.parseFloat(race.distance_km);
+      if (!(km > 0)) continue;
+
+      const key = `${race.member_athlete_id}:${km.toFixed(1)}`;
+      const best = fastest.get(key);
+      if (best !== undefined && race.finish_time < best) prs.add(race.id);
+      if (best === undefined || race.finish_time < best) fastest.set(key, race.finish_time);
     }
+
+    return raceList.map(race => ({
+      ...race,
+      goal_delta: this.getGoalDelta(race),
+      is_pr: prs.has(race.id)
+    }));
+  }
+
+  // Seconds between the finish and the goal time, negative when the goal was
+  // beaten; null without a result or a readable goal
+  getGoalDelta(race) {
+    const goalTime = RaceManager.parseRaceTime(race.goal_time);
+    if (race.status !== RACE_STATUS.COMPLETED || !(race.finish_time > 0) || !goalTime) return null;
+    return race.finish_time - goalTime;
+  }
+
+  // One-line result of a completed race: "⏱️ 3:28:14 (-1:46 vs goal) 🏆 PR".
+  // The PR flag needs a race from annotateResults. null without a finish time
+  formatResultLine(race) {
+    if (race.status !== RACE_STATUS.COMPLETED || !race.finish_time) return null;
+
+    let line = `⏱️ ${ActivityFormatter.formatTime(race.finish_time)}`;
+    const delta = this.getGoalDelta(race);
+    if (delta === 0) {
+      line += ' (goal hit)';
+    } else if (delta !== null) {
+      line += ` (${delta < 0 ? '-' : '+'}${ActivityFormatter.formatTime(Math.abs(delta))} vs goal)`;
+    }
+    if (race.is_pr) line += ' 🏆 PR';
+    return line;
+  }
+
+  // "🏅 #12 overall · #3 in category"; null without a placement
+  formatPlacement(race) {
+    const parts = [];
+    if (race.overall_place) parts.push(`#${race.overall_place} overall`);
+    if (race.category_place) parts.push(`#${race.category_place} in category`);
+    return parts.length > 0 ? `🏅 ${parts.join(' · ')}` : null;
   }
 
   // Helper: Validate race date (accepts DD-MM-YYYY format)
@@ -363,8 +652,18 @@ class RaceManager {
       display += `\n🏔️ Elevation: ${race.elevation}`;
     }
 
-    if (race.actual_time && race.status === 'completed') {
-      display += `\n⏱️ Time: ${race.actual_time}`;
+    if (race.bib_number) {
+      display += `\n🎽 Bib ${race.bib_number}`;
+    }
+
+    const result = this.formatResultLine(race);
+    if (result) {
+      display += `\n${result}`;
+    }
+
+    const placement = this.formatPlacement(race);
+    if (placement) {
+      display += `\n${placement}`;
     }
 
     if (includeStatus) {
@@ -0,0 +1,184 @@
+const config = require('../../config/config');
+const databaseManager = require('../database/DatabaseManager');
+const logger = require('../utils/Logger');
+const { TIME, RETRY_STATUS } = require('../constants');
+
+/**
+ * Gives failed Strava activities another go instead of losing them to a
+ * Strava 5xx, a Discord outage or a network blip. Each failure pushes the
+ * next attempt back exponentially (capped at RETRY_MAX_DELAY_MINUTES); after
+ * RETRY_MAX_ATTEMPTS failures, or straight away for errors that retrying
+ * can't fix, the activity is dead-lettered until an admin runs
+ * /activity retry. State lives in the activity_retries table, so it survives
+ * restarts; the Scheduler calls processDue() on RETRY_SCHEDULE.
+ */
+class RetryQueue {
+  constructor(activityProcessor) {
+    this.activityProcessor = activityProcessor;
+    this.databaseManager = databaseManager;
+    this.isProcessing = false;
+  }
+
+  /**
+   * Whether retrying can fix the error. Strava client errors (deleted or
+   * private activity, bad request) won't go away by waiting; expired tokens
+   * (401, refreshed by the caller), timeouts, rate limits, server errors and
+   * anything without an HTTP response (network, Discord) might.
+   */
+  static isRetryable(error) {
+    const status = error?.response?.status;
+    if (!status) return true;
+    return status === 401 || status === 408 || status === 429 || status >= 500;
+  }
+
+  /**
+   * Backoff before the next attempt, after `attempts` failures
+   * @param {number} attempts - failed attempts so far (1 after the first failure)
+   * @returns {number} delay in milliseconds
+   */
+  getDelayMs(attempts) {
+    const { baseDelayMinutes, maxDelayMinutes } = config.retry;
+    const minutes = Math.min(baseDelayMinutes * 2 ** Math.max(attempts - 1, 0), maxDelayMinutes);
+    return minutes * TIME.MS_PER_MINUTE;
+  }
+
+  /**
+   * Record a failed attempt: schedule the next one, or dead-letter the
+   * activity. Never throws — it runs in the processing error path.
+   * @returns {Promise<Object|null>} { status, attempts, nextAttemptAt }, null if it couldn't be saved
+   */
+  async scheduleRetry(activityId, athleteId, error) {
+    try {
+      const previous = await this.databaseManager.getActivityRetry(activityId);
+      const attempts = (previous?.attempts || 0) + 1;
+      const retryable = RetryQueue.isRetryable(error);
+      const status = retryable && attempts < config.retry.maxAttempts ? RETRY_STATUS.PENDING : RETRY_STATUS.DEAD;
+      const nextAttemptAt = status === RETRY_STATUS.PENDING ? new Date(Date.now() + this.getDelayMs(attempts)) : null;
+
+      await this.databaseManager.saveActivityRetry({
+        activityId,
+        athleteId,
+        attempts,
+        nextAttemptAt,
+        lastError: error?.message || String(error),
+        lastStatus: error?.response?.status || null,
+        status,
+      });
+
+      if (status === RETRY_STATUS.DEAD) {
+        logger.activity.warn('Activity dead-lettered', {
+          activityId,
+          athleteId,
+          attempts,
+          reason: retryable ? 'Too many failed attempts' : 'Error is not retryable',
+          error: error?.message
+        });
+      } else {
+        logger.activity.info('Activity scheduled for retry', {
+          activityId,
+          athleteId,
+          attempts,
+          nextAttemptAt: nextAttemptAt.toISOString()
+        });
+      }
+
+      return { status, attempts, nextAttemptAt };
+    } catch (saveError) {
+      logger.activity.error('Failed to schedule activity retry (non-blocking)', {
+        activityId,
+        athleteId,
+        error: saveError.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Forget an activity's retries, once it went through or was deleted.
+   * Never throws.
+   */
+  async clear(activityId) {
+    try {
+      const cleared = await this.databaseManager.deleteActivityRetry(activityId);
+      if (cleared) {
+        logger.activity.info('Activity retry cleared', { activityId });
+      }
+      return cleared;
+    } catch (error) {
+      logger.activity.warn('Failed to clear activity retry (non-blocking)', {
+        activityId,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Run every pending retry whose backoff has elapsed. processNewActivity
+   * records the outcome and, on another failure, calls scheduleRetry again.
+   * Overlapping runs are skipped so a slow batch isn't picked up twice.
+   * @returns {Promise<number>} number of activities retried
+   */
+  async processDue() {
+    if (this.isProcessing) return 0;
+    this.isProcessing = true;
+
+    try {
+      const due = await this.databaseManager.getDueActivityRetries();
+      if (due.length > 0) {
+        logger.activity.info('Retrying failed activities', { count: due.length });
+      }
+
+      for (const row of due) {
+        await this.activityProcessor.processNewActivity(row.activity_id, row.athlete_id);
+      }
+      return due.length;
+    } catch (error) {
+      logger.activity.error('Failed to process activity retries', { error: error.message });
+      return 0;
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Retry one activity right away, on an admin's request. A manual retry
+   * starts the backoff from scratch, so dead-lettered activities that fail
+   * again go back to being retried automatically.
+   * @returns {Promise<Object|null>} the activity's ledger row after the attempt
+   */
+  async retryNow(activityId, athleteId) {
+    await this.databaseManager.deleteActivityRetry(activityId);
+
+    logger.activity.info('Manually retrying activity', { activityId, athleteId });
+    await this.activityProcessor.processNewActivity(activityId, athleteId);
+
+    return this.databaseManager.getActivityOutcome(activityId, 'strava');
+  }
+
+  /**
+   * Retry every dead-lettered activity right away
+   * @returns {Promise<Array<{activityId: number, outcome: string|null}>>}
+   */
+  async retryDeadLetters() {
+    const deadLetters = await this.databaseManager.getDeadLetterActivities();
+
+    const results = [];
+    for (const row of deadLetters) {
+      const ledger = await this.retryNow(row.activity_id, row.athlete_id);
+      results.push({ activityId: row.activity_id, outcome: ledger?.outcome || null });
+    }
+    return results;
+  }
+
+  getRetry(activityId) {
+    return this.databaseManager.getActivityRetry(activityId);
+  }
+
+  // { pending: n, dead: n }
+  getCounts() {
+    return this.databaseManager.getActivityRetryCounts();
+  }
+}
+
+module.exports = RetryQueue;
@@ -2,20 +2,25 @@ const cron = require('node-cron');
 const axios = require('axios');
 const { EmbedBuilder } = require('discord.js');
 const logger = require('../utils/Logger');
-const { DATE } = require('../constants');
+const { DATE, LEADERBOARD_METRICS } = require('../constants');
 const ActivityEmbedBuilder = require('../utils/EmbedBuilder');
 const LeaderboardManager = require('./LeaderboardManager');
+const KudosManager = require('./KudosManager');
 
 class Scheduler {
-  constructor(activityProcessor, raceManager, leaderboardManager = new LeaderboardManager()) {
+  constructor(activityProcessor, raceManager, leaderboardManager = new LeaderboardManager(), kudosManager = new KudosManager()) {
     this.activityProcessor = activityProcessor;
     this.raceManager = raceManager;
     this.leaderboardManager = leaderboardManager;
+    this.kudosManager = kudosManager;
     this.jobs = new Map(); // Store active cron jobs
     this.isInitialized = false;
     this.healthState = 'unknown'; // 'unknown' | 'healthy' | 'unhealthy'
     this.healthCheckConfig = null;
     this.healthCheckUrl = null;
+    this.deadLetterCount = null; // dead-lettered activities at the last health check
+    this.timezone = 'UTC';
+    this.raceReminderOffsets = [7, 1, 0]; // days before a race to DM the runner
   }
 
   /**
@@ -59,6 +64,8 @@ class Scheduler {
 
     logger.scheduler.info('Initializing race scheduler...');
 
+    this.timezone = config.scheduler.timezone || 'UTC';
+
     try {
       // Weekly race announcement - Every Monday at 8:00 AM
       if (config.scheduler.weeklyEnabled) {
@@ -120,6 +127,26 @@ class Scheduler {
         });
       }
 
+      // Weekly running leaderboard - posts the *previous* ISO week's totals
+      if (config.scheduler.weeklyLeaderboardEnabled) {
+        const weeklyLeaderboardJob = cron.schedule(
+          config.scheduler.weeklyLeaderboardSchedule,
+          () => this.postWeeklyLeaderboard(),
+          {
+            scheduled: false,
+            timezone: config.scheduler.timezone
+          }
+        );
+
+        this.jobs.set('weeklyLeaderboard', weeklyLeaderboardJob);
+        weeklyLeaderboardJob.start();
+
+        logger.scheduler.info('Weekly leaderboard scheduled', {
+          schedule: config.scheduler.weeklyLeaderboardSchedule,
+          timezone: config.scheduler.timezone
+        });
+      }
+
       // intervals.icu activity poll - there are no webhooks for intervals.icu,
       // so we poll on a schedule instead.
       if (config.scheduler.intervalsPollEnabled) {
@@ -141,6 +168,69 @@ class Scheduler {
         });
       }
 
+      // Retries of failed activities whose backoff has elapsed
+      if (config.scheduler.retryEnabled) {
+        const retryJob = cron.schedule(
+          config.scheduler.retrySchedule,
+          () => this.runActivityRetries(),
+          {
+            scheduled: false,
+            timezone: config.scheduler.timezone
+          }
+        );
+
+        this.jobs.set('activityRetries', retryJob);
+        retryJob.start();
+
+        logger.scheduler.info('Activity retries scheduled', {
+          schedule: config.scheduler.retrySchedule,
+          timezone: config.scheduler.timezone
+        });
+      }
+
+      // Retries of failed outbound webhook deliveries
+      if (config.scheduler.webhookRetryEnabled) {
+        const webhookRetryJob = cron.schedule(
+          config.scheduler.webhookRetrySchedule,
+          () => this.runWebhookRetries(),
+          {
+            scheduled: false,
+            timezone: config.scheduler.timezone
+          }
+        );
+
+        this.jobs.set('webhookRetries', webhookRetryJob);
+        webhookRetryJob.start();
+
+        logger.scheduler.info('Outbound webhook retries scheduled', {
+          schedule: config.scheduler.webhookRetrySchedule,
+          timezone: config.scheduler.timezone
+        });
+      }
+
+      // Race reminders - DMs before each race and a race-day post
+      if (config.scheduler.raceRemindersEnabled) {
+        this.raceReminderOffsets = config.scheduler.raceReminderOffsets ?? this.raceReminderOffsets;
+
+        const raceReminderJob = cron.schedule(
+          config.scheduler.raceReminderSchedule,
+          () => this.postRaceReminders(),
+          {
+            scheduled: false,
+            timezone: config.scheduler.timezone
+          }
+        );
+
+        this.jobs.set('raceReminders', raceReminderJob);
+        raceReminderJob.start();
+
+        logger.scheduler.info('Race reminders scheduled', {
+          schedule: config.scheduler.raceReminderSchedule,
+          offsets: this.raceReminderOffsets,
+          timezone: config.scheduler.timezone
+        });
+      }
+
       // Health self-check - periodically GET the public base URL /health
       if (config.healthCheck?.enabled) {
         this.healthCheckConfig = config.healthCheck;
@@ -170,7 +260,11 @@ class Scheduler {
         weeklyEnabled: config.scheduler.weeklyEnabled,
         monthlyEnabled: config.scheduler.monthlyEnabled,
         leaderboardEnabled: config.scheduler.leaderboardEnabled,
+        weeklyLeaderboardEnabled: config.scheduler.weeklyLeaderboardEnabled,
         intervalsPollEnabled: config.scheduler.intervalsPollEnabled,
+        retryEnabled: config.scheduler.retryEnabled,
+        webhookRetryEnabled: config.scheduler.webhookRetryEnabled,
+        raceRemindersEnabled: config.scheduler.raceRemindersEnabled,
         healthCheckEnabled: !!config.healthCheck?.enabled,
         activeJobs: this.jobs.size
       });
@@ -190,7 +284,7 @@ class Scheduler {
    * Hits BASE_URL/health via the public URL so the request traverses the
    * same path Strava webhooks do (reverse proxy / TLS / DNS). Logs a warning
    * and posts a Discord alert on state transitions, so a flapping check
-   * doesn't spam the channel.
+   * doesn't spam the channel. Also checks for newly dead-lettered activities.
    */
   async runHealthSelfCheck() {
     if (!this.healthCheckConfig || !this.healthCheckUrl) return;
@@ -229,6 +323,61 @@ class Scheduler {
         logger.scheduler.warn('Health self-check still failing', failureDetail);
       }
     }
+
+    await this.checkDeadLetters();
+  }
+
+  /**
+   * Count the activities that gave up retrying. Alerts Discord only when the
+   * count grows, so a dead letter nobody has retried yet isn't reported on
+   * every check. The first check after startup just takes the baseline.
+   */
+  async checkDeadLetters() {
+    try {
+      const { dead } = await this.activityProcessor.retryQueue.getCounts();
+      const previous = this.deadLetterCount;
+      this.deadLetterCount = dead;
+
+      if (previous !== null && dead > previous) {
+        logger.scheduler.warn('Activities dead-lettered since the last health check', {
+          deadLetters: dead,
+          added: dead - previous
+        });
+        await this.notifyDeadLettersDiscord(dead, dead - previous);
+      } else if (dead > 0) {
+        logger.scheduler.debug('Dead-lettered activities waiting for /activity retry', { deadLetters: dead });
+      }
+    } catch (error) {
+      logger.scheduler.error('Dead-letter check failed', { error: error.message });
+    }
+  }
+
+  /**
+   * Tell the channel that activities could not be posted. Same gating and
+   * never-throw rules as notifyHealthDiscord.
+   */
+  async notifyDeadLettersDiscord(count, added) {
+    if (!this.healthCheckConfig?.discordNotify) return;
+
+    try {
+      const channel = await this.activityProcessor.discordBot.getChannel();
+      if (!channel) return;
+
+      const embed = new EmbedBuilder()
+        .setTitle('📭 Activities could not be posted')
+        .setColor('#E67E22')
+        .setDescription(
+          `${added} new ${added === 1 ? 'activity' : 'activities'} gave up after repeated failures ` +
+          `(${count} waiting in total).\n\nAn admin can run \`/activity retry\` once the problem is fixed.`
+        )
+        .setTimestamp();
+
+      await channel.send({ embeds: [embed] });
+    } catch (error) {
+      logger.scheduler.error('Failed to post dead-letter notification to Discord', {
+        error: error.message
+      });
+    }
   }
 
   /**
@@ -361,6 +510,111 @@ class Scheduler {
     }
   }
 
+  /**
+   * Daily race reminders. Each registered race whose date is one of the
+   * configured offsets away (e.g. 7 days, tomorrow, today) gets a DM to its
+   * runner with the goal time, location and elevation; then, if anyone races
+   * today, the channel gets a "good luck" post listing them. Runs once a day,
+   * so each offset is sent once.
+   */
+  async postRaceReminders() {
+    try {
+      const offsets = this.raceReminderOffsets;
+      const races = await this.raceManager.getUpcomingRaces(Math.max(0, ...offsets));
+
+      const racesWithMembers = [];
+      for (const race of races) {
+        const member = await this.activityProcessor.memberManager.getMemberByAthleteId(race.member_athlete_id);
+        if (!member?.isActive) continue;
+
+        racesWithMembers.push({
+          ...race,
+          daysUntil: this.raceManager.getDaysUntilRace(race.race_date),
+          discordUserId: member.discordUserId,
+          memberName: member.discordUser?.displayName || `${member.athlete?.firstname} ${member.athlete?.lastname}`
+        });
+      }
+
+      let sent = 0;
+      for (const race of racesWithMembers.filter(r => offsets.includes(r.daysUntil) && r.discordUserId)) {
+        const delivered = await this.activityProcessor.discordBot.sendDirectMessage(race.discordUserId, {
+          embeds: [this.createRaceReminderEmbed(race, race.daysUntil)]
+        });
+        if (delivered) sent++;
+      }
+
+      const racingToday = racesWithMembers.filter(race => race.daysUntil === 0);
+      if (racingToday.length > 0) {
+        const channel = await this.activityProcessor.discordBot.getChannel();
+        if (channel) {
+          await channel.send({ embeds: [this.createRaceDayEmbed(racingToday)] });
+        } else {
+          logger.scheduler.error('Discord channel not available for race day post');
+        }
+      }
+
+      logger.scheduler.info('Race reminders sent', {
+        remindersSent: sent,
+        racingToday: racingToday.length
+      });
+    } catch (error) {
+      logger.scheduler.error('Failed to send race reminders', {
+        error: error.message,
+        stack: error.stack
+      });
+    }
+  }
+
+  /**
+   * Create the reminder DM for one race
+   */
+  createRaceReminderEmbed(race, daysUntil) {
+    let title = `📅 ${race.name} is in ${daysUntil} days`;
+    if (daysUntil === 0) title = `🏁 Race day: ${race.name}`;
+    else if (daysUntil === 1) title = `⏰ ${race.name} is tomorrow`;
+
+    const raceDate = new Date(race.race_date + 'T00:00:00');
+    let description = `**${raceDate.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' })}**`;
+    description += `\n${race.race_type === 'trail' ? '🥾 Trail' : '🏃‍♂️ Road'} race`;
+    if (race.distance) description += ` (${race.distance})`;
+
+    const fields = [];
+    if (race.goal_time) fields.push({ name: '🎯 Goal', value: race.goal_time, inline: true });
+    if (race.location) fields.push({ name: '📍 Location', value: race.location, inline: true });
+    if (race.elevation) fields.push({ name: '🏔️ Elevation', value: race.elevation, inline: true });
+    if (race.bib_number) fields.push({ name: '🎽 Bib', value: race.bib_number, inline: true });
+
+    const embed = new EmbedBuilder()
+      .setTitle(title)
+      .setColor(daysUntil === 0 ? '#D4AF37' : '#4169E1')
+      .setDescription(description)
+      .setFooter({ text: daysUntil === 0 ? 'Good luck today! 🍀' : `Race #${race.id} · /my-races list` })
+      .setTimestamp();
+
+    if (fields.length > 0) embed.addFields(fields);
+    return embed;
+  }
+
+  /**
+   * Create the race-day post listing everyone racing today
+   */
+  createRaceDayEmbed(races) {
+    const raceList = races.map(race => {
+      const who = race.discordUserId ? `<@${race.discordUserId}>` : `**${race.memberName}**`;
+      let raceText = `${race.race_type === 'trail' ? '🥾' : '🏃‍♂️'} ${who} — ${race.name}`;
+      if (race.distance) raceText += ` (${race.distance})`;
+      if (race.location) raceText += ` at ${race.location}`;
+      return raceText;
+    }).join('\n');
+
+    return new EmbedBuilder()
+      .setTitle('🍀 Good luck today!')
+      .setColor('#2ECC71')
+      .setDescription(`${races.length} teammate${races.length === 1 ? ' is' : 's are'} racing today:\n\n${raceList}`)
+      .setFooter({ text: 'Cheer them on! 📣' })
+      .setTimestamp();
+  }
+
   /**
    * Create weekly race announcement embed
    */
@@ -548,7 +802,15 @@ class Scheduler {
         memberManager: this.activityProcessor.memberManager,
       });
 
-      const embed = ActivityEmbedBuilder.buildMonthlyLeaderboardEmbed(result);
+      // Distance stays the headline ranking; every other metric gets a podium
+      // section so climbers and consistent runners are recognised too.
+      const sections = Object.keys(LEADERBOARD_METRICS)
+        .filter(metric => metric !== 'distance')
+        .map(metric => ({ metric, entries: LeaderboardManager.rankBy(result.entries, metric) }));
+
+      const kudos = await this.getMonthlyKudos(year, month);
+
+      const embed = ActivityEmbedBuilder.buildMonthlyLeaderboardEmbed(result, { sections, kudos });
 
       const channel = await this.activityProcessor.discordBot.getChannel();
       if (!channel) {
@@ -568,6 +830,59 @@ class Scheduler {
     }
   }
 
+  // Kudos highlights for the monthly post, or null if they can't be read —
+  // the leaderboard itself still goes out.
+  async getMonthlyKudos(year, month) {
+    try {
+      return await this.kudosManager.getMonthlyHighlights({
+        year,
+        month,
+        memberManager: this.activityProcessor.memberManager,
+      });
+    } catch (error) {
+      logger.scheduler.warn('Kudos highlights unavailable for monthly leaderboard', {
+        year, month, error: error.message,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Post the previous ISO week's running leaderboard. Called by cron on Mondays.
+   * "Previous" is judged in the scheduler timezone, matching when the cron fires.
+   * @param {{year: number, week: number}} [period] - Override for the slash command
+   */
+  async postWeeklyLeaderboard(period) {
+    try {
+      const { year, week } = period ?? LeaderboardManager.getPreviousWeek(new Date(), this.timezone);
+      logger.scheduler.info('Posting weekly leaderboard', { year, week });
+
+      const result = await this.leaderboardManager.getWeeklyLeaderboard({
+        year,
+        week,
+        memberManager: this.activityProcessor.memberManager,
+      });
+
+      const embed = ActivityEmbedBuilder.buildWeeklyLeaderboardEmbed(result);
+
+      const channel = await this.activityProcessor.discordBot.getChannel();
+      if (!channel) {
+        logger.scheduler.error('Discord channel not available for weekly leaderboard');
+        return;
+      }
+
+      await channel.send({ embeds: [embed] });
+      logger.scheduler.info('Weekly leaderboard posted', {
+        year, week, runners: result.entries.length,
+      });
+    } catch (error) {
+      logger.scheduler.error('Failed to post weekly leaderboard', {
+        error: error.message,
+        stack: error.stack
+      });
+    }
+  }
+
   /**
    * Manually trigger weekly race announcement (for testing)
    */
@@ -593,6 +908,15 @@ class Scheduler {
     await this.postMonthlyLeaderboard(period);
   }
 
+  /**
+   * Manually trigger weekly leaderboard post (for testing)
+   * @param {{year: number, week: number}} [period]
+   */
+  async triggerWeeklyLeaderboard(period) {
+    logger.scheduler.info('Manually triggering weekly leaderboard');
+    await this.postWeeklyLeaderboard(period);
+  }
+
   /**
    * Poll intervals.icu for new activities (no webhooks available for that provider).
    */
@@ -604,6 +928,28 @@ class Scheduler {
     }
   }
 
+  /**
+   * Run the activity retries that are due
+   */
+  async runActivityRetries() {
+    try {
+      await this.activityProcessor.retryQueue.processDue();
+    } catch (error) {
+      logger.scheduler.error('Activity retries failed', { error: error.message });
+    }
+  }
+
+  /**
+   * Send the outbound webhook deliveries that are due for another attempt
+   */
+  async runWebhookRetries() {
+    try {
+      await this.activityProcessor.webhookManager.processDue();
+    } catch (error) {
+      logger.scheduler.error('Outbound webhook retries failed', { error: error.message });
+    }
+  }
+
   /**
    * Get scheduler status
    */
@@ -611,7 +957,8 @@ class Scheduler {
     return {
       initialized: this.isInitialized,
       activeJobs: Array.from(this.jobs.keys()),
-      jobCount: this.jobs.size
+      jobCount: this.jobs.size,
+      deadLetterCount: this.deadLetterCount
     };
   }
 
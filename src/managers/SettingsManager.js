@@ -1,4 +1,4 @@
-const { eq } = require('drizzle-orm');
+const { eq, like } = require('drizzle-orm');
 const { settings } = require('../database/schema');
 const logger = require('../utils/Logger');
 
@@ -91,6 +91,27 @@ class SettingsManager {
     }
   }
 
+  /**
+   * Get the settings whose key starts with a prefix
+   * @param {string} prefix - Key prefix, e.g. "api_token_"
+   * @returns {Promise<Array<{key: string, value: string, updatedAt: string}>>} Matching settings, by key
+   */
+  async getSettingsByPrefix(prefix) {
+    try {
+      const rows = await this.db.select()
+        .from(settings)
+        .where(like(settings.key, `${prefix}%`))
+        .orderBy(settings.key);
+      // "_" is a LIKE wildcard, so check the prefix itself too
+      return rows
+        .filter(row => row.key.startsWith(prefix))
+        .map(row => ({ key: row.key, value: row.value, updatedAt: row.updated_at }));
+    } catch (error) {
+      logger.database.error('Error getting settings by prefix', { prefix, error: error.message });
+      return [];
+    }
+  }
+
   /**
    * Delete a setting
    * @param {string} key - Setting key
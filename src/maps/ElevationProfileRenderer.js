@@ -0,0 +1,179 @@
+const sharp = require('sharp');
+const config = require('../../config/config');
+const logger = require('../utils/Logger');
+
+// Chart styling, matching the route line on MapRenderer's maps.
+const BACKGROUND_COLOR = '#ffffff';
+const GRID_COLOR = '#e0e0e0';
+const LINE_COLOR = '#FC4C02';
+const AREA_OPACITY = 0.25;
+const LINE_WIDTH = 2;
+const LABEL_COLOR = '#555555';
+const LABEL_FONT_SIZE = 11;
+
+// Same face as the map attribution — see the note in MapRenderer.
+const LABEL_FONT_FAMILY = 'DejaVu Sans, sans-serif';
+
+// Plot area insets: room for altitude labels on the left and distance
+// labels underneath.
+const MARGIN = { top: 12, right: 14, bottom: 24, left: 52 };
+
+// A few metres of GPS/barometer noise shouldn't fill the whole chart height,
+// so the altitude axis always spans at least this much.
+const MIN_ALTITUDE_SPAN_M = 50;
+
+// Upper bound on plotted samples; the chart is ~550 px wide, so more points
+// only grow the SVG.
+const MAX_POINTS = 300;
+
+// Candidate distance-axis steps in km, smallest first.
+const DISTANCE_STEPS_KM = [0.5, 1, 2, 5, 10, 20, 25, 50, 100];
+const MAX_DISTANCE_TICKS = 6;
+
+/**
+ * Renders an activity's altitude-over-distance profile into a PNG, for
+ * posts where the route map alone says little about the terrain (trail
+ * runs, hill repeats). The chart is drawn as SVG and rasterized with sharp,
+ * like MapRenderer's overlay. See `config.elevationProfile`.
+ */
+class ElevationProfileRenderer {
+  /**
+   * Render an elevation profile PNG.
+   *
+   * Never throws — a failed render is logged and results in `null` so a
+   * chart can never break activity posting.
+   *
+   * @param {{distance: number[], altitude: number[]}} profile - parallel
+   *   streams in metres, as attached by processActivityData
+   * @param {Object} [options]
+   * @param {number} [options.elevationGain] - the activity's total climb;
+   *   below `config.elevationProfile.minGainMetres` no chart is drawn
+   * @returns {Promise<Buffer|null>} PNG buffer sized
+   *   `config.elevationProfile.width` x `config.elevationProfile.height`,
+   *   or `null` if disabled, too flat, or the streams are unusable.
+   */
+  async renderProfile(profile, options = {}) {
+    const { elevationGain } = options;
+    try {
+      const { enabled, width, height, minGainMetres } = config.elevationProfile;
+      if (!enabled || !profile) return null;
+      if (Number.isFinite(elevationGain) && elevationGain < minGainMetres) return null;
+
+      const points = ElevationProfileRenderer.toPoints(profile.distance, profile.altitude);
+      if (points.length < 2 || points[points.length - 1][0] <= 0) {
+        logger.map.debug('Not enough elevation samples to render a profile', { pointCount: points.length });
+        return null;
+      }
+
+      const svg = this._buildSvg(points, width, height);
+      return await sharp(Buffer.from(svg)).png().toBuffer();
+    } catch (error) {
+      logger.map.error('Failed to render elevation profile', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Pair up distance/altitude samples, dropping invalid ones, forcing
+   * distance to be non-decreasing (GPS jitter) and downsampling to
+   * `maxPoints` while keeping the first and last samples.
+   *
+   * @param {number[]} distance - metres from the start
+   * @param {number[]} altitude - metres
+   * @param {number} [maxPoints]
+   * @returns {Array<[number, number]>} `[distance, altitude]` pairs, or []
+   */
+  static toPoints(distance, altitude, maxPoints = MAX_POINTS) {
+    if (!Array.isArray(distance) || !Array.isArray(altitude)) return [];
+
+    const valid = [];
+    const length = Math.min(distance.length, altitude.length);
+    for (let i = 0; i < length; i++) {
+      if (!Number.isFinite(distance[i]) || !Number.isFinite(altitude[i])) continue;
+      const previous = valid.length > 0 ? valid[valid.length - 1][0] : distance[i];
+      valid.push([Math.max(distance[i], previous), altitude[i]]);
+    }
+
+    if (valid.length < 2 || valid.length <= maxPoints) return valid.length < 2 ? [] : valid;
+
+    const stride = (valid.length - 1) / (maxPoints - 1);
+    const result = [];
+    for (let i = 0; i < maxPoints; i++) {
+      result.push(valid[Math.round(i * stride)]);
+    }
+    return result;
+  }
+
+  /**
+   * Build the chart: a filled altitude area with its outline, horizontal
+   * gridlines at the low/high altitude, and distance ticks along the bottom.
+   *
+   * @param {Array<[number, number]>} points - from {@link toPoints}
+   * @param {number} width
+   * @param {number} height
+   * @returns {string}
+   */
+  _buildSvg(points, width, height) {
+    const plotW = width - MARGIN.left - MARGIN.right;
+    const plotH = height - MARGIN.top - MARGIN.bottom;
+
+    const totalDistance = points[points.length - 1][0];
+    const altitudes = points.map(([, altitude]) => altitude);
+    const minAlt = Math.min(...altitudes);
+    const maxAlt = Math.max(...altitudes);
+    const span = Math.max(maxAlt - minAlt, MIN_ALTITUDE_SPAN_M);
+    const floor = (minAlt + maxAlt) / 2 - span / 2;
+
+    const x = (distance) => round1(MARGIN.left + (distance / totalDistance) * plotW);
+    const y = (altitude) => round1(MARGIN.top + plotH - ((altitude - floor) / span) * plotH);
+    const bottom = MARGIN.top + plotH;
+
+    const line = points.map(([distance, altitude]) => `${x(distance)},${y(altitude)}`).join(' ');
+    const area = `${MARGIN.left},${bottom} ${line} ${x(totalDistance)},${bottom}`;
+
+    const altitudeLabels = [maxAlt, minAlt].map(altitude => `
+  <line x1="${MARGIN.left}" y1="${y(altitude)}" x2="${width - MARGIN.right}" y2="${y(altitude)}" stroke="${GRID_COLOR}" stroke-width="1" />
+  <text x="${MARGIN.left - 6}" y="${y(altitude) + 4}" ${labelAttrs('end')}>${Math.round(altitude)} m</text>`).join('');
+
+    const distanceLabels = ElevationProfileRenderer.distanceTicks(totalDistance).map(km => `
+  <text x="${x(km * 1000)}" y="${height - 8}" ${labelAttrs('middle')}>${km} km</text>`).join('');
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+  <rect width="${width}" height="${height}" fill="${BACKGROUND_COLOR}" />${altitudeLabels}
+  <polygon points="${area}" fill="${LINE_COLOR}" fill-opacity="${AREA_OPACITY}" />
+  <polyline points="${line}" fill="none" stroke="${LINE_COLOR}" stroke-width="${LINE_WIDTH}" stroke-linejoin="round" />${distanceLabels}
+</svg>`;
+  }
+
+  /**
+   * Distance-axis tick positions in km: the smallest step from
+   * DISTANCE_STEPS_KM that keeps at most MAX_DISTANCE_TICKS labels.
+   *
+   * @param {number} totalDistance - metres
+   * @returns {number[]}
+   */
+  static distanceTicks(totalDistance) {
+    const totalKm = totalDistance / 1000;
+    const step = DISTANCE_STEPS_KM.find(s => totalKm / s < MAX_DISTANCE_TICKS)
+      ?? DISTANCE_STEPS_KM[DISTANCE_STEPS_KM.length - 1];
+
+    const ticks = [];
+    for (let km = 0; km <= totalKm; km += step) {
+      ticks.push(Math.round(km * 10) / 10);
+    }
+    return ticks;
+  }
+}
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function labelAttrs(anchor) {
+  return `font-size="${LABEL_FONT_SIZE}" font-family="${LABEL_FONT_FAMILY}" fill="${LABEL_COLOR}" text-anchor="${anchor}"`;
+}
+
+module.exports = ElevationProfileRenderer;
+
+// Module-level singleton for EmbedBuilder, mirroring MapRenderer.instance.
+ElevationProfileRenderer.instance = new ElevationProfileRenderer();
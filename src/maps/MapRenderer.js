@@ -75,16 +75,25 @@ class MapRenderer {
    * @param {boolean} [options.poweredByStrava=false] - composite the
    *   "Powered by Strava" logo onto the map. Set only for activities whose
    *   data actually came from Strava — never for other providers.
+   * @param {Array<{lat: number, lon: number, radius: number}>} [options.privacyZones]
+   *   the member's privacy circles; the route inside them is not drawn.
+   *   Without any, the first and last `config.map.privacyTrimMetres` are
+   *   trimmed instead.
    * @returns {Promise<Buffer|null>} PNG buffer sized `config.map.width` x
    *   `config.map.height`, or `null` if the route couldn't be rendered.
    */
   async renderRoute(encodedPolyline, options = {}) {
-    const { poweredByStrava = false } = options;
+    const { poweredByStrava = false, privacyZones = [] } = options;
     try {
       if (!config.map.enabled || !encodedPolyline) return null;
 
+      // Hide the private ends of the route on the full-resolution points,
+      // before downsampling can move a kept point closer to home.
       const decoded = PolylineUtils.decodePolyline(encodedPolyline);
-      const points = PolylineUtils.filterAndDownsampleLatLng(decoded, 150);
+      const visible = privacyZones.length > 0
+        ? PolylineUtils.clipPrivacyZones(decoded, privacyZones)
+        : PolylineUtils.trimEnds(decoded, config.map.privacyTrimMetres);
+      const points = PolylineUtils.filterAndDownsampleLatLng(visible, 150);
       if (points.length < 2) {
         logger.map.warn('Not enough valid GPS points to render a route map', {
           pointCount: points.length,
@@ -0,0 +1,142 @@
+const sharp = require('sharp');
+const logger = require('../utils/Logger');
+const ActivityFormatter = require('../utils/ActivityFormatter');
+const { TIME } = require('../constants');
+
+// Chart styling, matching ElevationProfileRenderer.
+const WIDTH = 600;
+const HEIGHT = 260;
+const BACKGROUND_COLOR = '#ffffff';
+const GRID_COLOR = '#e0e0e0';
+const LINE_COLOR = '#D4AF37'; // the gold of the /pb embeds
+const LINE_WIDTH = 2;
+const POINT_RADIUS = 4;
+const LABEL_COLOR = '#555555';
+const LABEL_FONT_SIZE = 11;
+
+// Same face as the map attribution — see the note in MapRenderer.
+const LABEL_FONT_FAMILY = 'DejaVu Sans, sans-serif';
+
+// Plot area insets: room for time labels on the left and date labels
+// underneath. The right inset keeps the last point clear of the edge.
+const MARGIN = { top: 14, right: 20, bottom: 24, left: 58 };
+
+// A few seconds between the first and last record shouldn't fill the whole
+// chart height, so the time axis always spans at least this much.
+const MIN_TIME_SPAN_S = 30;
+
+/**
+ * Renders a member's PB progression for one category into a PNG for
+ * `/pb history`: every record as a point, joined by a step line since a
+ * record stands until the next one beats it. Faster times are drawn higher,
+ * so improvement reads as going up. Drawn as SVG and rasterized with sharp,
+ * like ElevationProfileRenderer.
+ */
+class PBProgressionRenderer {
+  /**
+   * Render a progression chart PNG.
+   *
+   * Never throws — a failed render is logged and results in `null`, and the
+   * command still shows the timeline.
+   *
+   * @param {Array<{activity_date: string, elapsed_time: number}>} history -
+   *   pb_history rows, oldest first
+   * @returns {Promise<Buffer|null>} PNG buffer, or `null` with fewer than
+   *   two records (nothing to chart)
+   */
+  async renderProgression(history) {
+    try {
+      const points = PBProgressionRenderer.toPoints(history);
+      if (points.length < 2) return null;
+
+      const svg = this._buildSvg(points, WIDTH, HEIGHT);
+      return await sharp(Buffer.from(svg)).png().toBuffer();
+    } catch (error) {
+      logger.map.error('Failed to render PB progression', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Turn history rows into `[timestamp, seconds]` pairs, dropping rows with
+   * an unreadable date or time.
+   *
+   * @param {Array} history
+   * @returns {Array<[number, number]>}
+   */
+  static toPoints(history) {
+    if (!Array.isArray(history)) return [];
+
+    return history
+      .map(entry => [Date.parse(`${entry.activity_date}T00:00:00Z`), entry.elapsed_time])
+      .filter(([date, seconds]) => Number.isFinite(date) && Number.isFinite(seconds) && seconds > 0)
+      .sort((a, b) => a[0] - b[0]);
+  }
+
+  /**
+   * Build the chart: gridlines at the slowest and fastest time, a step line
+   * through the records with a dot on each, and the first and last dates
+   * along the bottom.
+   *
+   * @param {Array<[number, number]>} points - from {@link toPoints}
+   * @param {number} width
+   * @param {number} height
+   * @returns {string}
+   */
+  _buildSvg(points, width, height) {
+    const plotW = width - MARGIN.left - MARGIN.right;
+    const plotH = height - MARGIN.top - MARGIN.bottom;
+
+    const firstDate = points[0][0];
+    const lastDate = points[points.length - 1][0];
+    const dateSpan = Math.max(lastDate - firstDate, TIME.MS_PER_DAY);
+
+    const times = points.map(([, seconds]) => seconds);
+    const slowest = Math.max(...times);
+    const fastest = Math.min(...times);
+    const span = Math.max(slowest - fastest, MIN_TIME_SPAN_S);
+    const ceiling = (slowest + fastest) / 2 + span / 2;
+
+    const x = (date) => round1(MARGIN.left + ((date - firstDate) / dateSpan) * plotW);
+    const y = (seconds) => round1(MARGIN.top + ((ceiling - seconds) / span) * plotH);
+
+    // Horizontal to the next record's date, then down to its time
+    const steps = [];
+    points.forEach(([date, seconds], index) => {
+      if (index > 0) steps.push(`${x(date)},${y(points[index - 1][1])}`);
+      steps.push(`${x(date)},${y(seconds)}`);
+    });
+
+    const timeLabels = [slowest, fastest].map(seconds => `
+  <line x1="${MARGIN.left}" y1="${y(seconds)}" x2="${width - MARGIN.right}" y2="${y(seconds)}" stroke="${GRID_COLOR}" stroke-width="1" />
+  <text x="${MARGIN.left - 6}" y="${y(seconds) + 4}" ${labelAttrs('end')}>${ActivityFormatter.formatTime(seconds)}</text>`).join('');
+
+    const dots = points.map(([date, seconds]) => `
+  <circle cx="${x(date)}" cy="${y(seconds)}" r="${POINT_RADIUS}" fill="${LINE_COLOR}" />`).join('');
+
+    const dateLabels = [[firstDate, 'start'], [lastDate, 'end']].map(([date, anchor]) => `
+  <text x="${x(date)}" y="${height - 8}" ${labelAttrs(anchor)}>${formatDate(date)}</text>`).join('');
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+  <rect width="${width}" height="${height}" fill="${BACKGROUND_COLOR}" />${timeLabels}
+  <polyline points="${steps.join(' ')}" fill="none" stroke="${LINE_COLOR}" stroke-width="${LINE_WIDTH}" stroke-linejoin="round" />${dots}${dateLabels}
+</svg>`;
+  }
+}
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function formatDate(timestamp) {
+  return new Date(timestamp).toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+}
+
+function labelAttrs(anchor) {
+  return `font-size="${LABEL_FONT_SIZE}" font-family="${LABEL_FONT_FAMILY}" fill="${LABEL_COLOR}" text-anchor="${anchor}"`;
+}
+
+module.exports = PBProgressionRenderer;
+
+// Module-level singleton, mirroring ElevationProfileRenderer.instance.
+PBProgressionRenderer.instance = new PBProgressionRenderer();
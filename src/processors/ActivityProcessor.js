@@ -3,15 +3,20 @@ const IntervalsAPI = require('../intervals/api');
 const DiscordBot = require('../discord/bot');
 const DatabaseMemberManager = require('../database/DatabaseMemberManager');
 const ActivityQueue = require('../managers/ActivityQueue');
+const RetryQueue = require('../managers/RetryQueue');
 const Scheduler = require('../managers/Scheduler');
 const RaceManager = require('../managers/RaceManager');
 const PBManager = require('../managers/PBManager');
 const LeaderboardManager = require('../managers/LeaderboardManager');
+const ChallengeManager = require('../managers/ChallengeManager');
+const PreferencesManager = require('../managers/PreferencesManager');
+const OutboundWebhookManager = require('../managers/OutboundWebhookManager');
+const ActivityEmbedBuilder = require('../utils/EmbedBuilder');
 const BestEffortCalculator = require('../utils/BestEffortCalculator');
 const config = require('../../config/config');
 const dynamicConfig = require('../../config/dynamicConfig');
 const logger = require('../utils/Logger');
-const { TIME } = require('../constants');
+const { TIME, ACTIVITY_OUTCOME, OUTBOUND_WEBHOOK } = require('../constants');
 
 class ActivityProcessor {
   constructor() {
@@ -20,7 +25,7 @@ class ActivityProcessor {
     this.memberManager = new DatabaseMemberManager();
     this.discordBot = new DiscordBot(this); // Pass this instance to Discord bot
     this.activityQueue = new ActivityQueue(this); // Activity queue for delayed posting
-    this.processedActivities = new Set(); // Prevent duplicate processing
+    this.retryQueue = new RetryQueue(this); // Backoff retries for failed activities
     
     // Initialize race management and scheduler
     this.raceManager = new RaceManager();
@@ -29,6 +34,15 @@ class ActivityProcessor {
 
     // Initialize PB manager
     this.pbManager = new PBManager();
+
+    // Team challenges, moved forward by every saved activity
+    this.challengeManager = new ChallengeManager();
+
+    // Per-member posting preferences (sports, hidden details, pause)
+    this.preferencesManager = new PreferencesManager();
+
+    // Signed event payloads for third-party integrations
+    this.webhookManager = new OutboundWebhookManager();
   }
 
   async initialize() {
@@ -51,9 +65,10 @@ class ActivityProcessor {
       await this.discordBot.start();
       logger.activity.info('Discord bot started');
 
-      // Start activity queue processor
-      logger.activity.info('Activity queue ready (no startup required)');
-      // Note: ActivityQueue doesn't need to be started, it processes activities on-demand
+      // Bring back activities that were waiting out the posting delay when we
+      // last stopped; needs the database and a started Discord bot
+      logger.activity.info('Restoring activity queue...');
+      await this.activityQueue.restore();
 
       // Initialize race scheduler
       logger.activity.info('Initializing race scheduler...');
@@ -77,17 +92,11 @@ class ActivityProcessor {
   }
 
   async processNewActivity(activityId, athleteId) {
-    const activityKey = `${athleteId}-${activityId}`;
-    
-    // Prevent duplicate processing
-    if (this.processedActivities.has(activityKey)) {
-      logger.activityProcessing(activityId, athleteId, 'DUPLICATE', 'SKIPPED', {
-        reason: 'Already processed'
-      });
-      return;
-    }
-
     try {
+      // Prevent duplicate processing, across restarts too: webhooks get
+      // replayed and processRecentActivities looks back a whole day
+      if (await this.wasProcessed('strava', activityId, athleteId)) return;
+
       logger.activityProcessing(activityId, athleteId, 'PROCESSING', 'STARTED');
 
       // Check if athlete is a registered member
@@ -96,6 +105,9 @@ class ActivityProcessor {
         logger.activityProcessing(activityId, athleteId, 'NOT_MEMBER', 'SKIPPED', {
           reason: 'Athlete not registered as member'
         });
+        // The member may have left while a retry was pending; nothing
+        // will post this activity now, so stop the retry job re-running it.
+        await this.retryQueue.clear(activityId);
         return;
       }
 
@@ -107,6 +119,7 @@ class ActivityProcessor {
         logger.activityProcessing(activityId, athleteId, 'NON_STRAVA_MEMBER', 'SKIPPED', {
           provider: member.provider
         });
+        await this.retryQueue.clear(activityId);
         return;
       }
 
@@ -124,6 +137,9 @@ class ActivityProcessor {
         logger.activityProcessing(activityId, athleteId, memberName, 'FAILED', {
           reason: 'Unable to get valid access token'
         });
+        await this.recordOutcome('strava', activityId, athleteId, ACTIVITY_OUTCOME.FAILED, 'Unable to get valid access token');
+        // Token refreshes fail during Strava outages too, so this is retried
+        await this.retryQueue.scheduleRetry(activityId, athleteId, new Error('Unable to get valid access token'));
         return;
       }
 
@@ -158,7 +174,8 @@ class ActivityProcessor {
         logger.activityProcessing(activityId, athleteId, 'CROSS_PROVIDER_DUPLICATE', 'SKIPPED', {
           duplicateOf: duplicate.strava_activity_id
         });
-        this.processedActivities.add(activityKey);
+        await this.recordOutcome('strava', activityId, athleteId, ACTIVITY_OUTCOME.DUPLICATE,
+          `Same run as activity ${duplicate.strava_activity_id}`);
         return;
       }
 
@@ -175,12 +192,16 @@ class ActivityProcessor {
 
       // Now decide whether to broadcast the activity to Discord. PBs above
       // were already recorded regardless of this decision.
-      if (!this.stravaAPI.shouldPostActivity(activity)) {
+      const preferences = await this.preferencesManager.getPreferences(athleteId);
+      const filterReason = this.getPostingFilterReason(this.stravaAPI, activity, preferences);
+      if (filterReason) {
         logger.activityProcessing(activityId, athleteId, activity.name, 'FILTERED', {
-          reason: 'Activity filtered by posting rules',
+          reason: filterReason,
           pbsRecorded: pbResults.filter(r => r.isNewPB).length,
         });
-        this.processedActivities.add(activityKey);
+        await this.recordOutcome('strava', activityId, athleteId, ACTIVITY_OUTCOME.FILTERED, filterReason);
+        await this.linkRaceResult('strava', athleteId, member, activity);
+        await this.updateChallengeProgress(athleteId, activity);
         return;
       }
 
@@ -189,14 +210,24 @@ class ActivityProcessor {
         ...member.athlete,
         discordUser: member.discordUser
       };
-      const processedActivity = await this.stravaAPI.processActivityWithStreams(activity, athleteWithDiscordInfo, accessToken);
+      const processedActivity = this.preferencesManager.applyPrivacy(
+        await this.stravaAPI.processActivityWithStreams(activity, athleteWithDiscordInfo, accessToken),
+        preferences
+      );
       processedActivity.pbResults = pbResults;
 
       // Post to Discord
-      await this.discordBot.postActivity(processedActivity);
+      const message = await this.discordBot.postActivity(processedActivity);
+      await this.recordActivityPost(message, athleteId, activity, 'strava');
 
       // Mark as processed
-      this.processedActivities.add(activityKey);
+      await this.recordOutcome('strava', activityId, athleteId, ACTIVITY_OUTCOME.POSTED);
+
+      await this.publishActivity('strava', member, processedActivity, message);
+      await this.pbManager.publishNewPBs(member, pbResults);
+      await this.announceClubRecords(athleteId, activity, pbResults);
+      await this.linkRaceResult('strava', athleteId, member, activity, { announce: true });
+      await this.updateChallengeProgress(athleteId, activity);
       
       logger.activityProcessing(activityId, athleteId, activity.name, 'COMPLETED', {
         memberName,
@@ -210,8 +241,9 @@ class ActivityProcessor {
         stack: error.stack,
         responseStatus: error.response?.status
       });
+      await this.recordOutcome('strava', activityId, athleteId, ACTIVITY_OUTCOME.FAILED, error.message);
       
-      // If it's an authentication error, try to refresh the token
+      // If it's an authentication error, refresh the token before the retry
       if (error.response && error.response.status === 401) {
         logger.activity.info('Attempting token refresh for authentication error', {
           activityId,
@@ -222,13 +254,10 @@ class ActivityProcessor {
           const member = await this.memberManager.getMemberByAthleteId(athleteId);
           if (member) {
             await this.memberManager.refreshMemberToken(member);
-            logger.activity.info('Token refreshed, retrying activity processing', {
+            logger.activity.info('Token refreshed, activity will be retried', {
               activityId,
               athleteId
             });
-            
-            // Retry processing once with new token
-            setTimeout(() => this.processNewActivity(activityId, athleteId), 1000);
           }
         } catch (refreshError) {
           logger.activity.error('Failed to refresh token during activity processing', {
@@ -238,6 +267,8 @@ class ActivityProcessor {
           });
         }
       }
+
+      await this.retryQueue.scheduleRetry(activityId, athleteId, error);
     }
   }
 
@@ -254,7 +285,7 @@ class ActivityProcessor {
 
   // Handle activity updates during delay period
   async updateQueuedActivity(activityId, athleteId, webhookData = {}) {
-    const wasUpdated = this.activityQueue.updateQueuedActivity(activityId, athleteId, webhookData);
+    const wasUpdated = await this.activityQueue.updateQueuedActivity(activityId, athleteId, webhookData);
     
     if (wasUpdated) {
       logger.activity.info('Updated queued activity with new data', {
@@ -267,13 +298,20 @@ class ActivityProcessor {
         activityId,
         athleteId
       });
-      
+
+      // Already posted: bring the Discord message in line with Strava
+      const posts = await this.memberManager.databaseManager.getActivityPosts(activityId);
+      if (posts.length > 0) {
+        return this.refreshPostedActivity(activityId, athleteId, posts);
+      }
+
       // Check if already processed
-      const activityKey = `${athleteId}-${activityId}`;
-      if (this.processedActivities.has(activityKey)) {
+      const previous = await this.memberManager.databaseManager.getActivityOutcome(activityId, 'strava');
+      if (previous && previous.outcome !== ACTIVITY_OUTCOME.FAILED) {
         logger.activity.debug('Activity already processed, ignoring update', {
           activityId,
-          athleteId
+          athleteId,
+          outcome: previous.outcome
         });
         return;
       }
@@ -283,9 +321,13 @@ class ActivityProcessor {
     }
   }
 
-  // Handle activity deletions during delay period
+  // Handle activity deletions: drop it from the queue if it wasn't posted
+  // yet, otherwise delete its Discord message. Either way the activities row
+  // goes too, so leaderboards and challenges stop counting it. A message that
+  // couldn't be deleted keeps its activity_posts row, so it can still be found.
   async removeQueuedActivity(activityId, athleteId) {
     const wasRemoved = this.activityQueue.removeFromQueue(activityId);
+    await this.retryQueue.clear(activityId);
     
     if (wasRemoved) {
       logger.activity.info('Removed deleted activity from queue', {
@@ -298,6 +340,114 @@ class ActivityProcessor {
         athleteId
       });
     }
+
+    const databaseManager = this.memberManager.databaseManager;
+    let messagesDeleted = 0;
+    let posts = [];
+    const keepMessageIds = [];
+    try {
+      posts = await databaseManager.getActivityPosts(activityId);
+    } catch (error) {
+      logger.activity.error('Failed to load Discord posts of deleted activity', {
+        activityId,
+        athleteId,
+        error: error.message
+      });
+    }
+    for (const post of posts) {
+      try {
+        if (await this.discordBot.deleteActivityPost(post)) messagesDeleted++;
+      } catch (error) {
+        keepMessageIds.push(post.discord_message_id);
+        logger.activity.error('Failed to delete Discord post of deleted activity', {
+          activityId,
+          athleteId,
+          messageId: post.discord_message_id,
+          error: error.message
+        });
+      }
+    }
+
+    // Even if the message couldn't be deleted, the run must stop counting
+    try {
+      const deleted = await databaseManager.deleteActivity(activityId, { keepMessageIds });
+      if (messagesDeleted > 0 || deleted) {
+        logger.activityProcessing(activityId, athleteId, 'DELETED', 'REMOVED', {
+          messagesDeleted,
+          activityRowDeleted: deleted
+        });
+      }
+    } catch (error) {
+      logger.activity.error('Failed to delete activity from DB', {
+        activityId,
+        athleteId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Re-render an already posted Strava activity after an update webhook
+   * (new title, description, type, visibility...) and edit its messages.
+   * If the activity may no longer be posted — made private, hidden, or
+   * switched to a sport the member muted — the messages are deleted instead.
+   * A posting pause only holds back new posts, so it is ignored here.
+   * @param {string|number} activityId
+   * @param {number} athleteId
+   * @param {Array<Object>} posts - activity_posts rows for the activity
+   */
+  async refreshPostedActivity(activityId, athleteId, posts) {
+    try {
+      const member = await this.memberManager.getMemberByAthleteId(athleteId);
+      const accessToken = member && await this.memberManager.getValidAccessToken(member);
+      if (!accessToken) {
+        logger.activityProcessing(activityId, athleteId, 'UNKNOWN', 'FAILED', {
+          reason: 'Unable to refresh posted activity: no valid access token'
+        });
+        return;
+      }
+
+      const activity = await this.stravaAPI.getActivity(activityId, accessToken);
+      await this.memberManager.databaseManager.upsertActivity(athleteId, activity, 'strava');
+
+      const preferences = await this.preferencesManager.getPreferences(athleteId);
+      const filterReason = this.stravaAPI.shouldPostActivity(activity, { skipAgeFilter: true })
+        ? this.preferencesManager.shouldPost({ ...preferences, pausedUntil: null }, activity).reason
+        : 'Activity filtered by posting rules';
+      if (filterReason) {
+        await this.deleteActivityPosts(posts);
+        await this.recordOutcome('strava', activityId, athleteId, ACTIVITY_OUTCOME.FILTERED, filterReason);
+        logger.activityProcessing(activityId, athleteId, activity.name, 'UNPOSTED', { reason: filterReason });
+        return;
+      }
+
+      const processedActivity = this.preferencesManager.applyPrivacy(
+        await this.stravaAPI.processActivityWithStreams(activity, { ...member.athlete, discordUser: member.discordUser }, accessToken),
+        preferences
+      );
+      processedActivity.pbResults = await this.pbManager.getHeldPBResults(athleteId, activityId);
+
+      for (const post of posts) {
+        await this.discordBot.editActivityPost(post, processedActivity);
+      }
+
+      logger.activityProcessing(activityId, athleteId, activity.name, 'EDITED', { messages: posts.length });
+    } catch (error) {
+      logger.activityProcessing(activityId, athleteId, 'UNKNOWN', 'FAILED', {
+        reason: 'Unable to refresh posted activity',
+        error: error.message
+      });
+    }
+  }
+
+  // Delete an activity's Discord messages, then forget them and their kudos
+  async deleteActivityPosts(posts) {
+    if (posts.length === 0) return;
+
+    for (const post of posts) {
+      await this.discordBot.deleteActivityPost(post);
+    }
+    await this.memberManager.databaseManager.deleteActivityPosts(posts[0].activity_id);
   }
 
   // Process recent activities for all members (useful for initial sync or recovery)
@@ -371,7 +521,7 @@ class ActivityProcessor {
   // start (a long run started hours ago, or a watch that syncs late), so a
   // window based on "time since last poll" can miss activities that started
   // before the watermark but only just synced. Instead we always look back
-  // a fixed 40 hours and rely on the DB + in-memory dedup in
+  // a fixed 40 hours and rely on the processed_activities ledger in
   // processIntervalsActivity to skip anything already handled. 40h = the 24h
   // posting age-filter window plus margin for intervals.icu interpreting the
   // `oldest` param in the athlete's local time (a negative UTC offset would
@@ -432,25 +582,11 @@ class ActivityProcessor {
 
   async processIntervalsActivity(activity, member, apiKey) {
     const athleteId = member.athleteId;
-    const activityKey = `${athleteId}-${activity.id}`;
-
-    if (this.processedActivities.has(activityKey)) {
-      logger.activityProcessing(activity.id, athleteId, 'DUPLICATE', 'SKIPPED', {
-        reason: 'Already processed'
-      });
-      return;
-    }
 
     try {
-      // Restart-safe dedup: intervals.icu ids are 'i'-prefixed strings so they
-      // can never collide with Strava's numeric activity ids in this table.
-      // A DB row is only ever written once an activity is fully handled
-      // (filtered-out or successfully posted) — see below — so its presence
-      // here reliably means "nothing left to do."
-      if (await this.memberManager.databaseManager.getActivityById(activity.id)) {
-        this.processedActivities.add(activityKey);
-        return;
-      }
+      // Every poll sees the last 40 hours again, so most activities here were
+      // handled by an earlier poll. Failed ones are retried.
+      if (await this.wasProcessed('intervals', activity.id, athleteId)) return;
 
       // Cross-provider duplicate check: this same physical run may already
       // have a row under its Strava id (e.g. posted before this member
@@ -460,10 +596,11 @@ class ActivityProcessor {
         athleteId, activity.start_date_local, activity.id, 'intervals'
       );
       if (duplicate) {
-        this.processedActivities.add(activityKey);
         logger.activityProcessing(activity.id, athleteId, 'CROSS_PROVIDER_DUPLICATE', 'SKIPPED', {
           duplicateOf: duplicate.strava_activity_id
         });
+        await this.recordOutcome('intervals', activity.id, athleteId, ACTIVITY_OUTCOME.DUPLICATE,
+          `Same run as activity ${duplicate.strava_activity_id}`);
         return;
       }
 
@@ -500,26 +637,34 @@ class ActivityProcessor {
         }
       }
 
-      if (!this.intervalsAPI.shouldPostActivity(activity)) {
+      const preferences = await this.preferencesManager.getPreferences(athleteId);
+      const filterReason = this.getPostingFilterReason(this.intervalsAPI, activity, preferences);
+      if (filterReason) {
         await this.memberManager.databaseManager.upsertActivity(athleteId, activity, 'intervals');
-        this.processedActivities.add(activityKey);
+        await this.recordOutcome('intervals', activity.id, athleteId, ACTIVITY_OUTCOME.FILTERED, filterReason);
         logger.activityProcessing(activity.id, athleteId, activity.name, 'FILTERED', {
-          reason: 'Activity filtered by posting rules',
+          reason: filterReason,
           pbsRecorded: pbResults.filter(r => r.isNewPB).length,
         });
+        await this.linkRaceResult('intervals', athleteId, member, activity);
+        await this.updateChallengeProgress(athleteId, activity);
         return;
       }
 
-      const processedActivity = this.intervalsAPI.processActivityData(activity, {
-        ...member.athlete,
-        discordUser: member.discordUser
-      }, streams);
+      const processedActivity = this.preferencesManager.applyPrivacy(
+        this.intervalsAPI.processActivityData(activity, {
+          ...member.athlete,
+          discordUser: member.discordUser
+        }, streams),
+        preferences
+      );
       processedActivity.pbResults = pbResults;
 
       // Post before persisting: if postActivity throws, we must NOT upsert
-      // or mark as processed, so the next poll retries it instead of
+      // or record it as posted, so the next poll retries it instead of
       // silently dropping it forever.
-      await this.discordBot.postActivity(processedActivity);
+      const message = await this.discordBot.postActivity(processedActivity);
+      await this.recordActivityPost(message, athleteId, activity, 'intervals');
 
       try {
         await this.memberManager.databaseManager.upsertActivity(athleteId, activity, 'intervals');
@@ -530,7 +675,13 @@ class ActivityProcessor {
         });
       }
 
-      this.processedActivities.add(activityKey);
+      await this.recordOutcome('intervals', activity.id, athleteId, ACTIVITY_OUTCOME.POSTED);
+
+      await this.publishActivity('intervals', member, processedActivity, message);
+      await this.pbManager.publishNewPBs(member, pbResults);
+      await this.announceClubRecords(athleteId, activity, pbResults);
+      await this.linkRaceResult('intervals', athleteId, member, activity, { announce: true });
+      await this.updateChallengeProgress(athleteId, activity);
 
       logger.activityProcessing(activity.id, athleteId, activity.name, 'COMPLETED', {
         activityType: activity.type,
@@ -541,24 +692,190 @@ class ActivityProcessor {
         error: error.message,
         stack: error.stack
       });
+      await this.recordOutcome('intervals', activity.id, athleteId, ACTIVITY_OUTCOME.FAILED, error.message);
     }
   }
 
-  // Cleanup old processed activity records to prevent memory buildup
-  cleanupProcessedActivities() {
-    const maxSize = 10000; // Keep track of last 10k activities
-    
-    if (this.processedActivities.size > maxSize) {
-      const activitiesArray = Array.from(this.processedActivities);
-      const toKeep = activitiesArray.slice(-Math.floor(maxSize * 0.8)); // Keep 80% of max
-      
-      this.processedActivities.clear();
-      toKeep.forEach(activity => this.processedActivities.add(activity));
-      
-      logger.activity.debug('Cleaned up processed activities cache', {
-        previousSize: maxSize,
-        currentSize: toKeep.length,
-        cleanupRatio: '80%'
+  // Whether the ledger already has a final outcome for this activity, in
+  // which case it is skipped. Failed activities get another go.
+  async wasProcessed(provider, activityId, athleteId) {
+    const previous = await this.memberManager.databaseManager.getActivityOutcome(activityId, provider);
+    if (!previous || previous.outcome === ACTIVITY_OUTCOME.FAILED) return false;
+
+    logger.activityProcessing(activityId, athleteId, 'DUPLICATE', 'SKIPPED', {
+      reason: 'Already processed',
+      outcome: previous.outcome
+    });
+    return true;
+  }
+
+  // Write the outcome to the processed_activities ledger. Non-blocking: the
+  // activity has already been posted (or deliberately not), and throwing
+  // here would fail an activity that actually went through. Any outcome but
+  // a failure also ends the activity's retries.
+  async recordOutcome(provider, activityId, athleteId, outcome, reason = null) {
+    try {
+      await this.memberManager.databaseManager.recordActivityOutcome({
+        provider, activityId, athleteId, outcome, reason,
+      });
+    } catch (error) {
+      logger.activity.error('Failed to record activity outcome (non-blocking)', {
+        activityId,
+        athleteId,
+        outcome,
+        error: error.message,
+      });
+    }
+
+    if (provider === 'strava' && outcome !== ACTIVITY_OUTCOME.FAILED) {
+      await this.retryQueue.clear(activityId);
+    }
+  }
+
+  // Why an activity stays off Discord, or null to post it: the provider's
+  // global rules first (privacy flags, age, minimum size), then the member's
+  // own /preferences (muted sports, pause).
+  getPostingFilterReason(api, activity, preferences) {
+    if (!api.shouldPostActivity(activity)) {
+      return 'Activity filtered by posting rules';
+    }
+
+    const decision = this.preferencesManager.shouldPost(preferences, activity);
+    return decision.post ? null : decision.reason;
+  }
+
+  // Remember which Discord message shows the activity so reactions on it
+  // count as kudos. Non-blocking: the activity is already posted, and
+  // throwing here would make the caller retry and post it twice.
+  async recordActivityPost(message, athleteId, activity, provider) {
+    if (!message) return;
+
+    try {
+      await this.memberManager.databaseManager.recordActivityPost({
+        messageId: message.id,
+        channelId: message.channelId,
+        guildId: message.guildId,
+        activityId: activity.id,
+        athleteId,
+        provider,
+      });
+    } catch (error) {
+      logger.activity.error('Failed to record activity post (non-blocking)', {
+        activityId: activity?.id,
+        athleteId,
+        error: error.message,
+      });
+    }
+  }
+
+  // Send a just-posted activity to the outbound webhooks. The details are
+  // the posted ones, so heart rate and pace a member hides stay hidden, and
+  // the route is never sent. dispatch() never throws.
+  async publishActivity(provider, member, processedActivity, message) {
+    await this.webhookManager.dispatch(OUTBOUND_WEBHOOK.EVENTS.ACTIVITY_POSTED, {
+      member: OutboundWebhookManager.memberToJSON(member),
+      activity: {
+        id: String(processedActivity.id),
+        provider,
+        name: processedActivity.name,
+        type: processedActivity.type,
+        startDate: processedActivity.start_date,
+        startDateLocal: processedActivity.start_date_local,
+        timezone: processedActivity.timezone ?? null,
+        distanceM: processedActivity.distance,
+        movingTimeS: processedActivity.moving_time,
+        elapsedTimeS: processedActivity.elapsed_time,
+        elevationGainM: processedActivity.total_elevation_gain ?? null,
+        averageSpeedMps: processedActivity.average_speed ?? null,
+        averageHeartrate: processedActivity.average_heartrate ?? null,
+        maxHeartrate: processedActivity.max_heartrate ?? null,
+        isRace: Boolean(processedActivity.isRace),
+        url: provider === 'strava'
+          ? `https://www.strava.com/activities/${processedActivity.id}`
+          : this.intervalsAPI.activityUrl(processedActivity.id),
+      },
+      discordMessageUrl: message?.url ?? null,
+    });
+  }
+
+  // Announce the club records a just-posted activity's new PBs broke. Only
+  // posted activities are announced: a private or filtered run must not
+  // surface in the channel this way. Best-effort like PB detection, so this
+  // never throws.
+  async announceClubRecords(athleteId, activity, pbResults) {
+    try {
+      const events = await this.pbManager.checkClubRecords(athleteId, pbResults);
+      if (events.length === 0) return;
+
+      const channel = await this.discordBot.getChannel();
+      if (!channel) return;
+
+      for (const event of events) {
+        await channel.send({ embeds: [ActivityEmbedBuilder.buildClubRecordEmbed(event)] });
+      }
+    } catch (error) {
+      logger.activity.error('Club record announcement failed (non-blocking)', {
+        activityId: activity?.id,
+        athleteId,
+        error: error.message,
+      });
+    }
+  }
+
+  // Complete the member's registered race when this run is it (same day,
+  // matching distance, or flagged as a race on Strava) and, with `announce`,
+  // post the result. Only posted activities announce: a private or filtered
+  // run still completes the race but stays out of the channel and of the
+  // outbound webhooks. Best-effort
+  // like PB detection, so this never throws.
+  async linkRaceResult(provider, athleteId, member, activity, { announce = false } = {}) {
+    try {
+      // intervals.icu has no race flag, so its runs match on distance only
+      const isRace = provider === 'strava' && this.stravaAPI.isRaceActivity(activity);
+      const result = await this.raceManager.linkActivity(athleteId, member.discordUserId, activity, { isRace, publish: announce });
+      if (!result || !announce) return;
+
+      const channel = await this.discordBot.getChannel();
+      if (!channel) return;
+
+      const runner = {
+        discordUserId: member.discordUserId,
+        name: member.discordUser?.displayName || `${member.athlete?.firstname || ''} ${member.athlete?.lastname || ''}`.trim(),
+      };
+      const activityUrl = provider === 'strava'
+        ? `https://www.strava.com/activities/${activity.id}`
+        : this.intervalsAPI.activityUrl(activity.id);
+      await channel.send({ embeds: [ActivityEmbedBuilder.buildRaceResultEmbed({ ...result, runner, activityUrl })] });
+    } catch (error) {
+      logger.activity.error('Race result linking failed (non-blocking)', {
+        activityId: activity?.id,
+        athleteId,
+        error: error.message,
+      });
+    }
+  }
+
+  // Move the member's active challenges forward with a just-saved activity
+  // and announce any milestone or completion it crossed. Called once the
+  // activities row is written (posted or filtered alike — a private run still
+  // counts toward the team goal). Best-effort like PB detection: a challenge
+  // failure must never fail the activity itself, so this never throws.
+  async updateChallengeProgress(athleteId, activity) {
+    try {
+      const events = await this.challengeManager.recordActivity(athleteId, activity, this.memberManager);
+      if (events.length === 0) return;
+
+      const channel = await this.discordBot.getChannel();
+      if (!channel) return;
+
+      for (const event of events) {
+        await channel.send({ embeds: [ActivityEmbedBuilder.buildChallengeEventEmbed(event)] });
+      }
+    } catch (error) {
+      logger.activity.error('Challenge progress update failed (non-blocking)', {
+        activityId: activity?.id,
+        athleteId,
+        error: error.message,
       });
     }
   }
@@ -698,9 +1015,12 @@ class ActivityProcessor {
   // Get activity statistics
   async getStats() {
     const queueStats = this.activityQueue.getStats();
+    const activityOutcomes = await this.memberManager.databaseManager.getActivityOutcomeCounts();
     
     return {
-      processedActivities: this.processedActivities.size,
+      processedActivities: Object.values(activityOutcomes).reduce((sum, count) => sum + count, 0),
+      activityOutcomes,
+      retries: await this.retryQueue.getCounts(),
       registeredMembers: await this.memberManager.getMemberCount(),
       uptime: process.uptime(),
       memoryUsage: process.memoryUsage(),
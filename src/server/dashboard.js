@@ -0,0 +1,389 @@
+const express = require('express');
+const config = require('../../config/config');
+const logger = require('../utils/Logger');
+const DashboardAuth = require('./dashboardAuth');
+const DashboardViews = require('./dashboardViews');
+const LeaderboardManager = require('../managers/LeaderboardManager');
+const ActivityFormatter = require('../utils/ActivityFormatter');
+const DateUtils = require('../utils/DateUtils');
+const MapRenderer = require('../maps/MapRenderer');
+const { DASHBOARD, LEADERBOARD_METRICS } = require('../constants');
+
+// Pages may only send the browser back into the dashboard after login
+const RETURN_TO_PATTERN = /^\/dashboard(\/|\?|$)/;
+
+const CONTENT_SECURITY_POLICY = [
+  'default-src \'self\'',
+  'img-src \'self\' https://cdn.discordapp.com',
+  'form-action \'self\'',
+  'frame-ancestors \'none\''
+].join('; ');
+
+/**
+ * Web dashboard mounted at /dashboard: team overview, member profiles with
+ * their PBs, the race calendar and monthly leaderboards. Only members of the
+ * team's Discord server can see it — visitors log in with Discord and the
+ * bot checks that they're in the guild, again every
+ * DASHBOARD.MEMBERSHIP_RECHECK_MS so someone who left loses access.
+ *
+ * Activities follow the same rules as the Discord channel: only posted ones
+ * are listed, pace is hidden for members who hide it and there is no route
+ * map for members who turned maps off.
+ */
+class Dashboard {
+  constructor(activityProcessor, raceManager) {
+    this.activityProcessor = activityProcessor;
+    this.raceManager = raceManager;
+    this.auth = new DashboardAuth();
+    // Discord user ID → ms timestamp of the last successful guild check
+    this.membershipChecks = new Map();
+    // Activity ID → { key, png }, oldest first
+    this.mapCache = new Map();
+    this.router = express.Router();
+    this.setupRoutes();
+  }
+
+  setupRoutes() {
+    this.router.use(this.setSecurityHeaders.bind(this));
+    this.router.use(this.requireConfigured.bind(this));
+
+    this.router.get('/login', this.login.bind(this));
+    this.router.get('/callback', this.callback.bind(this));
+    this.router.post('/logout', this.logout.bind(this));
+
+    const requireLogin = this.requireLogin.bind(this);
+    this.router.get('/', requireLogin, this.showOverview.bind(this));
+    this.router.get('/members/:athleteId', requireLogin, this.showMember.bind(this));
+    this.router.get('/races', requireLogin, this.showRaces.bind(this));
+    this.router.get('/leaderboard', requireLogin, this.showLeaderboard.bind(this));
+    this.router.get('/activities/:activityId/map.png', requireLogin, this.serveRouteMap.bind(this));
+
+    this.router.use((req, res) => {
+      this._sendPage(res, 404, DashboardViews.message('Not found', 'There is nothing at this address.', { user: req.user }));
+    });
+
+    // Express 5 forwards rejected async handlers here
+    this.router.use((error, req, res, _next) => {
+      logger.server.error('Dashboard error', { error: error.message, url: req.originalUrl });
+      this._sendPage(res, 500, DashboardViews.message('Something went wrong', 'The page could not be loaded. Try again in a moment.', { user: req.user }));
+    });
+  }
+
+  // Pages are private to the team: never cached by shared caches, never framed
+  setSecurityHeaders(req, res, next) {
+    res.set('Content-Security-Policy', CONTENT_SECURITY_POLICY);
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.set('Referrer-Policy', 'same-origin');
+    res.set('Cache-Control', 'private, no-store');
+    next();
+  }
+
+  requireConfigured(req, res, next) {
+    if (this.auth.isConfigured()) return next();
+    this._sendPage(res, 503, DashboardViews.message(
+      'Dashboard unavailable',
+      'The dashboard is not set up on this server. An administrator needs to set DISCORD_CLIENT_ID, DISCORD_CLIENT_SECRET and ENCRYPTION_KEY.'
+    ));
+  }
+
+  // Start the Discord login. ?returnTo= is the dashboard page to come back to.
+  login(req, res) {
+    const state = this.auth.createState();
+    const returnTo = RETURN_TO_PATTERN.test(req.query.returnTo ?? '') ? req.query.returnTo : '/dashboard';
+    res.cookie(DASHBOARD.STATE_COOKIE, `${state}|${returnTo}`, this.auth.cookieOptions(DASHBOARD.STATE_TTL_MS));
+    res.redirect(this.auth.getAuthorizationUrl(state));
+  }
+
+  async callback(req, res) {
+    const cookies = DashboardAuth.parseCookies(req.get('Cookie'));
+    const [expectedState, returnTo] = (cookies[DASHBOARD.STATE_COOKIE] ?? '').split('|');
+    res.clearCookie(DASHBOARD.STATE_COOKIE, this.auth.cookieOptions());
+
+    const retry = { href: '/dashboard/login', label: 'Log in with Discord' };
+    if (req.query.error) {
+      return this._sendPage(res, 401, DashboardViews.message('Login cancelled', 'Discord did not log you in.', { action: retry }));
+    }
+    if (!expectedState || typeof req.query.code !== 'string' || req.query.state !== expectedState) {
+      return this._sendPage(res, 400, DashboardViews.message('Login expired', 'This login link is invalid or has expired.', { action: retry }));
+    }
+
+    let user;
+    try {
+      user = await this.auth.fetchUser(req.query.code);
+    } catch {
+      return this._sendPage(res, 502, DashboardViews.message('Login failed', 'Discord could not be reached to log you in.', { action: retry }));
+    }
+
+    if (!await this.activityProcessor.discordBot.isGuildMember(user.id)) {
+      logger.server.warn('Dashboard login refused: not a guild member', { discordUserId: user.id });
+      return this._sendPage(res, 403, DashboardViews.message('Members only', 'The dashboard is only open to members of the team\'s Discord server.'));
+    }
+
+    this.membershipChecks.set(user.id, Date.now());
+    res.cookie(DASHBOARD.SESSION_COOKIE, this.auth.createSession(user), this.auth.cookieOptions(DASHBOARD.SESSION_TTL_MS));
+    logger.server.info('Dashboard login', { discordUserId: user.id });
+    res.redirect(RETURN_TO_PATTERN.test(returnTo ?? '') ? returnTo : '/dashboard');
+  }
+
+  // No automatic redirect to /login afterwards: Discord would log the user
+  // straight back in
+  logout(req, res) {
+    res.clearCookie(DASHBOARD.SESSION_COOKIE, this.auth.cookieOptions());
+    this._sendPage(res, 200, DashboardViews.message('Logged out', 'You have been logged out of the dashboard.', {
+      action: { href: '/dashboard/login', label: 'Log in again' }
+    }));
+  }
+
+  // Sets req.user, or sends the visitor to the Discord login
+  async requireLogin(req, res, next) {
+    const cookies = DashboardAuth.parseCookies(req.get('Cookie'));
+    const user = this.auth.readSession(cookies[DASHBOARD.SESSION_COOKIE]);
+    if (!user) {
+      return res.redirect(`/dashboard/login?${new URLSearchParams({ returnTo: req.originalUrl }).toString()}`);
+    }
+
+    const checkedAt = this.membershipChecks.get(user.id) ?? 0;
+    if (Date.now() - checkedAt > DASHBOARD.MEMBERSHIP_RECHECK_MS) {
+      if (!await this.activityProcessor.discordBot.isGuildMember(user.id)) {
+        this.membershipChecks.delete(user.id);
+        res.clearCookie(DASHBOARD.SESSION_COOKIE, this.auth.cookieOptions());
+        return this._sendPage(res, 403, DashboardViews.message('Members only', 'The dashboard is only open to members of the team\'s Discord server.'));
+      }
+      this.membershipChecks.set(user.id, Date.now());
+    }
+
+    req.user = user;
+    next();
+  }
+
+  async showOverview(req, res) {
+    const members = await this._getMembers();
+    const athleteIds = [...members.keys()];
+    const current = LeaderboardManager.getCurrentMonth();
+
+    const [leaderboard, races, { rows }] = await Promise.all([
+      this.activityProcessor.leaderboardManager.getMonthlyLeaderboard({
+        ...current,
+        memberManager: this.activityProcessor.memberManager
+      }),
+      this.raceManager.getUpcomingRaces(DASHBOARD.RACE_CALENDAR_DAYS),
+      this._databaseManager().getPostedActivities({ athleteIds, limit: DASHBOARD.RECENT_ACTIVITIES })
+    ]);
+
+    const entries = leaderboard.entries.filter(entry => members.has(entry.athleteId));
+    this._sendPage(res, 200, DashboardViews.overview({
+      user: req.user,
+      memberCount: members.size,
+      month: {
+        month: current.month,
+        distance: ActivityFormatter.formatDistance(entries.reduce((sum, entry) => sum + entry.totalDistanceM, 0)),
+        runCount: entries.reduce((sum, entry) => sum + entry.activityCount, 0)
+      },
+      topEntries: this._leaderboardRows(LeaderboardManager.rankBy(entries).slice(0, 5)),
+      races: this._raceRows(races, members).slice(0, DASHBOARD.UPCOMING_RACES),
+      activities: this._activityCards(rows, members),
+      members: [...members.values()]
+        .map(({ member }) => ({ athleteId: member.athleteId, name: LeaderboardManager.memberName(member) }))
+        .sort((a, b) => a.name.localeCompare(b.name))
+    }));
+  }
+
+  async showMember(req, res, next) {
+    const members = await this._getMembers();
+    const athleteId = Number(req.params.athleteId);
+    const visible = members.get(athleteId);
+    if (!visible) return next();
+
+    const [pbs, races, { rows }] = await Promise.all([
+      this.activityProcessor.pbManager.getMemberPBs(athleteId),
+      this.raceManager.getUpcomingRaces(DASHBOARD.RACE_CALENDAR_DAYS),
+      this._databaseManager().getPostedActivities({ athleteIds: [athleteId], limit: DASHBOARD.RECENT_ACTIVITIES })
+    ]);
+
+    this._sendPage(res, 200, DashboardViews.member({
+      user: req.user,
+      member: { athleteId, name: LeaderboardManager.memberName(visible.member) },
+      pbs: pbs.map(pb => ({
+        category: pb.category,
+        time: ActivityFormatter.formatTime(pb.elapsed_time),
+        pace: visible.preferences.showPace ? ActivityFormatter.formatPace(pb.distance_m, pb.elapsed_time) : null,
+        date: DateUtils.convertISOToDDMMYYYY(pb.activity_date.slice(0, 10)),
+        // PBs keep no provider; intervals.icu activity ids start with 'i'
+        stravaUrl: pb.strava_activity_id.startsWith('i') ? null : `https://www.strava.com/activities/${pb.strava_activity_id}`
+      })),
+      races: this._raceRows(races.filter(race => race.member_athlete_id === athleteId), members),
+      activities: this._activityCards(rows, members)
+    }));
+  }
+
+  async showRaces(req, res) {
+    const [members, races] = await Promise.all([
+      this._getMembers(),
+      this.raceManager.getUpcomingRaces(DASHBOARD.RACE_CALENDAR_DAYS)
+    ]);
+
+    const months = [];
+    for (const race of this._raceRows(races, members)) {
+      const [year, month] = race.isoDate.split('-').map(Number);
+      const label = `${DashboardViews.monthName(month)} ${year}`;
+      if (months.at(-1)?.label !== label) {
+        months.push({ label, races: [] });
+      }
+      months.at(-1).races.push(race);
+    }
+
+    this._sendPage(res, 200, DashboardViews.races({ user: req.user, months }));
+  }
+
+  // ?year=, ?month= (default the current month) and ?metric= one of
+  // LEADERBOARD_METRICS, like /api/v1/leaderboards/monthly
+  async showLeaderboard(req, res) {
+    const current = LeaderboardManager.getCurrentMonth();
+    const year = this._integerQuery(req, 'year', current.year, 2000, current.year);
+    const month = this._integerQuery(req, 'month', current.month, 1, 12);
+    const metric = req.query.metric ?? 'distance';
+    if (year === null || month === null || !Object.hasOwn(LEADERBOARD_METRICS, metric)) {
+      return this._sendPage(res, 400, DashboardViews.message('Unknown leaderboard', 'There is no leaderboard for this month or metric.', {
+        user: req.user,
+        action: { href: '/dashboard/leaderboard', label: 'This month\'s leaderboard' }
+      }));
+    }
+
+    const [members, leaderboard] = await Promise.all([
+      this._getMembers(),
+      this.activityProcessor.leaderboardManager.getMonthlyLeaderboard({
+        year,
+        month,
+        memberManager: this.activityProcessor.memberManager
+      })
+    ]);
+
+    const previous = month === 1 ? { year: year - 1, month: 12 } : { year, month: month - 1 };
+    const following = month === 12 ? { year: year + 1, month: 1 } : { year, month: month + 1 };
+    const isFuture = following.year * 12 + following.month > current.year * 12 + current.month;
+
+    this._sendPage(res, 200, DashboardViews.leaderboard({
+      user: req.user,
+      year,
+      month,
+      metric,
+      metrics: LEADERBOARD_METRICS,
+      entries: this._leaderboardRows(LeaderboardManager.rankBy(
+        leaderboard.entries.filter(entry => members.has(entry.athleteId)),
+        metric
+      )),
+      previous,
+      next: isFuture ? null : following
+    }));
+  }
+
+  // Route map thumbnail of a posted activity, drawn with the member's
+  // privacy zones. Renders are kept in a small in-memory cache, keyed by the
+  // route and zones so an edit or a new zone draws a fresh one.
+  async serveRouteMap(req, res, next) {
+    const { activityId } = req.params;
+    const [activity, post, members] = await Promise.all([
+      this._databaseManager().getActivityById(activityId),
+      this._databaseManager().getActivityPost(activityId),
+      this._getMembers()
+    ]);
+
+    const visible = activity && post ? members.get(activity.member_athlete_id) : null;
+    if (!visible?.preferences.showMap || !activity.map_summary_polyline) return next();
+
+    const key = JSON.stringify([activity.map_summary_polyline, visible.preferences.privacyZones]);
+    let png = this.mapCache.get(activityId)?.key === key ? this.mapCache.get(activityId).png : null;
+    if (!png) {
+      png = await MapRenderer.instance.renderRoute(activity.map_summary_polyline, {
+        poweredByStrava: activity.provider !== 'intervals',
+        privacyZones: visible.preferences.privacyZones
+      });
+      if (!png) return next();
+
+      this.mapCache.delete(activityId);
+      if (this.mapCache.size >= DASHBOARD.MAP_CACHE_SIZE) {
+        this.mapCache.delete(this.mapCache.keys().next().value);
+      }
+      this.mapCache.set(activityId, { key, png });
+    }
+
+    res.set('Cache-Control', 'private, max-age=3600');
+    res.type('png').send(png);
+  }
+
+  _databaseManager() {
+    return this.activityProcessor.memberManager.databaseManager;
+  }
+
+  // Active members by athlete ID, each with their preferences
+  async _getMembers() {
+    const members = await this.activityProcessor.memberManager.getAllMembers();
+    const preferences = await this.activityProcessor.preferencesManager.getPreferencesForMembers(members.map(member => member.athleteId));
+    return new Map(members.map(member => [member.athleteId, { member, preferences: preferences.get(member.athleteId) }]));
+  }
+
+  // Whole-number query parameter in [min, max]: `fallback` when absent,
+  // null when invalid
+  _integerQuery(req, name, fallback, min, max) {
+    const value = req.query[name];
+    if (value === undefined || value === '') return fallback;
+
+    const number = Number(value);
+    return Number.isInteger(number) && number >= min && number <= max ? number : null;
+  }
+
+  _leaderboardRows(entries) {
+    return entries.map((entry, index) => ({
+      rank: index + 1,
+      athleteId: entry.athleteId,
+      memberName: entry.memberName,
+      distance: ActivityFormatter.formatDistance(entry.totalDistanceM),
+      activityCount: entry.activityCount,
+      elevation: `${Math.round(entry.totalElevationM)} m`,
+      movingTime: ActivityFormatter.formatTime(entry.totalMovingTimeS),
+      longestStreakDays: entry.longestStreakDays
+    }));
+  }
+
+  // Races of active members. Goal times, bibs and notes stay in Discord.
+  _raceRows(races, members) {
+    return races
+      .filter(race => members.has(race.member_athlete_id))
+      .map(race => ({
+        isoDate: race.race_date,
+        date: DateUtils.convertISOToDDMMYYYY(race.race_date),
+        name: race.name,
+        athleteId: race.member_athlete_id,
+        memberName: LeaderboardManager.memberName(members.get(race.member_athlete_id).member),
+        type: race.race_type,
+        distance: race.distance,
+        location: race.location
+      }));
+  }
+
+  _activityCards(rows, members) {
+    return rows.map(row => {
+      const { member, preferences } = members.get(row.member_athlete_id);
+      return {
+        athleteId: row.member_athlete_id,
+        memberName: LeaderboardManager.memberName(member),
+        name: row.name,
+        icon: ActivityFormatter.getActivityTypeIcon(row.sport_type || row.type),
+        date: DateUtils.convertISOToDDMMYYYY(row.start_date_local.slice(0, 10)),
+        distance: ActivityFormatter.formatDistance(row.distance),
+        time: ActivityFormatter.formatTime(row.moving_time),
+        pace: preferences.showPace ? ActivityFormatter.formatPace(row.distance, row.moving_time) : null,
+        mapUrl: config.map?.enabled && preferences.showMap && row.map_summary_polyline
+          ? `/dashboard/activities/${encodeURIComponent(row.strava_activity_id)}/map.png`
+          : null,
+        stravaUrl: row.provider === 'strava' ? `https://www.strava.com/activities/${row.strava_activity_id}` : null
+      };
+    });
+  }
+
+  _sendPage(res, status, html) {
+    res.status(status).type('html').send(html);
+  }
+}
+
+module.exports = Dashboard;
@@ -0,0 +1,150 @@
+const crypto = require('node:crypto');
+const axios = require('axios');
+const config = require('../../config/config');
+const logger = require('../utils/Logger');
+const EncryptionUtils = require('../utils/EncryptionUtils');
+const { DASHBOARD, HTTP } = require('../constants');
+
+const DISCORD_AUTHORIZE_URL = 'https://discord.com/oauth2/authorize';
+const DISCORD_TOKEN_URL = 'https://discord.com/api/v10/oauth2/token';
+const DISCORD_USER_URL = 'https://discord.com/api/v10/users/@me';
+
+/**
+ * "Log in with Discord" for the web dashboard: the OAuth2 authorization code
+ * flow with the `identify` scope, and the session cookie it ends with. The
+ * Strava registration flow uses the same login, with its own redirect URI,
+ * to confirm who is registering.
+ * Sessions are stateless — the cookie carries the user and an expiry,
+ * signed with ENCRYPTION_KEY (EncryptionUtils.sign) — so a restart doesn't
+ * log anyone out. Whether the user is in the team's server is checked by the
+ * dashboard, not here.
+ */
+class DashboardAuth {
+  // The dashboard is off until the Discord application's OAuth2
+  // credentials and an encryption key (to sign sessions) are configured
+  isConfigured() {
+    return Boolean(config.discord.clientId && config.discord.clientSecret && EncryptionUtils.isEncryptionEnabled());
+  }
+
+  getRedirectUri() {
+    return `${config.server.baseUrl}/dashboard/callback`;
+  }
+
+  getAuthorizationUrl(state, redirectUri = this.getRedirectUri()) {
+    const params = new URLSearchParams({
+      client_id: config.discord.clientId,
+      redirect_uri: redirectUri,
+      response_type: 'code',
+      scope: 'identify',
+      state,
+      prompt: 'none'
+    });
+    return `${DISCORD_AUTHORIZE_URL}?${params.toString()}`;
+  }
+
+  /**
+   * Trade the callback's code for the Discord user who logged in
+   * @param {string} code
+   * @param {string} [redirectUri] - The one the authorization URL was made with
+   * @returns {Promise<{id: string, name: string, avatar: string|null}>}
+   */
+  async fetchUser(code, redirectUri = this.getRedirectUri()) {
+    try {
+      const { data: token } = await axios.post(DISCORD_TOKEN_URL, new URLSearchParams({
+        client_id: config.discord.clientId,
+        client_secret: config.discord.clientSecret,
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri
+      }), { timeout: HTTP.REQUEST_TIMEOUT_MS });
+
+      const { data: user } = await axios.get(DISCORD_USER_URL, {
+        headers: { Authorization: `Bearer ${token.access_token}` },
+        timeout: HTTP.REQUEST_TIMEOUT_MS
+      });
+
+      return {
+        id: user.id,
+        name: user.global_name || user.username,
+        avatar: user.avatar ? `https://cdn.discordapp.com/avatars/${user.id}/${user.avatar}.png?size=64` : null
+      };
+    } catch (error) {
+      logger.server.error('Discord login failed', {
+        error: error.message,
+        response: error.response?.data,
+        status: error.response?.status
+      });
+      throw new Error('Failed to log in with Discord', { cause: error });
+    }
+  }
+
+  // Random value for the OAuth2 `state`, kept in a short-lived cookie and
+  // compared on the callback
+  createState() {
+    return crypto.randomBytes(16).toString('hex');
+  }
+
+  /**
+   * Session cookie value for a logged-in user
+   * @param {{id: string, name: string, avatar: string|null}} user
+   * @param {number} [now] - ms timestamp
+   * @returns {string} base64url JSON payload and its signature, dot-separated
+   */
+  createSession(user, now = Date.now()) {
+    const payload = Buffer.from(JSON.stringify({
+      id: user.id,
+      name: user.name,
+      avatar: user.avatar,
+      exp: now + DASHBOARD.SESSION_TTL_MS
+    })).toString('base64url');
+    return `${payload}.${EncryptionUtils.sign(payload)}`;
+  }
+
+  /**
+   * The user of a session cookie
+   * @param {string} [value] - Cookie value
+   * @param {number} [now] - ms timestamp
+   * @returns {{id: string, name: string, avatar: string|null}|null} null when
+   *   missing, tampered with or expired
+   */
+  readSession(value, now = Date.now()) {
+    const [payload, signature] = (value ?? '').split('.');
+    if (!payload || !EncryptionUtils.verifySignature(payload, signature)) return null;
+
+    try {
+      const session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      if (!(session.exp > now)) return null;
+      return { id: session.id, name: session.name, avatar: session.avatar };
+    } catch {
+      return null;
+    }
+  }
+
+  cookieOptions(maxAge) {
+    return {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: config.server.baseUrl.startsWith('https://'),
+      path: '/dashboard',
+      maxAge
+    };
+  }
+
+  // { name: value } of a Cookie header
+  static parseCookies(header) {
+    const cookies = {};
+    for (const part of (header ?? '').split(';')) {
+      const index = part.indexOf('=');
+      if (index < 0) continue;
+      const name = part.slice(0, index).trim();
+      try {
+        cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+      } catch {
+        // Malformed escape — not one of our cookies
+      }
+    }
+    return cookies;
+  }
+}
+
+module.exports = DashboardAuth;
@@ -0,0 +1,220 @@
+const config = require('../../config/config');
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+/**
+ * HTML pages of the web dashboard. Every value that comes from members or
+ * providers goes through escapeHtml; the view models are prepared by
+ * Dashboard, so these functions only lay them out.
+ */
+class DashboardViews {
+  static escapeHtml(value) {
+    return String(value ?? '')
+      .replaceAll('&', '&amp;')
+      .replaceAll('<', '&lt;')
+      .replaceAll('>', '&gt;')
+      .replaceAll('"', '&quot;')
+      .replaceAll('\'', '&#39;');
+  }
+
+  static monthName(month) {
+    return MONTH_NAMES[month - 1];
+  }
+
+  /**
+   * Page shell: navigation, the logged-in user and the Strava attribution
+   * @param {string} title
+   * @param {string} content - Page body HTML
+   * @param {Object} [user] - Session user; no navigation without one
+   * @returns {string}
+   */
+  static layout(title, content, user = null) {
+    const esc = this.escapeHtml.bind(this);
+    const nav = user
+      ? `<nav>
+        <a href="/dashboard">Team</a>
+        <a href="/dashboard/leaderboard">Leaderboard</a>
+        <a href="/dashboard/races">Races</a>
+        <span class="user">${user.avatar ? `<img src="${esc(user.avatar)}" alt="" width="24" height="24">` : ''}${esc(user.name)}</span>
+        <form method="post" action="/dashboard/logout"><button type="submit">Log out</button></form>
+      </nav>`
+      : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${esc(title)} · ${esc(config.app.name)}</title>
+    <link rel="stylesheet" href="/static/dashboard.css">
+  </head>
+  <body>
+    <header>
+      <a class="brand" href="/dashboard">🏃 ${esc(config.app.name)}</a>
+      ${nav}
+    </header>
+    <main>
+      <h1>${esc(title)}</h1>
+      ${content}
+    </main>
+    <footer>
+      <img class="strava-logo" src="/static/strava/api_logo_pwrdBy_strava_horiz_orange.png" alt="Powered by Strava" width="182" height="18">
+      <p>Maps © OpenStreetMap contributors</p>
+    </footer>
+  </body>
+</html>`;
+  }
+
+  // A page with just a message: login, errors, access refused
+  static message(title, text, { user = null, action = null } = {}) {
+    const button = action ? `<p><a class="button" href="${this.escapeHtml(action.href)}">${this.escapeHtml(action.label)}</a></p>` : '';
+    return this.layout(title, `<p>${this.escapeHtml(text)}</p>${button}`, user);
+  }
+
+  static overview({ user, memberCount, month, topEntries, races, activities, members }) {
+    const content = `
+      <section class="stats">
+        <div><strong>${memberCount}</strong><span>members</span></div>
+        <div><strong>${this.escapeHtml(month.distance)}</strong><span>run in ${this.monthName(month.month)}</span></div>
+        <div><strong>${month.runCount}</strong><span>runs in ${this.monthName(month.month)}</span></div>
+      </section>
+      <div class="columns">
+        <section>
+          <h2>${this.monthName(month.month)} leaderboard</h2>
+          ${this.leaderboardTable(topEntries)}
+          <p><a href="/dashboard/leaderboard">Full leaderboard and past months →</a></p>
+        </section>
+        <section>
+          <h2>Upcoming races</h2>
+          ${this.raceList(races)}
+          <p><a href="/dashboard/races">Race calendar →</a></p>
+        </section>
+      </div>
+      <section>
+        <h2>Recent activities</h2>
+        ${this.activityGrid(activities)}
+      </section>
+      <section>
+        <h2>Members</h2>
+        <ul class="members">
+          ${members.map(member => `<li><a href="/dashboard/members/${member.athleteId}">${this.escapeHtml(member.name)}</a></li>`).join('\n')}
+        </ul>
+      </section>`;
+    return this.layout('Team overview', content, user);
+  }
+
+  static member({ user, member, pbs, races, activities }) {
+    // No pace column for members who hide their pace
+    const showPace = pbs.some(pb => pb.pace);
+    const pbTable = pbs.length === 0
+      ? '<p class="empty">No personal bests yet.</p>'
+      : `<table>
+          <thead><tr><th>Distance</th><th>Time</th>${showPace ? '<th>Pace</th>' : ''}<th>Date</th><th></th></tr></thead>
+          <tbody>
+            ${pbs.map(pb => `<tr>
+              <td>${this.escapeHtml(pb.category)}</td>
+              <td>${this.escapeHtml(pb.time)}</td>
+              ${showPace ? `<td>${this.escapeHtml(pb.pace)}</td>` : ''}
+              <td>${this.escapeHtml(pb.date)}</td>
+              <td>${pb.stravaUrl ? `<a href="${this.escapeHtml(pb.stravaUrl)}">View on Strava</a>` : ''}</td>
+            </tr>`).join('\n')}
+          </tbody>
+        </table>`;
+
+    const content = `
+      <section>
+        <h2>Personal bests</h2>
+        ${pbTable}
+      </section>
+      <section>
+        <h2>Upcoming races</h2>
+        ${this.raceList(races)}
+      </section>
+      <section>
+        <h2>Recent activities</h2>
+        ${this.activityGrid(activities)}
+      </section>`;
+    return this.layout(member.name, content, user);
+  }
+
+  static races({ user, months }) {
+    const content = months.length === 0
+      ? '<p class="empty">No upcoming races.</p>'
+      : months.map(({ label, races }) => `<section>
+          <h2>${this.escapeHtml(label)}</h2>
+          ${this.raceList(races)}
+        </section>`).join('\n');
+    return this.layout('Race calendar', `
+      <p>Subscribe in your calendar app: <a href="/calendar/races.ics">team races (.ics)</a></p>
+      ${content}`, user);
+  }
+
+  static leaderboard({ user, year, month, metric, metrics, entries, previous, next }) {
+    const link = (target, extra = {}) => {
+      const params = new URLSearchParams({ year: target.year, month: target.month, metric, ...extra });
+      return `/dashboard/leaderboard?${params.toString()}`;
+    };
+
+    const metricLinks = Object.entries(metrics).map(([key, { label }]) => (key === metric
+      ? `<strong>${this.escapeHtml(label)}</strong>`
+      : `<a href="${this.escapeHtml(link({ year, month }, { metric: key }))}">${this.escapeHtml(label)}</a>`));
+
+    const content = `
+      <nav class="pager">
+        <a href="${this.escapeHtml(link(previous))}">← ${this.monthName(previous.month)} ${previous.year}</a>
+        ${next ? `<a href="${this.escapeHtml(link(next))}">${this.monthName(next.month)} ${next.year} →</a>` : ''}
+      </nav>
+      <nav class="metrics">${metricLinks.join(' · ')}</nav>
+      ${this.leaderboardTable(entries)}`;
+    return this.layout(`${this.monthName(month)} ${year} leaderboard`, content, user);
+  }
+
+  static leaderboardTable(entries) {
+    if (entries.length === 0) return '<p class="empty">No runs yet.</p>';
+
+    return `<table>
+      <thead><tr><th>#</th><th>Member</th><th>Distance</th><th>Runs</th><th>Elevation</th><th>Time</th><th>Streak</th></tr></thead>
+      <tbody>
+        ${entries.map(entry => `<tr>
+          <td>${entry.rank}</td>
+          <td><a href="/dashboard/members/${entry.athleteId}">${this.escapeHtml(entry.memberName)}</a></td>
+          <td>${this.escapeHtml(entry.distance)}</td>
+          <td>${entry.activityCount}</td>
+          <td>${this.escapeHtml(entry.elevation)}</td>
+          <td>${this.escapeHtml(entry.movingTime)}</td>
+          <td>${entry.longestStreakDays} d</td>
+        </tr>`).join('\n')}
+      </tbody>
+    </table>`;
+  }
+
+  static raceList(races) {
+    if (races.length === 0) return '<p class="empty">No upcoming races.</p>';
+
+    return `<ul class="races">
+      ${races.map(race => `<li>
+        <time datetime="${this.escapeHtml(race.isoDate)}">${this.escapeHtml(race.date)}</time>
+        <strong>${this.escapeHtml(race.name)}</strong>
+        ${race.athleteId ? `— <a href="/dashboard/members/${race.athleteId}">${this.escapeHtml(race.memberName)}</a>` : ''}
+        <span class="details">${this.escapeHtml([race.type, race.distance, race.location].filter(Boolean).join(' · '))}</span>
+      </li>`).join('\n')}
+    </ul>`;
+  }
+
+  static activityGrid(activities) {
+    if (activities.length === 0) return '<p class="empty">No activities yet.</p>';
+
+    return `<div class="activities">
+      ${activities.map(activity => `<article>
+        ${activity.mapUrl ? `<img src="${this.escapeHtml(activity.mapUrl)}" alt="Route map" width="300" height="200" loading="lazy">` : ''}
+        <h3>${this.escapeHtml(activity.icon)} ${this.escapeHtml(activity.name)}</h3>
+        <p class="meta"><a href="/dashboard/members/${activity.athleteId}">${this.escapeHtml(activity.memberName)}</a> · ${this.escapeHtml(activity.date)}</p>
+        <p>${this.escapeHtml([activity.distance, activity.time, activity.pace].filter(Boolean).join(' · '))}</p>
+        ${activity.stravaUrl ? `<p><a href="${this.escapeHtml(activity.stravaUrl)}">View on Strava</a></p>` : ''}
+      </article>`).join('\n')}
+    </div>`;
+  }
+}
+
+module.exports = DashboardViews;
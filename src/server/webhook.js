@@ -2,11 +2,24 @@ const express = require('express');
 const path = require('node:path');
 const config = require('../../config/config');
 const logger = require('../utils/Logger');
+const RaceManager = require('../managers/RaceManager');
+const ApiTokenManager = require('../managers/ApiTokenManager');
+const OAuthStateManager = require('../managers/OAuthStateManager');
+const LeaderboardManager = require('../managers/LeaderboardManager');
+const RaceCalendar = require('../utils/RaceCalendar');
+const Dashboard = require('./dashboard');
+const DashboardAuth = require('./dashboardAuth');
+const { RACE_STATUS, API_TOKEN, PUBLIC_API, LEADERBOARD_METRICS, OAUTH_STATE } = require('../constants');
 
 class WebhookServer {
   constructor(activityProcessor) {
     this.app = express();
     this.activityProcessor = activityProcessor;
+    this.raceManager = new RaceManager();
+    this.apiTokenManager = new ApiTokenManager();
+    this.oauthStateManager = new OAuthStateManager();
+    this.discordAuth = new DashboardAuth();
+    this.dashboard = new Dashboard(activityProcessor, this.raceManager);
     this.setupMiddleware();
     this.setupRoutes();
   }
@@ -53,15 +66,40 @@ class WebhookServer {
     // OAuth callback endpoint for Strava authentication
     this.app.get('/auth/strava/callback', this.handleStravaCallback.bind(this));
 
-    // Member registration endpoint
+    // Member registration endpoint: the signed link from /register
     this.app.get('/auth/strava', this.handleStravaAuth.bind(this));
 
-    // Member management endpoints
-    this.app.get('/members', this.listMembers.bind(this));
-    this.app.post('/members/:athleteId/delete', this.removeMember.bind(this));
-    this.app.post('/members/discord/:discordId/delete', this.removeMemberByDiscord.bind(this));
-    this.app.post('/members/:athleteId/deactivate', this.deactivateMember.bind(this));
-    this.app.post('/members/:athleteId/reactivate', this.reactivateMember.bind(this));
+    // Optional Discord login confirming who is registering
+    this.app.get('/auth/discord/callback', this.handleDiscordConfirmCallback.bind(this));
+
+    // Admin REST API: bearer tokens from /settings api-token, every call
+    // audited (including rejected ones)
+    const read = this.requireApiScope(API_TOKEN.SCOPES.READ);
+    const admin = this.requireApiScope(API_TOKEN.SCOPES.ADMIN);
+    this.app.use('/api/admin', this.auditApiCall.bind(this));
+    this.app.get('/api/admin/members', read, this.listMembers.bind(this));
+    this.app.get('/api/admin/members/:athleteId', read, this.getMember.bind(this));
+    this.app.patch('/api/admin/members/:athleteId', admin, this.updateMember.bind(this));
+    this.app.delete('/api/admin/members/:athleteId', admin, this.removeMember.bind(this));
+    this.app.delete('/api/admin/members/discord/:discordId', admin, this.removeMemberByDiscord.bind(this));
+    this.app.get('/api/admin/audit', admin, this.listApiAuditLog.bind(this));
+
+    // Public read-only JSON API for the team website. Members who opted out
+    // (/preferences privacy api:False) are left out of every response;
+    // Express adds an ETag, so an unchanged response revalidates as a 304.
+    this.app.use('/api/v1', this.setPublicApiHeaders.bind(this));
+    this.app.get('/api/v1/activities', this.listPublicActivities.bind(this));
+    this.app.get('/api/v1/leaderboards/monthly', this.getPublicLeaderboard.bind(this));
+    this.app.get('/api/v1/races/upcoming', this.listPublicRaces.bind(this));
+    this.app.get('/api/v1/pbs', this.listPublicPBs.bind(this));
+
+    // iCalendar feeds of upcoming races: the whole team, or one member's
+    // behind a signed token (see /my-races calendar)
+    this.app.get('/calendar/races.ics', this.serveTeamCalendar.bind(this));
+    this.app.get('/calendar/members/:token/races.ics', this.serveMemberCalendar.bind(this));
+
+    // Web dashboard for members of the Discord server (Discord login)
+    this.app.use('/dashboard', this.dashboard.router);
 
     // Test error routes - only used in tests
     if (process.env.NODE_ENV === 'test') {
@@ -220,7 +258,7 @@ class WebhookServer {
         athleteId,
         eventType: 'update'
       });
-      // Update queued activity or queue it if not already queued
+      // Update queued activity, edit it if already posted, or queue it
       await this.activityProcessor.updateQueuedActivity(activityId, athleteId, {
         eventType: 'update',
         receivedAt: new Date().toISOString()
@@ -242,21 +280,83 @@ class WebhookServer {
       athleteId,
       eventType: 'delete'
     });
-    // Remove from queue if it was scheduled for posting
+    // Remove from queue if it was scheduled for posting, otherwise delete its
+    // Discord message; the activities row goes either way
     await this.activityProcessor.removeQueuedActivity(activityId, athleteId);
-    // Note: In the future, you might want to delete the corresponding Discord message
   }
 
-  // Handle Strava OAuth authorization
-  handleStravaAuth(req, res) {
-    const { user_id } = req.query; // Discord user ID passed as state
-    
-    if (!user_id) {
-      return res.status(400).json({ error: 'Missing user_id parameter' });
+  // Whether registering goes through a Discord login first
+  _confirmsRegistrationIdentity() {
+    return Boolean(config.discord?.confirmRegistration && this.discordAuth.isConfigured());
+  }
+
+  _getDiscordConfirmRedirectUri() {
+    return `${config.server.baseUrl}/auth/discord/callback`;
+  }
+
+  _sendInvalidRegistrationLink(res) {
+    res.status(400).send(this._generateAuthResponseHTML(false, null,
+      'This registration link is invalid, has expired or was already used. Run /register in Discord to get a new one.'));
+  }
+
+  // Handle Strava OAuth authorization. ?state= is the signed state from
+  // /register (OAuthStateManager), passed on unchanged to Strava — after a
+  // Discord login when registration is confirmed.
+  async handleStravaAuth(req, res) {
+    try {
+      const pending = await this.oauthStateManager.getPendingState(req.query.state);
+      if (!pending) {
+        return this._sendInvalidRegistrationLink(res);
+      }
+
+      if (this._confirmsRegistrationIdentity()) {
+        return res.redirect(this.discordAuth.getAuthorizationUrl(req.query.state, this._getDiscordConfirmRedirectUri()));
+      }
+
+      res.redirect(this.activityProcessor.stravaAPI.getAuthorizationUrl(req.query.state));
+    } catch (error) {
+      logger.server.error('Error starting Strava authorization', { error: error.message });
+      res.status(500).send(this._generateAuthResponseHTML(false, null, 'An error occurred during authorization'));
     }
+  }
+
+  // Discord login of the person using a registration link: only the Discord
+  // user the link was made for can carry on to Strava
+  async handleDiscordConfirmCallback(req, res) {
+    try {
+      const { code, state, error } = req.query;
+      const pending = await this.oauthStateManager.getPendingState(state);
+      if (!pending) {
+        return this._sendInvalidRegistrationLink(res);
+      }
+      if (error || typeof code !== 'string') {
+        return res.status(400).send(this._generateAuthResponseHTML(false, null, 'You need to log in with Discord to register.'));
+      }
+
+      const user = await this.discordAuth.fetchUser(code, this._getDiscordConfirmRedirectUri());
+      const confirmation = await this.oauthStateManager.confirmState(state, user.id);
+      if (!confirmation) {
+        logger.member.warn('Registration link used by another Discord account', {
+          discordUserId: pending.discordUserId,
+          loggedInAs: user.id
+        });
+        return res.status(403).send(this._generateAuthResponseHTML(false, null,
+          'This registration link was made for another Discord account. Run /register in Discord yourself to get your own.'));
+      }
 
-    const authUrl = this.activityProcessor.stravaAPI.getAuthorizationUrl(user_id);
-    res.redirect(authUrl);
+      // Only this browser can finish the registration on the Strava callback
+      res.cookie(OAUTH_STATE.CONFIRMATION_COOKIE, confirmation, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: config.server.baseUrl.startsWith('https://'),
+        path: '/auth',
+        maxAge: pending.expiresAt.getTime() - Date.now()
+      });
+      res.redirect(this.activityProcessor.stravaAPI.getAuthorizationUrl(state));
+    } catch (error) {
+      logger.server.error('Error confirming Discord identity', { error: error.message });
+      res.status(500).send(this._generateAuthResponseHTML(false, null, 'An error occurred during authorization'));
+    }
   }
 
   // Handle Strava OAuth callback
@@ -277,7 +377,16 @@ class WebhookServer {
         return res.status(400).json({ error: 'Missing authorization code' });
       }
 
-      const discordUserId = state; // Discord user ID from state parameter
+      // The state is used up before the code is, so a link works once
+      const discordUserId = await this.oauthStateManager.consumeState(state, {
+        requireConfirmation: this._confirmsRegistrationIdentity(),
+        confirmation: DashboardAuth.parseCookies(req.get('Cookie'))[OAUTH_STATE.CONFIRMATION_COOKIE]
+      });
+      if (!discordUserId) {
+        logger.member.warn('Strava callback with an unusable registration state');
+        return this._sendInvalidRegistrationLink(res);
+      }
+      res.clearCookie(OAUTH_STATE.CONFIRMATION_COOKIE, { path: '/auth' });
 
       // Exchange code for tokens
       const tokenData = await this.activityProcessor.stravaAPI.exchangeCodeForToken(code);
@@ -350,19 +459,67 @@ class WebhookServer {
     }
   }
 
+  // Middleware for an admin API route: a bearer token with the given scope
+  // (ADMIN covers READ). The token is left on req.apiToken for the audit log.
+  requireApiScope(scope) {
+    return async (req, res, next) => {
+      const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+      if (!match) {
+        res.set('WWW-Authenticate', 'Bearer realm="admin-api"');
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+
+      try {
+        const token = await this.apiTokenManager.authenticate(match[1]);
+        if (!token) {
+          res.set('WWW-Authenticate', 'Bearer realm="admin-api", error="invalid_token"');
+          return res.status(401).json({ error: 'Invalid API token' });
+        }
+
+        req.apiToken = token;
+        if (!ApiTokenManager.hasScope(token.scope, scope)) {
+          return res.status(403).json({ error: 'Insufficient scope', required: scope });
+        }
+
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+
+  // Write every /api/admin call to the audit log once it's answered
+  auditApiCall(req, res, next) {
+    res.on('finish', () => {
+      this.apiTokenManager.recordCall({
+        tokenId: req.apiToken?.id ?? null,
+        scope: req.apiToken?.scope ?? null,
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode,
+        ip: req.ip
+      });
+    });
+    next();
+  }
+
+  _memberToJSON(member) {
+    return {
+      athleteId: member.athlete.id,
+      discordUserId: member.discordUserId,
+      name: member.discordUser ? member.discordUser.displayName : `${member.athlete.firstname} ${member.athlete.lastname}`,
+      registeredAt: member.registeredAt,
+      isActive: member.isActive,
+      city: member.athlete.city,
+      country: member.athlete.country
+    };
+  }
+
   // List all members
   async listMembers(req, res) {
     try {
       const members = await this.activityProcessor.memberManager.getAllMembers();
-      const memberList = members.map(member => ({
-        athleteId: member.athlete.id,
-        discordUserId: member.discordUserId,
-        name: member.discordUser ? member.discordUser.displayName : `${member.athlete.firstname} ${member.athlete.lastname}`,
-        registeredAt: member.registeredAt,
-        isActive: member.isActive,
-        city: member.athlete.city,
-        country: member.athlete.country
-      }));
+      const memberList = members.map(member => this._memberToJSON(member));
 
       res.json({
         total: memberList.length,
@@ -374,6 +531,362 @@ class WebhookServer {
     }
   }
 
+  // One member by athlete ID
+  async getMember(req, res) {
+    try {
+      const member = await this.activityProcessor.memberManager.getMemberByAthleteId(req.params.athleteId);
+      if (!member) {
+        return res.status(404).json({ error: 'Member not found' });
+      }
+      res.json(this._memberToJSON(member));
+    } catch (error) {
+      logger.member.error('Error getting member', {
+        athleteId: req.params.athleteId,
+        error: error.message
+      });
+      res.status(500).json({ error: 'Failed to get member' });
+    }
+  }
+
+  // Activate or deactivate a member: PATCH with {"isActive": true|false}
+  async updateMember(req, res) {
+    const { isActive } = req.body || {};
+    if (typeof isActive !== 'boolean') {
+      return res.status(400).json({ error: 'Body must be {"isActive": true|false}' });
+    }
+
+    return isActive ? this.reactivateMember(req, res) : this.deactivateMember(req, res);
+  }
+
+  // Recent admin API calls: ?limit= (max 100), ?token= for one token
+  async listApiAuditLog(req, res) {
+    try {
+      const limit = Math.min(Math.max(Number.parseInt(req.query.limit) || 20, 1), 100);
+      const entries = await this.apiTokenManager.getAuditLog({
+        tokenId: req.query.token || null,
+        limit
+      });
+
+      res.json({
+        total: entries.length,
+        entries: entries.map(entry => ({
+          tokenId: entry.token_id,
+          scope: entry.scope,
+          method: entry.method,
+          path: entry.path,
+          status: entry.status,
+          ip: entry.ip,
+          createdAt: entry.created_at
+        }))
+      });
+    } catch (error) {
+      logger.server.error('Error listing API audit log', { error: error.message });
+      res.status(500).json({ error: 'Failed to list audit log' });
+    }
+  }
+
+  setPublicApiHeaders(req, res, next) {
+    res.set('Cache-Control', `public, max-age=${PUBLIC_API.CACHE_MAX_AGE_S}`);
+    res.set('Access-Control-Allow-Origin', '*');
+    next();
+  }
+
+  // Active members who haven't opted out of the public API, by athlete ID,
+  // each with the preferences their data is shown with
+  async _getPublicMembers() {
+    const members = await this.activityProcessor.memberManager.getAllMembers();
+    const preferences = await this.activityProcessor.preferencesManager.getPreferencesForMembers(members.map(member => member.athleteId));
+    const visible = new Map();
+    for (const member of members) {
+      if (preferences.get(member.athleteId).showInApi) {
+        visible.set(member.athleteId, { member, preferences: preferences.get(member.athleteId) });
+      }
+    }
+    return visible;
+  }
+
+  // Athlete IDs a public API request covers: every visible member, or the
+  // one asked for with ?member= (none when that member is hidden, so an
+  // opted-out member looks the same as one without data)
+  _publicAthleteIds(visible, memberId) {
+    if (memberId === null) return [...visible.keys()];
+    return visible.has(memberId) ? [memberId] : [];
+  }
+
+  // Whole-number query parameter in [min, max], `fallback` when absent
+  _integerQuery(req, name, fallback, min, max) {
+    const value = req.query[name];
+    if (value === undefined || value === '') return fallback;
+
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+      throw new TypeError(`${name} must be a whole number between ${min} and ${max}`);
+    }
+    return number;
+  }
+
+  // YYYY-MM-DD query parameter, null when absent
+  _dateQuery(req, name) {
+    const value = req.query[name];
+    if (value === undefined || value === '') return null;
+
+    const date = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00Z`) : null;
+    if (!date || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+      throw new TypeError(`${name} must be a date as YYYY-MM-DD`);
+    }
+    return value;
+  }
+
+  // Bad query parameters are a 400 with the reason; anything else is logged
+  // and a 500
+  _sendPublicApiError(res, error, failure) {
+    if (error instanceof TypeError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.server.error(failure, { error: error.message });
+    res.status(500).json({ error: failure });
+  }
+
+  // Heart rate and speed follow the member's /preferences privacy choices.
+  // The route is never included: privacy zones are only applied when a map
+  // is drawn.
+  _publicActivityToJSON(row, { member, preferences }) {
+    return {
+      id: row.strava_activity_id,
+      provider: row.provider,
+      athleteId: row.member_athlete_id,
+      memberName: LeaderboardManager.memberName(member),
+      name: row.name,
+      type: row.type,
+      sportType: row.sport_type,
+      startDate: row.start_date,
+      startDateLocal: row.start_date_local,
+      timezone: row.timezone,
+      distanceM: row.distance,
+      movingTimeS: row.moving_time,
+      elapsedTimeS: row.elapsed_time,
+      elevationGainM: row.total_elevation_gain,
+      averageSpeedMps: preferences.showPace ? row.average_speed : null,
+      maxSpeedMps: preferences.showPace ? row.max_speed : null,
+      averageHeartrate: preferences.showHeartRate ? row.average_heartrate : null,
+      maxHeartrate: preferences.showHeartRate ? row.max_heartrate : null
+    };
+  }
+
+  // Activities posted to Discord, newest first: ?page=, ?per_page=,
+  // ?member=<athleteId>, ?type=Run,TrailRun, ?from= and ?to= (YYYY-MM-DD,
+  // inclusive)
+  async listPublicActivities(req, res) {
+    try {
+      const page = this._integerQuery(req, 'page', 1, 1, Number.MAX_SAFE_INTEGER);
+      const perPage = this._integerQuery(req, 'per_page', PUBLIC_API.DEFAULT_PAGE_SIZE, 1, PUBLIC_API.MAX_PAGE_SIZE);
+      const memberId = this._integerQuery(req, 'member', null, 1, Number.MAX_SAFE_INTEGER);
+      const from = this._dateQuery(req, 'from');
+      const to = this._dateQuery(req, 'to');
+      if (from && to && from > to) {
+        throw new TypeError('from must not be after to');
+      }
+      const types = typeof req.query.type === 'string' && req.query.type.trim()
+        ? req.query.type.split(',').map(type => type.trim()).filter(Boolean)
+        : null;
+
+      const visible = await this._getPublicMembers();
+      const { total, rows } = await this.activityProcessor.memberManager.databaseManager.getPostedActivities({
+        athleteIds: this._publicAthleteIds(visible, memberId),
+        types,
+        from,
+        to,
+        limit: perPage,
+        offset: (page - 1) * perPage
+      });
+
+      res.json({
+        page,
+        perPage,
+        total,
+        totalPages: Math.ceil(total / perPage),
+        activities: rows.map(row => this._publicActivityToJSON(row, visible.get(row.member_athlete_id)))
+      });
+    } catch (error) {
+      this._sendPublicApiError(res, error, 'Failed to list activities');
+    }
+  }
+
+  // Running leaderboard of a calendar month: ?year= and ?month= (default
+  // the current month), ?metric= one of LEADERBOARD_METRICS
+  async getPublicLeaderboard(req, res) {
+    try {
+      const current = LeaderboardManager.getCurrentMonth();
+      const year = this._integerQuery(req, 'year', current.year, 2000, 2100);
+      const month = this._integerQuery(req, 'month', current.month, 1, 12);
+      const metric = req.query.metric ?? 'distance';
+      if (!Object.hasOwn(LEADERBOARD_METRICS, metric)) {
+        throw new TypeError(`metric must be one of: ${Object.keys(LEADERBOARD_METRICS).join(', ')}`);
+      }
+
+      const visible = await this._getPublicMembers();
+      const leaderboard = await this.activityProcessor.leaderboardManager.getMonthlyLeaderboard({
+        year,
+        month,
+        memberManager: this.activityProcessor.memberManager
+      });
+      const entries = LeaderboardManager.rankBy(
+        leaderboard.entries.filter(entry => visible.has(entry.athleteId)),
+        metric
+      );
+
+      res.json({
+        year,
+        month,
+        metric,
+        startDate: leaderboard.startDate,
+        endDate: leaderboard.endDate,
+        entries: entries.map((entry, index) => ({
+          rank: index + 1,
+          athleteId: entry.athleteId,
+          memberName: entry.memberName,
+          distanceM: entry.totalDistanceM,
+          elevationGainM: entry.totalElevationM,
+          movingTimeS: entry.totalMovingTimeS,
+          activityCount: entry.activityCount,
+          longestStreakDays: entry.longestStreakDays
+        }))
+      });
+    } catch (error) {
+      this._sendPublicApiError(res, error, 'Failed to build leaderboard');
+    }
+  }
+
+  // Registered races in the next ?days= days (default 90), soonest first.
+  // Goal times, bibs and notes stay private.
+  async listPublicRaces(req, res) {
+    try {
+      const days = this._integerQuery(req, 'days', PUBLIC_API.DEFAULT_RACE_DAYS, 1, PUBLIC_API.MAX_RACE_DAYS);
+      const memberId = this._integerQuery(req, 'member', null, 1, Number.MAX_SAFE_INTEGER);
+
+      const visible = await this._getPublicMembers();
+      const athleteIds = new Set(this._publicAthleteIds(visible, memberId));
+      const races = (await this.raceManager.getUpcomingRaces(days))
+        .filter(race => athleteIds.has(race.member_athlete_id));
+
+      res.json({
+        days,
+        total: races.length,
+        races: races.map(race => ({
+          id: race.id,
+          athleteId: race.member_athlete_id,
+          memberName: LeaderboardManager.memberName(visible.get(race.member_athlete_id).member),
+          name: race.name,
+          date: race.race_date,
+          type: race.race_type,
+          distance: race.distance,
+          distanceKm: race.distance_km ? Number(race.distance_km) : null,
+          location: race.location
+        }))
+      });
+    } catch (error) {
+      this._sendPublicApiError(res, error, 'Failed to list races');
+    }
+  }
+
+  // Personal bests per member, shortest distance first; ?member= for one.
+  // Members without a PB are left out, and the speed follows their pace setting.
+  async listPublicPBs(req, res) {
+    try {
+      const memberId = this._integerQuery(req, 'member', null, 1, Number.MAX_SAFE_INTEGER);
+
+      const visible = await this._getPublicMembers();
+      const members = [];
+      for (const athleteId of this._publicAthleteIds(visible, memberId)) {
+        const pbs = await this.activityProcessor.pbManager.getMemberPBs(athleteId);
+        if (pbs.length === 0) continue;
+
+        const { member, preferences } = visible.get(athleteId);
+        members.push({
+          athleteId,
+          memberName: LeaderboardManager.memberName(member),
+          pbs: pbs.map(pb => ({
+            category: pb.category,
+            distanceM: pb.distance_m,
+            elapsedTimeS: pb.elapsed_time,
+            movingTimeS: pb.moving_time,
+            averageSpeedMps: preferences.showPace && pb.elapsed_time ? Math.round(pb.distance_m / pb.elapsed_time * 100) / 100 : null,
+            activityDate: pb.activity_date
+          }))
+        });
+      }
+
+      res.json({ total: members.length, members });
+    } catch (error) {
+      this._sendPublicApiError(res, error, 'Failed to list personal bests');
+    }
+  }
+
+  // Upcoming registered races, each with the member's name. The team feed
+  // covers the members visible in the public API, as it needs no link;
+  // `athleteId` limits them to one active member for their own feed.
+  async _getCalendarRaces(athleteId = null) {
+    let members;
+    if (athleteId === null) {
+      members = new Map([...(await this._getPublicMembers())].map(([id, { member }]) => [id, member]));
+    } else {
+      const member = await this.activityProcessor.memberManager.getMemberByAthleteId(athleteId);
+      members = new Map(member?.isActive ? [[athleteId, member]] : []);
+    }
+
+    const races = await this.raceManager.getAllRaces({ status: RACE_STATUS.REGISTERED });
+    return races
+      .filter(race => members.has(race.member_athlete_id) && this.raceManager.isUpcoming(race.race_date))
+      .sort((a, b) => a.race_date.localeCompare(b.race_date))
+      .map(race => {
+        const member = members.get(race.member_athlete_id);
+        return {
+          ...race,
+          memberName: member.discordUser?.displayName || `${member.athlete?.firstname} ${member.athlete?.lastname}`
+        };
+      });
+  }
+
+  _sendCalendar(res, calendar) {
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="races.ics"');
+    res.send(calendar);
+  }
+
+  // Team calendar feed. It needs no link, so goals and bibs stay out.
+  async serveTeamCalendar(req, res) {
+    try {
+      const races = await this._getCalendarRaces();
+      this._sendCalendar(res, RaceCalendar.buildCalendar(races, { name: 'Team races' }));
+    } catch (error) {
+      logger.server.error('Error serving team race calendar', { error: error.message });
+      res.status(500).json({ error: 'Failed to build calendar' });
+    }
+  }
+
+  // One member's calendar feed. An invalid token is a plain 404, so feeds
+  // can't be probed.
+  async serveMemberCalendar(req, res) {
+    const athleteId = RaceCalendar.parseMemberToken(req.params.token);
+    if (athleteId === null) {
+      return res.status(404).json({ error: 'Not found', path: req.originalUrl });
+    }
+
+    try {
+      const member = await this.activityProcessor.memberManager.getMemberByAthleteId(athleteId);
+      if (!member?.isActive) {
+        return res.status(404).json({ error: 'Not found', path: req.originalUrl });
+      }
+
+      const races = (await this._getCalendarRaces(athleteId)).map(({ memberName: _memberName, ...race }) => race);
+      const name = member.discordUser?.displayName || member.athlete?.firstname || 'My';
+      this._sendCalendar(res, RaceCalendar.buildCalendar(races, { name: `${name}'s races`, personal: true }));
+    } catch (error) {
+      logger.server.error('Error serving member race calendar', { athleteId, error: error.message });
+      res.status(500).json({ error: 'Failed to build calendar' });
+    }
+  }
+
   // Helper method to handle member removal responses
   _handleMemberRemovalResponse(res, removedMember, _errorContext, _failureMessage) {
     if (removedMember) {
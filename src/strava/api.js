@@ -2,6 +2,7 @@ const axios = require('axios');
 const config = require('../../config/config');
 const logger = require('../utils/Logger');
 const RateLimiter = require('../utils/RateLimiter');
+const SplitsFormatter = require('../utils/SplitsFormatter');
 const { HTTP } = require('../constants');
 
 class StravaAPI {
@@ -280,8 +281,11 @@ class StravaAPI {
     let streamsData = null;
 
     try {
-      // Try to fetch streams data for accurate GAP calculation
-      streamsData = await this.getActivityStreams(activity.id, accessToken, ['grade_adjusted_distance']);
+      // Try to fetch streams data for accurate GAP calculation, the elevation
+      // profile and heart-rate zones
+      streamsData = await this.getActivityStreams(
+        activity.id, accessToken, ['grade_adjusted_distance', 'distance', 'altitude', 'time', 'heartrate']
+      );
     } catch (error) {
       // Streams fetch failed - log but continue without streams data
       logger.strava.debug('Failed to fetch activity streams for GAP calculation', {
@@ -328,10 +332,36 @@ class StravaAPI {
     processedActivity.gap_pace = this.calculateGradeAdjustedPace(activity, streamsData);
     // Add isRace flag
     processedActivity.isRace = this.isRaceActivity(activity);
+    processedActivity.elevation_profile = this._buildElevationProfile(streamsData);
+    processedActivity.heartrate_stream = this._buildHeartRateStream(streamsData);
+    // splits_metric/splits_standard are only on detailed (getActivity) responses
+    processedActivity.splits = SplitsFormatter.fromStravaSplits(
+      config.splits.unit === 'mile' ? activity.splits_standard : activity.splits_metric,
+      config.splits.unit
+    );
 
     return processedActivity;
   }
 
+  // Altitude/distance streams for ElevationProfileRenderer, or null when the
+  // activity has no altitude data (treadmill, manual entry).
+  _buildElevationProfile(streamsData) {
+    const distance = streamsData?.distance?.data;
+    const altitude = streamsData?.altitude?.data;
+    if (!Array.isArray(distance) || !Array.isArray(altitude) || distance.length < 2) return null;
+
+    return { distance, altitude };
+  }
+
+  // Time/heart-rate streams for HeartRateZones, or null without an HR sensor.
+  _buildHeartRateStream(streamsData) {
+    const time = streamsData?.time?.data;
+    const heartrate = streamsData?.heartrate?.data;
+    if (!Array.isArray(time) || !Array.isArray(heartrate) || time.length < 2) return null;
+
+    return { time, heartrate };
+  }
+
   // Validate webhook signature
   validateWebhookSignature(_signature, _body) {
     // Strava doesn't send HMAC signatures for webhooks, but we can verify the token
@@ -61,6 +61,52 @@ class DateUtils {
     return this.daysBetween(today, targetDate);
   }
 
+  /**
+   * Calendar day of an instant as seen from a given IANA timezone
+   * @param {Date} date - Instant to convert
+   * @param {string} [timeZone='UTC'] - IANA timezone name (e.g. 'Europe/Paris')
+   * @returns {Date} Date at midnight UTC carrying that local calendar day
+   */
+  static getLocalDate(date, timeZone = 'UTC') {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+    }).formatToParts(date);
+    const part = (type) => Number(parts.find(p => p.type === type).value);
+    return new Date(Date.UTC(part('year'), part('month') - 1, part('day')));
+  }
+
+  /**
+   * ISO 8601 week number and week-numbering year of a calendar day.
+   * The ISO year can differ from the calendar year around New Year
+   * (e.g. 2026-12-31 falls in week 53 of 2026, 2027-01-01 too).
+   * @param {Date} date - Calendar day at midnight UTC (see getLocalDate)
+   * @returns {{year: number, week: number}} ISO week-numbering year and week (1-53)
+   */
+  static getIsoWeek(date) {
+    const thursday = new Date(date.getTime());
+    const isoDay = thursday.getUTCDay() || 7; // Monday=1 .. Sunday=7
+    thursday.setUTCDate(thursday.getUTCDate() + 4 - isoDay);
+    const year = thursday.getUTCFullYear();
+    const dayOfYear = Math.floor((thursday - Date.UTC(year, 0, 1)) / (24 * 60 * 60 * 1000));
+    return { year, week: Math.floor(dayOfYear / 7) + 1 };
+  }
+
+  /**
+   * Monday of an ISO week
+   * @param {number} year - ISO week-numbering year
+   * @param {number} week - ISO week number (1-53)
+   * @returns {Date} Monday of that week at midnight UTC
+   */
+  static getIsoWeekStart(year, week) {
+    // January 4th is always in ISO week 1.
+    const jan4 = new Date(Date.UTC(year, 0, 4));
+    const isoDay = jan4.getUTCDay() || 7;
+    return new Date(Date.UTC(year, 0, 4 - (isoDay - 1) + (week - 1) * 7));
+  }
+
   /**
    * Convert DD-MM-YYYY format to YYYY-MM-DD format (for internal storage)
    * @param {string} dateString - Date string in DD-MM-YYYY format
@@ -2,6 +2,11 @@ const config = require('../../config/config');
 const { EmbedBuilder, AttachmentBuilder } = require('discord.js');
 const ActivityFormatter = require('./ActivityFormatter');
 const MapRenderer = require('../maps/MapRenderer');
+const ElevationProfileRenderer = require('../maps/ElevationProfileRenderer');
+const { LEADERBOARD_METRICS, TIME } = require('../constants');
+const DateUtils = require('./DateUtils');
+const HeartRateZones = require('./HeartRateZones');
+const SplitsFormatter = require('./SplitsFormatter');
 
 /**
  * Shared utility for creating Discord embeds for activities
@@ -36,6 +41,7 @@ class ActivityEmbedBuilder {
     this._addActivityDescription(embed, activity);
     this._addCoreActivityFields(embed, activity, displayType);
     this._addOptionalActivityFields(embed, activity);
+    this._addSplitsField(embed, activity);
     this._addPBField(embed, activity);
 
     return embed;
@@ -44,11 +50,15 @@ class ActivityEmbedBuilder {
   /**
    * Build a ready-to-send Discord message payload for an activity: the embed
    * plus (when a route polyline is available) a locally-rendered map image
-   * attached and wired up via `attachment://route.png`.
+   * attached and wired up via `attachment://route.png`, and (when altitude
+   * streams are available) an elevation profile as `attachment://elevation.png`.
+   * An embed holds a single image, so the profile takes the main embed's
+   * image slot only when there is no map, and otherwise follows in a second
+   * embed of the same colour.
    *
-   * Never throws on map rendering failure — `MapRenderer.renderRoute`
-   * already swallows its own errors and returns `null`, and this method
-   * guards defensively anyway so a map bug can never break message delivery.
+   * Never throws on image rendering failure — both renderers already swallow
+   * their own errors and return `null`, and this method guards defensively
+   * anyway so a map or chart bug can never break message delivery.
    *
    * @param {Object} activity - Processed activity data
    * @param {Object} options - Embed options (see {@link createActivityEmbed})
@@ -65,6 +75,8 @@ class ActivityEmbedBuilder {
           // Attribution follows the data source: only Strava-sourced
           // activities carry the "Powered by Strava" logo.
           poweredByStrava: activity.provider !== 'intervals',
+          // Set by PreferencesManager.applyPrivacy from /preferences zone-add
+          privacyZones: activity.privacyZones ?? [],
         });
       } catch (_error) {
         // MapRenderer never throws by contract, but don't let a route image
@@ -79,7 +91,30 @@ class ActivityEmbedBuilder {
       }
     }
 
-    return { embeds: [embed], files };
+    const embeds = [embed];
+    if (activity.elevation_profile) {
+      let profileBuffer;
+      try {
+        profileBuffer = await ElevationProfileRenderer.instance.renderProfile(activity.elevation_profile, {
+          elevationGain: activity.total_elevation_gain,
+        });
+      } catch (_error) {
+        profileBuffer = null;
+      }
+
+      if (profileBuffer) {
+        files.push(new AttachmentBuilder(profileBuffer, { name: 'elevation.png' }));
+        if (files.length === 1) {
+          embed.setImage('attachment://elevation.png');
+        } else {
+          embeds.push(new EmbedBuilder()
+            .setColor(embed.data?.color ?? null)
+            .setImage('attachment://elevation.png'));
+        }
+      }
+    }
+
+    return { embeds, files };
   }
 
   /**
@@ -109,6 +144,7 @@ class ActivityEmbedBuilder {
 
     const lines = newPBs.map(r => {
       const time = ActivityFormatter.formatTime(r.newPB.elapsedTime);
+      if (r.held) return `**${r.category}** — ${time}`;
       const improvement = r.previousPB
         ? ` (${pbManager.formatTimeImprovement(r.previousPB.elapsed_time, r.newPB.elapsedTime)})`
         : ' (first)';
@@ -206,7 +242,11 @@ class ActivityEmbedBuilder {
     ]);
     // Strava's legacy `type` reports trail runs as plain 'Run', but
     // intervals.icu sends 'TrailRun'/'VirtualRun' literally — all run-like
-    // types get a pace field.
+    // types get a pace field. Members can hide pace/speed entirely
+    // (/preferences privacy), which PreferencesManager.applyPrivacy flags.
+    if (activity.hidePace) {
+      return;
+    }
     if (['Run', 'TrailRun', 'VirtualRun', 'Walk'].includes(activity.type)) {
       embed.addFields([
         {
@@ -227,7 +267,7 @@ class ActivityEmbedBuilder {
   }
 
   /**
-   * Add optional activity fields (GAP, heart rate, elevation)
+   * Add optional activity fields (GAP, heart rate, elevation, heart-rate zones)
    * @param {EmbedBuilder} embed - Discord embed builder
    * @param {Object} activity - Activity data
    */
@@ -255,46 +295,383 @@ class ActivityEmbedBuilder {
         inline: true,
       }]);
     }
+
+    // heartRateZones is set by PreferencesManager.applyPrivacy once the
+    // member has run /heartrate set
+    const zoneSeconds = activity.heartRateZones
+      ? HeartRateZones.timeInZones(activity.heartrate_stream, activity.heartRateZones)
+      : null;
+    if (zoneSeconds) {
+      embed.addFields([{
+        name: '💓 Heart Rate Zones',
+        value: HeartRateZones.formatZoneBar(zoneSeconds),
+        inline: false,
+      }]);
+    }
+  }
+
+  /**
+   * Add the splits table for short activities. Longer tables don't fit an
+   * embed field; DiscordBot.postActivity puts those in a thread instead.
+   * @param {EmbedBuilder} embed - Discord embed builder
+   * @param {Object} activity - Activity data
+   */
+  static _addSplitsField(embed, activity) {
+    if (!activity.splits || !SplitsFormatter.fitsInEmbed(activity.splits)) return;
+
+    embed.addFields([{
+      name: '⏱️ Splits',
+      value: SplitsFormatter.formatTable(activity.splits, { showPace: !activity.hidePace }),
+      inline: false,
+    }]);
+  }
+
+  /**
+   * Build an embed listing members ranked for a month.
+   * @param {{year: number, month: number, entries: Array<Object>}} data - Entries already
+   *   ordered by the chosen metric (see LeaderboardManager.rankBy)
+   * @param {Object} [options]
+   * @param {string} [options.metric='distance'] - Key of LEADERBOARD_METRICS the entries are ranked by
+   * @param {Array<{metric: string, entries: Array<Object>}>} [options.sections] - Extra
+   *   per-metric podiums rendered as fields below the main ranking
+   * @param {Object|null} [options.kudos] - From KudosManager.getMonthlyHighlights;
+   *   adds the month's most kudos'd run and most supportive teammate
+   * @returns {EmbedBuilder}
+   */
+  static buildMonthlyLeaderboardEmbed({ year, month, entries }, options = {}) {
+    const embed = this._buildLeaderboardEmbed('🏆 Monthly Running Leaderboard', this._monthLabel(year, month), entries, options);
+
+    const topRun = options.kudos?.activities[0];
+    const topSupporter = options.kudos?.supporters[0];
+    if (topRun) {
+      embed.addFields([{ name: '👏 Most Kudos\'d Run', value: this._formatKudosRun(topRun), inline: false }]);
+    }
+    if (topSupporter) {
+      embed.addFields([{ name: '🤝 Most Supportive Teammate', value: this._formatKudosSupporter(topSupporter), inline: false }]);
+    }
+
+    return embed;
   }
 
   /**
-   * Build an embed listing members ranked by total run distance for a month.
-   * Rows go into the description (4096-char budget) rather than a single field
-   * (1024-char limit) so the embed scales past ~15 runners without truncation.
-   * @param {{year: number, month: number, entries: Array<{memberName: string, totalDistanceM: number, activityCount: number}>}} data
+   * Build the /kudos embed: the month's most kudos'd runs and the teammates
+   * who cheered on the most activities.
+   * @param {{year: number, month: number, activities: Array<Object>, supporters: Array<Object>}} highlights
+   *   From KudosManager.getMonthlyHighlights
    * @returns {EmbedBuilder}
    */
-  static buildMonthlyLeaderboardEmbed({ year, month, entries }) {
-    const monthLabel = new Date(Date.UTC(year, month - 1, 1)).toLocaleDateString('en-US', {
+  static buildKudosEmbed({ year, month, activities, supporters }) {
+    const embed = new EmbedBuilder()
+      .setTitle('👏 Team Kudos')
+      .setColor('#FC4C02')
+      .setFooter({ text: 'Any reaction on an activity post counts as kudos' })
+      .setTimestamp();
+
+    const monthLabel = this._monthLabel(year, month);
+    if (activities.length === 0 && supporters.length === 0) {
+      embed.setDescription(`No kudos in **${monthLabel}** yet — react to a teammate's activity post to cheer them on!`);
+      return embed;
+    }
+
+    embed.setDescription(`Kudos in **${monthLabel}**`);
+    if (activities.length > 0) {
+      embed.addFields([{
+        name: '👏 Most Kudos\'d Runs',
+        value: activities.map((run, i) => `${this._leaderboardMedal(i)} ${this._formatKudosRun(run)}`).join('\n'),
+        inline: false,
+      }]);
+    }
+    if (supporters.length > 0) {
+      embed.addFields([{
+        name: '🤝 Most Supportive Teammates',
+        value: supporters.map((supporter, i) => `${this._leaderboardMedal(i)} ${this._formatKudosSupporter(supporter)}`).join('\n'),
+        inline: false,
+      }]);
+    }
+
+    return embed;
+  }
+
+  static _monthLabel(year, month) {
+    return new Date(Date.UTC(year, month - 1, 1)).toLocaleDateString('en-US', {
       month: 'long', year: 'numeric', timeZone: 'UTC',
     });
+  }
+
+  // "[Sunday Long Run](link) — Alice · 21.10 km · **7** kudos"
+  static _formatKudosRun(run) {
+    const name = run.name || 'Untitled run';
+    const title = run.messageUrl ? `[${name}](${run.messageUrl})` : name;
+    return `${title} — ${run.memberName} · ${this._formatLeaderboardValue('distance', run.distance ?? 0)} · **${run.kudosCount}** kudos`;
+  }
+
+  static _formatKudosSupporter(supporter) {
+    const count = supporter.activityCount;
+    return `<@${supporter.discordUserId}> — cheered on **${count}** activit${count === 1 ? 'y' : 'ies'}`;
+  }
+
+  /**
+   * Build an embed listing members ranked for an ISO week.
+   * @param {{year: number, week: number, startDate: string, endDate: string, entries: Array<Object>}} data
+   *   endDate is the exclusive bound (the following Monday)
+   * @param {Object} [options] - Same as {@link buildMonthlyLeaderboardEmbed}
+   * @returns {EmbedBuilder}
+   */
+  static buildWeeklyLeaderboardEmbed({ year, week, startDate, endDate, entries }, options = {}) {
+    const dayFormat = { month: 'short', day: 'numeric', timeZone: 'UTC' };
+    const first = new Date(startDate).toLocaleDateString('en-US', dayFormat);
+    const last = new Date(new Date(endDate).getTime() - 1).toLocaleDateString('en-US', dayFormat);
+    const weekLabel = `week ${week} of ${year} (${first} – ${last})`;
+
+    return this._buildLeaderboardEmbed('🏆 Weekly Running Leaderboard', weekLabel, entries, options);
+  }
 
+  /**
+   * Shared body of the monthly/weekly leaderboard embeds. Rows go into the
+   * description (4096-char budget) rather than a single field (1024-char
+   * limit) so the embed scales past ~15 runners without truncation.
+   * @param {string} title - Embed title
+   * @param {string} periodLabel - Human-readable period, e.g. "March 2026"
+   * @param {Array<Object>} entries - Ranked leaderboard entries
+   * @param {Object} options - See {@link buildMonthlyLeaderboardEmbed}
+   * @returns {EmbedBuilder}
+   */
+  static _buildLeaderboardEmbed(title, periodLabel, entries, { metric = 'distance', sections = [] } = {}) {
+    const metricInfo = LEADERBOARD_METRICS[metric] ?? LEADERBOARD_METRICS.distance;
     const embed = new EmbedBuilder()
-      .setTitle('🏆 Monthly Running Leaderboard')
+      .setTitle(metric === 'distance' ? title : `${title} — ${metricInfo.emoji} ${metricInfo.label}`)
       .setColor('#D4AF37')
       .setTimestamp();
 
     if (!entries || entries.length === 0) {
-      embed.setDescription(`Total kilometres run in **${monthLabel}**\n\n📭 No running activities recorded for any team member.`);
+      embed.setDescription(`${metricInfo.heading} in **${periodLabel}**\n\n📭 No running activities recorded for any team member.`);
       return embed;
     }
 
-    const medal = (i) => (i === 0 ? '🥇' : i === 1 ? '🥈' : i === 2 ? '🥉' : `**${i + 1}.**`);
     const lines = entries.map((entry, i) => {
-      const km = (entry.totalDistanceM / 1000).toFixed(2);
-      const runs = `${entry.activityCount} run${entry.activityCount === 1 ? '' : 's'}`;
-      return `${medal(i)} ${entry.memberName} — **${km} km** · ${runs}`;
+      const value = this._formatLeaderboardValue(metric, entry[metricInfo.field]);
+      // Runs count is the usual context; when ranking by runs, show distance instead.
+      const context = metric === 'count'
+        ? this._formatLeaderboardValue('distance', entry.totalDistanceM)
+        : this._formatLeaderboardValue('count', entry.activityCount);
+      return `${this._leaderboardMedal(i)} ${entry.memberName} — **${value}** · ${context}`;
     });
 
-    embed.setDescription(`Total kilometres run in **${monthLabel}**\n\n${lines.join('\n')}`);
+    embed.setDescription(`${metricInfo.heading} in **${periodLabel}**\n\n${lines.join('\n')}`);
+
+    for (const section of sections) {
+      const sectionInfo = LEADERBOARD_METRICS[section.metric];
+      if (!sectionInfo || section.entries.length === 0) continue;
+      const podium = section.entries.slice(0, 3).map((entry, i) =>
+        `${this._leaderboardMedal(i)} ${entry.memberName} — ${this._formatLeaderboardValue(section.metric, entry[sectionInfo.field])}`
+      );
+      embed.addFields([{
+        name: `${sectionInfo.emoji} ${sectionInfo.label}`,
+        value: podium.join('\n'),
+        inline: true,
+      }]);
+    }
 
-    const totalKm = entries.reduce((s, e) => s + e.totalDistanceM, 0) / 1000;
+    const runners = `${entries.length} runner${entries.length === 1 ? '' : 's'}`;
+    // A streak doesn't add up across runners, so it gets no team total.
+    const total = metric === 'streak'
+      ? null
+      : entries.reduce((sum, entry) => sum + entry[metricInfo.field], 0);
     embed.setFooter({
-      text: `${entries.length} runner${entries.length === 1 ? '' : 's'} · ${totalKm.toFixed(2)} km total`,
+      text: total === null ? runners : `${runners} · ${this._formatLeaderboardValue(metric, total)} total`,
     });
 
     return embed;
   }
+
+  /**
+   * Build the standing of a challenge (used by /challenge create and status).
+   * @param {Object} progress - From ChallengeManager.getProgress
+   * @returns {EmbedBuilder}
+   */
+  static buildChallengeStatusEmbed(progress) {
+    const { challenge, entries } = progress;
+    const metricInfo = LEADERBOARD_METRICS[challenge.metric];
+    const embed = new EmbedBuilder()
+      .setTitle(`🎯 ${challenge.name}`)
+      .setColor('#FC4C02')
+      .setDescription(challenge.description
+        ? `${challenge.description}\n\n${this._challengeSummary(progress)}`
+        : this._challengeSummary(progress))
+      .addFields([
+        {
+          name: '📅 Dates',
+          value: `${DateUtils.convertISOToDDMMYYYY(challenge.start_date)} → ${DateUtils.convertISOToDDMMYYYY(challenge.end_date)}`,
+          inline: true,
+        },
+        {
+          name: `${metricInfo.emoji} Goal`,
+          value: this.formatChallengeGoal(challenge),
+          inline: true,
+        },
+      ])
+      .setFooter({ text: `Challenge #${challenge.id} · ${challenge.status}` })
+      .setTimestamp();
+
+    if (entries.length > 0) {
+      const lines = entries.slice(0, 15).map((entry, i) => {
+        const done = challenge.scope === 'individual' && entry.completed ? ' ✅' : '';
+        return `${this._leaderboardMedal(i)} ${entry.memberName} — ${this._formatLeaderboardValue(challenge.metric, entry.value)}${done}`;
+      });
+      if (entries.length > lines.length) {
+        lines.push(`…and ${entries.length - lines.length} more`);
+      }
+      embed.addFields([{ name: `👥 Participants (${entries.length})`, value: lines.join('\n'), inline: false }]);
+    } else {
+      embed.addFields([{ name: '👥 Participants', value: `Nobody yet — \`/challenge join challenge_id:${challenge.id}\``, inline: false }]);
+    }
+
+    return embed;
+  }
+
+  /**
+   * Build the channel announcement for a challenge event.
+   * @param {{type: 'milestone'|'participant_completed'|'completed', progress: Object,
+   *   milestone?: number, entry?: Object}} event - From ChallengeManager.recordActivity
+   * @returns {EmbedBuilder}
+   */
+  static buildChallengeEventEmbed(event) {
+    const { progress } = event;
+    const { challenge } = progress;
+    const embed = new EmbedBuilder().setTimestamp();
+
+    if (event.type === 'milestone') {
+      embed
+        .setTitle(`🎯 ${challenge.name} — ${event.milestone}% there!`)
+        .setColor('#00AAFF')
+        .setDescription(this._challengeSummary(progress));
+    } else if (event.type === 'participant_completed') {
+      embed
+        .setTitle(`✅ ${event.entry.memberName} completed ${challenge.name}`)
+        .setColor('#00AAFF')
+        .setDescription(
+          `**${this._formatLeaderboardValue(challenge.metric, event.entry.value)}** done — goal was ${this.formatChallengeGoal(challenge)}.\n\n${this._challengeSummary(progress)}`
+        );
+    } else {
+      const podium = progress.entries.slice(0, 3).map((entry, i) =>
+        `${this._leaderboardMedal(i)} ${entry.memberName} — ${this._formatLeaderboardValue(challenge.metric, entry.value)}`
+      );
+      embed
+        .setTitle(`🎉 Challenge complete: ${challenge.name}`)
+        .setColor('#D4AF37')
+        .setDescription(challenge.scope === 'individual'
+          ? `Every participant reached the goal of ${this.formatChallengeGoal(challenge)}. Well run, team!`
+          : `Goal of ${this.formatChallengeGoal(challenge)} reached with **${this._formatLeaderboardValue(challenge.metric, progress.total)}**. Well run, team!`);
+      if (podium.length > 0) {
+        embed.addFields([{ name: '🏅 Top contributors', value: podium.join('\n'), inline: false }]);
+      }
+    }
+
+    return embed.setFooter({ text: `Challenge #${challenge.id} · /challenge status challenge_id:${challenge.id}` });
+  }
+
+  /**
+   * Challenge target in words
+   * @param {Object} challenge - Challenge row
+   * @returns {string} e.g. "**500.00 km** as a team", "**3 runs** each"
+   */
+  static formatChallengeGoal(challenge) {
+    const value = this._formatLeaderboardValue(challenge.metric, challenge.target_value);
+    return challenge.scope === 'individual' ? `**${value}** each` : `**${value}** as a team`;
+  }
+
+  /**
+   * Announcement for a new PB that also broke one or more club records
+   * @param {Object} event - from PBManager.checkClubRecords
+   * @returns {EmbedBuilder} Discord embed
+   */
+  static buildClubRecordEmbed({ category, holder, broken }) {
+    const PBManager = require('../managers/PBManager');
+    const pbManager = new PBManager();
+
+    const divisions = broken.map(({ division }) => division === 'Club' ? 'club' : division);
+    const runner = holder.discordUserId ? `<@${holder.discordUserId}>` : `**${holder.memberName}**`;
+    const previous = broken.map(({ division, previous: record }) => {
+      const own = record.athleteId === holder.athleteId ? ' (own record)' : '';
+      return `${pbManager.formatClubRecordLine(record, division)}${own}`;
+    });
+
+    return new EmbedBuilder()
+      .setTitle(`🏛️ New ${category} club record!`)
+      .setColor('#D4AF37')
+      .setDescription(`${runner} ran **${ActivityFormatter.formatTime(holder.elapsedTime)}**, the fastest ${category} ` +
+        `on record (${divisions.join(', ')}).${holder.activityName ? `\n*${holder.activityName}*` : ''}`)
+      .addFields([{ name: 'Previous record', value: previous.join('\n'), inline: false }])
+      .setFooter({ text: 'All club records: /pb records' })
+      .setTimestamp();
+  }
+
+  /**
+   * Result of a race completed from the member's activity
+   * @param {Object} result - from RaceManager.linkActivity, plus the runner
+   *   ({ discordUserId, name }) and the activity's URL
+   * @returns {EmbedBuilder} Discord embed
+   */
+  static buildRaceResultEmbed({ race, finishTime, goalTime, runner, activityUrl }) {
+    const RaceManager = require('../managers/RaceManager');
+    const raceManager = new RaceManager();
+
+    const who = runner.discordUserId ? `<@${runner.discordUserId}>` : `**${runner.name}**`;
+    const embed = new EmbedBuilder()
+      .setTitle(`🏁 ${race.name}`)
+      .setColor('#D4AF37')
+      .setDescription(`${who} finished in **${ActivityFormatter.formatTime(finishTime)}**! Congratulations 🎉`)
+      .setFooter({ text: `Race #${race.id} · result linked from the activity` })
+      .setTimestamp();
+
+    if (activityUrl) embed.setURL(activityUrl);
+
+    const goal = raceManager.formatGoalComparison(finishTime, goalTime);
+    if (goal) embed.addFields([{ name: 'Goal', value: goal, inline: false }]);
+    if (race.distance) embed.addFields([{ name: '📏 Distance', value: race.distance, inline: true }]);
+    if (race.location) embed.addFields([{ name: '📍 Location', value: race.location, inline: true }]);
+
+    return embed;
+  }
+
+  // Progress line plus a 10-cell bar, capped at 100%
+  static _challengeSummary({ challenge, total, percent, entries }) {
+    const shown = Math.min(100, Math.floor(percent));
+    const filled = Math.round(shown / 10);
+    const bar = `${'▓'.repeat(filled)}${'░'.repeat(10 - filled)} ${shown}%`;
+    const line = challenge.scope === 'individual'
+      ? `${entries.filter(e => e.completed).length} of ${entries.length} runners have reached the goal`
+      : `${this._formatLeaderboardValue(challenge.metric, total)} done so far`;
+    return `${line}\n${bar}`;
+  }
+
+  static _leaderboardMedal(index) {
+    return index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : `**${index + 1}.**`;
+  }
+
+  /**
+   * Format one leaderboard value for display
+   * @param {string} metric - Key of LEADERBOARD_METRICS
+   * @param {number} value - Raw value (metres, seconds, count or days)
+   * @returns {string} e.g. "156.32 km", "1,234 m", "12h 05m", "3 runs", "5 days"
+   */
+  static _formatLeaderboardValue(metric, value) {
+    switch (metric) {
+    case 'elevation':
+      return `${Math.round(value).toLocaleString('en-US')} m`;
+    case 'moving_time': {
+      const hours = Math.floor(value / TIME.SECONDS_PER_HOUR);
+      const minutes = Math.floor((value % TIME.SECONDS_PER_HOUR) / 60);
+      return hours > 0 ? `${hours}h ${minutes.toString().padStart(2, '0')}m` : `${minutes}m`;
+    }
+    case 'count':
+      return `${value} run${value === 1 ? '' : 's'}`;
+    case 'streak':
+      return `${value} day${value === 1 ? '' : 's'}`;
+    default:
+      return `${(value / 1000).toFixed(2)} km`;
+    }
+  }
 }
 
 module.exports = ActivityEmbedBuilder;
\ No newline at end of file
@@ -135,6 +135,43 @@ class EncryptionUtils {
     }
   }
 
+  /**
+   * HMAC-SHA256 signature of a value, keyed with the encryption key. Used for
+   * links that must not be guessable, like the per-member calendar feeds.
+   *
+   * @param {string} value - Value to sign
+   * @returns {string|null} Hex signature, or null if no encryption key
+   */
+  static sign(value) {
+    if (!config.security.encryptionKey) {
+      return null;
+    }
+
+    return crypto.createHmac('sha256', Buffer.from(config.security.encryptionKey, 'hex'))
+      .update(String(value))
+      .digest('hex');
+  }
+
+  /**
+   * Check a signature from {@link sign} in constant time. A prefix of the
+   * signature is accepted, so links can carry a shortened one.
+   *
+   * @param {string} value - Signed value
+   * @param {string} signature - Hex signature (or a prefix of at least 16 characters)
+   * @returns {boolean} True if the signature matches
+   */
+  static verifySignature(value, signature) {
+    const expected = this.sign(value);
+    if (!expected || !/^[0-9a-f]{16,64}$/i.test(signature ?? '')) {
+      return false;
+    }
+
+    return crypto.timingSafeEqual(
+      Buffer.from(expected.slice(0, signature.length)),
+      Buffer.from(signature.toLowerCase())
+    );
+  }
+
   /**
    * Check if encryption is enabled (encryption key is configured)
    *
@@ -0,0 +1,103 @@
+const { HEART_RATE_ZONES } = require('../constants');
+
+// Gaps longer than this (watch paused, HR strap dropout) aren't credited to
+// any zone.
+const MAX_SAMPLE_GAP_SECONDS = 30;
+
+// Squares in the Discord zone bar.
+const BAR_LENGTH = 10;
+
+/**
+ * Stateless helpers that split a heart-rate stream into time spent in each
+ * of five zones, using the member's threshold or max heart rate
+ * (`/heartrate set`), and format the result for an activity embed.
+ */
+class HeartRateZones {
+  /**
+   * Lower bounds (bpm) of zones 2-5. The threshold heart rate wins when both
+   * are set, since it tracks fitness better than max.
+   *
+   * @param {{maxHeartRate?: number|null, thresholdHeartRate?: number|null}} settings
+   * @returns {number[]|null} four ascending bounds, or null if neither is set
+   */
+  static zoneBounds({ maxHeartRate, thresholdHeartRate } = {}) {
+    if (thresholdHeartRate) {
+      return HEART_RATE_ZONES.THRESHOLD_FRACTIONS.map(f => Math.round(thresholdHeartRate * f));
+    }
+    if (maxHeartRate) {
+      return HEART_RATE_ZONES.MAX_FRACTIONS.map(f => Math.round(maxHeartRate * f));
+    }
+    return null;
+  }
+
+  /**
+   * Seconds spent in each zone. Each sample's heart rate is credited with
+   * the time until the next sample.
+   *
+   * @param {{time: number[], heartrate: number[]}} stream - cumulative seconds
+   *   and bpm, same length
+   * @param {Object} settings - see {@link zoneBounds}
+   * @returns {number[]|null} five totals in seconds, or null when the stream
+   *   or the settings are unusable
+   */
+  static timeInZones(stream, settings) {
+    const bounds = HeartRateZones.zoneBounds(settings);
+    const { time, heartrate } = stream || {};
+    if (!bounds || !Array.isArray(time) || !Array.isArray(heartrate)) return null;
+    if (time.length < 2 || time.length !== heartrate.length) return null;
+
+    const seconds = [0, 0, 0, 0, 0];
+    for (let i = 0; i < time.length - 1; i++) {
+      const bpm = heartrate[i];
+      const dt = time[i + 1] - time[i];
+      if (!Number.isFinite(bpm) || bpm <= 0 || !(dt > 0) || dt > MAX_SAMPLE_GAP_SECONDS) continue;
+
+      seconds[bounds.filter(bound => bpm >= bound).length] += dt;
+    }
+
+    return seconds.some(s => s > 0) ? seconds : null;
+  }
+
+  /**
+   * Compact two-line zone summary for an embed field: a coloured bar, then
+   * the share of each zone the member actually visited.
+   *
+   * @param {number[]} seconds - from {@link timeInZones}
+   * @returns {string} e.g. "🟦🟩🟩🟩🟨🟨🟨🟨🟧🟧\nZ1 8% · Z2 31% · Z3 42% · Z4 19%"
+   */
+  static formatZoneBar(seconds) {
+    const total = seconds.reduce((sum, s) => sum + s, 0);
+    const shares = seconds.map(s => s / total);
+
+    const squares = HeartRateZones._apportion(shares, BAR_LENGTH);
+    const bar = squares.map((count, zone) => HEART_RATE_ZONES.COLORS[zone].repeat(count)).join('');
+
+    const percents = HeartRateZones._apportion(shares, 100);
+    const legend = percents
+      .map((percent, zone) => ({ percent, zone }))
+      .filter(({ zone }) => seconds[zone] > 0)
+      .map(({ percent, zone }) => `Z${zone + 1} ${percent}%`)
+      .join(' · ');
+
+    return `${bar}\n${legend}`;
+  }
+
+  // Largest-remainder rounding, so the parts always add up to `total`.
+  static _apportion(shares, total) {
+    const exact = shares.map(share => share * total);
+    const parts = exact.map(Math.floor);
+    const order = exact
+      .map((value, i) => ({ i, remainder: value - parts[i] }))
+      .sort((a, b) => b.remainder - a.remainder);
+
+    let left = total - parts.reduce((sum, p) => sum + p, 0);
+    for (const { i } of order) {
+      if (left <= 0) break;
+      parts[i]++;
+      left--;
+    }
+    return parts;
+  }
+}
+
+module.exports = HeartRateZones;
@@ -1,6 +1,10 @@
+// Mean Earth radius used by the haversine distance.
+const EARTH_RADIUS_METRES = 6371008.8;
+
 /**
  * Stateless helpers for turning a raw GPS lat/lng stream into a Google
- * Encoded Polyline (the same format Strava returns in `map.summary_polyline`).
+ * Encoded Polyline (the same format Strava returns in `map.summary_polyline`),
+ * and for hiding the private parts of a decoded route before it is drawn.
  */
 class PolylineUtils {
   /**
@@ -113,6 +117,69 @@ class PolylineUtils {
     return points;
   }
 
+  /**
+   * Great-circle distance between two [lat, lng] points (haversine).
+   *
+   * @param {[number, number]} a
+   * @param {[number, number]} b
+   * @returns {number} distance in metres
+   */
+  static distanceMetres(a, b) {
+    const toRad = (deg) => deg * Math.PI / 180;
+    const dLat = toRad(b[0] - a[0]);
+    const dLng = toRad(b[1] - a[1]);
+    const h = Math.sin(dLat / 2) ** 2
+      + Math.cos(toRad(a[0])) * Math.cos(toRad(b[0])) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_METRES * Math.asin(Math.min(1, Math.sqrt(h)));
+  }
+
+  /**
+   * Drop every point that falls inside one of the member's privacy circles,
+   * the same way Strava hides the route near a privacy zone for other
+   * viewers. Points on either side of a zone are left as-is, so a route that
+   * passes through a zone is drawn as a straight chord across it rather
+   * than revealing the streets inside.
+   *
+   * @param {Array<[number, number]>} points
+   * @param {Array<{lat: number, lon: number, radius: number}>} zones - radius in metres
+   * @returns {Array<[number, number]>} points outside every zone
+   */
+  static clipPrivacyZones(points, zones) {
+    if (!Array.isArray(points) || !Array.isArray(zones) || zones.length === 0) return points;
+
+    return points.filter(point =>
+      !zones.some(zone => PolylineUtils.distanceMetres(point, [zone.lat, zone.lon]) <= zone.radius)
+    );
+  }
+
+  /**
+   * Trim the first and last `metres` of a route — the fallback when a member
+   * has no privacy zone, since runs usually start and finish at home.
+   *
+   * @param {Array<[number, number]>} points
+   * @param {number} metres - distance to cut from each end; 0 disables
+   * @returns {Array<[number, number]>} the remaining middle of the route, or []
+   *   when the route is shorter than twice `metres`
+   */
+  static trimEnds(points, metres) {
+    if (!Array.isArray(points) || !(metres > 0)) return points;
+
+    const firstKept = PolylineUtils._indexPastDistance(points, metres);
+    const lastKept = points.length - 1 - PolylineUtils._indexPastDistance([...points].reverse(), metres);
+    return firstKept <= lastKept ? points.slice(firstKept, lastKept + 1) : [];
+  }
+
+  // Index of the first point at least `metres` along the route from its start
+  // (points.length when the route never gets that far).
+  static _indexPastDistance(points, metres) {
+    let travelled = 0;
+    for (let i = 1; i < points.length; i++) {
+      travelled += PolylineUtils.distanceMetres(points[i - 1], points[i]);
+      if (travelled >= metres) return i;
+    }
+    return points.length;
+  }
+
   /**
    * Decode a single zigzag-encoded, 5-bit-chunked signed number starting at
    * `index`. Returns `null` (rather than throwing) if the chunk sequence
@@ -0,0 +1,151 @@
+const EncryptionUtils = require('./EncryptionUtils');
+
+// Calendar clients keep events by UID, so it must stay stable for a race
+const UID_DOMAIN = 'strava-running-bot';
+
+// RFC 5545 lines are limited to 75 octets; longer ones are folded
+const MAX_LINE_OCTETS = 75;
+
+// Characters of the signature kept in a member's feed link
+const TOKEN_SIGNATURE_LENGTH = 32;
+
+/**
+ * Renders races as an iCalendar (RFC 5545) feed, so members can subscribe to
+ * the team's races — or just their own — from any calendar client. Races are
+ * all-day events with their location, distance and notes. The goal and bib
+ * are personal, so only a member's own feed carries them.
+ */
+class RaceCalendar {
+  /**
+   * Build a VCALENDAR document
+   *
+   * @param {Array<Object>} races - races rows, optionally with a `memberName`
+   *   to show whose race it is
+   * @param {Object} [options]
+   * @param {string} [options.name] - Calendar name shown by clients
+   * @param {boolean} [options.personal] - Include the goal and bib
+   * @returns {string} The .ics content, CRLF line endings
+   */
+  static buildCalendar(races, { name = 'Team races', personal = false } = {}) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:-//${UID_DOMAIN}//Team races//EN`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${this.escapeText(name)}`,
+      'REFRESH-INTERVAL;VALUE=DURATION:PT6H',
+      'X-PUBLISHED-TTL:PT6H',
+      ...races.flatMap(race => this.buildEvent(race, { personal })),
+      'END:VCALENDAR'
+    ];
+
+    return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * VEVENT lines for one race, unfolded
+   *
+   * @param {Object} race - races row, optionally with a `memberName`
+   * @param {Object} [options]
+   * @param {boolean} [options.personal] - Include the goal and bib
+   * @returns {Array<string>}
+   */
+  static buildEvent(race, { personal = false } = {}) {
+    const summary = race.memberName ? `${race.name} — ${race.memberName}` : race.name;
+
+    const details = [`${race.race_type === 'trail' ? 'Trail' : 'Road'} race${race.distance ? ` · ${race.distance}` : ''}`];
+    if (personal && race.goal_time) details.push(`Goal: ${race.goal_time}`);
+    if (race.elevation) details.push(`Elevation: ${race.elevation}`);
+    if (personal && race.bib_number) details.push(`Bib: ${race.bib_number}`);
+    if (race.notes) details.push('', race.notes);
+
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:race-${race.id}@${UID_DOMAIN}`,
+      `DTSTAMP:${this.formatTimestamp(race.updated_at)}`,
+      `DTSTART;VALUE=DATE:${this.formatDate(race.race_date)}`,
+      `DTEND;VALUE=DATE:${this.formatDate(race.race_date, 1)}`,
+      `SUMMARY:${this.escapeText(summary)}`,
+      `DESCRIPTION:${this.escapeText(details.join('\n'))}`
+    ];
+    if (race.location) lines.push(`LOCATION:${this.escapeText(race.location)}`);
+    lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+
+    return lines;
+  }
+
+  /**
+   * Token for a member's personal feed: the athlete id and a signature of
+   * it, so the link can't be guessed from someone else's
+   *
+   * @param {number|string} athleteId
+   * @returns {string|null} e.g. "12345.9f86d081884c7d65...", or null without an encryption key
+   */
+  static memberToken(athleteId) {
+    const signature = EncryptionUtils.sign(`calendar:${athleteId}`);
+    return signature ? `${athleteId}.${signature.slice(0, TOKEN_SIGNATURE_LENGTH)}` : null;
+  }
+
+  /**
+   * Read a token from {@link memberToken}
+   *
+   * @param {string} token
+   * @returns {number|null} The athlete id, or null when the token is invalid
+   */
+  static parseMemberToken(token) {
+    const match = /^(\d+)\.([0-9a-f]+)$/i.exec(token ?? '');
+    if (!match || match[2].length !== TOKEN_SIGNATURE_LENGTH) return null;
+    if (!EncryptionUtils.verifySignature(`calendar:${match[1]}`, match[2])) return null;
+    return Number(match[1]);
+  }
+
+  // TEXT value escaping (RFC 5545 §3.3.11)
+  static escapeText(value) {
+    return String(value)
+      .replaceAll('\\', '\\\\')
+      .replaceAll(';', '\\;')
+      .replaceAll(',', '\\,')
+      .replaceAll(/\r?\n/g, '\\n');
+  }
+
+  // Fold a content line at 75 octets without splitting a UTF-8 character;
+  // continuation lines start with a space
+  static foldLine(line) {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+
+    for (const char of line) {
+      const size = Buffer.byteLength(char);
+      const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+      if (octets + size > limit) {
+        parts.push(current);
+        current = '';
+        octets = 0;
+      }
+      current += char;
+      octets += size;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+  }
+
+  // "2026-04-12" → "20260412", optionally a number of days later
+  static formatDate(isoDate, addDays = 0) {
+    const date = new Date(`${isoDate}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + addDays);
+    return date.toISOString().slice(0, 10).replaceAll('-', '');
+  }
+
+  // UTC timestamp from an ISO string or SQLite's "YYYY-MM-DD HH:MM:SS"
+  // (also UTC); now when missing
+  static formatTimestamp(value) {
+    let date = value ? new Date(value.includes('T') ? value : `${value.replace(' ', 'T')}Z`) : new Date();
+    if (Number.isNaN(date.getTime())) date = new Date();
+    return date.toISOString().replaceAll(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+}
+
+module.exports = RaceCalendar;
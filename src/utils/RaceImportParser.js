@@ -0,0 +1,258 @@
+const { VALIDATION } = require('../constants');
+
+// CSV header names (lower-cased, accents stripped) → race field
+const CSV_COLUMNS = {
+  name: 'name', race: 'name', title: 'name', nom: 'name', course: 'name',
+  date: 'raceDate', race_date: 'raceDate',
+  type: 'raceType', race_type: 'raceType',
+  distance: 'distance', distance_km: 'distance',
+  location: 'location', place: 'location', lieu: 'location',
+  goal: 'goalTime', goal_time: 'goalTime', objectif: 'goalTime',
+  elevation: 'elevation', denivele: 'elevation',
+  notes: 'notes', note: 'notes', description: 'notes'
+};
+
+/**
+ * Turns an .ics or .csv file into race data for `/my-races import`, in the
+ * shape RaceManager.addRace takes (`raceDate` as DD-MM-YYYY). Parsing is
+ * lenient — anything it can't read is left for RaceManager.validateRaceData
+ * to reject with a reason.
+ */
+class RaceImportParser {
+  /**
+   * Parse a file by its extension
+   *
+   * @param {string} content - File content
+   * @param {string} filename - Attachment name, for the format
+   * @returns {Array<{line: number, raceData: Object}>} One entry per race,
+   *   with the line (CSV) or event number (ics) it came from
+   * @throws {TypeError} For an unsupported format or a CSV without a name
+   *   and date column
+   */
+  static parse(content, filename) {
+    const extension = (filename || '').toLowerCase().split('.').pop();
+    if (extension === 'ics') return this.parseIcs(content);
+    if (extension === 'csv') return this.parseCsv(content);
+    throw new TypeError('Only .ics and .csv files can be imported');
+  }
+
+  /**
+   * Parse a CSV file with a header row. Columns are matched by name (see
+   * CSV_COLUMNS); the delimiter is a comma or, as spreadsheets in many
+   * locales write it, a semicolon.
+   *
+   * @param {string} content
+   * @returns {Array<{line: number, raceData: Object}>}
+   */
+  static parseCsv(content) {
+    const text = content.replace(/^\uFEFF/, '');
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+    const [header, ...rows] = this._csvRecords(text, delimiter);
+    const fields = (header?.values || []).map(column => CSV_COLUMNS[this._normalizeHeader(column)] || null);
+    if (!fields.includes('name') || !fields.includes('raceDate')) {
+      throw new TypeError('The CSV needs a header row with at least "name" and "date" columns');
+    }
+
+    return rows
+      .filter(({ values }) => values.some(value => value.trim() !== ''))
+      .map(({ line, values }) => {
+        const row = {};
+        fields.forEach((field, index) => {
+          if (field && values[index]?.trim()) row[field] = values[index].trim();
+        });
+
+        const distance = this.parseDistance(row.distance);
+        return {
+          line,
+          raceData: {
+            name: row.name || '',
+            raceDate: this.normalizeDate(row.raceDate),
+            raceType: this._raceType(row.raceType),
+            distance: distance ? distance.label : null,
+            distanceKm: distance ? distance.km : null,
+            location: row.location || null,
+            goalTime: row.goalTime || null,
+            elevation: row.elevation || null,
+            notes: this._truncateNotes(row.notes)
+          }
+        };
+      });
+  }
+
+  /**
+   * Parse the VEVENTs of an iCalendar file. Distance and race type are read
+   * from the summary or description ("Trail des Lacs 42km"), and "Goal:" /
+   * "Elevation:" description lines — as in the bot's own calendar feeds —
+   * are picked up too. The rest of the description becomes the notes.
+   *
+   * @param {string} content
+   * @returns {Array<{line: number, raceData: Object}>}
+   */
+  static parseIcs(content) {
+    const lines = content.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const events = [];
+    let current = null;
+
+    for (const line of lines) {
+      if (line === 'BEGIN:VEVENT') {
+        current = {};
+      } else if (line === 'END:VEVENT' && current) {
+        events.push(current);
+        current = null;
+      } else if (current) {
+        const match = /^([A-Z-]+)(?:;[^:]*)?:(.*)$/.exec(line);
+        if (match && current[match[1]] === undefined) current[match[1]] = match[2];
+      }
+    }
+
+    return events.map((event, index) => {
+      const summary = this._unescapeText(event.SUMMARY || '');
+      const description = this._unescapeText(event.DESCRIPTION || '');
+
+      const goal = /^Goal:\s*(.+)$/im.exec(description);
+      const elevation = /^Elevation:\s*(.+)$/im.exec(description);
+      const notes = description
+        .split('\n')
+        .filter(line => !/^(Goal|Elevation|Bib):/i.test(line) && !/^(Road|Trail) race\b/i.test(line))
+        .join('\n')
+        .trim();
+
+      const distance = this.parseDistance(summary) || this.parseDistance(description);
+      const startDate = /^(\d{4})(\d{2})(\d{2})/.exec(event.DTSTART || '');
+
+      return {
+        line: index + 1,
+        raceData: {
+          name: summary,
+          raceDate: startDate ? `${startDate[3]}-${startDate[2]}-${startDate[1]}` : '',
+          raceType: /trail/i.test(`${summary}\n${description}`) ? 'trail' : 'road',
+          distance: distance ? distance.label : null,
+          distanceKm: distance ? distance.km : null,
+          location: this._unescapeText(event.LOCATION || '') || null,
+          goalTime: goal ? goal[1].trim() : null,
+          elevation: elevation ? elevation[1].trim() : null,
+          notes: this._truncateNotes(notes)
+        }
+      };
+    });
+  }
+
+  /**
+   * Read a distance from free text: "42.2", "10K", "21,1 km", "half
+   * marathon", "semi-marathon", "marathon".
+   *
+   * @param {string} text
+   * @returns {{km: string, label: string}|null}
+   */
+  static parseDistance(text) {
+    if (!text) return null;
+
+    const withUnit = /(\d{1,4}(?:[.,]\d{1,3})?)\s*km?(?!\p{L})/iu.exec(text);
+    if (withUnit) return this._distance(withUnit[1]);
+    if (/half[\s-]?marathon|semi[\s-]?marathon/i.test(text)) return { km: '21.1', label: 'Half Marathon (21.1K)' };
+    if (/marathon/i.test(text)) return { km: '42.2', label: 'Marathon (42.2K)' };
+    if (/^\d{1,4}(?:[.,]\d{1,3})?$/.test(text.trim())) return this._distance(text.trim());
+    return null;
+  }
+
+  /**
+   * Dates as DD-MM-YYYY from DD-MM-YYYY, DD/MM/YYYY, DD.MM.YYYY or
+   * YYYY-MM-DD; anything else is returned as is for validation to reject.
+   *
+   * @param {string} value
+   * @returns {string}
+   */
+  static normalizeDate(value) {
+    const text = (value || '').trim();
+
+    const dayFirst = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/.exec(text);
+    if (dayFirst) return `${dayFirst[1].padStart(2, '0')}-${dayFirst[2].padStart(2, '0')}-${dayFirst[3]}`;
+
+    const iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+    if (iso) return `${iso[3]}-${iso[2]}-${iso[1]}`;
+
+    return text;
+  }
+
+  static _distance(value) {
+    const km = Number.parseFloat(value.replace(',', '.'));
+    if (!(km > 0)) return null;
+    if (km === 5) return { km: '5', label: '5K' };
+    if (km === 10) return { km: '10', label: '10K' };
+    return { km: String(km), label: `${km}km` };
+  }
+
+  static _raceType(value) {
+    return /trail/i.test(value || '') ? 'trail' : 'road';
+  }
+
+  static _truncateNotes(notes) {
+    if (!notes) return null;
+    return notes.length > VALIDATION.MAX_NOTES_LENGTH
+      ? `${notes.slice(0, VALIDATION.MAX_NOTES_LENGTH - 1)}…`
+      : notes;
+  }
+
+  static _normalizeHeader(column) {
+    return column.trim().toLowerCase().normalize('NFD').replaceAll(/[\u0300-\u036f]/g, '').replaceAll(/\s+/g, '_');
+  }
+
+  // TEXT value unescaping (RFC 5545 §3.3.11)
+  static _unescapeText(value) {
+    return value.replaceAll(/\\([\\;,nN])/g, (_, char) => (char.toLowerCase() === 'n' ? '\n' : char)).trim();
+  }
+
+  // Split CSV text into records, honouring double-quoted values (which may
+  // hold delimiters, newlines and "" for a quote). Each record keeps the
+  // line it starts on.
+  static _csvRecords(text, delimiter) {
+    const records = [];
+    let values = [];
+    let value = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          value += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          if (char === '\n') line++;
+          value += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === delimiter) {
+        values.push(value);
+        value = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        values.push(value);
+        records.push({ line: recordLine, values });
+        values = [];
+        value = '';
+        line++;
+        recordLine = line;
+      } else {
+        value += char;
+      }
+    }
+
+    if (value !== '' || values.length > 0) {
+      values.push(value);
+      records.push({ line: recordLine, values });
+    }
+
+    return records;
+  }
+}
+
+module.exports = RaceImportParser;
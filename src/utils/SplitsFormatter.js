@@ -0,0 +1,171 @@
+const { SPLITS } = require('../constants');
+
+/**
+ * Builds per-km (or per-mile) splits for an activity — from Strava's own
+ * `splits_metric`/`splits_standard`, or from raw intervals.icu streams — and
+ * formats them as a monospace table for Discord.
+ *
+ * A split row is `{distance, movingTime, elevationDifference, averageHeartrate}`
+ * (metres, seconds, metres, bpm); the last two may be null.
+ */
+class SplitsFormatter {
+  /**
+   * Normalize Strava detailed-activity splits.
+   *
+   * @param {Array<Object>} stravaSplits - `splits_metric` or `splits_standard`
+   * @param {string} unit - 'km' or 'mile', recorded on the result for labels
+   * @returns {{unit: string, rows: Array<Object>}|null} null without splits
+   */
+  static fromStravaSplits(stravaSplits, unit) {
+    if (!Array.isArray(stravaSplits)) return null;
+
+    const rows = stravaSplits
+      .filter(split => split?.distance > 0 && split.moving_time > 0)
+      .map(split => ({
+        distance: split.distance,
+        movingTime: split.moving_time,
+        elevationDifference: Number.isFinite(split.elevation_difference) ? split.elevation_difference : null,
+        averageHeartrate: split.average_heartrate || null,
+      }));
+
+    return SplitsFormatter._result(rows, unit);
+  }
+
+  /**
+   * Cut time/distance streams into splits of one unit each. Time between
+   * samples slower than MIN_MOVING_SPEED_MS (traffic lights, stops) is not
+   * counted, so pace reflects moving time as on Strava.
+   *
+   * @param {{time: number[], distance: number[], altitude?: number[], heartrate?: number[]}} streams
+   * @param {string} unit - 'km' or 'mile'
+   * @returns {{unit: string, rows: Array<Object>}|null} null when the streams are unusable
+   */
+  static fromStreams(streams, unit) {
+    const { time, distance, altitude, heartrate } = streams || {};
+    if (!Array.isArray(time) || !Array.isArray(distance)) return null;
+    if (time.length < 2 || distance.length !== time.length) return null;
+
+    const unitMetres = SPLITS.UNIT_METRES[unit];
+    const valueAt = (stream, i) => (Array.isArray(stream) && Number.isFinite(stream[i]) ? stream[i] : null);
+    const rows = [];
+
+    let start = 0;
+    let movingTime = 0;
+    let heartrateSum = 0;
+    let heartrateSamples = 0;
+    let covered = distance[0];
+    let splitStartDistance = covered;
+
+    const closeSplit = (end) => {
+      const startAltitude = valueAt(altitude, start);
+      const endAltitude = valueAt(altitude, end);
+      rows.push({
+        distance: covered - splitStartDistance,
+        movingTime,
+        elevationDifference: startAltitude !== null && endAltitude !== null ? endAltitude - startAltitude : null,
+        averageHeartrate: heartrateSamples > 0 ? heartrateSum / heartrateSamples : null,
+      });
+      start = end;
+      splitStartDistance = covered;
+      movingTime = 0;
+      heartrateSum = 0;
+      heartrateSamples = 0;
+    };
+
+    for (let i = 1; i < time.length; i++) {
+      const dt = time[i] - time[i - 1];
+      const step = Math.max(distance[i] - covered, 0); // absorbs GPS jitter going backwards
+      covered += step;
+      if (dt > 0 && step / dt >= SPLITS.MIN_MOVING_SPEED_MS) movingTime += dt;
+
+      const bpm = valueAt(heartrate, i);
+      if (bpm > 0) {
+        heartrateSum += bpm;
+        heartrateSamples++;
+      }
+
+      if (covered - splitStartDistance >= unitMetres) closeSplit(i);
+    }
+
+    if (start < time.length - 1 && movingTime > 0) closeSplit(time.length - 1);
+
+    return SplitsFormatter._result(rows, unit);
+  }
+
+  /**
+   * Whether the table is short enough for an embed field rather than a thread.
+   * @param {{rows: Array<Object>}} splits
+   * @returns {boolean}
+   */
+  static fitsInEmbed(splits) {
+    return splits.rows.length <= SPLITS.MAX_EMBED_ROWS;
+  }
+
+  /**
+   * Monospace table, one line per split:
+   *
+   *     km   Pace  Elev   HR
+   *      1   5:02   +12  148
+   *    5.4   4:40    -1  160
+   *
+   * The first column is the distance at the end of the split; the pace column
+   * is per unit. Columns with no data in any row are left out.
+   *
+   * @param {{unit: string, rows: Array<Object>}} splits
+   * @param {Object} [options]
+   * @param {boolean} [options.showPace=true] - false when the member hides pace
+   * @param {number} [options.fromRow=0] - first row, for tables split across messages
+   * @param {number} [options.rowCount] - number of rows (default: all remaining)
+   * @returns {string} a ``` code block
+   */
+  static formatTable(splits, options = {}) {
+    const { showPace = true, fromRow = 0, rowCount = splits.rows.length } = options;
+    const unitMetres = SPLITS.UNIT_METRES[splits.unit];
+
+    const showElevation = splits.rows.some(row => row.elevationDifference !== null);
+    const showHeartRate = splits.rows.some(row => row.averageHeartrate !== null);
+
+    const columns = [{ header: splits.unit, width: 5, value: row => row.label }];
+    if (showPace) {
+      columns.push({ header: 'Pace', width: 6, value: row => SplitsFormatter._formatPace(row.movingTime / (row.distance / unitMetres)) });
+    }
+    if (showElevation) {
+      columns.push({ header: 'Elev', width: 5, value: row => SplitsFormatter._formatElevation(row.elevationDifference) });
+    }
+    if (showHeartRate) {
+      columns.push({ header: 'HR', width: 4, value: row => (row.averageHeartrate ? String(Math.round(row.averageHeartrate)) : '-') });
+    }
+
+    let cumulative = splits.rows.slice(0, fromRow).reduce((sum, row) => sum + row.distance, 0);
+    const lines = splits.rows.slice(fromRow, fromRow + rowCount).map(row => {
+      cumulative += row.distance;
+      const units = cumulative / unitMetres;
+      const label = Math.abs(units - Math.round(units)) < 0.05 ? String(Math.round(units)) : units.toFixed(1);
+      return columns.map(column => column.value({ ...row, label }).padStart(column.width)).join(' ');
+    });
+
+    const header = columns.map(column => column.header.padStart(column.width)).join(' ');
+    return ['```', header, ...lines, '```'].join('\n');
+  }
+
+  static _result(rows, unit) {
+    // Drop a trailing sliver: a 20 m "split" only shows a nonsense pace.
+    const last = rows[rows.length - 1];
+    if (last && last.distance < SPLITS.MIN_PARTIAL_METRES) rows.pop();
+
+    return rows.length > 0 ? { unit, rows } : null;
+  }
+
+  static _formatPace(secondsPerUnit) {
+    const totalSeconds = Math.round(secondsPerUnit);
+    return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+  }
+
+  static _formatElevation(metres) {
+    if (metres === null) return '-';
+    const rounded = Math.round(metres);
+    return rounded > 0 ? `+${rounded}` : String(rounded);
+  }
+}
+
+module.exports = SplitsFormatter;
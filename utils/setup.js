@@ -70,7 +70,7 @@ class SetupHelper {
      -F verify_token=YOUR_VERIFY_TOKEN
 
 5. Register Team Members:
-   Send them to: http://your-domain.com/auth/strava?user_id=THEIR_DISCORD_ID
+   Ask them to run /register in Discord; it replies with their own signed link
 
 For detailed instructions, see README.md
     `);